@@ -0,0 +1,158 @@
+import express from 'express'
+import cors from 'cors'
+import dotenv from 'dotenv'
+import authRoutes from './routes/auth.js'
+import userRoutes from './routes/user.js'
+import gptAccountsRoutes from './routes/gpt-accounts.js'
+import autoBoardingRoutes from './routes/auto-boarding.js'
+import redemptionCodesRoutes from './routes/redemption-codes.js'
+import openaiAccountsRoutes from './routes/openai-accounts.js'
+import linuxDoAuthRoutes from './routes/linuxdo-auth.js'
+import waitingRoomRoutes from './routes/waiting-room.js'
+import configRoutes from './routes/config.js'
+import versionRoutes from './routes/version.js'
+import xhsRoutes from './routes/xhs.js'
+import xianyuRoutes from './routes/xianyu.js'
+import openAccountsRoutes from './routes/open-accounts.js'
+import purchaseRoutes from './routes/purchase.js'
+import creditRoutes from './routes/credit.js'
+import adminRoutes from './routes/admin.js'
+import adminStatsRoutes from './routes/admin-stats.js'
+import announcementsRoutes from './routes/announcements.js'
+import adminAnnouncementsRoutes from './routes/admin-announcements.js'
+import adminPointsWithdrawalsRoutes from './routes/admin-points-withdrawals.js'
+import adminApiKeysRoutes from './routes/admin-api-keys.js'
+import adminWebhooksRoutes from './routes/admin-webhooks.js'
+import adminAuditLogRoutes from './routes/admin-audit-log.js'
+import adminEmailTemplatesRoutes from './routes/admin-email-templates.js'
+import adminJobsRoutes from './routes/admin-jobs.js'
+import adminCouponsRoutes from './routes/admin-coupons.js'
+import adminPaymentNotificationsRoutes from './routes/admin-payment-notifications.js'
+import adminInviteJobsRoutes from './routes/admin-invite-jobs.js'
+import { assignRequestId } from './middleware/audit-log.js'
+
+// Express 应用本身（中间件与路由），不含数据库初始化、定时任务与监听端口；
+// server.js 负责启动，测试直接挂载这里导出的 app。
+dotenv.config()
+
+const app = express()
+
+// Middleware
+app.disable('x-powered-by')
+
+// req.ip 只信任 TRUST_PROXY 指定的代理追加的 X-Forwarded-For（默认仅本机 nginx），客户端自带的转发头不会被采信
+const parseTrustProxy = () => {
+  const raw = String(process.env.TRUST_PROXY ?? '').trim()
+  if (!raw) return 'loopback'
+  if (raw === 'true') return true
+  if (raw === 'false') return false
+  if (/^\d+$/.test(raw)) return Number(raw)
+  return raw.split(/[,\s]+/).filter(Boolean)
+}
+app.set('trust proxy', parseTrustProxy())
+
+const parseCorsOrigins = () => {
+  const raw = String(process.env.CORS_ORIGINS || process.env.CORS_ORIGIN || '').trim()
+  if (!raw) {
+    return new Set(['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'])
+  }
+  return new Set(
+    raw
+      .split(/[,\s]+/)
+      .map(origin => origin.trim())
+      .filter(Boolean)
+  )
+}
+
+const corsOrigins = parseCorsOrigins()
+// 添加请求日志中间件，放在 CORS 之前
+app.use(assignRequestId)
+app.use((req, _res, next) => {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} (${req.requestId})`)
+  // console.log('[Headers]', {
+  //   origin: req.headers.origin,
+  //   'access-control-request-method': req.headers['access-control-request-method'],
+  //   'access-control-request-headers': req.headers['access-control-request-headers']
+  // })
+  next()
+})
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      // console.log('[CORS] Request Origin:', origin)
+      // console.log('[CORS] Allowed origins:', Array.from(corsOrigins))
+      // console.log('[CORS] Has match:', corsOrigins.has(origin))
+      if (!origin) {
+        console.log('[CORS] No origin header, allowing request')
+        return callback(null, true)
+      }
+      const allowed = corsOrigins.has(origin)
+      // console.log('[CORS] Decision:', allowed ? 'ALLOW' : 'DENY')
+      return callback(null, allowed)
+    },
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Linuxdo-Token', 'X-Request-Id', 'Cache-Control', 'Pragma'],
+    exposedHeaders: ['X-Request-Id'],
+    credentials: false,
+    maxAge: 86400
+  })
+)
+// 兑换码导入把整份文件放在 JSON 请求体里，单独放宽体积限制
+app.use('/api/redemption-codes/import', express.json({ limit: '5mb' }))
+app.use(express.json())
+app.use(express.urlencoded({ extended: false }))
+
+// 禁用 ETag 以避免 304 缓存问题
+app.set('etag', false)
+app.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private')
+  res.set('Pragma', 'no-cache')
+  res.set('Expires', '0')
+  res.set('X-Content-Type-Options', 'nosniff')
+  res.set('X-Frame-Options', 'DENY')
+  res.set('Referrer-Policy', 'no-referrer')
+  next()
+})
+
+// Routes
+app.use('/api/auth', authRoutes)
+app.use('/api/user', userRoutes)
+app.use('/api/announcements', announcementsRoutes)
+app.use('/api/gpt-accounts', gptAccountsRoutes)
+app.use('/api/auto-boarding', autoBoardingRoutes)
+app.use('/api/redemption-codes', redemptionCodesRoutes)
+app.use('/api/openai-accounts', openaiAccountsRoutes)
+app.use('/api/linuxdo', linuxDoAuthRoutes)
+app.use('/api/config', configRoutes)
+app.use('/api/version', versionRoutes)
+app.use('/api/waiting-room', waitingRoomRoutes)
+app.use('/api/xhs', xhsRoutes)
+app.use('/api/xianyu', xianyuRoutes)
+app.use('/api/open-accounts', openAccountsRoutes)
+app.use('/api/purchase', purchaseRoutes)
+app.use('/api/credit', creditRoutes)
+app.use('/api/admin/stats', adminStatsRoutes)
+app.use('/api/admin/announcements', adminAnnouncementsRoutes)
+app.use('/api/admin/points-withdrawals', adminPointsWithdrawalsRoutes)
+app.use('/api/admin/api-keys', adminApiKeysRoutes)
+app.use('/api/admin/webhooks', adminWebhooksRoutes)
+app.use('/api/admin/audit-log', adminAuditLogRoutes)
+app.use('/api/admin/email-templates', adminEmailTemplatesRoutes)
+app.use('/api/admin/jobs', adminJobsRoutes)
+app.use('/api/admin/coupons', adminCouponsRoutes)
+app.use('/api/admin/payment-notifications', adminPaymentNotificationsRoutes)
+app.use('/api/admin/invite-jobs', adminInviteJobsRoutes)
+app.use('/api/admin', adminRoutes)
+// ZPAY 的异步回调示例为 /notify?...，这里提供无 /api 前缀的兼容入口
+app.all('/notify', purchaseRoutes)
+// 其它支付通道（易支付等）回调到 /notify/<通道>，同样提供无 /api 前缀的入口
+app.all('/notify/:provider', purchaseRoutes)
+// Linux DO Credit 的异步回调会按 /credit/notify 访问，这里提供无 /api 前缀的兼容入口
+app.use('/credit', creditRoutes)
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' })
+})
+
+export default app
@@ -0,0 +1,1726 @@
+import bcrypt from 'bcryptjs'
+import crypto from 'crypto'
+import { ensureIndex, getTableColumns, setUserVersion, tableExists } from './schema-helpers.js'
+
+// 引入版本化迁移之前的表结构初始化逻辑，由 migrations/0001_legacy_baseline.js 调用。
+// 该文件已冻结：新的表结构变更请在 migrations/ 下新增编号迁移，不要再修改这里。
+
+const CHANNEL_LABELS = {
+  common: '通用渠道',
+  paypal: 'PayPal 渠道',
+  'linux-do': 'Linux DO 渠道',
+  xhs: '小红书渠道',
+  xianyu: '闲鱼渠道',
+  'artisan-flow': 'ArtisanFlow 渠道',
+}
+const DEFAULT_CHANNEL = 'common'
+const DEFAULT_CHANNEL_NAME = CHANNEL_LABELS[DEFAULT_CHANNEL]
+const BUILTIN_CHANNELS = [
+  {
+    key: 'common',
+    name: CHANNEL_LABELS.common,
+    redeemMode: 'code',
+    allowCommonFallback: 0,
+    isActive: 1,
+    isBuiltin: 1,
+    sortOrder: 10
+  },
+  {
+    key: 'paypal',
+    name: CHANNEL_LABELS.paypal,
+    redeemMode: 'code',
+    allowCommonFallback: 0,
+    isActive: 1,
+    isBuiltin: 0,
+    sortOrder: 20
+  },
+  {
+    key: 'linux-do',
+    name: CHANNEL_LABELS['linux-do'],
+    redeemMode: 'linux-do',
+    allowCommonFallback: 0,
+    isActive: 1,
+    isBuiltin: 1,
+    sortOrder: 30
+  },
+  {
+    key: 'xhs',
+    name: CHANNEL_LABELS.xhs,
+    redeemMode: 'xhs',
+    allowCommonFallback: 1,
+    isActive: 1,
+    isBuiltin: 1,
+    sortOrder: 40
+  },
+  {
+    key: 'xianyu',
+    name: CHANNEL_LABELS.xianyu,
+    redeemMode: 'xianyu',
+    allowCommonFallback: 1,
+    isActive: 1,
+    isBuiltin: 1,
+    sortOrder: 50
+  },
+  {
+    key: 'artisan-flow',
+    name: CHANNEL_LABELS['artisan-flow'],
+    redeemMode: 'api',
+    allowCommonFallback: 0,
+    isActive: 1,
+    isBuiltin: 0,
+    sortOrder: 60
+  }
+]
+
+// user_version = 1 表示历史时间已从 UTC 迁移为本地时间（见 migrations/0002_localtime_timestamps.js）
+export const LOCALTIME_MIGRATION_USER_VERSION = 1
+
+const ensureWaitingRoomCooldownTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'waiting_room_cooldown_resets'`)
+  if (tableExists.length === 0) {
+    try {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS waiting_room_cooldown_resets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          linuxdo_uid TEXT NOT NULL UNIQUE,
+          reset_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } catch (error) {
+      console.warn('[DB] 无法创建冷却期重置表:', error)
+    }
+  }
+
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_cooldown_resets_uid ON waiting_room_cooldown_resets (linuxdo_uid)')
+
+  return changed
+}
+
+const ensureWaitingRoomTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'waiting_room_entries'`)
+  if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS waiting_room_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          linuxdo_uid TEXT NOT NULL,
+          linuxdo_username TEXT,
+          linuxdo_name TEXT,
+          linuxdo_trust_level INTEGER DEFAULT 0,
+          email TEXT NOT NULL,
+          status TEXT DEFAULT 'waiting',
+          boarded_at DATETIME,
+          left_at DATETIME,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          reserved_code_id INTEGER,
+          reserved_code TEXT,
+          reserved_at DATETIME,
+          reserved_by TEXT,
+          queue_position_snapshot INTEGER
+        )
+      `)
+    changed = true
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_waiting_room_status_created ON waiting_room_entries (status, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_waiting_room_uid ON waiting_room_entries (linuxdo_uid)')
+
+  try {
+    const tableInfo = database.exec('PRAGMA table_info(waiting_room_entries)')
+    if (tableInfo.length > 0) {
+      const columns = tableInfo[0].values.map(row => row[1])
+      if (!columns.includes('linuxdo_trust_level')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN linuxdo_trust_level INTEGER DEFAULT 0')
+        changed = true
+      }
+      if (!columns.includes('left_at')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN left_at DATETIME')
+        changed = true
+      }
+      if (!columns.includes('reserved_code_id')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN reserved_code_id INTEGER')
+        changed = true
+      }
+      if (!columns.includes('reserved_code')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN reserved_code TEXT')
+        changed = true
+      }
+      if (!columns.includes('reserved_at')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN reserved_at DATETIME')
+        changed = true
+      }
+      if (!columns.includes('reserved_by')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN reserved_by TEXT')
+        changed = true
+      }
+      if (!columns.includes('queue_position_snapshot')) {
+        database.run('ALTER TABLE waiting_room_entries ADD COLUMN queue_position_snapshot INTEGER')
+        changed = true
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法检查候车室表字段:', error)
+  }
+
+  const cooldownTableChanged = ensureWaitingRoomCooldownTable(database)
+
+  return changed || cooldownTableChanged
+}
+
+const ensureCoreIndexes = (database) => {
+  if (!database) return false
+  let changed = false
+
+  changed = ensureIndex(
+    database,
+    'idx_gpt_accounts_email',
+    'CREATE INDEX IF NOT EXISTS idx_gpt_accounts_email ON gpt_accounts (email)'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_gpt_accounts_email_norm',
+    'CREATE INDEX IF NOT EXISTS idx_gpt_accounts_email_norm ON gpt_accounts (LOWER(TRIM(email)))'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_gpt_accounts_banned_processed',
+    'CREATE INDEX IF NOT EXISTS idx_gpt_accounts_banned_processed ON gpt_accounts (is_banned, COALESCE(ban_processed, 0))'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_account_email_norm',
+    'CREATE INDEX IF NOT EXISTS idx_redemption_codes_account_email_norm ON redemption_codes (LOWER(TRIM(account_email)))'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_redeemed_by_norm',
+    'CREATE INDEX IF NOT EXISTS idx_redemption_codes_redeemed_by_norm ON redemption_codes (LOWER(TRIM(redeemed_by)))'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_redeemed_by_redeemed_at',
+    `CREATE INDEX IF NOT EXISTS idx_redemption_codes_redeemed_by_redeemed_at
+     ON redemption_codes (LOWER(TRIM(redeemed_by)), redeemed_at)
+     WHERE is_redeemed = 1`
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_redeemed_flags',
+    'CREATE INDEX IF NOT EXISTS idx_redemption_codes_redeemed_flags ON redemption_codes (is_redeemed, redeemed_at)'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_unredeemed_created_at',
+    'CREATE INDEX IF NOT EXISTS idx_redemption_codes_unredeemed_created_at ON redemption_codes (is_redeemed, created_at)'
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_account_email_redeemed_at',
+    `CREATE INDEX IF NOT EXISTS idx_redemption_codes_account_email_redeemed_at
+     ON redemption_codes (LOWER(TRIM(account_email)), redeemed_at)
+     WHERE is_redeemed = 1`
+  ) || changed
+
+  changed = ensureIndex(
+    database,
+    'idx_redemption_codes_reserved_for_order_no',
+    'CREATE INDEX IF NOT EXISTS idx_redemption_codes_reserved_for_order_no ON redemption_codes (reserved_for_order_no)'
+  ) || changed
+
+  return changed
+}
+
+const ensureXhsTables = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+	    const ordersExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'xhs_orders'`)
+	    if (ordersExists.length === 0) {
+	      database.run(`
+	        CREATE TABLE IF NOT EXISTS xhs_orders (
+	          id INTEGER PRIMARY KEY AUTOINCREMENT,
+	          order_number TEXT NOT NULL UNIQUE,
+	          status TEXT DEFAULT 'pending',
+	          order_status TEXT,
+	          order_time DATETIME,
+	          actual_paid INTEGER,
+	          nickname TEXT,
+	          user_email TEXT,
+	          assigned_code_id INTEGER,
+	          assigned_code TEXT,
+	          is_used INTEGER DEFAULT 0,
+          extracted_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          reserved_at DATETIME,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          FOREIGN KEY (assigned_code_id) REFERENCES redemption_codes(id)
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(xhs_orders)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        if (!columns.includes('status')) {
+          database.run(`ALTER TABLE xhs_orders ADD COLUMN status TEXT DEFAULT 'pending'`)
+          changed = true
+        }
+	        if (!columns.includes('order_time')) {
+	          database.run('ALTER TABLE xhs_orders ADD COLUMN order_time DATETIME')
+	          changed = true
+	        }
+	        if (!columns.includes('actual_paid')) {
+	          database.run('ALTER TABLE xhs_orders ADD COLUMN actual_paid INTEGER')
+	          changed = true
+	        }
+	        if (!columns.includes('order_status')) {
+	          database.run('ALTER TABLE xhs_orders ADD COLUMN order_status TEXT')
+	          changed = true
+	        }
+        if (!columns.includes('nickname')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN nickname TEXT')
+          changed = true
+        }
+        if (!columns.includes('user_email')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN user_email TEXT')
+          changed = true
+        }
+        if (!columns.includes('assigned_code_id')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN assigned_code_id INTEGER')
+          changed = true
+        }
+        if (!columns.includes('assigned_code')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN assigned_code TEXT')
+          changed = true
+        }
+        if (!columns.includes('reserved_at')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN reserved_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('used_at')) {
+          database.run('ALTER TABLE xhs_orders ADD COLUMN used_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('extracted_at')) {
+          database.run("ALTER TABLE xhs_orders ADD COLUMN extracted_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('created_at')) {
+          database.run("ALTER TABLE xhs_orders ADD COLUMN created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('updated_at')) {
+          database.run("ALTER TABLE xhs_orders ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+      }
+    }
+
+	    database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_xhs_orders_number ON xhs_orders(order_number)')
+	    database.run('CREATE INDEX IF NOT EXISTS idx_xhs_orders_status ON xhs_orders(status, created_at)')
+	    database.run('CREATE INDEX IF NOT EXISTS idx_xhs_orders_usage ON xhs_orders(is_used, created_at)')
+	    changed = ensureIndex(
+	      database,
+	      'idx_xhs_orders_assigned_code_id',
+	      'CREATE INDEX IF NOT EXISTS idx_xhs_orders_assigned_code_id ON xhs_orders(assigned_code_id)'
+	    ) || changed
+	    changed = ensureIndex(
+	      database,
+	      'idx_xhs_orders_assigned_code',
+	      'CREATE INDEX IF NOT EXISTS idx_xhs_orders_assigned_code ON xhs_orders(assigned_code)'
+	    ) || changed
+	  } catch (error) {
+	    console.warn('[DB] 无法初始化 xhs_orders 表:', error)
+	  }
+
+  try {
+	    const configExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'xhs_config'`)
+	    if (configExists.length === 0) {
+	      database.run(`
+	        CREATE TABLE IF NOT EXISTS xhs_config (
+	          id INTEGER PRIMARY KEY AUTOINCREMENT,
+	          cookies TEXT,
+	          authorization TEXT,
+	          extra_headers TEXT,
+	          last_sync_at DATETIME,
+	          last_success_at DATETIME,
+	          sync_enabled INTEGER DEFAULT 0,
+	          sync_interval_hours INTEGER DEFAULT 6,
+	          last_error TEXT,
+	          error_count INTEGER DEFAULT 0,
+	          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+	        )
+	      `)
+      database.run('INSERT INTO xhs_config (sync_enabled, sync_interval_hours) VALUES (0, 6)')
+      changed = true
+    } else {
+      const configInfo = database.exec('PRAGMA table_info(xhs_config)')
+      if (configInfo.length > 0) {
+        const columns = configInfo[0].values.map(row => row[1])
+        if (!columns.includes('last_success_at')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN last_success_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('last_error')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN last_error TEXT')
+          changed = true
+        }
+        if (!columns.includes('error_count')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN error_count INTEGER DEFAULT 0')
+          changed = true
+        }
+        if (!columns.includes('sync_enabled')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN sync_enabled INTEGER DEFAULT 0')
+          changed = true
+        }
+        if (!columns.includes('sync_interval_hours')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN sync_interval_hours INTEGER DEFAULT 6')
+          changed = true
+        }
+        if (!columns.includes('updated_at')) {
+          database.run("ALTER TABLE xhs_config ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('authorization')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN authorization TEXT')
+          changed = true
+        }
+        if (!columns.includes('extra_headers')) {
+          database.run('ALTER TABLE xhs_config ADD COLUMN extra_headers TEXT')
+          changed = true
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 xhs_config 表:', error)
+  }
+
+  return changed
+}
+
+const ensureXianyuTables = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const ordersExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'xianyu_orders'`)
+    if (ordersExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS xianyu_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL UNIQUE,
+          status TEXT DEFAULT 'pending',
+          order_status TEXT,
+          order_time DATETIME,
+          actual_paid INTEGER,
+          nickname TEXT,
+          user_email TEXT,
+          assigned_code_id INTEGER,
+          assigned_code TEXT,
+          is_used INTEGER DEFAULT 0,
+          extracted_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          reserved_at DATETIME,
+          used_at DATETIME,
+          im_notified_at DATETIME,
+          im_notified_message TEXT,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          FOREIGN KEY (assigned_code_id) REFERENCES redemption_codes(id)
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(xianyu_orders)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        if (!columns.includes('status')) {
+          database.run(`ALTER TABLE xianyu_orders ADD COLUMN status TEXT DEFAULT 'pending'`)
+          changed = true
+        }
+        if (!columns.includes('order_time')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN order_time DATETIME')
+          changed = true
+        }
+        if (!columns.includes('actual_paid')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN actual_paid INTEGER')
+          changed = true
+        }
+        if (!columns.includes('order_status')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN order_status TEXT')
+          changed = true
+        }
+        if (!columns.includes('nickname')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN nickname TEXT')
+          changed = true
+        }
+        if (!columns.includes('user_email')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN user_email TEXT')
+          changed = true
+        }
+        if (!columns.includes('assigned_code_id')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN assigned_code_id INTEGER')
+          changed = true
+        }
+        if (!columns.includes('assigned_code')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN assigned_code TEXT')
+          changed = true
+        }
+        if (!columns.includes('reserved_at')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN reserved_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('used_at')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN used_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('im_notified_at')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN im_notified_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('im_notified_message')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN im_notified_message TEXT')
+          changed = true
+        }
+        if (!columns.includes('extracted_at')) {
+          database.run("ALTER TABLE xianyu_orders ADD COLUMN extracted_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('created_at')) {
+          database.run("ALTER TABLE xianyu_orders ADD COLUMN created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('updated_at')) {
+          database.run("ALTER TABLE xianyu_orders ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('is_used')) {
+          database.run('ALTER TABLE xianyu_orders ADD COLUMN is_used INTEGER DEFAULT 0')
+          changed = true
+        }
+      }
+    }
+
+	    database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_xianyu_orders_order_id ON xianyu_orders(order_id)')
+	    database.run('CREATE INDEX IF NOT EXISTS idx_xianyu_orders_status ON xianyu_orders(status, created_at)')
+	    database.run('CREATE INDEX IF NOT EXISTS idx_xianyu_orders_usage ON xianyu_orders(is_used, created_at)')
+	    changed = ensureIndex(
+	      database,
+	      'idx_xianyu_orders_assigned_code_id',
+	      'CREATE INDEX IF NOT EXISTS idx_xianyu_orders_assigned_code_id ON xianyu_orders(assigned_code_id)'
+	    ) || changed
+	    changed = ensureIndex(
+	      database,
+	      'idx_xianyu_orders_assigned_code',
+	      'CREATE INDEX IF NOT EXISTS idx_xianyu_orders_assigned_code ON xianyu_orders(assigned_code)'
+	    ) || changed
+	  } catch (error) {
+	    console.warn('[DB] 无法初始化 xianyu_orders 表:', error)
+	  }
+
+  try {
+    const configExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'xianyu_config'`)
+    if (configExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS xianyu_config (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cookies TEXT,
+          last_sync_at DATETIME,
+          last_success_at DATETIME,
+          sync_enabled INTEGER DEFAULT 0,
+          sync_interval_hours INTEGER DEFAULT 6,
+          last_error TEXT,
+          error_count INTEGER DEFAULT 0,
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      database.run('INSERT INTO xianyu_config (sync_enabled, sync_interval_hours) VALUES (0, 6)')
+      changed = true
+    } else {
+      const configInfo = database.exec('PRAGMA table_info(xianyu_config)')
+      if (configInfo.length > 0) {
+        const columns = configInfo[0].values.map(row => row[1])
+        if (!columns.includes('last_success_at')) {
+          database.run('ALTER TABLE xianyu_config ADD COLUMN last_success_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('last_error')) {
+          database.run('ALTER TABLE xianyu_config ADD COLUMN last_error TEXT')
+          changed = true
+        }
+        if (!columns.includes('error_count')) {
+          database.run('ALTER TABLE xianyu_config ADD COLUMN error_count INTEGER DEFAULT 0')
+          changed = true
+        }
+        if (!columns.includes('sync_enabled')) {
+          database.run('ALTER TABLE xianyu_config ADD COLUMN sync_enabled INTEGER DEFAULT 0')
+          changed = true
+        }
+        if (!columns.includes('sync_interval_hours')) {
+          database.run('ALTER TABLE xianyu_config ADD COLUMN sync_interval_hours INTEGER DEFAULT 6')
+          changed = true
+        }
+        if (!columns.includes('updated_at')) {
+          database.run("ALTER TABLE xianyu_config ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 xianyu_config 表:', error)
+  }
+
+  return changed
+}
+
+const ensureLinuxDoUsersTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'linuxdo_users'`)
+	    if (tableExists.length === 0) {
+	      database.run(`
+	        CREATE TABLE IF NOT EXISTS linuxdo_users (
+	          uid TEXT PRIMARY KEY,
+	          username TEXT NOT NULL,
+            name TEXT,
+            trust_level INTEGER,
+	          email TEXT,
+	          current_open_account_id INTEGER,
+	          current_open_account_email TEXT,
+	          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+	          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+	        )
+	      `)
+	      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(linuxdo_users)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        if (!columns.includes('name')) {
+          database.run('ALTER TABLE linuxdo_users ADD COLUMN name TEXT')
+          changed = true
+        }
+        if (!columns.includes('trust_level')) {
+          database.run('ALTER TABLE linuxdo_users ADD COLUMN trust_level INTEGER')
+          changed = true
+        }
+        if (!columns.includes('email')) {
+          database.run('ALTER TABLE linuxdo_users ADD COLUMN email TEXT')
+          changed = true
+        }
+	        if (!columns.includes('current_open_account_id')) {
+	          database.run('ALTER TABLE linuxdo_users ADD COLUMN current_open_account_id INTEGER')
+	          changed = true
+	        }
+	        if (!columns.includes('current_open_account_email')) {
+	          database.run('ALTER TABLE linuxdo_users ADD COLUMN current_open_account_email TEXT')
+	          changed = true
+	        }
+	        if (!columns.includes('updated_at')) {
+	          database.run("ALTER TABLE linuxdo_users ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+	          changed = true
+	        }
+        if (!columns.includes('created_at')) {
+          database.run("ALTER TABLE linuxdo_users ADD COLUMN created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 linuxdo_users 表:', error)
+  }
+
+  return changed
+}
+
+const ensureChannelsTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    if (!tableExists(database, 'channels')) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          redeem_mode TEXT NOT NULL DEFAULT 'code',
+          allow_common_fallback INTEGER DEFAULT 0,
+          is_active INTEGER DEFAULT 1,
+          is_builtin INTEGER DEFAULT 0,
+          sort_order INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } else {
+      const columns = getTableColumns(database, 'channels')
+      const addColumn = (name, ddl) => {
+        if (columns.has(name)) return
+        database.run(`ALTER TABLE channels ADD COLUMN ${ddl}`)
+        changed = true
+        columns.add(name)
+      }
+
+      addColumn('key', 'key TEXT')
+      addColumn('name', 'name TEXT')
+      addColumn('redeem_mode', "redeem_mode TEXT NOT NULL DEFAULT 'code'")
+      addColumn('allow_common_fallback', 'allow_common_fallback INTEGER DEFAULT 0')
+      addColumn('is_active', 'is_active INTEGER DEFAULT 1')
+      addColumn('is_builtin', 'is_builtin INTEGER DEFAULT 0')
+      addColumn('sort_order', 'sort_order INTEGER DEFAULT 0')
+      addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+      addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+    }
+
+    database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_channels_key ON channels(key)')
+    database.run('CREATE INDEX IF NOT EXISTS idx_channels_active_sort ON channels(is_active, sort_order, id)')
+  } catch (error) {
+    console.warn('[DB] 无法初始化 channels 表:', error)
+  }
+
+  try {
+    const NON_BUILTIN_KEYS = ['paypal', 'artisan-flow']
+    database.run(
+      `UPDATE channels SET is_builtin = 0, updated_at = DATETIME('now', 'localtime') WHERE key IN (${NON_BUILTIN_KEYS.map(() => '?').join(',')}) AND is_builtin = 1`,
+      NON_BUILTIN_KEYS
+    )
+
+    for (const channel of BUILTIN_CHANNELS) {
+      const existing = database.exec('SELECT id FROM channels WHERE key = ? LIMIT 1', [channel.key])
+      if (existing[0]?.values?.length) continue
+      database.run(
+        `
+          INSERT INTO channels (key, name, redeem_mode, allow_common_fallback, is_active, is_builtin, sort_order, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        [
+          channel.key,
+          channel.name,
+          channel.redeemMode,
+          Number(channel.allowCommonFallback) ? 1 : 0,
+          Number(channel.isActive) ? 1 : 0,
+          Number(channel.isBuiltin) ? 1 : 0,
+          Number.isFinite(Number(channel.sortOrder)) ? Number(channel.sortOrder) : 0
+        ]
+      )
+      changed = true
+    }
+  } catch (error) {
+    console.warn('[DB] 无法写入内置渠道数据:', error)
+  }
+
+  return changed
+}
+
+const ensurePurchaseProductsTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    if (!tableExists(database, 'purchase_products')) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS purchase_products (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          product_key TEXT UNIQUE NOT NULL,
+          product_name TEXT NOT NULL,
+          amount TEXT NOT NULL,
+          service_days INTEGER NOT NULL,
+          order_type TEXT NOT NULL DEFAULT 'warranty',
+          code_channels TEXT NOT NULL,
+          is_active INTEGER DEFAULT 1,
+          sort_order INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } else {
+      const columns = getTableColumns(database, 'purchase_products')
+      const addColumn = (name, ddl) => {
+        if (columns.has(name)) return
+        database.run(`ALTER TABLE purchase_products ADD COLUMN ${ddl}`)
+        changed = true
+        columns.add(name)
+      }
+
+      addColumn('product_key', 'product_key TEXT')
+      addColumn('product_name', 'product_name TEXT')
+      addColumn('amount', 'amount TEXT')
+      addColumn('service_days', 'service_days INTEGER')
+      addColumn('order_type', "order_type TEXT NOT NULL DEFAULT 'warranty'")
+      addColumn('code_channels', 'code_channels TEXT')
+      addColumn('is_active', 'is_active INTEGER DEFAULT 1')
+      addColumn('sort_order', 'sort_order INTEGER DEFAULT 0')
+      addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+      addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+    }
+
+    database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_products_key ON purchase_products(product_key)')
+    database.run('CREATE INDEX IF NOT EXISTS idx_purchase_products_active_sort ON purchase_products(is_active, sort_order, id)')
+  } catch (error) {
+    console.warn('[DB] 无法初始化 purchase_products 表:', error)
+  }
+
+  try {
+    const countResult = database.exec('SELECT COUNT(*) FROM purchase_products')
+    const total = Number(countResult[0]?.values?.[0]?.[0] || 0)
+    if (total > 0) return changed
+
+    const toInt = (value, fallback) => {
+      const parsed = Number.parseInt(String(value ?? ''), 10)
+      return Number.isFinite(parsed) ? parsed : fallback
+    }
+
+    const formatMoney = (value, fallback) => {
+      const parsed = Number.parseFloat(String(value ?? ''))
+      if (!Number.isFinite(parsed) || parsed <= 0) return fallback
+      return (Math.round(parsed * 100) / 100).toFixed(2)
+    }
+
+    const baseNameRaw = String(process.env.PURCHASE_PRODUCT_NAME || '通用渠道激活码').trim()
+    const baseName = baseNameRaw || '通用渠道激活码'
+    const warrantyAmount = formatMoney(process.env.PURCHASE_PRICE, '1.00')
+    const warrantyServiceDays = Math.max(1, toInt(process.env.PURCHASE_SERVICE_DAYS, 30))
+
+    const noWarrantyAmount = formatMoney(process.env.PURCHASE_NO_WARRANTY_PRICE, '5.00')
+    const noWarrantyServiceDays = Math.max(1, toInt(process.env.PURCHASE_NO_WARRANTY_SERVICE_DAYS, warrantyServiceDays))
+    const noWarrantyNameRaw = String(process.env.PURCHASE_NO_WARRANTY_PRODUCT_NAME || `${baseName}（无质保）`).trim()
+    const noWarrantyName = noWarrantyNameRaw || `${baseName}（无质保）`
+
+    database.run(
+      `
+        INSERT INTO purchase_products (
+          product_key, product_name, amount, service_days, order_type, code_channels, is_active, sort_order, created_at, updated_at
+        ) VALUES
+          (?, ?, ?, ?, ?, ?, 1, 10, DATETIME('now', 'localtime'), DATETIME('now', 'localtime')),
+          (?, ?, ?, ?, ?, ?, 1, 20, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      [
+        'warranty',
+        baseName,
+        warrantyAmount,
+        warrantyServiceDays,
+        'warranty',
+        'paypal',
+        'no_warranty',
+        noWarrantyName,
+        noWarrantyAmount,
+        noWarrantyServiceDays,
+        'no_warranty',
+        'common'
+      ]
+    )
+    changed = true
+
+    const antiBanNameRaw = String(process.env.PURCHASE_ANTI_BAN_PRODUCT_NAME || '').trim()
+    const antiBanPriceRaw = String(process.env.PURCHASE_ANTI_BAN_PRICE || '').trim()
+    if (antiBanNameRaw || antiBanPriceRaw) {
+      const antiBanName = antiBanNameRaw || `${baseName}(防封禁)`
+      const antiBanAmount = formatMoney(antiBanPriceRaw, '10.00')
+      const antiBanDays = Math.max(1, toInt(process.env.PURCHASE_ANTI_BAN_SERVICE_DAYS, warrantyServiceDays))
+      database.run(
+        `
+          INSERT INTO purchase_products (
+            product_key, product_name, amount, service_days, order_type, code_channels, is_active, sort_order, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, 'anti_ban', 'common', 0, 30, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        ['anti_ban', antiBanName, antiBanAmount, antiBanDays]
+      )
+      changed = true
+    }
+  } catch (error) {
+    console.warn('[DB] 无法写入默认支付商品数据:', error)
+  }
+
+  return changed
+}
+
+const ensureAccountRecoveryTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'account_recovery_logs'`)
+    if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS account_recovery_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT NOT NULL,
+          original_code_id INTEGER NOT NULL,
+          original_redeemed_at DATETIME,
+          original_account_email TEXT,
+          recovery_mode TEXT,
+          recovery_code_id INTEGER,
+          recovery_code TEXT,
+          recovery_account_email TEXT,
+          status TEXT DEFAULT 'pending',
+          error_message TEXT,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(account_recovery_logs)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        if (!columns.includes('original_code_id')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN original_code_id INTEGER')
+          changed = true
+        }
+        if (!columns.includes('original_redeemed_at')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN original_redeemed_at DATETIME')
+          changed = true
+        }
+        if (!columns.includes('original_account_email')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN original_account_email TEXT')
+          changed = true
+        }
+        if (!columns.includes('recovery_mode')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN recovery_mode TEXT')
+          changed = true
+        }
+        if (!columns.includes('recovery_code_id')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN recovery_code_id INTEGER')
+          changed = true
+        }
+        if (!columns.includes('recovery_code')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN recovery_code TEXT')
+          changed = true
+        }
+        if (!columns.includes('recovery_account_email')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN recovery_account_email TEXT')
+          changed = true
+        }
+        if (!columns.includes('status')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN status TEXT DEFAULT \'pending\'')
+          changed = true
+        }
+        if (!columns.includes('error_message')) {
+          database.run('ALTER TABLE account_recovery_logs ADD COLUMN error_message TEXT')
+          changed = true
+        }
+        if (!columns.includes('created_at')) {
+          database.run("ALTER TABLE account_recovery_logs ADD COLUMN created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+        if (!columns.includes('updated_at')) {
+          database.run("ALTER TABLE account_recovery_logs ADD COLUMN updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+          changed = true
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 account_recovery_logs 表:', error)
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_account_recovery_email ON account_recovery_logs (email)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_account_recovery_original_code ON account_recovery_logs (original_code_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_account_recovery_status ON account_recovery_logs (status)')
+  changed = ensureIndex(
+    database,
+    'idx_account_recovery_recovery_code_status',
+    'CREATE INDEX IF NOT EXISTS idx_account_recovery_recovery_code_status ON account_recovery_logs (recovery_code_id, status)'
+  ) || changed
+  changed = ensureIndex(
+    database,
+    'idx_account_recovery_original_status_id',
+    'CREATE INDEX IF NOT EXISTS idx_account_recovery_original_status_id ON account_recovery_logs (original_code_id, status, id DESC)'
+  ) || changed
+
+  return changed
+}
+
+const ensurePurchaseOrdersTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'purchase_orders'`)
+    if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          invite_reward_to_user_id INTEGER,
+          invite_reward_points INTEGER,
+          invite_rewarded_at DATETIME,
+          buyer_reward_points INTEGER,
+          buyer_rewarded_at DATETIME,
+          order_no TEXT NOT NULL UNIQUE,
+          email TEXT NOT NULL,
+          product_name TEXT NOT NULL,
+          amount TEXT NOT NULL,
+          service_days INTEGER DEFAULT 30,
+          order_type TEXT DEFAULT 'warranty',
+          product_key TEXT,
+          code_channel TEXT,
+          pay_type TEXT,
+          status TEXT DEFAULT 'created',
+          zpay_oid TEXT,
+          zpay_trade_no TEXT,
+          zpay_payurl TEXT,
+          zpay_qrcode TEXT,
+          zpay_img TEXT,
+          query_payload TEXT,
+          query_at DATETIME,
+          query_status INTEGER,
+          code_id INTEGER,
+          code TEXT,
+          code_account_email TEXT,
+          notify_payload TEXT,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          paid_at DATETIME,
+          redeemed_at DATETIME,
+          invite_status TEXT,
+          redeem_account_email TEXT,
+          redeem_user_count INTEGER,
+          redeem_error TEXT,
+          refunded_at DATETIME,
+          refund_amount TEXT,
+          refund_message TEXT,
+          email_sent_at DATETIME,
+          telegram_sent_at DATETIME,
+          FOREIGN KEY (code_id) REFERENCES redemption_codes(id)
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(purchase_orders)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        const addColumn = (name, ddl) => {
+          if (!columns.includes(name)) {
+            database.run(`ALTER TABLE purchase_orders ADD COLUMN ${ddl}`)
+            changed = true
+          }
+        }
+
+        addColumn('user_id', 'user_id INTEGER')
+        addColumn('invite_reward_to_user_id', 'invite_reward_to_user_id INTEGER')
+        addColumn('invite_reward_points', 'invite_reward_points INTEGER')
+        addColumn('invite_rewarded_at', 'invite_rewarded_at DATETIME')
+        addColumn('buyer_reward_points', 'buyer_reward_points INTEGER')
+        addColumn('buyer_rewarded_at', 'buyer_rewarded_at DATETIME')
+        addColumn('order_no', 'order_no TEXT')
+        addColumn('email', 'email TEXT')
+        addColumn('product_name', 'product_name TEXT')
+        addColumn('amount', 'amount TEXT')
+        addColumn('service_days', 'service_days INTEGER DEFAULT 30')
+        addColumn('order_type', "order_type TEXT DEFAULT 'warranty'")
+        addColumn('product_key', 'product_key TEXT')
+        addColumn('code_channel', 'code_channel TEXT')
+        addColumn('pay_type', 'pay_type TEXT')
+        addColumn('status', 'status TEXT DEFAULT \'created\'')
+        addColumn('zpay_oid', 'zpay_oid TEXT')
+        addColumn('zpay_trade_no', 'zpay_trade_no TEXT')
+        addColumn('zpay_payurl', 'zpay_payurl TEXT')
+        addColumn('zpay_qrcode', 'zpay_qrcode TEXT')
+        addColumn('zpay_img', 'zpay_img TEXT')
+        addColumn('query_payload', 'query_payload TEXT')
+        addColumn('query_at', 'query_at DATETIME')
+        addColumn('query_status', 'query_status INTEGER')
+        addColumn('code_id', 'code_id INTEGER')
+        addColumn('code', 'code TEXT')
+        addColumn('code_account_email', 'code_account_email TEXT')
+        addColumn('notify_payload', 'notify_payload TEXT')
+        addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('paid_at', 'paid_at DATETIME')
+        addColumn('redeemed_at', 'redeemed_at DATETIME')
+        addColumn('invite_status', 'invite_status TEXT')
+        addColumn('redeem_account_email', 'redeem_account_email TEXT')
+        addColumn('redeem_user_count', 'redeem_user_count INTEGER')
+        addColumn('redeem_error', 'redeem_error TEXT')
+        addColumn('refunded_at', 'refunded_at DATETIME')
+        addColumn('refund_amount', 'refund_amount TEXT')
+        addColumn('refund_message', 'refund_message TEXT')
+        addColumn('email_sent_at', 'email_sent_at DATETIME')
+        addColumn('telegram_sent_at', 'telegram_sent_at DATETIME')
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 purchase_orders 表:', error)
+  }
+
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_orders_order_no ON purchase_orders(order_no)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_status_created ON purchase_orders(status, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_email_created ON purchase_orders(email, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_user_created ON purchase_orders(user_id, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_product_created ON purchase_orders(product_key, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_code_channel_created ON purchase_orders(code_channel, created_at)')
+  changed = ensureIndex(
+    database,
+    'idx_purchase_orders_code_id_created_desc',
+    'CREATE INDEX IF NOT EXISTS idx_purchase_orders_code_id_created_desc ON purchase_orders(code_id, created_at DESC)'
+  ) || changed
+  changed = ensureIndex(
+    database,
+    'idx_purchase_orders_code_created_desc',
+    'CREATE INDEX IF NOT EXISTS idx_purchase_orders_code_created_desc ON purchase_orders(code, created_at DESC)'
+  ) || changed
+
+  try {
+    // Backfill for older orders (best-effort).
+    database.run(
+      `
+        UPDATE purchase_orders
+        SET product_key = COALESCE(NULLIF(TRIM(product_key), ''), COALESCE(NULLIF(TRIM(order_type), ''), 'warranty'))
+        WHERE product_key IS NULL OR TRIM(product_key) = ''
+      `
+    )
+    database.run(
+      `
+        UPDATE purchase_orders
+        SET code_channel = COALESCE(
+          NULLIF(TRIM(code_channel), ''),
+          CASE
+            WHEN lower(trim(order_type)) = 'warranty' THEN 'paypal'
+            ELSE 'common'
+          END
+        )
+        WHERE code_channel IS NULL OR TRIM(code_channel) = ''
+      `
+    )
+  } catch (error) {
+    console.warn('[DB] 无法回填 purchase_orders.product_key/code_channel:', error)
+  }
+
+  return changed
+}
+
+const ensurePointsWithdrawalsTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'points_withdrawals'`)
+    if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS points_withdrawals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          points INTEGER NOT NULL,
+          cash_amount TEXT,
+          method TEXT NOT NULL,
+          payout_account TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          remark TEXT,
+          payout_ref TEXT,
+          processed_by INTEGER,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          processed_at DATETIME
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(points_withdrawals)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        const addColumn = (name, ddl) => {
+          if (!columns.includes(name)) {
+            database.run(`ALTER TABLE points_withdrawals ADD COLUMN ${ddl}`)
+            changed = true
+          }
+        }
+
+        addColumn('user_id', 'user_id INTEGER')
+        addColumn('points', 'points INTEGER')
+        addColumn('cash_amount', 'cash_amount TEXT')
+        addColumn('method', 'method TEXT')
+        addColumn('payout_account', 'payout_account TEXT')
+        addColumn('status', "status TEXT DEFAULT 'pending'")
+        addColumn('remark', 'remark TEXT')
+        addColumn('payout_ref', 'payout_ref TEXT')
+        addColumn('processed_by', 'processed_by INTEGER')
+        addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('processed_at', 'processed_at DATETIME')
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 points_withdrawals 表:', error)
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_points_withdrawals_user_created ON points_withdrawals(user_id, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_points_withdrawals_status_created ON points_withdrawals(status, created_at)')
+
+  return changed
+}
+
+const ensurePointsLedgerTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'points_ledger'`)
+    if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS points_ledger (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          delta_points INTEGER NOT NULL,
+          points_before INTEGER NOT NULL,
+          points_after INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          ref_type TEXT,
+          ref_id TEXT,
+          remark TEXT,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(points_ledger)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        const addColumn = (name, ddl) => {
+          if (!columns.includes(name)) {
+            database.run(`ALTER TABLE points_ledger ADD COLUMN ${ddl}`)
+            changed = true
+          }
+        }
+
+        addColumn('user_id', 'user_id INTEGER')
+        addColumn('delta_points', 'delta_points INTEGER')
+        addColumn('points_before', 'points_before INTEGER')
+        addColumn('points_after', 'points_after INTEGER')
+        addColumn('action', "action TEXT DEFAULT ''")
+        addColumn('ref_type', 'ref_type TEXT')
+        addColumn('ref_id', 'ref_id TEXT')
+        addColumn('remark', 'remark TEXT')
+        addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 points_ledger 表:', error)
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_points_ledger_user_created ON points_ledger(user_id, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_points_ledger_user_id_id ON points_ledger(user_id, id)')
+
+  return changed
+}
+
+const ensureAnnouncementsTables = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    if (!tableExists(database, 'announcements')) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS announcements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          content TEXT NOT NULL,
+          is_published INTEGER NOT NULL DEFAULT 1,
+          pinned INTEGER NOT NULL DEFAULT 0,
+          published_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+        )
+      `)
+      changed = true
+    } else {
+      const columns = getTableColumns(database, 'announcements')
+      const addColumn = (name, ddl) => {
+        if (columns.has(name)) return
+        database.run(`ALTER TABLE announcements ADD COLUMN ${ddl}`)
+        console.log(`[DB] 已添加 announcements.${name} 列`)
+        changed = true
+        columns.add(name)
+      }
+
+      addColumn('is_published', 'is_published INTEGER DEFAULT 1')
+      addColumn('pinned', 'pinned INTEGER DEFAULT 0')
+      addColumn('published_at', "published_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+      addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+      addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+    }
+
+    if (!tableExists(database, 'announcement_reads')) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS announcement_reads (
+          announcement_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          read_at DATETIME NOT NULL,
+          PRIMARY KEY (announcement_id, user_id)
+        )
+      `)
+      changed = true
+    } else {
+      const columns = getTableColumns(database, 'announcement_reads')
+      if (!columns.has('read_at')) {
+        database.run('ALTER TABLE announcement_reads ADD COLUMN read_at DATETIME')
+        console.log('[DB] 已添加 announcement_reads.read_at 列')
+        changed = true
+      }
+    }
+
+    database.run('CREATE INDEX IF NOT EXISTS idx_announcements_published_at ON announcements(published_at)')
+    database.run('CREATE INDEX IF NOT EXISTS idx_announcements_pinned_published_at ON announcements(pinned, published_at)')
+    database.run('CREATE INDEX IF NOT EXISTS idx_announcement_reads_user ON announcement_reads(user_id, read_at)')
+  } catch (error) {
+    console.warn('[DB] 无法初始化 announcements/announcement_reads 表:', error)
+  }
+
+  return changed
+}
+
+const ensureCreditOrdersTable = (database) => {
+  if (!database) return false
+  let changed = false
+
+  try {
+    const tableExists = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'credit_orders'`)
+    if (tableExists.length === 0) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS credit_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_no TEXT NOT NULL UNIQUE,
+          trade_no TEXT,
+          uid TEXT NOT NULL,
+          username TEXT,
+          order_email TEXT,
+          scene TEXT NOT NULL,
+          title TEXT NOT NULL,
+          amount TEXT NOT NULL,
+          status TEXT DEFAULT 'created',
+          pay_url TEXT,
+          target_account_id INTEGER,
+          code_id INTEGER,
+          code TEXT,
+          code_account_email TEXT,
+          action_status TEXT,
+          action_message TEXT,
+          action_payload TEXT,
+          action_result TEXT,
+          query_payload TEXT,
+          query_at DATETIME,
+          query_status INTEGER,
+          notify_payload TEXT,
+          notify_at DATETIME,
+          created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+          paid_at DATETIME,
+          refunded_at DATETIME,
+          refund_message TEXT
+        )
+      `)
+      changed = true
+    } else {
+      const tableInfo = database.exec('PRAGMA table_info(credit_orders)')
+      if (tableInfo.length > 0) {
+        const columns = tableInfo[0].values.map(row => row[1])
+        const addColumn = (name, ddl) => {
+          if (!columns.includes(name)) {
+            database.run(`ALTER TABLE credit_orders ADD COLUMN ${ddl}`)
+            changed = true
+          }
+        }
+
+        addColumn('order_no', 'order_no TEXT')
+        addColumn('trade_no', 'trade_no TEXT')
+        addColumn('uid', 'uid TEXT')
+        addColumn('username', 'username TEXT')
+        addColumn('order_email', 'order_email TEXT')
+        addColumn('scene', 'scene TEXT')
+        addColumn('title', 'title TEXT')
+        addColumn('amount', 'amount TEXT')
+        addColumn('status', 'status TEXT DEFAULT \'created\'')
+        addColumn('pay_url', 'pay_url TEXT')
+        addColumn('target_account_id', 'target_account_id INTEGER')
+        addColumn('code_id', 'code_id INTEGER')
+        addColumn('code', 'code TEXT')
+        addColumn('code_account_email', 'code_account_email TEXT')
+        addColumn('action_status', 'action_status TEXT')
+        addColumn('action_message', 'action_message TEXT')
+        addColumn('action_payload', 'action_payload TEXT')
+        addColumn('action_result', 'action_result TEXT')
+        addColumn('query_payload', 'query_payload TEXT')
+        addColumn('query_at', 'query_at DATETIME')
+        addColumn('query_status', 'query_status INTEGER')
+        addColumn('notify_payload', 'notify_payload TEXT')
+        addColumn('notify_at', 'notify_at DATETIME')
+        addColumn('created_at', "created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('updated_at', "updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))")
+        addColumn('paid_at', 'paid_at DATETIME')
+        addColumn('refunded_at', 'refunded_at DATETIME')
+        addColumn('refund_message', 'refund_message TEXT')
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法初始化 credit_orders 表:', error)
+  }
+
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_orders_order_no ON credit_orders(order_no)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_credit_orders_trade_no ON credit_orders(trade_no)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_credit_orders_uid_created ON credit_orders(uid, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_credit_orders_status_created ON credit_orders(status, created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_credit_orders_scene ON credit_orders(scene, created_at)')
+  changed = ensureIndex(
+    database,
+    'idx_credit_orders_code_id_created_desc',
+    'CREATE INDEX IF NOT EXISTS idx_credit_orders_code_id_created_desc ON credit_orders(code_id, created_at DESC)'
+  ) || changed
+  changed = ensureIndex(
+    database,
+    'idx_credit_orders_code_created_desc',
+    'CREATE INDEX IF NOT EXISTS idx_credit_orders_code_created_desc ON credit_orders(code, created_at DESC)'
+  ) || changed
+
+  return changed
+}
+
+export function applyLegacySchema(database) {
+  // 检查数据库是否已经创建过表
+  if (tableExists(database, 'users')) {
+    // 检查是否已经有完整的表结构
+    try {
+      const usersTable = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`)
+      const gptAccountsTable = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'gpt_accounts'`)
+      const redemptionCodesTable = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'redemption_codes'`)
+      const systemConfigTable = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'system_config'`)
+
+      if (usersTable.length > 0 && gptAccountsTable.length > 0 && redemptionCodesTable.length > 0 && systemConfigTable.length > 0) {
+        console.log('数据库已存在且表结构完整，跳过初始化')
+
+        ensureWaitingRoomTable(database)
+        ensureXhsTables(database)
+        ensureXianyuTables(database)
+        ensureLinuxDoUsersTable(database)
+        ensureAccountRecoveryTable(database)
+        ensurePurchaseOrdersTable(database)
+        ensureCreditOrdersTable(database)
+        ensureChannelsTable(database)
+        ensurePurchaseProductsTable(database)
+        ensurePointsWithdrawalsTable(database)
+        ensurePointsLedgerTable(database)
+        ensureAnnouncementsTables(database)
+
+        // 只执行必要的列添加检查（用于数据库升级）
+        try {
+          // 检查 gpt_accounts 表的列
+          const tableInfo = database.exec('PRAGMA table_info(gpt_accounts)')
+          if (tableInfo.length > 0) {
+            const columns = tableInfo[0].values.map(row => row[1])
+
+            if (!columns.includes('chatgpt_account_id')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN chatgpt_account_id TEXT')
+              console.log('已添加 chatgpt_account_id 列到 gpt_accounts 表')
+            }
+
+            if (!columns.includes('oai_device_id')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN oai_device_id TEXT')
+              console.log('已添加 oai_device_id 列到 gpt_accounts 表')
+            }
+
+            if (!columns.includes('refresh_token')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN refresh_token TEXT')
+              console.log('已添加 refresh_token 列到 gpt_accounts 表')
+            }
+
+            if (!columns.includes('invite_count')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN invite_count INTEGER DEFAULT 0')
+              console.log('已添加 invite_count 列到 gpt_accounts 表')
+            }
+
+            if (!columns.includes('is_open')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN is_open INTEGER DEFAULT 0')
+              console.log('已添加 is_open 列到 gpt_accounts 表')
+            }
+
+            // is_demoted 已弃用（仅保留字段兼容历史数据）
+            if (!columns.includes('is_demoted')) {
+              database.run('ALTER TABLE gpt_accounts ADD COLUMN is_demoted INTEGER DEFAULT 0')
+              console.log('已添加 is_demoted 列到 gpt_accounts 表')
+            }
+
+	            if (!columns.includes('expire_at')) {
+	              database.run('ALTER TABLE gpt_accounts ADD COLUMN expire_at TEXT')
+	              console.log('已添加 expire_at 列到 gpt_accounts 表')
+	            }
+
+	            if (!columns.includes('is_banned')) {
+	              database.run('ALTER TABLE gpt_accounts ADD COLUMN is_banned INTEGER DEFAULT 0')
+	              console.log('已添加 is_banned 列到 gpt_accounts 表')
+	            }
+
+	            if (!columns.includes('ban_processed')) {
+	              database.run('ALTER TABLE gpt_accounts ADD COLUMN ban_processed INTEGER DEFAULT 0')
+	              console.log('已添加 ban_processed 列到 gpt_accounts 表')
+	            }
+	          }
+
+	          // 检查 redemption_codes 表的列
+	          const redemptionTableInfo = database.exec('PRAGMA table_info(redemption_codes)')
+          if (redemptionTableInfo.length > 0) {
+            const redemptionColumns = redemptionTableInfo[0].values.map(row => row[1])
+
+            if (!redemptionColumns.includes('account_email')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN account_email TEXT')
+              console.log('已添加 account_email 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('channel')) {
+              database.run(`ALTER TABLE redemption_codes ADD COLUMN channel TEXT DEFAULT '${DEFAULT_CHANNEL}'`)
+              console.log('已添加 channel 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('channel_name')) {
+              database.run(`ALTER TABLE redemption_codes ADD COLUMN channel_name TEXT DEFAULT '${DEFAULT_CHANNEL_NAME}'`)
+              console.log('已添加 channel_name 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_for_uid')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_for_uid TEXT')
+              console.log('已添加 reserved_for_uid 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_for_username')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_for_username TEXT')
+              console.log('已添加 reserved_for_username 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_for_entry_id')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_for_entry_id INTEGER')
+              console.log('已添加 reserved_for_entry_id 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_at')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_at DATETIME')
+              console.log('已添加 reserved_at 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_for_order_no')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_for_order_no TEXT')
+              console.log('已添加 reserved_for_order_no 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('reserved_for_order_email')) {
+              database.run('ALTER TABLE redemption_codes ADD COLUMN reserved_for_order_email TEXT')
+              console.log('已添加 reserved_for_order_email 列到 redemption_codes 表')
+            }
+
+            if (!redemptionColumns.includes('order_type')) {
+              database.run(`ALTER TABLE redemption_codes ADD COLUMN order_type TEXT DEFAULT 'warranty'`)
+              console.log('已添加 order_type 列到 redemption_codes 表')
+            }
+
+            database.run(
+              `UPDATE redemption_codes SET channel = ? WHERE channel IS NULL OR channel = ''`,
+              [DEFAULT_CHANNEL],
+            )
+            database.run(
+              `UPDATE redemption_codes SET channel_name = ? WHERE channel_name IS NULL OR channel_name = ''`,
+              [DEFAULT_CHANNEL_NAME],
+            )
+            database.run(
+              `UPDATE redemption_codes SET order_type = 'warranty' WHERE order_type IS NULL OR order_type = ''`
+            )
+          }
+	        } catch (err) {
+	          console.log('列检查/添加已跳过:', err.message)
+	        }
+
+	        ensureCoreIndexes(database)
+
+        return { fresh: false }
+      }
+    } catch (err) {
+      console.log('检查表结构时出错，将执行完整初始化:', err.message)
+    }
+  }
+
+  console.log('开始初始化数据库...')
+
+  // Create users table
+  database.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      email TEXT NOT NULL,
+      telegram_id TEXT,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  // Create system_config table for storing API keys and other settings
+  database.run(`
+    CREATE TABLE IF NOT EXISTS system_config (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      config_key TEXT UNIQUE NOT NULL,
+      config_value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  // Create gpt_accounts table to manage GPT accounts
+  // NOTE: gpt_accounts.is_demoted 已弃用（仅保留字段兼容历史数据；业务逻辑不再读取/写入该字段）。
+  database.run(`
+	    CREATE TABLE IF NOT EXISTS gpt_accounts (
+	      id INTEGER PRIMARY KEY AUTOINCREMENT,
+	      email TEXT NOT NULL,
+	      token TEXT NOT NULL,
+	      refresh_token TEXT,
+	      user_count INTEGER DEFAULT 0,
+	      invite_count INTEGER DEFAULT 0,
+	      chatgpt_account_id TEXT,
+	      oai_device_id TEXT,
+	      expire_at TEXT,
+	      is_open INTEGER DEFAULT 0,
+	      is_demoted INTEGER DEFAULT 0,
+	      is_banned INTEGER DEFAULT 0,
+	      ban_processed INTEGER DEFAULT 0,
+	      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+	      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+	    )
+	  `)
+
+  // Create redemption_codes table to manage redemption codes
+	  database.run(`
+	    CREATE TABLE IF NOT EXISTS redemption_codes (
+	      id INTEGER PRIMARY KEY AUTOINCREMENT,
+	      code TEXT UNIQUE NOT NULL,
+      is_redeemed INTEGER DEFAULT 0,
+      redeemed_at DATETIME,
+      redeemed_by TEXT,
+      account_email TEXT,
+      channel TEXT DEFAULT '${DEFAULT_CHANNEL}',
+      channel_name TEXT DEFAULT '${DEFAULT_CHANNEL_NAME}',
+      order_type TEXT DEFAULT 'warranty',
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      reserved_for_uid TEXT,
+      reserved_for_username TEXT,
+      reserved_for_entry_id INTEGER,
+      reserved_at DATETIME,
+      reserved_for_order_no TEXT,
+	      reserved_for_order_email TEXT
+	    )
+	  `)
+
+	  ensureCoreIndexes(database)
+
+	  ensureWaitingRoomTable(database)
+	  ensureXhsTables(database)
+	  ensureXianyuTables(database)
+	  ensureLinuxDoUsersTable(database)
+  ensureAccountRecoveryTable(database)
+  ensurePurchaseOrdersTable(database)
+  ensureCreditOrdersTable(database)
+  ensureChannelsTable(database)
+  ensurePurchaseProductsTable(database)
+  ensurePointsWithdrawalsTable(database)
+  ensurePointsLedgerTable(database)
+  ensureAnnouncementsTables(database)
+
+  // Check if columns exist and add them if they don't (for existing databases)
+  try {
+    const tableInfo = database.exec('PRAGMA table_info(gpt_accounts)')
+    if (tableInfo.length > 0) {
+      const columns = tableInfo[0].values.map(row => row[1])
+
+      if (!columns.includes('chatgpt_account_id')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN chatgpt_account_id TEXT')
+        console.log('已添加 chatgpt_account_id 列到 gpt_accounts 表')
+      }
+
+      if (!columns.includes('oai_device_id')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN oai_device_id TEXT')
+        console.log('已添加 oai_device_id 列到 gpt_accounts 表')
+      }
+
+      if (!columns.includes('refresh_token')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN refresh_token TEXT')
+        console.log('已添加 refresh_token 列到 gpt_accounts 表')
+      }
+
+      if (!columns.includes('invite_count')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN invite_count INTEGER DEFAULT 0')
+        console.log('已添加 invite_count 列到 gpt_accounts 表')
+      }
+
+      if (!columns.includes('is_open')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN is_open INTEGER DEFAULT 0')
+        console.log('已添加 is_open 列到 gpt_accounts 表')
+      }
+
+      // is_demoted 已弃用（仅保留字段兼容历史数据）
+      if (!columns.includes('is_demoted')) {
+        database.run('ALTER TABLE gpt_accounts ADD COLUMN is_demoted INTEGER DEFAULT 0')
+        console.log('已添加 is_demoted 列到 gpt_accounts 表')
+      }
+
+	      if (!columns.includes('expire_at')) {
+	        database.run('ALTER TABLE gpt_accounts ADD COLUMN expire_at TEXT')
+	        console.log('已添加 expire_at 列到 gpt_accounts 表')
+	      }
+
+	      if (!columns.includes('is_banned')) {
+	        database.run('ALTER TABLE gpt_accounts ADD COLUMN is_banned INTEGER DEFAULT 0')
+	        console.log('已添加 is_banned 列到 gpt_accounts 表')
+	      }
+
+	      if (!columns.includes('ban_processed')) {
+	        database.run('ALTER TABLE gpt_accounts ADD COLUMN ban_processed INTEGER DEFAULT 0')
+	        console.log('已添加 ban_processed 列到 gpt_accounts 表')
+	      }
+	    }
+	  } catch (err) {
+	    console.log('列检查/添加已跳过:', err.message)
+	  }
+
+  // Check if admin user exists
+  const adminUserResult = database.exec('SELECT id FROM users WHERE username = ? LIMIT 1', ['admin'])
+  const adminUserExists = Boolean(adminUserResult?.[0]?.values?.length)
+
+  if (!adminUserExists) {
+    // Create default admin user
+    const envPassword = String(process.env.INIT_ADMIN_PASSWORD || process.env.ADMIN_PASSWORD || '').trim()
+    const generatedPassword = crypto.randomBytes(16).toString('hex')
+    const plainPassword = envPassword || generatedPassword
+    const hashedPassword = bcrypt.hashSync(plainPassword, 10)
+    database.run(
+      `INSERT INTO users (username, password, email, created_at) VALUES (?, ?, ?, DATETIME('now', 'localtime'))`,
+      ['admin', hashedPassword, 'admin@example.com']
+    )
+
+    console.log('默认管理员用户已创建: username=admin')
+    if (envPassword) {
+      console.log('初始密码已从环境变量 INIT_ADMIN_PASSWORD 读取')
+    } else {
+      console.log('初始密码(随机生成):', plainPassword)
+    }
+    console.log('请尽快登录后台修改密码')
+  }
+
+  // 新库写入的时间本身就是本地时间，直接标记为已完成时间迁移
+  setUserVersion(database, LOCALTIME_MIGRATION_USER_VERSION)
+  console.log('数据库初始化成功')
+  return { fresh: true }
+}
+
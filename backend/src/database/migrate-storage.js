@@ -0,0 +1,75 @@
+// 存储引擎切换工具（一次性执行）：
+//   node src/database/migrate-storage.js --to sqlite   sql.js 快照 -> better-sqlite3 + WAL
+//   node src/database/migrate-storage.js --to sqljs    WAL -> 单文件快照（回退到 sql.js 前执行）
+// 执行前请先停止后端服务，避免两个进程同时写同一个数据库文件。
+import dotenv from 'dotenv'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { openStorage, resolveStorageEngine, STORAGE_ENGINE_SQLITE, STORAGE_ENGINE_SQLJS } from './storage/index.js'
+
+dotenv.config()
+
+const LABEL = '[DB Storage Migrate]'
+
+const parseArgs = (argv) => {
+  const args = { to: null, dbPath: null }
+  for (let i = 0; i < argv.length; i += 1) {
+    const value = argv[i]
+    if (value === '--to') args.to = argv[++i]
+    else if (value.startsWith('--to=')) args.to = value.slice('--to='.length)
+    else if (value === '--db') args.dbPath = argv[++i]
+    else if (value.startsWith('--db=')) args.dbPath = value.slice('--db='.length)
+  }
+  return args
+}
+
+const resolveDbPath = (explicitPath) => {
+  if (explicitPath) return path.resolve(explicitPath)
+  if (process.env.DATABASE_PATH) return path.resolve(process.env.DATABASE_PATH)
+  const backendRoot = path.dirname(path.dirname(path.dirname(fileURLToPath(import.meta.url))))
+  return path.join(backendRoot, 'db', 'database.sqlite')
+}
+
+const summarizeTables = (database) => {
+  const tables = database.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+  )
+  return (tables[0]?.values || []).map(([name]) => {
+    const count = database.exec(`SELECT COUNT(*) FROM "${String(name).replace(/"/g, '""')}"`)
+    return { table: name, rows: Number(count[0]?.values?.[0]?.[0] || 0) }
+  })
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2))
+  if (!args.to) {
+    throw new Error('请通过 --to sqlite 或 --to sqljs 指定目标引擎')
+  }
+  const target = resolveStorageEngine(args.to)
+
+  const dbPath = resolveDbPath(args.dbPath)
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`数据库文件不存在: ${dbPath}`)
+  }
+
+  // 两个方向都通过 sqlite 引擎打开：首次打开会备份快照并切换到 WAL
+  const storage = await openStorage({ engine: STORAGE_ENGINE_SQLITE, dbPath })
+  const summary = summarizeTables(storage.database)
+
+  if (target === STORAGE_ENGINE_SQLJS) {
+    storage.database.native.pragma('wal_checkpoint(TRUNCATE)')
+    storage.database.native.pragma('journal_mode = DELETE')
+    console.log(`${LABEL} 已合并 WAL 并切回单文件快照模式，可使用 DATABASE_ENGINE=sqljs 启动`)
+  } else {
+    console.log(`${LABEL} 迁移完成，请设置 DATABASE_ENGINE=sqlite 后启动服务`)
+  }
+
+  storage.close()
+  console.table(summary)
+}
+
+main().catch(error => {
+  console.error(`${LABEL} 失败:`, error?.message || error)
+  process.exit(1)
+})
@@ -0,0 +1,85 @@
+// 数据库迁移命令行：
+//   npm run db:migrate                 查看迁移状态（默认 status）
+//   npm run db:migrate -- up --dry-run 预演待执行迁移（在事务中执行后回滚，打印将执行的写语句）
+//   npm run db:migrate -- up           执行待执行迁移并写入 schema_migrations
+import dotenv from 'dotenv'
+import { closeDatabase, getDatabase, saveDatabase } from './init.js'
+import { applyMigrations, getMigrationStatus } from './migrator.js'
+
+dotenv.config()
+
+const LABEL = '[DB Migrate]'
+
+const parseArgs = (argv) => {
+  const positional = argv.filter(value => !value.startsWith('--'))
+  return {
+    command: positional[0] || 'status',
+    dryRun: argv.includes('--dry-run'),
+  }
+}
+
+const printStatus = (status) => {
+  const appliedByVersion = new Map(status.applied.map(item => [item.version, item]))
+  const modifiedVersions = new Set(status.modified.map(item => item.version))
+  const rows = status.available.map(item => {
+    const record = appliedByVersion.get(item.version)
+    return {
+      version: item.version,
+      name: item.name,
+      state: !record ? 'pending' : modifiedVersions.has(item.version) ? 'modified' : 'applied',
+      appliedAt: record?.appliedAt || '',
+      appliedBy: record?.appliedBy || '',
+      checksum: item.checksum.slice(0, 12),
+    }
+  })
+  for (const item of status.missing) {
+    rows.push({ version: item.version, name: item.name, state: 'missing', appliedAt: item.appliedAt || '', appliedBy: item.appliedBy || '', checksum: String(item.checksum || '').slice(0, 12) })
+  }
+  console.table(rows.sort((a, b) => a.version - b.version))
+  console.log(`${LABEL} 已执行 ${status.applied.length} 个，待执行 ${status.pending.length} 个`)
+}
+
+const main = async () => {
+  const { command, dryRun } = parseArgs(process.argv.slice(2))
+  const database = await getDatabase()
+
+  try {
+    if (command === 'status') {
+      printStatus(await getMigrationStatus(database))
+      return
+    }
+
+    if (command !== 'up') {
+      throw new Error(`未知命令: ${command}（可选：status, up）`)
+    }
+
+    const { results } = await applyMigrations(database, { dryRun, appliedBy: 'cli', persist: saveDatabase })
+    if (!results.length) {
+      console.log(`${LABEL} 没有待执行的迁移`)
+      return
+    }
+
+    if (dryRun) {
+      for (const result of results) {
+        console.log(`\n${LABEL} [dry-run] ${String(result.version).padStart(4, '0')}_${result.name}（${result.statements.length} 条写语句）`)
+        for (const statement of result.statements) {
+          console.log(`  ${statement.length > 200 ? `${statement.slice(0, 200)}…` : statement}`)
+        }
+      }
+      console.log(`\n${LABEL} dry-run 完成，数据库未做任何改动`)
+      return
+    }
+
+    console.log(`${LABEL} 已执行 ${results.length} 个迁移`)
+  } finally {
+    // dry-run / status 不落盘：sql.js 引擎下 closeDatabase 会导出快照，因此只在真正执行后关闭并保存
+    if (command === 'up' && !dryRun) {
+      await closeDatabase()
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(`${LABEL} 失败:`, error?.message || error)
+  process.exit(1)
+})
@@ -0,0 +1,10 @@
+import { applyLegacySchema } from '../legacy-schema.js'
+
+export const description = '引入版本化迁移前的全部表结构（幂等，可作用于新库或旧版本数据库）'
+
+// 基线表结构定义在 legacy-schema.js 中，一并计入校验和：改动它与改动本文件一样会被识别为「已执行的迁移被修改」
+export const checksumSources = ['../legacy-schema.js']
+
+export function up(database) {
+  applyLegacySchema(database)
+}
@@ -0,0 +1,72 @@
+import { getTableColumns, getUserVersion, setUserVersion, tableExists } from '../schema-helpers.js'
+import { LOCALTIME_MIGRATION_USER_VERSION } from '../legacy-schema.js'
+
+export const description = '历史时间字段从 UTC 迁移为本地时间（原 user_version = 1 迁移）'
+
+const LOCALTIME_LIKE_PATTERN = '____-__-__ __:__:__%'
+
+const TARGETS = [
+  { table: 'users', columns: ['created_at'] },
+  { table: 'system_config', columns: ['updated_at'] },
+  { table: 'gpt_accounts', columns: ['created_at', 'updated_at'] },
+  { table: 'linuxdo_users', columns: ['created_at', 'updated_at'] },
+  { table: 'redemption_codes', columns: ['created_at', 'updated_at', 'redeemed_at', 'reserved_at'] },
+  { table: 'waiting_room_entries', columns: ['created_at', 'updated_at', 'reserved_at', 'boarded_at', 'left_at'] },
+  { table: 'waiting_room_cooldown_resets', columns: ['reset_at'] },
+  { table: 'account_recovery_logs', columns: ['created_at', 'updated_at', 'original_redeemed_at'] },
+  { table: 'purchase_orders', columns: ['created_at', 'updated_at', 'query_at', 'paid_at', 'redeemed_at', 'refunded_at', 'email_sent_at', 'telegram_sent_at'] },
+  { table: 'credit_orders', columns: ['created_at', 'updated_at', 'query_at', 'paid_at', 'notify_at', 'refunded_at'] },
+  { table: 'xhs_config', columns: ['updated_at', 'last_sync_at', 'last_success_at'] },
+  { table: 'xhs_orders', columns: ['extracted_at', 'reserved_at', 'used_at', 'created_at', 'updated_at'] },
+  { table: 'xianyu_config', columns: ['updated_at', 'last_sync_at', 'last_success_at'] },
+  { table: 'xianyu_orders', columns: ['extracted_at', 'reserved_at', 'used_at', 'created_at', 'updated_at'] },
+]
+
+// 新库在 baseline 中已直接标记 user_version = 1；旧库若早已执行过该迁移同样跳过
+export function up(database) {
+  if (getUserVersion(database) >= LOCALTIME_MIGRATION_USER_VERSION) {
+    return
+  }
+
+  let touchedTables = 0
+  let touchedColumns = 0
+
+  for (const target of TARGETS) {
+    const table = target.table
+    if (!tableExists(database, table)) {
+      continue
+    }
+
+    const existingColumns = getTableColumns(database, table)
+    const columns = target.columns.filter(col => existingColumns.has(col))
+    if (!columns.length) continue
+
+    const setClauses = columns
+      .map(col => {
+        return `${col} = CASE
+          WHEN ${col} IS NULL OR TRIM(${col}) = '' THEN ${col}
+          WHEN ${col} LIKE '${LOCALTIME_LIKE_PATTERN}' THEN DATETIME(${col}, 'localtime')
+          ELSE ${col}
+        END`
+      })
+      .join(',\n')
+
+    const whereClauses = columns
+      .map(col => `(${col} IS NOT NULL AND TRIM(${col}) != '' AND ${col} LIKE '${LOCALTIME_LIKE_PATTERN}')`)
+      .join(' OR ')
+
+    database.run(
+      `
+        UPDATE ${table}
+        SET ${setClauses}
+        WHERE ${whereClauses}
+      `
+    )
+
+    touchedTables += 1
+    touchedColumns += columns.length
+  }
+
+  setUserVersion(database, LOCALTIME_MIGRATION_USER_VERSION)
+  console.log('[DB] 已将历史时间从 UTC 迁移为本地时间', { touchedTables, touchedColumns })
+}
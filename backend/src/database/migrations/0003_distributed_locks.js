@@ -0,0 +1,15 @@
+export const description = '分布式锁租约表（LOCK_PROVIDER=sqlite 时使用）'
+
+export function up(database) {
+  // expires_at / acquired_at 为毫秒时间戳；释放时保留行并清空 owner_id，保证 fencing_token 单调递增
+  database.run(`
+    CREATE TABLE IF NOT EXISTS distributed_locks (
+      lock_key TEXT PRIMARY KEY,
+      owner_id TEXT,
+      fencing_token INTEGER NOT NULL DEFAULT 0,
+      expires_at INTEGER NOT NULL DEFAULT 0,
+      acquired_at INTEGER
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_distributed_locks_owner ON distributed_locks(owner_id)')
+}
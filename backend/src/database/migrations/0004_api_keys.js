@@ -0,0 +1,42 @@
+import crypto from 'crypto'
+
+export const description = 'API 密钥表（多密钥、哈希存储、权限范围），并迁移原 auto_boarding_api_key'
+
+export function up(database) {
+  database.run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL DEFAULT '[]',
+      rate_limit_per_minute INTEGER,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      usage_count INTEGER NOT NULL DEFAULT 0,
+      revoked_at DATETIME,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_api_keys_revoked ON api_keys(revoked_at)')
+
+  // 原共享密钥迁移为一条拥有全部权限的密钥，之后系统中不再保存明文
+  const legacy = database.exec(
+    `SELECT config_value FROM system_config WHERE config_key = 'auto_boarding_api_key' LIMIT 1`
+  )
+  const legacyKey = String(legacy[0]?.values?.[0]?.[0] || '').trim()
+  if (legacyKey) {
+    const keyHash = crypto.createHash('sha256').update(legacyKey).digest('hex')
+    database.run(
+      `
+        INSERT OR IGNORE INTO api_keys (name, key_hash, key_prefix, scopes, created_at, updated_at)
+        VALUES (?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      ['默认密钥（原 auto_boarding_api_key）', keyHash, legacyKey.slice(0, 6), JSON.stringify(['*'])]
+    )
+  }
+  database.run(`DELETE FROM system_config WHERE config_key = 'auto_boarding_api_key'`)
+}
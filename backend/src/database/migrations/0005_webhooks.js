@@ -0,0 +1,42 @@
+export const description = 'Webhook 订阅端点与投递队列/日志'
+
+export function up(database) {
+  database.run(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '[]',
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  // 每个 (事件, 端点) 一行；payload 为最终发送的请求体，重试时原样重发以保证签名一致
+  database.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_attempt_at DATETIME,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      duration_ms INTEGER,
+      delivered_at DATETIME,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries(event_type)')
+}
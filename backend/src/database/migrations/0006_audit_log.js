@@ -0,0 +1,29 @@
+export const description = '后台变更审计日志'
+
+export function up(database) {
+  // changes 为 { 字段: { from, to } } 形式的差异；敏感字段在写入前已脱敏
+  database.run(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_type TEXT NOT NULL DEFAULT 'user',
+      actor_id TEXT,
+      actor_name TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      summary TEXT,
+      changes TEXT,
+      metadata TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      request_id TEXT,
+      method TEXT,
+      path TEXT,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action)')
+}
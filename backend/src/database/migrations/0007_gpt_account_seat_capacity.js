@@ -0,0 +1,10 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = 'gpt_accounts 增加 seat_capacity（每个账号的席位上限，默认 6）'
+
+export function up(database) {
+  const columns = getTableColumns(database, 'gpt_accounts')
+  if (!columns.has('seat_capacity')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN seat_capacity INTEGER NOT NULL DEFAULT 6')
+  }
+}
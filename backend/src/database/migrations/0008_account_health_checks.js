@@ -0,0 +1,40 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '账号健康检查记录与连续失败自动隔离'
+
+export function up(database) {
+  // source: manual（后台批量检查）/ scheduled（定时巡检）
+  database.run(`
+    CREATE TABLE IF NOT EXISTS account_health_checks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      account_email TEXT,
+      status TEXT NOT NULL,
+      reason TEXT,
+      refreshed INTEGER DEFAULT 0,
+      source TEXT NOT NULL DEFAULT 'manual',
+      fail_streak INTEGER DEFAULT 0,
+      quarantined INTEGER DEFAULT 0,
+      checked_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_account_health_checks_account ON account_health_checks(account_id, id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_account_health_checks_checked ON account_health_checks(checked_at)')
+
+  const columns = getTableColumns(database, 'gpt_accounts')
+  if (!columns.has('health_status')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN health_status TEXT')
+  }
+  if (!columns.has('health_checked_at')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN health_checked_at DATETIME')
+  }
+  if (!columns.has('health_fail_streak')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN health_fail_streak INTEGER NOT NULL DEFAULT 0')
+  }
+  if (!columns.has('quarantined_at')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN quarantined_at DATETIME')
+  }
+  if (!columns.has('quarantine_reason')) {
+    database.run('ALTER TABLE gpt_accounts ADD COLUMN quarantine_reason TEXT')
+  }
+}
@@ -0,0 +1,19 @@
+export const description = '可在后台编辑的邮件模板（按语言区分）'
+
+export function up(database) {
+  // 只保存管理员改过的模板；未保存的 (template_key, locale) 使用代码内置的默认模板
+  database.run(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_key TEXT NOT NULL,
+      locale TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      html TEXT NOT NULL,
+      text TEXT,
+      updated_by TEXT,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      UNIQUE(template_key, locale)
+    )
+  `)
+}
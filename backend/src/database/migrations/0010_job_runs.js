@@ -0,0 +1,19 @@
+export const description = '后台定时任务运行历史'
+
+export function up(database) {
+  // trigger: scheduler / startup / event / manual；status: success / failed
+  database.run(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_key TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL,
+      summary TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      started_at DATETIME,
+      finished_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_key, id)')
+}
@@ -0,0 +1,42 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '支付订单优惠券'
+
+export function up(database) {
+  // discount_type: fixed（立减 discount_value 元）/ percent（减免 discount_value%）
+  // product_keys 为逗号分隔的商品 key，空表示全部商品；max_uses / max_uses_per_email 为 0 表示不限
+  database.run(`
+    CREATE TABLE IF NOT EXISTS coupons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      name TEXT,
+      discount_type TEXT NOT NULL DEFAULT 'fixed',
+      discount_value TEXT NOT NULL,
+      product_keys TEXT,
+      max_uses INTEGER NOT NULL DEFAULT 0,
+      max_uses_per_email INTEGER NOT NULL DEFAULT 1,
+      starts_at DATETIME,
+      ends_at DATETIME,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  // amount 仍为实际支付金额（ZPAY 签名与回调校验都以它为准），原价与优惠金额单独记录
+  const columns = getTableColumns(database, 'purchase_orders')
+  if (!columns.has('coupon_id')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN coupon_id INTEGER')
+  }
+  if (!columns.has('coupon_code')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN coupon_code TEXT')
+  }
+  if (!columns.has('original_amount')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN original_amount TEXT')
+  }
+  if (!columns.has('discount_amount')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN discount_amount TEXT')
+  }
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_coupon ON purchase_orders(coupon_id, status)')
+}
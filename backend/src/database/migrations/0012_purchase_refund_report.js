@@ -0,0 +1,20 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '支付订单退款报告与兑换码作废标记'
+
+export function up(database) {
+  // refund_report：退款时的撤销结果（JSON），包括退款金额、积分扣回、成员移除与兑换码处理
+  const orderColumns = getTableColumns(database, 'purchase_orders')
+  if (!orderColumns.has('refund_report')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN refund_report TEXT')
+  }
+
+  // 作废的兑换码保持 is_redeemed = 1，不再回到库存；voided_at 用于区分“已使用”和“已作废”
+  const codeColumns = getTableColumns(database, 'redemption_codes')
+  if (!codeColumns.has('voided_at')) {
+    database.run('ALTER TABLE redemption_codes ADD COLUMN voided_at DATETIME')
+  }
+  if (!codeColumns.has('void_reason')) {
+    database.run('ALTER TABLE redemption_codes ADD COLUMN void_reason TEXT')
+  }
+}
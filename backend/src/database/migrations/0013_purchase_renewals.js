@@ -0,0 +1,34 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '支付订单续费与到期提醒'
+
+export function up(database) {
+  const columns = getTableColumns(database, 'purchase_orders')
+
+  // renewal_of_order_no / renewal_mode：续费订单指向被续费的订单；extend 在原账号顺延，migrate 换发迁移兑换码
+  if (!columns.has('renewal_of_order_no')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN renewal_of_order_no TEXT')
+  }
+  if (!columns.has('renewal_mode')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN renewal_mode TEXT')
+  }
+
+  // extended_days：在 service_days 之外累计顺延的天数（原地续费 / 迁移时结转的剩余天数），服务截止 = created_at + service_days + extended_days
+  if (!columns.has('extended_days')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN extended_days INTEGER NOT NULL DEFAULT 0')
+  }
+  // renewed_until：续费订单生效后的服务截止时间，仅用于展示
+  if (!columns.has('renewed_until')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN renewed_until DATETIME')
+  }
+
+  // 到期提醒按截止时间去重：续费顺延后截止时间变化，可以再次提醒
+  if (!columns.has('expiry_reminded_at')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN expiry_reminded_at DATETIME')
+  }
+  if (!columns.has('expiry_reminded_deadline')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN expiry_reminded_deadline TEXT')
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_renewal_of ON purchase_orders(renewal_of_order_no, status)')
+}
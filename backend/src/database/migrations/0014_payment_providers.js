@@ -0,0 +1,40 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '支付订单记录支付通道与通用的通道字段'
+
+const GENERIC_COLUMNS = [
+  ['payment_provider', 'TEXT'],
+  ['provider_order_id', 'TEXT'],
+  ['provider_trade_no', 'TEXT'],
+  ['pay_url', 'TEXT'],
+  ['pay_qrcode', 'TEXT'],
+  ['pay_img', 'TEXT'],
+  ['provider_payload', 'TEXT']
+]
+
+export function up(database) {
+  const columns = getTableColumns(database, 'purchase_orders')
+
+  // 通道无关的字段：payment_provider 为下单时选中的通道，provider_payload 保存通道下单接口的原始返回
+  for (const [name, type] of GENERIC_COLUMNS) {
+    if (!columns.has(name)) {
+      database.run(`ALTER TABLE purchase_orders ADD COLUMN ${name} ${type}`)
+    }
+  }
+
+  // 历史订单都走 ZPAY：把 zpay_* 列搬到通用列，旧列保留不再写入
+  if (columns.has('zpay_trade_no')) {
+    database.run(`
+      UPDATE purchase_orders
+      SET payment_provider = 'zpay',
+          provider_order_id = zpay_oid,
+          provider_trade_no = zpay_trade_no,
+          pay_url = zpay_payurl,
+          pay_qrcode = zpay_qrcode,
+          pay_img = zpay_img
+      WHERE payment_provider IS NULL
+    `)
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_purchase_orders_provider_trade_no ON purchase_orders(provider_trade_no)')
+}
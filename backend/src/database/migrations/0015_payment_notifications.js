@@ -0,0 +1,33 @@
+export const description = '支付回调通知落库（验签结果、处理结果，支持后台重放）'
+
+export function up(database) {
+  // 每次入站回调一行，无论验签是否通过；payload 为原始参数，重放时按原样交给处理函数
+  database.run(`
+    CREATE TABLE IF NOT EXISTS payment_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      order_no TEXT,
+      trade_no TEXT,
+      trade_status TEXT,
+      paid INTEGER NOT NULL DEFAULT 0,
+      money TEXT,
+      pay_type TEXT,
+      method TEXT,
+      ip TEXT,
+      payload TEXT NOT NULL,
+      verify_status TEXT NOT NULL,
+      verify_detail TEXT,
+      status TEXT NOT NULL DEFAULT 'received',
+      result TEXT,
+      duplicate_of INTEGER,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      received_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      processed_at DATETIME,
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_payment_notifications_trade ON payment_notifications(source, provider, trade_no, status)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_payment_notifications_order ON payment_notifications(order_no)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_payment_notifications_status ON payment_notifications(status, id)')
+}
@@ -0,0 +1,23 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '号池兑换码：创建时不绑定账号，兑换时按策略分配并记录分配原因'
+
+const POOL_COLUMNS = [
+  ['is_pooled', 'INTEGER NOT NULL DEFAULT 0'],
+  ['allocation_policy', 'TEXT'],
+  ['allocation_reason', 'TEXT'],
+  ['allocated_at', 'DATETIME']
+]
+
+export function up(database) {
+  const columns = getTableColumns(database, 'redemption_codes')
+
+  // 号池兑换码兑换后 account_email 写入实际分配的账号，is_pooled 保留以区分来源
+  for (const [name, type] of POOL_COLUMNS) {
+    if (!columns.has(name)) {
+      database.run(`ALTER TABLE redemption_codes ADD COLUMN ${name} ${type}`)
+    }
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_redemption_codes_pooled ON redemption_codes(is_pooled, is_redeemed)')
+}
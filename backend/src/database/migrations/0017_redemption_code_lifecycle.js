@@ -0,0 +1,17 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '兑换码有效期与过期标记'
+
+export function up(database) {
+  const columns = getTableColumns(database, 'redemption_codes')
+
+  // expires_at：批量生成时可选的有效期；expired_at：过期任务将到期未使用的兑换码标记为过期的时间
+  if (!columns.has('expires_at')) {
+    database.run('ALTER TABLE redemption_codes ADD COLUMN expires_at DATETIME')
+  }
+  if (!columns.has('expired_at')) {
+    database.run('ALTER TABLE redemption_codes ADD COLUMN expired_at DATETIME')
+  }
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_redemption_codes_expires_at ON redemption_codes(is_redeemed, expires_at)')
+}
@@ -0,0 +1,34 @@
+export const description = '邀请重试队列（兑换后邀请失败自动重试，可切换账号，重试耗尽进入死信）'
+
+export function up(database) {
+  // 每个兑换码 / 邮箱一条任务；account_* 为当前目标账号，tried_account_ids 为已尝试过的账号（JSON 数组）
+  database.run(`
+    CREATE TABLE IF NOT EXISTS invite_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      code_id INTEGER,
+      code TEXT,
+      order_no TEXT,
+      channel TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      account_id INTEGER,
+      account_email TEXT,
+      original_account_email TEXT,
+      tried_account_ids TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      account_attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_attempt_at DATETIME,
+      last_error TEXT,
+      resolution TEXT,
+      completed_at DATETIME,
+      dead_at DATETIME,
+      notified_at DATETIME,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  database.run('CREATE INDEX IF NOT EXISTS idx_invite_jobs_due ON invite_jobs(status, next_attempt_at)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_invite_jobs_code ON invite_jobs(code_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_invite_jobs_order ON invite_jobs(order_no)')
+}
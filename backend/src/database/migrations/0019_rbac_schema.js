@@ -0,0 +1,107 @@
+import { getTableColumns, indexExists } from '../schema-helpers.js'
+
+export const description = 'RBAC 表结构（角色、菜单、用户角色、邮箱验证码）及 users 邀请 / 积分列，原先每次启动时检查'
+
+export function up(database) {
+  const userColumns = getTableColumns(database, 'users')
+  const addUserColumn = (name, ddl) => {
+    if (!userColumns.has(name)) database.run(`ALTER TABLE users ADD COLUMN ${ddl}`)
+  }
+  addUserColumn('invite_code', 'invite_code TEXT')
+  addUserColumn('invited_by_user_id', 'invited_by_user_id INTEGER')
+  addUserColumn('points', 'points INTEGER DEFAULT 0')
+  addUserColumn('invite_enabled', 'invite_enabled INTEGER DEFAULT 0')
+  addUserColumn('telegram_id', 'telegram_id TEXT')
+
+  if (!indexExists(database, 'idx_users_email_unique')) {
+    const duplicateEmail = database.exec(`
+      SELECT 1
+      FROM (
+        SELECT email, COUNT(*) AS cnt
+        FROM users
+        GROUP BY email
+        HAVING cnt > 1
+      )
+      LIMIT 1
+    `)
+    if (duplicateEmail[0]?.values?.length) {
+      console.warn('[DB] users.email 存在重复值，跳过创建唯一索引 idx_users_email_unique')
+    } else {
+      database.run('CREATE UNIQUE INDEX idx_users_email_unique ON users(email)')
+    }
+  }
+  database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_invite_code_unique ON users(invite_code)')
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      role_key TEXT UNIQUE NOT NULL,
+      role_name TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS menus (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      menu_key TEXT UNIQUE NOT NULL,
+      label TEXT NOT NULL,
+      path TEXT NOT NULL,
+      parent_id INTEGER,
+      sort_order INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      updated_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+  // 早期版本的 menus 表没有层级 / 排序 / 启用列
+  const menuColumns = getTableColumns(database, 'menus')
+  if (!menuColumns.has('parent_id')) database.run('ALTER TABLE menus ADD COLUMN parent_id INTEGER')
+  if (!menuColumns.has('sort_order')) database.run('ALTER TABLE menus ADD COLUMN sort_order INTEGER DEFAULT 0')
+  if (!menuColumns.has('is_active')) database.run('ALTER TABLE menus ADD COLUMN is_active INTEGER DEFAULT 1')
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS deleted_menu_keys (
+      menu_key TEXT PRIMARY KEY,
+      deleted_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS user_roles (
+      user_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      PRIMARY KEY (user_id, role_id)
+    )
+  `)
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS role_menus (
+      role_id INTEGER NOT NULL,
+      menu_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime')),
+      PRIMARY KEY (role_id, menu_id)
+    )
+  `)
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS email_verification_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      consumed_at DATETIME,
+      created_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+
+  database.run('CREATE INDEX IF NOT EXISTS idx_user_roles_user_id ON user_roles(user_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_menus_parent_id ON menus(parent_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_menus_is_active ON menus(is_active)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_role_menus_role_id ON role_menus(role_id)')
+  database.run('CREATE INDEX IF NOT EXISTS idx_email_verification_codes_lookup ON email_verification_codes(email, purpose, created_at)')
+}
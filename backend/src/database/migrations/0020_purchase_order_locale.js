@@ -0,0 +1,10 @@
+import { getTableColumns } from '../schema-helpers.js'
+
+export const description = '订单记录买家语言（下单时的 locale / Accept-Language），订单相关邮件按该语言渲染'
+
+export function up(database) {
+  const columns = getTableColumns(database, 'purchase_orders')
+  if (!columns.has('locale')) {
+    database.run('ALTER TABLE purchase_orders ADD COLUMN locale TEXT')
+  }
+}
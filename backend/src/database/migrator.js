@@ -0,0 +1,236 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { tableExists } from './schema-helpers.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations')
+export const MIGRATIONS_TABLE = 'schema_migrations'
+
+// 迁移文件命名：四位版本号 + 下划线 + 小写名称，例如 0003_add_api_keys.js
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/
+const WRITE_SQL_PATTERN = /^\s*(CREATE|ALTER|DROP|INSERT|UPDATE|DELETE|REPLACE|PRAGMA\s+\w+\s*=)/i
+
+export class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'MigrationError'
+    this.code = 'DB_MIGRATIONS_BLOCKED'
+    this.details = details
+  }
+}
+
+// 统一换行符后再计算，避免 Windows 检出（CRLF）导致校验和不一致
+const computeChecksum = (content) =>
+  crypto.createHash('sha256').update(String(content).replace(/\r\n/g, '\n')).digest('hex')
+
+/**
+ * 读取 migrations 目录下的迁移模块，按版本号升序返回。
+ * 每个模块需导出 up(database)（可为 async），可选导出：
+ * - description
+ * - checksumSources：迁移依赖的其他文件（相对迁移文件的路径），其内容一并计入校验和
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return []
+
+  const migrations = []
+  const seenVersions = new Map()
+  for (const fileName of fs.readdirSync(dir).sort()) {
+    const match = fileName.match(MIGRATION_FILE_PATTERN)
+    if (!match) continue
+
+    const version = Number(match[1])
+    if (seenVersions.has(version)) {
+      throw new MigrationError(`迁移版本号重复: ${seenVersions.get(version)} 与 ${fileName}`)
+    }
+    seenVersions.set(version, fileName)
+
+    const filePath = path.join(dir, fileName)
+    const mod = await import(pathToFileURL(filePath).href)
+    if (typeof mod.up !== 'function') {
+      throw new MigrationError(`迁移 ${fileName} 未导出 up(database) 函数`)
+    }
+
+    const checksumSources = Array.isArray(mod.checksumSources) ? mod.checksumSources : []
+    const contents = [fs.readFileSync(filePath, 'utf8')]
+    for (const source of checksumSources) {
+      const sourcePath = path.resolve(dir, String(source))
+      if (!fs.existsSync(sourcePath)) {
+        throw new MigrationError(`迁移 ${fileName} 的校验文件不存在: ${source}`)
+      }
+      contents.push(fs.readFileSync(sourcePath, 'utf8'))
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      fileName,
+      description: String(mod.description || ''),
+      checksum: computeChecksum(contents.join('\n')),
+      up: mod.up,
+    })
+  }
+
+  return migrations.sort((a, b) => a.version - b.version)
+}
+
+export function ensureMigrationsTable(database) {
+  database.run(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_by TEXT,
+      duration_ms INTEGER,
+      applied_at DATETIME DEFAULT (DATETIME('now', 'localtime'))
+    )
+  `)
+}
+
+export function getAppliedMigrations(database) {
+  // 只读查询：status / dry-run 不应在数据库中留下任何改动
+  if (!tableExists(database, MIGRATIONS_TABLE)) return []
+  const result = database.exec(
+    `SELECT version, name, checksum, applied_by, duration_ms, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`
+  )
+  return (result[0]?.values || []).map(row => ({
+    version: Number(row[0]),
+    name: row[1],
+    checksum: row[2],
+    appliedBy: row[3] || null,
+    durationMs: row[4] == null ? null : Number(row[4]),
+    appliedAt: row[5] || null,
+  }))
+}
+
+/**
+ * 对比迁移文件与已执行记录：
+ * - pending: 尚未执行
+ * - modified: 已执行但文件内容被改动（校验和不一致）
+ * - missing: 已执行但文件已被删除
+ * - outOfOrder: 版本号小于已执行的最大版本（只允许向前追加）
+ */
+export async function getMigrationStatus(database, { migrations } = {}) {
+  const available = migrations || await loadMigrations()
+  const applied = getAppliedMigrations(database)
+  const appliedByVersion = new Map(applied.map(item => [item.version, item]))
+  const availableVersions = new Set(available.map(item => item.version))
+  const maxAppliedVersion = applied.reduce((max, item) => Math.max(max, item.version), 0)
+
+  const pending = available.filter(item => !appliedByVersion.has(item.version))
+  const modified = available.filter(item => {
+    const record = appliedByVersion.get(item.version)
+    return record && record.checksum !== item.checksum
+  })
+  const missing = applied.filter(item => !availableVersions.has(item.version))
+  const outOfOrder = pending.filter(item => item.version < maxAppliedVersion)
+
+  return { available, applied, pending, modified, missing, outOfOrder }
+}
+
+export function assertMigrationHistory(status) {
+  const problems = []
+  if (status.modified.length) {
+    problems.push(`已执行的迁移文件被修改: ${status.modified.map(item => item.fileName).join(', ')}`)
+  }
+  if (status.missing.length) {
+    problems.push(`已执行的迁移文件缺失: ${status.missing.map(item => `${item.version}_${item.name}`).join(', ')}`)
+  }
+  if (status.outOfOrder.length) {
+    problems.push(`迁移版本号早于已执行的最新版本: ${status.outOfOrder.map(item => item.fileName).join(', ')}`)
+  }
+  if (problems.length) {
+    throw new MigrationError(`数据库迁移记录校验失败：${problems.join('；')}`, {
+      modified: status.modified.map(item => item.fileName),
+      missing: status.missing.map(item => item.version),
+      outOfOrder: status.outOfOrder.map(item => item.fileName),
+    })
+  }
+}
+
+// dry-run 时记录迁移执行的写语句，便于上线前审阅
+const createRecordingDatabase = (database, statements) => {
+  const record = (sql) => {
+    const text = String(sql || '').replace(/\s+/g, ' ').trim()
+    if (WRITE_SQL_PATTERN.test(text)) statements.push(text)
+  }
+  return {
+    ...database,
+    exec: (sql, params) => {
+      record(sql)
+      return database.exec(sql, params)
+    },
+    run: (sql, params) => {
+      record(sql)
+      database.run(sql, params)
+      return database
+    },
+    getRowsModified: () => database.getRowsModified(),
+  }
+}
+
+const rollbackQuietly = (database) => {
+  try {
+    database.run('ROLLBACK')
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * 按版本号依次执行待执行迁移，每个迁移单独一个事务，成功后写入 schema_migrations 并持久化。
+ * dryRun 时在同一个事务中执行全部待执行迁移后整体回滚，仅返回将要执行的语句。
+ */
+export async function applyMigrations(database, { migrations, dryRun = false, appliedBy = 'cli', persist } = {}) {
+  const status = await getMigrationStatus(database, { migrations })
+  assertMigrationHistory(status)
+
+  const results = []
+  if (!status.pending.length) return { dryRun, results }
+
+  if (dryRun) {
+    database.run('BEGIN')
+    try {
+      for (const migration of status.pending) {
+        const statements = []
+        const startedAt = Date.now()
+        await migration.up(createRecordingDatabase(database, statements))
+        results.push({ version: migration.version, name: migration.name, durationMs: Date.now() - startedAt, statements })
+      }
+    } finally {
+      rollbackQuietly(database)
+    }
+    return { dryRun, results }
+  }
+
+  ensureMigrationsTable(database)
+  for (const migration of status.pending) {
+    const startedAt = Date.now()
+    database.run('BEGIN')
+    try {
+      await migration.up(database)
+      const durationMs = Date.now() - startedAt
+      database.run(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, applied_by, duration_ms, applied_at) VALUES (?, ?, ?, ?, ?, DATETIME('now', 'localtime'))`,
+        [migration.version, migration.name, migration.checksum, appliedBy, durationMs]
+      )
+      database.run('COMMIT')
+      results.push({ version: migration.version, name: migration.name, durationMs })
+      console.log(`[DB Migrate] 已执行迁移 ${migration.fileName}`, { durationMs })
+    } catch (error) {
+      rollbackQuietly(database)
+      throw new MigrationError(`迁移 ${migration.fileName} 执行失败: ${error?.message || error}`, {
+        version: migration.version,
+        cause: error,
+      })
+    }
+
+    if (persist) {
+      await persist()
+    }
+  }
+
+  return { dryRun, results }
+}
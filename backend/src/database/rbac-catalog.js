@@ -0,0 +1,249 @@
+// RBAC 角色/菜单目录：菜单项会随版本新增或调整，因此每次启动都会同步（幂等）。
+// 表结构由迁移 0019_rbac_schema 负责，这里只同步内置角色、菜单及其授权数据。
+export const syncRbacCatalog = (database) => {
+  let changed = false
+
+  try {
+    const ensureRole = (roleKey, roleName, description = '') => {
+      if (!roleKey) return null
+      const existing = database.exec('SELECT id FROM roles WHERE role_key = ? LIMIT 1', [roleKey])
+      if (existing[0]?.values?.length) {
+        return { id: existing[0].values[0][0], created: false }
+      }
+      database.run(
+        `
+          INSERT INTO roles (role_key, role_name, description, created_at, updated_at)
+          VALUES (?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        [roleKey, roleName, description]
+      )
+      changed = true
+      const created = database.exec('SELECT id FROM roles WHERE role_key = ? LIMIT 1', [roleKey])
+      return created[0]?.values?.length ? { id: created[0].values[0][0], created: true } : null
+    }
+
+    const ensureMenu = (menuKey, label, pathValue, options = {}) => {
+      if (!menuKey) return null
+      const existing = database.exec('SELECT id FROM menus WHERE menu_key = ? LIMIT 1', [menuKey])
+      if (existing[0]?.values?.length) {
+        return { id: existing[0].values[0][0], created: false }
+      }
+      const deleted = database.exec('SELECT 1 FROM deleted_menu_keys WHERE menu_key = ? LIMIT 1', [menuKey])
+      if (deleted[0]?.values?.length) {
+        return null
+      }
+      const normalizeParentId = (value) => {
+        const parsed = Number(value)
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : null
+      }
+
+      let parentId = normalizeParentId(options?.parentId)
+      if (parentId === null && options?.parentKey) {
+        const parentKey = String(options.parentKey || '').trim()
+        if (parentKey) {
+          const parent = database.exec('SELECT id FROM menus WHERE menu_key = ? LIMIT 1', [parentKey])
+          parentId = parent[0]?.values?.length ? normalizeParentId(parent[0].values[0][0]) : null
+        }
+      }
+      const sortOrder = Number.isFinite(Number(options?.sortOrder)) ? Number(options.sortOrder) : 0
+      const isActive = Number(options?.isActive ?? 1) !== 0 ? 1 : 0
+      database.run(
+        `
+          INSERT INTO menus (menu_key, label, path, parent_id, sort_order, is_active, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        [menuKey, label, pathValue, parentId, sortOrder, isActive]
+      )
+      changed = true
+      const created = database.exec('SELECT id FROM menus WHERE menu_key = ? LIMIT 1', [menuKey])
+      return created[0]?.values?.length ? { id: created[0].values[0][0], created: true } : null
+    }
+
+    const superAdminRole = ensureRole('super_admin', '超级管理员', '拥有全部后台权限')
+    const defaultUserRole = ensureRole('user', '普通用户', '默认无后台菜单权限')
+    const superAdminRoleId = superAdminRole?.id || null
+    const defaultUserRoleId = defaultUserRole?.id || null
+
+    const defaultMenus = [
+      { key: 'stats', label: '数据统计', path: '/admin/stats', sortOrder: 1 },
+      { key: 'user_info', label: '用户信息', path: '/admin/user-info', sortOrder: 2 },
+      { key: 'accounts', label: '账号管理', path: '/admin/accounts', sortOrder: 3 },
+      { key: 'redemption_codes', label: '兑换码管理', path: '/admin/redemption-codes', sortOrder: 4 },
+      { key: 'order_management', label: '订单管理', path: '', sortOrder: 6 },
+      { key: 'purchase_orders', label: '支付订单', path: '/admin/purchase-orders', parentKey: 'order_management', sortOrder: 1 },
+      { key: 'xhs_orders', label: '小红书订单', path: '/admin/xhs-orders', parentKey: 'order_management', sortOrder: 2 },
+      { key: 'xianyu_orders', label: '闲鱼订单', path: '/admin/xianyu-orders', parentKey: 'order_management', sortOrder: 3 },
+      { key: 'credit_orders', label: 'Credit 订单', path: '/admin/credit-orders', parentKey: 'order_management', sortOrder: 4 },
+      { key: 'account_recovery', label: '补号管理', path: '/admin/account-recovery', parentKey: 'order_management', sortOrder: 5 },
+      { key: 'points_withdrawals', label: '提现审核', path: '/admin/points-withdrawals', parentKey: 'order_management', sortOrder: 6 },
+      { key: 'coupons', label: '优惠券', path: '/admin/coupons', parentKey: 'order_management', sortOrder: 7 },
+      { key: 'payment_notifications', label: '支付回调', path: '/admin/payment-notifications', parentKey: 'order_management', sortOrder: 8 },
+      { key: 'invite_jobs', label: '邀请重试', path: '/admin/invite-jobs', parentKey: 'order_management', sortOrder: 9 },
+      { key: 'permission_management', label: '权限管理', path: '', sortOrder: 7 },
+      { key: 'user_management', label: '用户管理', path: '/admin/users', parentKey: 'permission_management', sortOrder: 1 },
+      { key: 'role_management', label: '角色管理', path: '/admin/roles', parentKey: 'permission_management', sortOrder: 2 },
+      { key: 'menu_management', label: '菜单管理', path: '/admin/menus', parentKey: 'permission_management', sortOrder: 3 },
+      { key: 'api_keys', label: 'API 密钥', path: '/admin/api-keys', parentKey: 'permission_management', sortOrder: 4 },
+      { key: 'audit_log', label: '审计日志', path: '/admin/audit-log', parentKey: 'permission_management', sortOrder: 5 },
+      { key: 'webhooks', label: 'Webhook', path: '/admin/webhooks', sortOrder: 8 },
+      { key: 'jobs', label: '后台任务', path: '/admin/jobs', sortOrder: 8 },
+      { key: 'settings', label: '系统设置', path: '/admin/settings', sortOrder: 9 },
+      { key: 'my_orders', label: '我的订单', path: '/admin/my-orders', sortOrder: 10 },
+      { key: 'points_exchange', label: '积分兑换', path: '/admin/points-exchange', sortOrder: 11 },
+      { key: 'waiting_room', label: '候车室管理', path: '/admin/waiting-room', sortOrder: 99, isActive: 0 },
+    ]
+
+    const menuInfosByKey = new Map()
+    for (const item of defaultMenus) {
+      const menuInfo = ensureMenu(item.key, item.label, item.path, {
+        parentId: item.parentId ?? null,
+        parentKey: item.parentKey ?? null,
+        sortOrder: item.sortOrder ?? 0,
+        isActive: item.isActive ?? 1,
+      })
+      if (menuInfo?.id) {
+        menuInfosByKey.set(item.key, menuInfo)
+      }
+    }
+
+    const resolveMenuIdByKey = (menuKey) => {
+      const key = String(menuKey || '').trim()
+      if (!key) return null
+      const result = database.exec('SELECT id FROM menus WHERE menu_key = ? LIMIT 1', [key])
+      const id = result[0]?.values?.length ? Number(result[0].values[0][0]) : null
+      return Number.isFinite(id) && id > 0 ? id : null
+    }
+
+    const menuIdExists = (id) => {
+      const parsed = Number(id)
+      if (!Number.isFinite(parsed) || parsed <= 0) return false
+      const result = database.exec('SELECT 1 FROM menus WHERE id = ? LIMIT 1', [parsed])
+      return Boolean(result[0]?.values?.length)
+    }
+
+    const normalizeExistingParentId = (value) => {
+      const parsed = Number(value)
+      return Number.isFinite(parsed) && parsed > 0 ? parsed : null
+    }
+
+    for (const item of defaultMenus) {
+      if (!item?.key) continue
+      const row = database.exec('SELECT id, parent_id FROM menus WHERE menu_key = ? LIMIT 1', [String(item.key)])
+      if (!row[0]?.values?.length) continue
+      const menuId = Number(row[0].values[0][0])
+      if (!Number.isFinite(menuId) || menuId <= 0) continue
+
+      const currentParentId = normalizeExistingParentId(row[0].values[0][1])
+      const expectedParentId = item.parentKey ? resolveMenuIdByKey(item.parentKey) : null
+
+      const shouldFixToExpected =
+        expectedParentId !== null &&
+        (currentParentId === null || !menuIdExists(currentParentId))
+
+      const shouldFixToNull =
+        expectedParentId === null &&
+        currentParentId !== null &&
+        !menuIdExists(currentParentId)
+
+      if (shouldFixToExpected || shouldFixToNull) {
+        database.run(
+          `
+            UPDATE menus
+            SET parent_id = ?,
+                updated_at = DATETIME('now', 'localtime')
+            WHERE id = ?
+          `,
+          [shouldFixToExpected ? expectedParentId : null, menuId]
+        )
+        changed = true
+      }
+    }
+
+    const grantRoleMenus = (roleId, menuIds) => {
+      if (!roleId || !menuIds?.length) return
+      for (const menuId of menuIds) {
+        const hasMenu = database.exec(
+          'SELECT 1 FROM role_menus WHERE role_id = ? AND menu_id = ? LIMIT 1',
+          [roleId, menuId]
+        )
+        if (!hasMenu[0]?.values?.length) {
+          database.run(
+            'INSERT INTO role_menus (role_id, menu_id) VALUES (?, ?)',
+            [roleId, menuId]
+          )
+          changed = true
+        }
+      }
+    }
+
+    const superAdminExcludedMenuKeys = new Set(['my_orders', 'points_exchange', 'waiting_room'])
+    const superAdminRoleCreated = Boolean(superAdminRole?.created)
+    if (superAdminRoleId) {
+      const menuIds = []
+      for (const [menuKey, menuInfo] of menuInfosByKey.entries()) {
+        if (superAdminExcludedMenuKeys.has(menuKey)) continue
+        if (!superAdminRoleCreated && !menuInfo.created) continue
+        menuIds.push(menuInfo.id)
+      }
+
+      grantRoleMenus(superAdminRoleId, menuIds)
+    }
+
+    const defaultUserMenuKeys = ['my_orders', 'user_info', 'points_exchange']
+    const defaultUserRoleCreated = Boolean(defaultUserRole?.created)
+    if (defaultUserRoleId) {
+      const menuIds = defaultUserMenuKeys
+        .map(menuKey => menuInfosByKey.get(menuKey))
+        .filter(Boolean)
+        .filter(menuInfo => defaultUserRoleCreated || Boolean(menuInfo.created))
+        .map(menuInfo => menuInfo.id)
+
+      grantRoleMenus(defaultUserRoleId, menuIds)
+    }
+
+    const adminUserResult = database.exec('SELECT id FROM users WHERE username = ? LIMIT 1', ['admin'])
+    const adminUserId = adminUserResult[0]?.values?.length ? adminUserResult[0].values[0][0] : null
+    if (adminUserId && superAdminRoleId) {
+      const hasRole = database.exec(
+        'SELECT 1 FROM user_roles WHERE user_id = ? AND role_id = ? LIMIT 1',
+        [adminUserId, superAdminRoleId]
+      )
+      if (!hasRole[0]?.values?.length) {
+        database.run(
+          'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
+          [adminUserId, superAdminRoleId]
+        )
+        changed = true
+      }
+    }
+
+    if (defaultUserRoleId) {
+      const missingRolesResult = database.exec(`
+        SELECT COUNT(*)
+        FROM users u
+        WHERE NOT EXISTS (
+          SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id
+        )
+      `)
+      const missingRoles = Number(missingRolesResult[0]?.values?.[0]?.[0] || 0)
+      if (missingRoles > 0) {
+        database.run(
+          `
+            INSERT OR IGNORE INTO user_roles (user_id, role_id)
+            SELECT u.id, ?
+            FROM users u
+            WHERE NOT EXISTS (
+              SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id
+            )
+          `,
+          [defaultUserRoleId]
+        )
+        changed = true
+      }
+    }
+  } catch (error) {
+    console.warn('[DB] 无法同步 RBAC 角色/菜单目录:', error?.message || error)
+  }
+
+  return changed
+}
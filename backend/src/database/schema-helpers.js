@@ -0,0 +1,58 @@
+// 迁移与表结构检查共用的 SQLite 辅助函数
+export const getUserVersion = (database) => {
+  try {
+    const result = database.exec('PRAGMA user_version')
+    const value = result[0]?.values?.[0]?.[0]
+    const parsed = Number(value)
+    return Number.isFinite(parsed) ? parsed : 0
+  } catch {
+    return 0
+  }
+}
+
+export const setUserVersion = (database, version) => {
+  if (!database) return
+  const normalized = Number.isFinite(Number(version)) ? Math.max(0, Number(version)) : 0
+  database.run(`PRAGMA user_version = ${normalized}`)
+}
+
+export const tableExists = (database, tableName) => {
+  if (!database || !tableName) return false
+  const result = database.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ? LIMIT 1`,
+    [String(tableName)]
+  )
+  return Boolean(result[0]?.values?.length)
+}
+
+export const getTableColumns = (database, tableName) => {
+  if (!database || !tableName) return new Set()
+  try {
+    const result = database.exec(`PRAGMA table_info(${tableName})`)
+    const rows = result[0]?.values || []
+    return new Set(rows.map(row => String(row[1] || '')))
+  } catch {
+    return new Set()
+  }
+}
+
+export const indexExists = (database, indexName) => {
+  if (!database || !indexName) return false
+  const result = database.exec(
+    `SELECT name FROM sqlite_master WHERE type = 'index' AND name = ? LIMIT 1`,
+    [String(indexName)]
+  )
+  return Boolean(result[0]?.values?.length)
+}
+
+export const ensureIndex = (database, indexName, createSql) => {
+  if (!database || !indexName || !createSql) return false
+  if (indexExists(database, indexName)) return false
+  try {
+    database.run(createSql)
+    return true
+  } catch (error) {
+    console.warn(`[DB] 无法创建索引 ${indexName}:`, error)
+    return false
+  }
+}
@@ -0,0 +1,30 @@
+import { openSqlJsStorage } from './sqljs-adapter.js'
+import { openSqliteStorage } from './sqlite-adapter.js'
+
+export const STORAGE_ENGINE_SQLJS = 'sqljs'
+export const STORAGE_ENGINE_SQLITE = 'sqlite'
+
+const STORAGE_OPENERS = {
+  [STORAGE_ENGINE_SQLJS]: openSqlJsStorage,
+  [STORAGE_ENGINE_SQLITE]: openSqliteStorage,
+}
+
+export const resolveStorageEngine = (value = process.env.DATABASE_ENGINE) => {
+  const normalized = String(value || '').trim().toLowerCase()
+  if (!normalized) return STORAGE_ENGINE_SQLJS
+  if (normalized === 'sql.js') return STORAGE_ENGINE_SQLJS
+  if (normalized === 'better-sqlite3' || normalized === 'sqlite3') return STORAGE_ENGINE_SQLITE
+  if (STORAGE_OPENERS[normalized]) return normalized
+  throw new Error(`Unknown DATABASE_ENGINE: ${value}（可选值：${Object.keys(STORAGE_OPENERS).join(', ')}）`)
+}
+
+/**
+ * 打开存储适配器。返回的 storage 对象包含：
+ * - database: 与 sql.js Database 调用形状一致的 exec/run 接口
+ * - persist(): 持久化（sql.js 整库导出写盘；sqlite 引擎为空操作）
+ * - close(): 关闭连接
+ */
+export async function openStorage({ engine, dbPath }) {
+  const resolvedEngine = resolveStorageEngine(engine)
+  return STORAGE_OPENERS[resolvedEngine]({ dbPath })
+}
@@ -0,0 +1,176 @@
+import fs from 'fs'
+import path from 'path'
+
+const LABEL = '[DB Storage]'
+
+const loadDriver = async () => {
+  try {
+    const mod = await import('better-sqlite3')
+    return mod.default || mod
+  } catch (error) {
+    const wrapped = new Error(
+      'DATABASE_ENGINE=sqlite 需要安装 better-sqlite3（npm install better-sqlite3 --workspace=backend）'
+    )
+    wrapped.cause = error
+    throw wrapped
+  }
+}
+
+// sql.js 允许 boolean / undefined 参数，better-sqlite3 会直接抛错，这里统一转换。
+const normalizeParam = (value) => {
+  if (value === undefined) return null
+  if (typeof value === 'boolean') return value ? 1 : 0
+  return value
+}
+
+const normalizeParams = (params) => {
+  if (params === undefined || params === null) return []
+  if (Array.isArray(params)) return params.map(normalizeParam)
+  if (typeof params === 'object') {
+    const normalized = {}
+    for (const [key, value] of Object.entries(params)) {
+      normalized[key.replace(/^[:@$]/, '')] = normalizeParam(value)
+    }
+    return normalized
+  }
+  return [normalizeParam(params)]
+}
+
+const isMultiStatementError = (error) =>
+  error instanceof RangeError && /more than one statement/i.test(String(error?.message || ''))
+
+const STATEMENT_CACHE_LIMIT = 500
+
+/**
+ * 将 better-sqlite3 连接包装成与 sql.js Database 相同的调用形状：
+ * - exec(sql, params) 返回 [{ columns, values }]，无结果行时返回 []
+ * - run(sql, params) 执行写语句
+ * - getRowsModified() 返回上一条写语句影响的行数
+ */
+const createSqlJsCompatibleDatabase = (connection) => {
+  const statementCache = new Map()
+  let rowsModified = 0
+
+  const prepare = (sql) => {
+    let statement = statementCache.get(sql)
+    if (!statement) {
+      statement = connection.prepare(sql)
+      // 部分 SQL 是动态拼接的（IN 列表等），超出上限时淘汰最早缓存的语句
+      if (statementCache.size >= STATEMENT_CACHE_LIMIT) {
+        statementCache.delete(statementCache.keys().next().value)
+      }
+      statementCache.set(sql, statement)
+    }
+    return statement
+  }
+
+  const bind = (params) => {
+    const normalized = normalizeParams(params)
+    return Array.isArray(normalized) ? normalized : [normalized]
+  }
+
+  const exec = (sql, params) => {
+    let statement
+    try {
+      statement = prepare(sql)
+    } catch (error) {
+      if (!isMultiStatementError(error) || (params && params.length)) throw error
+      connection.exec(sql)
+      return []
+    }
+
+    if (!statement.reader) {
+      const info = statement.run(...bind(params))
+      rowsModified = info.changes
+      return []
+    }
+
+    const values = statement.raw(true).all(...bind(params))
+    if (!values.length) return []
+    const columns = statement.columns().map(column => column.name)
+    return [{ columns, values }]
+  }
+
+  const run = (sql, params) => {
+    let statement
+    try {
+      statement = prepare(sql)
+    } catch (error) {
+      if (!isMultiStatementError(error) || (params && params.length)) throw error
+      connection.exec(sql)
+      rowsModified = connection.prepare('SELECT changes()').pluck().get()
+      return api
+    }
+
+    if (statement.reader) {
+      statement.raw(true).all(...bind(params))
+      return api
+    }
+
+    const info = statement.run(...bind(params))
+    rowsModified = info.changes
+    return api
+  }
+
+  const api = {
+    exec,
+    run,
+    getRowsModified: () => rowsModified,
+    close: () => connection.close(),
+    // 暴露底层连接，便于需要原生事务/备份能力的调用方
+    native: connection,
+  }
+
+  return api
+}
+
+// 首次以 sqlite 引擎打开 sql.js 快照时做一次性迁移：
+// 先备份原文件并校验完整性，再切换到 WAL 日志模式（journal_mode 会持久化在文件头中，因此只会执行一次）。
+const migrateSnapshotToWal = (connection, dbPath) => {
+  const journalMode = String(connection.pragma('journal_mode', { simple: true }) || '').toLowerCase()
+  if (journalMode === 'wal') return { migrated: false }
+
+  const integrity = String(connection.pragma('integrity_check', { simple: true }) || '')
+  if (integrity.toLowerCase() !== 'ok') {
+    throw new Error(`${LABEL} 数据库完整性校验失败，已停止迁移: ${integrity}`)
+  }
+
+  let backupPath = null
+  if (fs.existsSync(dbPath) && fs.statSync(dbPath).size > 0) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '')
+    backupPath = `${dbPath}.sqljs-${stamp}.bak`
+    fs.copyFileSync(dbPath, backupPath)
+  }
+
+  connection.pragma('journal_mode = WAL')
+  console.log(`${LABEL} 已将 ${dbPath} 切换为 WAL 模式`, backupPath ? { backupPath } : {})
+  return { migrated: true, backupPath }
+}
+
+export async function openSqliteStorage({ dbPath }) {
+  const Database = await loadDriver()
+
+  const dbDir = path.dirname(dbPath)
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true })
+  }
+
+  const connection = new Database(dbPath)
+  migrateSnapshotToWal(connection, dbPath)
+  connection.pragma('synchronous = NORMAL')
+  connection.pragma('busy_timeout = 5000')
+
+  const database = createSqlJsCompatibleDatabase(connection)
+
+  return {
+    engine: 'sqlite',
+    dbPath,
+    database,
+    // 每条语句提交时已写入 WAL，无需整库导出；WAL 由 SQLite 自动 checkpoint
+    persist: async () => {},
+    close: () => {
+      connection.pragma('wal_checkpoint(TRUNCATE)')
+      connection.close()
+    },
+  }
+}
@@ -0,0 +1,43 @@
+import initSqlJs from 'sql.js'
+import fs from 'fs'
+import path from 'path'
+
+// sql.js 引擎：整个数据库驻留内存，persist() 时导出并整体写回文件。
+// 写入先落到临时文件再 rename，避免进程在写文件过程中崩溃导致快照被截断。
+// dbPath 为 :memory: 时不读写文件（测试用），persist() 为空操作。
+const IN_MEMORY_DB_PATH = ':memory:'
+
+export async function openSqlJsStorage({ dbPath }) {
+  const SQL = await initSqlJs()
+  const inMemory = dbPath === IN_MEMORY_DB_PATH
+
+  let database
+  try {
+    database = inMemory ? new SQL.Database() : new SQL.Database(fs.readFileSync(dbPath))
+  } catch {
+    database = new SQL.Database()
+  }
+
+  const persist = async () => {
+    if (inMemory) return
+    const data = database.export()
+    const buffer = Buffer.from(data)
+
+    const dbDir = path.dirname(dbPath)
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true })
+    }
+
+    const tmpPath = `${dbPath}.tmp-${process.pid}`
+    fs.writeFileSync(tmpPath, buffer)
+    fs.renameSync(tmpPath, dbPath)
+  }
+
+  return {
+    engine: 'sqljs',
+    dbPath,
+    database,
+    persist,
+    close: () => database.close(),
+  }
+}
@@ -1,62 +1,59 @@
-import { getDatabase } from '../database/init.js'
-import crypto from 'crypto'
-
-const CACHE_TTL_MS = 60 * 1000
-
-let cachedKey = null
-let cacheTimestamp = 0
-
-const normalizeKey = (value) => (typeof value === 'string' ? value.trim() : '')
-
-const timingSafeEqual = (a, b) => {
-  const left = normalizeKey(a)
-  const right = normalizeKey(b)
-  if (!left || !right) return false
-  const leftBuf = Buffer.from(left)
-  const rightBuf = Buffer.from(right)
-  if (leftBuf.length !== rightBuf.length) return false
-  return crypto.timingSafeEqual(leftBuf, rightBuf)
-}
-
-async function fetchApiKeyFromDatabase() {
-  const db = await getDatabase()
-  const result = db.exec('SELECT config_value FROM system_config WHERE config_key = "auto_boarding_api_key"')
-
-  if (result.length > 0 && result[0].values.length > 0) {
-    return normalizeKey(result[0].values[0][0])
-  }
-
-  return normalizeKey(process.env.AUTO_BOARDING_API_KEY)
+import { hasActiveApiKeys, verifyApiKey } from '../services/api-keys.js'
+import { authenticateToken } from './auth.js'
+import { requireMenu } from './rbac.js'
+
+const FAILURE_RESPONSES = {
+  missing: [401, 'Unauthorized: Invalid API key'],
+  invalid: [401, 'Unauthorized: Invalid API key'],
+  revoked: [401, 'API key 已吊销'],
+  expired: [401, 'API key 已过期'],
+  forbidden: [403, 'API key 无权访问该接口'],
+  rate_limited: [429, 'API key 请求过于频繁，请稍后再试'],
 }
 
-export async function getExpectedApiKey(forceRefresh = false) {
-  const now = Date.now()
-
-  if (!forceRefresh && cachedKey && now - cacheTimestamp < CACHE_TTL_MS) {
-    return cachedKey
+/**
+ * 校验 X-API-Key 并要求其包含 scope（见 services/api-keys.js 中的 API_KEY_SCOPES）。
+ * 通过后 req.apiKey = { id, name, scopes }。
+ */
+export function requireApiKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const result = await verifyApiKey(req.headers['x-api-key'], scope, { ip: req.ip })
+      if (result.ok) {
+        req.apiKey = result.apiKey
+        return next()
+      }
+
+      if ((result.reason === 'missing' || result.reason === 'invalid') && !(await hasActiveApiKeys())) {
+        return res.status(503).json({ error: 'API key 未配置，接口已禁用' })
+      }
+
+      const [status, error] = FAILURE_RESPONSES[result.reason] || FAILURE_RESPONSES.invalid
+      if (result.retryAfterSeconds) {
+        res.set('Retry-After', String(result.retryAfterSeconds))
+      }
+      if (result.reason === 'forbidden') {
+        return res.status(status).json({ error, requiredScope: scope })
+      }
+      return res.status(status).json({ error })
+    } catch (error) {
+      console.error('API Key 验证失败:', error)
+      res.status(500).json({ error: 'Failed to validate API key' })
+    }
   }
-
-  cachedKey = await fetchApiKeyFromDatabase()
-  cacheTimestamp = now
-  return cachedKey
 }
 
-export async function apiKeyAuth(req, res, next) {
-  try {
-    const apiKey = normalizeKey(req.headers['x-api-key'])
-    const expectedApiKey = await getExpectedApiKey()
-
-    if (!expectedApiKey) {
-      return res.status(503).json({ error: 'API key 未配置，接口已禁用' })
-    }
-
-    if (!timingSafeEqual(apiKey, expectedApiKey)) {
-      return res.status(401).json({ error: 'Unauthorized: Invalid API key' })
+/**
+ * 同时供后台页面（登录态 + 菜单权限）与外部调用方（X-API-Key + scope）使用的接口。
+ * 携带 Authorization 头时走登录态校验，否则走 API key 校验。
+ */
+export function requireApiKeyOrMenu(scope, menuKey) {
+  const apiKeyMiddleware = requireApiKey(scope)
+  const menuMiddleware = requireMenu(menuKey)
+  return (req, res, next) => {
+    if (!req.headers.authorization) {
+      return apiKeyMiddleware(req, res, next)
     }
-
-    next()
-  } catch (error) {
-    console.error('API Key 验证失败:', error)
-    res.status(500).json({ error: 'Failed to validate API key' })
+    authenticateToken(req, res, () => menuMiddleware(req, res, next))
   }
 }
@@ -0,0 +1,56 @@
+import crypto from 'crypto'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE'])
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,100}$/
+
+/**
+ * 为每个请求分配 req.requestId（沿用上游代理传入的 X-Request-Id，否则生成），并回写响应头，
+ * 便于把审计日志与访问日志、用户反馈对应起来。
+ */
+export function assignRequestId(req, res, next) {
+  const incoming = String(req.headers['x-request-id'] || '').trim()
+  req.requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set('X-Request-Id', req.requestId)
+  next()
+}
+
+/**
+ * 路由级兜底审计：已登录管理员（或 API 密钥）发起的增删改请求成功后，
+ * 若处理函数没有自行调用 recordAuditLog，则按“方法 + 路由”记录一条，并附带脱敏后的请求体。
+ * 未指定 targetType 时取路由的第一段（如 /smtp-settings → smtp-settings）。
+ */
+export function auditMutations(targetType) {
+  return (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method)) return next()
+
+    res.on('finish', () => {
+      if (req.auditLogged) return
+      if (res.statusCode < 200 || res.statusCode >= 300) return
+      if (!req.user?.id && !req.apiKey) return
+
+      const routePath = req.route?.path ? `${req.baseUrl || ''}${req.route.path}` : String(req.originalUrl || '').split('?')[0]
+      const params = req.params || {}
+      const targetId = params.id ?? params.key ?? params.productKey ?? params.accountId ?? null
+      const resolvedTargetType = targetType || String(req.route?.path || '').split('/').filter(Boolean)[0] || null
+      const body = req.body && typeof req.body === 'object' && Object.keys(req.body).length ? req.body : undefined
+
+      getDatabase()
+        .then(db => {
+          const id = recordAuditLog(db, req, {
+            action: `${req.method} ${routePath}`,
+            targetType: resolvedTargetType,
+            targetId,
+            metadata: body ? { body } : undefined
+          })
+          if (id) saveDatabase()
+        })
+        .catch(error => {
+          console.warn('[AuditLog] fallback record failed', error?.message || error)
+        })
+    })
+
+    next()
+  }
+}
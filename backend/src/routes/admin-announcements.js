@@ -2,11 +2,12 @@ import express from 'express'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { withLocks } from '../utils/locks.js'
 
 const router = express.Router()
 
-router.use(authenticateToken, requireSuperAdmin)
+router.use(authenticateToken, requireSuperAdmin, auditMutations('announcement'))
 
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -0,0 +1,243 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import {
+  API_KEY_COLUMNS,
+  API_KEY_SCOPES,
+  generateApiKey,
+  invalidateApiKeyCache,
+  mapApiKeyRow,
+  normalizeScopes,
+} from '../services/api-keys.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('api_key'))
+
+const NAME_MAX_LENGTH = 64
+const RATE_LIMIT_MAX = 100000
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const normalizeName = (value) => {
+  const trimmed = String(value ?? '').trim()
+  if (!trimmed) return null
+  return trimmed.length > NAME_MAX_LENGTH ? trimmed.slice(0, NAME_MAX_LENGTH) : trimmed
+}
+
+// null / 空 / 0 表示不限流
+const normalizeRateLimit = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const parsed = toInt(value, NaN)
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > RATE_LIMIT_MAX) {
+    throw new Error(`每分钟请求上限需为 0-${RATE_LIMIT_MAX} 的整数`)
+  }
+  return parsed || null
+}
+
+// 接受 ISO 字符串或 YYYY-MM-DD HH:mm[:ss]，统一存为本地时间 YYYY-MM-DD HH:mm:ss
+const normalizeExpiresAt = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(String(value).trim().replace(' ', 'T'))
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('过期时间格式不正确')
+  }
+  const pad2 = (num) => String(num).padStart(2, '0')
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+}
+
+const fetchApiKeyById = (db, id) => {
+  const result = db.exec(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ? LIMIT 1`, [id])
+  const row = result[0]?.values?.[0]
+  return row ? mapApiKeyRow(row) : null
+}
+
+const parseIdParam = (req, res) => {
+  const id = toInt(req.params.id, 0)
+  if (id <= 0) {
+    res.status(400).json({ error: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+router.get('/scopes', (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES })
+})
+
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const result = db.exec(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY revoked_at IS NOT NULL, id DESC`)
+    res.json({ items: (result[0]?.values || []).map(mapApiKeyRow) })
+  } catch (error) {
+    console.error('[Admin API Keys] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    const name = normalizeName(req.body?.name)
+    if (!name) {
+      return res.status(400).json({ error: '请填写密钥名称' })
+    }
+
+    let scopes
+    let rateLimitPerMinute
+    let expiresAt
+    try {
+      scopes = normalizeScopes(req.body?.scopes)
+      rateLimitPerMinute = normalizeRateLimit(req.body?.rateLimitPerMinute)
+      expiresAt = normalizeExpiresAt(req.body?.expiresAt)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    if (!scopes.length) {
+      return res.status(400).json({ error: '请至少选择一个权限范围' })
+    }
+
+    const db = await getDatabase()
+    const { plainKey, keyHash, keyPrefix } = generateApiKey()
+    db.run(
+      `
+        INSERT INTO api_keys (name, key_hash, key_prefix, scopes, rate_limit_per_minute, expires_at, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      [name, keyHash, keyPrefix, JSON.stringify(scopes), rateLimitPerMinute, expiresAt, req.user?.id || null]
+    )
+    const idResult = db.exec('SELECT id FROM api_keys WHERE key_hash = ? LIMIT 1', [keyHash])
+    const id = Number(idResult[0]?.values?.[0]?.[0] || 0)
+    await saveDatabase()
+    invalidateApiKeyCache()
+
+    // 明文只在创建时返回一次，数据库中仅保存哈希
+    res.json({ item: fetchApiKeyById(db, id), apiKey: plainKey })
+  } catch (error) {
+    console.error('[Admin API Keys] create error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = fetchApiKeyById(db, id)
+    if (!existing) {
+      return res.status(404).json({ error: '密钥不存在' })
+    }
+    if (existing.revokedAt) {
+      return res.status(400).json({ error: '密钥已吊销，无法修改' })
+    }
+
+    const body = req.body || {}
+    const sets = []
+    const params = []
+    try {
+      if (body.name !== undefined) {
+        const name = normalizeName(body.name)
+        if (!name) return res.status(400).json({ error: '请填写密钥名称' })
+        sets.push('name = ?')
+        params.push(name)
+      }
+      if (body.scopes !== undefined) {
+        const scopes = normalizeScopes(body.scopes)
+        if (!scopes.length) return res.status(400).json({ error: '请至少选择一个权限范围' })
+        sets.push('scopes = ?')
+        params.push(JSON.stringify(scopes))
+      }
+      if (body.rateLimitPerMinute !== undefined) {
+        sets.push('rate_limit_per_minute = ?')
+        params.push(normalizeRateLimit(body.rateLimitPerMinute))
+      }
+      if (body.expiresAt !== undefined) {
+        sets.push('expires_at = ?')
+        params.push(normalizeExpiresAt(body.expiresAt))
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    if (!sets.length) {
+      return res.json({ item: existing })
+    }
+
+    db.run(
+      `UPDATE api_keys SET ${sets.join(', ')}, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+      [...params, id]
+    )
+    await saveDatabase()
+    invalidateApiKeyCache()
+
+    res.json({ item: fetchApiKeyById(db, id) })
+  } catch (error) {
+    console.error('[Admin API Keys] update error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 轮换：保留名称、权限与限流配置，生成新密钥，旧密钥立即失效
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = fetchApiKeyById(db, id)
+    if (!existing) {
+      return res.status(404).json({ error: '密钥不存在' })
+    }
+    if (existing.revokedAt) {
+      return res.status(400).json({ error: '密钥已吊销，无法轮换' })
+    }
+
+    const { plainKey, keyHash, keyPrefix } = generateApiKey()
+    db.run(
+      `UPDATE api_keys SET key_hash = ?, key_prefix = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+      [keyHash, keyPrefix, id]
+    )
+    await saveDatabase()
+    invalidateApiKeyCache()
+
+    res.json({ item: fetchApiKeyById(db, id), apiKey: plainKey })
+  } catch (error) {
+    console.error('[Admin API Keys] rotate error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = fetchApiKeyById(db, id)
+    if (!existing) {
+      return res.status(404).json({ error: '密钥不存在' })
+    }
+    if (!existing.revokedAt) {
+      db.run(
+        `UPDATE api_keys SET revoked_at = DATETIME('now', 'localtime'), updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+        [id]
+      )
+      await saveDatabase()
+      invalidateApiKeyCache()
+    }
+
+    res.json({ item: fetchApiKeyById(db, id) })
+  } catch (error) {
+    console.error('[Admin API Keys] revoke error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
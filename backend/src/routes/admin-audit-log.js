@@ -0,0 +1,53 @@
+import express from 'express'
+import { getDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { listAuditLogs } from '../utils/audit-log.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin)
+
+// 审计日志只读：不提供修改/删除接口
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const result = listAuditLogs(db, {
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+      actor: req.query.actor,
+      action: req.query.action,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      requestId: req.query.requestId,
+      from: req.query.from,
+      to: req.query.to,
+      search: req.query.search,
+    })
+
+    res.json({
+      items: result.items,
+      pagination: { page: result.page, pageSize: result.pageSize, total: result.total }
+    })
+  } catch (error) {
+    console.error('[AuditLog] list error:', error)
+    res.status(500).json({ error: '加载审计日志失败' })
+  }
+})
+
+// 下拉筛选项：已出现过的操作与对象类型
+router.get('/facets', async (_req, res) => {
+  try {
+    const db = await getDatabase()
+    const actions = (db.exec('SELECT DISTINCT action FROM audit_log ORDER BY action')[0]?.values || [])
+      .map(row => String(row[0]))
+    const targetTypes = (db.exec('SELECT DISTINCT target_type FROM audit_log WHERE target_type IS NOT NULL ORDER BY target_type')[0]?.values || [])
+      .map(row => String(row[0]))
+    res.json({ actions, targetTypes })
+  } catch (error) {
+    console.error('[AuditLog] facets error:', error)
+    res.status(500).json({ error: '加载筛选项失败' })
+  }
+})
+
+export default router
@@ -0,0 +1,195 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { requireFeatureEnabled } from '../middleware/feature-flags.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import { getCouponById, listCoupons, normalizeCouponInput } from '../services/coupons.js'
+
+const router = express.Router()
+
+router.use(requireFeatureEnabled('payment'), authenticateToken, requireMenu('coupons'), auditMutations('coupon'))
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const parseIdParam = (req, res) => {
+  const id = toInt(req.params.id, 0)
+  if (id <= 0) {
+    res.status(400).json({ error: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+// 审计快照只保留规则字段，用量统计不计入 before/after
+const toAuditSnapshot = (coupon) => {
+  if (!coupon) return null
+  const { usedCount, paidCount, paidDiscountTotal, createdAt, updatedAt, ...rest } = coupon
+  return rest
+}
+
+const describeDiscount = (coupon) =>
+  coupon.discountType === 'percent' ? `减免 ${Number(coupon.discountValue)}%` : `立减 ¥${coupon.discountValue}`
+
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    res.json({ items: await listCoupons(db) })
+  } catch (error) {
+    console.error('[Admin Coupons] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    let input
+    try {
+      input = normalizeCouponInput(req.body)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const db = await getDatabase()
+    const exists = db.exec('SELECT id FROM coupons WHERE code = ? LIMIT 1', [input.code])
+    if (exists[0]?.values?.length) {
+      return res.status(409).json({ error: '优惠码已存在' })
+    }
+
+    db.run(
+      `
+        INSERT INTO coupons (
+          code, name, discount_type, discount_value, product_keys, max_uses, max_uses_per_email,
+          starts_at, ends_at, is_active, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      [
+        input.code,
+        input.name,
+        input.discountType,
+        input.discountValue,
+        input.productKeys.join(','),
+        input.maxUses,
+        input.maxUsesPerEmail,
+        input.startsAt,
+        input.endsAt,
+        input.isActive ? 1 : 0,
+        req.user?.id || null,
+      ]
+    )
+    const idResult = db.exec('SELECT id FROM coupons WHERE code = ? LIMIT 1', [input.code])
+    const item = getCouponById(db, Number(idResult[0]?.values?.[0]?.[0] || 0))
+
+    recordAuditLog(db, req, {
+      action: 'coupon.create',
+      targetType: 'coupon',
+      targetId: item?.id,
+      summary: `创建优惠码 ${input.code}（${describeDiscount(input)}）`,
+      after: toAuditSnapshot(item),
+    })
+    await saveDatabase()
+    res.json({ item })
+  } catch (error) {
+    console.error('[Admin Coupons] create error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = getCouponById(db, id)
+    if (!existing) return res.status(404).json({ error: '优惠码不存在' })
+
+    let input
+    try {
+      input = normalizeCouponInput(req.body, existing)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    db.run(
+      `
+        UPDATE coupons
+        SET name = ?,
+            discount_type = ?,
+            discount_value = ?,
+            product_keys = ?,
+            max_uses = ?,
+            max_uses_per_email = ?,
+            starts_at = ?,
+            ends_at = ?,
+            is_active = ?,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [
+        input.name,
+        input.discountType,
+        input.discountValue,
+        input.productKeys.join(','),
+        input.maxUses,
+        input.maxUsesPerEmail,
+        input.startsAt,
+        input.endsAt,
+        input.isActive ? 1 : 0,
+        id,
+      ]
+    )
+    const item = getCouponById(db, id)
+
+    recordAuditLog(db, req, {
+      action: 'coupon.update',
+      targetType: 'coupon',
+      targetId: id,
+      summary: `更新优惠码 ${existing.code}`,
+      before: toAuditSnapshot(existing),
+      after: toAuditSnapshot(item),
+    })
+    await saveDatabase()
+    res.json({ item })
+  } catch (error) {
+    console.error('[Admin Coupons] update error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 已被订单使用过的优惠码只能停用，保留订单上的关联
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = getCouponById(db, id)
+    if (!existing) return res.status(404).json({ error: '优惠码不存在' })
+
+    const referenced = db.exec('SELECT 1 FROM purchase_orders WHERE coupon_id = ? LIMIT 1', [id])
+    if (referenced[0]?.values?.length) {
+      return res.status(409).json({ error: '优惠码已有订单使用，请改为停用' })
+    }
+
+    db.run('DELETE FROM coupons WHERE id = ?', [id])
+    recordAuditLog(db, req, {
+      action: 'coupon.delete',
+      targetType: 'coupon',
+      targetId: id,
+      summary: `删除优惠码 ${existing.code}`,
+      before: toAuditSnapshot(existing),
+    })
+    await saveDatabase()
+    res.json({ ok: true })
+  } catch (error) {
+    console.error('[Admin Coupons] delete error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
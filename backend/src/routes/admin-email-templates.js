@@ -0,0 +1,251 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import { sendTestEmail } from '../services/email-service.js'
+import {
+  BODY_MAX_LENGTH,
+  DEFAULT_EMAIL_LOCALE,
+  EMAIL_TEMPLATE_DEFINITIONS,
+  EMAIL_TEMPLATE_LOCALES,
+  SUBJECT_MAX_LENGTH,
+  deleteEmailTemplate,
+  getDefaultEmailTemplate,
+  getEmailTemplateDefinition,
+  getStoredEmailTemplate,
+  isSupportedEmailLocale,
+  listStoredEmailTemplates,
+  renderEmailTemplateContent,
+  resolveEmailTemplate,
+  upsertEmailTemplate,
+} from '../services/email-templates.js'
+
+const router = express.Router()
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+router.use(authenticateToken, requireSuperAdmin)
+
+const mapDefinition = (definition) => ({
+  key: definition.key,
+  label: definition.label,
+  description: definition.description,
+  placeholders: definition.placeholders.map(item => ({ name: item.name, label: item.label, raw: Boolean(item.raw) })),
+  sample: definition.sample,
+  defaultLocales: Object.keys(definition.defaults),
+})
+
+const parseTemplateParams = (req, res) => {
+  const definition = getEmailTemplateDefinition(req.params.key)
+  if (!definition) {
+    res.status(404).json({ error: '模板不存在' })
+    return null
+  }
+  const locale = String(req.params.locale || '').trim()
+  if (!isSupportedEmailLocale(locale)) {
+    res.status(400).json({ error: '不支持的语言' })
+    return null
+  }
+  return { definition, locale }
+}
+
+// 校验并整理编辑器提交的模板内容；不合法时抛出带中文提示的 Error
+const normalizeTemplateBody = (body) => {
+  const subject = String(body?.subject ?? '').trim()
+  const html = String(body?.html ?? '')
+  const text = String(body?.text ?? '')
+  if (!subject) throw new Error('请填写邮件标题')
+  if (subject.length > SUBJECT_MAX_LENGTH) throw new Error(`邮件标题不能超过 ${SUBJECT_MAX_LENGTH} 个字符`)
+  if (!html.trim()) throw new Error('请填写 HTML 正文')
+  if (html.length > BODY_MAX_LENGTH || text.length > BODY_MAX_LENGTH) {
+    throw new Error(`正文不能超过 ${BODY_MAX_LENGTH} 个字符`)
+  }
+  return { subject, html, text }
+}
+
+// 预览只渲染不落库，不计入审计日志，因此放在 auditMutations 之前
+router.post('/preview', (req, res) => {
+  try {
+    const definition = getEmailTemplateDefinition(req.body?.key)
+    if (!definition) {
+      return res.status(404).json({ error: '模板不存在' })
+    }
+    const template = {
+      subject: String(req.body?.subject ?? ''),
+      html: String(req.body?.html ?? ''),
+      text: String(req.body?.text ?? ''),
+    }
+    const data = req.body?.data && typeof req.body.data === 'object' ? req.body.data : definition.sample
+    res.json({ preview: renderEmailTemplateContent(definition.key, template, data) })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] preview error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.use(auditMutations('email-template'))
+
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const stored = listStoredEmailTemplates(db).map(item => ({
+      key: item.key,
+      locale: item.locale,
+      updatedBy: item.updatedBy,
+      updatedAt: item.updatedAt,
+    }))
+    res.json({
+      definitions: EMAIL_TEMPLATE_DEFINITIONS.map(mapDefinition),
+      locales: EMAIL_TEMPLATE_LOCALES,
+      defaultLocale: DEFAULT_EMAIL_LOCALE,
+      customized: stored,
+    })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/:key/:locale', async (req, res) => {
+  try {
+    const parsed = parseTemplateParams(req, res)
+    if (!parsed) return
+    const { definition, locale } = parsed
+
+    const db = await getDatabase()
+    // 该语言没有自定义也没有内置默认时，返回回退链上实际会使用的模板，方便在其基础上翻译
+    const resolved = resolveEmailTemplate(db, definition.key, locale)
+    const isExact = resolved?.locale === locale
+    const template = resolved?.template || getDefaultEmailTemplate(definition.key, DEFAULT_EMAIL_LOCALE)
+
+    res.json({
+      template: {
+        key: definition.key,
+        locale,
+        subject: template.subject,
+        html: template.html,
+        text: template.text || '',
+        updatedBy: isExact && resolved.source === 'custom' ? template.updatedBy : null,
+        updatedAt: isExact && resolved.source === 'custom' ? template.updatedAt : null,
+      },
+      source: isExact ? resolved.source : 'fallback',
+      resolvedLocale: resolved?.locale || DEFAULT_EMAIL_LOCALE,
+    })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] get error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.put('/:key/:locale', async (req, res) => {
+  try {
+    const parsed = parseTemplateParams(req, res)
+    if (!parsed) return
+    const { definition, locale } = parsed
+
+    let body
+    try {
+      body = normalizeTemplateBody(req.body)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const db = await getDatabase()
+    const before = getStoredEmailTemplate(db, definition.key, locale)
+    const saved = upsertEmailTemplate(db, {
+      key: definition.key,
+      locale,
+      ...body,
+      updatedBy: req.user?.username || null,
+    })
+
+    recordAuditLog(db, req, {
+      action: 'email_template.update',
+      targetType: 'email-template',
+      targetId: `${definition.key}:${locale}`,
+      before: before ? { subject: before.subject, html: before.html, text: before.text } : undefined,
+      after: body,
+    })
+    saveDatabase()
+
+    res.json({ template: saved, source: 'custom', resolvedLocale: locale })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] update error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.delete('/:key/:locale', async (req, res) => {
+  try {
+    const parsed = parseTemplateParams(req, res)
+    if (!parsed) return
+    const { definition, locale } = parsed
+
+    const db = await getDatabase()
+    const before = getStoredEmailTemplate(db, definition.key, locale)
+    if (!before) {
+      return res.status(404).json({ error: '该语言未自定义模板' })
+    }
+    deleteEmailTemplate(db, definition.key, locale)
+
+    recordAuditLog(db, req, {
+      action: 'email_template.reset',
+      targetType: 'email-template',
+      targetId: `${definition.key}:${locale}`,
+      summary: '恢复默认模板',
+      before: { subject: before.subject, html: before.html, text: before.text },
+    })
+    saveDatabase()
+
+    res.json({ message: '已恢复默认模板' })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] reset error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 用示例数据渲染编辑器中当前（未保存的）内容并发送到指定邮箱
+router.post('/:key/:locale/test', async (req, res) => {
+  try {
+    const parsed = parseTemplateParams(req, res)
+    if (!parsed) return
+    const { definition, locale } = parsed
+
+    const to = String(req.body?.to ?? '').trim()
+    if (!EMAIL_REGEX.test(to)) {
+      return res.status(400).json({ error: '请填写有效的收件邮箱' })
+    }
+
+    let body
+    try {
+      body = normalizeTemplateBody(req.body)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const rendered = renderEmailTemplateContent(definition.key, body, definition.sample)
+    try {
+      await sendTestEmail({ to, subject: `[测试] ${rendered.subject}`, html: rendered.html, text: rendered.text })
+    } catch (error) {
+      return res.status(400).json({ error: `发送失败：${error?.message || error}` })
+    }
+
+    const db = await getDatabase()
+    recordAuditLog(db, req, {
+      action: 'email_template.test',
+      targetType: 'email-template',
+      targetId: `${definition.key}:${locale}`,
+      summary: `发送测试邮件至 ${to}`,
+    })
+    saveDatabase()
+
+    res.json({ message: '测试邮件已发送' })
+  } catch (error) {
+    console.error('[Admin EmailTemplates] test error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
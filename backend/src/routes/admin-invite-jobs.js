@@ -0,0 +1,68 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import {
+  INVITE_JOB_STATUSES,
+  InviteJobError,
+  countInviteJobsByStatus,
+  listInviteJobs,
+  processInviteJob,
+} from '../services/invite-retry-queue.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('invite_job'))
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, toInt(req.query.page, 1))
+    const pageSize = Math.min(100, Math.max(1, toInt(req.query.pageSize, 20)))
+    const status = req.query.status === 'open' || INVITE_JOB_STATUSES.includes(req.query.status) ? req.query.status : ''
+    const search = String(req.query.search || '').trim()
+
+    const db = await getDatabase()
+    const { items, total } = listInviteJobs(db, { page, pageSize, status, search })
+    res.json({ items, counts: countInviteJobsByStatus(db), pagination: { page, pageSize, total } })
+  } catch (error) {
+    console.error('[Admin InviteJobs] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 手动重试：立即发送一次邀请（不等待退避时间），死信任务也可重试
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const id = toInt(req.params.id, 0)
+    if (id <= 0) return res.status(400).json({ error: 'Invalid id' })
+
+    const { job, invited } = await processInviteJob(id, { manual: true })
+
+    const db = await getDatabase()
+    recordAuditLog(db, req, {
+      action: 'invite_job.retry',
+      targetType: 'invite_job',
+      targetId: id,
+      summary: `手动重试邀请 #${id}（${job.email}）：${invited ? '已发送' : job.lastError || job.status}`,
+      metadata: { email: job.email, code: job.code, orderNo: job.orderNo, accountEmail: job.accountEmail, status: job.status },
+    })
+    await saveDatabase()
+
+    res.json({ item: job, invited })
+  } catch (error) {
+    if (error instanceof InviteJobError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    console.error('[Admin InviteJobs] retry error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
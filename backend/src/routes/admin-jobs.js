@@ -0,0 +1,152 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import {
+  getRegisteredJob,
+  isJobPaused,
+  listJobRuns,
+  listJobs,
+  refreshPausedJobs,
+  runRegisteredJob,
+  setJobPaused,
+} from '../services/job-registry.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('job'))
+
+// 手动触发最多等待这么久返回结果，耗时更长的任务在后台继续执行，前端通过刷新查看
+const TRIGGER_WAIT_MS = 5000
+
+const SKIP_REASON_MESSAGES = {
+  running: '任务正在执行中，请稍后再试',
+  not_leader: '该任务当前由其他实例负责执行，请稍后再试',
+  not_runnable: '任务未启用，无法触发',
+}
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const resolveJob = (req, res) => {
+  const job = getRegisteredJob(req.params.key)
+  if (!job) {
+    res.status(404).json({ error: '任务不存在' })
+    return null
+  }
+  return job
+}
+
+const findJobSnapshot = async (db, key) => (await listJobs(db)).find(item => item.key === key) || null
+
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    res.json({ jobs: await listJobs(db) })
+  } catch (error) {
+    console.error('[Admin Jobs] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/:key/runs', async (req, res) => {
+  try {
+    const job = resolveJob(req, res)
+    if (!job) return
+
+    const db = await getDatabase()
+    const limit = Math.min(200, Math.max(1, toInt(req.query.limit, 50)))
+    res.json({ runs: listJobRuns(db, job.key, { limit }) })
+  } catch (error) {
+    console.error('[Admin Jobs] runs error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+const handlePauseToggle = (paused) => async (req, res) => {
+  try {
+    const job = resolveJob(req, res)
+    if (!job) return
+    if (!job.enabled) {
+      return res.status(400).json({ error: '任务未启用，无法暂停或恢复' })
+    }
+
+    const db = await getDatabase()
+    await refreshPausedJobs(db)
+    const wasPaused = isJobPaused(job.key)
+    if (wasPaused !== paused) {
+      await setJobPaused(db, job.key, paused)
+      recordAuditLog(db, req, {
+        action: paused ? 'job.pause' : 'job.resume',
+        targetType: 'job',
+        targetId: job.key,
+        summary: `${paused ? '暂停' : '恢复'}任务「${job.label}」`,
+        before: { paused: wasPaused },
+        after: { paused },
+      })
+      await saveDatabase()
+    }
+
+    res.json({ job: await findJobSnapshot(db, job.key) })
+  } catch (error) {
+    console.error('[Admin Jobs] pause toggle error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
+
+router.post('/:key/pause', handlePauseToggle(true))
+router.post('/:key/resume', handlePauseToggle(false))
+
+// 手动触发不受暂停影响（常驻任务除外：暂停时重连等于恢复，需先点恢复）
+router.post('/:key/trigger', async (req, res) => {
+  try {
+    const job = resolveJob(req, res)
+    if (!job) return
+    if (!job.enabled || typeof job.run !== 'function') {
+      return res.status(400).json({ error: SKIP_REASON_MESSAGES.not_runnable })
+    }
+
+    const db = await getDatabase()
+    await refreshPausedJobs(db)
+    if (job.kind === 'daemon' && isJobPaused(job.key)) {
+      return res.status(400).json({ error: '常驻任务已暂停，请先恢复' })
+    }
+    if (job.runtime.running) {
+      return res.status(409).json({ error: SKIP_REASON_MESSAGES.running })
+    }
+
+    recordAuditLog(db, req, {
+      action: 'job.trigger',
+      targetType: 'job',
+      targetId: job.key,
+      summary: `手动触发任务「${job.label}」`,
+    })
+    await saveDatabase()
+
+    const runPromise = runRegisteredJob(job.key, 'manual')
+    const outcome = await Promise.race([
+      runPromise,
+      new Promise(resolve => setTimeout(() => resolve(null), TRIGGER_WAIT_MS)),
+    ])
+
+    if (outcome?.status === 'skipped') {
+      return res.status(409).json({ error: SKIP_REASON_MESSAGES[outcome.reason] || '任务未执行' })
+    }
+
+    res.json({
+      finished: Boolean(outcome),
+      result: outcome,
+      message: outcome ? (outcome.status === 'failed' ? '任务执行失败' : '任务已执行') : '任务已在后台开始执行',
+      job: await findJobSnapshot(db, job.key),
+    })
+  } catch (error) {
+    console.error('[Admin Jobs] trigger error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
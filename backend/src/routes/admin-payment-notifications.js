@@ -0,0 +1,103 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import {
+  PAYMENT_NOTIFICATION_SOURCES,
+  PAYMENT_NOTIFICATION_STATUSES,
+  getPaymentNotification,
+  listPaymentNotifications,
+  listRelatedPaymentNotifications,
+  processPaymentNotification,
+} from '../services/payment-notifications.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('payment_notification'))
+
+const REPLAY_ERROR_MESSAGES = {
+  not_found: '通知不存在',
+  not_verified: '验签未通过的通知不能重放',
+  not_paid: '交易未成功的通知无需重放',
+  no_handler: '该来源的通知处理器未启用',
+}
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const parseIdParam = (req, res) => {
+  const id = toInt(req.params.id, 0)
+  if (id <= 0) {
+    res.status(400).json({ error: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, toInt(req.query.page, 1))
+    const pageSize = Math.min(100, Math.max(1, toInt(req.query.pageSize, 20)))
+    const source = PAYMENT_NOTIFICATION_SOURCES.includes(req.query.source) ? req.query.source : ''
+    const status = PAYMENT_NOTIFICATION_STATUSES.includes(req.query.status) ? req.query.status : ''
+    const search = String(req.query.search || '').trim()
+
+    const db = await getDatabase()
+    const { items, total } = listPaymentNotifications(db, { page, pageSize, source, status, search })
+    res.json({ items, pagination: { page, pageSize, total } })
+  } catch (error) {
+    console.error('[Admin PaymentNotifications] list error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const item = getPaymentNotification(db, id)
+    if (!item) return res.status(404).json({ error: '通知不存在' })
+    res.json({ item, related: listRelatedPaymentNotifications(db, item) })
+  } catch (error) {
+    console.error('[Admin PaymentNotifications] detail error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 重放：按原始参数重新走一遍处理流程（跳过交易号去重），已入账的订单只会补做未完成的兑换 / 邮件等步骤
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const result = await processPaymentNotification(id, { replay: true })
+    if (!result.ok) {
+      const status = result.error === 'not_found' ? 404 : 400
+      return res.status(status).json({ error: REPLAY_ERROR_MESSAGES[result.error] || '重放失败' })
+    }
+
+    const item = result.notification
+    const db = await getDatabase()
+    recordAuditLog(db, req, {
+      action: 'payment_notification.replay',
+      targetType: 'payment_notification',
+      targetId: id,
+      summary: `重放支付通知 #${id}（${item.orderNo || item.tradeNo || '-'}）：${item.status}${item.result ? ` · ${item.result}` : ''}`,
+      metadata: { source: item.source, provider: item.provider, orderNo: item.orderNo, tradeNo: item.tradeNo, status: item.status },
+    })
+    await saveDatabase()
+
+    res.json({ item, related: listRelatedPaymentNotifications(db, item) })
+  } catch (error) {
+    console.error('[Admin PaymentNotifications] replay error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
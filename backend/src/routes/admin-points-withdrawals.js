@@ -0,0 +1,414 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { withLocks } from '../utils/locks.js'
+import { safeInsertPointsLedgerEntry } from '../utils/points-ledger.js'
+import { sendTelegramBotNotification } from '../services/telegram-notifier.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('points_withdrawal'))
+
+const WITHDRAWAL_STATUSES = ['pending', 'approved', 'rejected', 'paid']
+const WITHDRAWAL_STATUS_SET = new Set(WITHDRAWAL_STATUSES)
+const STATUS_LABELS = {
+  pending: '待审核',
+  approved: '已通过',
+  rejected: '已驳回',
+  paid: '已打款',
+}
+const METHOD_LABELS = {
+  alipay: '支付宝',
+  wechat: '微信',
+}
+
+// 状态流转：pending -> approved -> paid；pending/approved -> rejected（驳回时退回积分）
+const ALLOWED_TRANSITIONS = {
+  approve: new Set(['pending']),
+  reject: new Set(['pending', 'approved']),
+  paid: new Set(['pending', 'approved']),
+}
+
+const REMARK_MAX_LENGTH = 200
+const PAYOUT_REF_MAX_LENGTH = 120
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const normalizeOptionalText = (value, maxLength) => {
+  if (value === undefined || value === null) return null
+  const trimmed = String(value).trim()
+  if (!trimmed) return null
+  return trimmed.length > maxLength ? trimmed.slice(0, maxLength) : trimmed
+}
+
+const WITHDRAWAL_SELECT_SQL = `
+  SELECT
+    w.id,
+    w.user_id,
+    u.username,
+    u.email,
+    w.points,
+    w.cash_amount,
+    w.method,
+    w.payout_account,
+    COALESCE(w.status, 'pending') AS status,
+    w.remark,
+    w.payout_ref,
+    w.processed_by,
+    pu.username AS processed_by_username,
+    w.created_at,
+    w.updated_at,
+    w.processed_at
+  FROM points_withdrawals w
+  LEFT JOIN users u ON u.id = w.user_id
+  LEFT JOIN users pu ON pu.id = w.processed_by
+`
+
+const mapWithdrawalRow = (row) => ({
+  id: Number(row[0]),
+  userId: Number(row[1] || 0),
+  username: row[2] || null,
+  email: row[3] || null,
+  points: Number(row[4] || 0),
+  cashAmount: row[5] || null,
+  method: row[6] || '',
+  payoutAccount: row[7] || '',
+  status: row[8] || 'pending',
+  remark: row[9] || null,
+  payoutRef: row[10] || null,
+  processedBy: row[11] != null ? Number(row[11]) : null,
+  processedByUsername: row[12] || null,
+  createdAt: row[13] || null,
+  updatedAt: row[14] || null,
+  processedAt: row[15] || null,
+})
+
+const fetchWithdrawal = (db, withdrawalId) => {
+  const result = db.exec(`${WITHDRAWAL_SELECT_SQL} WHERE w.id = ? LIMIT 1`, [withdrawalId])
+  const row = result[0]?.values?.[0]
+  return row ? mapWithdrawalRow(row) : null
+}
+
+const notifyWithdrawalChange = async (db, withdrawal, { title, operator } = {}) => {
+  if (!withdrawal) return
+  const methodLabel = METHOD_LABELS[withdrawal.method] || withdrawal.method
+  const lines = [
+    title,
+    `申请编号：${withdrawal.id}`,
+    `用户：${withdrawal.username || '-'}${withdrawal.email ? `（${withdrawal.email}）` : ''}`,
+    `积分：${withdrawal.points}`,
+    withdrawal.cashAmount ? `金额：${withdrawal.cashAmount} 元` : null,
+    `收款方式：${methodLabel} · ${withdrawal.payoutAccount}`,
+    withdrawal.payoutRef ? `打款凭证：${withdrawal.payoutRef}` : null,
+    withdrawal.remark ? `备注：${withdrawal.remark}` : null,
+    operator ? `操作人：${operator}` : null,
+  ].filter(Boolean)
+
+  await sendTelegramBotNotification(lines.join('\n'), { db }).catch(error => {
+    console.warn('[PointsWithdrawals] telegram notify failed', error?.message || error)
+  })
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const page = Math.max(1, toInt(req.query.page, 1))
+    const pageSize = Math.min(100, Math.max(1, toInt(req.query.pageSize, 15)))
+    const search = String(req.query.search || '').trim().toLowerCase()
+    const status = String(req.query.status || '').trim().toLowerCase()
+    const method = String(req.query.method || '').trim().toLowerCase()
+
+    const conditions = []
+    const params = []
+
+    if (search) {
+      conditions.push(`(
+        LOWER(COALESCE(u.username, '')) LIKE ?
+        OR LOWER(COALESCE(u.email, '')) LIKE ?
+        OR LOWER(COALESCE(w.payout_account, '')) LIKE ?
+        OR LOWER(COALESCE(w.payout_ref, '')) LIKE ?
+        OR CAST(w.id AS TEXT) = ?
+      )`)
+      const pattern = `%${search}%`
+      params.push(pattern, pattern, pattern, pattern, search)
+    }
+
+    if (status && status !== 'all') {
+      if (!WITHDRAWAL_STATUS_SET.has(status)) {
+        return res.status(400).json({ error: 'Invalid status' })
+      }
+      conditions.push(`COALESCE(w.status, 'pending') = ?`)
+      params.push(status)
+    }
+
+    if (method && method !== 'all') {
+      conditions.push('w.method = ?')
+      params.push(method)
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const countResult = db.exec(
+      `
+        SELECT COUNT(*)
+        FROM points_withdrawals w
+        LEFT JOIN users u ON u.id = w.user_id
+        ${whereClause}
+      `,
+      params
+    )
+    const total = Number(countResult[0]?.values?.[0]?.[0] || 0)
+
+    const offset = (page - 1) * pageSize
+    const result = db.exec(
+      `
+        ${WITHDRAWAL_SELECT_SQL}
+        ${whereClause}
+        ORDER BY w.created_at DESC, w.id DESC
+        LIMIT ? OFFSET ?
+      `,
+      [...params, pageSize, offset]
+    )
+
+    res.json({
+      withdrawals: (result[0]?.values || []).map(mapWithdrawalRow),
+      pagination: { page, pageSize, total }
+    })
+  } catch (error) {
+    console.error('Admin list points withdrawals error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/summary', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const result = db.exec(
+      `
+        SELECT
+          COALESCE(status, 'pending') AS status,
+          COUNT(*),
+          COALESCE(SUM(COALESCE(points, 0)), 0),
+          COALESCE(SUM(CAST(COALESCE(cash_amount, '0') AS REAL)), 0)
+        FROM points_withdrawals
+        GROUP BY COALESCE(status, 'pending')
+      `
+    )
+
+    const summary = {}
+    for (const status of WITHDRAWAL_STATUSES) {
+      summary[status] = { count: 0, points: 0, cashAmount: '0.00' }
+    }
+    for (const row of result[0]?.values || []) {
+      const status = String(row[0] || 'pending')
+      if (!summary[status]) continue
+      summary[status] = {
+        count: Number(row[1] || 0),
+        points: Number(row[2] || 0),
+        cashAmount: Number(row[3] || 0).toFixed(2),
+      }
+    }
+
+    res.json({ summary })
+  } catch (error) {
+    console.error('Admin points withdrawals summary error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+const resolveWithdrawalId = (req) => {
+  const withdrawalId = Number(req.params?.id)
+  return Number.isFinite(withdrawalId) && withdrawalId > 0 ? withdrawalId : null
+}
+
+const resolveOperator = (req) => {
+  const actorUserId = Number(req.user?.id)
+  return {
+    actorUserId: Number.isFinite(actorUserId) && actorUserId > 0 ? actorUserId : null,
+    actorName: String(req.user?.username || '').trim() || null,
+  }
+}
+
+// 加锁并在锁内重新读取记录，避免并发审核导致重复退款
+const transitionWithdrawal = async (db, withdrawalId, action, handler) => {
+  const existing = fetchWithdrawal(db, withdrawalId)
+  if (!existing) {
+    return { ok: false, status: 404, error: '提现申请不存在' }
+  }
+
+  return withLocks([`points:user:${existing.userId}`, `points-withdrawal:${withdrawalId}`], async () => {
+    const current = fetchWithdrawal(db, withdrawalId)
+    if (!current) {
+      return { ok: false, status: 404, error: '提现申请不存在' }
+    }
+    if (!ALLOWED_TRANSITIONS[action]?.has(current.status)) {
+      return {
+        ok: false,
+        status: 409,
+        error: `当前状态为「${STATUS_LABELS[current.status] || current.status}」，无法执行该操作`
+      }
+    }
+
+    handler(current)
+    saveDatabase()
+
+    return { ok: true, withdrawal: fetchWithdrawal(db, withdrawalId) }
+  })
+}
+
+const respondTransition = (res, result) => {
+  if (!result?.ok) {
+    return res.status(Number(result?.status) || 400).json({ error: result?.error || '操作失败' })
+  }
+  return res.json({ withdrawal: result.withdrawal })
+}
+
+router.post('/:id/approve', async (req, res) => {
+  const withdrawalId = resolveWithdrawalId(req)
+  if (!withdrawalId) {
+    return res.status(400).json({ error: 'Invalid withdrawal id' })
+  }
+
+  const remark = normalizeOptionalText(req.body?.remark, REMARK_MAX_LENGTH)
+  const { actorUserId, actorName } = resolveOperator(req)
+
+  try {
+    const db = await getDatabase()
+    const result = await transitionWithdrawal(db, withdrawalId, 'approve', () => {
+      db.run(
+        `
+          UPDATE points_withdrawals
+          SET status = 'approved',
+              remark = COALESCE(?, remark),
+              processed_by = ?,
+              updated_at = DATETIME('now', 'localtime')
+          WHERE id = ?
+        `,
+        [remark, actorUserId, withdrawalId]
+      )
+    })
+
+    if (result?.ok) {
+      await notifyWithdrawalChange(db, result.withdrawal, { title: '✅ 提现申请已通过', operator: actorName })
+    }
+    return respondTransition(res, result)
+  } catch (error) {
+    console.error('Admin approve points withdrawal error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/:id/reject', async (req, res) => {
+  const withdrawalId = resolveWithdrawalId(req)
+  if (!withdrawalId) {
+    return res.status(400).json({ error: 'Invalid withdrawal id' })
+  }
+
+  const remark = normalizeOptionalText(req.body?.remark, REMARK_MAX_LENGTH)
+  if (!remark) {
+    return res.status(400).json({ error: '请填写驳回原因' })
+  }
+  const { actorUserId, actorName } = resolveOperator(req)
+
+  try {
+    const db = await getDatabase()
+    let refundedPoints = 0
+    const result = await transitionWithdrawal(db, withdrawalId, 'reject', (current) => {
+      db.run(
+        `
+          UPDATE points_withdrawals
+          SET status = 'rejected',
+              remark = ?,
+              processed_by = ?,
+              processed_at = DATETIME('now', 'localtime'),
+              updated_at = DATETIME('now', 'localtime')
+          WHERE id = ?
+        `,
+        [remark, actorUserId, withdrawalId]
+      )
+
+      const refundPoints = Math.max(0, Number(current.points) || 0)
+      if (refundPoints <= 0) return
+
+      const userResult = db.exec('SELECT COALESCE(points, 0) FROM users WHERE id = ? LIMIT 1', [current.userId])
+      if (!userResult[0]?.values?.length) {
+        console.warn('[PointsWithdrawals] refund skipped, user missing', { withdrawalId, userId: current.userId })
+        return
+      }
+
+      const pointsBefore = Number(userResult[0].values[0][0] || 0)
+      db.run('UPDATE users SET points = COALESCE(points, 0) + ? WHERE id = ?', [refundPoints, current.userId])
+      safeInsertPointsLedgerEntry(db, {
+        userId: current.userId,
+        deltaPoints: refundPoints,
+        pointsBefore,
+        pointsAfter: pointsBefore + refundPoints,
+        action: 'withdraw_refund',
+        refType: 'points_withdrawal',
+        refId: withdrawalId,
+        remark: `提现驳回退回：${remark}`
+      })
+      refundedPoints = refundPoints
+    })
+
+    if (result?.ok) {
+      await notifyWithdrawalChange(db, result.withdrawal, { title: '❌ 提现申请已驳回（积分已退回）', operator: actorName })
+      return res.json({ withdrawal: result.withdrawal, refundedPoints })
+    }
+    return respondTransition(res, result)
+  } catch (error) {
+    console.error('Admin reject points withdrawal error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/:id/paid', async (req, res) => {
+  const withdrawalId = resolveWithdrawalId(req)
+  if (!withdrawalId) {
+    return res.status(400).json({ error: 'Invalid withdrawal id' })
+  }
+
+  const payoutRef = normalizeOptionalText(req.body?.payoutRef, PAYOUT_REF_MAX_LENGTH)
+  if (!payoutRef) {
+    return res.status(400).json({ error: '请填写打款凭证/流水号' })
+  }
+  if (/[\r\n]/.test(payoutRef)) {
+    return res.status(400).json({ error: '打款凭证格式不正确' })
+  }
+  const remark = normalizeOptionalText(req.body?.remark, REMARK_MAX_LENGTH)
+  const { actorUserId, actorName } = resolveOperator(req)
+
+  try {
+    const db = await getDatabase()
+    const result = await transitionWithdrawal(db, withdrawalId, 'paid', () => {
+      db.run(
+        `
+          UPDATE points_withdrawals
+          SET status = 'paid',
+              payout_ref = ?,
+              remark = COALESCE(?, remark),
+              processed_by = ?,
+              processed_at = DATETIME('now', 'localtime'),
+              updated_at = DATETIME('now', 'localtime')
+          WHERE id = ?
+        `,
+        [payoutRef, remark, actorUserId, withdrawalId]
+      )
+    })
+
+    if (result?.ok) {
+      await notifyWithdrawalChange(db, result.withdrawal, { title: '💸 提现已打款', operator: actorName })
+    }
+    return respondTransition(res, result)
+  } catch (error) {
+    console.error('Admin mark points withdrawal paid error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
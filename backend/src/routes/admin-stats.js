@@ -2,6 +2,11 @@ import express from 'express'
 import { getDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireSuperAdmin } from '../middleware/rbac.js'
+import { seatCapacitySql } from '../utils/seat-capacity.js'
+import { computeStockForecast } from '../services/stock-forecast.js'
+import { refreshRuntimeSettings } from '../utils/runtime-settings.js'
+import { SALES_CHANNELS, SALES_REPORT_GROUP_BY, buildSalesReport, buildSalesReportSheets } from '../services/sales-report.js'
+import { buildCsv, buildXlsxWorkbook } from '../utils/spreadsheet-export.js'
 
 const router = express.Router()
 
@@ -47,7 +52,22 @@ const resolveDateRange = (query) => {
   return { ok: true, from, to }
 }
 
-const ACCOUNT_CAPACITY = 6
+const resolveSalesReportQuery = (query) => {
+  const range = resolveDateRange(query)
+  if (!range.ok) return range
+
+  const groupBy = String(query?.groupBy ?? 'day').trim() || 'day'
+  if (!SALES_REPORT_GROUP_BY.includes(groupBy)) {
+    return { ok: false, error: `\`groupBy\` must be one of ${SALES_REPORT_GROUP_BY.join(', ')}` }
+  }
+
+  const channel = String(query?.channel ?? '').trim() || null
+  if (channel && !SALES_CHANNELS.some(item => item.key === channel)) {
+    return { ok: false, error: `unknown channel: ${channel}` }
+  }
+
+  return { ok: true, from: range.from, to: range.to, groupBy, channel }
+}
 
 router.get('/overview', async (req, res) => {
   const range = resolveDateRange(req.query)
@@ -82,7 +102,7 @@ router.get('/overview', async (req, res) => {
     const gptAccountsOpen = scalar(`SELECT COUNT(*) FROM gpt_accounts WHERE COALESCE(is_open, 0) = 1`)
     const gptAccountsUsedSeats = scalar(`SELECT COALESCE(SUM(COALESCE(user_count, 0)), 0) FROM gpt_accounts`)
     const gptAccountsInvitePending = scalar(`SELECT COALESCE(SUM(COALESCE(invite_count, 0)), 0) FROM gpt_accounts`)
-    const gptAccountsTotalSeats = gptAccountsTotal * ACCOUNT_CAPACITY
+    const gptAccountsTotalSeats = scalar(`SELECT COALESCE(SUM(${seatCapacitySql()}), 0) FROM gpt_accounts`)
     const gptAccountsSeatUtilization = gptAccountsTotalSeats > 0 ? gptAccountsUsedSeats / gptAccountsTotalSeats : 0
 
     const codesTotal = scalar('SELECT COUNT(*) FROM redemption_codes')
@@ -417,4 +437,59 @@ router.get('/overview', async (req, res) => {
   }
 })
 
+router.get('/stock-forecast', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    await refreshRuntimeSettings()
+    res.json(await computeStockForecast(db))
+  } catch (error) {
+    console.error('[Admin Stats] stock forecast error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/sales', async (req, res) => {
+  const options = resolveSalesReportQuery(req.query)
+  if (!options.ok) {
+    return res.status(400).json({ error: options.error })
+  }
+
+  try {
+    const db = await getDatabase()
+    res.json(buildSalesReport(db, options))
+  } catch (error) {
+    console.error('[Admin Stats] sales report error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/sales/export', async (req, res) => {
+  const options = resolveSalesReportQuery(req.query)
+  if (!options.ok) {
+    return res.status(400).json({ error: options.error })
+  }
+  const format = String(req.query.format ?? 'csv').trim().toLowerCase()
+  if (format !== 'csv' && format !== 'xlsx') {
+    return res.status(400).json({ error: '`format` must be csv or xlsx' })
+  }
+
+  try {
+    const db = await getDatabase()
+    const sheets = buildSalesReportSheets(buildSalesReport(db, options))
+    const filename = `sales-report_${options.from}_${options.to}_${options.groupBy}.${format}`
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      return res.send(buildXlsxWorkbook(sheets))
+    }
+    // CSV 只有一张表，导出明细（含合计行）
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.send(buildCsv(sheets[0].rows))
+  } catch (error) {
+    console.error('[Admin Stats] sales export error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 export default router
@@ -0,0 +1,372 @@
+import express from 'express'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import {
+  WEBHOOK_ENDPOINT_COLUMNS,
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  getWebhookMaxAttempts,
+  mapWebhookEndpointRow,
+  normalizeWebhookEvents,
+  retryWebhookDelivery,
+  sendTestWebhook,
+} from '../services/webhooks.js'
+
+const router = express.Router()
+
+router.use(authenticateToken, requireSuperAdmin, auditMutations('webhook'))
+
+const NAME_MAX_LENGTH = 64
+const URL_MAX_LENGTH = 2048
+const DELIVERY_STATUSES = new Set(['pending', 'delivering', 'success', 'failed'])
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const normalizeName = (value) => {
+  const trimmed = String(value ?? '').trim()
+  if (!trimmed) return null
+  return trimmed.length > NAME_MAX_LENGTH ? trimmed.slice(0, NAME_MAX_LENGTH) : trimmed
+}
+
+const normalizeUrl = (value) => {
+  const trimmed = String(value ?? '').trim()
+  if (!trimmed || trimmed.length > URL_MAX_LENGTH) {
+    throw new Error('请填写有效的回调地址')
+  }
+  let parsed
+  try {
+    parsed = new URL(trimmed)
+  } catch {
+    throw new Error('请填写有效的回调地址')
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('回调地址仅支持 http / https')
+  }
+  return parsed.toString()
+}
+
+const fetchEndpointById = (db, id) => {
+  const result = db.exec(`SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = ? LIMIT 1`, [id])
+  const row = result[0]?.values?.[0]
+  return row ? mapWebhookEndpointRow(row) : null
+}
+
+const parseIdParam = (req, res) => {
+  const id = toInt(req.params.id, 0)
+  if (id <= 0) {
+    res.status(400).json({ error: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+const DELIVERY_LIST_COLUMNS = `
+  d.id, d.endpoint_id, e.name, d.event_id, d.event_type, d.status, d.attempts,
+  d.next_attempt_at, d.last_attempt_at, d.response_status, d.last_error, d.duration_ms,
+  d.delivered_at, d.created_at
+`
+
+const mapDeliveryRow = (row) => ({
+  id: Number(row[0]),
+  endpointId: Number(row[1]),
+  endpointName: row[2] || null,
+  eventId: row[3],
+  eventType: row[4],
+  status: row[5],
+  attempts: Number(row[6] || 0),
+  nextAttemptAt: row[7] || null,
+  lastAttemptAt: row[8] || null,
+  responseStatus: row[9] == null ? null : Number(row[9]),
+  lastError: row[10] || null,
+  durationMs: row[11] == null ? null : Number(row[11]),
+  deliveredAt: row[12] || null,
+  createdAt: row[13] || null,
+})
+
+router.get('/events', (req, res) => {
+  res.json({ events: WEBHOOK_EVENT_TYPES, maxAttempts: getWebhookMaxAttempts() })
+})
+
+router.get('/endpoints', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const result = db.exec(`SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints ORDER BY id DESC`)
+    res.json({ items: (result[0]?.values || []).map(mapWebhookEndpointRow) })
+  } catch (error) {
+    console.error('[Admin Webhooks] list endpoints error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/endpoints', async (req, res) => {
+  try {
+    const name = normalizeName(req.body?.name)
+    if (!name) {
+      return res.status(400).json({ error: '请填写端点名称' })
+    }
+
+    let url
+    let events
+    try {
+      url = normalizeUrl(req.body?.url)
+      events = normalizeWebhookEvents(req.body?.events)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    if (!events.length) {
+      return res.status(400).json({ error: '请至少订阅一个事件' })
+    }
+
+    const isActive = req.body?.isActive === false ? 0 : 1
+    const secret = generateWebhookSecret()
+    const db = await getDatabase()
+    db.run(
+      `
+        INSERT INTO webhook_endpoints (name, url, secret, events, is_active, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      [name, url, secret, JSON.stringify(events), isActive, req.user?.id || null]
+    )
+    const idResult = db.exec('SELECT id FROM webhook_endpoints WHERE secret = ? LIMIT 1', [secret])
+    const id = Number(idResult[0]?.values?.[0]?.[0] || 0)
+    await saveDatabase()
+
+    // 签名密钥只在创建 / 重置时返回
+    res.json({ item: fetchEndpointById(db, id), secret })
+  } catch (error) {
+    console.error('[Admin Webhooks] create endpoint error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.patch('/endpoints/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const existing = fetchEndpointById(db, id)
+    if (!existing) {
+      return res.status(404).json({ error: '端点不存在' })
+    }
+
+    const body = req.body || {}
+    const sets = []
+    const params = []
+    try {
+      if (body.name !== undefined) {
+        const name = normalizeName(body.name)
+        if (!name) return res.status(400).json({ error: '请填写端点名称' })
+        sets.push('name = ?')
+        params.push(name)
+      }
+      if (body.url !== undefined) {
+        sets.push('url = ?')
+        params.push(normalizeUrl(body.url))
+      }
+      if (body.events !== undefined) {
+        const events = normalizeWebhookEvents(body.events)
+        if (!events.length) return res.status(400).json({ error: '请至少订阅一个事件' })
+        sets.push('events = ?')
+        params.push(JSON.stringify(events))
+      }
+      if (body.isActive !== undefined) {
+        sets.push('is_active = ?')
+        params.push(body.isActive ? 1 : 0)
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    if (!sets.length) {
+      return res.json({ item: existing })
+    }
+
+    db.run(
+      `UPDATE webhook_endpoints SET ${sets.join(', ')}, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+      [...params, id]
+    )
+    await saveDatabase()
+
+    res.json({ item: fetchEndpointById(db, id) })
+  } catch (error) {
+    console.error('[Admin Webhooks] update endpoint error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// 重置签名密钥：旧密钥立即失效，尚未投递的记录会使用新密钥签名
+router.post('/endpoints/:id/rotate-secret', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    if (!fetchEndpointById(db, id)) {
+      return res.status(404).json({ error: '端点不存在' })
+    }
+
+    const secret = generateWebhookSecret()
+    db.run(
+      `UPDATE webhook_endpoints SET secret = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+      [secret, id]
+    )
+    await saveDatabase()
+
+    res.json({ item: fetchEndpointById(db, id), secret })
+  } catch (error) {
+    console.error('[Admin Webhooks] rotate secret error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/endpoints/:id/test', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const endpoint = fetchEndpointById(db, id)
+    if (!endpoint) {
+      return res.status(404).json({ error: '端点不存在' })
+    }
+    if (!endpoint.isActive) {
+      return res.status(400).json({ error: '端点已停用' })
+    }
+
+    const eventId = await sendTestWebhook(endpoint)
+    res.json({ message: '测试事件已加入投递队列', eventId })
+  } catch (error) {
+    console.error('[Admin Webhooks] test endpoint error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.delete('/endpoints/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    if (!fetchEndpointById(db, id)) {
+      return res.status(404).json({ error: '端点不存在' })
+    }
+
+    // 保留历史投递日志，仅取消尚未投递的记录
+    db.run(
+      `
+        UPDATE webhook_deliveries
+        SET status = 'failed', last_error = '端点已删除', next_attempt_at = NULL, updated_at = DATETIME('now', 'localtime')
+        WHERE endpoint_id = ? AND status = 'pending'
+      `,
+      [id]
+    )
+    db.run('DELETE FROM webhook_endpoints WHERE id = ?', [id])
+    await saveDatabase()
+
+    res.json({ message: '已删除' })
+  } catch (error) {
+    console.error('[Admin Webhooks] delete endpoint error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/deliveries', async (req, res) => {
+  try {
+    const page = Math.max(1, toInt(req.query.page, 1))
+    const pageSize = Math.min(100, Math.max(1, toInt(req.query.pageSize, 20)))
+    const endpointId = toInt(req.query.endpointId, 0)
+    const status = String(req.query.status || '').trim()
+    const eventType = String(req.query.eventType || '').trim()
+
+    const conditions = []
+    const params = []
+    if (endpointId > 0) {
+      conditions.push('d.endpoint_id = ?')
+      params.push(endpointId)
+    }
+    if (status && DELIVERY_STATUSES.has(status)) {
+      conditions.push('d.status = ?')
+      params.push(status)
+    }
+    if (eventType) {
+      conditions.push('d.event_type = ?')
+      params.push(eventType)
+    }
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const db = await getDatabase()
+    const countResult = db.exec(`SELECT COUNT(*) FROM webhook_deliveries d ${whereClause}`, params)
+    const total = Number(countResult[0]?.values?.[0]?.[0] || 0)
+    const result = db.exec(
+      `
+        SELECT ${DELIVERY_LIST_COLUMNS}
+        FROM webhook_deliveries d
+        LEFT JOIN webhook_endpoints e ON e.id = d.endpoint_id
+        ${whereClause}
+        ORDER BY d.id DESC
+        LIMIT ? OFFSET ?
+      `,
+      [...params, pageSize, (page - 1) * pageSize]
+    )
+
+    res.json({
+      deliveries: (result[0]?.values || []).map(mapDeliveryRow),
+      pagination: { page, pageSize, total },
+    })
+  } catch (error) {
+    console.error('[Admin Webhooks] list deliveries error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const db = await getDatabase()
+    const result = db.exec(
+      `
+        SELECT ${DELIVERY_LIST_COLUMNS}, d.payload, d.response_body
+        FROM webhook_deliveries d
+        LEFT JOIN webhook_endpoints e ON e.id = d.endpoint_id
+        WHERE d.id = ?
+        LIMIT 1
+      `,
+      [id]
+    )
+    const row = result[0]?.values?.[0]
+    if (!row) {
+      return res.status(404).json({ error: '投递记录不存在' })
+    }
+
+    res.json({ delivery: { ...mapDeliveryRow(row), payload: row[14] || '', responseBody: row[15] || '' } })
+  } catch (error) {
+    console.error('[Admin Webhooks] get delivery error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.post('/deliveries/:id/retry', async (req, res) => {
+  try {
+    const id = parseIdParam(req, res)
+    if (!id) return
+
+    const retried = await retryWebhookDelivery(id)
+    if (!retried) {
+      return res.status(400).json({ error: '投递记录不存在或正在投递中' })
+    }
+    res.json({ message: '已重新加入投递队列' })
+  } catch (error) {
+    console.error('[Admin Webhooks] retry delivery error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
@@ -2,11 +2,23 @@ import express from 'express'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireSuperAdmin } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { buildMenuTree, listMenus } from '../services/rbac.js'
 import { parseDomainWhitelist, getEmailDomainWhitelistFromEnv } from '../utils/email-domain-whitelist.js'
 import { getPointsWithdrawSettings } from '../utils/points-withdraw-settings.js'
 import { listUserPointsLedger, safeInsertPointsLedgerEntry } from '../utils/points-ledger.js'
-import { upsertSystemConfigValue } from '../utils/system-config.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import { deleteSystemConfigValue, upsertSystemConfigValue } from '../utils/system-config.js'
+import {
+  RUNTIME_SETTING_GROUPS,
+  describeRuntimeSettings,
+  getRuntimeSettingDefinition,
+  getRuntimeSettings,
+  getRuntimeSettingsFromEnv,
+  invalidateRuntimeSettingsCache,
+  normalizeRuntimeSettingValue,
+  serializeRuntimeSettingValue
+} from '../utils/runtime-settings.js'
 import { getSmtpSettings, getSmtpSettingsFromEnv, invalidateSmtpSettingsCache, parseBool } from '../utils/smtp-settings.js'
 import {
   getLinuxDoOAuthSettings,
@@ -16,11 +28,26 @@ import {
   invalidateLinuxDoSettingsCache
 } from '../utils/linuxdo-settings.js'
 import { getZpaySettings, getZpaySettingsFromEnv, invalidateZpaySettingsCache } from '../utils/zpay-settings.js'
+import { getEpaySettings, getEpaySettingsFromEnv, invalidateEpaySettingsCache } from '../utils/epay-settings.js'
+import {
+  PAY_TYPES,
+  getPaymentRouting,
+  listPaymentProviders,
+  normalizePaymentRouting,
+  savePaymentRouting
+} from '../services/payment-providers.js'
 import { getTurnstileSettings, getTurnstileSettingsFromEnv, invalidateTurnstileSettingsCache } from '../utils/turnstile-settings.js'
 import { getTelegramSettings, getTelegramSettingsFromEnv, invalidateTelegramSettingsCache } from '../utils/telegram-settings.js'
 import { getFeatureFlags, invalidateFeatureFlagsCache } from '../utils/feature-flags.js'
 import { CHANNEL_KEY_REGEX, getChannelByKey, getChannels, invalidateChannelsCache, normalizeChannelKey } from '../utils/channels.js'
 import { getAccountRecoverySettings, invalidateAccountRecoverySettingsCache } from '../utils/account-recovery-settings.js'
+import {
+  CODE_ALLOCATION_POLICIES,
+  CODE_ALLOCATION_POLICY_CONFIG_KEY,
+  getCodeAllocationSettings,
+  invalidateCodeAllocationSettingsCache,
+  normalizeCodeAllocationPolicy
+} from '../utils/code-allocation-settings.js'
 import {
   PRODUCT_KEY_REGEX,
   getPurchaseProductByKey,
@@ -32,12 +59,13 @@ import {
   upsertPurchaseProduct,
 } from '../services/purchase-products.js'
 import { withLocks } from '../utils/locks.js'
+import { seatCapacitySql } from '../utils/seat-capacity.js'
 import { redeemCodeInternal } from './redemption-codes.js'
 import { resolveOrderDeadlineMs, selectRecoveryCode } from '../services/account-recovery.js'
 
 const router = express.Router()
 
-router.use(authenticateToken, requireSuperAdmin)
+router.use(authenticateToken, requireSuperAdmin, auditMutations())
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
@@ -396,6 +424,109 @@ router.put('/feature-flags', async (req, res) => {
   }
 })
 
+const RUNTIME_SETTING_AUDIT_TARGET = 'runtime-setting'
+
+const loadRuntimeSettingLastChanges = (db) => {
+  const result = db.exec(
+    `
+      SELECT target_id, actor_name, created_at
+      FROM audit_log
+      WHERE id IN (
+        SELECT MAX(id) FROM audit_log WHERE target_type = ? GROUP BY target_id
+      )
+    `,
+    [RUNTIME_SETTING_AUDIT_TARGET]
+  )
+  const map = new Map()
+  for (const row of result[0]?.values || []) {
+    map.set(String(row[0] ?? ''), { actorName: row[1] || null, changedAt: row[2] || null })
+  }
+  return map
+}
+
+const buildRuntimeSettingsResponse = async (db) => {
+  const settings = await getRuntimeSettings(db, { forceRefresh: true })
+  const lastChanges = loadRuntimeSettingLastChanges(db)
+  return {
+    groups: RUNTIME_SETTING_GROUPS,
+    items: describeRuntimeSettings(settings).map(item => ({
+      ...item,
+      lastChange: lastChanges.get(item.key) || null
+    }))
+  }
+}
+
+router.get('/runtime-settings', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    res.json(await buildRuntimeSettingsResponse(db))
+  } catch (error) {
+    console.error('Get runtime-settings error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// body: { values: { [key]: value | null } }；null 表示删除后台保存的值，回退到环境变量/默认值
+router.put('/runtime-settings', async (req, res) => {
+  try {
+    const payload = req.body?.values && typeof req.body.values === 'object' ? req.body.values : null
+    if (!payload || !Object.keys(payload).length) {
+      return res.status(400).json({ error: '没有需要保存的配置' })
+    }
+
+    const updates = []
+    for (const [key, raw] of Object.entries(payload)) {
+      const definition = getRuntimeSettingDefinition(key)
+      if (!definition) {
+        return res.status(400).json({ error: `未知配置项：${key}` })
+      }
+      if (raw === null) {
+        updates.push({ definition, reset: true })
+        continue
+      }
+      const normalized = normalizeRuntimeSettingValue(definition, raw)
+      if (!normalized.ok) {
+        return res.status(400).json({ error: normalized.error })
+      }
+      updates.push({ definition, value: normalized.value })
+    }
+
+    const db = await getDatabase()
+    const before = await getRuntimeSettings(db, { forceRefresh: true })
+    const fallbackValues = getRuntimeSettingsFromEnv()
+
+    for (const update of updates) {
+      const { definition } = update
+      const previous = before.values[definition.key]
+      const previousSource = before.sources[definition.key]
+      if (update.reset) {
+        if (!deleteSystemConfigValue(db, definition.configKey)) continue
+      } else {
+        if (previousSource === 'stored' && previous === update.value) continue
+        upsertSystemConfigValue(db, definition.configKey, serializeRuntimeSettingValue(definition, update.value))
+      }
+      recordAuditLog(db, req, {
+        action: update.reset ? 'runtime_setting.reset' : 'runtime_setting.update',
+        targetType: RUNTIME_SETTING_AUDIT_TARGET,
+        targetId: definition.key,
+        summary: definition.label,
+        before: { value: previous, source: previousSource },
+        after: update.reset
+          ? { value: fallbackValues[definition.key], source: 'fallback' }
+          : { value: update.value, source: 'stored' }
+      })
+    }
+
+    saveDatabase()
+    invalidateRuntimeSettingsCache()
+
+    res.json(await buildRuntimeSettingsResponse(db))
+  } catch (error) {
+    console.error('Update runtime-settings error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 router.get('/account-recovery-settings', async (req, res) => {
   try {
     const db = await getDatabase()
@@ -498,6 +629,38 @@ router.put('/account-recovery-settings', async (req, res) => {
   }
 })
 
+router.get('/code-allocation-settings', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const settings = await getCodeAllocationSettings(db, { forceRefresh: true })
+    return res.json({ settings: { policy: settings.policy }, policies: CODE_ALLOCATION_POLICIES })
+  } catch (error) {
+    console.error('Get code-allocation-settings error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.put('/code-allocation-settings', async (req, res) => {
+  try {
+    const payload = req.body?.settings && typeof req.body.settings === 'object' ? req.body.settings : (req.body || {})
+    const policy = normalizeCodeAllocationPolicy(payload.policy)
+    if (!policy) {
+      return res.status(400).json({ error: 'Invalid policy' })
+    }
+
+    const db = await getDatabase()
+    upsertSystemConfigValue(db, CODE_ALLOCATION_POLICY_CONFIG_KEY, policy)
+    saveDatabase()
+    invalidateCodeAllocationSettingsCache()
+
+    const settings = await getCodeAllocationSettings(db, { forceRefresh: true })
+    return res.json({ settings: { policy: settings.policy }, policies: CODE_ALLOCATION_POLICIES })
+  } catch (error) {
+    console.error('Update code-allocation-settings error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 router.get('/smtp-settings', async (req, res) => {
   try {
     const db = await getDatabase()
@@ -855,6 +1018,120 @@ router.put('/zpay-settings', async (req, res) => {
   }
 })
 
+const toEpaySettingsResponse = (settings) => ({
+  baseUrl: String(settings.baseUrl || ''),
+  pid: String(settings.pid || ''),
+  baseUrlStored: Boolean(settings.stored?.baseUrl),
+  pidStored: Boolean(settings.stored?.pid),
+  keySet: Boolean(String(settings.key || '').trim()),
+  keyStored: Boolean(settings.stored?.key)
+})
+
+router.get('/epay-settings', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const settings = await getEpaySettings(db, { forceRefresh: true })
+    res.json({ epay: toEpaySettingsResponse(settings) })
+  } catch (error) {
+    console.error('Get epay-settings error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.put('/epay-settings', async (req, res) => {
+  try {
+    const payload = req.body?.epay && typeof req.body.epay === 'object' ? req.body.epay : (req.body || {})
+    const db = await getDatabase()
+
+    const current = await getEpaySettings(db, { forceRefresh: true })
+    const env = getEpaySettingsFromEnv()
+
+    let baseUrl = String(payload.baseUrl ?? current.baseUrl ?? '').trim()
+    if (baseUrl) {
+      try {
+        const parsed = new URL(baseUrl)
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+          return res.status(400).json({ error: 'EPay baseUrl must be http(s)' })
+        }
+      } catch {
+        return res.status(400).json({ error: 'EPay baseUrl is invalid' })
+      }
+      baseUrl = baseUrl.replace(/\/+$/, '')
+    }
+
+    const pid = String(payload.pid ?? current.pid ?? '').trim()
+
+    const keyInput = typeof payload.key === 'string' ? payload.key.trim() : ''
+    let key = String(current.key || '').trim()
+    let shouldUpsertKey = false
+
+    if (keyInput) {
+      key = keyInput
+      shouldUpsertKey = true
+    } else if (!current.stored?.key) {
+      const envKey = String(env.key || '').trim()
+      if (envKey && pid) {
+        key = envKey
+        shouldUpsertKey = true
+      }
+    }
+
+    if (pid) {
+      if (!baseUrl) return res.status(400).json({ error: 'EPay baseUrl is required' })
+      if (!key) return res.status(400).json({ error: 'EPay key is required' })
+    }
+
+    upsertSystemConfigValue(db, 'epay_base_url', baseUrl)
+    upsertSystemConfigValue(db, 'epay_pid', pid)
+    if (shouldUpsertKey) {
+      upsertSystemConfigValue(db, 'epay_key', key)
+    }
+
+    saveDatabase()
+    invalidateEpaySettingsCache()
+
+    const updated = await getEpaySettings(db, { forceRefresh: true })
+    res.json({ epay: toEpaySettingsResponse(updated) })
+  } catch (error) {
+    console.error('Update epay-settings error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.get('/payment-routing', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    res.json({
+      providers: await listPaymentProviders(),
+      payTypes: PAY_TYPES,
+      routing: getPaymentRouting(db)
+    })
+  } catch (error) {
+    console.error('Get payment-routing error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+router.put('/payment-routing', async (req, res) => {
+  try {
+    const normalized = normalizePaymentRouting(req.body?.routing ?? req.body)
+    if (!normalized.ok) return res.status(400).json({ error: normalized.error })
+
+    const db = await getDatabase()
+    savePaymentRouting(db, normalized.routing)
+    saveDatabase()
+
+    res.json({
+      providers: await listPaymentProviders(),
+      payTypes: PAY_TYPES,
+      routing: getPaymentRouting(db)
+    })
+  } catch (error) {
+    console.error('Update payment-routing error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 router.get('/turnstile-settings', async (req, res) => {
   try {
     const db = await getDatabase()
@@ -1668,6 +1945,15 @@ router.put('/rbac/users/:id/points', async (req, res) => {
         remark: '系统调整',
       })
 
+      recordAuditLog(db, req, {
+        action: 'user.points.set',
+        targetType: 'user',
+        targetId: userId,
+        summary: `积分 ${currentPoints} → ${targetPoints}`,
+        before: { points: currentPoints },
+        after: { points: targetPoints },
+        metadata: ledgerId ? { ledgerId } : undefined
+      })
       saveDatabase()
 
       const user = getUserWithRoles(db, userId)
@@ -1713,9 +1999,9 @@ router.get('/rbac/users/:id/orders', async (req, res) => {
 
     const result = db.exec(
       `
-        SELECT order_no, zpay_trade_no, email, product_name, amount, service_days, order_type, pay_type, status,
+        SELECT order_no, provider_trade_no, email, product_name, amount, service_days, order_type, pay_type, status,
                created_at, paid_at, redeemed_at, invite_status, redeem_error,
-               refunded_at, refund_amount, refund_message, email_sent_at, zpay_img
+               refunded_at, refund_amount, refund_message, email_sent_at, pay_img
         FROM purchase_orders
         WHERE user_id = ?
         ORDER BY created_at DESC
@@ -1795,6 +2081,17 @@ router.put('/rbac/users/:id/roles', async (req, res) => {
       return res.status(400).json({ error: 'Unknown roleKeys', missing })
     }
 
+    const previousRoleKeys = (db.exec(
+      `
+        SELECT r.role_key
+        FROM user_roles ur
+        JOIN roles r ON r.id = ur.role_id
+        WHERE ur.user_id = ?
+        ORDER BY r.role_key
+      `,
+      [userId]
+    )[0]?.values || []).map(row => String(row[0]))
+
     db.run('DELETE FROM user_roles WHERE user_id = ?', [userId])
     for (const item of roleIds) {
       db.run(
@@ -1803,6 +2100,13 @@ router.put('/rbac/users/:id/roles', async (req, res) => {
       )
     }
 
+    recordAuditLog(db, req, {
+      action: 'user.roles.update',
+      targetType: 'user',
+      targetId: userId,
+      before: { roleKeys: previousRoleKeys },
+      after: { roleKeys: [...uniqueRoleKeys].sort() }
+    })
     saveDatabase()
     res.json({ userId, roleKeys: uniqueRoleKeys })
   } catch (error) {
@@ -1901,10 +2205,22 @@ router.put('/rbac/users/:id', async (req, res) => {
       return res.status(400).json({ error: 'No fields to update' })
     }
 
+    const loadUserAuditSnapshot = () => {
+      const row = db.exec('SELECT username, email, COALESCE(invite_enabled, 0) FROM users WHERE id = ? LIMIT 1', [userId])[0]?.values?.[0]
+      return row ? { username: row[0] || null, email: row[1] || null, inviteEnabled: Boolean(row[2]) } : null
+    }
+    const auditBefore = loadUserAuditSnapshot()
     db.run(
       `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
       [...params, userId]
     )
+    recordAuditLog(db, req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: userId,
+      before: auditBefore,
+      after: loadUserAuditSnapshot()
+    })
     saveDatabase()
 
     const user = getUserWithRoles(db, userId)
@@ -1941,6 +2257,12 @@ router.delete('/rbac/users/:id', async (req, res) => {
     db.run('UPDATE users SET invited_by_user_id = NULL WHERE invited_by_user_id = ?', [userId])
     db.run('DELETE FROM users WHERE id = ?', [userId])
 
+    recordAuditLog(db, req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      summary: `删除用户 ${username}`
+    })
     saveDatabase()
     res.json({ message: 'deleted' })
   } catch (error) {
@@ -2090,6 +2412,7 @@ router.delete('/rbac/users/:id', async (req, res) => {
 	        WHERE ga.is_banned = 1
 	          AND rc.is_redeemed = 1
 	          AND rc.redeemed_at IS NOT NULL
+	          AND rc.voided_at IS NULL
 	          AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
 	          AND COALESCE(
 	            NULLIF((
@@ -2498,6 +2821,7 @@ router.get('/account-recovery/banned-accounts/:accountId/redeems', async (req, r
           FROM redemption_codes rc
           WHERE rc.is_redeemed = 1
             AND rc.redeemed_at IS NOT NULL
+            AND rc.voided_at IS NULL
             AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
             AND COALESCE(
               NULLIF((
@@ -2636,6 +2960,7 @@ router.get('/account-recovery/banned-accounts/:accountId/redeems', async (req, r
           FROM redemption_codes rc
           WHERE rc.is_redeemed = 1
             AND rc.redeemed_at IS NOT NULL
+            AND rc.voided_at IS NULL
             AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
             AND COALESCE(
               NULLIF((
@@ -2798,7 +3123,6 @@ router.get('/account-recovery/one-click/preview', async (req, res) => {
     const db = await getDatabase()
 
     // Best-effort inventory count (common channel only); actual recovery may still fail due to per-order expiry requirements.
-    const capacityLimit = 6
     const availableResult = db.exec(
       `
         SELECT COUNT(*)
@@ -2811,7 +3135,7 @@ router.get('/account-recovery/one-click/preview', async (req, res) => {
           AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
           AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
           AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
-          AND COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0) < ?
+          AND COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0) < ${seatCapacitySql('ga')}
           AND COALESCE(ga.is_open, 0) = 1
           AND COALESCE(ga.is_banned, 0) = 0
           AND ga.token IS NOT NULL
@@ -2821,8 +3145,7 @@ router.get('/account-recovery/one-click/preview', async (req, res) => {
           AND ga.expire_at IS NOT NULL
           AND trim(ga.expire_at) != ''
           AND DATETIME(REPLACE(ga.expire_at, '/', '-')) >= DATETIME('now', 'localtime')
-      `,
-      [capacityLimit]
+      `
     )
     const availableCount = Number(availableResult[0]?.values?.[0]?.[0] || 0)
 
@@ -2925,6 +3248,7 @@ router.get('/account-recovery/one-click/preview', async (req, res) => {
           AND COALESCE(ga.ban_processed, 0) = 0
           AND rc.is_redeemed = 1
           AND rc.redeemed_at IS NOT NULL
+          AND rc.voided_at IS NULL
           AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
           AND COALESCE(
             NULLIF((
@@ -3077,6 +3401,7 @@ router.post('/account-recovery/recover', async (req, res) => {
 	            WHERE rc.id = ?
 	              AND rc.is_redeemed = 1
 	              AND rc.redeemed_at IS NOT NULL
+	              AND rc.voided_at IS NULL
 	              AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
 	              AND ar_recovery.id IS NULL
 	              AND ga.is_banned = 1
@@ -3215,7 +3540,6 @@ router.post('/account-recovery/recover', async (req, res) => {
         for (let attempt = 1; attempt <= ACCOUNT_RECOVERY_REDEEM_MAX_ATTEMPTS; attempt += 1) {
           const selectedRecovery = selectRecoveryCode(db, {
             minExpireMs: requireExpireCoverDeadline ? orderDeadlineMs : Date.now(),
-            capacityLimit: 6,
             preferNonToday: requireExpireCoverDeadline,
             preferLatestExpire: !requireExpireCoverDeadline,
             limit: 200,
@@ -20,7 +20,7 @@ const sha256 = (value) => crypto.createHash('sha256').update(String(value ?? '')
 
 const randomVerificationCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0')
 
-const sendRegisterCode = async (db, email) => {
+const sendRegisterCode = async (db, email, { locale } = {}) => {
   const recent = db.exec(
     `
       SELECT 1
@@ -47,7 +47,7 @@ const sendRegisterCode = async (db, email) => {
   )
   saveDatabase()
 
-  const sent = await sendVerificationCodeEmail(email, code, { expiresMinutes: 10 })
+  const sent = await sendVerificationCodeEmail(email, code, { expiresMinutes: 10, locale })
   if (!sent) {
     return { ok: false, status: 500, error: '验证码发送失败，请检查 SMTP 配置' }
   }
@@ -135,7 +135,9 @@ router.post('/register/send-code', async (req, res) => {
       return res.status(409).json({ error: '邮箱已注册' })
     }
 
-    const result = await sendRegisterCode(db, email)
+    const result = await sendRegisterCode(db, email, {
+      locale: req.body?.locale || req.headers['accept-language']
+    })
     if (!result.ok) {
       return res.status(result.status || 500).json({ error: result.error || '发送失败' })
     }
@@ -1,7 +1,8 @@
 import express from 'express'
 import { getDatabase, saveDatabase } from '../database/init.js'
-import { apiKeyAuth } from '../middleware/api-key-auth.js'
+import { requireApiKey } from '../middleware/api-key-auth.js'
 import { syncAccountUserCount } from '../services/account-sync.js'
+import { DEFAULT_SEAT_CAPACITY } from '../utils/seat-capacity.js'
 
 const router = express.Router()
 
@@ -141,7 +142,7 @@ async function syncAccountAndCleanup(account) {
 }
 
 // 自动上车接口
-router.post('/', apiKeyAuth, async (req, res) => {
+router.post('/', requireApiKey('boarding:write'), async (req, res) => {
   try {
     const { email, token, refreshToken, chatgptAccountId, oaiDeviceId } = req.body
     const body = req.body || {}
@@ -284,12 +285,12 @@ router.post('/', apiKeyAuth, async (req, res) => {
 	      }
 
       // 自动生成兑换码，数量为可用名额
-      // 可用名额 = 总容量(5) - 当前人数(1) - 所有兑换码数(0) = 4
-      const totalCapacity = 5
+      // 可用名额 = 席位上限(默认6) - 预留席位(1) - 当前人数(1) - 所有兑换码数(0) = 4
+      const totalCapacity = DEFAULT_SEAT_CAPACITY - 1
       const currentUserCount = 1  // 刚创建的账号默认人数为1
       const allCodesCount = 0  // 新账号还没有任何兑换码
       const availableSlots = totalCapacity - currentUserCount - allCodesCount
-      const codesToGenerate = Math.min(4, availableSlots)  // 生成4个兑换码（正好填满可用名额）
+      const codesToGenerate = Math.max(0, availableSlots)
 
       const generatedCodes = []
       for (let i = 0; i < codesToGenerate; i++) {
@@ -343,7 +344,7 @@ router.post('/', apiKeyAuth, async (req, res) => {
 })
 
 // 获取自动上车统计信息（可选）
-router.get('/stats', apiKeyAuth, async (req, res) => {
+router.get('/stats', requireApiKey('boarding:read'), async (req, res) => {
   try {
     const db = await getDatabase()
 
@@ -3,15 +3,23 @@ import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateLinuxDoSession } from '../middleware/linuxdo-session.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { buildCreditSign, formatCreditMoney, getCreditGatewayConfig, queryCreditOrder, refundCreditOrder } from '../services/credit-gateway.js'
 import { withLocks } from '../utils/locks.js'
+import { emitWebhookEvent } from '../services/webhooks.js'
+import {
+  markPaymentNotificationFailed,
+  processPaymentNotification,
+  recordPaymentNotification,
+  registerPaymentNotificationHandler
+} from '../services/payment-notifications.js'
 import { requireFeatureEnabled } from '../middleware/feature-flags.js'
 
 const router = express.Router()
 
 router.use(requireFeatureEnabled('openAccounts'))
 
-router.use('/admin', authenticateToken, requireMenu('credit_orders'))
+router.use('/admin', authenticateToken, requireMenu('credit_orders'), auditMutations('credit_order'))
 
 router.get('/admin/orders/summary', async (req, res) => {
   try {
@@ -225,7 +233,8 @@ const handlePaidCreditOrder = async (db, orderNo, { tradeNo, paidAt, notifyPaylo
       return
     }
 
-    if (order.status !== 'paid') {
+    const becamePaid = order.status !== 'paid'
+    if (becamePaid) {
       const normalizedPaidAt = normalizeCreditDatetime(paidAt)
       db.run(
         `
@@ -264,6 +273,20 @@ const handlePaidCreditOrder = async (db, orderNo, { tradeNo, paidAt, notifyPaylo
     }
 
     saveDatabase()
+
+    if (becamePaid) {
+      const paidOrder = fetchCreditOrder(db, orderNo)
+      await emitWebhookEvent('credit.paid', {
+        orderNo: paidOrder.orderNo,
+        tradeNo: paidOrder.tradeNo,
+        uid: paidOrder.uid,
+        username: paidOrder.username,
+        scene: paidOrder.scene,
+        title: paidOrder.title,
+        amount: paidOrder.amount,
+        paidAt: paidOrder.paidAt
+      }, { db })
+    }
   })
 }
 
@@ -599,65 +622,90 @@ router.post('/admin/orders/:orderNo/sync', async (req, res) => {
   }
 })
 
-const processCreditNotify = async (orderNo, payload) => {
-  const startedAt = Date.now()
-  try {
-    console.info('[Credit] notify async received', { orderNo, payload: summarizeCreditNotifyPayload(payload) })
-    const db = await getDatabase()
-    const order = fetchCreditOrder(db, orderNo)
-    if (!order) {
-      console.warn('[Credit] notify async order not found', { orderNo })
-      return
-    }
+// 交易号本地查不到时，按配置回查网关拿我方订单号
+const resolveCreditNotificationOrderNo = async (db, tradeNo) => {
+  const local = resolveCreditOrderNoByTradeNo(db, tradeNo)
+  if (local) return local
+  if (!creditGatewayServerQueryEnabled()) {
+    console.warn('[Credit] resolve order_no by trade_no skipped (server query disabled)', { tradeNo })
+    return null
+  }
+  const query = await queryCreditOrder({ tradeNo, outTradeNo: '' })
+  if (!query.ok) {
+    console.warn('[Credit] resolve order_no by trade_no failed', { tradeNo, error: query.error || 'query_failed', message: query.message || query.msg || null })
+    return null
+  }
+  return String(query?.data?.out_trade_no || query?.data?.outTradeNo || '').trim() || null
+}
 
-    console.info('[Credit] notify async order loaded', {
-      orderNo,
-      status: order.status,
-      amount: order.amount,
-      paidAt: order.paidAt,
-      refundedAt: order.refundedAt,
-      tradeNo: order.tradeNo
-    })
+const handleCreditNotification = async (db, notification) => {
+  const startedAt = Date.now()
+  const { payload } = notification
+  const orderNo = notification.orderNo || (notification.tradeNo ? await resolveCreditNotificationOrderNo(db, notification.tradeNo) : null)
+  if (!orderNo) {
+    console.warn('[Credit] notify order not resolved', { notificationId: notification.id, tradeNo: notification.tradeNo || '' })
+    return { status: 'failed', result: 'order_not_found' }
+  }
 
-    const notifyMoney = formatCreditMoney(payload.money)
-    const orderMoney = formatCreditMoney(order.amount)
-    if (notifyMoney && orderMoney && notifyMoney !== orderMoney) {
-      console.warn('[Credit] notify money mismatch', { orderNo, notifyMoney, orderMoney })
-      db.run(
-        `
-          UPDATE credit_orders
-          SET notify_payload = ?,
-              refund_message = ?,
-              notify_at = DATETIME('now', 'localtime'),
-              updated_at = DATETIME('now', 'localtime')
-          WHERE order_no = ?
-        `,
-        [JSON.stringify(payload), `money_mismatch:${notifyMoney}`, orderNo]
-      )
-      saveDatabase()
-      return
-    }
+  console.info('[Credit] notify async received', { orderNo, notificationId: notification.id, payload: summarizeCreditNotifyPayload(payload) })
+  const order = fetchCreditOrder(db, orderNo)
+  if (!order) {
+    console.warn('[Credit] notify async order not found', { orderNo })
+    return { status: 'failed', orderNo, result: 'order_not_found' }
+  }
 
-    await handlePaidCreditOrder(db, orderNo, {
-      tradeNo: payload.trade_no || null,
-      paidAt: null,
-      notifyPayload: payload,
-      source: 'notify'
-    })
+  console.info('[Credit] notify async order loaded', {
+    orderNo,
+    status: order.status,
+    amount: order.amount,
+    paidAt: order.paidAt,
+    refundedAt: order.refundedAt,
+    tradeNo: order.tradeNo
+  })
 
-    const updated = fetchCreditOrder(db, orderNo)
-    console.info('[Credit] notify async handled', {
-      orderNo,
-      beforeStatus: order.status,
-      afterStatus: updated?.status || null,
-      paidAt: updated?.paidAt || null,
-      durationMs: Date.now() - startedAt
-    })
-  } catch (error) {
-    console.error('[Credit] notify async error:', { orderNo, message: error?.message || String(error) })
+  const notifyMoney = formatCreditMoney(notification.money)
+  const orderMoney = formatCreditMoney(order.amount)
+  if (notifyMoney && orderMoney && notifyMoney !== orderMoney) {
+    console.warn('[Credit] notify money mismatch', { orderNo, notifyMoney, orderMoney })
+    db.run(
+      `
+        UPDATE credit_orders
+        SET notify_payload = ?,
+            refund_message = ?,
+            notify_at = DATETIME('now', 'localtime'),
+            updated_at = DATETIME('now', 'localtime')
+        WHERE order_no = ?
+      `,
+      [JSON.stringify(payload), `money_mismatch:${notifyMoney}`, orderNo]
+    )
+    saveDatabase()
+    return { status: 'failed', orderNo, result: `money_mismatch:${notifyMoney}` }
   }
+
+  await handlePaidCreditOrder(db, orderNo, {
+    tradeNo: notification.tradeNo,
+    paidAt: null,
+    notifyPayload: payload,
+    source: 'notify'
+  })
+
+  const updated = fetchCreditOrder(db, orderNo)
+  console.info('[Credit] notify async handled', {
+    orderNo,
+    beforeStatus: order.status,
+    afterStatus: updated?.status || null,
+    paidAt: updated?.paidAt || null,
+    durationMs: Date.now() - startedAt
+  })
+
+  // 积分发放等后续动作由 credit-order-action-sweeper 负责，这里只关心订单是否入账
+  if (updated?.status === 'refunded' || updated?.refundedAt) return { status: 'ignored', orderNo, result: '订单已退款' }
+  if (updated?.status !== 'paid') return { status: 'failed', orderNo, result: `订单状态：${updated?.status || '-'}` }
+  return { status: 'processed', orderNo, result: '已支付' }
 }
 
+registerPaymentNotificationHandler('credit', handleCreditNotification)
+
 router.all('/notify', async (req, res) => {
   const payload = { ...(req.query || {}), ...(req.body || {}) }
   const outTradeNo = String(payload.out_trade_no || '').trim()
@@ -686,82 +734,93 @@ router.all('/notify', async (req, res) => {
   const replySuccess = () => res.set('Content-Type', 'text/plain; charset=utf-8').status(200).end('success')
   const replyFail = () => res.set('Content-Type', 'text/plain; charset=utf-8').status(200).end('fail')
 
-  if (!orderNo && !tradeNo) {
-    console.warn('[Credit] notify missing orderNo', { method: req.method, ip, payload: summary })
-    replySuccess()
-    return
-  }
+  // 台账写入 / 读取配置抛错时回复 fail 让平台稍后重发，已落库的通知同时记为 failed，便于后台排查与重放
+  let notificationId = null
+  let tradeStatus = ''
+  try {
+    const db = await getDatabase()
+    const record = (fields) => {
+      notificationId = recordPaymentNotification(db, {
+        source: 'credit',
+        provider: 'linuxdo_credit',
+        orderNo,
+        tradeNo,
+        tradeStatus: summary.tradeStatus,
+        money: summary.money,
+        payType: summary.type,
+        method: req.method,
+        ip,
+        payload,
+        ...fields
+      })
+      saveDatabase()
+      return notificationId
+    }
 
-  const { pid, key } = await getCreditGatewayConfig()
-  const signature = String(payload.sign || '').trim().toLowerCase()
+    if (!orderNo && !tradeNo) {
+      console.warn('[Credit] notify missing orderNo', { method: req.method, ip, payload: summary })
+      record({ verifyStatus: 'not_checked', status: 'ignored', result: 'missing_order_no' })
+      replySuccess()
+      return
+    }
 
-  if (!pid || !key) {
-    console.warn('[Credit] notify missing config', { orderNo, method: req.method, ip, hasPid: Boolean(pid), hasKey: Boolean(key) })
-    replyFail()
-    return
-  }
+    const { pid, key } = await getCreditGatewayConfig()
+    const signature = String(payload.sign || '').trim().toLowerCase()
 
-  if (String(payload.pid || '').trim() !== pid) {
-    console.warn('[Credit] notify pid mismatch', { orderNo, method: req.method, ip, providedPid: String(payload.pid || '').trim() })
-    replyFail()
-    return
-  }
+    if (!pid || !key) {
+      console.warn('[Credit] notify missing config', { orderNo, method: req.method, ip, hasPid: Boolean(pid), hasKey: Boolean(key) })
+      record({ verifyStatus: 'missing_config', verifyDetail: { hasPid: Boolean(pid), hasKey: Boolean(key) }, status: 'rejected', result: 'missing_config' })
+      replyFail()
+      return
+    }
 
-  const expected = buildCreditSign(payload, key).toLowerCase()
-  if (!signature || signature !== expected) {
-    console.warn('[Credit] notify sign mismatch', {
-      orderNo,
-      method: req.method,
-      ip,
-      signType: String(payload.sign_type || '').trim() || null,
-      hasSignature: Boolean(signature),
-      signatureLength: signature.length || 0,
-      signaturePrefix: signature ? signature.slice(0, 8) : null,
-      expectedPrefix: expected ? expected.slice(0, 8) : null
-    })
-    replyFail()
-    return
-  }
+    if (String(payload.pid || '').trim() !== pid) {
+      const providedPid = String(payload.pid || '').trim()
+      console.warn('[Credit] notify pid mismatch', { orderNo, method: req.method, ip, providedPid })
+      record({ verifyStatus: 'pid_mismatch', verifyDetail: { providedPid }, status: 'rejected', result: 'pid_mismatch' })
+      replyFail()
+      return
+    }
+
+    const expected = buildCreditSign(payload, key).toLowerCase()
+    if (!signature || signature !== expected) {
+      const detail = {
+        signType: String(payload.sign_type || '').trim() || null,
+        hasSignature: Boolean(signature),
+        signatureLength: signature.length || 0,
+        signaturePrefix: signature ? signature.slice(0, 8) : null,
+        expectedPrefix: expected ? expected.slice(0, 8) : null
+      }
+      console.warn('[Credit] notify sign mismatch', { orderNo, method: req.method, ip, ...detail })
+      record({ verifyStatus: 'sign_mismatch', verifyDetail: detail, status: 'rejected', result: 'sign_mismatch' })
+      replyFail()
+      return
+    }
+
+    tradeStatus = String(payload.trade_status || '').trim()
+    if (tradeStatus !== 'TRADE_SUCCESS') {
+      console.info('[Credit] notify trade not success', { orderNo, method: req.method, ip, tradeStatus })
+      record({ verifyStatus: 'verified', status: 'ignored', result: `trade_status:${tradeStatus || '-'}` })
+      replySuccess()
+      return
+    }
 
-  const tradeStatus = String(payload.trade_status || '').trim()
-  if (tradeStatus !== 'TRADE_SUCCESS') {
-    console.info('[Credit] notify trade not success', { orderNo, method: req.method, ip, tradeStatus })
-    replySuccess()
+    record({ verifyStatus: 'verified', paid: true, status: 'received' })
+  } catch (error) {
+    const message = error?.message || String(error)
+    console.error('[Credit] notify error:', { orderNo, notificationId, method: req.method, ip, message })
+    await markPaymentNotificationFailed(notificationId, message)
+    if (!res.headersSent) replyFail()
     return
   }
 
   replySuccess()
 
   queueMicrotask(() => {
-    console.info('[Credit] notify accepted', { orderNo: orderNo || '', tradeNo: tradeNo || '', method: req.method, ip, tradeStatus })
-    void (async () => {
-      let resolvedOrderNo = orderNo
-      if (!resolvedOrderNo && tradeNo) {
-        try {
-          const db = await getDatabase()
-          resolvedOrderNo = resolveCreditOrderNoByTradeNo(db, tradeNo)
-          if (!resolvedOrderNo) {
-            if (creditGatewayServerQueryEnabled()) {
-              const query = await queryCreditOrder({ tradeNo, outTradeNo: '' })
-              if (query.ok) {
-                resolvedOrderNo = String(query?.data?.out_trade_no || query?.data?.outTradeNo || '').trim()
-              } else {
-                console.warn('[Credit] resolve order_no by trade_no failed', { tradeNo, error: query.error || 'query_failed', message: query.message || query.msg || null })
-              }
-            } else {
-              console.warn('[Credit] resolve order_no by trade_no skipped (server query disabled)', { tradeNo })
-            }
-          }
-        } catch (error) {
-          console.warn('[Credit] resolve order_no by trade_no failed', { tradeNo, message: error?.message || String(error) })
-        }
-      }
-      if (!resolvedOrderNo) {
-        console.warn('[Credit] notify order not resolved', { orderNo: orderNo || '', tradeNo: tradeNo || '' })
-        return
-      }
-      await processCreditNotify(resolvedOrderNo, payload)
-    })()
+    console.info('[Credit] notify accepted', { notificationId, orderNo: orderNo || '', tradeNo: tradeNo || '', method: req.method, ip, tradeStatus })
+    processPaymentNotification(notificationId).catch(error => {
+      console.error('[Credit] notify async error:', { notificationId, orderNo, message: error?.message || String(error) })
+    })
   })
 })
 
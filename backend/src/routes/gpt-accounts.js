@@ -2,12 +2,24 @@ import express from 'express'
 import axios from 'axios'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
-import { apiKeyAuth } from '../middleware/api-key-auth.js'
+import { requireApiKey } from '../middleware/api-key-auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import { DEFAULT_SEAT_CAPACITY, MAX_SEAT_CAPACITY, normalizeSeatCapacity, resolveSeatCapacity } from '../utils/seat-capacity.js'
+import { emitWebhookEvent } from '../services/webhooks.js'
 import { syncAccountUserCount, syncAccountInviteCount, fetchOpenAiAccountInfo, fetchAccountUsersList, AccountSyncError, deleteAccountUser, inviteAccountUser, deleteAccountInvite } from '../services/account-sync.js'
+import {
+  OPENAI_CLIENT_ID,
+  checkSingleAccountStatus,
+  clearAccountQuarantine,
+  listAccountHealthChecks,
+  persistAccountTokens,
+  recordAccountHealthCheck,
+  refreshAccessTokenWithRefreshToken
+} from '../services/account-health.js'
 
 const router = express.Router()
-const OPENAI_CLIENT_ID = 'app_EMoamEEZ73f0CkXaXp7hrann'
 
 const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
 
@@ -71,6 +83,35 @@ const normalizeExpireAt = (value) => {
   return null
 }
 
+// 审计日志快照：token / refreshToken 只记录是否变化（写入时脱敏）
+const loadAccountAuditSnapshot = (db, accountId) => {
+  const result = db.exec(
+    `
+      SELECT email, token, refresh_token, user_count, chatgpt_account_id, oai_device_id, expire_at,
+             COALESCE(is_open, 0), COALESCE(is_banned, 0), COALESCE(ban_processed, 0), seat_capacity
+      FROM gpt_accounts
+      WHERE id = ?
+      LIMIT 1
+    `,
+    [accountId]
+  )
+  const row = result[0]?.values?.[0]
+  if (!row) return null
+  return {
+    email: row[0] || null,
+    token: row[1] || null,
+    refreshToken: row[2] || null,
+    userCount: Number(row[3] || 0),
+    chatgptAccountId: row[4] || null,
+    oaiDeviceId: row[5] || null,
+    expireAt: row[6] || null,
+    isOpen: Boolean(row[7]),
+    isBanned: Boolean(row[8]),
+    banProcessed: Boolean(row[9]),
+    seatCapacity: resolveSeatCapacity(row[10])
+  }
+}
+
 const collectEmails = (payload) => {
   if (!payload) return []
   if (Array.isArray(payload)) return payload
@@ -84,34 +125,6 @@ const CHECK_STATUS_ALLOWED_RANGE_DAYS = new Set([7, 15, 30])
 const MAX_CHECK_ACCOUNTS = 300
 const CHECK_STATUS_CONCURRENCY = 3
 
-const pad2 = (value) => String(value).padStart(2, '0')
-const EXPIRE_AT_PARSE_REGEX = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/
-const parseExpireAtToMs = (value) => {
-  const raw = String(value ?? '').trim()
-  if (!raw) return null
-  const match = raw.match(EXPIRE_AT_PARSE_REGEX)
-  if (!match) return null
-
-  const year = Number(match[1])
-  const month = Number(match[2])
-  const day = Number(match[3])
-  const hour = Number(match[4])
-  const minute = Number(match[5])
-  const second = match[6] != null ? Number(match[6]) : 0
-
-  if (![year, month, day, hour, minute, second].every(Number.isFinite)) return null
-  if (month < 1 || month > 12) return null
-  if (day < 1 || day > 31) return null
-  if (hour < 0 || hour > 23) return null
-  if (minute < 0 || minute > 59) return null
-  if (second < 0 || second > 59) return null
-
-  // NOTE: gpt_accounts.expire_at is stored as Asia/Shanghai time.
-  const iso = `${match[1]}-${pad2(month)}-${pad2(day)}T${pad2(hour)}:${pad2(minute)}:${pad2(second)}+08:00`
-  const parsed = Date.parse(iso)
-  return Number.isNaN(parsed) ? null : parsed
-}
-
 const mapWithConcurrency = async (items, concurrency, fn) => {
   const list = Array.isArray(items) ? items : []
   const limit = Math.max(1, Number(concurrency) || 1)
@@ -151,70 +164,6 @@ const eachWithConcurrency = async (items, concurrency, fn) => {
   await Promise.all(workers)
 }
 
-const refreshAccessTokenWithRefreshToken = async (refreshToken) => {
-  const normalized = String(refreshToken || '').trim()
-  if (!normalized) {
-    throw new AccountSyncError('该账号未配置 refresh token', 400)
-  }
-
-  const requestData = new URLSearchParams({
-    grant_type: 'refresh_token',
-    client_id: OPENAI_CLIENT_ID,
-    refresh_token: normalized,
-    scope: 'openid profile email'
-  }).toString()
-
-  const requestOptions = {
-    method: 'POST',
-    url: 'https://auth.openai.com/oauth/token',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Content-Length': requestData.length
-    },
-    data: requestData,
-    timeout: 60000
-  }
-
-  try {
-    const response = await axios(requestOptions)
-    if (response.status !== 200 || !response.data?.access_token) {
-      throw new AccountSyncError('刷新 token 失败，未返回有效凭证', 502)
-    }
-
-    const resultData = response.data
-    return {
-      accessToken: resultData.access_token,
-      refreshToken: resultData.refresh_token || normalized,
-      idToken: resultData.id_token,
-      expiresIn: resultData.expires_in || 3600
-    }
-  } catch (error) {
-    if (error?.response) {
-      const message =
-        error.response.data?.error?.message ||
-        error.response.data?.error_description ||
-        error.response.data?.error ||
-        '刷新 token 失败'
-
-      throw new AccountSyncError(message, 502)
-    }
-
-    throw new AccountSyncError(error?.message || '刷新 token 网络错误', 503)
-  }
-}
-
-const persistAccountTokens = async (db, accountId, tokens) => {
-  if (!tokens?.accessToken) return null
-  const nextRefreshToken = tokens.refreshToken ? String(tokens.refreshToken).trim() : ''
-
-  db.run(
-    `UPDATE gpt_accounts SET token = ?, refresh_token = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
-    [tokens.accessToken, nextRefreshToken || null, accountId]
-  )
-  await saveDatabase()
-  return { accessToken: tokens.accessToken, refreshToken: nextRefreshToken || null }
-}
-
 const loadAccountsForStatusCheck = async (db, { threshold }) => {
   const countResult = db.exec(
     `SELECT COUNT(*) FROM gpt_accounts WHERE created_at >= DATETIME('now', 'localtime', ?) AND COALESCE(is_banned, 0) = 0`,
@@ -275,91 +224,8 @@ const loadAccountsForStatusCheck = async (db, { threshold }) => {
   }
 }
 
-const checkSingleAccountStatus = async (db, account, nowMs) => {
-  const base = {
-    id: account.id,
-    email: account.email,
-    createdAt: account.createdAt,
-    expireAt: account.expireAt || null,
-    refreshed: false
-  }
-
-  if (account.isBanned) {
-    return { ...base, status: 'banned', reason: null }
-  }
-
-  const expireAtMs = parseExpireAtToMs(account.expireAt)
-  if (expireAtMs != null && expireAtMs < nowMs) {
-    return { ...base, status: 'expired', reason: 'expireAt 已过期' }
-  }
-
-  try {
-    await fetchAccountUsersList(account.id, {
-      accountRecord: account,
-      userListParams: { offset: 0, limit: 1, query: '' }
-    })
-    return { ...base, status: 'normal', reason: null }
-  } catch (error) {
-    const message = error?.message ? String(error.message) : String(error || '')
-    const status = Number(error?.status || 0)
-
-    if (message.includes('account_deactivated') || message.includes('已自动标记为封号')) {
-      return { ...base, status: 'banned', reason: message || null }
-    }
-
-    if (status === 401) {
-      const storedRefreshToken = String(account.refreshToken || '').trim()
-      if (!storedRefreshToken) {
-        const reason = message
-          ? `${message}`
-          : 'Token 已过期或无效（未配置 refresh token）'
-        return { ...base, status: 'expired', reason }
-      }
-
-      // Best-effort: try to refresh and re-check once.
-      try {
-        const refreshedTokens = await refreshAccessTokenWithRefreshToken(storedRefreshToken)
-        const persisted = await persistAccountTokens(db, account.id, refreshedTokens)
-
-        const nextAccount = {
-          ...account,
-          token: persisted?.accessToken || account.token,
-          refreshToken: persisted?.refreshToken || account.refreshToken
-        }
-
-        try {
-          await fetchAccountUsersList(account.id, {
-            accountRecord: nextAccount,
-            userListParams: { offset: 0, limit: 1, query: '' }
-          })
-          return { ...base, status: 'normal', refreshed: true, reason: 'Token 已过期，已使用 refresh token 自动刷新' }
-        } catch (recheckError) {
-          const reMsg = recheckError?.message ? String(recheckError.message) : String(recheckError || '')
-          const reStatus = Number(recheckError?.status || 0)
-
-          if (reMsg.includes('account_deactivated') || reMsg.includes('已自动标记为封号')) {
-            return { ...base, status: 'banned', refreshed: true, reason: reMsg || null }
-          }
-          if (reStatus === 401) {
-            return { ...base, status: 'expired', refreshed: true, reason: reMsg || 'Token 已过期，已尝试刷新但仍无效' }
-          }
-          return { ...base, status: 'failed', refreshed: true, reason: reMsg || 'Token 已过期，已刷新但校验失败' }
-        }
-      } catch (refreshError) {
-        const refreshMsg = refreshError?.message ? String(refreshError.message) : String(refreshError || '')
-        const reason = refreshMsg
-          ? `Token 已过期，refresh token 刷新失败：${refreshMsg}`
-          : 'Token 已过期，refresh token 刷新失败'
-        return { ...base, status: 'expired', reason }
-      }
-    }
-
-    return { ...base, status: 'failed', reason: message || '检查失败' }
-  }
-}
-
 // 使用系统设置中的 API 密钥（x-api-key）标记账号为“封号”
-router.post('/ban', apiKeyAuth, async (req, res) => {
+router.post('/ban', requireApiKey('accounts:write'), async (req, res) => {
   try {
     const rawEmails = collectEmails(req.body)
     const emails = [...new Set(rawEmails.map(normalizeEmail).filter(Boolean))]
@@ -376,19 +242,22 @@ router.post('/ban', apiKeyAuth, async (req, res) => {
 
     const existing = db.exec(
       `
-        SELECT id, email
+        SELECT id, email, is_open, is_banned
         FROM gpt_accounts
         WHERE LOWER(email) IN (${placeholders})
       `,
       emails
     )
 
-    const matched = (existing[0]?.values || [])
+    const existingRows = (existing[0]?.values || [])
       .map(row => ({
         id: Number(row[0]),
-        email: String(row[1] || '')
+        email: String(row[1] || ''),
+        isOpen: Number(row[2] || 0) === 1,
+        isBanned: Number(row[3] || 0) === 1
       }))
       .filter(item => Number.isFinite(item.id) && item.email)
+    const matched = existingRows.map(item => ({ id: item.id, email: item.email }))
 
     const matchedSet = new Set(matched.map(item => normalizeEmail(item.email)))
     const notFound = emails.filter(email => !matchedSet.has(email))
@@ -404,7 +273,21 @@ router.post('/ban', apiKeyAuth, async (req, res) => {
         `,
         emails
       )
+      for (const item of existingRows) {
+        recordAuditLog(db, req, {
+          action: 'gpt_account.ban',
+          targetType: 'gpt_account',
+          targetId: item.id,
+          summary: `API 上报封号 ${item.email}`,
+          before: { isOpen: item.isOpen, isBanned: item.isBanned },
+          after: { isOpen: false, isBanned: true }
+        })
+      }
       saveDatabase()
+      await emitWebhookEvent('account.banned', {
+        accounts: matched.map(item => ({ id: item.id, email: item.email })),
+        source: 'api'
+      }, { db })
     }
 
     return res.json({
@@ -419,7 +302,7 @@ router.post('/ban', apiKeyAuth, async (req, res) => {
   }
 })
 
-router.use(authenticateToken, requireMenu('accounts'))
+router.use(authenticateToken, requireMenu('accounts'), auditMutations('gpt_account'))
 
 // 校验 access token，并返回可用的 Team 账号列表（用于新建账号时选择 chatgptAccountId）
 router.post('/check-token', async (req, res) => {
@@ -457,8 +340,11 @@ router.post('/check-status', async (req, res) => {
     const { totalEligible, accounts, truncated, skipped } = await loadAccountsForStatusCheck(db, { threshold })
     const nowMs = Date.now()
     const items = await mapWithConcurrency(accounts, CHECK_STATUS_CONCURRENCY, async (account) => {
-      return await checkSingleAccountStatus(db, account, nowMs)
+      const item = await checkSingleAccountStatus(db, account, nowMs)
+      const outcome = await recordAccountHealthCheck(db, item, { source: 'manual' })
+      return { ...item, quarantined: Boolean(outcome?.quarantined) }
     })
+    saveDatabase()
 
     const summary = { normal: 0, expired: 0, banned: 0, failed: 0 }
     let refreshedCount = 0
@@ -548,7 +434,9 @@ router.get('/check-status/stream', async (req, res) => {
       await eachWithConcurrency(accounts, CHECK_STATUS_CONCURRENCY, async (account) => {
         if (closed) return
 
-        const item = await checkSingleAccountStatus(db, account, nowMs)
+        const checked = await checkSingleAccountStatus(db, account, nowMs)
+        const outcome = await recordAccountHealthCheck(db, checked, { source: 'manual' })
+        const item = { ...checked, quarantined: Boolean(outcome?.quarantined) }
 
         processed += 1
         if (Object.prototype.hasOwnProperty.call(summary, item.status)) {
@@ -563,6 +451,7 @@ router.get('/check-status/stream', async (req, res) => {
         sendEvent('progress', { processed, total, percent })
       })
 
+      saveDatabase()
       if (!closed) {
         sendEvent('done', {
           message: 'ok',
@@ -629,7 +518,8 @@ router.get('/', async (req, res) => {
 	    const dataResult = db.exec(`
 	      SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 	             COALESCE(is_banned, 0) AS is_banned,
-	             created_at, updated_at
+	             created_at, updated_at, seat_capacity,
+	             health_status, health_checked_at, COALESCE(health_fail_streak, 0), quarantined_at, quarantine_reason
 	      FROM gpt_accounts
 	      ${whereClause}
 	      ORDER BY created_at DESC
@@ -650,7 +540,13 @@ router.get('/', async (req, res) => {
 	      isDemoted: false,
 	      isBanned: Boolean(row[10]),
 	      createdAt: row[11],
-	      updatedAt: row[12]
+	      updatedAt: row[12],
+	      seatCapacity: resolveSeatCapacity(row[13]),
+	      healthStatus: row[14] || null,
+	      healthCheckedAt: row[15] || null,
+	      healthFailStreak: Number(row[16] || 0),
+	      quarantinedAt: row[17] || null,
+	      quarantineReason: row[18] || null
 	    }))
 
     res.json({
@@ -670,7 +566,7 @@ router.get('/:id', async (req, res) => {
 	    const result = db.exec(`
 	      SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 	             COALESCE(is_banned, 0) AS is_banned,
-	             created_at, updated_at
+	             created_at, updated_at, seat_capacity
 	      FROM gpt_accounts
 	      WHERE id = ?
 	    `, [req.params.id])
@@ -694,7 +590,8 @@ router.get('/:id', async (req, res) => {
 		      isDemoted: false,
 		      isBanned: Boolean(row[10]),
 		      createdAt: row[11],
-		      updatedAt: row[12]
+		      updatedAt: row[12],
+		      seatCapacity: resolveSeatCapacity(row[13])
 		    }
 
     res.json(account)
@@ -735,6 +632,12 @@ router.post('/', async (req, res) => {
       })
     }
 
+    const hasSeatCapacity = body.seatCapacity !== undefined && body.seatCapacity !== null && body.seatCapacity !== ''
+    const normalizedSeatCapacity = hasSeatCapacity ? normalizeSeatCapacity(body.seatCapacity) : DEFAULT_SEAT_CAPACITY
+    if (normalizedSeatCapacity === null) {
+      return res.status(400).json({ error: `席位上限必须是 1-${MAX_SEAT_CAPACITY} 之间的整数` })
+    }
+
     const normalizedEmail = normalizeEmail(email)
 
     const db = await getDatabase()
@@ -743,15 +646,15 @@ router.post('/', async (req, res) => {
     const finalUserCount = userCount !== undefined ? userCount : 1
 
     db.run(
-      `INSERT INTO gpt_accounts (email, token, refresh_token, user_count, chatgpt_account_id, oai_device_id, expire_at, is_banned, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))`,
-      [normalizedEmail, token, refreshToken || null, finalUserCount, normalizedChatgptAccountId, normalizedOaiDeviceId || null, normalizedExpireAt, isBannedValue]
+      `INSERT INTO gpt_accounts (email, token, refresh_token, user_count, chatgpt_account_id, oai_device_id, expire_at, is_banned, seat_capacity, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))`,
+      [normalizedEmail, token, refreshToken || null, finalUserCount, normalizedChatgptAccountId, normalizedOaiDeviceId || null, normalizedExpireAt, isBannedValue, normalizedSeatCapacity]
     )
 
 		    // 获取新创建账号的ID
 		    const accountResult = db.exec(`
 		      SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 		             COALESCE(is_banned, 0) AS is_banned,
-		             created_at, updated_at
+		             created_at, updated_at, seat_capacity
 		      FROM gpt_accounts
 		      WHERE id = last_insert_rowid()
 		    `)
@@ -770,7 +673,8 @@ router.post('/', async (req, res) => {
 		      isDemoted: false,
 		      isBanned: Boolean(row[10]),
 		      createdAt: row[11],
-		      updatedAt: row[12]
+		      updatedAt: row[12],
+		      seatCapacity: resolveSeatCapacity(row[13])
 		    }
 
     // 生成随机兑换码的辅助函数
@@ -788,8 +692,8 @@ router.post('/', async (req, res) => {
     }
 
     // 自动生成兑换码并绑定到该账号
-    // Team 账号默认总容量 5，新建账号默认人数按 1 计算，所以默认生成 4 个兑换码
-    const totalCapacity = 5
+    // 生成数量 = 席位上限 - 1（预留席位）- 当前人数；默认 6 座、人数按 1 计算时生成 4 个兑换码
+    const totalCapacity = normalizedSeatCapacity - 1
     const currentUserCountForCodes = Math.max(1, Number(finalUserCount) || 1)
     const codesToGenerate = Math.max(0, totalCapacity - currentUserCountForCodes)
 
@@ -820,6 +724,14 @@ router.post('/', async (req, res) => {
       }
     }
 
+    recordAuditLog(db, req, {
+      action: 'gpt_account.create',
+      targetType: 'gpt_account',
+      targetId: account.id,
+      summary: `新建账号 ${normalizedEmail}，生成 ${generatedCodes.length} 个兑换码`,
+      before: null,
+      after: loadAccountAuditSnapshot(db, account.id)
+    })
     saveDatabase()
 
     // 获取生成的兑换码信息
@@ -876,6 +788,12 @@ router.put('/:id', async (req, res) => {
       })
     }
 
+    const hasSeatCapacity = body.seatCapacity !== undefined && body.seatCapacity !== null && body.seatCapacity !== ''
+    const normalizedSeatCapacity = hasSeatCapacity ? normalizeSeatCapacity(body.seatCapacity) : null
+    if (hasSeatCapacity && normalizedSeatCapacity === null) {
+      return res.status(400).json({ error: `席位上限必须是 1-${MAX_SEAT_CAPACITY} 之间的整数` })
+    }
+
     const db = await getDatabase()
 
     // Check if account exists
@@ -885,6 +803,7 @@ router.put('/:id', async (req, res) => {
     }
 
     const existingEmail = checkResult[0].values[0][1]
+    const auditBefore = loadAccountAuditSnapshot(db, req.params.id)
 
     db.run(
       `UPDATE gpt_accounts
@@ -898,6 +817,7 @@ router.put('/:id', async (req, res) => {
            is_banned = CASE WHEN ? = 1 THEN ? ELSE is_banned END,
            is_open = CASE WHEN ? = 1 THEN 0 ELSE is_open END,
            ban_processed = CASE WHEN ? = 1 THEN 0 ELSE ban_processed END,
+           seat_capacity = CASE WHEN ? = 1 THEN ? ELSE seat_capacity END,
            updated_at = DATETIME('now', 'localtime')
        WHERE id = ?`,
       [
@@ -913,6 +833,8 @@ router.put('/:id', async (req, res) => {
         isBannedValue,
         shouldApplyBanSideEffects ? 1 : 0,
         shouldApplyBanSideEffects ? 1 : 0,
+        hasSeatCapacity ? 1 : 0,
+        normalizedSeatCapacity,
         req.params.id
       ]
     )
@@ -923,13 +845,23 @@ router.put('/:id', async (req, res) => {
         [email, existingEmail]
       )
     }
+    const auditAfter = loadAccountAuditSnapshot(db, req.params.id)
+    const banChanged = Boolean(auditBefore?.isBanned) !== Boolean(auditAfter?.isBanned)
+    recordAuditLog(db, req, {
+      action: banChanged ? (auditAfter?.isBanned ? 'gpt_account.ban' : 'gpt_account.unban') : 'gpt_account.update',
+      targetType: 'gpt_account',
+      targetId: req.params.id,
+      summary: banChanged ? `${auditAfter?.isBanned ? '标记封号' : '解除封号'} ${auditAfter?.email || ''}` : `编辑账号 ${auditAfter?.email || ''}`,
+      before: auditBefore,
+      after: auditAfter
+    })
     saveDatabase()
 
 		    // Get the updated account
 		    const result = db.exec(`
 		      SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 		             COALESCE(is_banned, 0) AS is_banned,
-		             created_at, updated_at
+		             created_at, updated_at, seat_capacity
 		      FROM gpt_accounts
 		      WHERE id = ?
 		    `, [req.params.id])
@@ -948,7 +880,8 @@ router.put('/:id', async (req, res) => {
 		      isDemoted: false,
 		      isBanned: Boolean(row[10]),
 		      createdAt: row[11],
-		      updatedAt: row[12]
+		      updatedAt: row[12],
+		      seatCapacity: resolveSeatCapacity(row[13])
 		    }
 
     res.json(account)
@@ -978,17 +911,30 @@ router.patch('/:id/open', async (req, res) => {
 	      return res.status(400).json({ error: '账号已封号，不能设置为开放账号' })
 	    }
 
+	    const auditBefore = loadAccountAuditSnapshot(db, req.params.id)
 	    db.run(
 	      `UPDATE gpt_accounts SET is_open = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
 	      [isOpen ? 1 : 0, req.params.id]
 	    )
+	    // 重新开放即视为管理员确认账号已恢复，解除健康检查隔离
+	    if (isOpen) {
+	      clearAccountQuarantine(db, req.params.id)
+	    }
+	    recordAuditLog(db, req, {
+	      action: isOpen ? 'gpt_account.open' : 'gpt_account.close',
+	      targetType: 'gpt_account',
+	      targetId: req.params.id,
+	      summary: `${isOpen ? '设为开放账号' : '取消开放'} ${auditBefore?.email || ''}`,
+	      before: { isOpen: Boolean(auditBefore?.isOpen) },
+	      after: { isOpen }
+	    })
 	    saveDatabase()
 
 		    const result = db.exec(
 		      `
 		        SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 		               COALESCE(is_banned, 0) AS is_banned,
-		               created_at, updated_at
+		               created_at, updated_at, seat_capacity
 		        FROM gpt_accounts
 		        WHERE id = ?
 		      `,
@@ -1009,7 +955,8 @@ router.patch('/:id/open', async (req, res) => {
 		      isDemoted: false,
 		      isBanned: Boolean(row[10]),
 		      createdAt: row[11],
-		      updatedAt: row[12]
+		      updatedAt: row[12],
+		      seatCapacity: resolveSeatCapacity(row[13])
 		    }
 
     res.json(account)
@@ -1019,6 +966,41 @@ router.patch('/:id/open', async (req, res) => {
   }
 })
 
+// 账号健康检查记录（最近 N 次，新到旧）
+router.get('/:id/health-checks', async (req, res) => {
+  try {
+    const db = await getDatabase()
+    const accountResult = db.exec(
+      `
+        SELECT id, email, health_status, health_checked_at, COALESCE(health_fail_streak, 0), quarantined_at, quarantine_reason
+        FROM gpt_accounts
+        WHERE id = ?
+      `,
+      [req.params.id]
+    )
+    const row = accountResult[0]?.values?.[0]
+    if (!row) {
+      return res.status(404).json({ error: 'Account not found' })
+    }
+
+    res.json({
+      account: {
+        id: row[0],
+        email: row[1],
+        healthStatus: row[2] || null,
+        healthCheckedAt: row[3] || null,
+        healthFailStreak: Number(row[4] || 0),
+        quarantinedAt: row[5] || null,
+        quarantineReason: row[6] || null
+      },
+      items: listAccountHealthChecks(db, row[0], { limit: req.query.limit })
+    })
+  } catch (error) {
+    console.error('Get GPT account health checks error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // 标记账号为封号（后台手动操作）
 router.patch('/:id/ban', async (req, res) => {
   try {
@@ -1033,6 +1015,7 @@ router.patch('/:id/ban', async (req, res) => {
       return res.status(404).json({ error: 'Account not found' })
     }
 
+    const auditBefore = loadAccountAuditSnapshot(db, accountId)
     db.run(
       `
         UPDATE gpt_accounts
@@ -1044,13 +1027,21 @@ router.patch('/:id/ban', async (req, res) => {
       `,
       [accountId]
     )
+    recordAuditLog(db, req, {
+      action: 'gpt_account.ban',
+      targetType: 'gpt_account',
+      targetId: accountId,
+      summary: `标记封号 ${auditBefore?.email || ''}`,
+      before: auditBefore,
+      after: loadAccountAuditSnapshot(db, accountId)
+    })
     saveDatabase()
 
     const result = db.exec(
       `
         SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
                COALESCE(is_banned, 0) AS is_banned,
-               created_at, updated_at
+               created_at, updated_at, seat_capacity
         FROM gpt_accounts
         WHERE id = ?
       `,
@@ -1071,9 +1062,15 @@ router.patch('/:id/ban', async (req, res) => {
       isDemoted: false,
       isBanned: Boolean(row[10]),
       createdAt: row[11],
-      updatedAt: row[12]
+      updatedAt: row[12],
+      seatCapacity: resolveSeatCapacity(row[13])
     }
 
+    await emitWebhookEvent('account.banned', {
+      accounts: [{ id: account.id, email: account.email }],
+      source: 'admin'
+    }, { db })
+
     res.json(account)
   } catch (error) {
     console.error('Ban GPT account error:', error)
@@ -1092,7 +1089,17 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Account not found' })
     }
 
+    const auditBefore = loadAccountAuditSnapshot(db, req.params.id)
     db.run('DELETE FROM gpt_accounts WHERE id = ?', [req.params.id])
+    db.run('DELETE FROM account_health_checks WHERE account_id = ?', [req.params.id])
+    recordAuditLog(db, req, {
+      action: 'gpt_account.delete',
+      targetType: 'gpt_account',
+      targetId: req.params.id,
+      summary: `删除账号 ${auditBefore?.email || ''}`,
+      before: auditBefore,
+      after: null
+    })
     saveDatabase()
 
     res.json({ message: 'Account deleted successfully' })
@@ -1268,7 +1275,7 @@ router.post('/:id/refresh-token', async (req, res) => {
     const db = await getDatabase()
 
 	    const result = db.exec(
-	      'SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open, COALESCE(is_banned, 0) AS is_banned, created_at, updated_at FROM gpt_accounts WHERE id = ?',
+	      'SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open, COALESCE(is_banned, 0) AS is_banned, created_at, updated_at, seat_capacity FROM gpt_accounts WHERE id = ?',
 	      [req.params.id]
 	    )
 
@@ -1316,7 +1323,7 @@ router.post('/:id/refresh-token', async (req, res) => {
     saveDatabase()
 
 	    const updatedResult = db.exec(
-	      'SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open, COALESCE(is_banned, 0) AS is_banned, created_at, updated_at FROM gpt_accounts WHERE id = ?',
+	      'SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open, COALESCE(is_banned, 0) AS is_banned, created_at, updated_at, seat_capacity FROM gpt_accounts WHERE id = ?',
 	      [req.params.id]
 	    )
     const updatedRow = updatedResult[0].values[0]
@@ -1334,7 +1341,8 @@ router.post('/:id/refresh-token', async (req, res) => {
 	      isDemoted: false,
 	      isBanned: Boolean(updatedRow[10]),
 	      createdAt: updatedRow[11],
-	      updatedAt: updatedRow[12]
+	      updatedAt: updatedRow[12],
+	      seatCapacity: resolveSeatCapacity(updatedRow[13])
 	    }
 
     res.json({
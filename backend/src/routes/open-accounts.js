@@ -9,7 +9,9 @@ import {
   redeemOpenAccountsOrderCode
 } from '../services/open-accounts-redemption.js'
 import { withLocks } from '../utils/locks.js'
+import { resolveSeatCapacity, seatCapacitySql } from '../utils/seat-capacity.js'
 import { requireFeatureEnabled } from '../middleware/feature-flags.js'
+import { getRuntimeSettings } from '../utils/runtime-settings.js'
 
 const router = express.Router()
 
@@ -298,18 +300,12 @@ const detectEmailInAccountQueues = async (accountId, email) => {
   return { isMember, isInvited }
 }
 
-// 获取每日上车限制配置
-const getDailyBoardLimit = () => {
-  const limit = toInt(process.env.OPEN_ACCOUNTS_DAILY_BOARD_LIMIT, 0)
-  return limit > 0 ? limit : 0 // 0 表示不限制
-}
+// 每日上车限制（运行时配置，0 表示不限制）
+const getDailyBoardLimit = (settings) => Math.max(0, toInt(settings?.openAccountsDailyBoardLimit, 0))
 
-// 获取用户每日上车次数限制配置（全局 env）
-const isUserDailyBoardLimitEnabled = () => isEnabledFlag(process.env.OPEN_ACCOUNTS_USER_DAILY_BOARD_LIMIT_ENABLED, false)
-const getUserDailyBoardLimit = () => {
-  const limit = toInt(process.env.OPEN_ACCOUNTS_USER_DAILY_BOARD_LIMIT, 0)
-  return limit > 0 ? limit : 0 // 0 表示不限制
-}
+// 用户每日上车次数限制（运行时配置，0 表示不限制）
+const isUserDailyBoardLimitEnabled = (settings) => Boolean(settings?.openAccountsUserDailyBoardLimitEnabled)
+const getUserDailyBoardLimit = (settings) => Math.max(0, toInt(settings?.openAccountsUserDailyBoardLimit, 0))
 
 const getOpenAccountsVisibleCreatedWithinDays = () => {
   const days = toInt(process.env.OPEN_ACCOUNTS_VISIBLE_CREATED_WITHIN_DAYS, 30)
@@ -414,10 +410,11 @@ router.get('/', authenticateLinuxDoSession, async (req, res) => {
     const currentAccountId = user?.currentOpenAccountId ? Number(user.currentOpenAccountId) : null
 
     // 获取规则配置
-    const dailyLimit = getDailyBoardLimit()
-    const creditCost = formatCreditMoney(process.env.OPEN_ACCOUNTS_CREDIT_COST || process.env.LINUXDO_OPEN_ACCOUNTS_CREDIT_COST || '10')
-    const userDailyLimitEnabled = isUserDailyBoardLimitEnabled() && getUserDailyBoardLimit() > 0
-    const userDailyLimit = userDailyLimitEnabled ? getUserDailyBoardLimit() : 0
+    const { values: runtimeSettings } = await getRuntimeSettings(db)
+    const dailyLimit = getDailyBoardLimit(runtimeSettings)
+    const creditCost = formatCreditMoney(runtimeSettings.openAccountsCreditCost)
+    const userDailyLimitEnabled = isUserDailyBoardLimitEnabled(runtimeSettings) && getUserDailyBoardLimit(runtimeSettings) > 0
+    const userDailyLimit = userDailyLimitEnabled ? getUserDailyBoardLimit(runtimeSettings) : 0
 
     // 获取今日已上车人数
     const todayBoardCount = getTodayBoardCount(db)
@@ -453,7 +450,7 @@ router.get('/', authenticateLinuxDoSession, async (req, res) => {
 	        ) code_stats ON lower(trim(ga.email)) = code_stats.account_email_lower
 		        WHERE ga.is_open = 1
 		          AND COALESCE(ga.is_banned, 0) = 0
-		          AND (COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0)) < 5
+		          AND (COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0)) < ${seatCapacitySql('ga')} - 1
 	          ${threshold ? "AND ga.created_at >= DATETIME('now', 'localtime', ?)" : ''}
 	        ORDER BY ga.created_at DESC
 	      `,
@@ -580,7 +577,8 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
     const profileEmail = normalizeEmail(user.email)
 
     const { pid: creditPid, key: creditKey, baseUrl: creditBaseUrl } = await getCreditGatewayConfig()
-    const creditCost = formatCreditMoney(process.env.OPEN_ACCOUNTS_CREDIT_COST || process.env.LINUXDO_OPEN_ACCOUNTS_CREDIT_COST || '10')
+    const { values: runtimeSettings } = await getRuntimeSettings(db)
+    const creditCost = formatCreditMoney(runtimeSettings.openAccountsCreditCost)
     const baseTitle = String(process.env.OPEN_ACCOUNTS_CREDIT_TITLE || '开放账号上车').trim() || '开放账号上车'
     const creditTitle = `${baseTitle} ${accountId}`
 
@@ -679,7 +677,7 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
               uid,
               email: orderEmail,
               accountEmail,
-              capacityLimit: 6,
+              reservedSeats: 0,
               orderType: verifiedOrderType
             })
             if (!redeemOutcome.ok) {
@@ -744,7 +742,8 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
 	            return { type: 'error', status: 500, error: '未配置上车所需积分' }
 	          }
 
-	          const baseCapacity = 5
+	          // 新用户需为账号保留 1 个席位（与 redeemOpenAccountsOrderCode 一致）
+	          const baseCapacity = resolveSeatCapacity(account.seatCapacity) - 1
 	          // 若用户尚未在目标账号的成员/邀请列表中，且账号已满员，则不创建订单，避免授权后无法上车。
 	          if (!isMember && !isInvited) {
 	            const seatsUsed = Number(account.userCount || 0) + Number(account.inviteCount || 0)
@@ -813,8 +812,8 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
           }
 
           // 检查用户每日上车次数限制（包含未完成订单，避免高并发时超额）
-          const userDailyLimitEnabled = isUserDailyBoardLimitEnabled()
-          const userDailyLimit = userDailyLimitEnabled ? getUserDailyBoardLimit() : 0
+          const userDailyLimitEnabled = isUserDailyBoardLimitEnabled(runtimeSettings)
+          const userDailyLimit = userDailyLimitEnabled ? getUserDailyBoardLimit(runtimeSettings) : 0
           if (userDailyLimitEnabled && userDailyLimit > 0) {
             const userTodayCount = getUserTodayBoardOrderCount(db, uid)
             if (userTodayCount >= userDailyLimit) {
@@ -823,7 +822,7 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
           }
 
           // 检查今日全局上车人数限制（包含未完成订单，避免高并发时超额）
-          const dailyLimit = getDailyBoardLimit()
+          const dailyLimit = getDailyBoardLimit(runtimeSettings)
           if (dailyLimit > 0) {
             const todayCount = getTodayBoardCount(db)
             if (todayCount >= dailyLimit) {
@@ -879,14 +878,12 @@ router.post('/:accountId/board', authenticateLinuxDoSession, async (req, res) =>
           }
         }
 
-	        const baseCapacity = 5
-	        const redeemCapacity = isMember || isInvited ? 6 : baseCapacity
 	        const redeemOutcome = await redeemOpenAccountsOrderCode(db, {
 	          orderNo: verifiedCreditOrderNo,
 	          uid,
 	          email: orderEmail,
           accountEmail,
-          capacityLimit: redeemCapacity,
+          reservedSeats: isMember || isInvited ? 0 : 1,
           orderType: verifiedOrderType
         })
 
@@ -1,7 +1,7 @@
 import express from 'express'
 import crypto from 'crypto'
 import axios from 'axios'
-import { apiKeyAuth } from '../middleware/api-key-auth.js'
+import { requireApiKeyOrMenu } from '../middleware/api-key-auth.js'
 import { setOAuthSession, getOAuthSession, deleteOAuthSession } from '../services/oauth-session-store.js'
 
 const router = express.Router()
@@ -62,7 +62,7 @@ function generateOpenAIPKCE() {
   return { codeVerifier, codeChallenge }
 }
 
-router.post('/generate-auth-url', apiKeyAuth, async (req, res) => {
+router.post('/generate-auth-url', requireApiKeyOrMenu('accounts:write', 'accounts'), async (req, res) => {
   try {
     if (!OPENAI_CONFIG.REDIRECT_URI) {
       return res.status(500).json({
@@ -130,7 +130,7 @@ router.post('/generate-auth-url', apiKeyAuth, async (req, res) => {
   }
 })
 
-router.post('/exchange-code', apiKeyAuth, async (req, res) => {
+router.post('/exchange-code', requireApiKeyOrMenu('accounts:write', 'accounts'), async (req, res) => {
   try {
     const { code, sessionId } = req.body || {}
 
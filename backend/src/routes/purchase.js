@@ -1,26 +1,57 @@
 import express from 'express'
-import crypto from 'crypto'
-import axios from 'axios'
 import jwt from 'jsonwebtoken'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { withLocks } from '../utils/locks.js'
 import { sendPurchaseOrderEmail } from '../services/email-service.js'
+import { normalizeEmailLocale } from '../services/email-templates.js'
 import { redeemCodeInternal, RedemptionError } from './redemption-codes.js'
 import { getChannels, normalizeChannelKey } from '../utils/channels.js'
 import { getPurchaseProductByKey, listPurchaseProducts, normalizeCodeChannels, normalizeProductKey } from '../services/purchase-products.js'
 import { safeInsertPointsLedgerEntry } from '../utils/points-ledger.js'
-import { getZpaySettings } from '../utils/zpay-settings.js'
+import { seatCapacitySql } from '../utils/seat-capacity.js'
+import { getPooledSeatAvailability, pooledCodeSql } from '../services/code-allocation.js'
 import { sendTelegramBotNotification } from '../services/telegram-notifier.js'
+import { emitWebhookEvent } from '../services/webhooks.js'
 import { requireFeatureEnabled } from '../middleware/feature-flags.js'
+import { getRuntimeSetting } from '../utils/runtime-settings.js'
+import { evaluateCoupon, normalizeCouponCode } from '../services/coupons.js'
+import { REFUND_CODE_ACTIONS, applyRefundCodeAction, reverseOrderRewardPoints, revokeOrderAccess } from '../services/purchase-refunds.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import {
+  RENEWAL_MODE_EXTEND,
+  RENEWAL_MODE_MIGRATE,
+  applyPaidRenewal,
+  checkOrderRenewable,
+  findPendingRenewalOrderNo,
+  formatLocalDateTime,
+  getOrderServiceDeadlineMs,
+  planOrderRenewal,
+  reserveMigrationCode,
+  revertRenewalExtension
+} from '../services/purchase-renewals.js'
+import {
+  PAYMENT_PROVIDER_ZPAY,
+  PAY_TYPES,
+  describePaymentRequestError,
+  getPaymentProvider,
+  resolvePaymentProvider
+} from '../services/payment-providers.js'
+import {
+  markPaymentNotificationFailed,
+  processPaymentNotification,
+  recordPaymentNotification,
+  registerPaymentNotificationHandler
+} from '../services/payment-notifications.js'
 
 const router = express.Router()
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production'
 
 router.use(requireFeatureEnabled('payment'))
 
-router.use('/admin', authenticateToken, requireMenu('purchase_orders'))
+router.use('/admin', authenticateToken, requireMenu('purchase_orders'), auditMutations('purchase_order'))
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
@@ -74,42 +105,6 @@ const getPublicBaseUrl = (req) => {
   return `https://${host}`
 }
 
-const md5 = (value) => crypto.createHash('md5').update(String(value), 'utf8').digest('hex')
-
-const normalizeZpayResponseData = (raw) => {
-  if (raw == null) return { data: null, rawText: '' }
-  if (typeof raw === 'string') {
-    const trimmed = raw.trim()
-    if (!trimmed) return { data: null, rawText: '' }
-    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-      try {
-        const parsed = JSON.parse(trimmed)
-        return { data: parsed, rawText: trimmed }
-      } catch {
-        return { data: null, rawText: trimmed }
-      }
-    }
-    return { data: null, rawText: trimmed }
-  }
-  return { data: raw, rawText: '' }
-}
-
-const buildZpaySign = (params, key) => {
-  const entries = Object.entries(params || {})
-    .filter(([k, v]) => {
-      if (!k) return false
-      if (k === 'sign' || k === 'sign_type') return false
-      if (v === undefined || v === null) return false
-      const str = String(v).trim()
-      return str.length > 0
-    })
-    .sort(([a], [b]) => (a === b ? 0 : a > b ? 1 : -1))
-    .map(([k, v]) => `${k}=${String(v).trim()}`)
-    .join('&')
-
-  return md5(`${entries}${key}`)
-}
-
 const parseMoney = (value) => {
   const parsed = Number.parseFloat(String(value ?? ''))
   if (!Number.isFinite(parsed)) return null
@@ -184,7 +179,6 @@ const getPurchasePlans = () => {
   const productName = String(process.env.PURCHASE_PRODUCT_NAME || '通用渠道激活码').trim() || '通用渠道激活码'
   const amount = formatMoney(process.env.PURCHASE_PRICE ?? '1.00') || '1.00'
   const serviceDays = Math.max(1, toInt(process.env.PURCHASE_SERVICE_DAYS, 30))
-  const expireMinutes = Math.max(5, toInt(process.env.PURCHASE_ORDER_EXPIRE_MINUTES, 15))
 
   const noWarrantyAmount = formatMoney(process.env.PURCHASE_NO_WARRANTY_PRICE ?? '5.00') || '5.00'
   const noWarrantyServiceDays = Math.max(1, toInt(process.env.PURCHASE_NO_WARRANTY_SERVICE_DAYS, serviceDays))
@@ -193,7 +187,6 @@ const getPurchasePlans = () => {
   ).trim() || `${productName}（无质保）`
 
   return {
-    expireMinutes,
     plans: {
       warranty: {
         key: ORDER_TYPE_WARRANTY,
@@ -211,7 +204,7 @@ const getPurchasePlans = () => {
   }
 }
 
-const getPurchaseOrderExpireMinutes = () => Math.max(5, toInt(process.env.PURCHASE_ORDER_EXPIRE_MINUTES, 15))
+const getPurchaseOrderExpireMinutes = (db) => getRuntimeSetting('purchaseOrderExpireMinutes', db)
 
 const parseProductCodeChannels = (product, channelsByKey) => {
   const { list } = normalizeCodeChannels(product?.codeChannels)
@@ -241,15 +234,6 @@ const isAntiBanOrderType = (orderType) => normalizeOrderType(orderType) === ORDE
 const getInviteOrderRewardPoints = () => Math.max(0, toInt(process.env.INVITE_ORDER_REWARD_POINTS, 5))
 const getPurchaseOrderRewardPoints = () => Math.max(0, toInt(process.env.PURCHASE_ORDER_REWARD_POINTS, 3))
 
-const getZpayConfig = async (db, options) => {
-  const settings = await getZpaySettings(db, options)
-  return {
-    pid: String(settings.pid || '').trim(),
-    key: String(settings.key || '').trim(),
-    baseUrl: String(settings.baseUrl || '').trim().replace(/\/+$/, '') || 'https://zpayz.cn'
-  }
-}
-
 const getInviterUserId = (db, userId) => {
   if (!db) return null
   const normalizedUserId = Number(userId)
@@ -440,10 +424,33 @@ const cleanupExpiredOrders = (db, { expireMinutes }) => {
   return released
 }
 
-const getTodayAvailableCodeCount = (db, { channel } = {}) => {
-  const resolvedChannel = String(channel || CODE_CHANNEL_COMMON).trim().toLowerCase() || CODE_CHANNEL_COMMON
-  const result = db.exec(
+const resolveCodeChannel = (channel) => String(channel || CODE_CHANNEL_COMMON).trim().toLowerCase() || CODE_CHANNEL_COMMON
+
+const UNRESERVED_CODE_SQL = `
+        AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
+        AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)`
+
+// 号池兑换码不绑定账号，兑换时由 redeemCodeInternal 按策略分配；可售数量受所有开放账号的空余席位合计限制
+const countPooledCodes = (db, channel) => Number(
+  db.exec(
     `
+      SELECT COUNT(*)
+      FROM redemption_codes rc
+      WHERE rc.is_redeemed = 0
+        AND COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = ?
+        AND ${pooledCodeSql('rc')}${UNRESERVED_CODE_SQL}
+    `,
+    [channel]
+  )[0]?.values?.[0]?.[0] || 0
+)
+
+const getTodayAvailableCodeCount = (db, { channel, channels } = {}) => {
+  const resolvedChannels = [...new Set((channels || [channel]).map(resolveCodeChannel))]
+  let boundCount = 0
+  let pooledCount = 0
+  for (const resolvedChannel of resolvedChannels) {
+    const result = db.exec(
+      `
 	      SELECT COUNT(*)
 	      FROM redemption_codes rc
 	      JOIN gpt_accounts ga ON lower(trim(ga.email)) = lower(trim(rc.account_email))
@@ -451,18 +458,36 @@ const getTodayAvailableCodeCount = (db, { channel } = {}) => {
 	        AND COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = ?
 	        AND rc.account_email IS NOT NULL
         AND ga.is_open = 1
-        AND ga.user_count < 6
-        AND DATE(ga.created_at) = DATE('now', 'localtime')
-        AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
-        AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
+        AND ga.user_count < ${seatCapacitySql('ga')}
+        AND DATE(ga.created_at) = DATE('now', 'localtime')${UNRESERVED_CODE_SQL}
+      `,
+      [resolvedChannel]
+    )
+    boundCount += Number(result[0]?.values?.[0]?.[0] || 0)
+    pooledCount += countPooledCodes(db, resolvedChannel)
+  }
+  return boundCount + (pooledCount > 0 ? Math.min(pooledCount, getPooledSeatAvailability(db)) : 0)
+}
+
+const claimCodeForOrder = (db, codeId, { orderNo, email }) => {
+  db.run(
+    `
+      UPDATE redemption_codes
+      SET reserved_for_order_no = ?,
+          reserved_for_order_email = ?,
+          reserved_at = DATETIME('now', 'localtime'),
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+        AND is_redeemed = 0
+        AND (reserved_for_order_no IS NULL OR reserved_for_order_no = '')
     `,
-    [resolvedChannel]
+    [orderNo, email, codeId]
   )
-  return Number(result[0]?.values?.[0]?.[0] || 0)
 }
 
+// 优先预留今日开放账号上绑定的兑换码，没有时再取号池兑换码（账号在支付后兑换时分配）
 const reserveTodayCode = (db, { orderNo, email, channel } = {}) => {
-  const resolvedChannel = String(channel || CODE_CHANNEL_COMMON).trim().toLowerCase() || CODE_CHANNEL_COMMON
+  const resolvedChannel = resolveCodeChannel(channel)
   const row = db.exec(
     `
 	      SELECT rc.id, rc.code, rc.account_email
@@ -472,37 +497,41 @@ const reserveTodayCode = (db, { orderNo, email, channel } = {}) => {
 	        AND COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = ?
 	        AND rc.account_email IS NOT NULL
         AND ga.is_open = 1
-        AND ga.user_count < 6
-        AND DATE(ga.created_at) = DATE('now', 'localtime')
-        AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
-        AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
+        AND ga.user_count < ${seatCapacitySql('ga')}
+        AND DATE(ga.created_at) = DATE('now', 'localtime')${UNRESERVED_CODE_SQL}
       ORDER BY rc.created_at ASC
       LIMIT 1
     `,
     [resolvedChannel]
   )[0]?.values?.[0]
 
-  if (!row) return null
-  const [codeId, code, accountEmail] = row
+  if (row) {
+    const [codeId, code, accountEmail] = row
+    claimCodeForOrder(db, codeId, { orderNo, email })
+    return { codeId, code, accountEmail }
+  }
 
-  db.run(
+  if (getPooledSeatAvailability(db) <= 0) return null
+  const pooledRow = db.exec(
     `
-      UPDATE redemption_codes
-      SET reserved_for_order_no = ?,
-          reserved_for_order_email = ?,
-          reserved_at = DATETIME('now', 'localtime'),
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-        AND is_redeemed = 0
-        AND (reserved_for_order_no IS NULL OR reserved_for_order_no = '')
+      SELECT rc.id, rc.code
+      FROM redemption_codes rc
+      WHERE rc.is_redeemed = 0
+        AND COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = ?
+        AND ${pooledCodeSql('rc')}${UNRESERVED_CODE_SQL}
+      ORDER BY rc.created_at ASC
+      LIMIT 1
     `,
-    [orderNo, email, codeId]
-  )
+    [resolvedChannel]
+  )[0]?.values?.[0]
+  if (!pooledRow) return null
 
-  return { codeId, code, accountEmail }
+  const [codeId, code] = pooledRow
+  claimCodeForOrder(db, codeId, { orderNo, email })
+  return { codeId, code, accountEmail: null }
 }
 
-const resolvePurchaseOrderNoByZpayTradeNo = (db, tradeNo) => {
+const resolvePurchaseOrderNoByTradeNo = (db, tradeNo) => {
   if (!db) return ''
   const normalized = String(tradeNo || '').trim()
   if (!normalized) return ''
@@ -510,7 +539,7 @@ const resolvePurchaseOrderNoByZpayTradeNo = (db, tradeNo) => {
     `
       SELECT order_no
       FROM purchase_orders
-      WHERE zpay_trade_no = ?
+      WHERE provider_trade_no = ?
       ORDER BY created_at DESC
       LIMIT 1
     `,
@@ -539,11 +568,23 @@ const getUserIdFromAuthorization = (req) => {
   }
 }
 
+const parseRefundReport = (raw) => {
+  if (!raw) return null
+  try {
+    return JSON.parse(String(raw))
+  } catch {
+    return null
+  }
+}
+
+// 买家语言：优先取请求体中的 locale，其次 Accept-Language；无法识别时为 null（邮件按系统默认语言发送）
+const resolveBuyerLocale = (req) => normalizeEmailLocale(req.body?.locale || req.headers['accept-language'])
+
 const fetchOrder = (db, orderNo) => {
   const result = db.exec(
     `
 	      SELECT order_no, email, product_name, amount, service_days, order_type, pay_type, status,
-	             zpay_oid, zpay_trade_no, zpay_payurl, zpay_qrcode, zpay_img,
+	             provider_order_id, provider_trade_no, pay_url, pay_qrcode, pay_img,
 	             query_at, query_status,
 	             code_id, code, code_account_email,
 	             created_at, updated_at, paid_at, redeemed_at, invite_status, redeem_account_email, redeem_user_count, redeem_error,
@@ -555,7 +596,17 @@ const fetchOrder = (db, orderNo) => {
 	             buyer_reward_points,
 	             buyer_rewarded_at,
                product_key,
-               code_channel
+               code_channel,
+               coupon_code,
+               original_amount,
+               discount_amount,
+               refund_report,
+               renewal_of_order_no,
+               renewal_mode,
+               extended_days,
+               renewed_until,
+               payment_provider,
+               locale
 	      FROM purchase_orders
 	      WHERE order_no = ?
 	      LIMIT 1
@@ -573,8 +624,8 @@ const fetchOrder = (db, orderNo) => {
     orderType: normalizeOrderType(row[5]),
     payType: row[6] || null,
     status: row[7],
-    zpayOid: row[8] || null,
-    zpayTradeNo: row[9] || null,
+    providerOrderId: row[8] || null,
+    tradeNo: row[9] || null,
     payUrl: row[10] || null,
     qrcode: row[11] || null,
     img: row[12] || null,
@@ -603,10 +654,45 @@ const fetchOrder = (db, orderNo) => {
 	    buyerRewardPoints: row[35] != null ? Number(row[35]) : null,
 	    buyerRewardedAt: row[36] || null,
       productKey: row[37] || null,
-      codeChannel: row[38] || null
+      codeChannel: row[38] || null,
+      couponCode: row[39] || null,
+      originalAmount: row[40] || null,
+      discountAmount: row[41] || null,
+      refundReport: parseRefundReport(row[42]),
+      renewalOfOrderNo: row[43] || null,
+      renewalMode: row[44] || null,
+      extendedDays: Number(row[45] || 0),
+      renewedUntil: row[46] || null,
+      paymentProvider: row[47] || null,
+      locale: row[48] || null
 	  }
 	}
 
+const buildPurchaseWebhookData = (order) => ({
+  orderNo: order.orderNo,
+  email: order.email,
+  userId: order.userId,
+  productKey: order.productKey,
+  productName: order.productName,
+  orderType: order.orderType,
+  amount: order.amount,
+  couponCode: order.couponCode,
+  discountAmount: order.discountAmount,
+  payType: order.payType,
+  paymentProvider: order.paymentProvider,
+  tradeNo: order.tradeNo,
+  status: order.status,
+  paidAt: order.paidAt,
+  redeemedAt: order.redeemedAt,
+  redeemAccountEmail: order.redeemAccountEmail,
+  redeemError: order.redeemError,
+  refundedAt: order.refundedAt,
+  refundAmount: order.refundAmount,
+  renewalOfOrderNo: order.renewalOfOrderNo,
+  renewalMode: order.renewalMode,
+  renewedUntil: order.renewedUntil
+})
+
 const computeRefund = ({ amount, startAt, serviceDays }) => {
   const parsedAmount = parseMoney(amount)
   if (parsedAmount === null) return { refundable: false, refundAmount: '0.00', reason: 'invalid_amount' }
@@ -635,182 +721,10 @@ const computeRefund = ({ amount, startAt, serviceDays }) => {
   }
 }
 
-const normalizeZpayDatetime = (value) => {
-  const raw = String(value || '').trim()
-  if (!raw) return null
-  return raw
-}
-
-const summarizeZpayNotifyPayload = (payload) => {
-  const data = payload && typeof payload === 'object' ? payload : {}
-  const keys = Object.keys(data).sort()
-  return {
-    outTradeNo: data.out_trade_no ? String(data.out_trade_no).trim() : '',
-    tradeStatus: data.trade_status ? String(data.trade_status).trim() : '',
-    money: data.money != null ? String(data.money).trim() : '',
-    type: data.type ? String(data.type).trim() : '',
-    tradeNo: data.trade_no ? String(data.trade_no).trim() : '',
-    param: data.param != null ? safeSnippet(String(data.param), 160) : '',
-    name: data.name != null ? safeSnippet(String(data.name), 160) : '',
-    pid: data.pid ? String(data.pid).trim() : '',
-    signType: data.sign_type ? String(data.sign_type).trim() : '',
-    hasSign: Boolean(String(data.sign || '').trim()),
-    keys
-  }
-}
-
-const queryZpayOrder = async ({ tradeNo, outTradeNo }) => {
-  const { pid, key, baseUrl } = await getZpayConfig()
-  if (!pid || !key) {
-    return { ok: false, error: 'missing_config' }
-  }
-
-  const normalizedTradeNo = String(tradeNo || '').trim()
-  const normalizedOutTradeNo = String(outTradeNo || '').trim()
-  if (!normalizedTradeNo && !normalizedOutTradeNo) {
-    return { ok: false, error: 'missing_order_no' }
-  }
-
-  const params = {
-    act: 'order',
-    pid,
-    key,
-    ...(normalizedTradeNo ? { trade_no: normalizedTradeNo } : {}),
-    ...(normalizedOutTradeNo ? { out_trade_no: normalizedOutTradeNo } : {})
-  }
-
-  try {
-    const response = await axios.get(`${baseUrl}/api.php`, {
-      params,
-      timeout: 15000,
-      validateStatus: () => true
-    })
-
-    const contentType = String(response?.headers?.['content-type'] || '')
-    const normalized = normalizeZpayResponseData(response?.data)
-    const data = normalized.data
-    const rawText = normalized.rawText
-
-    if (response.status !== 200) {
-      return {
-        ok: false,
-        error: `http_${response.status}`,
-        contentType,
-        bodySnippet: safeSnippet(rawText || response?.data)
-      }
-    }
-
-    if (!data || typeof data !== 'object') {
-      return {
-        ok: false,
-        error: 'invalid_response',
-        contentType,
-        bodySnippet: safeSnippet(rawText || response?.data)
-      }
-    }
-
-    const code = Number(data.code)
-    if (code !== 1) {
-      return {
-        ok: false,
-        error: 'query_failed',
-        code,
-        msg: data.msg ? String(data.msg) : '',
-        data
-      }
-    }
-
-    return { ok: true, data }
-  } catch (error) {
-    return {
-      ok: false,
-      error: 'network_error',
-      message: error?.message || String(error)
-    }
-  }
-}
-
-const refundZpayOrder = async ({ outTradeNo, tradeNo, money }) => {
-  const { pid, key, baseUrl } = await getZpayConfig()
-  if (!pid || !key) {
-    return { ok: false, error: 'missing_config' }
-  }
-
-  const form = new URLSearchParams()
-  form.append('pid', pid)
-  form.append('key', key)
-
-  const normalizedTradeNo = String(tradeNo || '').trim()
-  const normalizedOutTradeNo = String(outTradeNo || '').trim()
-  if (normalizedTradeNo) {
-    form.append('trade_no', normalizedTradeNo)
-  } else if (normalizedOutTradeNo) {
-    form.append('out_trade_no', normalizedOutTradeNo)
-  } else {
-    return { ok: false, error: 'missing_order_no' }
-  }
-
-  const refundMoney = formatMoney(money)
-  if (!refundMoney) {
-    return { ok: false, error: 'invalid_money' }
-  }
-  form.append('money', refundMoney)
-
-  try {
-    const response = await axios.post(`${baseUrl}/api.php?act=refund`, form, {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      timeout: 15000,
-      validateStatus: () => true
-    })
-
-    const contentType = String(response?.headers?.['content-type'] || '')
-    const normalized = normalizeZpayResponseData(response?.data)
-    const data = normalized.data
-    const rawText = normalized.rawText
-
-    if (response.status !== 200) {
-      return {
-        ok: false,
-        error: `http_${response.status}`,
-        contentType,
-        bodySnippet: safeSnippet(rawText || response?.data)
-      }
-    }
-
-    if (!data || typeof data !== 'object') {
-      return {
-        ok: false,
-        error: 'invalid_response',
-        contentType,
-        bodySnippet: safeSnippet(rawText || response?.data)
-      }
-    }
-
-    const code = Number(data.code)
-    if (code !== 1) {
-      return {
-        ok: false,
-        error: 'refund_failed',
-        code,
-        msg: data.msg ? String(data.msg) : '',
-        data
-      }
-    }
-
-    return { ok: true, data }
-  } catch (error) {
-    return {
-      ok: false,
-      error: 'network_error',
-      message: error?.message || String(error)
-    }
-  }
-}
-
-const persistZpayQueryResult = (db, orderNo, queryResult) => {
+const persistPaymentQueryResult = (db, orderNo, queryResult) => {
   if (!db || !orderNo) return
-  const payload = queryResult?.ok ? queryResult.data : queryResult
-  const queryStatus = queryResult?.ok ? Number(queryResult?.data?.status ?? null) : null
+  const payload = queryResult?.ok ? queryResult.raw : queryResult
+  const queryStatus = queryResult?.ok ? Number(queryResult.status ?? (queryResult.paid ? 1 : 0)) : null
   db.run(
     `
       UPDATE purchase_orders
@@ -840,14 +754,15 @@ const handlePaidOrder = async (db, orderNo, { payType, tradeNo, paidAt, notifyPa
       )
     }
 
-    if (order.status !== 'paid') {
-      const normalizedPaidAt = normalizeZpayDatetime(paidAt)
+    const becamePaid = order.status !== 'paid'
+    if (becamePaid) {
+      const normalizedPaidAt = String(paidAt || '').trim() || null
       db.run(
         `
           UPDATE purchase_orders
           SET status = 'paid',
               paid_at = COALESCE(?, DATETIME('now', 'localtime')),
-              zpay_trade_no = COALESCE(?, zpay_trade_no),
+              provider_trade_no = COALESCE(?, provider_trade_no),
               pay_type = COALESCE(?, pay_type),
               updated_at = DATETIME('now', 'localtime')
           WHERE order_no = ?
@@ -858,7 +773,7 @@ const handlePaidOrder = async (db, orderNo, { payType, tradeNo, paidAt, notifyPa
       db.run(
         `
           UPDATE purchase_orders
-          SET zpay_trade_no = COALESCE(?, zpay_trade_no),
+          SET provider_trade_no = COALESCE(?, provider_trade_no),
               pay_type = COALESCE(?, pay_type),
               updated_at = DATETIME('now', 'localtime')
           WHERE order_no = ?
@@ -869,12 +784,25 @@ const handlePaidOrder = async (db, orderNo, { payType, tradeNo, paidAt, notifyPa
 
     saveDatabase()
 
-    const updatedOrder = fetchOrder(db, orderNo)
+    let updatedOrder = fetchOrder(db, orderNo)
     if (updatedOrder?.status === 'paid') {
       awardInvitePointsForPaidOrderLocked(db, orderNo, updatedOrder)
       awardBuyerPointsForPaidOrderLocked(db, orderNo, updatedOrder)
     }
-    if (updatedOrder?.status === 'paid' && !updatedOrder.redeemedAt) {
+    // 续费订单：原地续费直接顺延原订单并视为已兑换；迁移续费先结转剩余天数，再走下方的自动兑换发放迁移码
+    if (updatedOrder?.status === 'paid' && updatedOrder.renewalOfOrderNo && !updatedOrder.redeemedAt) {
+      const renewal = applyPaidRenewal(db, updatedOrder)
+      if (!renewal.ok) {
+        console.warn('[Purchase] apply renewal failed', { orderNo, message: renewal.error })
+        db.run(
+          `UPDATE purchase_orders SET redeem_error = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
+          [renewal.error, orderNo]
+        )
+      }
+      saveDatabase()
+      updatedOrder = fetchOrder(db, orderNo)
+    }
+    if (updatedOrder?.status === 'paid' && !updatedOrder.redeemedAt && updatedOrder.renewalMode !== RENEWAL_MODE_EXTEND) {
       if (!updatedOrder.code) {
         db.run(
           `UPDATE purchase_orders SET redeem_error = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
@@ -973,8 +901,12 @@ const handlePaidOrder = async (db, orderNo, { payType, tradeNo, paidAt, notifyPa
         `邮箱：${orderForTelegram.email}`,
         `商品：${orderForTelegram.productName}`,
         `金额：${orderForTelegram.amount}`,
+        orderForTelegram.renewalOfOrderNo
+          ? `续费：${orderForTelegram.renewalOfOrderNo}（${orderForTelegram.renewalMode === RENEWAL_MODE_MIGRATE ? '迁移新账号' : '原账号顺延'}）`
+          : null,
+        orderForTelegram.renewedUntil ? `续费至：${orderForTelegram.renewedUntil}` : null,
         orderForTelegram.payType ? `支付方式：${orderForTelegram.payType}` : null,
-        orderForTelegram.zpayTradeNo ? `交易号：${orderForTelegram.zpayTradeNo}` : null,
+        orderForTelegram.tradeNo ? `交易号：${orderForTelegram.tradeNo}` : null,
         orderForTelegram.paidAt ? `支付时间：${orderForTelegram.paidAt}` : null,
         orderForTelegram.redeemedAt ? `兑换时间：${orderForTelegram.redeemedAt}` : null,
         orderForTelegram.redeemError ? `兑换失败：${orderForTelegram.redeemError}` : null
@@ -999,10 +931,14 @@ const handlePaidOrder = async (db, orderNo, { payType, tradeNo, paidAt, notifyPa
         saveDatabase()
       }
     }
+
+    if (becamePaid && orderForTelegram?.status === 'paid') {
+      await emitWebhookEvent('purchase.paid', buildPurchaseWebhookData(orderForTelegram), { db })
+    }
   })
 }
 
-const shouldSyncOrderWithZpay = (order, { force = false } = {}) => {
+const shouldSyncOrderWithProvider = (order, { force = false } = {}) => {
   if (!order) return false
   if (order.status === 'paid' || order.status === 'refunded' || order.status === 'expired' || order.status === 'failed') return false
   if (force) return true
@@ -1011,17 +947,22 @@ const shouldSyncOrderWithZpay = (order, { force = false } = {}) => {
   return !last || Number.isNaN(last) || Date.now() - last > minIntervalMs
 }
 
-const syncOrderStatusFromZpay = async (db, orderNo, { force = false } = {}) => {
+const syncOrderStatusFromProvider = async (db, orderNo, { force = false } = {}) => {
   const order = fetchOrder(db, orderNo)
   if (!order) return { ok: false, reason: 'not_found' }
-  if (!shouldSyncOrderWithZpay(order, { force })) return { ok: true, skipped: true }
+  if (!shouldSyncOrderWithProvider(order, { force })) return { ok: true, skipped: true }
+
+  const provider = getPaymentProvider(order.paymentProvider)
+  if (!provider) {
+    console.warn('[Purchase] unknown payment provider', { orderNo, provider: order.paymentProvider })
+    return { ok: false, reason: 'unknown_provider' }
+  }
 
   // 查询时优先仅用 out_trade_no（我方订单号），避免 trade_no 不一致时影响查询结果
-  const query = await queryZpayOrder({ tradeNo: '', outTradeNo: orderNo })
-  console.log(query);
-  
+  const query = await provider.queryPayment({ orderNo, tradeNo: '' })
+
   try {
-    persistZpayQueryResult(db, orderNo, query)
+    persistPaymentQueryResult(db, orderNo, query)
     saveDatabase()
   } catch (error) {
     console.warn('[Purchase] persist query payload failed', { orderNo, message: error?.message || String(error) })
@@ -1029,38 +970,37 @@ const syncOrderStatusFromZpay = async (db, orderNo, { force = false } = {}) => {
 
   if (!query.ok) {
     if (force) {
-      console.warn('[Purchase] zpay order sync failed', {
+      console.warn('[Purchase] payment order sync failed', {
         orderNo,
+        provider: provider.key,
         error: query.error || 'query_failed',
         message: query.message || query.msg || null,
-        status: query.status || null,
         contentType: query.contentType || null,
         bodySnippet: query.bodySnippet || null
       })
     } else if (query.error && query.error !== 'query_failed') {
-      console.warn('[Purchase] zpay order query failed', { orderNo, error: query.error, message: query.message })
+      console.warn('[Purchase] payment order query failed', { orderNo, provider: provider.key, error: query.error, message: query.message })
     }
     return { ok: false, reason: query.error || 'query_failed' }
   }
 
-  const data = query.data || {}
-  const zpayStatus = Number(data.status || 0)
-  if (!Number.isFinite(zpayStatus) || zpayStatus !== 1) {
+  if (!query.paid) {
     if (force) {
-      console.info('[Purchase] zpay order not paid', {
+      console.info('[Purchase] payment order not paid', {
         orderNo,
-        zpayStatus: Number.isFinite(zpayStatus) ? zpayStatus : null,
-        tradeNo: data.trade_no || null,
-        outTradeNo: data.out_trade_no || null
+        provider: provider.key,
+        status: query.status,
+        tradeNo: query.tradeNo,
+        outTradeNo: query.outTradeNo
       })
     }
     return { ok: true, paid: false }
   }
 
-  const notifyMoney = formatMoney(data.money)
+  const notifyMoney = formatMoney(query.money)
   const orderMoney = formatMoney(order.amount)
   if (notifyMoney && orderMoney && notifyMoney !== orderMoney) {
-    console.warn('[Purchase] zpay order money mismatch', { orderNo, notifyMoney, orderMoney })
+    console.warn('[Purchase] payment order money mismatch', { orderNo, provider: provider.key, notifyMoney, orderMoney })
     db.run(
       `UPDATE purchase_orders SET refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
       [`money_mismatch:${notifyMoney}`, orderNo]
@@ -1070,10 +1010,10 @@ const syncOrderStatusFromZpay = async (db, orderNo, { force = false } = {}) => {
   }
 
   await handlePaidOrder(db, orderNo, {
-    payType: data.type || null,
-    tradeNo: data.trade_no || null,
-    paidAt: data.endtime || null,
-    notifyPayload: data,
+    payType: query.payType,
+    tradeNo: query.tradeNo,
+    paidAt: query.paidAt,
+    notifyPayload: query.raw,
     source: 'query'
   })
 
@@ -1082,8 +1022,8 @@ const syncOrderStatusFromZpay = async (db, orderNo, { force = false } = {}) => {
 
 router.get('/meta', async (req, res) => {
   try {
-    const expireMinutes = getPurchaseOrderExpireMinutes()
     const db = await getDatabase()
+    const expireMinutes = await getPurchaseOrderExpireMinutes(db)
     await withLocks(['purchase'], async () => {
       const released = cleanupExpiredOrders(db, { expireMinutes })
       if (released) {
@@ -1101,10 +1041,8 @@ router.get('/meta', async (req, res) => {
       if (orderType === ORDER_TYPE_ANTI_BAN) continue
 
       const codeChannels = parseProductCodeChannels(product, channelsByKey)
-      let availableCount = 0
-      for (const channel of codeChannels) {
-        availableCount += getTodayAvailableCodeCount(db, { channel })
-      }
+      // 多个渠道共用号池席位，一次按全部渠道统计，避免重复计入
+      const availableCount = getTodayAvailableCodeCount(db, { channels: codeChannels })
 
       const isNoWarranty = orderType === ORDER_TYPE_NO_WARRANTY
       responsePlans.push({
@@ -1167,48 +1105,189 @@ router.get('/meta', async (req, res) => {
   }
 })
 
+const resolveCheckoutProduct = async (db, { productKey, requestedOrderType }) => {
+  let product = null
+  if (productKey) {
+    product = await getPurchaseProductByKey(db, productKey)
+  } else if (requestedOrderType) {
+    product = await getPurchaseProductByKey(db, requestedOrderType)
+  }
+  if (!product) {
+    const products = await listPurchaseProducts(db, { activeOnly: true })
+    product = products?.[0] || null
+  }
+  return product
+}
+
+// 结算页试算优惠；下单时会在锁内重新校验，这里的结果只用于展示
+router.post('/coupons/validate', async (req, res) => {
+  const code = normalizeCouponCode(req.body?.code ?? req.body?.couponCode)
+  const email = normalizeEmail(req.body?.email)
+  const rawProductKey = req.body?.productKey ?? req.body?.product_key
+  const productKey = rawProductKey == null || String(rawProductKey).trim() === '' ? '' : normalizeProductKey(rawProductKey)
+
+  if (!code) return res.status(400).json({ error: '请输入优惠码' })
+  if (email && !EMAIL_REGEX.test(email)) return res.status(400).json({ error: '请输入有效的邮箱地址' })
+  if (rawProductKey != null && String(rawProductKey).trim() && !productKey) {
+    return res.status(400).json({ error: 'productKey 不合法' })
+  }
+
+  try {
+    const db = await getDatabase()
+    const product = await resolveCheckoutProduct(db, { productKey })
+    if (!product || !product.isActive) return res.status(400).json({ error: '该商品已下架' })
+
+    const pricing = evaluateCoupon(db, { code, product, email })
+    if (!pricing.ok) return res.status(400).json({ error: pricing.error })
+
+    res.json({
+      couponCode: pricing.coupon.code,
+      couponName: pricing.coupon.name,
+      discountType: pricing.coupon.discountType,
+      discountValue: pricing.coupon.discountValue,
+      originalAmount: pricing.originalAmount,
+      discountAmount: pricing.discountAmount,
+      amount: pricing.amount
+    })
+  } catch (error) {
+    console.error('[Purchase] validate coupon error:', error)
+    res.status(500).json({ error: '内部服务器错误' })
+  }
+})
+
+// 下单未完成：订单置为 failed 并释放预占的兑换码
+const failUnpaidOrder = async (db, orderNo, message) => {
+  await withLocks([`purchase:${orderNo}`], async () => {
+    db.run(
+      `UPDATE purchase_orders SET status = 'failed', refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ? AND paid_at IS NULL`,
+      [message, orderNo]
+    )
+    db.run(
+      `
+        UPDATE redemption_codes
+        SET reserved_for_order_no = NULL,
+            reserved_for_order_email = NULL,
+            reserved_at = NULL,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE reserved_for_order_no = ?
+          AND is_redeemed = 0
+      `,
+      [orderNo]
+    )
+    saveDatabase()
+  })
+}
+
+/**
+ * 为已落库的订单向所选支付通道下单。成功后订单进入 pending_payment；通道返回错误时订单置为 failed。
+ * 网络异常直接抛出，由调用方交给 failOrderAfterCreateError 处理。
+ * @returns {Promise<{ ok: true, payment: object } | { ok: false, error: string }>}
+ */
+const requestPayment = async (db, req, { orderNo, email, payType, productName, amount, provider }) => {
+  // 易支付类通道的异步通知为 GET，会把支付结果参数拼在 notify_url 后面（示例：/notify?pid=...&trade_no=...）
+  const notifyUrl = `${getPublicBaseUrl(req)}${provider.notifyPath}`
+
+  const payment = await provider.createPayment({
+    orderNo,
+    payType,
+    productName,
+    amount,
+    clientIp: getClientIp(req),
+    notifyUrl,
+    returnUrl: notifyUrl,
+    param: `email=${email}`
+  })
+
+  if (!payment.ok) {
+    console.warn('[Purchase] payment create failed', {
+      orderNo,
+      provider: provider.key,
+      error: payment.error,
+      contentType: payment.contentType || null,
+      parsedCode: Number.isFinite(payment.code) ? payment.code : null,
+      parsedMsg: payment.msg || null,
+      bodySnippet: payment.bodySnippet || safeSnippet(payment.data)
+    })
+    await failUnpaidOrder(db, orderNo, payment.message)
+    return { ok: false, error: payment.message }
+  }
+
+  db.run(
+    `
+      UPDATE purchase_orders
+      SET status = 'pending_payment',
+          provider_order_id = ?,
+          provider_trade_no = ?,
+          pay_url = ?,
+          pay_qrcode = ?,
+          pay_img = ?,
+          provider_payload = ?,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE order_no = ?
+    `,
+    [
+      payment.providerOrderId,
+      payment.tradeNo,
+      payment.payUrl,
+      payment.qrcode,
+      payment.img,
+      JSON.stringify(payment.raw),
+      orderNo
+    ]
+  )
+  saveDatabase()
+
+  return { ok: true, payment }
+}
+
+// 下单过程抛出异常时把订单置为 failed，返回给用户的提示；无法识别的异常返回 create_order_exception
+const failOrderAfterCreateError = async (orderNo, error) => {
+  console.error('[Purchase] create order error:', {
+    orderNo,
+    message: error?.message || String(error),
+    code: error?.code,
+    status: error?.response?.status,
+    responseSnippet: safeSnippet(error?.response?.data)
+  })
+
+  const derivedMessage = describePaymentRequestError(error) || 'create_order_exception'
+  try {
+    const db = await getDatabase()
+    await failUnpaidOrder(db, orderNo, derivedMessage)
+  } catch {
+    // ignore
+  }
+  return derivedMessage
+}
+
 router.post('/orders', async (req, res) => {
   const email = normalizeEmail(req.body?.email)
   const payType = String(req.body?.type || req.body?.payType || '').trim()
   const rawProductKey = req.body?.productKey ?? req.body?.product_key
   const productKey = rawProductKey == null || String(rawProductKey).trim() === '' ? '' : normalizeProductKey(rawProductKey)
   const requestedOrderType = parseOrderType(req.body?.orderType || req.body?.order_type)
+  const couponCode = normalizeCouponCode(req.body?.couponCode ?? req.body?.coupon_code)
+  const locale = resolveBuyerLocale(req)
   const userIdFromToken = getUserIdFromAuthorization(req)
 
   if (!email) return res.status(400).json({ error: '请输入邮箱地址' })
   if (!EMAIL_REGEX.test(email)) return res.status(400).json({ error: '请输入有效的邮箱地址' })
-  if (!['alipay', 'wxpay'].includes(payType)) return res.status(400).json({ error: '请选择支付方式' })
+  if (!PAY_TYPES.includes(payType)) return res.status(400).json({ error: '请选择支付方式' })
   if (rawProductKey != null && String(rawProductKey).trim() && !productKey) {
     return res.status(400).json({ error: 'productKey 不合法' })
   }
 
-  const { pid, key, baseUrl } = await getZpayConfig()
-  if (!pid || !key) {
-    console.warn('[Purchase] missing zpay config', { hasPid: !!pid, hasKey: !!key })
-    return res.status(500).json({ error: '支付未配置，请联系管理员' })
-  }
-
   const orderNo = generateOrderNo()
 
   try {
     const db = await getDatabase()
 
+    const expireMinutes = await getPurchaseOrderExpireMinutes(db)
     const reservation = await withLocks(['purchase'], async () => {
-      cleanupExpiredOrders(db, { expireMinutes: getPurchaseOrderExpireMinutes() })
+      cleanupExpiredOrders(db, { expireMinutes })
 
       const { byKey: channelsByKey } = await getChannels(db)
-      let product = null
-
-      if (productKey) {
-        product = await getPurchaseProductByKey(db, productKey)
-      } else if (requestedOrderType) {
-        product = await getPurchaseProductByKey(db, requestedOrderType)
-      }
-
-      if (!product) {
-        const products = await listPurchaseProducts(db, { activeOnly: true })
-        product = products?.[0] || null
-      }
+      const product = await resolveCheckoutProduct(db, { productKey, requestedOrderType })
 
       if (!product || !product.isActive) {
         return { ok: false, status: 400, error: '该商品已下架' }
@@ -1224,6 +1303,20 @@ router.post('/orders', async (req, res) => {
         return { ok: false, status: 500, error: '商品渠道配置错误，请联系管理员' }
       }
 
+      const provider = resolvePaymentProvider(db, { productKey: product.productKey, payType })
+      if (!provider || !(await provider.isConfigured())) {
+        console.warn('[Purchase] payment provider not configured', { productKey: product.productKey, payType, provider: provider?.key || null })
+        return { ok: false, status: 500, error: '支付未配置，请联系管理员' }
+      }
+
+      // 优惠券在锁内校验并随订单落库，用量检查与占用不会被并发下单穿透
+      let pricing = null
+      if (couponCode) {
+        pricing = evaluateCoupon(db, { code: couponCode, product, email })
+        if (!pricing.ok) return { ok: false, status: 400, error: pricing.error }
+      }
+      const payAmount = pricing ? pricing.amount : product.amount
+
       let reserved = null
       let lockedChannel = ''
       for (const channel of candidateChannels) {
@@ -1240,9 +1333,9 @@ router.post('/orders', async (req, res) => {
       db.run(
         `
           INSERT INTO purchase_orders (
-            user_id, order_no, email, product_key, product_name, amount, service_days, order_type, code_channel, pay_type, status,
-            code_id, code, code_account_email, created_at, updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'created', ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+            user_id, order_no, email, product_key, product_name, amount, service_days, order_type, code_channel, pay_type, payment_provider, status,
+            code_id, code, code_account_email, coupon_id, coupon_code, original_amount, discount_amount, locale, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'created', ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
         `,
         [
           userIdFromToken,
@@ -1250,19 +1343,25 @@ router.post('/orders', async (req, res) => {
           email,
           product.productKey,
           product.productName,
-          product.amount,
+          payAmount,
           product.serviceDays,
           orderType,
           lockedChannel,
           payType,
+          provider.key,
           reserved.codeId,
           reserved.code,
-          reserved.accountEmail
+          reserved.accountEmail,
+          pricing?.coupon?.id ?? null,
+          pricing?.coupon?.code ?? null,
+          pricing ? pricing.originalAmount : null,
+          pricing ? pricing.discountAmount : null,
+          locale
         ]
       )
       saveDatabase()
 
-      return { ok: true, reserved, product, orderType, codeChannel: lockedChannel }
+      return { ok: true, reserved, product, orderType, codeChannel: lockedChannel, amount: payAmount, pricing, provider }
     })
 
     if (!reservation.ok) {
@@ -1271,338 +1370,228 @@ router.post('/orders', async (req, res) => {
 
     const purchasePlan = {
       productName: reservation.product.productName,
-      amount: reservation.product.amount,
+      amount: reservation.amount,
       serviceDays: reservation.product.serviceDays
     }
     const orderType = reservation.orderType
     const productKeyUsed = reservation.product.productKey
 
-    // ZPAY 异步通知为 GET，会把支付结果参数拼在 notify_url 后面（示例：/notify?pid=...&trade_no=...）
-    const notifyUrl = `${getPublicBaseUrl(req)}/notify`
-
-    const payParams = {
-      pid,
-      type: payType,
-      out_trade_no: orderNo,
-      notify_url: notifyUrl,
-      return_url: notifyUrl,
-      name: purchasePlan.productName,
-      money: purchasePlan.amount,
-      clientip: getClientIp(req),
-      device: 'pc',
-      param: `email=${email}`
-    }
-
-    const sign = buildZpaySign({ ...payParams, sign_type: 'MD5' }, key)
-    const form = new URLSearchParams()
-    Object.entries({ ...payParams, sign, sign_type: 'MD5' }).forEach(([k, v]) => form.append(k, String(v)))
-
-    const zpayResponse = await axios.post(`${baseUrl}/mapi.php`, form, {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      timeout: 15000,
-      validateStatus: () => true
+    const result = await requestPayment(db, req, {
+      orderNo,
+      email,
+      payType,
+      productName: purchasePlan.productName,
+      amount: purchasePlan.amount,
+      provider: reservation.provider
     })
-
-    const contentType = String(zpayResponse?.headers?.['content-type'] || '')
-    const normalized = normalizeZpayResponseData(zpayResponse?.data)
-    const data = normalized.data
-    const rawText = normalized.rawText
-
-    if (zpayResponse.status !== 200) {
-      const msg = `支付通道异常（HTTP ${zpayResponse.status}）`
-      console.warn('[Purchase] zpay http error', {
-        orderNo,
-        status: zpayResponse.status,
-        contentType,
-        bodySnippet: safeSnippet(rawText || zpayResponse?.data)
-      })
-      await withLocks([`purchase:${orderNo}`], async () => {
-        db.run(
-          `UPDATE purchase_orders SET status = 'failed', refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
-          [msg, orderNo]
-        )
-        db.run(
-          `
-            UPDATE redemption_codes
-            SET reserved_for_order_no = NULL,
-                reserved_for_order_email = NULL,
-                reserved_at = NULL,
-                updated_at = DATETIME('now', 'localtime')
-            WHERE reserved_for_order_no = ?
-              AND is_redeemed = 0
-          `,
-          [orderNo]
-        )
-        saveDatabase()
-      })
-      return res.status(502).json({ error: msg })
-    }
-
-    if (!data || String(data.code) !== '1') {
-      const codeValue = data?.code != null ? String(data.code) : ''
-      const msg = data?.msg
-        ? String(data.msg)
-        : codeValue
-          ? `支付下单失败（code=${codeValue}）`
-          : rawText
-            ? '支付下单失败（响应格式异常）'
-            : '支付下单失败'
-
-      console.warn('[Purchase] zpay create failed', {
-        orderNo,
-        contentType,
-        parsedCode: codeValue || null,
-        parsedMsg: data?.msg ? String(data.msg) : null,
-        bodySnippet: safeSnippet(rawText || data)
-      })
-      await withLocks([`purchase:${orderNo}`], async () => {
-        db.run(
-          `UPDATE purchase_orders SET status = 'failed', refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
-          [msg, orderNo]
-        )
-        db.run(
-          `
-            UPDATE redemption_codes
-            SET reserved_for_order_no = NULL,
-                reserved_for_order_email = NULL,
-                reserved_at = NULL,
-                updated_at = DATETIME('now', 'localtime')
-            WHERE reserved_for_order_no = ?
-              AND is_redeemed = 0
-          `,
-          [orderNo]
-        )
-        saveDatabase()
-      })
-      return res.status(502).json({ error: msg })
-    }
-
-    db.run(
-      `
-        UPDATE purchase_orders
-        SET status = 'pending_payment',
-            zpay_oid = ?,
-            zpay_trade_no = ?,
-            zpay_payurl = ?,
-            zpay_qrcode = ?,
-            zpay_img = ?,
-            updated_at = DATETIME('now', 'localtime')
-        WHERE order_no = ?
-      `,
-      [data.O_id || null, data.trade_no || null, data.payurl || null, data.qrcode || null, data.img || null, orderNo]
-    )
-    saveDatabase()
+    if (!result.ok) return res.status(502).json({ error: result.error })
+    const { payment } = result
 
     res.json({
       orderNo,
       amount: purchasePlan.amount,
+      originalAmount: reservation.pricing ? reservation.pricing.originalAmount : null,
+      discountAmount: reservation.pricing ? reservation.pricing.discountAmount : null,
+      couponCode: reservation.pricing?.coupon?.code ?? null,
       productName: purchasePlan.productName,
       orderType,
       productKey: productKeyUsed,
       payType,
-      payUrl: data.payurl || null,
-      qrcode: data.qrcode || null,
-      img: data.img || null
+      paymentProvider: reservation.provider.key,
+      payUrl: payment.payUrl,
+      qrcode: payment.qrcode,
+      img: payment.img
     })
   } catch (error) {
-    console.error('[Purchase] create order error:', {
-      orderNo,
-      message: error?.message || String(error),
-      code: error?.code,
-      status: error?.response?.status,
-      responseSnippet: safeSnippet(error?.response?.data)
-    })
-
-    const normalizedErrorResponse = normalizeZpayResponseData(error?.response?.data)
-    const derivedMessage = normalizedErrorResponse?.data?.msg
-      ? String(normalizedErrorResponse.data.msg)
-      : error?.response?.status
-        ? `支付通道异常（HTTP ${error.response.status}）`
-        : error?.code
-          ? `支付通道异常（${String(error.code)}）`
-          : 'create_order_exception'
-    try {
-      const db = await getDatabase()
-      await withLocks([`purchase:${orderNo}`], async () => {
-        db.run(
-          `UPDATE purchase_orders SET status = 'failed', refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ? AND paid_at IS NULL`,
-          [derivedMessage, orderNo]
-        )
-        db.run(
-          `
-            UPDATE redemption_codes
-            SET reserved_for_order_no = NULL,
-                reserved_for_order_email = NULL,
-                reserved_at = NULL,
-                updated_at = DATETIME('now', 'localtime')
-            WHERE reserved_for_order_no = ?
-              AND is_redeemed = 0
-          `,
-          [orderNo]
-        )
-        saveDatabase()
-      })
-    } catch {
-      // ignore
-    }
-    res.status(500).json({ error: derivedMessage === 'create_order_exception' ? '创建订单失败，请稍后再试' : derivedMessage })
+    const message = await failOrderAfterCreateError(orderNo, error)
+    res.status(500).json({ error: message === 'create_order_exception' ? '创建订单失败，请稍后再试' : message })
   }
 })
 
-const processZpayNotify = async (orderNo, payload) => {
-  const startedAt = Date.now()
-  try {
-    console.info('[Purchase] notify async received', { orderNo, payload: summarizeZpayNotifyPayload(payload) })
-    const db = await getDatabase()
-    const order = fetchOrder(db, orderNo)
-    if (!order) {
-      console.warn('[Purchase] notify async order not found', { orderNo })
-      return
-    }
+// 按订单最终状态归纳本次通知的处理结果：已支付但兑换（或原地续费）未完成记为 failed，便于后台重放
+const describePaidOrderOutcome = (order) => {
+  if (!order) return { status: 'failed', result: 'order_not_found' }
+  if (order.status === 'refunded' || order.refundedAt) return { status: 'ignored', result: '订单已退款' }
+  if (order.status !== 'paid') return { status: 'failed', result: `订单状态：${order.status}` }
+  if (!order.redeemedAt) return { status: 'failed', result: order.redeemError || '已支付，尚未完成兑换' }
+  return { status: 'processed', result: '已支付并完成兑换' }
+}
 
-    console.info('[Purchase] notify async order loaded', {
-      orderNo,
-      status: order.status,
-      amount: order.amount,
-      paidAt: order.paidAt,
-      refundedAt: order.refundedAt
-    })
+const handlePurchaseNotification = async (db, notification) => {
+  const startedAt = Date.now()
+  const { payload } = notification
+  const provider = getPaymentProvider(notification.provider)
+  if (!provider) return { status: 'failed', result: 'unknown_provider' }
+
+  const orderNo = notification.orderNo || (notification.tradeNo ? resolvePurchaseOrderNoByTradeNo(db, notification.tradeNo) : null)
+  if (!orderNo) {
+    console.warn('[Purchase] notify order not resolved', { notificationId: notification.id, tradeNo: notification.tradeNo || '' })
+    return { status: 'failed', result: 'order_not_found' }
+  }
 
-    const notifyMoney = formatMoney(payload.money)
-    const orderMoney = formatMoney(order.amount)
-    if (notifyMoney && orderMoney && notifyMoney !== orderMoney) {
-      console.warn('[Purchase] notify money mismatch', { orderNo, notifyMoney, orderMoney })
-      db.run(
-        `
-          UPDATE purchase_orders
-          SET notify_payload = ?,
-              refund_message = ?,
-              updated_at = DATETIME('now', 'localtime')
-          WHERE order_no = ?
-        `,
-        [JSON.stringify(payload), `money_mismatch:${notifyMoney}`, orderNo]
-      )
-      saveDatabase()
-      return
-    }
+  console.info('[Purchase] notify async received', { orderNo, notificationId: notification.id, provider: provider.key, payload: provider.summarizeNotify(payload) })
+  const order = fetchOrder(db, orderNo)
+  if (!order) {
+    console.warn('[Purchase] notify async order not found', { orderNo })
+    return { status: 'failed', orderNo, result: 'order_not_found' }
+  }
+  // 订单号可被伪造进其他通道的回调里，只接受下单时所选通道的通知
+  if ((order.paymentProvider || PAYMENT_PROVIDER_ZPAY) !== provider.key) {
+    console.warn('[Purchase] notify provider mismatch', { orderNo, orderProvider: order.paymentProvider || null, notifyProvider: provider.key })
+    return { status: 'ignored', orderNo, result: `provider_mismatch:${order.paymentProvider || PAYMENT_PROVIDER_ZPAY}` }
+  }
 
-    await handlePaidOrder(db, orderNo, {
-      payType: payload.type || null,
-      tradeNo: payload.trade_no || null,
-      paidAt: null,
-      notifyPayload: payload,
-      source: 'notify'
-    })
+  console.info('[Purchase] notify async order loaded', {
+    orderNo,
+    status: order.status,
+    amount: order.amount,
+    paidAt: order.paidAt,
+    refundedAt: order.refundedAt
+  })
 
-    const updated = fetchOrder(db, orderNo)
-    console.info('[Purchase] notify async handled', {
-      orderNo,
-      beforeStatus: order.status,
-      afterStatus: updated?.status || null,
-      paidAt: updated?.paidAt || null,
-      redeemedAt: updated?.redeemedAt || null,
-      inviteStatus: updated?.inviteStatus || null,
-      redeemError: updated?.redeemError || null,
-      emailSentAt: updated?.emailSentAt || null,
-      durationMs: Date.now() - startedAt
-    })
-  } catch (error) {
-    console.error('[Purchase] notify async error:', { orderNo, message: error?.message || String(error) })
+  const notifyMoney = formatMoney(notification.money)
+  const orderMoney = formatMoney(order.amount)
+  if (notifyMoney && orderMoney && notifyMoney !== orderMoney) {
+    console.warn('[Purchase] notify money mismatch', { orderNo, notifyMoney, orderMoney })
+    db.run(
+      `
+        UPDATE purchase_orders
+        SET notify_payload = ?,
+            refund_message = ?,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE order_no = ?
+      `,
+      [JSON.stringify(payload), `money_mismatch:${notifyMoney}`, orderNo]
+    )
+    saveDatabase()
+    return { status: 'failed', orderNo, result: `money_mismatch:${notifyMoney}` }
   }
+
+  await handlePaidOrder(db, orderNo, {
+    payType: notification.payType,
+    tradeNo: notification.tradeNo,
+    paidAt: null,
+    notifyPayload: payload,
+    source: 'notify'
+  })
+
+  const updated = fetchOrder(db, orderNo)
+  console.info('[Purchase] notify async handled', {
+    orderNo,
+    beforeStatus: order.status,
+    afterStatus: updated?.status || null,
+    paidAt: updated?.paidAt || null,
+    redeemedAt: updated?.redeemedAt || null,
+    inviteStatus: updated?.inviteStatus || null,
+    redeemError: updated?.redeemError || null,
+    emailSentAt: updated?.emailSentAt || null,
+    durationMs: Date.now() - startedAt
+  })
+  return { ...describePaidOrderOutcome(updated), orderNo }
 }
 
-router.all('/notify', async (req, res) => {
-  const payload = { ...(req.query || {}), ...(req.body || {}) }
-	const outTradeNo = String(payload.out_trade_no || '').trim()
-	const tradeNo = String(payload.trade_no || '').trim()
-	const orderNo = outTradeNo || String(payload.order_no || '').trim()
-	const ip = getClientIp(req)
-	const summary = summarizeZpayNotifyPayload(payload)
-	const ua = safeSnippet(req.headers['user-agent'] || '', 180)
-	const originalUrl = safeSnippet(req.originalUrl || '', 420)
-	const referer = safeSnippet(req.headers.referer || req.headers.referrer || '', 180)
-
-	console.info('[Purchase] notify received', {
-	  method: req.method,
-	  path: req.path,
-	  ip,
-	  orderNo: orderNo || summary.outTradeNo || '',
-	  tradeNo: tradeNo || summary.tradeNo || '',
-	  ua: ua || null,
-	  referer: referer || null,
-	  url: originalUrl || null,
-	  queryKeys: Object.keys(req.query || {}).length,
-	  bodyKeys: Object.keys(req.body || {}).length,
-	  payload: summary
-	})
+registerPaymentNotificationHandler('purchase', handlePurchaseNotification)
+
+// ZPAY 沿用 /notify，其它通道回调到 /notify/:provider
+router.all(['/notify', '/notify/:provider'], async (req, res) => {
   // epay 要求返回纯字符串 "success"
   const replySuccess = () => res.set('Content-Type', 'text/plain; charset=utf-8').status(200).end('success')
   const replyFail = () => res.set('Content-Type', 'text/plain; charset=utf-8').status(200).end('fail')
 
-	  if (!orderNo && !tradeNo) {
-	    console.warn('[Purchase] notify missing orderNo', { method: req.method, ip, payload: summary })
-	    replySuccess()
-	    return
-	  }
-
-	  const { pid, key } = await getZpayConfig()
-	  if (!pid || !key) {
-	    console.warn('[Purchase] notify missing config', { orderNo, method: req.method, ip, hasPid: Boolean(pid), hasKey: Boolean(key) })
-	    replyFail()
-	    return
-	  }
-
-  const signature = String(payload.sign || '').trim().toLowerCase()
-  const expected = buildZpaySign(payload, key).toLowerCase()
-
-  if (String(payload.pid || '').trim() !== pid) {
-    console.warn('[Purchase] notify pid mismatch', { orderNo, method: req.method, ip, providedPid: String(payload.pid || '').trim() })
+  const provider = getPaymentProvider(req.params.provider)
+  if (!provider) {
+    console.warn('[Purchase] notify unknown provider', { provider: req.params.provider, method: req.method })
     replyFail()
     return
   }
 
-  if (!signature || signature !== expected) {
-    console.warn('[Purchase] notify sign mismatch', {
-      orderNo,
-      method: req.method,
-      ip,
-      signType: String(payload.sign_type || '').trim() || null,
-      hasSignature: Boolean(signature),
-      signatureLength: signature.length || 0,
-      signaturePrefix: signature ? signature.slice(0, 8) : null,
-      expectedPrefix: expected ? expected.slice(0, 8) : null
-    })
-    replyFail()
-    return
-  }
+  const payload = { ...(req.query || {}), ...(req.body || {}) }
+  const outTradeNo = String(payload.out_trade_no || '').trim()
+  const tradeNo = String(payload.trade_no || '').trim()
+  const orderNo = outTradeNo || String(payload.order_no || '').trim()
+  const ip = getClientIp(req)
+  const summary = provider.summarizeNotify(payload)
+  const ua = safeSnippet(req.headers['user-agent'] || '', 180)
+  const originalUrl = safeSnippet(req.originalUrl || '', 420)
+  const referer = safeSnippet(req.headers.referer || req.headers.referrer || '', 180)
+
+  console.info('[Purchase] notify received', {
+    method: req.method,
+    path: req.path,
+    provider: provider.key,
+    ip,
+    orderNo: orderNo || summary.outTradeNo || '',
+    tradeNo: tradeNo || summary.tradeNo || '',
+    ua: ua || null,
+    referer: referer || null,
+    url: originalUrl || null,
+    queryKeys: Object.keys(req.query || {}).length,
+    bodyKeys: Object.keys(req.body || {}).length,
+    payload: summary
+  })
 
-  const tradeStatus = String(payload.trade_status || '').trim()
-  if (tradeStatus !== 'TRADE_SUCCESS') {
-    console.info('[Purchase] notify trade not success', { orderNo, method: req.method, ip, tradeStatus })
-    replySuccess()
+  // 台账写入 / 验签抛错时回复 fail 让平台稍后重发，已落库的通知同时记为 failed，便于后台排查与重放
+  let notificationId = null
+  let verified = null
+  try {
+    const db = await getDatabase()
+    const record = (fields) => {
+      notificationId = recordPaymentNotification(db, {
+        source: 'purchase',
+        provider: provider.key,
+        orderNo,
+        tradeNo,
+        tradeStatus: summary.tradeStatus,
+        money: summary.money || null,
+        payType: summary.type || null,
+        method: req.method,
+        ip,
+        payload,
+        ...fields
+      })
+      saveDatabase()
+      return notificationId
+    }
+
+    if (!orderNo && !tradeNo) {
+      console.warn('[Purchase] notify missing orderNo', { method: req.method, ip, provider: provider.key, payload: summary })
+      record({ verifyStatus: 'not_checked', status: 'ignored', result: 'missing_order_no' })
+      replySuccess()
+      return
+    }
+
+    verified = await provider.verifyNotify(payload)
+    if (!verified.ok) {
+      const { ok, error, ...detail } = verified
+      console.warn('[Purchase] notify verify failed', { orderNo, method: req.method, ip, provider: provider.key, error, ...detail })
+      record({ verifyStatus: error, verifyDetail: detail, status: 'rejected', result: error })
+      replyFail()
+      return
+    }
+
+    if (!verified.paid) {
+      console.info('[Purchase] notify trade not success', { orderNo, method: req.method, ip, provider: provider.key, tradeStatus: verified.tradeStatus })
+      record({ verifyStatus: 'verified', status: 'ignored', result: `trade_status:${verified.tradeStatus || '-'}` })
+      replySuccess()
+      return
+    }
+
+    record({ verifyStatus: 'verified', paid: true, status: 'received' })
+  } catch (error) {
+    const message = error?.message || String(error)
+    console.error('[Purchase] notify error:', { orderNo, notificationId, provider: provider.key, method: req.method, ip, message })
+    await markPaymentNotificationFailed(notificationId, message)
+    if (!res.headersSent) replyFail()
     return
   }
 
   replySuccess()
 
   queueMicrotask(() => {
-    console.info('[Purchase] notify accepted', { orderNo: orderNo || '', tradeNo: tradeNo || '', method: req.method, ip, tradeStatus })
-    void (async () => {
-      let resolvedOrderNo = orderNo
-      if (!resolvedOrderNo && tradeNo) {
-        try {
-          const db = await getDatabase()
-          resolvedOrderNo = resolvePurchaseOrderNoByZpayTradeNo(db, tradeNo)
-        } catch (error) {
-          console.warn('[Purchase] resolve order_no by trade_no failed', { tradeNo, message: error?.message || String(error) })
-        }
-      }
-      if (!resolvedOrderNo) {
-        console.warn('[Purchase] notify order not resolved', { orderNo: orderNo || '', tradeNo: tradeNo || '' })
-        return
-      }
-      await processZpayNotify(resolvedOrderNo, payload)
-    })()
+    console.info('[Purchase] notify accepted', { notificationId, orderNo: orderNo || '', tradeNo: tradeNo || '', method: req.method, ip, provider: provider.key, tradeStatus: verified.tradeStatus })
+    processPaymentNotification(notificationId).catch(error => {
+      console.error('[Purchase] notify async error:', { notificationId, orderNo, message: error?.message || String(error) })
+    })
   })
 })
 
@@ -1618,7 +1607,7 @@ router.get('/orders/:orderNo', async (req, res) => {
     let resolvedOrderNo = requestedOrderNo
     let order = fetchOrder(db, requestedOrderNo)
     if (!order) {
-      const mapped = resolvePurchaseOrderNoByZpayTradeNo(db, requestedOrderNo)
+      const mapped = resolvePurchaseOrderNoByTradeNo(db, requestedOrderNo)
       if (mapped) {
         resolvedOrderNo = mapped
         order = fetchOrder(db, mapped)
@@ -1636,7 +1625,7 @@ router.get('/orders/:orderNo', async (req, res) => {
 
     if ((order.status === 'created' || order.status === 'pending_payment') && (forceSync || allowFallbackSync)) {
       try {
-        await syncOrderStatusFromZpay(db, resolvedOrderNo, { force: forceSync })
+        await syncOrderStatusFromProvider(db, resolvedOrderNo, { force: forceSync })
         order = fetchOrder(db, resolvedOrderNo) || order
       } catch (error) {
         console.warn('[Purchase] sync order status failed', { orderNo: resolvedOrderNo, message: error?.message || String(error) })
@@ -1651,10 +1640,14 @@ router.get('/orders/:orderNo', async (req, res) => {
     res.json({
       order: {
         orderNo: order.orderNo,
-        tradeNo: order.zpayTradeNo || null,
+        tradeNo: order.tradeNo || null,
+        paymentProvider: order.paymentProvider || PAYMENT_PROVIDER_ZPAY,
         email: order.email,
         productName: order.productName,
         amount: order.amount,
+        originalAmount: order.originalAmount,
+        discountAmount: order.discountAmount,
+        couponCode: order.couponCode,
         serviceDays: order.serviceDays,
         orderType: order.orderType,
         payType: order.payType,
@@ -1762,9 +1755,10 @@ router.get('/my/orders', authenticateToken, async (req, res) => {
 
 	    const result = db.exec(
 	      `
-	        SELECT order_no, zpay_trade_no, email, product_name, amount, service_days, order_type, pay_type, status,
+	        SELECT order_no, provider_trade_no, email, product_name, amount, service_days, order_type, pay_type, status,
 	               created_at, paid_at, redeemed_at, invite_status, redeem_error,
-	               refunded_at, refund_amount, refund_message, email_sent_at, zpay_img
+	               refunded_at, refund_amount, refund_message, email_sent_at, pay_img,
+	               code_id, code, product_key, renewal_of_order_no, renewal_mode, renewed_until
 	        FROM purchase_orders
 	        WHERE user_id = ?
 	        ORDER BY created_at DESC
@@ -1774,6 +1768,29 @@ router.get('/my/orders', authenticateToken, async (req, res) => {
 	    )
 
     const rows = result[0]?.values || []
+
+    // 持有兑换码的订单附带服务截止时间与可续费状态，供“我的订单”展示续费入口
+    const describeService = (row) => {
+      if (row[8] !== 'paid' || row[14] || !row[20] || !row[11]) return {}
+      const order = {
+        orderNo: row[0],
+        status: row[8],
+        refundedAt: row[14] || null,
+        codeId: row[19] ?? null,
+        code: row[20],
+        redeemedAt: row[11],
+        orderType: normalizeOrderType(row[6])
+      }
+      const deadlineMs = getOrderServiceDeadlineMs(db, order)
+      const renewable = checkOrderRenewable(db, order)
+      return {
+        serviceDeadline: Number.isFinite(deadlineMs) ? formatLocalDateTime(deadlineMs) : null,
+        renewable: renewable.ok,
+        supersededBy: renewable.supersededBy || null,
+        pendingRenewalOrderNo: renewable.ok ? findPendingRenewalOrderNo(db, order.orderNo) : null
+      }
+    }
+
 	    res.json({
 	      orders: rows.map(row => ({
 	        orderNo: row[0],
@@ -1794,7 +1811,12 @@ router.get('/my/orders', authenticateToken, async (req, res) => {
 	        refundedAt: row[14] || null,
 	        refundAmount: row[15] || null,
 	        refundMessage: row[16] || null,
-	        emailSentAt: row[17] || null
+	        emailSentAt: row[17] || null,
+	        productKey: row[21] || null,
+	        renewalOfOrderNo: row[22] || null,
+	        renewalMode: row[23] || null,
+	        renewedUntil: row[24] || null,
+	        ...describeService(row)
 	      })),
 	      pagination: { page, pageSize, total }
 	    })
@@ -1820,7 +1842,7 @@ router.post('/my/orders/bind', authenticateToken, async (req, res) => {
     let resolvedOrderNo = requestedOrderNo
     let order = fetchOrder(db, requestedOrderNo)
     if (!order) {
-      const mapped = resolvePurchaseOrderNoByZpayTradeNo(db, requestedOrderNo)
+      const mapped = resolvePurchaseOrderNoByTradeNo(db, requestedOrderNo)
       if (mapped) {
         resolvedOrderNo = mapped
         order = fetchOrder(db, mapped)
@@ -1862,6 +1884,138 @@ router.post('/my/orders/bind', authenticateToken, async (req, res) => {
   }
 })
 
+// 续费：为已兑换的订单再购买一个商品周期。当前账号有效期足够时在原订单上顺延，否则预占一张迁移兑换码，支付后自动兑换
+router.post('/my/orders/:orderNo/renew', authenticateToken, async (req, res) => {
+  const userId = req.user?.id
+  if (!userId) {
+    return res.status(401).json({ error: 'Access denied. No user provided.' })
+  }
+
+  const targetOrderNo = String(req.params.orderNo || '').trim()
+  const payType = String(req.body?.type || req.body?.payType || '').trim()
+  const rawProductKey = req.body?.productKey ?? req.body?.product_key
+  const productKey = rawProductKey == null || String(rawProductKey).trim() === '' ? '' : normalizeProductKey(rawProductKey)
+
+  if (!targetOrderNo) return res.status(400).json({ error: '缺少订单号' })
+  if (!PAY_TYPES.includes(payType)) return res.status(400).json({ error: '请选择支付方式' })
+  if (rawProductKey != null && String(rawProductKey).trim() && !productKey) {
+    return res.status(400).json({ error: 'productKey 不合法' })
+  }
+
+  const orderNo = generateOrderNo()
+
+  try {
+    const db = await getDatabase()
+
+    const expireMinutes = await getPurchaseOrderExpireMinutes(db)
+    const reservation = await withLocks(['purchase'], async () => {
+      cleanupExpiredOrders(db, { expireMinutes })
+
+      const target = fetchOrder(db, targetOrderNo)
+      if (!target || Number(target.userId) !== Number(userId)) {
+        return { ok: false, status: 404, error: '订单不存在' }
+      }
+
+      const renewable = checkOrderRenewable(db, target)
+      if (!renewable.ok) return { ok: false, status: 400, error: renewable.error }
+
+      const pendingOrderNo = findPendingRenewalOrderNo(db, targetOrderNo)
+      if (pendingOrderNo) {
+        return { ok: false, status: 409, error: `该订单已有待支付的续费订单（${pendingOrderNo}），请先完成支付或等待其过期` }
+      }
+
+      const product = await resolveCheckoutProduct(db, { productKey: productKey || target.productKey })
+      if (!product || !product.isActive) {
+        return { ok: false, status: 400, error: '该商品已下架' }
+      }
+      const orderType = normalizeOrderType(product.orderType)
+      if (orderType !== target.orderType) {
+        return { ok: false, status: 400, error: '续费商品需与原订单类型一致' }
+      }
+
+      const plan = planOrderRenewal(db, target, { serviceDays: product.serviceDays })
+      if (!plan.ok) return plan
+
+      const provider = resolvePaymentProvider(db, { productKey: product.productKey, payType })
+      if (!provider || !(await provider.isConfigured())) {
+        console.warn('[Purchase] payment provider not configured', { productKey: product.productKey, payType, provider: provider?.key || null })
+        return { ok: false, status: 500, error: '支付未配置，请联系管理员' }
+      }
+
+      const migration = plan.mode === RENEWAL_MODE_MIGRATE ? plan.migration : null
+      if (migration && !reserveMigrationCode(db, { codeId: migration.recoveryCodeId, orderNo, email: target.email })) {
+        return { ok: false, status: 409, error: '迁移兑换码已被占用，请重试' }
+      }
+
+      db.run(
+        `
+          INSERT INTO purchase_orders (
+            user_id, order_no, email, product_key, product_name, amount, service_days, order_type, code_channel, pay_type, payment_provider, status,
+            code_id, code, code_account_email, renewal_of_order_no, renewal_mode, locale, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'created', ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        [
+          userId,
+          orderNo,
+          target.email,
+          product.productKey,
+          product.productName,
+          product.amount,
+          product.serviceDays,
+          orderType,
+          migration ? (migration.recoveryChannel || CODE_CHANNEL_COMMON) : null,
+          payType,
+          provider.key,
+          migration ? migration.recoveryCodeId : null,
+          migration ? migration.recoveryCode : null,
+          migration ? migration.recoveryAccountEmail : null,
+          target.orderNo,
+          plan.mode,
+          resolveBuyerLocale(req) || target.locale || null
+        ]
+      )
+      saveDatabase()
+      return { ok: true, target, product, plan, provider }
+    })
+
+    if (!reservation.ok) {
+      return res.status(reservation.status || 409).json({ error: reservation.error })
+    }
+
+    const { target, product, plan } = reservation
+    const result = await requestPayment(db, req, {
+      orderNo,
+      email: target.email,
+      payType,
+      productName: product.productName,
+      amount: product.amount,
+      provider: reservation.provider
+    })
+    if (!result.ok) return res.status(502).json({ error: result.error })
+    const { payment } = result
+
+    res.json({
+      orderNo,
+      amount: product.amount,
+      productName: product.productName,
+      orderType: normalizeOrderType(product.orderType),
+      productKey: product.productKey,
+      payType,
+      paymentProvider: reservation.provider.key,
+      payUrl: payment.payUrl,
+      qrcode: payment.qrcode,
+      img: payment.img,
+      renewalOfOrderNo: target.orderNo,
+      renewalMode: plan.mode,
+      currentDeadline: formatLocalDateTime(plan.currentDeadlineMs),
+      renewedUntil: formatLocalDateTime(plan.newDeadlineMs)
+    })
+  } catch (error) {
+    const message = await failOrderAfterCreateError(orderNo, error)
+    res.status(500).json({ error: message === 'create_order_exception' ? '创建续费订单失败，请稍后再试' : message })
+  }
+})
+
 router.get('/admin/orders', async (req, res) => {
   try {
     const db = await getDatabase()
@@ -1875,9 +2029,9 @@ router.get('/admin/orders', async (req, res) => {
     const params = []
 
     if (search) {
-      conditions.push(`(LOWER(order_no) LIKE ? OR LOWER(email) LIKE ? OR LOWER(product_name) LIKE ?)`)
+      conditions.push(`(LOWER(order_no) LIKE ? OR LOWER(email) LIKE ? OR LOWER(product_name) LIKE ? OR LOWER(COALESCE(coupon_code, '')) LIKE ?)`)
       const searchPattern = `%${search}%`
-      params.push(searchPattern, searchPattern, searchPattern)
+      params.push(searchPattern, searchPattern, searchPattern, searchPattern)
     }
 
     if (status && status !== 'all') {
@@ -1895,7 +2049,8 @@ router.get('/admin/orders', async (req, res) => {
     const offset = (page - 1) * pageSize
     const result = db.exec(
       `
-        SELECT order_no, email, product_name, amount, service_days, order_type, pay_type, status, created_at, paid_at, refunded_at, refund_amount, zpay_payurl
+        SELECT order_no, email, product_name, amount, service_days, order_type, pay_type, status, created_at, paid_at, refunded_at, refund_amount, pay_url,
+               coupon_code, original_amount, discount_amount, payment_provider
         FROM purchase_orders
         ${whereClause}
         ORDER BY created_at DESC
@@ -1918,7 +2073,11 @@ router.get('/admin/orders', async (req, res) => {
         paidAt: row[9] || null,
         refundedAt: row[10] || null,
         refundAmount: row[11] || null,
-        payUrl: row[12] || null
+        payUrl: row[12] || null,
+        couponCode: row[13] || null,
+        originalAmount: row[14] || null,
+        discountAmount: row[15] || null,
+        paymentProvider: row[16] || PAYMENT_PROVIDER_ZPAY
       })),
       pagination: { page, pageSize, total }
     })
@@ -1933,20 +2092,47 @@ router.get('/admin/orders/:orderNo', async (req, res) => {
     const db = await getDatabase()
     const order = fetchOrder(db, String(req.params.orderNo || '').trim())
     if (!order) return res.status(404).json({ error: '订单不存在' })
-    res.json({ order })
+    const refundQuote = order.status === 'paid' && !isNoWarrantyOrderType(order.orderType)
+      ? computeRefund({ amount: order.amount, startAt: order.createdAt, serviceDays: order.serviceDays })
+      : null
+    res.json({ order, refundQuote })
   } catch (error) {
     console.error('[Purchase] admin detail error:', error)
     res.status(500).json({ error: '查询失败' })
   }
 })
 
+const parseRefundOptions = (body, order) => {
+  const input = body && typeof body === 'object' ? body : {}
+  const mode = ['prorated', 'full', 'custom'].includes(input.mode) ? input.mode : 'prorated'
+  const codeAction = input.codeAction === undefined ? 'keep' : String(input.codeAction)
+  if (!REFUND_CODE_ACTIONS.includes(codeAction)) return { error: '兑换码处理方式不合法' }
+  const revokeAccess = input.revokeAccess === true
+
+  // 已兑换的席位不先移除成员就退回库存，会导致同一席位被再次售卖
+  if (codeAction === 'restock' && order.redeemedAt && !revokeAccess) {
+    return { error: '退回库存需要同时撤销访问权限' }
+  }
+
+  const orderAmount = parseMoney(order.amount)
+  if (mode === 'full') {
+    return { mode, codeAction, revokeAccess, refund: { refundable: true, refundAmount: formatMoney(order.amount) } }
+  }
+  if (mode === 'custom') {
+    const amount = parseMoney(input.amount)
+    if (amount === null || amount <= 0) return { error: '请输入有效的退款金额' }
+    if (orderAmount === null || amount > orderAmount) return { error: '退款金额不能超过实付金额' }
+    return { mode, codeAction, revokeAccess, refund: { refundable: true, refundAmount: amount.toFixed(2) } }
+  }
+
+  const refund = computeRefund({ amount: order.amount, startAt: order.createdAt, serviceDays: order.serviceDays })
+  if (!refund.refundable) return { error: '已超过可退款期限', refund }
+  return { mode, codeAction, revokeAccess, refund }
+}
+
 router.post('/admin/orders/:orderNo/refund', async (req, res) => {
   const orderNo = String(req.params.orderNo || '').trim()
   if (!orderNo) return res.status(400).json({ error: '缺少订单号' })
-  const { pid, key } = await getZpayConfig()
-  if (!pid || !key) {
-    return res.status(500).json({ error: '支付未配置，请联系管理员' })
-  }
 
   try {
     const db = await getDatabase()
@@ -1959,12 +2145,16 @@ router.post('/admin/orders/:orderNo/refund', async (req, res) => {
         return { ok: false, status: 400, error: '无质保订单不支持退款' }
       }
 
-      const refund = computeRefund({ amount: order.amount, startAt: order.createdAt, serviceDays: order.serviceDays })
-      if (!refund.refundable) return { ok: false, status: 400, error: '已超过可退款期限', refund }
+      const options = parseRefundOptions(req.body, order)
+      if (options.error) return { ok: false, status: 400, error: options.error, refund: options.refund }
+      const { refund } = options
 
-      const refundResult = await refundZpayOrder({
-        outTradeNo: orderNo,
-        tradeNo: order.zpayTradeNo || null,
+      // 退款走订单下单时的通道，与当前路由配置无关
+      const provider = getPaymentProvider(order.paymentProvider)
+      if (!provider) return { ok: false, status: 500, error: '订单支付通道不存在，请联系管理员' }
+      const refundResult = await provider.refund({
+        orderNo,
+        tradeNo: order.tradeNo || null,
         money: refund.refundAmount
       })
 
@@ -1983,7 +2173,7 @@ router.post('/admin/orders/:orderNo/refund', async (req, res) => {
                     ? `支付通道异常（${String(refundResult.message)}）`
                     : '退款失败'
 
-        console.warn('[Purchase] admin refund failed', { orderNo, error: refundResult.error, message: msg })
+        console.warn('[Purchase] admin refund failed', { orderNo, provider: provider.key, error: refundResult.error, message: msg })
         db.run(
           `UPDATE purchase_orders SET refund_message = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
           [String(msg), orderNo]
@@ -1992,7 +2182,7 @@ router.post('/admin/orders/:orderNo/refund', async (req, res) => {
         return { ok: false, status: 502, error: msg, refund }
       }
 
-      const successMsg = refundResult?.data?.msg ? String(refundResult.data.msg) : '退款成功'
+      const successMsg = refundResult.message || '退款成功'
       db.run(
         `
           UPDATE purchase_orders
@@ -2006,11 +2196,47 @@ router.post('/admin/orders/:orderNo/refund', async (req, res) => {
         [refund.refundAmount, successMsg, orderNo]
       )
       saveDatabase()
-      return { ok: true, message: successMsg, refund }
+
+      // 款项已退回，之后的撤销步骤逐项尽力执行，结果写入退款报告供人工跟进
+      const access = options.revokeAccess
+        ? await revokeOrderAccess(db, order)
+        : { status: 'skipped', accountEmail: order.redeemAccountEmail || order.codeAccountEmail || null, reason: '未选择撤销访问' }
+      const points = options.revokeAccess ? reverseOrderRewardPoints(db, order) : []
+      const accessReleased = ['removed_member', 'removed_invite', 'not_found'].includes(access.status)
+      const code = applyRefundCodeAction(db, order, options.codeAction, { accessReleased })
+      const renewal = order.renewalOfOrderNo ? revertRenewalExtension(db, order) : null
+
+      const report = {
+        mode: options.mode,
+        refundAmount: refund.refundAmount,
+        orderAmount: order.amount,
+        message: successMsg,
+        revokeAccess: options.revokeAccess,
+        access,
+        points,
+        code,
+        renewal,
+        operator: req.user?.username || null,
+        createdAt: new Date().toISOString()
+      }
+      db.run(
+        `UPDATE purchase_orders SET refund_report = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
+        [JSON.stringify(report), orderNo]
+      )
+      recordAuditLog(db, req, {
+        action: 'purchase_order.refund',
+        targetType: 'purchase_order',
+        targetId: orderNo,
+        summary: `订单 ${orderNo} 退款 ¥${refund.refundAmount}`,
+        metadata: report
+      })
+      saveDatabase()
+      await emitWebhookEvent('purchase.refunded', buildPurchaseWebhookData(fetchOrder(db, orderNo)), { db })
+      return { ok: true, message: successMsg, refund, report }
     })
 
     if (!result.ok) return res.status(result.status || 400).json({ error: result.error, refund: result.refund || null })
-    res.json({ message: result.message, refund: result.refund })
+    res.json({ message: result.message, refund: result.refund, report: result.report })
   } catch (error) {
     console.error('[Purchase] admin refund error:', error)
     res.status(500).json({ error: '退款失败' })
@@ -2,10 +2,17 @@ import express from 'express'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
-import { apiKeyAuth } from '../middleware/api-key-auth.js'
+import { auditMutations } from '../middleware/audit-log.js'
+import { requireApiKey } from '../middleware/api-key-auth.js'
 import { verifyLinuxDoSessionToken } from '../middleware/linuxdo-session.js'
-import { fetchAccountUsersList, syncAccountInviteCount, syncAccountUserCount } from '../services/account-sync.js'
+import {
+  fetchAccountInvites,
+  fetchAccountUsersList,
+  syncAccountInviteCount,
+  syncAccountUserCount
+} from '../services/account-sync.js'
 import { inviteUserToChatGPTTeam } from '../services/chatgpt-invite.js'
+import { enqueueInviteJob, resolveInviteJobsForCode } from '../services/invite-retry-queue.js'
 import {
   getXhsConfig,
   getXhsOrderByNumber,
@@ -28,13 +35,40 @@ import {
   importXianyuOrders,
 } from '../services/xianyu-orders.js'
 import { withLocks } from '../utils/locks.js'
+import { resolveSeatCapacity, seatCapacitySql } from '../utils/seat-capacity.js'
 import { requireFeatureEnabled } from '../middleware/feature-flags.js'
 import { getChannels, normalizeChannelKey } from '../utils/channels.js'
 import { resolveOrderDeadlineMs, selectRecoveryCode } from '../services/account-recovery.js'
 import { getAccountRecoverySettings } from '../utils/account-recovery-settings.js'
+import { emitWebhookEvent } from '../services/webhooks.js'
+import { recordAuditLog } from '../utils/audit-log.js'
+import { getCodeAllocationSettings } from '../utils/code-allocation-settings.js'
+import { getPooledSeatAvailability, loadPooledAccountCandidates, pooledCodeSql, selectPooledAccount } from '../services/code-allocation.js'
+import {
+  CODE_LIFECYCLE_STATUSES,
+  codeLifecycleStatusSql,
+  codeReservedSql,
+  normalizeCodeExpiresAt,
+  normalizeCodeLifecycleStatus
+} from '../utils/code-lifecycle.js'
+import {
+  CODE_REGEX,
+  CODE_TRANSFER_COLUMNS,
+  insertImportedCodes,
+  loadCodesForExport,
+  parseCodeImportContent,
+  validateCodeImportRows
+} from '../services/redemption-code-transfer.js'
+import { buildCsv } from '../utils/spreadsheet-export.js'
+import { findRedemptionForLookup } from '../services/redemption-status.js'
+import { getRuntimeSettingValue } from '../utils/runtime-settings.js'
+import { isTurnstileEnabled, verifyTurnstileToken } from '../utils/turnstile.js'
 
 const router = express.Router()
 
+// 仅记录已登录管理员的操作；公开兑换接口没有 req.user，不会写入审计日志
+router.use(auditMutations('redemption_code'))
+
 const normalizeChannel = (value, fallback = 'common') => normalizeChannelKey(value, fallback)
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -218,12 +252,46 @@ const mapCodeRow = (row, channelsByKey) => {
     reservedForOrderEmail: row.length > 15 ? row[15] || null : null,
     orderType: row.length > 16 ? row[16] || null : null,
     // Optional: may be present when list API joins gpt_accounts.
-    accountIsBanned: row.length > 17 ? toInt(row[17], 0) === 1 : undefined
+    accountIsBanned: row.length > 17 ? toInt(row[17], 0) === 1 : undefined,
+    // Optional: 号池字段，仅列表接口返回
+    isPooled: row.length > 18 ? toInt(row[18], 0) === 1 : undefined,
+    allocationPolicy: row.length > 19 ? row[19] || null : undefined,
+    allocationReason: row.length > 20 ? row[20] || null : undefined,
+    allocatedAt: row.length > 21 ? row[21] || null : undefined,
+    // Optional: 生命周期字段，仅列表接口返回
+    status: row.length > 22 ? row[22] || null : undefined,
+    expiresAt: row.length > 23 ? row[23] || null : undefined,
+    expiredAt: row.length > 24 ? row[24] || null : undefined,
+    voidedAt: row.length > 25 ? row[25] || null : undefined,
+    voidReason: row.length > 26 ? row[26] || null : undefined
   }
 }
 
+const CODE_AUDIT_COLUMNS = 'id, code, account_email, channel, is_redeemed, redeemed_by, reserved_for_uid, reserved_for_order_no'
+
+const mapCodeAuditRow = (row) => ({
+  id: Number(row[0]),
+  code: row[1] || null,
+  accountEmail: row[2] || null,
+  channel: row[3] || null,
+  isRedeemed: Number(row[4] || 0) === 1,
+  redeemedBy: row[5] || null,
+  reservedForUid: row[6] || null,
+  reservedForOrderNo: row[7] || null
+})
+
+// 兑换码审计快照（删除前记录，便于事后追溯兑换码去向）
+const loadCodeAuditSnapshots = (db, ids) => {
+  const list = (Array.isArray(ids) ? ids : [ids]).map(id => toInt(id, 0)).filter(id => id > 0)
+  if (!list.length) return []
+  const result = db.exec(
+    `SELECT ${CODE_AUDIT_COLUMNS} FROM redemption_codes WHERE id IN (${list.map(() => '?').join(',')})`,
+    list
+  )
+  return (result[0]?.values || []).map(mapCodeAuditRow)
+}
+
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-const CODE_REGEX = /^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/
 const OUT_OF_STOCK_MESSAGE = '暂无可用兑换码，请联系管理员补货'
 const extractEmailFromRedeemedBy = (redeemedBy) => {
   const raw = String(redeemedBy ?? '').trim()
@@ -280,6 +348,7 @@ const shouldRetryAccountRecoveryRedeem = (error) => {
 
   if (message.includes('已被使用')) return true
   if (message.includes('不存在') || message.includes('已失效')) return true
+  if (message.includes('已过期') || message.includes('已作废')) return true
 
   if (statusCode === 503) {
     if (message.includes('人数上限')) return true
@@ -330,7 +399,7 @@ export async function redeemCodeInternal({
   channel = 'common',
   orderType,
   redeemerUid,
-  capacityLimit = 6,
+  reservedSeats = 0,
   skipCodeFormatValidation = false,
   allowCommonChannelFallback = false,
   allowNonOpenAccount = false,
@@ -401,8 +470,30 @@ export async function redeemCodeInternal({
     ? `UID:${normalizedRedeemerUid} | Email:${normalizedEmail}`
     : normalizedEmail
 
+  // 作废 / 过期的兑换码同样 is_redeemed = 1，先按生命周期区分提示
+  const lifecycleResult = db.exec(
+    `
+      SELECT voided_at,
+             expired_at,
+             CASE
+               WHEN expires_at IS NOT NULL AND expires_at <= DATETIME('now', 'localtime') AND NOT ${codeReservedSql()} THEN 1
+               ELSE 0
+             END AS is_past_expiry,
+             ${codeLifecycleStatusSql()} AS lifecycle_status
+      FROM redemption_codes
+      WHERE id = ?
+    `,
+    [codeId]
+  )
+  const lifecycleRow = lifecycleResult[0]?.values?.[0] || []
+  if (lifecycleRow[0]) {
+    throw new RedemptionError(400, '该兑换码已作废', { codeStatus: 'voided' })
+  }
+  if (lifecycleRow[1] || (!isRedeemed && Number(lifecycleRow[2]) === 1)) {
+    throw new RedemptionError(400, '该兑换码已过期', { codeStatus: 'expired' })
+  }
   if (isRedeemed) {
-    throw new RedemptionError(400, '该兑换码已被使用')
+    throw new RedemptionError(400, '该兑换码已被使用', { codeStatus: lifecycleRow[3] === 'recovered' ? 'recovered' : 'redeemed' })
   }
 
   const fallbackFromCommonChannelAllowed = Boolean(allowCommonChannelFallback)
@@ -494,9 +585,10 @@ export async function redeemCodeInternal({
 
   let accountResult
 
-  const maxSeats = Math.max(1, Number(capacityLimit) || 5)
+  // 每个账号按自身 seat_capacity 限制人数；reservedSeats 为调用方额外预留（不参与本次分配）的席位数
+  const seatReserve = Math.max(0, toInt(reservedSeats, 0))
   const nowMs = Date.now()
-  const accountCandidatesLimit = 50
+  let allocation = null
   const isAccountUsable = (row) => {
     if (!row) return false
     const token = String(row[2] ?? '').trim()
@@ -505,10 +597,6 @@ export async function redeemCodeInternal({
     const expireAtMs = parseExpireAtToMs(row[6])
     return expireAtMs != null && expireAtMs >= nowMs
   }
-  const pickUsableAccount = (rows) => {
-    if (!Array.isArray(rows) || rows.length === 0) return null
-    return rows.find(isAccountUsable) || null
-  }
 
   if (boundAccountEmail) {
     accountResult = db.exec(
@@ -522,7 +610,9 @@ export async function redeemCodeInternal({
                expire_at,
                COALESCE(invite_count, 0) AS invite_count,
                COALESCE(is_open, 0) AS is_open,
-               COALESCE(is_banned, 0) AS is_banned
+               COALESCE(is_banned, 0) AS is_banned,
+               seat_capacity,
+               quarantined_at
         FROM gpt_accounts
         WHERE email = ?
         LIMIT 1
@@ -537,54 +627,32 @@ export async function redeemCodeInternal({
 
     const boundUserCount = Number(boundRow[3] || 0)
     const boundInviteCount = Number(boundRow[7] || 0)
-    if (boundUserCount + boundInviteCount >= maxSeats) {
+    if (boundUserCount + boundInviteCount >= resolveSeatCapacity(boundRow[10]) - seatReserve) {
       throw new RedemptionError(503, '该兑换码绑定的账号已达到人数上限，请联系管理员')
     }
 
     const isOpen = Number(boundRow[8] || 0) === 1
     const isBanned = Number(boundRow[9] || 0) === 1
-    if (isBanned || (!isOpen && !allowNonOpenAccount)) {
+    const isQuarantined = Boolean(boundRow[11])
+    if (isBanned || isQuarantined || (!isOpen && !allowNonOpenAccount)) {
       throw new RedemptionError(503, '该兑换码绑定账号不可用或已过期，请联系管理员')
     }
 
-    const candidate = [boundRow[0], boundRow[1], boundRow[2], boundRow[3], boundRow[4], boundRow[5], boundRow[6]]
+    const candidate = [boundRow[0], boundRow[1], boundRow[2], boundRow[3], boundRow[4], boundRow[5], boundRow[6], boundRow[10]]
     if (!isAccountUsable(candidate)) {
       throw new RedemptionError(503, '该兑换码绑定账号不可用或已过期，请联系管理员')
     }
 
     accountResult = [{ values: [candidate] }]
   } else {
-    accountResult = db.exec(
-      `
-        SELECT id,
-               email,
-               token,
-               COALESCE(user_count, 0) AS user_count,
-               chatgpt_account_id,
-               oai_device_id,
-               expire_at
-        FROM gpt_accounts
-        WHERE COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ?
-          AND COALESCE(is_open, 0) = 1
-          AND COALESCE(is_banned, 0) = 0
-          AND token IS NOT NULL
-          AND TRIM(token) != ''
-          AND chatgpt_account_id IS NOT NULL
-          AND TRIM(chatgpt_account_id) != ''
-          AND expire_at IS NOT NULL
-          AND TRIM(expire_at) != ''
-        ORDER BY COALESCE(user_count, 0) + COALESCE(invite_count, 0) ASC, RANDOM()
-        LIMIT ?
-      `,
-      [maxSeats, accountCandidatesLimit]
-    )
-
-    const candidates = accountResult?.[0]?.values || []
-    const usable = pickUsableAccount(candidates)
-    if (!usable) {
+    // 未绑定账号的兑换码（号池）按后台配置的策略挑选账号，选择结果与原因记录到兑换码上
+    const candidates = loadPooledAccountCandidates(db, { seatReserve, nowMs })
+    const { policy } = await getCodeAllocationSettings(db)
+    allocation = selectPooledAccount(db, candidates, { policy, nowMs })
+    if (!allocation) {
       throw new RedemptionError(503, '暂无可用账号，请稍后再试或联系管理员')
     }
-    accountResult = [{ values: [usable] }]
+    accountResult = [{ values: [allocation.candidate.row] }]
   }
 
   const account = accountResult[0].values[0]
@@ -594,12 +662,14 @@ export async function redeemCodeInternal({
   const currentUserCount = account[3] || 0
   const chatgptAccountId = account[4]
   const oaiDeviceId = account[5]
+  const seatCapacity = resolveSeatCapacity(account[7])
   const accountData = {
     token: accountToken,
     chatgpt_account_id: chatgptAccountId,
     oai_device_id: oaiDeviceId
   }
 
+  let boardedFromWaitingRoom = false
   try {
     const updates = [
       'is_redeemed = 1',
@@ -610,6 +680,15 @@ export async function redeemCodeInternal({
     ]
     const updateParams = [redeemerIdentifier, resolvedOrderType]
 
+    if (allocation) {
+      updates.push('account_email = ?')
+      updates.push('is_pooled = 1')
+      updates.push('allocation_policy = ?')
+      updates.push('allocation_reason = ?')
+      updates.push("allocated_at = DATETIME('now', 'localtime')")
+      updateParams.push(accountEmail, allocation.policy, allocation.reason)
+    }
+
     if (fallbackFromCommonChannelAllowed && codeChannel !== requestedChannel) {
       const requestedChannelName = String(requestedChannelConfig?.name || '').trim() || requestedChannel
       updates.push('channel = ?')
@@ -627,6 +706,7 @@ export async function redeemCodeInternal({
     }
 
     if (requestedChannelConfig?.redeemMode === 'linux-do' && normalizedRedeemerUid) {
+      boardedFromWaitingRoom = true
       if (reservedForEntryId) {
         db.run(
           `
@@ -662,6 +742,7 @@ export async function redeemCodeInternal({
   }
 
   let inviteResult = { success: false, message: '邀请功能未启用' }
+  let inviteJob = null
   let syncedAccount = null
   let syncedUserCount = null
   let syncedInviteCount = null
@@ -671,6 +752,22 @@ export async function redeemCodeInternal({
 
     if (!inviteResult.success) {
       console.error(`邀请用户 ${normalizedEmail} 失败:`, inviteResult.error)
+      // 兑换已生效，邀请交给重试队列（失败可换号，耗尽后通知购买者与管理员）
+      try {
+        inviteJob = enqueueInviteJob(db, {
+          email: normalizedEmail,
+          codeId,
+          code: sanitizedCode,
+          orderNo: reservedForOrderNo || null,
+          channel: requestedChannel,
+          accountId,
+          accountEmail,
+          error: inviteResult.error
+        })
+        saveDatabase()
+      } catch (error) {
+        console.error('邀请重试任务入队失败:', error)
+      }
     } else {
       console.log(`成功邀请用户 ${normalizedEmail} 加入账号 ${chatgptAccountId}`)
       try {
@@ -712,13 +809,39 @@ export async function redeemCodeInternal({
       ? syncedInviteCount
       : null
 
+  await emitWebhookEvent('code.redeemed', {
+    codeId,
+    code: sanitizedCode,
+    channel: requestedChannel,
+    orderType: resolvedOrderType,
+    email: normalizedEmail,
+    redeemerUid: normalizedRedeemerUid || null,
+    accountEmail,
+    inviteSent: Boolean(inviteResult.success)
+  })
+  if (boardedFromWaitingRoom) {
+    await emitWebhookEvent('waiting_room.boarded', {
+      entryId: reservedForEntryId || null,
+      linuxDoUid: normalizedRedeemerUid,
+      email: normalizedEmail,
+      code: sanitizedCode,
+      accountEmail,
+      source: 'redeem'
+    })
+  }
+
   return {
     data: {
       accountEmail: accountEmail,
       userCount: resolvedUserCount,
-      inviteStatus: inviteResult.success ? '邀请已发送' : '邀请未发送（需要手动添加）',
+      seatCapacity,
+      inviteStatus: inviteResult.success
+        ? '邀请已发送'
+        : inviteJob ? '邀请发送失败，已加入自动重试队列' : '邀请未发送（需要手动添加）',
       inviteDetails: inviteResult.success ? inviteResult.response : inviteResult.error,
-      message: `您已成功加入 GPT team账号${inviteResult.success ? '，邀请邮件已发送至您的邮箱' : '，请联系管理员手动添加'}`,
+      message: `您已成功加入 GPT team账号${inviteResult.success
+        ? '，邀请邮件已发送至您的邮箱'
+        : inviteJob ? '，邀请暂未发送成功，系统将自动重试，请稍后留意邮箱' : '，请联系管理员手动添加'}`,
       inviteCount: resolvedInviteCount
     },
     metadata: {
@@ -726,7 +849,9 @@ export async function redeemCodeInternal({
       code: sanitizedCode,
       requestedChannel,
       accountEmail,
-      accountId
+      accountId,
+      allocation: allocation ? { policy: allocation.policy, reason: allocation.reason } : null,
+      inviteJobId: inviteJob?.id || null
     }
   }
 }
@@ -752,7 +877,10 @@ router.get('/', authenticateToken, requireMenu('redemption_codes'), async (req,
                CASE
                  WHEN ga.id IS NULL THEN 0
                  ELSE COALESCE(ga.is_banned, 0)
-               END AS account_is_banned
+               END AS account_is_banned,
+               COALESCE(rc.is_pooled, 0) AS is_pooled, rc.allocation_policy, rc.allocation_reason, rc.allocated_at,
+               ${codeLifecycleStatusSql('rc')} AS lifecycle_status,
+               rc.expires_at, rc.expired_at, rc.voided_at, rc.void_reason
         FROM redemption_codes rc
         LEFT JOIN gpt_accounts ga
           ON LOWER(TRIM(ga.email)) = LOWER(TRIM(rc.account_email))
@@ -779,6 +907,11 @@ router.get('/', authenticateToken, requireMenu('redemption_codes'), async (req,
       conditions.push('rc.is_redeemed = 1')
     } else if (status === 'unused' || status === 'unredeemed') {
       conditions.push('rc.is_redeemed = 0')
+    } else if (status === 'pooled') {
+      conditions.push('COALESCE(rc.is_pooled, 0) = 1')
+    } else if (CODE_LIFECYCLE_STATUSES.includes(status)) {
+      conditions.push(`${codeLifecycleStatusSql('rc')} = ?`)
+      params.push(status)
     }
 
     if (search) {
@@ -822,7 +955,10 @@ router.get('/', authenticateToken, requireMenu('redemption_codes'), async (req,
                CASE
                  WHEN ga.id IS NULL THEN 0
                  ELSE COALESCE(ga.is_banned, 0)
-               END AS account_is_banned
+               END AS account_is_banned,
+               COALESCE(rc.is_pooled, 0) AS is_pooled, rc.allocation_policy, rc.allocation_reason, rc.allocated_at,
+               ${codeLifecycleStatusSql('rc')} AS lifecycle_status,
+               rc.expires_at, rc.expired_at, rc.voided_at, rc.void_reason
         FROM redemption_codes rc
         LEFT JOIN gpt_accounts ga
           ON LOWER(TRIM(ga.email)) = LOWER(TRIM(rc.account_email))
@@ -924,6 +1060,10 @@ router.post('/:id/reinvite', authenticateToken, requireMenu('redemption_codes'),
         return res.status(503).json({ error: errorMessage })
       }
 
+      if (resolveInviteJobsForCode(db, codeId)) {
+        saveDatabase()
+      }
+
       return res.json({ message: '重新邀请已发送' })
     })
   } catch (error) {
@@ -932,26 +1072,154 @@ router.post('/:id/reinvite', authenticateToken, requireMenu('redemption_codes'),
   }
 })
 
+// 插入一批兑换码；accountEmail 为空时为号池兑换码（is_pooled = 1），兑换时再分配账号
+const insertGeneratedCodes = (db, { count, accountEmail, channel, channelName, expiresAt = null }) => {
+  const createdCodes = []
+  const failedCodes = []
+
+  for (let i = 0; i < count; i++) {
+    let code = generateRedemptionCode()
+    let attempts = 0
+    let success = false
+
+    // 尝试生成唯一的兑换码（最多重试4次）
+    while (attempts < 4 && !success) {
+      try {
+        db.run(
+          `INSERT INTO redemption_codes (code, account_email, channel, channel_name, is_pooled, expires_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))`,
+          [code, accountEmail || null, channel, channelName, accountEmail ? 0 : 1, expiresAt]
+        )
+        createdCodes.push(code)
+        success = true
+      } catch (err) {
+        if (err.message.includes('UNIQUE')) {
+          // 如果重复，重新生成
+          code = generateRedemptionCode()
+          attempts++
+        } else {
+          throw err
+        }
+      }
+    }
+
+    if (!success) {
+      failedCodes.push(`尝试${attempts}次后仍然重复`)
+    }
+  }
+
+  return { createdCodes, failedCodes }
+}
+
+const loadCreatedCodes = (db, createdCodes, channelsByKey) => {
+  if (!createdCodes.length) return []
+  const result = db.exec(`
+    SELECT id, code, is_redeemed, redeemed_at, redeemed_by,
+           account_email, channel, channel_name, created_at, updated_at,
+           reserved_for_uid, reserved_for_username, reserved_for_entry_id, reserved_at,
+           reserved_for_order_no, reserved_for_order_email, order_type
+    FROM redemption_codes
+    WHERE code IN (${createdCodes.map(() => '?').join(',')})
+    ORDER BY created_at DESC
+  `, createdCodes)
+  return result[0]?.values.map(row => mapCodeRow(row, channelsByKey)) || []
+}
+
+// 号池容量：可分配账号的空余席位合计，与尚未使用的号池兑换码数对比
+const loadPoolCapacity = (db) => {
+  const seatsResult = db.exec(`
+    SELECT COALESCE(SUM(${seatCapacitySql()} - COALESCE(user_count, 0) - COALESCE(invite_count, 0)), 0), COUNT(*)
+    FROM gpt_accounts
+    WHERE COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ${seatCapacitySql()}
+      AND COALESCE(is_open, 0) = 1
+      AND COALESCE(is_banned, 0) = 0
+      AND quarantined_at IS NULL
+      AND token IS NOT NULL
+      AND TRIM(token) != ''
+      AND chatgpt_account_id IS NOT NULL
+      AND TRIM(chatgpt_account_id) != ''
+  `)
+  const unusedResult = db.exec(`
+    SELECT COUNT(*)
+    FROM redemption_codes
+    WHERE is_redeemed = 0
+      AND COALESCE(is_pooled, 0) = 1
+      AND (account_email IS NULL OR TRIM(account_email) = '')
+  `)
+  return {
+    freeSeats: Number(seatsResult[0]?.values?.[0]?.[0] || 0),
+    accountCount: Number(seatsResult[0]?.values?.[0]?.[1] || 0),
+    unusedPooledCodesCount: Number(unusedResult[0]?.values?.[0]?.[0] || 0)
+  }
+}
+
 // 批量创建兑换码
 router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async (req, res) => {
   try {
     const { count, accountEmail, channel } = req.body
+    const pooled = parseBoolean(req.body?.pooled, false)
 
     if (!count || count < 1 || count > 1000) {
       return res.status(400).json({ error: '数量必须在 1-1000 之间' })
     }
 
-    // 必须指定账号
-    if (!accountEmail) {
+    const { value: expiresAt, error: expiresAtError } = normalizeCodeExpiresAt(req.body?.expiresAt)
+    if (expiresAtError) {
+      return res.status(400).json({ error: expiresAtError })
+    }
+
+    // 非号池兑换码必须指定账号
+    if (!pooled && !accountEmail) {
       return res.status(400).json({ error: '必须指定所属账号邮箱' })
     }
 
     const db = await getDatabase()
     const { byKey: channelsByKey } = await getChannels(db)
 
+    const normalizedChannel = normalizeChannel(channel, 'common')
+    const channelConfig = channelsByKey.get(normalizedChannel) || null
+    if (!channelConfig || !channelConfig.isActive) {
+      return res.status(400).json({ error: '渠道不存在或已停用' })
+    }
+    const resolvedChannelName = String(channelConfig.name || '').trim() || normalizedChannel
+
+    if (pooled) {
+      const capacity = loadPoolCapacity(db)
+      const { createdCodes, failedCodes } = insertGeneratedCodes(db, {
+        count,
+        accountEmail: null,
+        channel: normalizedChannel,
+        channelName: resolvedChannelName,
+        expiresAt
+      })
+      const unusedPooledCodesCount = capacity.unusedPooledCodesCount + createdCodes.length
+
+      recordAuditLog(db, req, {
+        action: 'redemption_code.create_batch',
+        targetType: 'redemption_code',
+        targetId: null,
+        summary: `生成 ${createdCodes.length} 个号池兑换码（${normalizedChannel}）`,
+        metadata: { codes: createdCodes, channel: normalizedChannel, requested: count, pooled: true, expiresAt }
+      })
+      saveDatabase()
+
+      return res.status(201).json({
+        message: `成功创建 ${createdCodes.length} 个号池兑换码`,
+        codes: loadCreatedCodes(db, createdCodes, channelsByKey),
+        failed: failedCodes.length,
+        pooled: true,
+        poolFreeSeats: capacity.freeSeats,
+        poolAccountCount: capacity.accountCount,
+        unusedCodesCount: unusedPooledCodesCount,
+        allCodesCount: unusedPooledCodesCount, // 兼容旧前端字段
+        info: unusedPooledCodesCount > capacity.freeSeats
+          ? `当前可分配账号共 ${capacity.freeSeats} 个空余席位，少于未使用的号池兑换码（${unusedPooledCodesCount} 个），请及时补充账号`
+          : undefined
+      })
+    }
+
     // 检查账号是否存在并获取当前人数
     const accountResult = db.exec(`
-      SELECT id, email, user_count FROM gpt_accounts WHERE email = ?
+      SELECT id, email, user_count, seat_capacity FROM gpt_accounts WHERE email = ?
     `, [accountEmail])
 
     if (accountResult.length === 0 || accountResult[0].values.length === 0) {
@@ -960,12 +1228,14 @@ router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async
 
     const accountRow = accountResult[0].values[0]
     const currentUserCount = accountRow[2] || 0
+    const seatCapacity = resolveSeatCapacity(accountRow[3])
 
-    // 如果账号已满员（5人），不能创建兑换码
-    if (currentUserCount >= 8) {
+    // 如果账号已满员（达到 seat_capacity），不能创建兑换码
+    if (currentUserCount >= seatCapacity) {
       return res.status(400).json({
-        error: '该账号已满员（8人），无法创建兑换码',
-        currentUserCount: currentUserCount
+        error: `该账号已满员（${seatCapacity}人），无法创建兑换码`,
+        currentUserCount: currentUserCount,
+        seatCapacity
       })
     }
 
@@ -978,9 +1248,8 @@ router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async
     const unusedCodesCount = unusedCodesResult[0]?.values[0]?.[0] || 0
 
     // 计算实际可以生成的数量
-    // 可创建数量 = 总容量(5) - 当前人数 - 未使用的兑换码数
-    const totalCapacity = 8
-    const availableSlots = totalCapacity - currentUserCount - unusedCodesCount
+    // 可创建数量 = 账号席位上限(seat_capacity) - 当前人数 - 未使用的兑换码数
+    const availableSlots = seatCapacity - currentUserCount - unusedCodesCount
 
     if (availableSlots <= 0) {
       return res.status(400).json({
@@ -988,6 +1257,7 @@ router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async
         currentUserCount: currentUserCount,
         unusedCodesCount: unusedCodesCount,
         allCodesCount: unusedCodesCount, // 兼容旧前端字段
+        seatCapacity,
         availableSlots: 0
       })
     }
@@ -999,68 +1269,31 @@ router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async
       console.log(`请求生成${count}个兑换码，但账号只有${availableSlots}个可用名额（当前${currentUserCount}人，已有${unusedCodesCount}个未使用兑换码），将只生成${actualCount}个`)
     }
 
-    const normalizedChannel = normalizeChannel(channel, 'common')
-    const channelConfig = channelsByKey.get(normalizedChannel) || null
-    if (!channelConfig || !channelConfig.isActive) {
-      return res.status(400).json({ error: '渠道不存在或已停用' })
-    }
-    const resolvedChannelName = String(channelConfig.name || '').trim() || normalizedChannel
-
-    const createdCodes = []
-    const failedCodes = []
-
-    for (let i = 0; i < actualCount; i++) {
-      let code = generateRedemptionCode()
-      let attempts = 0
-      let success = false
-
-      // 尝试生成唯一的兑换码（最多重试4次）
-      while (attempts < 4 && !success) {
-        try {
-          db.run(
-            `INSERT INTO redemption_codes (code, account_email, channel, channel_name, created_at, updated_at) VALUES (?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))`,
-            [code, accountEmail, normalizedChannel, resolvedChannelName]
-          )
-          createdCodes.push(code)
-          success = true
-        } catch (err) {
-          if (err.message.includes('UNIQUE')) {
-            // 如果重复，重新生成
-            code = generateRedemptionCode()
-            attempts++
-          } else {
-            throw err
-          }
-        }
-      }
-
-      if (!success) {
-        failedCodes.push(`尝试${attempts}次后仍然重复`)
-      }
-    }
+    const { createdCodes, failedCodes } = insertGeneratedCodes(db, {
+      count: actualCount,
+      accountEmail,
+      channel: normalizedChannel,
+      channelName: resolvedChannelName,
+      expiresAt
+    })
 
+    recordAuditLog(db, req, {
+      action: 'redemption_code.create_batch',
+      targetType: 'gpt_account',
+      targetId: accountRow[0],
+      summary: `为账号 ${accountEmail} 生成 ${createdCodes.length} 个兑换码（${normalizedChannel}）`,
+      metadata: { codes: createdCodes, channel: normalizedChannel, requested: count, expiresAt }
+    })
     saveDatabase()
 
-    // 获取新创建的兑换码
-    const result = db.exec(`
-      SELECT id, code, is_redeemed, redeemed_at, redeemed_by,
-             account_email, channel, channel_name, created_at, updated_at,
-             reserved_for_uid, reserved_for_username, reserved_for_entry_id, reserved_at,
-             reserved_for_order_no, reserved_for_order_email, order_type
-      FROM redemption_codes
-      WHERE code IN (${createdCodes.map(() => '?').join(',')})
-      ORDER BY created_at DESC
-    `, createdCodes)
-
-    const codes = result[0]?.values.map(row => mapCodeRow(row, channelsByKey)) || []
-
     res.status(201).json({
       message: `成功为账号 ${accountEmail} 创建 ${createdCodes.length} 个兑换码`,
-      codes,
+      codes: loadCreatedCodes(db, createdCodes, channelsByKey),
       failed: failedCodes.length,
       currentUserCount: currentUserCount,
       unusedCodesCount: unusedCodesCount + createdCodes.length,
       allCodesCount: unusedCodesCount + createdCodes.length, // 兼容旧前端字段
+      seatCapacity,
       availableSlots: availableSlots - createdCodes.length,
       info: count > availableSlots ? `由于账号可用名额限制（当前${currentUserCount}人 + ${unusedCodesCount}个未使用兑换码），只生成了${actualCount}个兑换码` : undefined
     })
@@ -1070,23 +1303,174 @@ router.post('/batch', authenticateToken, requireMenu('redemption_codes'), async
   }
 })
 
-// 删除兑换码
+// 导出兑换码（CSV / JSON），默认只导出可用的兑换码；列与导入格式一致
+router.get('/export', authenticateToken, requireMenu('redemption_codes'), async (req, res) => {
+  const format = String(req.query.format ?? 'csv').trim().toLowerCase()
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ error: '导出格式仅支持 csv 或 json' })
+  }
+
+  const rawStatus = String(req.query.status ?? 'active').trim().toLowerCase() || 'active'
+  const status = rawStatus === 'all' ? null : normalizeCodeLifecycleStatus(rawStatus)
+  if (rawStatus !== 'all' && !status) {
+    return res.status(400).json({ error: '兑换码状态不正确' })
+  }
+
+  const channel = String(req.query.channel ?? '').trim() ? normalizeChannel(req.query.channel) : null
+  const accountEmail = String(req.query.accountEmail ?? '').trim() || null
+  const pooled = parseBoolean(req.query.pooled, false)
+
+  try {
+    const db = await getDatabase()
+    const rows = loadCodesForExport(db, { status, channel, accountEmail, pooled })
+
+    recordAuditLog(db, req, {
+      action: 'redemption_code.export',
+      targetType: 'redemption_code',
+      targetId: null,
+      summary: `导出 ${rows.length} 个兑换码（${format.toUpperCase()}）`,
+      metadata: { format, status: status || 'all', channel, accountEmail, pooled, count: rows.length }
+    })
+    saveDatabase()
+
+    const date = new Date().toISOString().slice(0, 10)
+    const filename = `redemption-codes_${status || 'all'}_${date}.${format}`
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8')
+      return res.send(JSON.stringify({ count: rows.length, codes: rows }, null, 2))
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.send(buildCsv([CODE_TRANSFER_COLUMNS, ...rows.map(row => CODE_TRANSFER_COLUMNS.map(column => row[column]))]))
+  } catch (error) {
+    console.error('导出兑换码错误:', error)
+    res.status(500).json({ error: '内部服务器错误' })
+  }
+})
+
+// 导入外部生成的兑换码：dryRun（默认）只返回逐行校验结果，确认后再以 dryRun: false 提交写入有效行
+router.post('/import', authenticateToken, requireMenu('redemption_codes'), async (req, res) => {
+  const body = req.body || {}
+  const format = String(body.format ?? 'csv').trim().toLowerCase()
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ error: '导入格式仅支持 csv 或 json' })
+  }
+  const dryRun = parseBoolean(body.dryRun, true)
+
+  const parsed = parseCodeImportContent(body.content, format)
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error })
+  }
+
+  try {
+    const db = await getDatabase()
+    const { byKey: channelsByKey } = await getChannels(db)
+    const defaults = body.defaults && typeof body.defaults === 'object' ? body.defaults : {}
+    const preview = validateCodeImportRows(db, parsed.rows, {
+      channelsByKey,
+      channelMap: body.channelMap,
+      orderTypeMap: body.orderTypeMap,
+      defaults
+    })
+
+    if (dryRun) {
+      // 预览不写库，也不让兜底审计把整份文件内容记进日志
+      req.auditLogged = true
+      return res.json({ dryRun: true, ...preview })
+    }
+
+    if (!preview.summary.valid) {
+      return res.status(400).json({ error: '没有可导入的兑换码', dryRun: false, ...preview })
+    }
+
+    const { created, failed } = insertImportedCodes(db, preview.items)
+
+    recordAuditLog(db, req, {
+      action: 'redemption_code.import',
+      targetType: 'redemption_code',
+      targetId: null,
+      summary: `导入 ${created.length} 个兑换码（${format.toUpperCase()}）`,
+      metadata: {
+        codes: created,
+        format,
+        total: preview.summary.total,
+        skipped: preview.summary.invalid,
+        failed: failed.length,
+        defaults,
+        channelMap: body.channelMap || null,
+        orderTypeMap: body.orderTypeMap || null
+      }
+    })
+    saveDatabase()
+
+    res.status(201).json({
+      dryRun: false,
+      message: `成功导入 ${created.length} 个兑换码${preview.summary.invalid ? `，跳过 ${preview.summary.invalid} 行无效数据` : ''}`,
+      created: created.length,
+      failed,
+      ...preview
+    })
+  } catch (error) {
+    console.error('导入兑换码错误:', error)
+    res.status(500).json({ error: '内部服务器错误' })
+  }
+})
+
+// 作废兑换码：不再物理删除，保留兑换 / 预留记录便于追溯；作废后不计入库存、无法兑换
+const VOIDABLE_CODE_CONDITION = 'voided_at IS NULL'
+
+const voidRedemptionCodes = (db, ids, reason) => {
+  const placeholders = ids.map(() => '?').join(',')
+  db.run(
+    `
+      UPDATE redemption_codes
+      SET is_redeemed = 1,
+          voided_at = DATETIME('now', 'localtime'),
+          void_reason = ?,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id IN (${placeholders})
+        AND ${VOIDABLE_CODE_CONDITION}
+    `,
+    [reason, ...ids]
+  )
+}
+
+const normalizeVoidReason = (value) => {
+  const reason = String(value ?? '').trim()
+  return reason ? reason.slice(0, 200) : '管理员作废'
+}
+
 router.delete('/:id', authenticateToken, requireMenu('redemption_codes'), async (req, res) => {
   try {
     const db = await getDatabase()
+    const codeId = toInt(req.params.id, 0)
 
-    // 检查兑换码是否存在
-    const checkResult = db.exec('SELECT id FROM redemption_codes WHERE id = ?', [req.params.id])
-    if (checkResult.length === 0 || checkResult[0].values.length === 0) {
+    const checkResult = db.exec(`SELECT id, voided_at FROM redemption_codes WHERE id = ?`, [codeId])
+    const checkRow = checkResult[0]?.values?.[0]
+    if (!checkRow) {
       return res.status(404).json({ error: '兑换码不存在' })
     }
+    if (checkRow[1]) {
+      return res.status(400).json({ error: '兑换码已作废' })
+    }
 
-    db.run('DELETE FROM redemption_codes WHERE id = ?', [req.params.id])
+    const reason = normalizeVoidReason(req.body?.reason)
+    const [auditBefore] = loadCodeAuditSnapshots(db, codeId)
+    voidRedemptionCodes(db, [codeId], reason)
+    recordAuditLog(db, req, {
+      action: 'redemption_code.void',
+      targetType: 'redemption_code',
+      targetId: codeId,
+      summary: `作废兑换码 ${auditBefore?.code || ''}（${reason}）`,
+      before: auditBefore,
+      after: { ...auditBefore, voidReason: reason }
+    })
     saveDatabase()
 
-    res.json({ message: '兑换码删除成功' })
+    res.json({ message: '兑换码已作废' })
   } catch (error) {
-    console.error('删除兑换码错误:', error)
+    console.error('作废兑换码错误:', error)
     res.status(500).json({ error: '内部服务器错误' })
   }
 })
@@ -1113,10 +1497,19 @@ router.patch('/:id/channel', authenticateToken, requireMenu('redemption_codes'),
       return res.status(404).json({ error: '兑换码不存在' })
     }
 
+    const [auditBefore] = loadCodeAuditSnapshots(db, req.params.id)
     db.run(
       `UPDATE redemption_codes SET channel = ?, channel_name = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
       [normalizedChannel, channelName, req.params.id]
     )
+    recordAuditLog(db, req, {
+      action: 'redemption_code.update_channel',
+      targetType: 'redemption_code',
+      targetId: req.params.id,
+      summary: auditBefore?.code || null,
+      before: { channel: auditBefore?.channel || null },
+      after: { channel: normalizedChannel }
+    })
     saveDatabase()
 
     const updatedResult = db.exec(`
@@ -1142,24 +1535,48 @@ router.patch('/:id/channel', authenticateToken, requireMenu('redemption_codes'),
   }
 })
 
-// 批量删除兑换码
+// 批量作废兑换码（接口路径沿用 batch-delete）
 router.post('/batch-delete', authenticateToken, requireMenu('redemption_codes'), async (req, res) => {
   try {
     const { ids } = req.body
 
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
-      return res.status(400).json({ error: '请提供要删除的兑换码ID数组' })
+      return res.status(400).json({ error: '请提供要作废的兑换码ID数组' })
     }
 
     const db = await getDatabase()
-    const placeholders = ids.map(() => '?').join(',')
-
-    db.run(`DELETE FROM redemption_codes WHERE id IN (${placeholders})`, ids)
-    saveDatabase()
+    const reason = normalizeVoidReason(req.body?.reason)
+    const normalizedIds = ids.map(id => toInt(id, 0)).filter(id => id > 0)
+    const placeholders = normalizedIds.map(() => '?').join(',')
+    const pendingResult = normalizedIds.length
+      ? db.exec(`SELECT id FROM redemption_codes WHERE id IN (${placeholders}) AND ${VOIDABLE_CODE_CONDITION}`, normalizedIds)
+      : []
+    const pendingIds = (pendingResult[0]?.values || []).map(row => Number(row[0]))
+
+    if (pendingIds.length) {
+      const auditSnapshots = loadCodeAuditSnapshots(db, pendingIds)
+      voidRedemptionCodes(db, pendingIds, reason)
+      for (const snapshot of auditSnapshots) {
+        recordAuditLog(db, req, {
+          action: 'redemption_code.void',
+          targetType: 'redemption_code',
+          targetId: snapshot.id,
+          summary: `批量作废兑换码 ${snapshot.code || ''}（${reason}）`,
+          before: snapshot,
+          after: { ...snapshot, voidReason: reason }
+        })
+      }
+      saveDatabase()
+    }
 
-    res.json({ message: `成功删除 ${ids.length} 个兑换码` })
+    const skipped = ids.length - pendingIds.length
+    res.json({
+      message: `成功作废 ${pendingIds.length} 个兑换码${skipped > 0 ? `，跳过 ${skipped} 个（不存在或已作废）` : ''}`,
+      voided: pendingIds.length,
+      skipped
+    })
   } catch (error) {
-    console.error('批量删除兑换码错误:', error)
+    console.error('批量作废兑换码错误:', error)
     res.status(500).json({ error: '内部服务器错误' })
   }
 })
@@ -1314,6 +1731,7 @@ router.post('/recover', async (req, res) => {
               AND ar_recovery.status IN ('success', 'skipped')
             WHERE rc.is_redeemed = 1
               AND rc.redeemed_at IS NOT NULL
+              AND rc.voided_at IS NULL
               AND rc.redeemed_at >= DATETIME('now', 'localtime', ?)
               AND ar_recovery.id IS NULL
               AND (
@@ -1638,7 +2056,6 @@ router.post('/recover', async (req, res) => {
         for (let attempt = 1; attempt <= ACCOUNT_RECOVERY_REDEEM_MAX_ATTEMPTS; attempt += 1) {
           const selectedRecovery = selectRecoveryCode(db, {
             minExpireMs: requireExpireCoverDeadline ? orderDeadlineMs : Date.now(),
-            capacityLimit: 6,
             preferNonToday: requireExpireCoverDeadline,
             preferLatestExpire: !requireExpireCoverDeadline,
             limit: 200,
@@ -1682,6 +2099,7 @@ router.post('/recover', async (req, res) => {
               data: {
                 accountEmail: redemptionResult.data.accountEmail,
                 userCount: redemptionResult.data.userCount,
+                seatCapacity: redemptionResult.data.seatCapacity,
                 inviteStatus: redemptionResult.data.inviteStatus,
                 recoveryMode: 'open-account',
                 windowEndsAt,
@@ -1754,6 +2172,188 @@ router.post('/recover', async (req, res) => {
   }
 })
 
+const getClientIp = (req) => {
+  const cfConnectingIp = req.headers['cf-connecting-ip']
+  if (typeof cfConnectingIp === 'string' && cfConnectingIp.trim()) {
+    return cfConnectingIp.trim()
+  }
+  const forwardedFor = req.headers['x-forwarded-for']
+  if (typeof forwardedFor === 'string' && forwardedFor.length > 0) {
+    return forwardedFor.split(',')[0].trim()
+  }
+  return req.ip
+}
+
+// 兑换状态查询：进程内按 IP 固定窗口限流；多副本部署时每个实例各自计数。
+// 限流键使用 req.ip（按 trust proxy 配置解析），不直接读取可被客户端伪造的 CF-Connecting-IP / X-Forwarded-For
+const STATUS_LOOKUP_WINDOW_MS = 60 * 1000
+const STATUS_LOOKUP_MAX_TRACKED = 5000
+const statusLookupWindows = new Map()
+
+const consumeStatusLookupQuota = (ip) => {
+  const limit = getRuntimeSettingValue('redemptionStatusLookupsPerMinute')
+  const key = String(ip || 'unknown')
+  const now = Date.now()
+  let window = statusLookupWindows.get(key)
+  if (!window || now - window.startedAt >= STATUS_LOOKUP_WINDOW_MS) {
+    if (statusLookupWindows.size >= STATUS_LOOKUP_MAX_TRACKED) {
+      for (const [trackedKey, tracked] of statusLookupWindows) {
+        if (now - tracked.startedAt >= STATUS_LOOKUP_WINDOW_MS) statusLookupWindows.delete(trackedKey)
+      }
+    }
+    window = { startedAt: now, count: 0 }
+    statusLookupWindows.set(key, window)
+  }
+  if (window.count >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((window.startedAt + STATUS_LOOKUP_WINDOW_MS - now) / 1000) }
+  }
+  window.count += 1
+  return { allowed: true }
+}
+
+const INVITE_JOB_OPEN_STATUSES = new Set(['queued', 'processing'])
+
+/**
+ * 查询用户在当前账号中的状态：
+ * - inviteStatus：pending（待接受 / 重试中）、joined（已加入）、removed（已不在工作空间）、failed（邀请多次发送失败）、unknown
+ * - accountStatus：active、banned、unavailable（无法访问）、missing（账号已删除）、unknown
+ */
+const resolveLookupMembership = async (record) => {
+  const email = normalizeEmail(record.email)
+  const job = record.inviteJob
+  const account = record.account
+  if (!account) return { inviteStatus: 'removed', accountStatus: 'missing' }
+  if (account.isBanned) return { inviteStatus: 'removed', accountStatus: 'banned' }
+  if (job && INVITE_JOB_OPEN_STATUSES.has(job.status)) return { inviteStatus: 'pending', accountStatus: 'active' }
+
+  const cached = getAccountRecoveryAccessCache(account.id)
+  if (cached?.status === 'access_failure') return { inviteStatus: 'removed', accountStatus: 'unavailable' }
+
+  try {
+    const users = await fetchAccountUsersList(account.id, { userListParams: { offset: 0, limit: 10, query: email } })
+    setAccountRecoveryAccessCache(account.id, { status: 'accessible', userCount: users?.total ?? null })
+    if ((users?.items || []).some(item => normalizeEmail(item.email) === email)) {
+      return { inviteStatus: 'joined', accountStatus: 'active' }
+    }
+    const invites = await fetchAccountInvites(account.id, { inviteListParams: { offset: 0, limit: 10, query: email } })
+    if ((invites?.items || []).some(item => normalizeEmail(item.email_address) === email)) {
+      return { inviteStatus: 'pending', accountStatus: 'active' }
+    }
+    return { inviteStatus: job?.status === 'dead' ? 'failed' : 'removed', accountStatus: 'active' }
+  } catch (error) {
+    if (isAccountAccessFailure(error)) {
+      setAccountRecoveryAccessCache(account.id, { status: 'access_failure' })
+      return { inviteStatus: 'removed', accountStatus: 'unavailable' }
+    }
+    console.warn('兑换状态查询：同步账号成员失败', { accountId: account.id, error: error?.message || error })
+    return { inviteStatus: job?.status === 'dead' ? 'failed' : 'unknown', accountStatus: 'unknown' }
+  }
+}
+
+// 与 /recover 的判定保持一致：未作废的质保订单、未退款、在补录窗口内，且当前账号已封禁 / 无法访问 / 已删除
+const resolveLookupRecovery = (record, membership) => {
+  const windowEndsAt = buildRecoveryWindowEndsAt(record.redeemedAt)
+  const build = (available, reason) => ({ available, reason, windowEndsAt })
+  if (record.lifecycleStatus === 'voided') return build(false, 'voided')
+  if (isNoWarrantyOrderType(record.orderType)) return build(false, 'no_warranty')
+  if (record.refunded) return build(false, 'refunded')
+  if (!windowEndsAt || Date.parse(windowEndsAt) < Date.now()) return build(false, 'window_expired')
+  if (['banned', 'unavailable', 'missing'].includes(membership.accountStatus)) return build(true, 'account_unavailable')
+  if (membership.inviteStatus === 'removed') return build(false, 'removed')
+  return build(false, 'not_needed')
+}
+
+// 兑换状态自助查询（无需认证）：兑换码 / 订单号 + 邮箱，限流并需要人机验证
+router.post('/status', async (req, res) => {
+  try {
+    const quota = consumeStatusLookupQuota(req.ip)
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.retryAfterSeconds))
+      return res.status(429).json({ error: '查询过于频繁，请稍后再试', code: 'RATE_LIMITED', retryAfterSeconds: quota.retryAfterSeconds })
+    }
+
+    const { code, orderNo, email, turnstileToken = '' } = req.body || {}
+    const normalizedEmail = normalizeEmail(email)
+    const sanitizedCode = String(code || '').trim().toUpperCase()
+    const sanitizedOrderNo = String(orderNo || '').trim()
+
+    if (!normalizedEmail || !EMAIL_REGEX.test(normalizedEmail)) {
+      return res.status(400).json({ error: '请输入有效的邮箱地址' })
+    }
+    if (!sanitizedCode && !sanitizedOrderNo) {
+      return res.status(400).json({ error: '请输入兑换码或订单号' })
+    }
+    if (sanitizedCode && !CODE_REGEX.test(sanitizedCode)) {
+      return res.status(400).json({ error: '兑换码格式不正确（格式：XXXX-XXXX-XXXX）' })
+    }
+
+    if (await isTurnstileEnabled()) {
+      const normalizedTurnstileToken = String(turnstileToken || '').trim()
+      if (!normalizedTurnstileToken) {
+        return res.status(400).json({ error: '请先完成人机验证', code: 'TURNSTILE_REQUIRED' })
+      }
+      const verification = await verifyTurnstileToken(normalizedTurnstileToken, getClientIp(req))
+      if (!verification.success) {
+        return res.status(403).json({
+          error: '人机验证失败，请稍后再试',
+          code: 'TURNSTILE_FAILED',
+          turnstileErrors: verification.errorCodes || []
+        })
+      }
+    }
+
+    const db = await getDatabase()
+    const record = findRedemptionForLookup(db, {
+      code: sanitizedCode,
+      orderNo: sanitizedCode ? '' : sanitizedOrderNo,
+      email: normalizedEmail
+    })
+    if (!record) {
+      return res.status(404).json({ error: '未找到匹配的兑换记录，请确认兑换码 / 订单号与邮箱一致', code: 'NOT_FOUND' })
+    }
+    if (!record.redeemedAt) {
+      const message = record.lifecycleStatus === 'voided'
+        ? '该兑换码已作废，请联系客服'
+        : record.lifecycleStatus === 'expired'
+          ? '该兑换码已过期，请联系客服'
+          : '该兑换码尚未兑换，请先前往兑换页面完成兑换'
+      return res.status(404).json({ error: message, code: 'NOT_REDEEMED', codeStatus: record.lifecycleStatus })
+    }
+
+    const membership = await resolveLookupMembership({ ...record, email: normalizedEmail })
+    const serviceEndsMs = resolveOrderDeadlineMs(db, {
+      originalCodeId: record.codeId,
+      originalCode: record.code,
+      redeemedAt: record.redeemedAt,
+      orderType: record.orderType
+    })
+
+    res.json({
+      data: {
+        code: record.code,
+        orderNo: record.orderNo,
+        channel: record.channel,
+        orderType: normalizeOrderType(record.orderType),
+        codeStatus: record.lifecycleStatus,
+        redeemedAt: record.redeemedAt,
+        recovered: record.recovered,
+        accountEmail: record.account?.email || record.currentAccountEmail,
+        accountStatus: membership.accountStatus,
+        accountExpireAt: record.account?.expireAtMs ? new Date(record.account.expireAtMs).toISOString() : null,
+        inviteStatus: membership.inviteStatus,
+        inviteRetry: record.inviteJob && (INVITE_JOB_OPEN_STATUSES.has(record.inviteJob.status) || record.inviteJob.status === 'dead')
+          ? { status: record.inviteJob.status, nextAttemptAt: record.inviteJob.nextAttemptAt }
+          : null,
+        serviceEndsAt: Number.isFinite(serviceEndsMs) ? new Date(serviceEndsMs).toISOString() : null,
+        recovery: resolveLookupRecovery(record, membership)
+      }
+    })
+  } catch (error) {
+    console.error('兑换状态查询失败:', error)
+    res.status(500).json({ error: '服务器错误，请稍后再试' })
+  }
+})
+
 router.post('/xhs/search-order', requireFeatureEnabled('xhs'), async (req, res) => {
   try {
     const { orderNumber } = req.body || {}
@@ -1883,6 +2483,8 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
 	      const now = new Date()
 	      const fallbackToYesterdayEnabled = !strictTodayEnabled && now.getHours() >= 0 && now.getHours() < 8
         const minAccountExpireAt = formatExpireAtComparable(addDays(now, HISTORY_CODE_MIN_ACCOUNT_REMAINING_DAYS))
+        // 号池兑换码不绑定账号，只要开放账号还有空余席位即可在往日兜底中选出，兑换时再分配账号
+        const pooledSeats = getPooledSeatAvailability(db)
 
 		      const availableCodeResult = db.exec(
 		        `
@@ -1915,7 +2517,7 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
 		          `
 		            SELECT rc.id, rc.code, rc.created_at
 		            FROM redemption_codes rc
-                JOIN gpt_accounts ga
+                LEFT JOIN gpt_accounts ga
                   ON lower(trim(ga.email)) = lower(trim(rc.account_email))
 		            WHERE lower(trim(rc.channel)) = 'xhs'
 		              AND rc.is_redeemed = 0
@@ -1923,13 +2525,14 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
                   AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                   AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                   AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                  AND ga.expire_at IS NOT NULL
-                  AND trim(ga.expire_at) != ''
-                  AND trim(ga.expire_at) >= ?
+                  AND (
+                    (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                    OR (${pooledCodeSql('rc')} AND ? > 0)
+                  )
 		            ORDER BY rc.created_at ASC
 	            LIMIT 1
 	          `,
-            [minAccountExpireAt]
+            [minAccountExpireAt, pooledSeats]
 	        )
 	        selectedCodeRow = fallbackCodeResult?.[0]?.values?.[0] || null
 	      }
@@ -1939,20 +2542,21 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
           `
             SELECT rc.id, rc.code, rc.created_at
             FROM redemption_codes rc
-            JOIN gpt_accounts ga
+            LEFT JOIN gpt_accounts ga
               ON lower(trim(ga.email)) = lower(trim(rc.account_email))
             WHERE lower(trim(rc.channel)) = 'xhs'
               AND rc.is_redeemed = 0
               AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
               AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
               AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-              AND ga.expire_at IS NOT NULL
-              AND trim(ga.expire_at) != ''
-              AND trim(ga.expire_at) >= ?
+              AND (
+                (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                OR (${pooledCodeSql('rc')} AND ? > 0)
+              )
             ORDER BY rc.created_at ASC
             LIMIT 1
           `,
-          [minAccountExpireAt]
+          [minAccountExpireAt, pooledSeats]
         )
         selectedCodeRow = anyDateCodeResult?.[0]?.values?.[0] || null
       }
@@ -1989,7 +2593,7 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
                 `
                   SELECT rc.id, rc.code, rc.created_at
                   FROM redemption_codes rc
-                  JOIN gpt_accounts ga
+                  LEFT JOIN gpt_accounts ga
                     ON lower(trim(ga.email)) = lower(trim(rc.account_email))
                   WHERE COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = 'common'
                     AND rc.is_redeemed = 0
@@ -1997,13 +2601,14 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
                     AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                     AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                     AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                    AND ga.expire_at IS NOT NULL
-                    AND trim(ga.expire_at) != ''
-                    AND trim(ga.expire_at) >= ?
+                    AND (
+                      (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                      OR (${pooledCodeSql('rc')} AND ? > 0)
+                    )
 	                  ORDER BY rc.created_at ASC
                   LIMIT 1
                 `,
-                [minAccountExpireAt]
+                [minAccountExpireAt, pooledSeats]
               )
               commonCodeRow = commonYesterdayResult?.[0]?.values?.[0] || null
             }
@@ -2013,20 +2618,21 @@ router.post('/xhs/redeem-order', requireFeatureEnabled('xhs'), async (req, res)
                 `
                   SELECT rc.id, rc.code, rc.created_at
                   FROM redemption_codes rc
-                  JOIN gpt_accounts ga
+                  LEFT JOIN gpt_accounts ga
                     ON lower(trim(ga.email)) = lower(trim(rc.account_email))
                   WHERE COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = 'common'
                     AND rc.is_redeemed = 0
                     AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                     AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                     AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                    AND ga.expire_at IS NOT NULL
-                    AND trim(ga.expire_at) != ''
-                    AND trim(ga.expire_at) >= ?
+                    AND (
+                      (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                      OR (${pooledCodeSql('rc')} AND ? > 0)
+                    )
                     ORDER BY rc.created_at ASC
                   LIMIT 1
                 `,
-                [minAccountExpireAt]
+                [minAccountExpireAt, pooledSeats]
               )
               commonCodeRow = commonAnyDateResult?.[0]?.values?.[0] || null
             }
@@ -2258,6 +2864,8 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
 	      const now = new Date()
 	      const fallbackToYesterdayEnabled = !strictTodayEnabled && now.getHours() >= 0 && now.getHours() < 8
         const minAccountExpireAt = formatExpireAtComparable(addDays(now, HISTORY_CODE_MIN_ACCOUNT_REMAINING_DAYS))
+        // 号池兑换码不绑定账号，只要开放账号还有空余席位即可在往日兜底中选出，兑换时再分配账号
+        const pooledSeats = getPooledSeatAvailability(db)
 	      const resolvedOrderType = resolveXianyuOrderTypeFromActualPaid(orderRecord.actualPaid)
 
 		      const availableCodeResult = db.exec(
@@ -2291,7 +2899,7 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
 	          `
 	            SELECT rc.id, rc.code, rc.created_at
 	            FROM redemption_codes rc
-              JOIN gpt_accounts ga
+              LEFT JOIN gpt_accounts ga
                 ON lower(trim(ga.email)) = lower(trim(rc.account_email))
 	            WHERE lower(trim(rc.channel)) = 'xianyu'
 	              AND rc.is_redeemed = 0
@@ -2299,13 +2907,14 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
                 AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                 AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                 AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                AND ga.expire_at IS NOT NULL
-                AND trim(ga.expire_at) != ''
-                AND trim(ga.expire_at) >= ?
+                AND (
+                  (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                  OR (${pooledCodeSql('rc')} AND ? > 0)
+                )
 	            ORDER BY rc.created_at ASC
             LIMIT 1
           `,
-          [minAccountExpireAt]
+          [minAccountExpireAt, pooledSeats]
         )
 	        selectedCodeRow = fallbackCodeResult?.[0]?.values?.[0] || null
 	      }
@@ -2315,20 +2924,21 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
           `
             SELECT rc.id, rc.code, rc.created_at
             FROM redemption_codes rc
-            JOIN gpt_accounts ga
+            LEFT JOIN gpt_accounts ga
               ON lower(trim(ga.email)) = lower(trim(rc.account_email))
             WHERE lower(trim(rc.channel)) = 'xianyu'
               AND rc.is_redeemed = 0
               AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
               AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
               AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-              AND ga.expire_at IS NOT NULL
-              AND trim(ga.expire_at) != ''
-              AND trim(ga.expire_at) >= ?
+              AND (
+                (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                OR (${pooledCodeSql('rc')} AND ? > 0)
+              )
             ORDER BY rc.created_at ASC
             LIMIT 1
           `,
-          [minAccountExpireAt]
+          [minAccountExpireAt, pooledSeats]
         )
         selectedCodeRow = anyDateCodeResult?.[0]?.values?.[0] || null
       }
@@ -2365,7 +2975,7 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
                 `
                   SELECT rc.id, rc.code, rc.created_at
                   FROM redemption_codes rc
-                  JOIN gpt_accounts ga
+                  LEFT JOIN gpt_accounts ga
                     ON lower(trim(ga.email)) = lower(trim(rc.account_email))
                   WHERE COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = 'common'
                     AND rc.is_redeemed = 0
@@ -2373,13 +2983,14 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
                     AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                     AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                     AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                    AND ga.expire_at IS NOT NULL
-                    AND trim(ga.expire_at) != ''
-                    AND trim(ga.expire_at) >= ?
+                    AND (
+                      (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                      OR (${pooledCodeSql('rc')} AND ? > 0)
+                    )
 	                  ORDER BY rc.created_at ASC
                   LIMIT 1
                 `,
-                [minAccountExpireAt]
+                [minAccountExpireAt, pooledSeats]
               )
               commonCodeRow = commonYesterdayResult?.[0]?.values?.[0] || null
             }
@@ -2389,20 +3000,21 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
                 `
                   SELECT rc.id, rc.code, rc.created_at
                   FROM redemption_codes rc
-                  JOIN gpt_accounts ga
+                  LEFT JOIN gpt_accounts ga
                     ON lower(trim(ga.email)) = lower(trim(rc.account_email))
                   WHERE COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common') = 'common'
                     AND rc.is_redeemed = 0
                     AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
                     AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
                     AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
-                    AND ga.expire_at IS NOT NULL
-                    AND trim(ga.expire_at) != ''
-                    AND trim(ga.expire_at) >= ?
+                    AND (
+                      (ga.expire_at IS NOT NULL AND trim(ga.expire_at) != '' AND trim(ga.expire_at) >= ?)
+                      OR (${pooledCodeSql('rc')} AND ? > 0)
+                    )
                     ORDER BY rc.created_at ASC
                   LIMIT 1
                 `,
-                [minAccountExpireAt]
+                [minAccountExpireAt, pooledSeats]
               )
               commonCodeRow = commonAnyDateResult?.[0]?.values?.[0] || null
             }
@@ -2516,7 +3128,7 @@ router.post('/xianyu/redeem-order', requireFeatureEnabled('xianyu'), async (req,
 })
 
 // ArtisanFlow 渠道 API：获取当天创建的兑换码
-router.get('/artisan-flow/today', apiKeyAuth, async (req, res) => {
+router.get('/artisan-flow/today', requireApiKey('codes:read:artisan-flow'), async (req, res) => {
   try {
     const db = await getDatabase()
 
@@ -3,12 +3,12 @@ import bcrypt from 'bcryptjs'
 import crypto from 'crypto'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
-import { requireMenu, requireSuperAdmin } from '../middleware/rbac.js'
 import { getAdminMenuTreeForAccessContext, getUserAccessContext } from '../services/rbac.js'
 import { withLocks } from '../utils/locks.js'
 import { redeemCodeInternal } from './redemption-codes.js'
 import { getPointsWithdrawSettings } from '../utils/points-withdraw-settings.js'
 import { listUserPointsLedger, safeInsertPointsLedgerEntry } from '../utils/points-ledger.js'
+import { getRuntimeSetting } from '../utils/runtime-settings.js'
 
 const router = express.Router()
 
@@ -164,7 +164,6 @@ router.get('/invite-summary', authenticateToken, async (req, res) => {
 })
 
 const TEAM_SEAT_COST_POINTS = Math.max(1, toInt(process.env.TEAM_SEAT_COST_POINTS, 15))
-const INVITE_UNLOCK_COST_POINTS = Math.max(1, toInt(process.env.INVITE_UNLOCK_COST_POINTS, 15))
 
 const WITHDRAW_MAX_POINTS_PER_REQUEST = Math.max(0, toInt(process.env.WITHDRAW_MAX_POINTS_PER_REQUEST, 500))
 const WITHDRAW_DAILY_MAX_POINTS = Math.max(0, toInt(process.env.WITHDRAW_DAILY_MAX_POINTS, 500))
@@ -249,9 +248,13 @@ router.get('/points/meta', authenticateToken, async (req, res) => {
       [SEAT_TYPE_DEMOTED]: 0,
     }
     const withdrawSettings = await getPointsWithdrawSettings(db)
+    const inviteUnlockCostPoints = await getRuntimeSetting('inviteUnlockCostPoints', db)
 
     res.json({
       points,
+      invite: {
+        costPoints: inviteUnlockCostPoints,
+      },
       seat: {
         costPoints: TEAM_SEAT_COST_POINTS,
         remaining,
@@ -286,6 +289,7 @@ router.post('/points/redeem/invite', authenticateToken, async (req, res) => {
   }
 
   try {
+    const inviteUnlockCostPoints = await getRuntimeSetting('inviteUnlockCostPoints')
     const result = await withLocks([`points:redeem-invite`, `points:user:${userId}`], async () => {
       const db = await getDatabase()
       const userResult = db.exec(
@@ -304,19 +308,19 @@ router.post('/points/redeem/invite', authenticateToken, async (req, res) => {
         return { ok: false, status: 409, error: '已拥有邀请权限，无需兑换' }
       }
 
-      if (points < INVITE_UNLOCK_COST_POINTS) {
-        return { ok: false, status: 409, error: `积分不足（需要 ${INVITE_UNLOCK_COST_POINTS} 积分）` }
+      if (points < inviteUnlockCostPoints) {
+        return { ok: false, status: 409, error: `积分不足（需要 ${inviteUnlockCostPoints} 积分）` }
       }
 
       db.run(
         'UPDATE users SET points = COALESCE(points, 0) - ?, invite_enabled = 1 WHERE id = ?',
-        [INVITE_UNLOCK_COST_POINTS, userId]
+        [inviteUnlockCostPoints, userId]
       )
       safeInsertPointsLedgerEntry(db, {
         userId,
-        deltaPoints: -INVITE_UNLOCK_COST_POINTS,
+        deltaPoints: -inviteUnlockCostPoints,
         pointsBefore: points,
-        pointsAfter: points - INVITE_UNLOCK_COST_POINTS,
+        pointsAfter: points - inviteUnlockCostPoints,
         action: 'redeem_invite_unlock',
         remark: '开通邀请权限'
       })
@@ -336,7 +340,7 @@ router.post('/points/redeem/invite', authenticateToken, async (req, res) => {
       points: result.points,
       invite: {
         enabled: true,
-        costPoints: INVITE_UNLOCK_COST_POINTS,
+        costPoints: inviteUnlockCostPoints,
       }
     })
   } catch (error) {
@@ -454,7 +458,7 @@ router.get('/points/withdrawals', authenticateToken, async (req, res) => {
 
     const result = db.exec(
       `
-        SELECT id, points, cash_amount, method, payout_account, status, remark, created_at, updated_at, processed_at
+        SELECT id, points, cash_amount, method, payout_account, status, remark, created_at, updated_at, processed_at, payout_ref
         FROM points_withdrawals
         WHERE user_id = ?
         ORDER BY created_at DESC
@@ -476,6 +480,7 @@ router.get('/points/withdrawals', authenticateToken, async (req, res) => {
         createdAt: row[7],
         updatedAt: row[8],
         processedAt: row[9] || null,
+        payoutRef: row[10] || null,
       }))
     })
   } catch (error) {
@@ -854,65 +859,4 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 })
 
-// Get API key
-router.get('/api-key', authenticateToken, requireSuperAdmin, requireMenu('settings'), async (req, res) => {
-  try {
-    const db = await getDatabase()
-    const result = db.exec('SELECT config_value FROM system_config WHERE config_key = "auto_boarding_api_key"')
-
-    if (result.length === 0 || result[0].values.length === 0) {
-      return res.json({ apiKey: null, configured: false })
-    }
-
-    res.json({ apiKey: result[0].values[0][0], configured: true })
-  } catch (error) {
-    console.error('Get API key error:', error)
-    res.status(500).json({ error: 'Internal server error' })
-  }
-})
-
-// Update API key
-router.put('/api-key', authenticateToken, requireSuperAdmin, requireMenu('settings'), async (req, res) => {
-  try {
-    const { apiKey } = req.body
-
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' })
-    }
-
-    if (apiKey.length < 16) {
-      return res.status(400).json({ error: 'API key must be at least 16 characters for security' })
-    }
-
-    const db = await getDatabase()
-
-    // Check if key exists
-    const checkResult = db.exec('SELECT id FROM system_config WHERE config_key = "auto_boarding_api_key"')
-
-    if (checkResult.length === 0 || checkResult[0].values.length === 0) {
-      // Insert new
-      db.run(
-        `INSERT INTO system_config (config_key, config_value, updated_at) VALUES (?, ?, DATETIME('now', 'localtime'))`,
-        ['auto_boarding_api_key', apiKey]
-      )
-    } else {
-      // Update existing
-      db.run(
-        `UPDATE system_config SET config_value = ?, updated_at = DATETIME('now', 'localtime') WHERE config_key = "auto_boarding_api_key"`,
-        [apiKey]
-      )
-    }
-
-    saveDatabase()
-
-    res.json({
-      message: 'API key updated successfully',
-      apiKey: apiKey
-    })
-  } catch (error) {
-    console.error('Update API key error:', error)
-    res.status(500).json({ error: 'Internal server error' })
-  }
-})
-
 export default router
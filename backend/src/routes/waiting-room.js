@@ -2,13 +2,16 @@ import express from 'express'
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { authenticateLinuxDoSession } from '../middleware/linuxdo-session.js'
 import { verifyTurnstileToken, isTurnstileEnabled } from '../utils/turnstile.js'
 import { redeemCodeInternal, RedemptionError } from './redemption-codes.js'
+import { emitWebhookEvent } from '../services/webhooks.js'
+import { recordAuditLog } from '../utils/audit-log.js'
 
 const router = express.Router()
 
-router.use('/admin', authenticateToken, requireMenu('waiting_room'))
+router.use('/admin', authenticateToken, requireMenu('waiting_room'), auditMutations('waiting_room_entry'))
 
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -227,6 +230,17 @@ const normalizeTrustLevel = (value) => {
   return Number.isFinite(parsed) ? parsed : 0
 }
 
+const toEntryAuditSnapshot = (entry) => (entry
+  ? {
+      status: entry.status,
+      email: entry.email || null,
+      reservedCodeId: entry.reservedCodeId || null,
+      reservedCode: entry.reservedCode || null,
+      boardedAt: entry.boardedAt || null,
+      leftAt: entry.leftAt || null
+    }
+  : null)
+
 const fetchEntryById = (db, entryId) => {
   const result = db.exec(
     `
@@ -641,8 +655,16 @@ router.post('/admin/entries/:id/bind-code', async (req, res) => {
       [resolvedCodeId, resolvedCode, req.user?.username || null, entry.id]
     )
 
-    saveDatabase()
     const updatedEntry = fetchEntryById(db, entry.id)
+    recordAuditLog(db, req, {
+      action: 'waiting_room.bind_code',
+      targetType: 'waiting_room_entry',
+      targetId: entry.id,
+      summary: `为 ${entry.linuxDoUsername || entry.linuxDoUid || entry.id} 绑定兑换码 ${resolvedCode}`,
+      before: toEntryAuditSnapshot(entry),
+      after: toEntryAuditSnapshot(updatedEntry)
+    })
+    saveDatabase()
 
     res.json({
       message: '已绑定兑换码',
@@ -730,8 +752,15 @@ router.post('/admin/entries/:id/clear-reservation', async (req, res) => {
       return res.status(400).json({ error: '当前记录没有绑定兑换码' })
     }
 
-    saveDatabase()
     const updatedEntry = fetchEntryById(db, entry.id)
+    recordAuditLog(db, req, {
+      action: 'waiting_room.clear_reservation',
+      targetType: 'waiting_room_entry',
+      targetId: entry.id,
+      before: toEntryAuditSnapshot(entry),
+      after: toEntryAuditSnapshot(updatedEntry)
+    })
+    saveDatabase()
     res.json({ message: '已解除绑定', entry: updatedEntry })
   } catch (error) {
     console.error('[WaitingRoom] 解除兑换码失败:', error)
@@ -845,8 +874,26 @@ router.post('/admin/entries/:id/status', async (req, res) => {
       )
     }
 
-    saveDatabase()
     const updatedEntry = fetchEntryById(db, entry.id)
+    recordAuditLog(db, req, {
+      action: 'waiting_room.status',
+      targetType: 'waiting_room_entry',
+      targetId: entry.id,
+      summary: `${entry.linuxDoUsername || entry.linuxDoUid || entry.id}: ${entry.status} → ${nextStatus}`,
+      before: toEntryAuditSnapshot(entry),
+      after: toEntryAuditSnapshot(updatedEntry)
+    })
+    saveDatabase()
+    if (nextStatus === 'boarded') {
+      await emitWebhookEvent('waiting_room.boarded', {
+        entryId: updatedEntry.id,
+        linuxDoUid: updatedEntry.linuxDoUid,
+        email: updatedEntry.email,
+        code: updatedEntry.reservedCode || null,
+        accountEmail: null,
+        source: 'admin'
+      }, { db })
+    }
     res.json({ message: '状态已更新', entry: updatedEntry })
   } catch (error) {
     console.error('[WaitingRoom] 更新状态失败:', error)
@@ -874,6 +921,13 @@ router.post('/admin/clear-queue', async (req, res) => {
         `,
         [entry.id]
       )
+      recordAuditLog(db, req, {
+        action: 'waiting_room.clear_queue',
+        targetType: 'waiting_room_entry',
+        targetId: entry.id,
+        before: toEntryAuditSnapshot(entry),
+        after: toEntryAuditSnapshot(fetchEntryById(db, entry.id))
+      })
     })
 
     saveDatabase()
@@ -1,6 +1,7 @@
 import express from 'express'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { getDatabase } from '../database/init.js'
 import {
   getXhsConfig,
@@ -43,7 +44,7 @@ const extractEmailFromRedeemedBy = (redeemedBy) => {
 
 router.use(requireFeatureEnabled('xhs'))
 
-router.use(authenticateToken, requireMenu('xhs_orders'))
+router.use(authenticateToken, requireMenu('xhs_orders'), auditMutations('xhs'))
 
 router.get('/config', async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 import express from 'express'
 import { authenticateToken } from '../middleware/auth.js'
 import { requireMenu } from '../middleware/rbac.js'
+import { auditMutations } from '../middleware/audit-log.js'
 import { getDatabase } from '../database/init.js'
 import {
   getXianyuConfig,
@@ -50,7 +51,7 @@ const setSyncing = (value) => {
 
 router.use(requireFeatureEnabled('xianyu'))
 
-router.use(authenticateToken, requireMenu('xianyu_orders'))
+router.use(authenticateToken, requireMenu('xianyu_orders'), auditMutations('xianyu'))
 
 router.get('/config', async (req, res) => {
   try {
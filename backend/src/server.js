@@ -1,39 +1,24 @@
-import express from 'express'
-import cors from 'cors'
-import dotenv from 'dotenv'
-import authRoutes from './routes/auth.js'
-import userRoutes from './routes/user.js'
-import gptAccountsRoutes from './routes/gpt-accounts.js'
-import autoBoardingRoutes from './routes/auto-boarding.js'
-import redemptionCodesRoutes from './routes/redemption-codes.js'
-import openaiAccountsRoutes from './routes/openai-accounts.js'
-import linuxDoAuthRoutes from './routes/linuxdo-auth.js'
-import waitingRoomRoutes from './routes/waiting-room.js'
-import configRoutes from './routes/config.js'
-import versionRoutes from './routes/version.js'
-import xhsRoutes from './routes/xhs.js'
-import xianyuRoutes from './routes/xianyu.js'
-import openAccountsRoutes from './routes/open-accounts.js'
-import purchaseRoutes from './routes/purchase.js'
-import creditRoutes from './routes/credit.js'
-import adminRoutes from './routes/admin.js'
-import adminStatsRoutes from './routes/admin-stats.js'
-import announcementsRoutes from './routes/announcements.js'
-import adminAnnouncementsRoutes from './routes/admin-announcements.js'
-import { initDatabase } from './database/init.js'
+import app from './app.js'
+import { initDatabase, closeDatabase } from './database/init.js'
+import { initLockProvider } from './utils/locks.js'
 import { startWaitingRoomAutoBoardingScheduler } from './services/waiting-room-auto-boarding.js'
 import { startOpenAccountsOvercapacitySweeper } from './services/open-accounts-sweeper.js'
 import { startOrderExpirationSweeper } from './services/order-expiration-sweeper.js'
+import { bootstrapEnvApiKey } from './services/api-keys.js'
+import { startCodeExpirationSweeper } from './services/code-expiration-sweeper.js'
+import { startInviteRetryQueue } from './services/invite-retry-queue.js'
 import { startCreditOrderActionSweeper } from './services/credit-order-action-sweeper.js'
 import { startTelegramBot } from './services/telegram-bot.js'
 import { startXianyuLoginRefreshScheduler } from './services/xianyu-login-refresh.js'
 import { startXhsAutoSyncScheduler } from './services/xhs-auto-sync.js'
 import { startXianyuWsDeliveryBot } from './services/xianyu-ws-delivery.js'
+import { startWebhookDispatcher } from './services/webhooks.js'
+import { startAccountHealthChecker } from './services/account-health.js'
+import { startStockForecastScheduler } from './services/stock-forecast.js'
+import { startPurchaseExpiryReminder } from './services/purchase-expiry-reminder.js'
 
-dotenv.config()
-
-const app = express()
 const PORT = process.env.PORT || 3000
+const FATAL_INIT_ERROR_CODES = new Set(['DB_MIGRATIONS_BLOCKED', 'LOCK_PROVIDER_INVALID'])
 const INSECURE_DEFAULT_JWT_SECRET = 'your-secret-key-change-this-in-production'
 
 const isProduction = String(process.env.NODE_ENV || '').trim().toLowerCase() === 'production'
@@ -46,84 +31,48 @@ if (isProduction) {
 }
 
 const startServer = () => {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`)
   })
-}
-
-// Middleware
-app.disable('x-powered-by')
 
-const parseCorsOrigins = () => {
-  const raw = String(process.env.CORS_ORIGINS || process.env.CORS_ORIGIN || '').trim()
-  if (!raw) {
-    return new Set(['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'])
+  let shuttingDown = false
+  const shutdown = async (signal) => {
+    if (shuttingDown) return
+    shuttingDown = true
+    console.log(`[Server] 收到 ${signal}，正在关闭`)
+    server.close()
+    try {
+      await closeDatabase()
+    } catch (error) {
+      console.error('[Server] 关闭数据库失败:', error?.message || error)
+    }
+    process.exit(0)
   }
-  return new Set(
-    raw
-      .split(/[,\s]+/)
-      .map(origin => origin.trim())
-      .filter(Boolean)
-  )
-}
-
-const corsOrigins = parseCorsOrigins()
-// 添加请求日志中间件，放在 CORS 之前
-app.use((req, _res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`)
-  // console.log('[Headers]', {
-  //   origin: req.headers.origin,
-  //   'access-control-request-method': req.headers['access-control-request-method'],
-  //   'access-control-request-headers': req.headers['access-control-request-headers']
-  // })
-  next()
-})
 
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      // console.log('[CORS] Request Origin:', origin)
-      // console.log('[CORS] Allowed origins:', Array.from(corsOrigins))
-      // console.log('[CORS] Has match:', corsOrigins.has(origin))
-      if (!origin) {
-        console.log('[CORS] No origin header, allowing request')
-        return callback(null, true)
-      }
-      const allowed = corsOrigins.has(origin)
-      // console.log('[CORS] Decision:', allowed ? 'ALLOW' : 'DENY')
-      return callback(null, allowed)
-    },
-    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Linuxdo-Token', 'Cache-Control', 'Pragma'],
-    credentials: false,
-    maxAge: 86400
-  })
-)
-app.use(express.json())
-app.use(express.urlencoded({ extended: false }))
-
-// 禁用 ETag 以避免 304 缓存问题
-app.set('etag', false)
-app.use((req, res, next) => {
-  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private')
-  res.set('Pragma', 'no-cache')
-  res.set('Expires', '0')
-  res.set('X-Content-Type-Options', 'nosniff')
-  res.set('X-Frame-Options', 'DENY')
-  res.set('Referrer-Policy', 'no-referrer')
-  next()
-})
+  process.on('SIGINT', () => shutdown('SIGINT'))
+  process.on('SIGTERM', () => shutdown('SIGTERM'))
+}
 
 // Initialize database
 initDatabase()
   .then(async () => {
     const dbPath = process.env.DATABASE_PATH || './db/database.sqlite'
     console.log(`Database initialized at: ${dbPath}`)
+    await initLockProvider()
+    await bootstrapEnvApiKey().catch(error => {
+      console.warn('[API Keys] import AUTO_BOARDING_API_KEY failed:', error?.message || error)
+    })
 
 	    startWaitingRoomAutoBoardingScheduler()
 	    startOpenAccountsOvercapacitySweeper()
 	    startOrderExpirationSweeper()
+	    startCodeExpirationSweeper()
+	    startInviteRetryQueue()
 	    startCreditOrderActionSweeper()
+	    startWebhookDispatcher()
+	    startAccountHealthChecker()
+	    startStockForecastScheduler()
+	    startPurchaseExpiryReminder()
 	    await startTelegramBot().catch(error => {
 	      console.error('[Telegram Bot] start failed:', error)
 	    })
@@ -135,35 +84,9 @@ initDatabase()
 	  })
   .catch(error => {
     console.error('Failed to initialize database:', error)
+    // 迁移记录校验失败 / 存在未执行迁移 / 锁配置错误时不应继续启动（多副本下会破坏一致性）
+    if (FATAL_INIT_ERROR_CODES.has(error?.code)) {
+      process.exit(1)
+    }
     startServer()
   })
-
-// Routes
-app.use('/api/auth', authRoutes)
-app.use('/api/user', userRoutes)
-app.use('/api/announcements', announcementsRoutes)
-app.use('/api/gpt-accounts', gptAccountsRoutes)
-app.use('/api/auto-boarding', autoBoardingRoutes)
-app.use('/api/redemption-codes', redemptionCodesRoutes)
-app.use('/api/openai-accounts', openaiAccountsRoutes)
-app.use('/api/linuxdo', linuxDoAuthRoutes)
-app.use('/api/config', configRoutes)
-app.use('/api/version', versionRoutes)
-app.use('/api/waiting-room', waitingRoomRoutes)
-app.use('/api/xhs', xhsRoutes)
-app.use('/api/xianyu', xianyuRoutes)
-app.use('/api/open-accounts', openAccountsRoutes)
-app.use('/api/purchase', purchaseRoutes)
-app.use('/api/credit', creditRoutes)
-app.use('/api/admin/stats', adminStatsRoutes)
-app.use('/api/admin/announcements', adminAnnouncementsRoutes)
-app.use('/api/admin', adminRoutes)
-// ZPAY 的异步回调示例为 /notify?...，这里提供无 /api 前缀的兼容入口
-app.all('/notify', purchaseRoutes)
-// Linux DO Credit 的异步回调会按 /credit/notify 访问，这里提供无 /api 前缀的兼容入口
-app.use('/credit', creditRoutes)
-
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' })
-})
- 
@@ -0,0 +1,425 @@
+import axios from 'axios'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { fencedWrite, withLocks } from '../utils/locks.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { AccountSyncError, fetchAccountUsersList } from './account-sync.js'
+import { sendAdminAlertEmail } from './email-service.js'
+import { emitWebhookEvent } from './webhooks.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+
+const LABEL = '[AccountHealth]'
+const JOB = {
+  key: 'account-health-checker',
+  label: '账号健康巡检',
+  description: '定时检查账号令牌与封禁状态，连续失败达到阈值自动隔离',
+}
+
+export const OPENAI_CLIENT_ID = 'app_EMoamEEZ73f0CkXaXp7hrann'
+
+export const ACCOUNT_HEALTH_STATUSES = ['normal', 'expired', 'banned', 'failed']
+// banned 由封号流程单独处理（自动关闭开放并标记封号），不计入连续失败
+const FAILURE_STATUSES = new Set(['expired', 'failed'])
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.ACCOUNT_HEALTH_CHECK_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const intervalMinutes = () => getRuntimeSettingValue('accountHealthCheckIntervalMinutes')
+const initialDelayMs = () => Math.max(1000, toInt(process.env.ACCOUNT_HEALTH_CHECK_INITIAL_DELAY_MS, 120_000))
+const concurrency = () => Math.max(1, toInt(process.env.ACCOUNT_HEALTH_CHECK_CONCURRENCY, 3))
+const maxAccountsPerRun = () => Math.max(1, toInt(process.env.ACCOUNT_HEALTH_CHECK_MAX_ACCOUNTS, 300))
+const retentionDays = () => Math.max(1, toInt(process.env.ACCOUNT_HEALTH_CHECK_RETENTION_DAYS, 30))
+// 连续失败达到该次数后自动关闭开放并隔离；0 表示只记录不隔离
+export const getQuarantineThreshold = () => Math.max(0, toInt(process.env.ACCOUNT_HEALTH_QUARANTINE_THRESHOLD, 3))
+
+const pad2 = (value) => String(value).padStart(2, '0')
+const EXPIRE_AT_PARSE_REGEX = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/
+export const parseExpireAtToMs = (value) => {
+  const raw = String(value ?? '').trim()
+  if (!raw) return null
+  const match = raw.match(EXPIRE_AT_PARSE_REGEX)
+  if (!match) return null
+
+  const year = Number(match[1])
+  const month = Number(match[2])
+  const day = Number(match[3])
+  const hour = Number(match[4])
+  const minute = Number(match[5])
+  const second = match[6] != null ? Number(match[6]) : 0
+
+  if (![year, month, day, hour, minute, second].every(Number.isFinite)) return null
+  if (month < 1 || month > 12) return null
+  if (day < 1 || day > 31) return null
+  if (hour < 0 || hour > 23) return null
+  if (minute < 0 || minute > 59) return null
+  if (second < 0 || second > 59) return null
+
+  // NOTE: gpt_accounts.expire_at is stored as Asia/Shanghai time.
+  const iso = `${match[1]}-${pad2(month)}-${pad2(day)}T${pad2(hour)}:${pad2(minute)}:${pad2(second)}+08:00`
+  const parsed = Date.parse(iso)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+export const refreshAccessTokenWithRefreshToken = async (refreshToken) => {
+  const normalized = String(refreshToken || '').trim()
+  if (!normalized) {
+    throw new AccountSyncError('该账号未配置 refresh token', 400)
+  }
+
+  const requestData = new URLSearchParams({
+    grant_type: 'refresh_token',
+    client_id: OPENAI_CLIENT_ID,
+    refresh_token: normalized,
+    scope: 'openid profile email'
+  }).toString()
+
+  const requestOptions = {
+    method: 'POST',
+    url: 'https://auth.openai.com/oauth/token',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': requestData.length
+    },
+    data: requestData,
+    timeout: 60000
+  }
+
+  try {
+    const response = await axios(requestOptions)
+    if (response.status !== 200 || !response.data?.access_token) {
+      throw new AccountSyncError('刷新 token 失败，未返回有效凭证', 502)
+    }
+
+    const resultData = response.data
+    return {
+      accessToken: resultData.access_token,
+      refreshToken: resultData.refresh_token || normalized,
+      idToken: resultData.id_token,
+      expiresIn: resultData.expires_in || 3600
+    }
+  } catch (error) {
+    if (error?.response) {
+      const message =
+        error.response.data?.error?.message ||
+        error.response.data?.error_description ||
+        error.response.data?.error ||
+        '刷新 token 失败'
+
+      throw new AccountSyncError(message, 502)
+    }
+
+    throw new AccountSyncError(error?.message || '刷新 token 网络错误', 503)
+  }
+}
+
+export const persistAccountTokens = async (db, accountId, tokens) => {
+  if (!tokens?.accessToken) return null
+  const nextRefreshToken = tokens.refreshToken ? String(tokens.refreshToken).trim() : ''
+
+  db.run(
+    `UPDATE gpt_accounts SET token = ?, refresh_token = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+    [tokens.accessToken, nextRefreshToken || null, accountId]
+  )
+  await saveDatabase()
+  return { accessToken: tokens.accessToken, refreshToken: nextRefreshToken || null }
+}
+
+export const checkSingleAccountStatus = async (db, account, nowMs) => {
+  const base = {
+    id: account.id,
+    email: account.email,
+    createdAt: account.createdAt,
+    expireAt: account.expireAt || null,
+    refreshed: false
+  }
+
+  if (account.isBanned) {
+    return { ...base, status: 'banned', reason: null }
+  }
+
+  const expireAtMs = parseExpireAtToMs(account.expireAt)
+  if (expireAtMs != null && expireAtMs < nowMs) {
+    return { ...base, status: 'expired', reason: 'expireAt 已过期' }
+  }
+
+  try {
+    await fetchAccountUsersList(account.id, {
+      accountRecord: account,
+      userListParams: { offset: 0, limit: 1, query: '' }
+    })
+    return { ...base, status: 'normal', reason: null }
+  } catch (error) {
+    const message = error?.message ? String(error.message) : String(error || '')
+    const status = Number(error?.status || 0)
+
+    if (message.includes('account_deactivated') || message.includes('已自动标记为封号')) {
+      return { ...base, status: 'banned', reason: message || null }
+    }
+
+    if (status === 401) {
+      const storedRefreshToken = String(account.refreshToken || '').trim()
+      if (!storedRefreshToken) {
+        const reason = message
+          ? `${message}`
+          : 'Token 已过期或无效（未配置 refresh token）'
+        return { ...base, status: 'expired', reason }
+      }
+
+      // Best-effort: try to refresh and re-check once.
+      try {
+        const refreshedTokens = await refreshAccessTokenWithRefreshToken(storedRefreshToken)
+        const persisted = await persistAccountTokens(db, account.id, refreshedTokens)
+
+        const nextAccount = {
+          ...account,
+          token: persisted?.accessToken || account.token,
+          refreshToken: persisted?.refreshToken || account.refreshToken
+        }
+
+        try {
+          await fetchAccountUsersList(account.id, {
+            accountRecord: nextAccount,
+            userListParams: { offset: 0, limit: 1, query: '' }
+          })
+          return { ...base, status: 'normal', refreshed: true, reason: 'Token 已过期，已使用 refresh token 自动刷新' }
+        } catch (recheckError) {
+          const reMsg = recheckError?.message ? String(recheckError.message) : String(recheckError || '')
+          const reStatus = Number(recheckError?.status || 0)
+
+          if (reMsg.includes('account_deactivated') || reMsg.includes('已自动标记为封号')) {
+            return { ...base, status: 'banned', refreshed: true, reason: reMsg || null }
+          }
+          if (reStatus === 401) {
+            return { ...base, status: 'expired', refreshed: true, reason: reMsg || 'Token 已过期，已尝试刷新但仍无效' }
+          }
+          return { ...base, status: 'failed', refreshed: true, reason: reMsg || 'Token 已过期，已刷新但校验失败' }
+        }
+      } catch (refreshError) {
+        const refreshMsg = refreshError?.message ? String(refreshError.message) : String(refreshError || '')
+        const reason = refreshMsg
+          ? `Token 已过期，refresh token 刷新失败：${refreshMsg}`
+          : 'Token 已过期，refresh token 刷新失败'
+        return { ...base, status: 'expired', reason }
+      }
+    }
+
+    return { ...base, status: 'failed', reason: message || '检查失败' }
+  }
+}
+
+const notifyAccountQuarantined = async (db, { id, email, failStreak, status, reason, source }) => {
+  await emitWebhookEvent('account.quarantined', { id, email, failStreak, status, reason, source }, { db })
+
+  const lines = [
+    `账号 ${email || id} 连续 ${failStreak} 次健康检查未通过，已自动关闭开放并隔离（不再参与兑换码分配）。`,
+    `最近一次结果：${status}${reason ? `（${reason}）` : ''}`,
+    `检查来源：${source === 'scheduled' ? '定时巡检' : '后台手动检查'}`,
+    '确认账号恢复后，可在账号管理中重新设为开放以解除隔离。'
+  ]
+  sendAdminAlertEmail({ subject: `账号已自动隔离：${email || id}`, text: lines.join('\n') }).catch(error => {
+    console.warn(`${LABEL} send alert email failed`, error?.message || error)
+  })
+}
+
+/**
+ * 记录一次检查结果并更新账号的健康状态；连续失败达到阈值时自动关闭开放并隔离，同时发出告警。
+ * 由调用方负责 saveDatabase。
+ */
+export async function recordAccountHealthCheck(db, result, { source = 'manual' } = {}) {
+  const accountId = Number(result?.id)
+  if (!db || !Number.isFinite(accountId) || accountId <= 0) return null
+  const status = ACCOUNT_HEALTH_STATUSES.includes(result.status) ? result.status : 'failed'
+
+  const current = db.exec(
+    'SELECT email, COALESCE(health_fail_streak, 0), quarantined_at, COALESCE(is_open, 0) FROM gpt_accounts WHERE id = ?',
+    [accountId]
+  )[0]?.values?.[0]
+  if (!current) return null
+
+  const previousStreak = Number(current[1] || 0)
+  const failStreak = status === 'normal' ? 0 : (FAILURE_STATUSES.has(status) ? previousStreak + 1 : previousStreak)
+  const threshold = getQuarantineThreshold()
+  const shouldQuarantine = threshold > 0 && failStreak >= threshold && !current[2]
+  const reason = result.reason ? String(result.reason).slice(0, 500) : null
+
+  fencedWrite(() => {
+    db.run(
+      `
+        INSERT INTO account_health_checks (account_id, account_email, status, reason, refreshed, source, fail_streak, quarantined, checked_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'))
+      `,
+      [accountId, current[0] || result.email || null, status, reason, result.refreshed ? 1 : 0, source, failStreak, shouldQuarantine ? 1 : 0]
+    )
+
+    db.run(
+      `
+        UPDATE gpt_accounts
+        SET health_status = ?,
+            health_checked_at = DATETIME('now', 'localtime'),
+            health_fail_streak = ?,
+            is_open = CASE WHEN ? = 1 THEN 0 ELSE is_open END,
+            quarantined_at = CASE WHEN ? = 1 THEN DATETIME('now', 'localtime') ELSE quarantined_at END,
+            quarantine_reason = CASE WHEN ? = 1 THEN ? ELSE quarantine_reason END
+        WHERE id = ?
+      `,
+      [status, failStreak, shouldQuarantine ? 1 : 0, shouldQuarantine ? 1 : 0, shouldQuarantine ? 1 : 0, reason || status, accountId]
+    )
+  })
+
+  if (shouldQuarantine) {
+    console.warn(`${LABEL} account quarantined`, { accountId, failStreak, status, source })
+    await notifyAccountQuarantined(db, { id: accountId, email: current[0], failStreak, status, reason, source })
+  }
+
+  return { failStreak, quarantined: shouldQuarantine }
+}
+
+// 解除隔离（管理员重新设为开放时调用），同时清零连续失败次数
+export const clearAccountQuarantine = (db, accountId) => {
+  db.run(
+    `UPDATE gpt_accounts SET quarantined_at = NULL, quarantine_reason = NULL, health_fail_streak = 0 WHERE id = ?`,
+    [accountId]
+  )
+}
+
+export const listAccountHealthChecks = (db, accountId, { limit = 50 } = {}) => {
+  const normalizedLimit = Math.min(200, Math.max(1, toInt(limit, 50)))
+  const result = db.exec(
+    `
+      SELECT id, status, reason, refreshed, source, fail_streak, quarantined, checked_at
+      FROM account_health_checks
+      WHERE account_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `,
+    [accountId, normalizedLimit]
+  )
+  return (result[0]?.values || []).map(row => ({
+    id: Number(row[0]),
+    status: String(row[1] || ''),
+    reason: row[2] ? String(row[2]) : null,
+    refreshed: Boolean(row[3]),
+    source: String(row[4] || 'manual'),
+    failStreak: Number(row[5] || 0),
+    quarantined: Boolean(row[6]),
+    checkedAt: row[7] ? String(row[7]) : null
+  }))
+}
+
+const loadAccountsForScheduledCheck = (db) => {
+  const result = db.exec(
+    `
+      SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
+             COALESCE(is_banned, 0) AS is_banned, created_at
+      FROM gpt_accounts
+      WHERE COALESCE(is_open, 0) = 1
+        AND COALESCE(is_banned, 0) = 0
+        AND quarantined_at IS NULL
+      ORDER BY health_checked_at IS NOT NULL, health_checked_at ASC, id ASC
+      LIMIT ?
+    `,
+    [maxAccountsPerRun()]
+  )
+  return (result[0]?.values || []).map(row => ({
+    id: Number(row[0]),
+    email: String(row[1] || ''),
+    token: row[2] || '',
+    refreshToken: row[3] || null,
+    userCount: Number(row[4] || 0),
+    inviteCount: Number(row[5] || 0),
+    chatgptAccountId: row[6] || '',
+    oaiDeviceId: row[7] || '',
+    expireAt: row[8] || null,
+    isOpen: Boolean(row[9]),
+    isBanned: Boolean(row[10]),
+    createdAt: row[11]
+  }))
+}
+
+export const startAccountHealthChecker = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'ACCOUNT_HEALTH_CHECK_ENABLED=false' })
+    console.log(`${LABEL} checker disabled`)
+    return () => {}
+  }
+
+  // 返回本轮巡检统计；没有需要巡检的账号时返回 null（空转）
+  const checkOnce = async () => {
+    const db = await getDatabase()
+    const accounts = loadAccountsForScheduledCheck(db)
+    const summary = { normal: 0, expired: 0, banned: 0, failed: 0 }
+    let quarantined = 0
+
+    const queue = [...accounts]
+    const worker = async () => {
+      while (queue.length > 0) {
+        const account = queue.shift()
+        if (!account) return
+        await withLocks([`acct:${account.id}`], async () => {
+          try {
+            const item = await checkSingleAccountStatus(db, account, Date.now())
+            summary[item.status] = (summary[item.status] || 0) + 1
+            const outcome = await recordAccountHealthCheck(db, item, { source: 'scheduled' })
+            if (outcome?.quarantined) quarantined += 1
+          } catch (error) {
+            console.warn(`${LABEL} check failed`, { accountId: account.id, message: error?.message || String(error) })
+          }
+        })
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency(), accounts.length) }, worker))
+
+    db.run(
+      `DELETE FROM account_health_checks WHERE checked_at < DATETIME('now', 'localtime', ?)`,
+      [`-${retentionDays()} days`]
+    )
+    await saveDatabase()
+
+    if (!accounts.length) return null
+    const result = { checked: accounts.length, ...summary, quarantined }
+    console.log(`${LABEL} scheduled check done`, result)
+    return result
+  }
+
+  // 多副本部署时只有持有 leader 租约的实例执行巡检
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes()} 分钟`,
+    leaderTtlMs: () => intervalMinutes() * 2 * 60_000,
+    run: checkOnce
+  })
+
+  const delay = initialDelayMs()
+
+  // 每轮执行前刷新运行时配置，间隔与阈值在后台修改后下一轮即生效
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalMinutes() * 60_000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
+
+  console.log(`${LABEL} checker started`, {
+    intervalMinutes: intervalMinutes(),
+    initialDelayMs: delay,
+    concurrency: concurrency(),
+    quarantineThreshold: getQuarantineThreshold()
+  })
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
+  }
+}
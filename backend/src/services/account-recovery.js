@@ -1,3 +1,5 @@
+import { seatCapacitySql } from '../utils/seat-capacity.js'
+
 const toInt = (value, fallback = 0) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
   return Number.isFinite(parsed) ? parsed : fallback
@@ -36,7 +38,7 @@ const addDays = (date, days) => {
 }
 
 const EXPIRE_AT_PARSE_REGEX = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/
-const parseExpireAtToMs = (value) => {
+export const parseExpireAtToMs = (value) => {
   const raw = String(value ?? '').trim()
   if (!raw) return null
   const match = raw.match(EXPIRE_AT_PARSE_REGEX)
@@ -73,7 +75,7 @@ export function resolveOrderDeadlineMs(db, { originalCodeId, originalCode, redee
   if (Number.isFinite(codeId) && codeId > 0 && sanitizedCode) {
     orderMetaResult = db.exec(
       `
-        SELECT service_days, created_at, paid_at, redeemed_at
+        SELECT service_days, created_at, paid_at, redeemed_at, extended_days
         FROM purchase_orders
         WHERE code_id = ?
            OR (code_id IS NULL AND code = ?)
@@ -85,7 +87,7 @@ export function resolveOrderDeadlineMs(db, { originalCodeId, originalCode, redee
   } else if (Number.isFinite(codeId) && codeId > 0) {
     orderMetaResult = db.exec(
       `
-        SELECT service_days, created_at, paid_at, redeemed_at
+        SELECT service_days, created_at, paid_at, redeemed_at, extended_days
         FROM purchase_orders
         WHERE code_id = ?
            OR (code_id IS NULL AND code = (SELECT code FROM redemption_codes WHERE id = ?))
@@ -97,7 +99,7 @@ export function resolveOrderDeadlineMs(db, { originalCodeId, originalCode, redee
   } else if (sanitizedCode) {
     orderMetaResult = db.exec(
       `
-        SELECT service_days, created_at, paid_at, redeemed_at
+        SELECT service_days, created_at, paid_at, redeemed_at, extended_days
         FROM purchase_orders
         WHERE code = ?
         ORDER BY created_at DESC
@@ -110,7 +112,10 @@ export function resolveOrderDeadlineMs(db, { originalCodeId, originalCode, redee
   }
 
   const orderMetaRow = orderMetaResult?.[0]?.values?.[0] || null
-  const resolvedServiceDays = orderMetaRow ? Math.max(1, toInt(orderMetaRow[0], defaultServiceDays)) : defaultServiceDays
+  // extended_days 为续费顺延的天数，服务截止时间随续费一起后移
+  const resolvedServiceDays = orderMetaRow
+    ? Math.max(1, toInt(orderMetaRow[0], defaultServiceDays)) + Math.max(0, toInt(orderMetaRow[4], 0))
+    : defaultServiceDays
   const orderStartAt = orderMetaRow?.[1] || orderMetaRow?.[2] || orderMetaRow?.[3] || redeemedAt
   const orderDeadlineDate = addDays(orderStartAt, resolvedServiceDays)
   return orderDeadlineDate instanceof Date ? orderDeadlineDate.getTime() : NaN
@@ -120,7 +125,6 @@ export function selectRecoveryCode(
   db,
   {
     minExpireMs,
-    capacityLimit = 6,
     preferNonToday = true,
     preferLatestExpire = false,
     limit = 200,
@@ -134,7 +138,6 @@ export function selectRecoveryCode(
   const parsedMinExpireMs = Number(minExpireMs)
   const effectiveMinExpireMs = Math.max(nowMs, Number.isFinite(parsedMinExpireMs) ? parsedMinExpireMs : nowMs)
   const effectiveMinExpireSeconds = Math.floor(effectiveMinExpireMs / 1000)
-  const maxSeats = Math.max(1, Number(capacityLimit) || 6)
   const queryLimit = Math.min(500, Math.max(1, toInt(limit, 200)))
   const createdWithinDays = Math.min(365, Math.max(1, toInt(codeCreatedWithinDays, 7)))
   const createdSinceOffsetDays = Math.max(0, createdWithinDays - 1)
@@ -169,7 +172,7 @@ export function selectRecoveryCode(
         AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
         AND (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
         AND (rc.reserved_for_uid IS NULL OR rc.reserved_for_uid = '')
-        AND COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0) < ?
+        AND COALESCE(ga.user_count, 0) + COALESCE(ga.invite_count, 0) < ${seatCapacitySql('ga')}
         AND COALESCE(ga.is_open, 0) = 1
         AND COALESCE(ga.is_banned, 0) = 0
         AND ga.token IS NOT NULL
@@ -182,7 +185,7 @@ export function selectRecoveryCode(
       ${orderSql}
       LIMIT ?
     `,
-    [createdSinceModifier, maxSeats, effectiveMinExpireSeconds, queryLimit]
+    [createdSinceModifier, effectiveMinExpireSeconds, queryLimit]
   )
 
   const rows = recoveryCodeResult?.[0]?.values || []
@@ -1,6 +1,9 @@
 import { getDatabase, saveDatabase } from '../database/init.js'
 import axios from 'axios'
 import { loadProxyList, parseProxyConfig, pickProxyByHash } from '../utils/proxy.js'
+import { emitWebhookEvent } from './webhooks.js'
+import { getChatgptApiBaseUrl } from '../utils/chatgpt-api.js'
+import { resolveSeatCapacity } from '../utils/seat-capacity.js'
 
 export class AccountSyncError extends Error {
   constructor(message, status = 500) {
@@ -74,7 +77,8 @@ function mapRowToAccount(row) {
     isDemoted: false,
     isBanned: Boolean(row[10]),
     createdAt: row[11],
-    updatedAt: row[12]
+    updatedAt: row[12],
+    seatCapacity: resolveSeatCapacity(row[13])
   }
 }
 
@@ -83,7 +87,7 @@ async function fetchAccountById(db, accountId) {
     `
 	    SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 	           COALESCE(is_banned, 0) AS is_banned,
-	           created_at, updated_at
+	           created_at, updated_at, seat_capacity
 	    FROM gpt_accounts
 	    WHERE id = ?
   `,
@@ -102,7 +106,7 @@ export async function fetchAllAccounts() {
 	  const result = db.exec(`
 	    SELECT id, email, token, refresh_token, user_count, invite_count, chatgpt_account_id, oai_device_id, expire_at, is_open,
 	           COALESCE(is_banned, 0) AS is_banned,
-	           created_at, updated_at
+	           created_at, updated_at, seat_capacity
 	    FROM gpt_accounts
 	    ORDER BY created_at DESC
   `)
@@ -290,7 +294,7 @@ export async function fetchOpenAiAccountInfo(token, proxy = null) {
     throw new AccountSyncError('缺少 access token', 400)
   }
 
-  const apiUrl = 'https://chatgpt.com/backend-api/accounts/check/v4-2023-04-27'
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/check/v4-2023-04-27`
   const headers = {
     accept: '*/*',
     'accept-language': 'zh-CN,zh;q=0.9',
@@ -385,6 +389,11 @@ const throwChatgptApiStatusError = async ({ status, errorText, logContext, label
             )
             await saveDatabase()
             console.warn('[AccountSync] upstream account_deactivated; auto-banned', { accountId })
+            const emailRow = db.exec('SELECT email FROM gpt_accounts WHERE id = ? LIMIT 1', [accountId])[0]?.values?.[0]
+            await emitWebhookEvent('account.banned', {
+              accounts: [{ id: accountId, email: emailRow?.[0] || null }],
+              source: 'upstream_deactivated'
+            }, { db })
           } catch (error) {
             console.error('[AccountSync] auto-ban failed', {
               accountId,
@@ -420,7 +429,7 @@ async function requestAccountInvites(account, params = {}, requestOptions = {})
   const offset = Number.isFinite(parsedOffset) && parsedOffset >= 0 ? parsedOffset : 0
   const query = typeof params.query === 'string' ? params.query : ''
 
-  const apiUrl = `https://chatgpt.com/backend-api/accounts/${account.chatgptAccountId}/invites?offset=${offset}&limit=${limit}&query=${encodeURIComponent(query)}`
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/${account.chatgptAccountId}/invites?offset=${offset}&limit=${limit}&query=${encodeURIComponent(query)}`
   const logContext = {
     accountId: account.id,
     chatgptAccountId: account.chatgptAccountId,
@@ -489,7 +498,7 @@ async function requestDeleteAccountInvite(account, emailAddress, requestOptions
     throw new AccountSyncError('请提供邀请邮箱地址', 400)
   }
 
-  const apiUrl = `https://chatgpt.com/backend-api/accounts/${account.chatgptAccountId}/invites`
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/${account.chatgptAccountId}/invites`
   const logContext = {
     accountId: account.id,
     chatgptAccountId: account.chatgptAccountId,
@@ -537,7 +546,7 @@ async function requestAccountUsers(account, params = {}, requestOptions = {}) {
   const limit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? parsedLimit : 25
   const offset = Number.isFinite(parsedOffset) && parsedOffset >= 0 ? parsedOffset : 0
   const query = typeof params.query === 'string' ? params.query : ''
-  const apiUrl = `https://chatgpt.com/backend-api/accounts/${account.chatgptAccountId}/users?offset=${offset}&limit=${limit}&query=${encodeURIComponent(query)}`
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/${account.chatgptAccountId}/users?offset=${offset}&limit=${limit}&query=${encodeURIComponent(query)}`
   const logContext = {
     accountId: account.id,
     chatgptAccountId: account.chatgptAccountId,
@@ -752,7 +761,7 @@ export async function deleteAccountUser(accountId, userId, options = {}) {
   }
 
   const normalizedUserId = userId.startsWith('user-') ? userId : `user-${userId}`
-  const apiUrl = `https://chatgpt.com/backend-api/accounts/${account.chatgptAccountId}/users/${normalizedUserId}`
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/${account.chatgptAccountId}/users/${normalizedUserId}`
   const deleteLogContext = {
     accountId: account.id,
     chatgptAccountId: account.chatgptAccountId,
@@ -828,7 +837,7 @@ export async function inviteAccountUser(accountId, email, options = {}) {
     throw new AccountSyncError('账号信息不完整，缺少 token 或 chatgpt_account_id', 400)
   }
 
-  const apiUrl = `https://chatgpt.com/backend-api/accounts/${account.chatgptAccountId}/invites`
+  const apiUrl = `${getChatgptApiBaseUrl()}/accounts/${account.chatgptAccountId}/invites`
   const payload = {
     email_addresses: [trimmedEmail],
     role: 'standard-user',
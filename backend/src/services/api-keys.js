@@ -0,0 +1,258 @@
+import crypto from 'crypto'
+import { getDatabase, saveDatabase } from '../database/init.js'
+
+const CACHE_TTL_MS = 60 * 1000
+const USAGE_FLUSH_INTERVAL_MS = 60 * 1000
+const RATE_LIMIT_WINDOW_MS = 60 * 1000
+const KEY_PREFIX = 'cth_'
+const DISPLAY_PREFIX_LENGTH = 12
+
+// 对外开放接口使用的权限范围；授予时也可使用通配符，例如 `codes:read:*`、`*`
+export const API_KEY_SCOPES = [
+  { scope: 'boarding:write', label: '自动上车：创建/更新账号' },
+  { scope: 'boarding:read', label: '自动上车：统计' },
+  { scope: 'accounts:write', label: '账号：封号上报、OpenAI 授权' },
+  { scope: 'codes:read:artisan-flow', label: '兑换码：读取 ArtisanFlow 渠道当日兑换码' },
+  { scope: 'telegram:bind', label: 'Telegram：/admin auth 绑定账号' },
+]
+
+const SCOPE_PATTERN = /^(\*|[a-z0-9-]+(:([a-z0-9-]+|\*))*)$/
+
+export const normalizeScopes = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/)
+  const scopes = []
+  for (const item of list) {
+    const scope = String(item || '').trim().toLowerCase()
+    if (!scope) continue
+    if (!SCOPE_PATTERN.test(scope)) {
+      throw new Error(`无效的权限范围: ${scope}`)
+    }
+    if (!scopes.includes(scope)) scopes.push(scope)
+  }
+  return scopes
+}
+
+const parseScopes = (raw) => {
+  try {
+    const parsed = JSON.parse(String(raw || '[]'))
+    return Array.isArray(parsed) ? parsed.map(String) : []
+  } catch {
+    return []
+  }
+}
+
+// granted 中任一项覆盖 required 即视为有权限：`*` 覆盖全部，`a:*` 覆盖 `a:b`、`a:b:c`
+export const scopeAllows = (granted, required) => {
+  if (!required) return true
+  const requiredParts = String(required).split(':')
+  return (granted || []).some(scope => {
+    if (scope === '*' || scope === required) return true
+    const parts = String(scope).split(':')
+    for (let i = 0; i < parts.length; i += 1) {
+      if (parts[i] === '*') return i < requiredParts.length
+      if (parts[i] !== requiredParts[i]) return false
+    }
+    return false
+  })
+}
+
+export const hashApiKey = (plainKey) => crypto.createHash('sha256').update(String(plainKey)).digest('hex')
+
+export const generateApiKey = () => {
+  const plainKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+  return { plainKey, keyHash: hashApiKey(plainKey), keyPrefix: plainKey.slice(0, DISPLAY_PREFIX_LENGTH) }
+}
+
+export const resolveApiKeyStatus = (record, now = new Date()) => {
+  if (record.revokedAt) return 'revoked'
+  if (record.expiresAt) {
+    const expiresAt = new Date(String(record.expiresAt).replace(' ', 'T'))
+    if (!Number.isNaN(expiresAt.getTime()) && expiresAt <= now) return 'expired'
+  }
+  return 'active'
+}
+
+export const API_KEY_COLUMNS = `
+  id, name, key_prefix, scopes, rate_limit_per_minute, expires_at,
+  last_used_at, last_used_ip, usage_count, revoked_at, created_by, created_at, updated_at
+`
+
+export const mapApiKeyRow = (row) => {
+  const record = {
+    id: Number(row[0]),
+    name: row[1],
+    keyPrefix: row[2],
+    scopes: parseScopes(row[3]),
+    rateLimitPerMinute: row[4] == null ? null : Number(row[4]),
+    expiresAt: row[5] || null,
+    lastUsedAt: row[6] || null,
+    lastUsedIp: row[7] || null,
+    usageCount: Number(row[8] || 0),
+    revokedAt: row[9] || null,
+    createdBy: row[10] == null ? null : Number(row[10]),
+    createdAt: row[11] || null,
+    updatedAt: row[12] || null,
+  }
+  record.status = resolveApiKeyStatus(record)
+  return record
+}
+
+// key_hash -> { record, cachedAt }；管理端改动后调用 invalidateApiKeyCache 立即生效
+const keyCache = new Map()
+
+export function invalidateApiKeyCache() {
+  keyCache.clear()
+}
+
+async function findApiKeyByHash(keyHash) {
+  const cached = keyCache.get(keyHash)
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    return cached.record
+  }
+
+  const db = await getDatabase()
+  const result = db.exec(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = ? LIMIT 1`, [keyHash])
+  const row = result[0]?.values?.[0]
+  const record = row ? mapApiKeyRow(row) : null
+  keyCache.set(keyHash, { record, cachedAt: Date.now() })
+  return record
+}
+
+/**
+ * 用环境变量 AUTO_BOARDING_API_KEY 初始化第一条 API 密钥（全部权限，只保存哈希）。
+ * 仅在尚无任何 API 密钥时导入；之后的密钥请在后台创建、轮换或吊销，环境变量不再生效。
+ */
+export async function bootstrapEnvApiKey() {
+  const envKey = String(process.env.AUTO_BOARDING_API_KEY || '').trim()
+  if (!envKey) return false
+
+  const db = await getDatabase()
+  const keyHash = hashApiKey(envKey)
+  if (db.exec('SELECT 1 FROM api_keys WHERE key_hash = ? LIMIT 1', [keyHash])[0]?.values?.length) return false
+
+  const total = Number(db.exec('SELECT COUNT(*) FROM api_keys')[0]?.values?.[0]?.[0] || 0)
+  if (total > 0) {
+    console.warn('[API Keys] 已存在 API 密钥，AUTO_BOARDING_API_KEY 未导入（请在后台「API 密钥」中管理）')
+    return false
+  }
+  if (envKey.length < 16) {
+    console.warn('[SECURITY] AUTO_BOARDING_API_KEY 太短，已跳过导入（至少 16 位）')
+    return false
+  }
+
+  db.run(
+    `
+      INSERT INTO api_keys (name, key_hash, key_prefix, scopes, created_at, updated_at)
+      VALUES (?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    ['默认密钥（AUTO_BOARDING_API_KEY）', keyHash, envKey.slice(0, 6), JSON.stringify(['*'])]
+  )
+  await saveDatabase()
+  invalidateApiKeyCache()
+  console.log('[API Keys] 已从环境变量 AUTO_BOARDING_API_KEY 导入默认密钥')
+  return true
+}
+
+export async function hasActiveApiKeys() {
+  const db = await getDatabase()
+  const result = db.exec(
+    `
+      SELECT COUNT(*) FROM api_keys
+      WHERE revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > DATETIME('now', 'localtime'))
+    `
+  )
+  return Number(result[0]?.values?.[0]?.[0] || 0) > 0
+}
+
+// 进程内固定窗口限流；多副本部署时每个实例各自计数
+const rateWindows = new Map()
+
+const consumeRateLimit = (record) => {
+  const limit = Number(record.rateLimitPerMinute || 0)
+  if (!limit || limit <= 0) return { allowed: true }
+
+  const now = Date.now()
+  let window = rateWindows.get(record.id)
+  if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW_MS) {
+    window = { startedAt: now, count: 0 }
+    rateWindows.set(record.id, window)
+  }
+  if (window.count >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.ceil((window.startedAt + RATE_LIMIT_WINDOW_MS - now) / 1000) }
+  }
+  window.count += 1
+  return { allowed: true }
+}
+
+const pad2 = (value) => String(value).padStart(2, '0')
+const formatLocalDateTime = (date) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+
+// 使用记录先在内存中累计，每个密钥最多每分钟落盘一次，避免每个请求都整库写盘
+const pendingUsage = new Map()
+let usageFlushTimer = null
+
+async function flushApiKeyUsage() {
+  usageFlushTimer = null
+  if (!pendingUsage.size) return
+  const entries = Array.from(pendingUsage.entries())
+  pendingUsage.clear()
+
+  const db = await getDatabase()
+  for (const [id, usage] of entries) {
+    db.run(
+      `
+        UPDATE api_keys
+        SET last_used_at = ?, last_used_ip = ?, usage_count = COALESCE(usage_count, 0) + ?
+        WHERE id = ?
+      `,
+      [usage.lastUsedAt, usage.lastUsedIp, usage.count, id]
+    )
+  }
+  await saveDatabase()
+}
+
+const recordApiKeyUsage = (record, ip) => {
+  const current = pendingUsage.get(record.id) || { count: 0 }
+  current.count += 1
+  current.lastUsedAt = formatLocalDateTime(new Date())
+  current.lastUsedIp = ip || null
+  pendingUsage.set(record.id, current)
+
+  if (!usageFlushTimer) {
+    usageFlushTimer = setTimeout(() => {
+      flushApiKeyUsage().catch(error => {
+        console.warn('[ApiKeys] flush usage failed', error?.message || error)
+      })
+    }, USAGE_FLUSH_INTERVAL_MS)
+    usageFlushTimer.unref?.()
+  }
+}
+
+/**
+ * 校验明文密钥并检查权限范围。
+ * @returns {Promise<{ ok: true, apiKey } | { ok: false, reason: 'missing'|'invalid'|'revoked'|'expired'|'forbidden'|'rate_limited', retryAfterSeconds? }>}
+ */
+export async function verifyApiKey(plainKey, requiredScope, { ip, trackUsage = true } = {}) {
+  const normalized = typeof plainKey === 'string' ? plainKey.trim() : ''
+  if (!normalized) return { ok: false, reason: 'missing' }
+
+  const record = await findApiKeyByHash(hashApiKey(normalized))
+  if (!record) return { ok: false, reason: 'invalid' }
+
+  const status = resolveApiKeyStatus(record)
+  if (status !== 'active') return { ok: false, reason: status }
+
+  if (!scopeAllows(record.scopes, requiredScope)) {
+    return { ok: false, reason: 'forbidden' }
+  }
+
+  const rate = consumeRateLimit(record)
+  if (!rate.allowed) {
+    return { ok: false, reason: 'rate_limited', retryAfterSeconds: rate.retryAfterSeconds }
+  }
+
+  if (trackUsage) recordApiKeyUsage(record, ip)
+  return { ok: true, apiKey: { id: record.id, name: record.name, scopes: record.scopes } }
+}
@@ -1,5 +1,6 @@
 import axios from 'axios'
 import { formatProxyForLog, loadProxyList, parseProxyConfig, pickProxyByHash } from '../utils/proxy.js'
+import { getChatgptApiBaseUrl } from '../utils/chatgpt-api.js'
 
 const OAI_CLIENT_VERSION = 'prod-eddc2f6ff65fee2d0d6439e379eab94fe3047f72'
 const DEFAULT_TIMEOUT_MS = 60000
@@ -118,7 +119,7 @@ export async function inviteUserToChatGPTTeam(email, accountData, options = {})
     return { success: false, error: '缺少邀请邮箱' }
   }
 
-  const url = `https://chatgpt.com/backend-api/accounts/${chatgptAccountId}/invites`
+  const url = `${getChatgptApiBaseUrl()}/accounts/${chatgptAccountId}/invites`
 
   const headers = {
     'accept': '*/*',
@@ -0,0 +1,175 @@
+import { DEFAULT_CODE_ALLOCATION_POLICY, normalizeCodeAllocationPolicy } from '../utils/code-allocation-settings.js'
+import { codeReservedSql } from '../utils/code-lifecycle.js'
+import { resolveSeatCapacity, seatCapacitySql } from '../utils/seat-capacity.js'
+import { parseExpireAtToMs } from './account-health.js'
+
+/**
+ * 号池兑换码的账号分配：兑换码不绑定账号，兑换时在可用账号（开放、未封禁、未隔离、有空余席位、未过期）中按策略挑选。
+ *
+ * 策略：
+ * - least_occupied：占用率（成员 + 待接受邀请 / 席位上限）最低的账号
+ * - longest_remaining：剩余有效期最长的账号
+ * - spread：最久未被号池分配过的账号，轮流分散到各个账号
+ */
+
+export const CODE_ALLOCATION_POLICY_LABELS = {
+  least_occupied: '占用最少',
+  longest_remaining: '剩余有效期最长',
+  spread: '轮流分散',
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// SQL 片段：pooledCodeSql('rc') => 尚未分配账号的号池兑换码
+export const pooledCodeSql = (alias = '') => {
+  const c = (column) => (alias ? `${alias}.${column}` : column)
+  return `(COALESCE(${c('is_pooled')}, 0) = 1 AND COALESCE(TRIM(${c('account_email')}), '') = '')`
+}
+
+/**
+ * 号池兑换码可分配的账号：开放、未封禁、未隔离、token 与工作空间齐全、未过期，且扣除 seatReserve 后仍有空余席位。
+ * 兑换时挑选账号与库存统计共用这一口径；row 的列顺序与兑换流程中绑定账号的查询一致。
+ */
+export function loadPooledAccountCandidates(db, { seatReserve = 0, nowMs = Date.now() } = {}) {
+  const result = db.exec(
+    `
+      SELECT id,
+             email,
+             token,
+             COALESCE(user_count, 0) AS user_count,
+             chatgpt_account_id,
+             oai_device_id,
+             expire_at,
+             seat_capacity,
+             COALESCE(invite_count, 0) AS invite_count
+      FROM gpt_accounts
+      WHERE COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ${seatCapacitySql()} - ?
+        AND COALESCE(is_open, 0) = 1
+        AND COALESCE(is_banned, 0) = 0
+        AND quarantined_at IS NULL
+        AND token IS NOT NULL
+        AND TRIM(token) != ''
+        AND chatgpt_account_id IS NOT NULL
+        AND TRIM(chatgpt_account_id) != ''
+        AND expire_at IS NOT NULL
+        AND TRIM(expire_at) != ''
+    `,
+    [Math.max(0, Number(seatReserve) || 0)]
+  )
+  return (result[0]?.values || [])
+    .map(row => ({
+      row,
+      email: row[1],
+      occupied: Number(row[3] || 0) + Number(row[8] || 0),
+      capacity: resolveSeatCapacity(row[7]),
+      expireAtMs: parseExpireAtToMs(row[6])
+    }))
+    .filter(candidate => candidate.expireAtMs != null && candidate.expireAtMs >= nowMs)
+}
+
+/**
+ * 号池兑换码当前还能承接的人数：可分配账号的空余席位合计，扣除已预留给订单 / 候车但尚未兑换的号池兑换码。
+ * 各渠道的号池兑换码共用这部分席位，售卖与库存统计都以它为上限。
+ */
+export function getPooledSeatAvailability(db, { nowMs = Date.now() } = {}) {
+  const freeSeats = loadPooledAccountCandidates(db, { nowMs })
+    .reduce((sum, candidate) => sum + Math.max(0, candidate.capacity - candidate.occupied), 0)
+  const inFlight = Number(
+    db.exec(
+      `
+        SELECT COUNT(*)
+        FROM redemption_codes rc
+        WHERE rc.is_redeemed = 0
+          AND ${pooledCodeSql('rc')}
+          AND ${codeReservedSql('rc')}
+      `
+    )[0]?.values?.[0]?.[0] || 0
+  )
+  return Math.max(0, freeSeats - inFlight)
+}
+
+const occupancyRatio = (candidate) => (candidate.capacity > 0 ? candidate.occupied / candidate.capacity : 1)
+
+const compareOccupancy = (a, b) => {
+  const diff = occupancyRatio(a) - occupancyRatio(b)
+  if (diff !== 0) return diff
+  return (b.capacity - b.occupied) - (a.capacity - a.occupied)
+}
+
+const compareRemaining = (a, b) => (b.expireAtMs || 0) - (a.expireAtMs || 0)
+
+// 与原先 SQL 中的 ORDER BY ..., RANDOM() 一致：排序前先打乱，指标完全相同的账号随机挑选
+const shuffle = (list) => {
+  const copy = [...list]
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[copy[i], copy[j]] = [copy[j], copy[i]]
+  }
+  return copy
+}
+
+const loadLastPooledAllocations = (db) => {
+  const result = db.exec(`
+    SELECT LOWER(TRIM(account_email)), MAX(allocated_at)
+    FROM redemption_codes
+    WHERE is_pooled = 1
+      AND allocated_at IS NOT NULL
+      AND account_email IS NOT NULL
+    GROUP BY LOWER(TRIM(account_email))
+  `)
+  const map = new Map()
+  for (const row of result[0]?.values || []) {
+    if (row[0]) map.set(String(row[0]), String(row[1] || ''))
+  }
+  return map
+}
+
+const describeCandidate = (candidate, nowMs) => {
+  const parts = [`已占用 ${candidate.occupied}/${candidate.capacity}`]
+  if (candidate.expireAtMs != null) {
+    parts.push(`剩余 ${Math.max(0, Math.floor((candidate.expireAtMs - nowMs) / DAY_MS))} 天`)
+  }
+  return parts.join('，')
+}
+
+/**
+ * 按策略从候选账号中选出一个。
+ * @param {object} db
+ * @param {Array<{ email: string, occupied: number, capacity: number, expireAtMs: number | null }>} candidates 已过滤为可用的账号
+ * @param {{ policy?: string, nowMs?: number }} options
+ * @returns {{ candidate: object, policy: string, reason: string } | null}
+ */
+export function selectPooledAccount(db, candidates, { policy, nowMs = Date.now() } = {}) {
+  const list = Array.isArray(candidates) ? candidates.filter(Boolean) : []
+  if (!list.length) return null
+
+  const resolvedPolicy = normalizeCodeAllocationPolicy(policy) || DEFAULT_CODE_ALLOCATION_POLICY
+  const shuffled = shuffle(list)
+  let detail = ''
+  let chosen
+
+  if (resolvedPolicy === 'longest_remaining') {
+    chosen = shuffled.sort((a, b) => compareRemaining(a, b) || compareOccupancy(a, b))[0]
+  } else if (resolvedPolicy === 'spread') {
+    const lastAllocations = loadLastPooledAllocations(db)
+    const lastOf = (candidate) => lastAllocations.get(String(candidate.email || '').trim().toLowerCase()) || ''
+    // 从未分配过的账号排在最前；DATETIME 字符串可直接按字典序比较
+    chosen = shuffled.sort((a, b) => {
+      const lastA = lastOf(a)
+      const lastB = lastOf(b)
+      if (lastA !== lastB) return lastA < lastB ? -1 : 1
+      return compareOccupancy(a, b)
+    })[0]
+    const last = lastOf(chosen)
+    detail = last ? `，上次号池分配于 ${last}` : '，此前未被号池分配'
+  } else {
+    chosen = shuffled.sort((a, b) => compareOccupancy(a, b) || compareRemaining(a, b))[0]
+  }
+
+  const label = CODE_ALLOCATION_POLICY_LABELS[resolvedPolicy] || resolvedPolicy
+  return {
+    candidate: chosen,
+    policy: resolvedPolicy,
+    reason: `${label}：从 ${list.length} 个可用账号中选中 ${chosen.email}（${describeCandidate(chosen, nowMs)}${detail}）`,
+  }
+}
@@ -0,0 +1,100 @@
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+import { codeReservedSql } from '../utils/code-lifecycle.js'
+import { fencedWrite } from '../utils/locks.js'
+
+const LABEL = '[CodeExpirationSweeper]'
+const JOB = {
+  key: 'code-expiration-sweeper',
+  label: '兑换码过期',
+  description: '将超过有效期仍未使用的兑换码标记为已过期，移出库存（已预留给订单 / 候车用户的兑换码不受影响）',
+}
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.CODE_EXPIRATION_SWEEPER_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const intervalMinutes = () => getRuntimeSettingValue('codeExpirationSweeperIntervalMinutes')
+const initialDelayMs = () => Math.max(1000, toInt(process.env.CODE_EXPIRATION_SWEEPER_INITIAL_DELAY_MS, 60_000))
+
+/**
+ * 标记到期未使用的兑换码（同步写库，调用方负责 saveDatabase）。
+ * 与作废一致，过期后保持 is_redeemed = 1，原有库存查询自然排除。
+ * @returns {number} 本次标记为过期的数量
+ */
+export function expireStaleRedemptionCodes(db) {
+  if (!db) return 0
+  db.run(
+    `
+      UPDATE redemption_codes
+      SET is_redeemed = 1,
+          expired_at = DATETIME('now', 'localtime'),
+          updated_at = DATETIME('now', 'localtime')
+      WHERE is_redeemed = 0
+        AND voided_at IS NULL
+        AND expired_at IS NULL
+        AND expires_at IS NOT NULL
+        AND expires_at <= DATETIME('now', 'localtime')
+        AND NOT ${codeReservedSql()}
+    `
+  )
+  return typeof db.getRowsModified === 'function' ? db.getRowsModified() : 0
+}
+
+export const startCodeExpirationSweeper = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'CODE_EXPIRATION_SWEEPER_ENABLED=false' })
+    console.log(`${LABEL} disabled`)
+    return () => {}
+  }
+
+  // 返回本轮结果；没有到期兑换码时返回 null（空转）
+  const sweepOnce = async () => {
+    const db = await getDatabase()
+    const expired = fencedWrite(() => expireStaleRedemptionCodes(db))
+    if (!expired) return null
+    await saveDatabase()
+    console.log(`${LABEL} expired codes`, { expired })
+    return { expired }
+  }
+
+  // 多副本部署时只有持有 leader 租约的实例执行
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes()} 分钟`,
+    leaderTtlMs: () => Math.max(60_000, intervalMinutes() * 2 * 60_000),
+    run: sweepOnce
+  })
+
+  const delay = initialDelayMs()
+
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalMinutes() * 60_000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
+
+  console.log(`${LABEL} started`, {
+    intervalMinutes: intervalMinutes(),
+    initialDelayMs: delay
+  })
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
+  }
+}
@@ -0,0 +1,221 @@
+import { getDatabase } from '../database/init.js'
+import { normalizeProductKey } from './purchase-products.js'
+
+export const COUPON_CODE_REGEX = /^[A-Z0-9_-]{3,32}$/
+export const COUPON_DISCOUNT_TYPES = ['fixed', 'percent']
+
+// 计入用量的订单状态：待支付订单先占用名额，订单过期、失败或退款后不再计入，名额自动恢复
+const COUPON_USAGE_ORDER_STATUSES = ['created', 'pending_payment', 'paid']
+const USAGE_STATUS_SQL = COUPON_USAGE_ORDER_STATUSES.map(status => `'${status}'`).join(', ')
+// ZPAY 不接受 0 元订单，优惠后至少支付这么多
+const MIN_PAY_AMOUNT = 0.01
+const NAME_MAX_LENGTH = 64
+const MAX_USES_LIMIT = 1_000_000
+const DATETIME_REGEX = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?$/
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const pad2 = (value) => String(value).padStart(2, '0')
+const formatLocalDateTime = (date) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+
+export const normalizeCouponCode = (value) => String(value ?? '').trim().toUpperCase()
+
+const parseMoney = (value) => {
+  const parsed = Number.parseFloat(String(value ?? ''))
+  if (!Number.isFinite(parsed)) return null
+  return round2(parsed)
+}
+
+const parseProductKeys = (value) => String(value || '')
+  .split(',')
+  .map(item => normalizeProductKey(item))
+  .filter(Boolean)
+
+export const COUPON_COLUMNS = `
+  c.id, c.code, c.name, c.discount_type, c.discount_value, c.product_keys, c.max_uses, c.max_uses_per_email,
+  c.starts_at, c.ends_at, c.is_active, c.created_at, c.updated_at,
+  (SELECT COUNT(*) FROM purchase_orders po WHERE po.coupon_id = c.id AND po.status IN (${USAGE_STATUS_SQL})),
+  (SELECT COUNT(*) FROM purchase_orders po WHERE po.coupon_id = c.id AND po.status = 'paid'),
+  (SELECT COALESCE(SUM(CAST(po.discount_amount AS REAL)), 0) FROM purchase_orders po WHERE po.coupon_id = c.id AND po.status = 'paid')
+`
+
+export const mapCouponRow = (row) => ({
+  id: Number(row[0]),
+  code: row[1],
+  name: row[2] || '',
+  discountType: row[3] === 'percent' ? 'percent' : 'fixed',
+  discountValue: String(row[4] ?? ''),
+  productKeys: parseProductKeys(row[5]),
+  maxUses: Number(row[6] || 0),
+  maxUsesPerEmail: Number(row[7] || 0),
+  startsAt: row[8] || null,
+  endsAt: row[9] || null,
+  isActive: Number(row[10] || 0) === 1,
+  createdAt: row[11] || null,
+  updatedAt: row[12] || null,
+  usedCount: Number(row[13] || 0),
+  paidCount: Number(row[14] || 0),
+  paidDiscountTotal: round2(Number(row[15] || 0)).toFixed(2),
+})
+
+export async function listCoupons(db) {
+  const database = db || (await getDatabase())
+  const result = database.exec(`SELECT ${COUPON_COLUMNS} FROM coupons c ORDER BY c.id DESC`)
+  return (result[0]?.values || []).map(mapCouponRow)
+}
+
+export function getCouponById(db, id) {
+  const result = db.exec(`SELECT ${COUPON_COLUMNS} FROM coupons c WHERE c.id = ? LIMIT 1`, [id])
+  const row = result[0]?.values?.[0]
+  return row ? mapCouponRow(row) : null
+}
+
+export function getCouponByCode(db, code) {
+  const normalized = normalizeCouponCode(code)
+  if (!normalized) return null
+  const result = db.exec(`SELECT ${COUPON_COLUMNS} FROM coupons c WHERE c.code = ? LIMIT 1`, [normalized])
+  const row = result[0]?.values?.[0]
+  return row ? mapCouponRow(row) : null
+}
+
+const normalizeDateTime = (value, label) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  const match = String(value).trim().match(DATETIME_REGEX)
+  if (!match || !Number.isFinite(Date.parse(`${match[1]}T${match[2]}`))) {
+    throw new Error(`${label}格式不正确`)
+  }
+  return `${match[1]} ${match[2]}${match[3] || ':00'}`
+}
+
+const normalizeLimit = (value, label, fallback) => {
+  if (value === undefined || value === null || String(value).trim() === '') return fallback
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_USES_LIMIT) {
+    throw new Error(`${label}必须是 0 - ${MAX_USES_LIMIT} 之间的整数`)
+  }
+  return parsed
+}
+
+/**
+ * 校验后台提交的优惠券字段；existing 为更新前的记录，未提交的字段沿用原值。校验失败抛出带中文提示的 Error。
+ */
+export function normalizeCouponInput(body, existing = null) {
+  const input = body || {}
+  const pick = (key, fallback) => (input[key] === undefined ? fallback : input[key])
+
+  const code = existing ? existing.code : normalizeCouponCode(input.code)
+  if (!COUPON_CODE_REGEX.test(code)) {
+    throw new Error('优惠码需为 3-32 位字母、数字、下划线或短横线')
+  }
+
+  const name = String(pick('name', existing?.name) ?? '').trim().slice(0, NAME_MAX_LENGTH)
+
+  const discountType = String(pick('discountType', existing?.discountType) || '').trim()
+  if (!COUPON_DISCOUNT_TYPES.includes(discountType)) {
+    throw new Error('请选择优惠类型')
+  }
+
+  const discountValue = parseMoney(pick('discountValue', existing?.discountValue))
+  if (discountValue === null || discountValue <= 0) {
+    throw new Error('优惠额度必须大于 0')
+  }
+  if (discountType === 'percent' && discountValue >= 100) {
+    throw new Error('折扣比例必须小于 100%')
+  }
+
+  const rawProductKeys = pick('productKeys', existing?.productKeys) || []
+  const productKeys = Array.from(new Set(
+    (Array.isArray(rawProductKeys) ? rawProductKeys : String(rawProductKeys).split(','))
+      .map(item => String(item || '').trim())
+      .filter(Boolean)
+      .map(item => {
+        const key = normalizeProductKey(item)
+        if (!key) throw new Error(`商品 key 不合法：${item}`)
+        return key
+      })
+  ))
+
+  const maxUses = normalizeLimit(pick('maxUses', existing?.maxUses), '总使用次数', 0)
+  const maxUsesPerEmail = normalizeLimit(pick('maxUsesPerEmail', existing?.maxUsesPerEmail), '每个邮箱使用次数', 1)
+  const startsAt = normalizeDateTime(pick('startsAt', existing?.startsAt), '生效时间')
+  const endsAt = normalizeDateTime(pick('endsAt', existing?.endsAt), '截止时间')
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    throw new Error('截止时间必须晚于生效时间')
+  }
+
+  const isActive = pick('isActive', existing ? existing.isActive : true) !== false
+
+  return {
+    code,
+    name,
+    discountType,
+    discountValue: discountValue.toFixed(2),
+    productKeys,
+    maxUses,
+    maxUsesPerEmail,
+    startsAt,
+    endsAt,
+    isActive,
+  }
+}
+
+const countCouponUsage = (db, couponId, { email } = {}) => {
+  const params = [couponId]
+  let emailClause = ''
+  if (email) {
+    emailClause = 'AND lower(trim(email)) = ?'
+    params.push(String(email).trim().toLowerCase())
+  }
+  const result = db.exec(
+    `SELECT COUNT(*) FROM purchase_orders WHERE coupon_id = ? AND status IN (${USAGE_STATUS_SQL}) ${emailClause}`,
+    params
+  )
+  return Number(result[0]?.values?.[0]?.[0] || 0)
+}
+
+/**
+ * 按商品价格计算优惠后的应付金额；用于结算前试算与下单时的服务端校验（下单时在 purchase 锁内调用，用量检查与占用原子完成）。
+ * @returns {{ ok: true, coupon, originalAmount: string, discountAmount: string, amount: string } | { ok: false, error: string }}
+ */
+export function evaluateCoupon(db, { code, product, email } = {}) {
+  const normalizedCode = normalizeCouponCode(code)
+  if (!normalizedCode) return { ok: false, error: '请输入优惠码' }
+
+  const coupon = getCouponByCode(db, normalizedCode)
+  if (!coupon || !coupon.isActive) return { ok: false, error: '优惠码无效' }
+
+  const now = formatLocalDateTime(new Date())
+  if (coupon.startsAt && now < coupon.startsAt) return { ok: false, error: '优惠码尚未生效' }
+  if (coupon.endsAt && now >= coupon.endsAt) return { ok: false, error: '优惠码已过期' }
+
+  if (coupon.productKeys.length && !coupon.productKeys.includes(normalizeProductKey(product?.productKey))) {
+    return { ok: false, error: '该优惠码不适用于当前商品' }
+  }
+
+  if (coupon.maxUses > 0 && countCouponUsage(db, coupon.id) >= coupon.maxUses) {
+    return { ok: false, error: '优惠码已被领完' }
+  }
+  if (email && coupon.maxUsesPerEmail > 0 && countCouponUsage(db, coupon.id, { email }) >= coupon.maxUsesPerEmail) {
+    return { ok: false, error: '该邮箱已使用过此优惠码' }
+  }
+
+  const original = parseMoney(product?.amount)
+  if (original === null || original <= MIN_PAY_AMOUNT) {
+    return { ok: false, error: '该优惠码不适用于当前价格' }
+  }
+  const value = Number(coupon.discountValue)
+  const rawDiscount = coupon.discountType === 'percent' ? round2((original * value) / 100) : value
+  const discount = round2(Math.min(rawDiscount, original - MIN_PAY_AMOUNT))
+  if (discount <= 0) {
+    return { ok: false, error: '该优惠码不适用于当前价格' }
+  }
+
+  return {
+    ok: true,
+    coupon,
+    originalAmount: original.toFixed(2),
+    discountAmount: discount.toFixed(2),
+    amount: round2(original - discount).toFixed(2),
+  }
+}
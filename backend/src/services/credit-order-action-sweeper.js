@@ -1,5 +1,6 @@
 import { getDatabase, saveDatabase } from '../database/init.js'
-import { withLocks } from '../utils/locks.js'
+import { fencedWrite, withLocks } from '../utils/locks.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
 import {
   AccountSyncError,
   fetchAccountInvites,
@@ -10,8 +11,14 @@ import {
 import { redeemOpenAccountsOrderCode } from './open-accounts-redemption.js'
 import { sendAdminAlertEmail } from './email-service.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
 
 const LABEL = '[CreditOrderActionSweeper]'
+const JOB = {
+  key: 'credit-order-action-sweeper',
+  label: '积分上车订单补发',
+  description: '为已支付但未完成上车的积分订单补发邀请，失败按退避策略重试',
+}
 
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -23,7 +30,7 @@ const isEnabled = () => {
   return raw !== '0' && raw !== 'false' && raw !== 'off'
 }
 
-const intervalSeconds = () => Math.max(10, toInt(process.env.CREDIT_ORDER_ACTION_SWEEPER_INTERVAL_SECONDS, 60))
+const intervalSeconds = () => getRuntimeSettingValue('creditOrderActionSweeperIntervalSeconds')
 const initialDelayMs = () => Math.max(1000, toInt(process.env.CREDIT_ORDER_ACTION_SWEEPER_INITIAL_DELAY_MS, 30_000))
 const maxRetries = () => Math.max(0, toInt(process.env.CREDIT_ORDER_ACTION_MAX_RETRIES, 8))
 const baseDelaySeconds = () => Math.max(5, toInt(process.env.CREDIT_ORDER_ACTION_RETRY_BASE_SECONDS, 60))
@@ -144,7 +151,7 @@ const ensureOpenAccount = (db, accountId) => {
 
 const persistActionState = (db, orderNo, { status, message, payload, result }) => {
   if (!db || !orderNo) return
-  db.run(
+  fencedWrite(() => db.run(
     `
       UPDATE credit_orders
       SET action_status = ?,
@@ -161,7 +168,7 @@ const persistActionState = (db, orderNo, { status, message, payload, result }) =
       result ? JSON.stringify(result) : null,
       orderNo
     ]
-  )
+  ))
 }
 
 const markFulfilled = (db, orderNo, { message, body, payload }) => {
@@ -195,7 +202,7 @@ const updateLinuxDoUserCurrentAccount = (db, uid, accountId, openAccountEmail) =
   if (!db || !uid) return
   const normalizedOpenAccountEmail = normalizeEmail(openAccountEmail)
   const storedOpenAccountEmail = accountId ? (normalizedOpenAccountEmail || null) : null
-  db.run(
+  fencedWrite(() => db.run(
     `
       UPDATE linuxdo_users
       SET current_open_account_id = ?,
@@ -204,7 +211,7 @@ const updateLinuxDoUserCurrentAccount = (db, uid, accountId, openAccountEmail) =
       WHERE uid = ?
     `,
     [accountId, storedOpenAccountEmail, uid]
-  )
+  ))
 }
 
 const fulfillOpenAccountsBoardOrder = async (db, row) => {
@@ -308,14 +315,12 @@ const fulfillOpenAccountsBoardOrder = async (db, row) => {
     const invites = await fetchAccountInvites(targetAccountId, { inviteListParams: { offset: 0, limit: 25, query: email } })
     const isInvited = (invites.items || []).some(item => normalizeEmail(item.email_address) === email)
 
-    const baseCapacity = 5
-    const redeemCapacity = isMember || isInvited ? 6 : baseCapacity
     const redeemOutcome = await redeemOpenAccountsOrderCode(db, {
       orderNo,
       uid,
       email,
       accountEmail,
-      capacityLimit: redeemCapacity,
+      reservedSeats: isMember || isInvited ? 0 : 1,
       orderType: effectiveOrderType
     })
 
@@ -423,62 +428,75 @@ const fetchPendingPaidOrders = (db, limit) => {
 
 export const startCreditOrderActionSweeper = () => {
   if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'CREDIT_ORDER_ACTION_SWEEPER_ENABLED=false' })
     console.log(`${LABEL} disabled`)
     return () => {}
   }
 
-  let running = false
-  const runOnce = async () => {
-    if (running) return
-    running = true
-    try {
-      const features = await getFeatureFlags()
-      if (!isFeatureEnabled(features, 'openAccounts')) return
-
-      const db = await getDatabase()
-      const pending = fetchPendingPaidOrders(db, 50)
-      if (!pending.length) return
-
-      const workerCount = Math.min(concurrency(), pending.length)
-      const queue = [...pending]
-
-      const worker = async () => {
-        while (queue.length > 0) {
-          const item = queue.shift()
-          if (!item) return
-          const orderNo = String(item.orderNo || '').trim()
-          const uid = normalizeUid(item.uid)
-          const targetAccountId = Number(item.targetAccountId)
-          if (!orderNo || !uid || !Number.isFinite(targetAccountId) || targetAccountId <= 0) continue
-
-          const lockKeys = [`credit:${orderNo}`, `uid:${uid}`, `acct:${targetAccountId}`]
-          await withLocks(lockKeys, async () => {
-            await fulfillOpenAccountsBoardOrder(db, item)
-          })
+  // 返回本轮处理统计；没有待处理订单时返回 null（空转）
+  const sweepOnce = async () => {
+    const features = await getFeatureFlags()
+    if (!isFeatureEnabled(features, 'openAccounts')) return null
+
+    const db = await getDatabase()
+    const pending = fetchPendingPaidOrders(db, 50)
+    if (!pending.length) return null
+
+    const workerCount = Math.min(concurrency(), pending.length)
+    const queue = [...pending]
+    const stats = { pending: pending.length, fulfilled: 0, failed: 0, skipped: 0 }
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift()
+        if (!item) return
+        const orderNo = String(item.orderNo || '').trim()
+        const uid = normalizeUid(item.uid)
+        const targetAccountId = Number(item.targetAccountId)
+        if (!orderNo || !uid || !Number.isFinite(targetAccountId) || targetAccountId <= 0) {
+          stats.skipped += 1
+          continue
         }
-      }
 
-      await Promise.all(Array.from({ length: workerCount }, worker))
-    } catch (error) {
-      console.error(`${LABEL} run failed`, { message: error?.message || String(error) })
-    } finally {
-      running = false
+        const lockKeys = [`credit:${orderNo}`, `uid:${uid}`, `acct:${targetAccountId}`]
+        await withLocks(lockKeys, async () => {
+          const outcome = await fulfillOpenAccountsBoardOrder(db, item)
+          if (outcome?.fulfilled) stats.fulfilled += 1
+          else if (outcome?.ok === false) stats.failed += 1
+          else stats.skipped += 1
+        })
+      }
     }
+
+    await Promise.all(Array.from({ length: workerCount }, worker))
+    return stats.fulfilled || stats.failed ? stats : null
   }
 
-  const delay = initialDelayMs()
-  const interval = intervalSeconds()
+  // 多副本部署时只有持有 leader 租约的实例处理待发货订单
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalSeconds()} 秒`,
+    leaderTtlMs: () => Math.max(60_000, intervalSeconds() * 2000),
+    run: sweepOnce
+  })
 
-  const initialTimer = setTimeout(() => {
-    void runOnce()
-  }, delay)
+  const delay = initialDelayMs()
 
-  const intervalTimer = setInterval(() => {
-    void runOnce()
-  }, interval * 1000)
+  // 每轮执行前刷新运行时配置，间隔与阈值在后台修改后下一轮即生效
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalSeconds() * 1000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
 
   console.log(`${LABEL} started`, {
-    intervalSeconds: interval,
+    intervalSeconds: intervalSeconds(),
     initialDelayMs: delay,
     concurrency: concurrency(),
     maxRetries: maxRetries(),
@@ -487,7 +505,8 @@ export const startCreditOrderActionSweeper = () => {
   })
 
   return () => {
-    clearTimeout(initialTimer)
-    clearInterval(intervalTimer)
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
   }
 }
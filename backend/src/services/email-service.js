@@ -1,5 +1,6 @@
 import nodemailer from 'nodemailer'
 import { getSmtpSettings } from '../utils/smtp-settings.js'
+import { renderEmailTemplate } from './email-templates.js'
 
 const parseRecipients = (value) => {
   const raw = String(value || '')
@@ -45,10 +46,15 @@ export async function sendAdminAlertEmail({ subject, text, html } = {}) {
     return false
   }
 
-  const resolvedSubject = String(subject || '').trim() || '系统告警'
   const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
-  const resolvedText = typeof text === 'string' ? text : (text != null ? String(text) : '')
-  const resolvedHtml = typeof html === 'string' ? html : ''
+  const rendered = await renderEmailTemplate('admin_alert', {
+    subject: String(subject || '').trim() || '系统告警',
+    text: typeof text === 'string' ? text : (text != null ? String(text) : ''),
+    html: typeof html === 'string' ? html : ''
+  })
+  const resolvedSubject = rendered.subject || '系统告警'
+  const resolvedText = rendered.text
+  const resolvedHtml = rendered.html
 
   const transporter = nodemailer.createTransport(smtpConfig)
 
@@ -169,9 +175,12 @@ export async function sendOpenAccountsSweeperReportEmail(summary) {
   }
 
   const transporter = nodemailer.createTransport(smtpConfig)
-  const { html, text } = buildOpenAccountsSweeperBody(summary)
-
-  const subject = process.env.OPEN_ACCOUNTS_SWEEPER_REPORT_SUBJECT || '开放账号超员扫描报告'
+  const body = buildOpenAccountsSweeperBody(summary)
+  const { subject, html, text } = await renderEmailTemplate('admin_alert', {
+    subject: process.env.OPEN_ACCOUNTS_SWEEPER_REPORT_SUBJECT || '开放账号超员扫描报告',
+    text: body.text,
+    html: body.html
+  })
   const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
 
   await transporter.sendMail({
@@ -202,25 +211,17 @@ export async function sendPurchaseOrderEmail(order) {
 
   const transporter = nodemailer.createTransport(smtpConfig)
   const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
-  const subject = process.env.PURCHASE_EMAIL_SUBJECT || '订单信息'
-
   const orderNo = String(order?.orderNo || '')
-  const serviceDays = Number(order?.serviceDays || 30)
-
-  const text = [
-    `订单号：${orderNo}`,
-    `邮箱：${to}`,
-    `有效期：${serviceDays} 天（下单日起算）`,
-  ].join('\n')
-
-  const html = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', sans-serif; line-height: 1.6;">
-      <h2 style="margin: 0 0 12px;">订单信息</h2>
-      <p style="margin: 0 0 6px;">订单号：<strong>${orderNo}</strong></p>
-      <p style="margin: 0 0 6px;">邮箱：${to}</p>
-      <p style="margin: 0 0 6px;">有效期：${serviceDays} 天（下单日起算）</p>
-    </div>
-  `
+  const { subject, html, text } = await renderEmailTemplate('purchase_order', {
+    orderNo,
+    email: to,
+    productName: order?.productName || '',
+    amount: order?.amount ?? '',
+    serviceDays: Number(order?.serviceDays || 30),
+    code: order?.code || '',
+    accountEmail: order?.redeemAccountEmail || order?.codeAccountEmail || '',
+    paidAt: order?.paidAt || ''
+  }, { locale: order?.locale })
 
   try {
     await transporter.sendMail({
@@ -238,6 +239,87 @@ export async function sendPurchaseOrderEmail(order) {
   }
 }
 
+export async function sendPurchaseExpiryReminderEmail(order, { deadline, daysLeft, renewUrl } = {}) {
+  const settings = await getSmtpSettings()
+  const smtpConfig = buildSmtpConfig(settings)
+  if (!smtpConfig) {
+    console.warn('[Purchase] SMTP 配置不完整，跳过发送到期提醒邮件')
+    return false
+  }
+
+  const to = String(order?.email || '').trim()
+  if (!to) {
+    console.warn('[Purchase] 缺少收件邮箱，跳过发送到期提醒邮件')
+    return false
+  }
+
+  const transporter = nodemailer.createTransport(smtpConfig)
+  const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
+  const orderNo = String(order?.orderNo || '')
+  const { subject, html, text } = await renderEmailTemplate('purchase_expiry_reminder', {
+    orderNo,
+    email: to,
+    productName: order?.productName || '',
+    deadline: deadline || '',
+    daysLeft: daysLeft ?? '',
+    accountEmail: order?.accountEmail || '',
+    renewUrl: renewUrl || ''
+  }, { locale: order?.locale })
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+    })
+    console.log('[Purchase] expiry reminder email sent', { orderNo })
+    return true
+  } catch (error) {
+    console.warn('[Purchase] send expiry reminder email failed', error?.message || error)
+    return false
+  }
+}
+
+export async function sendInviteFailedEmail(job, options = {}) {
+  const settings = await getSmtpSettings()
+  const smtpConfig = buildSmtpConfig(settings)
+  if (!smtpConfig) {
+    console.warn('[InviteRetry] SMTP 配置不完整，跳过发送邀请失败通知')
+    return false
+  }
+
+  const to = String(job?.email || '').trim()
+  if (!to) {
+    console.warn('[InviteRetry] 缺少收件邮箱，跳过发送邀请失败通知')
+    return false
+  }
+
+  const transporter = nodemailer.createTransport(smtpConfig)
+  const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
+  const { subject, html, text } = await renderEmailTemplate('invite_failed', {
+    email: to,
+    code: job?.code || '',
+    orderNo: job?.orderNo || '-'
+  }, { locale: options?.locale })
+
+  try {
+    await transporter.sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+    })
+    console.log('[InviteRetry] invite failed email sent', { jobId: job?.id })
+    return true
+  } catch (error) {
+    console.warn('[InviteRetry] send invite failed email failed', error?.message || error)
+    return false
+  }
+}
+
 export async function sendVerificationCodeEmail(email, code, options = {}) {
   const settings = await getSmtpSettings()
   const smtpConfig = buildSmtpConfig(settings)
@@ -259,20 +341,15 @@ export async function sendVerificationCodeEmail(email, code, options = {}) {
   }
 
   const minutes = Number(options?.expiresMinutes || 10)
-  const subject = options?.subject || process.env.EMAIL_VERIFICATION_SUBJECT || '邮箱验证码'
   const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
   const transporter = nodemailer.createTransport(smtpConfig)
-
-  const text = `您的验证码为：${resolvedCode}\n有效期：${minutes} 分钟\n如非本人操作请忽略本邮件。`
-  const html = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', sans-serif; line-height: 1.6;">
-      <h2 style="margin: 0 0 12px;">邮箱验证码</h2>
-      <p style="margin: 0 0 8px;">您的验证码为：</p>
-      <p style="margin: 0 0 12px; font-size: 20px; font-weight: 700; letter-spacing: 2px;">${resolvedCode}</p>
-      <p style="margin: 0 0 6px;">有效期：${minutes} 分钟</p>
-      <p style="margin: 0; color: #666;">如非本人操作请忽略本邮件。</p>
-    </div>
-  `
+  const rendered = await renderEmailTemplate('verification_code', {
+    code: resolvedCode,
+    email: to,
+    expiresMinutes: minutes
+  }, { locale: options?.locale })
+  const subject = options?.subject || rendered.subject
+  const { html, text } = rendered
 
   try {
     await transporter.sendMail({
@@ -289,3 +366,33 @@ export async function sendVerificationCodeEmail(email, code, options = {}) {
     return false
   }
 }
+
+/**
+ * 后台“发送测试邮件”：使用当前 SMTP 配置把已渲染好的内容发给指定邮箱。
+ * 与其他发信函数不同，失败时直接抛出，便于把 SMTP 错误原样展示给管理员。
+ */
+export async function sendTestEmail({ to, subject, text, html } = {}) {
+  const settings = await getSmtpSettings()
+  const smtpConfig = buildSmtpConfig(settings)
+  if (!smtpConfig) {
+    throw new Error('SMTP 配置不完整')
+  }
+
+  const recipients = parseRecipients(to)
+  if (recipients.length === 0) {
+    throw new Error('请填写收件邮箱')
+  }
+
+  const from = String(settings?.smtp?.from || '').trim() || smtpConfig.auth.user
+  const transporter = nodemailer.createTransport(smtpConfig)
+
+  await transporter.sendMail({
+    from,
+    to: recipients.join(','),
+    subject: String(subject || '').trim() || '测试邮件',
+    text: text || undefined,
+    html: html || undefined
+  })
+  console.log('[EmailTemplates] 测试邮件已发送', { to: recipients.join(',') })
+  return true
+}
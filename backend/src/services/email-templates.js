@@ -0,0 +1,434 @@
+import { getDatabase } from '../database/init.js'
+
+export const DEFAULT_EMAIL_LOCALE = 'zh-CN'
+
+export const EMAIL_TEMPLATE_LOCALES = [
+  { value: 'zh-CN', label: '简体中文' },
+  { value: 'zh-TW', label: '繁體中文' },
+  { value: 'en-US', label: 'English' },
+  { value: 'ja-JP', label: '日本語' },
+]
+
+const SUPPORTED_LOCALES = new Set(EMAIL_TEMPLATE_LOCALES.map(item => item.value))
+
+export const SUBJECT_MAX_LENGTH = 200
+export const BODY_MAX_LENGTH = 50_000
+
+const FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'PingFang SC', 'Hiragino Sans GB', 'Microsoft YaHei', sans-serif"
+
+const PURCHASE_ORDER_HTML_ZH = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">订单信息</h2>
+  <p style="margin: 0 0 6px;">订单号：<strong>{{orderNo}}</strong></p>
+  <p style="margin: 0 0 6px;">邮箱：{{email}}</p>
+  <p style="margin: 0 0 6px;">有效期：{{serviceDays}} 天（下单日起算）</p>
+</div>
+`.trim()
+
+const PURCHASE_ORDER_HTML_EN = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">Order details</h2>
+  <p style="margin: 0 0 6px;">Order No.: <strong>{{orderNo}}</strong></p>
+  <p style="margin: 0 0 6px;">Email: {{email}}</p>
+  <p style="margin: 0 0 6px;">Valid for: {{serviceDays}} days (from the order date)</p>
+</div>
+`.trim()
+
+const PURCHASE_EXPIRY_REMINDER_HTML_ZH = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">服务即将到期</h2>
+  <p style="margin: 0 0 6px;">订单号：<strong>{{orderNo}}</strong></p>
+  <p style="margin: 0 0 6px;">商品：{{productName}}</p>
+  <p style="margin: 0 0 6px;">到期时间：{{deadline}}（剩余约 {{daysLeft}} 天）</p>
+  <p style="margin: 0 0 6px;">如需继续使用，请登录后在“我的订单”中续费：{{renewUrl}}</p>
+</div>
+`.trim()
+
+const PURCHASE_EXPIRY_REMINDER_HTML_EN = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">Your service is about to expire</h2>
+  <p style="margin: 0 0 6px;">Order No.: <strong>{{orderNo}}</strong></p>
+  <p style="margin: 0 0 6px;">Product: {{productName}}</p>
+  <p style="margin: 0 0 6px;">Expires at: {{deadline}} (about {{daysLeft}} days left)</p>
+  <p style="margin: 0 0 6px;">To keep using it, sign in and renew from "My orders": {{renewUrl}}</p>
+</div>
+`.trim()
+
+const INVITE_FAILED_HTML_ZH = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">邀请发送失败</h2>
+  <p style="margin: 0 0 6px;">您使用兑换码 <strong>{{code}}</strong> 兑换后，系统多次尝试向 {{email}} 发送 ChatGPT Team 邀请均未成功。</p>
+  <p style="margin: 0 0 6px;">订单号：{{orderNo}}</p>
+  <p style="margin: 0 0 6px;">管理员已收到通知并会尽快为您处理，请留意邮箱中的邀请邮件。</p>
+</div>
+`.trim()
+
+const INVITE_FAILED_HTML_EN = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">We could not send your invitation</h2>
+  <p style="margin: 0 0 6px;">After redeeming code <strong>{{code}}</strong>, we tried several times to send a ChatGPT Team invitation to {{email}} without success.</p>
+  <p style="margin: 0 0 6px;">Order No.: {{orderNo}}</p>
+  <p style="margin: 0 0 6px;">An administrator has been notified and will follow up shortly. Please keep an eye on your inbox.</p>
+</div>
+`.trim()
+
+const VERIFICATION_CODE_HTML_ZH = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">邮箱验证码</h2>
+  <p style="margin: 0 0 8px;">您的验证码为：</p>
+  <p style="margin: 0 0 12px; font-size: 20px; font-weight: 700; letter-spacing: 2px;">{{code}}</p>
+  <p style="margin: 0 0 6px;">有效期：{{expiresMinutes}} 分钟</p>
+  <p style="margin: 0; color: #666;">如非本人操作请忽略本邮件。</p>
+</div>
+`.trim()
+
+const VERIFICATION_CODE_HTML_EN = `
+<div style="font-family: ${FONT_STACK}; line-height: 1.6;">
+  <h2 style="margin: 0 0 12px;">Email verification code</h2>
+  <p style="margin: 0 0 8px;">Your verification code is:</p>
+  <p style="margin: 0 0 12px; font-size: 20px; font-weight: 700; letter-spacing: 2px;">{{code}}</p>
+  <p style="margin: 0 0 6px;">It expires in {{expiresMinutes}} minutes.</p>
+  <p style="margin: 0; color: #666;">If you did not request this, please ignore this email.</p>
+</div>
+`.trim()
+
+/**
+ * 可编辑的邮件模板定义。
+ * placeholders 中 raw: true 的变量在 HTML 中原样插入（调用方已生成好的 HTML 片段），其余变量一律转义。
+ * defaults 为内置模板，按语言区分；管理员保存后以数据库中的版本为准，删除即恢复默认。
+ */
+export const EMAIL_TEMPLATE_DEFINITIONS = [
+  {
+    key: 'purchase_order',
+    label: '订单邮件',
+    description: '支付成功后发送给下单邮箱',
+    placeholders: [
+      { name: 'orderNo', label: '订单号' },
+      { name: 'email', label: '下单邮箱' },
+      { name: 'productName', label: '商品名称' },
+      { name: 'amount', label: '订单金额' },
+      { name: 'serviceDays', label: '有效天数' },
+      { name: 'code', label: '兑换码' },
+      { name: 'accountEmail', label: '所在账号邮箱' },
+      { name: 'paidAt', label: '支付时间' },
+    ],
+    sample: {
+      orderNo: 'TEST202601010001',
+      email: 'buyer@example.com',
+      productName: '示例商品',
+      amount: '9.90',
+      serviceDays: 30,
+      code: 'ABCD-EFGH-JKLM',
+      accountEmail: 'team@example.com',
+      paidAt: '2026-01-01 12:00:00',
+    },
+    defaults: {
+      'zh-CN': {
+        subject: '订单信息',
+        html: PURCHASE_ORDER_HTML_ZH,
+        text: '订单号：{{orderNo}}\n邮箱：{{email}}\n有效期：{{serviceDays}} 天（下单日起算）',
+      },
+      'en-US': {
+        subject: 'Your order details',
+        html: PURCHASE_ORDER_HTML_EN,
+        text: 'Order No.: {{orderNo}}\nEmail: {{email}}\nValid for: {{serviceDays}} days (from the order date)',
+      },
+    },
+  },
+  {
+    key: 'purchase_expiry_reminder',
+    label: '到期提醒邮件',
+    description: '订单服务截止前按“到期提醒提前天数”发送给下单邮箱',
+    placeholders: [
+      { name: 'orderNo', label: '订单号' },
+      { name: 'email', label: '下单邮箱' },
+      { name: 'productName', label: '商品名称' },
+      { name: 'deadline', label: '到期时间' },
+      { name: 'daysLeft', label: '剩余天数' },
+      { name: 'accountEmail', label: '所在账号邮箱' },
+      { name: 'renewUrl', label: '续费链接' },
+    ],
+    sample: {
+      orderNo: 'TEST202601010001',
+      email: 'buyer@example.com',
+      productName: '示例商品',
+      deadline: '2026-01-31 12:00:00',
+      daysLeft: 3,
+      accountEmail: 'team@example.com',
+      renewUrl: 'https://example.com/admin/my-orders',
+    },
+    defaults: {
+      'zh-CN': {
+        subject: '服务即将到期提醒',
+        html: PURCHASE_EXPIRY_REMINDER_HTML_ZH,
+        text: '订单号：{{orderNo}}\n商品：{{productName}}\n到期时间：{{deadline}}（剩余约 {{daysLeft}} 天）\n如需继续使用，请登录后在“我的订单”中续费：{{renewUrl}}',
+      },
+      'en-US': {
+        subject: 'Your service is about to expire',
+        html: PURCHASE_EXPIRY_REMINDER_HTML_EN,
+        text: 'Order No.: {{orderNo}}\nProduct: {{productName}}\nExpires at: {{deadline}} (about {{daysLeft}} days left)\nTo keep using it, sign in and renew from "My orders": {{renewUrl}}',
+      },
+    },
+  },
+  {
+    key: 'invite_failed',
+    label: '邀请失败通知',
+    description: '兑换后邀请重试耗尽（进入死信）时发送给兑换邮箱',
+    placeholders: [
+      { name: 'email', label: '兑换邮箱' },
+      { name: 'code', label: '兑换码' },
+      { name: 'orderNo', label: '订单号（无订单时为 -）' },
+    ],
+    sample: {
+      email: 'buyer@example.com',
+      code: 'ABCD-EFGH-JKLM',
+      orderNo: 'TEST202601010001',
+    },
+    defaults: {
+      'zh-CN': {
+        subject: '邀请发送失败通知',
+        html: INVITE_FAILED_HTML_ZH,
+        text: '您使用兑换码 {{code}} 兑换后，系统多次尝试向 {{email}} 发送 ChatGPT Team 邀请均未成功。\n订单号：{{orderNo}}\n管理员已收到通知并会尽快为您处理，请留意邮箱中的邀请邮件。',
+      },
+      'en-US': {
+        subject: 'We could not send your invitation',
+        html: INVITE_FAILED_HTML_EN,
+        text: 'After redeeming code {{code}}, we tried several times to send a ChatGPT Team invitation to {{email}} without success.\nOrder No.: {{orderNo}}\nAn administrator has been notified and will follow up shortly.',
+      },
+    },
+  },
+  {
+    key: 'verification_code',
+    label: '验证码邮件',
+    description: '注册等场景发送的邮箱验证码',
+    placeholders: [
+      { name: 'code', label: '验证码' },
+      { name: 'email', label: '收件邮箱' },
+      { name: 'expiresMinutes', label: '有效分钟数' },
+    ],
+    sample: {
+      code: '123456',
+      email: 'user@example.com',
+      expiresMinutes: 10,
+    },
+    defaults: {
+      'zh-CN': {
+        subject: '邮箱验证码',
+        html: VERIFICATION_CODE_HTML_ZH,
+        text: '您的验证码为：{{code}}\n有效期：{{expiresMinutes}} 分钟\n如非本人操作请忽略本邮件。',
+      },
+      'en-US': {
+        subject: 'Your verification code',
+        html: VERIFICATION_CODE_HTML_EN,
+        text: 'Your verification code is: {{code}}\nIt expires in {{expiresMinutes}} minutes.\nIf you did not request this, please ignore this email.',
+      },
+    },
+  },
+  {
+    key: 'admin_alert',
+    label: '告警邮件',
+    description: '发送给管理员告警邮箱的系统告警与扫描报告（外层包装）',
+    placeholders: [
+      { name: 'subject', label: '告警标题' },
+      { name: 'text', label: '告警正文（纯文本）' },
+      { name: 'html', label: '告警正文（HTML）', raw: true },
+    ],
+    sample: {
+      subject: '测试告警',
+      text: '这是一封测试告警邮件。',
+      html: '<p>这是一封测试告警邮件。</p>',
+    },
+    defaults: {
+      'zh-CN': {
+        subject: '{{subject}}',
+        html: '{{html}}',
+        text: '{{text}}',
+      },
+    },
+  },
+]
+
+const DEFINITIONS_BY_KEY = new Map(EMAIL_TEMPLATE_DEFINITIONS.map(def => [def.key, def]))
+
+export const getEmailTemplateDefinition = (key) => DEFINITIONS_BY_KEY.get(String(key || '').trim()) || null
+
+export const isSupportedEmailLocale = (locale) => SUPPORTED_LOCALES.has(String(locale || '').trim())
+
+/**
+ * 把 "en", "en-us", "zh-Hant-TW", "en-GB,en;q=0.9" 之类的输入归一为支持列表中的语言；无法识别时返回 null。
+ */
+export const normalizeEmailLocale = (value) => {
+  const first = String(value || '').split(',')[0].split(';')[0].trim()
+  if (!first) return null
+  const parts = first.replace(/_/g, '-').split('-').filter(Boolean)
+  const language = String(parts[0] || '').toLowerCase()
+  const region = parts.length > 1 ? String(parts[parts.length - 1]).toUpperCase() : ''
+  const exact = region ? `${language}-${region}` : ''
+  if (exact && SUPPORTED_LOCALES.has(exact)) return exact
+  if (language === 'zh' && (region === 'HK' || region === 'MO' || parts.some(p => p.toLowerCase() === 'hant'))) {
+    return 'zh-TW'
+  }
+  const sameLanguage = EMAIL_TEMPLATE_LOCALES.find(item => item.value.toLowerCase().startsWith(`${language}-`))
+  return sameLanguage ? sameLanguage.value : null
+}
+
+const getAppEmailLocale = () => normalizeEmailLocale(process.env.APP_LOCALE) || DEFAULT_EMAIL_LOCALE
+
+// 查找顺序：请求语言 → 同语种其他地区 → APP_LOCALE → zh-CN
+const buildLocaleChain = (locale) => {
+  const chain = []
+  const push = (value) => {
+    if (value && !chain.includes(value)) chain.push(value)
+  }
+  const requested = normalizeEmailLocale(locale)
+  push(requested)
+  if (requested) {
+    const language = requested.split('-')[0]
+    for (const item of EMAIL_TEMPLATE_LOCALES) {
+      if (item.value.startsWith(`${language}-`)) push(item.value)
+    }
+  }
+  push(getAppEmailLocale())
+  push(DEFAULT_EMAIL_LOCALE)
+  return chain
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g
+
+/**
+ * 替换 {{name}} 占位符。未提供的变量替换为空字符串；未在定义中声明的变量保持原样，便于在预览中发现拼写错误。
+ */
+export const renderTemplateString = (template, data = {}, { html = false, definition = null } = {}) => {
+  const declared = definition ? new Set(definition.placeholders.map(p => p.name)) : null
+  const rawNames = new Set((definition?.placeholders || []).filter(p => p.raw).map(p => p.name))
+  return String(template ?? '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (declared && !declared.has(name)) return match
+    const value = data?.[name]
+    if (value === undefined || value === null) return ''
+    if (!html || rawNames.has(name)) return String(value)
+    return escapeHtml(value)
+  })
+}
+
+const mapTemplateRow = (row) => ({
+  id: Number(row[0]),
+  key: row[1],
+  locale: row[2],
+  subject: row[3] || '',
+  html: row[4] || '',
+  text: row[5] || '',
+  updatedBy: row[6] || null,
+  createdAt: row[7] || null,
+  updatedAt: row[8] || null,
+})
+
+const TEMPLATE_COLUMNS = 'id, template_key, locale, subject, html, text, updated_by, created_at, updated_at'
+
+export const listStoredEmailTemplates = (db) => {
+  const result = db.exec(`SELECT ${TEMPLATE_COLUMNS} FROM email_templates ORDER BY template_key ASC, locale ASC`)
+  return (result[0]?.values || []).map(mapTemplateRow)
+}
+
+export const getStoredEmailTemplate = (db, key, locale) => {
+  const result = db.exec(
+    `SELECT ${TEMPLATE_COLUMNS} FROM email_templates WHERE template_key = ? AND locale = ? LIMIT 1`,
+    [key, locale]
+  )
+  const row = result[0]?.values?.[0]
+  return row ? mapTemplateRow(row) : null
+}
+
+export const upsertEmailTemplate = (db, { key, locale, subject, html, text, updatedBy }) => {
+  db.run(
+    `
+      INSERT INTO email_templates (template_key, locale, subject, html, text, updated_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      ON CONFLICT(template_key, locale) DO UPDATE SET
+        subject = excluded.subject,
+        html = excluded.html,
+        text = excluded.text,
+        updated_by = excluded.updated_by,
+        updated_at = DATETIME('now', 'localtime')
+    `,
+    [key, locale, subject, html, text || null, updatedBy || null]
+  )
+  return getStoredEmailTemplate(db, key, locale)
+}
+
+export const deleteEmailTemplate = (db, key, locale) => {
+  db.run('DELETE FROM email_templates WHERE template_key = ? AND locale = ?', [key, locale])
+}
+
+/**
+ * 内置默认模板。PURCHASE_EMAIL_SUBJECT / EMAIL_VERIFICATION_SUBJECT 仍作为默认标题生效，兼容旧的环境变量配置。
+ */
+export const getDefaultEmailTemplate = (key, locale) => {
+  const definition = getEmailTemplateDefinition(key)
+  const base = definition?.defaults?.[locale]
+  if (!base) return null
+  const envSubject = key === 'purchase_order'
+    ? process.env.PURCHASE_EMAIL_SUBJECT
+    : key === 'verification_code'
+      ? process.env.EMAIL_VERIFICATION_SUBJECT
+      : ''
+  const subject = locale === DEFAULT_EMAIL_LOCALE && String(envSubject || '').trim() ? String(envSubject).trim() : base.subject
+  return { key, locale, subject, html: base.html, text: base.text || '' }
+}
+
+/**
+ * 按语言回退链解析模板：每种语言先找管理员保存的版本，再找内置默认。
+ * 返回 { template, locale, source }，source 为 custom / default。
+ */
+export const resolveEmailTemplate = (db, key, locale) => {
+  for (const candidate of buildLocaleChain(locale)) {
+    const stored = db ? getStoredEmailTemplate(db, key, candidate) : null
+    if (stored) return { template: stored, locale: candidate, source: 'custom' }
+    const fallback = getDefaultEmailTemplate(key, candidate)
+    if (fallback) return { template: fallback, locale: candidate, source: 'default' }
+  }
+  return null
+}
+
+export const renderEmailTemplateContent = (key, template, data = {}) => {
+  const definition = getEmailTemplateDefinition(key)
+  return {
+    subject: renderTemplateString(template.subject, data, { definition }).replace(/[\r\n]+/g, ' ').trim(),
+    html: renderTemplateString(template.html, data, { html: true, definition }),
+    text: renderTemplateString(template.text, data, { definition }),
+  }
+}
+
+/**
+ * 渲染指定模板，返回 { subject, html, text, locale }。
+ * 读取模板失败时回退到内置默认，保证发信流程不因模板问题中断。
+ */
+export async function renderEmailTemplate(key, data = {}, { locale, db } = {}) {
+  let database = db || null
+  if (!database) {
+    try {
+      database = await getDatabase()
+    } catch (error) {
+      console.warn('[EmailTemplates] load database failed, using defaults', error?.message || error)
+    }
+  }
+
+  let resolved = null
+  try {
+    resolved = resolveEmailTemplate(database, key, locale)
+  } catch (error) {
+    console.warn('[EmailTemplates] resolve template failed, using defaults', { key, message: error?.message || error })
+    resolved = resolveEmailTemplate(null, key, locale)
+  }
+  if (!resolved) {
+    throw new Error(`Unknown email template: ${key}`)
+  }
+
+  return { ...renderEmailTemplateContent(key, resolved.template, data), locale: resolved.locale }
+}
@@ -0,0 +1,604 @@
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+import { fencedWrite, withLocks } from '../utils/locks.js'
+import { resolveSeatCapacity, seatCapacitySql } from '../utils/seat-capacity.js'
+import { inviteUserToChatGPTTeam } from './chatgpt-invite.js'
+import { syncAccountInviteCount } from './account-sync.js'
+import { parseExpireAtToMs } from './account-health.js'
+import { selectPooledAccount } from './code-allocation.js'
+import { sendAdminAlertEmail, sendInviteFailedEmail } from './email-service.js'
+import { sendTelegramBotNotification } from './telegram-notifier.js'
+import { emitWebhookEvent } from './webhooks.js'
+
+/**
+ * 邀请重试队列：兑换成功但发送 ChatGPT 邀请失败时写入 invite_jobs，由定时任务按指数退避重试。
+ *
+ * 状态：
+ * - queued：等待重试（next_attempt_at 到期后执行）
+ * - processing：正在发送邀请
+ * - succeeded：已发送（resolution：auto 自动重试 / manual 后台手动重试 / reinvite 兑换码页重新邀请）
+ * - dead：重试耗尽，已通知购买者与管理员，只能在后台手动重试
+ * - cancelled：兑换码已作废 / 订单已退款，不再重试
+ *
+ * attempts 只统计重试次数（兑换时的首次失败不计入）；account_attempts 为当前账号上的连续失败次数，
+ * 达到 inviteRetryAccountFallbackAfter 后换到其它开放且有空位的账号，兑换码与订单随之改绑。
+ */
+
+const LABEL = '[InviteRetryQueue]'
+const JOB = {
+  key: 'invite-retry-queue',
+  label: '邀请重试',
+  description: '重试兑换后发送失败的 ChatGPT 邀请，必要时换号；重试耗尽转入死信并通知购买者与管理员',
+}
+
+export const INVITE_JOB_STATUSES = ['queued', 'processing', 'succeeded', 'dead', 'cancelled']
+const OPEN_STATUSES = ['queued', 'processing']
+
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000
+const BATCH_LIMIT = 20
+// 进程在发送邀请时退出会留下 processing 任务，超过该时长视为中断，重新排队
+const STALE_PROCESSING_MINUTES = 15
+
+export class InviteJobError extends Error {
+  constructor(statusCode, message) {
+    super(message)
+    this.name = 'InviteJobError'
+    this.statusCode = statusCode
+  }
+}
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.INVITE_RETRY_QUEUE_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const intervalMinutes = () => getRuntimeSettingValue('inviteRetryQueueIntervalMinutes')
+const initialDelayMs = () => Math.max(1000, toInt(process.env.INVITE_RETRY_QUEUE_INITIAL_DELAY_MS, 30_000))
+
+const pad = (value) => String(value).padStart(2, '0')
+// 与 DATETIME('now', 'localtime') 相同的本地时间格式
+const formatLocalDateTime = (ms) => {
+  const date = new Date(ms)
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+}
+
+// 第 n 次失败后的等待时间：base · 2^(n-1)，最长 6 小时
+const backoffMs = (failures) => {
+  const baseMs = getRuntimeSettingValue('inviteRetryBaseDelayMinutes') * 60_000
+  return Math.min(MAX_BACKOFF_MS, baseMs * 2 ** Math.max(0, failures - 1))
+}
+
+const stringifyError = (error) => {
+  if (!error) return '邀请发送失败'
+  if (typeof error === 'string') return error.slice(0, 500)
+  return String(error?.message || JSON.stringify(error)).slice(0, 500)
+}
+
+const parseTriedIds = (value) => {
+  try {
+    const parsed = JSON.parse(value || '[]')
+    return Array.isArray(parsed) ? parsed.map(Number).filter(Number.isFinite) : []
+  } catch {
+    return []
+  }
+}
+
+const INVITE_JOB_COLUMNS = `
+  id, email, code_id, code, order_no, channel, status, account_id, account_email, original_account_email,
+  tried_account_ids, attempts, account_attempts, next_attempt_at, last_attempt_at, last_error, resolution,
+  completed_at, dead_at, notified_at, created_at, updated_at
+`
+
+const mapInviteJobRow = (row) => ({
+  id: Number(row[0]),
+  email: row[1],
+  codeId: row[2] != null ? Number(row[2]) : null,
+  code: row[3] || null,
+  orderNo: row[4] || null,
+  channel: row[5] || null,
+  status: row[6],
+  accountId: row[7] != null ? Number(row[7]) : null,
+  accountEmail: row[8] || null,
+  originalAccountEmail: row[9] || null,
+  triedAccountIds: parseTriedIds(row[10]),
+  attempts: Number(row[11] || 0),
+  accountAttempts: Number(row[12] || 0),
+  nextAttemptAt: row[13] || null,
+  lastAttemptAt: row[14] || null,
+  lastError: row[15] || null,
+  resolution: row[16] || null,
+  completedAt: row[17] || null,
+  deadAt: row[18] || null,
+  notifiedAt: row[19] || null,
+  createdAt: row[20],
+  updatedAt: row[21]
+})
+
+export function getInviteJob(db, id) {
+  const result = db.exec(`SELECT ${INVITE_JOB_COLUMNS} FROM invite_jobs WHERE id = ? LIMIT 1`, [id])
+  const row = result[0]?.values?.[0]
+  return row ? mapInviteJobRow(row) : null
+}
+
+/**
+ * 兑换后邀请失败时入队（同步写库，调用方负责 saveDatabase）。
+ * 同一兑换码已有未完成任务时只更新失败原因，不重复入队。
+ */
+export function enqueueInviteJob(db, { email, codeId, code, orderNo, channel, accountId, accountEmail, error }) {
+  const lastError = stringifyError(error)
+  if (codeId) {
+    const existing = db.exec(
+      `SELECT id FROM invite_jobs WHERE code_id = ? AND status IN ('queued', 'processing') ORDER BY id DESC LIMIT 1`,
+      [codeId]
+    )
+    const existingId = existing[0]?.values?.[0]?.[0]
+    if (existingId) {
+      db.run(
+        `UPDATE invite_jobs SET last_error = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+        [lastError, existingId]
+      )
+      return getInviteJob(db, existingId)
+    }
+  }
+
+  db.run(
+    `
+      INSERT INTO invite_jobs (
+        email, code_id, code, order_no, channel, status, account_id, account_email, original_account_email,
+        tried_account_ids, attempts, account_attempts, next_attempt_at, last_attempt_at, last_error,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, 0, 1, ?, DATETIME('now', 'localtime'), ?,
+        DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    [
+      email,
+      codeId || null,
+      code || null,
+      orderNo || null,
+      channel || null,
+      accountId || null,
+      accountEmail || null,
+      accountEmail || null,
+      JSON.stringify(accountId ? [Number(accountId)] : []),
+      formatLocalDateTime(Date.now() + backoffMs(1)),
+      lastError
+    ]
+  )
+  const id = db.exec('SELECT last_insert_rowid()')[0]?.values?.[0]?.[0]
+  const job = getInviteJob(db, id)
+  console.log(`${LABEL} enqueued`, { id, email, code, accountEmail })
+  return job
+}
+
+/**
+ * 兑换码页手动重新邀请成功后，结束该兑换码未完成 / 已进入死信的任务（同步写库，调用方负责 saveDatabase）。
+ */
+export function resolveInviteJobsForCode(db, codeId, resolution = 'reinvite') {
+  if (!codeId) return 0
+  db.run(
+    `
+      UPDATE invite_jobs
+      SET status = 'succeeded',
+          resolution = ?,
+          completed_at = DATETIME('now', 'localtime'),
+          next_attempt_at = NULL,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE code_id = ? AND status IN ('queued', 'processing', 'dead')
+    `,
+    [resolution, codeId]
+  )
+  return typeof db.getRowsModified === 'function' ? db.getRowsModified() : 0
+}
+
+const ACCOUNT_COLUMNS = `
+  id, email, token, chatgpt_account_id, oai_device_id, expire_at, seat_capacity,
+  COALESCE(user_count, 0), COALESCE(invite_count, 0), COALESCE(is_banned, 0), quarantined_at
+`
+
+const mapAccountRow = (row) => ({
+  id: Number(row[0]),
+  email: row[1],
+  token: row[2],
+  chatgptAccountId: row[3],
+  oaiDeviceId: row[4],
+  expireAtMs: parseExpireAtToMs(row[5]),
+  capacity: resolveSeatCapacity(row[6]),
+  occupied: Number(row[7] || 0) + Number(row[8] || 0),
+  isBanned: Number(row[9] || 0) === 1,
+  quarantined: Boolean(row[10])
+})
+
+const isAccountUsable = (account, nowMs) => {
+  if (!account || account.isBanned || account.quarantined) return false
+  if (!String(account.token || '').trim() || !String(account.chatgptAccountId || '').trim()) return false
+  return account.expireAtMs != null && account.expireAtMs >= nowMs
+}
+
+const loadAccount = (db, accountId) => {
+  if (!accountId) return null
+  const result = db.exec(`SELECT ${ACCOUNT_COLUMNS} FROM gpt_accounts WHERE id = ? LIMIT 1`, [accountId])
+  const row = result[0]?.values?.[0]
+  return row ? mapAccountRow(row) : null
+}
+
+// 换号候选：开放、未封禁、未隔离、有空余席位且未尝试过的账号，取占用率最低的一个
+const findFallbackAccount = (db, excludeIds, nowMs) => {
+  const result = db.exec(
+    `
+      SELECT ${ACCOUNT_COLUMNS}
+      FROM gpt_accounts
+      WHERE COALESCE(is_open, 0) = 1
+        AND COALESCE(is_banned, 0) = 0
+        AND quarantined_at IS NULL
+        AND COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ${seatCapacitySql()}
+    `
+  )
+  const exclude = new Set(excludeIds)
+  const candidates = (result[0]?.values || [])
+    .map(mapAccountRow)
+    .filter(account => !exclude.has(account.id) && isAccountUsable(account, nowMs))
+  return selectPooledAccount(db, candidates, { policy: 'least_occupied', nowMs })?.candidate || null
+}
+
+// 兑换码已作废 / 订单已退款时不再重试
+const resolveCancelReason = (db, job) => {
+  if (job.codeId) {
+    const code = db.exec('SELECT voided_at FROM redemption_codes WHERE id = ? LIMIT 1', [job.codeId])[0]?.values?.[0]
+    if (code?.[0]) return '兑换码已作废'
+  }
+  if (job.orderNo) {
+    const order = db.exec('SELECT status FROM purchase_orders WHERE order_no = ? LIMIT 1', [job.orderNo])[0]?.values?.[0]
+    if (order?.[0] === 'refunded') return '订单已退款'
+  }
+  return ''
+}
+
+const rebindAccount = (db, job, account) => {
+  const tried = Array.from(new Set([...job.triedAccountIds, account.id]))
+  db.run(
+    `
+      UPDATE invite_jobs
+      SET account_id = ?, account_email = ?, account_attempts = 0, tried_account_ids = ?,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+    `,
+    [account.id, account.email, JSON.stringify(tried), job.id]
+  )
+  if (job.codeId) {
+    db.run(
+      `UPDATE redemption_codes SET account_email = ?, updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+      [account.email, job.codeId]
+    )
+  }
+  if (job.orderNo) {
+    db.run(
+      `UPDATE purchase_orders SET redeem_account_email = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
+      [account.email, job.orderNo]
+    )
+  }
+}
+
+const notifyDeadLettered = async (db, job) => {
+  const lines = [
+    '⚠️ 邀请重试耗尽，已转入死信',
+    `邮箱：${job.email}`,
+    `兑换码：${job.code || '-'}`,
+    job.orderNo ? `订单号：${job.orderNo}` : null,
+    `账号：${job.accountEmail || '-'}`,
+    `重试次数：${job.attempts}`,
+    `最后错误：${job.lastError || '-'}`,
+    '请在后台「邀请重试」页面处理'
+  ].filter(Boolean)
+  const text = lines.join('\n')
+
+  // 买家通知按下单时记录的语言发送；非订单来源的任务没有语言信息，使用系统默认语言
+  const locale = job.orderNo
+    ? db.exec('SELECT locale FROM purchase_orders WHERE order_no = ? LIMIT 1', [job.orderNo])[0]?.values?.[0]?.[0] || null
+    : null
+
+  await Promise.all([
+    sendInviteFailedEmail(job, { locale }).catch(error => console.warn(`${LABEL} buyer email failed`, error?.message || error)),
+    sendTelegramBotNotification(text, { db }).catch(error => ({ ok: false, error: error?.message || String(error) })),
+    sendAdminAlertEmail({ subject: `邀请重试耗尽：${job.email}`, text }).catch(() => false),
+  ])
+  await emitWebhookEvent('invite.dead_lettered', {
+    jobId: job.id,
+    email: job.email,
+    code: job.code,
+    orderNo: job.orderNo,
+    accountEmail: job.accountEmail,
+    attempts: job.attempts,
+    lastError: job.lastError
+  }, { db })
+
+  db.run(
+    `UPDATE invite_jobs SET notified_at = DATETIME('now', 'localtime'), updated_at = DATETIME('now', 'localtime') WHERE id = ?`,
+    [job.id]
+  )
+}
+
+/**
+ * 执行一次邀请重试。manual 为后台手动重试：不等待 next_attempt_at，也可重试死信任务
+ * （死信任务手动重试失败后仍保持死信，不重复通知）。
+ * @returns {Promise<{ job: object, invited: boolean }>}
+ */
+export async function processInviteJob(jobId, { manual = false } = {}) {
+  return withLocks([`invite-job:${jobId}`], async () => {
+    const db = await getDatabase()
+    const job = getInviteJob(db, jobId)
+    if (!job) throw new InviteJobError(404, '任务不存在')
+    if (job.status === 'succeeded') throw new InviteJobError(400, '该任务已成功，无需重试')
+    if (job.status === 'cancelled') throw new InviteJobError(400, '该任务已取消')
+    if (job.status === 'processing') throw new InviteJobError(409, '该任务正在处理中')
+    if (job.status === 'dead' && !manual) return { job, invited: false }
+
+    const cancelReason = resolveCancelReason(db, job)
+    if (cancelReason) {
+      fencedWrite(() => {
+        db.run(
+          `
+            UPDATE invite_jobs
+            SET status = 'cancelled', last_error = ?, next_attempt_at = NULL, completed_at = DATETIME('now', 'localtime'),
+                updated_at = DATETIME('now', 'localtime')
+            WHERE id = ?
+          `,
+          [cancelReason, job.id]
+        )
+      })
+      await saveDatabase()
+      return { job: getInviteJob(db, job.id), invited: false }
+    }
+
+    const wasDead = job.status === 'dead'
+    fencedWrite(() => {
+      db.run(
+        `
+          UPDATE invite_jobs
+          SET status = 'processing', attempts = attempts + 1, last_attempt_at = DATETIME('now', 'localtime'),
+              updated_at = DATETIME('now', 'localtime')
+          WHERE id = ?
+        `,
+        [job.id]
+      )
+    })
+    await saveDatabase()
+
+    const nowMs = Date.now()
+    const attempts = job.attempts + 1
+    let account = loadAccount(db, job.accountId)
+    let accountAttempts = job.accountAttempts
+    const fallbackAfter = getRuntimeSettingValue('inviteRetryAccountFallbackAfter')
+    const currentUsable = isAccountUsable(account, nowMs)
+    if (!currentUsable || (fallbackAfter > 0 && accountAttempts >= fallbackAfter)) {
+      const fallback = findFallbackAccount(db, [...job.triedAccountIds, job.accountId].filter(Boolean), nowMs)
+      if (fallback) {
+        console.log(`${LABEL} switching account`, { id: job.id, from: job.accountEmail, to: fallback.email })
+        fencedWrite(() => rebindAccount(db, job, fallback))
+        account = fallback
+        accountAttempts = 0
+      } else if (!currentUsable) {
+        account = null
+      }
+    }
+
+    let result
+    if (!account) {
+      result = { success: false, error: '没有可用账号（原账号不可用且无可换账号）' }
+    } else {
+      try {
+        result = await inviteUserToChatGPTTeam(job.email, {
+          token: account.token,
+          chatgpt_account_id: account.chatgptAccountId,
+          oai_device_id: account.oaiDeviceId
+        }, { proxyKey: account.id })
+      } catch (error) {
+        result = { success: false, error: error?.message || String(error) }
+      }
+    }
+
+    if (result.success) {
+      fencedWrite(() => {
+        db.run(
+          `
+            UPDATE invite_jobs
+            SET status = 'succeeded', resolution = ?, completed_at = DATETIME('now', 'localtime'), next_attempt_at = NULL,
+                updated_at = DATETIME('now', 'localtime')
+            WHERE id = ?
+          `,
+          [manual ? 'manual' : 'auto', job.id]
+        )
+        if (job.orderNo) {
+          db.run(
+            `
+              UPDATE purchase_orders
+              SET invite_status = '邀请已发送', redeem_error = NULL, updated_at = DATETIME('now', 'localtime')
+              WHERE order_no = ?
+            `,
+            [job.orderNo]
+          )
+        }
+      })
+      await saveDatabase()
+      console.log(`${LABEL} invite sent`, { id: job.id, email: job.email, accountEmail: account.email, attempts })
+
+      try {
+        await syncAccountInviteCount(account.id, { inviteListParams: { offset: 0, limit: 1, query: '' } })
+      } catch (error) {
+        console.warn(`${LABEL} 同步邀请数量失败:`, error?.message || error)
+      }
+      return { job: getInviteJob(db, job.id), invited: true }
+    }
+
+    const lastError = stringifyError(result.error)
+    const exhausted = wasDead || attempts >= getRuntimeSettingValue('inviteRetryMaxAttempts')
+    fencedWrite(() => {
+      if (exhausted) {
+        db.run(
+          `
+            UPDATE invite_jobs
+            SET status = 'dead', account_attempts = ?, last_error = ?, next_attempt_at = NULL,
+                dead_at = COALESCE(dead_at, DATETIME('now', 'localtime')), updated_at = DATETIME('now', 'localtime')
+            WHERE id = ?
+          `,
+          [accountAttempts + 1, lastError, job.id]
+        )
+      } else {
+        db.run(
+          `
+            UPDATE invite_jobs
+            SET status = 'queued', account_attempts = ?, last_error = ?, next_attempt_at = ?,
+                updated_at = DATETIME('now', 'localtime')
+            WHERE id = ?
+          `,
+          [accountAttempts + 1, lastError, formatLocalDateTime(Date.now() + backoffMs(attempts + 1)), job.id]
+        )
+      }
+    })
+    console.warn(`${LABEL} invite failed`, { id: job.id, email: job.email, attempts, exhausted, error: lastError })
+
+    const updated = getInviteJob(db, job.id)
+    if (exhausted && !updated.notifiedAt) {
+      try {
+        await notifyDeadLettered(db, updated)
+      } catch (error) {
+        console.warn(`${LABEL} notify failed`, error?.message || error)
+      }
+    }
+    await saveDatabase()
+    return { job: getInviteJob(db, job.id), invited: false }
+  })
+}
+
+// 中断的 processing 任务重新排队，并返回到期任务 ID
+const collectDueJobIds = (db) => {
+  db.run(
+    `
+      UPDATE invite_jobs
+      SET status = 'queued', next_attempt_at = DATETIME('now', 'localtime'), updated_at = DATETIME('now', 'localtime')
+      WHERE status = 'processing'
+        AND last_attempt_at <= DATETIME('now', 'localtime', ?)
+    `,
+    [`-${STALE_PROCESSING_MINUTES} minutes`]
+  )
+  const result = db.exec(
+    `
+      SELECT id FROM invite_jobs
+      WHERE status = 'queued'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= DATETIME('now', 'localtime'))
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT ?
+    `,
+    [BATCH_LIMIT]
+  )
+  return (result[0]?.values || []).map(row => Number(row[0]))
+}
+
+export function countInviteJobsByStatus(db) {
+  const counts = Object.fromEntries(INVITE_JOB_STATUSES.map(status => [status, 0]))
+  const result = db.exec('SELECT status, COUNT(*) FROM invite_jobs GROUP BY status')
+  for (const row of result[0]?.values || []) {
+    if (row[0] in counts) counts[row[0]] = Number(row[1] || 0)
+  }
+  return counts
+}
+
+export function listInviteJobs(db, { status, search, page = 1, pageSize = 20 } = {}) {
+  const conditions = []
+  const params = []
+  if (status === 'open') {
+    conditions.push(`status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`)
+    params.push(...OPEN_STATUSES)
+  } else if (INVITE_JOB_STATUSES.includes(status)) {
+    conditions.push('status = ?')
+    params.push(status)
+  }
+  const keyword = String(search || '').trim().toLowerCase()
+  if (keyword) {
+    conditions.push(`(
+      LOWER(email) LIKE ? OR LOWER(COALESCE(code, '')) LIKE ? OR LOWER(COALESCE(order_no, '')) LIKE ?
+      OR LOWER(COALESCE(account_email, '')) LIKE ?
+    )`)
+    const like = `%${keyword}%`
+    params.push(like, like, like, like)
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+  const total = Number(db.exec(`SELECT COUNT(*) FROM invite_jobs ${where}`, params)[0]?.values?.[0]?.[0] || 0)
+  const offset = (page - 1) * pageSize
+  const result = db.exec(
+    `SELECT ${INVITE_JOB_COLUMNS} FROM invite_jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset]
+  )
+  return { items: (result[0]?.values || []).map(mapInviteJobRow), total }
+}
+
+export const startInviteRetryQueue = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'INVITE_RETRY_QUEUE_ENABLED=false' })
+    console.log(`${LABEL} disabled`)
+    return () => {}
+  }
+
+  // 返回本轮结果；没有到期任务时返回 null（空转）
+  const processDueJobs = async () => {
+    const db = await getDatabase()
+    const ids = collectDueJobIds(db)
+    if (!ids.length) return null
+    await saveDatabase()
+
+    const summary = { processed: 0, succeeded: 0, failed: 0, dead: 0, cancelled: 0 }
+    for (const id of ids) {
+      try {
+        const { job, invited } = await processInviteJob(id)
+        summary.processed += 1
+        if (invited) summary.succeeded += 1
+        else if (job?.status === 'dead') summary.dead += 1
+        else if (job?.status === 'cancelled') summary.cancelled += 1
+        else summary.failed += 1
+      } catch (error) {
+        console.warn(`${LABEL} process failed`, { id, error: error?.message || error })
+      }
+    }
+    console.log(`${LABEL} processed`, summary)
+    return summary
+  }
+
+  // 多副本部署时只有持有 leader 租约的实例执行
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes()} 分钟`,
+    leaderTtlMs: () => Math.max(60_000, intervalMinutes() * 2 * 60_000),
+    run: processDueJobs
+  })
+
+  const delay = initialDelayMs()
+
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalMinutes() * 60_000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
+
+  console.log(`${LABEL} started`, {
+    intervalMinutes: intervalMinutes(),
+    initialDelayMs: delay
+  })
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
+  }
+}
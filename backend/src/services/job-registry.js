@@ -0,0 +1,305 @@
+// 后台任务注册表：各定时/常驻任务启动时在这里登记，统一记录最近一次运行、耗时、结果摘要、下次运行时间与连续失败次数，
+// 并提供暂停、恢复与手动触发。调度节奏仍由各任务自己决定，只是把每一轮的任务体交给 runRegisteredJob 执行。
+
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { runAsLeader } from '../utils/leader-election.js'
+import { getSystemConfigValue, upsertSystemConfigValue } from '../utils/system-config.js'
+
+const LABEL = '[Jobs]'
+const PAUSED_CONFIG_KEY = 'scheduled_jobs_paused'
+const HISTORY_KEEP_PER_JOB = 200
+const SUMMARY_MAX_LENGTH = 2000
+
+export const JOB_TRIGGERS = ['scheduler', 'startup', 'event', 'manual']
+
+const jobs = new Map()
+let pausedKeys = new Set()
+
+const pad2 = (value) => String(value).padStart(2, '0')
+const formatLocalDateTime = (date) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+
+const createRuntime = () => ({
+  running: false,
+  lastRunAt: null,
+  lastFinishedAt: null,
+  lastDurationMs: null,
+  lastStatus: null,
+  lastTrigger: null,
+  lastSummary: null,
+  lastError: null,
+  consecutiveFailures: 0,
+  nextRunAt: null,
+})
+
+const serializeSummary = (summary) => {
+  if (summary === null || summary === undefined) return null
+  const text = typeof summary === 'string' ? summary : JSON.stringify(summary)
+  return text.length > SUMMARY_MAX_LENGTH ? `${text.slice(0, SUMMARY_MAX_LENGTH)}…` : text
+}
+
+const parseSummary = (raw) => {
+  if (raw === null || raw === undefined || raw === '') return null
+  try {
+    return JSON.parse(String(raw))
+  } catch {
+    return String(raw)
+  }
+}
+
+/**
+ * 登记后台任务；重复登记（如重启常驻任务）会覆盖定义但保留运行状态。
+ * @param {object} definition
+ * @param {string} definition.key 稳定标识，同时作为 leader 租约名
+ * @param {string} definition.label 后台展示名称
+ * @param {string} [definition.description]
+ * @param {'interval'|'daemon'} [definition.kind] daemon 为常驻连接类任务，手动触发即重连
+ * @param {boolean} [definition.enabled] false 表示已被环境变量禁用，只展示不执行
+ * @param {string} [definition.disabledReason]
+ * @param {() => string} [definition.schedule] 调度说明，如「每 60 秒」
+ * @param {() => number} [definition.leaderTtlMs] 设置后任务体只在持有 leader 租约的实例上执行
+ * @param {(trigger: string) => Promise<any>} [definition.run] 返回本轮结果摘要，返回 null 表示空转，抛错记为失败
+ * @param {() => any} [definition.pause] 暂停时的额外动作（常驻任务断开连接等）
+ * @param {() => any} [definition.resume]
+ * @param {() => object} [definition.describe] 常驻任务的实时状态
+ */
+export function registerJob(definition) {
+  const key = String(definition?.key || '').trim()
+  if (!key) throw new Error('job key is required')
+  const existing = jobs.get(key)
+  jobs.set(key, {
+    kind: 'interval',
+    enabled: true,
+    ...definition,
+    key,
+    runtime: existing?.runtime || createRuntime(),
+  })
+}
+
+export const getRegisteredJob = (key) => jobs.get(String(key || '')) || null
+
+export const isJobPaused = (key) => pausedKeys.has(key)
+
+export function setJobNextRunAt(key, value) {
+  const job = jobs.get(key)
+  if (!job) return
+  if (value === null || value === undefined) {
+    job.runtime.nextRunAt = null
+    return
+  }
+  const date = value instanceof Date ? value : new Date(value)
+  job.runtime.nextRunAt = Number.isFinite(date.getTime()) ? formatLocalDateTime(date) : null
+}
+
+// 暂停状态保存在 system_config，多副本共享；每轮调度前重新读取，其他实例上的暂停下一轮即生效
+export async function refreshPausedJobs(db = null) {
+  try {
+    const database = db || (await getDatabase())
+    const raw = getSystemConfigValue(database, PAUSED_CONFIG_KEY)
+    const parsed = raw ? JSON.parse(raw) : []
+    pausedKeys = new Set(Array.isArray(parsed) ? parsed.map(String) : [])
+  } catch (error) {
+    console.warn(`${LABEL} load paused jobs failed`, { message: error?.message || String(error) })
+  }
+  return pausedKeys
+}
+
+const recordJobRun = async ({ key, trigger, status, summary, error, durationMs, startedAt, finishedAt }) => {
+  const db = await getDatabase()
+  db.run(
+    `
+      INSERT INTO job_runs (job_key, trigger, status, summary, error, duration_ms, started_at, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [key, trigger, status, serializeSummary(summary), error, durationMs, startedAt, finishedAt]
+  )
+  db.run(
+    `
+      DELETE FROM job_runs
+      WHERE job_key = ?
+        AND id NOT IN (SELECT id FROM job_runs WHERE job_key = ? ORDER BY id DESC LIMIT ?)
+    `,
+    [key, key, HISTORY_KEEP_PER_JOB]
+  )
+  await saveDatabase()
+}
+
+/**
+ * 执行一轮已登记的任务。非手动触发时遵循暂停状态；同一实例上同一任务不会并发执行。
+ * @returns {Promise<{ status: 'success'|'failed'|'skipped', reason?: string, summary?: any, error?: string|null, durationMs?: number }>}
+ */
+export async function runRegisteredJob(key, trigger = 'scheduler') {
+  const job = jobs.get(key)
+  if (!job || !job.enabled || typeof job.run !== 'function') {
+    return { status: 'skipped', reason: 'not_runnable' }
+  }
+
+  if (trigger !== 'manual') {
+    await refreshPausedJobs()
+    if (pausedKeys.has(key)) return { status: 'skipped', reason: 'paused' }
+  }
+
+  const runtime = job.runtime
+  if (runtime.running) return { status: 'skipped', reason: 'running' }
+
+  runtime.running = true
+  const startedAt = new Date()
+  let status = 'success'
+  let summary = null
+  let error = null
+  try {
+    if (job.leaderTtlMs) {
+      const outcome = await runAsLeader(key, () => job.run(trigger), { ttlMs: job.leaderTtlMs() })
+      if (outcome.skipped) return { status: 'skipped', reason: 'not_leader' }
+      summary = outcome.result ?? null
+    } else {
+      summary = (await job.run(trigger)) ?? null
+    }
+  } catch (err) {
+    status = 'failed'
+    error = err?.message || String(err)
+    console.error(`${LABEL} ${key} run failed`, { trigger, message: error })
+  } finally {
+    runtime.running = false
+  }
+
+  const finishedAt = new Date()
+  const durationMs = finishedAt.getTime() - startedAt.getTime()
+  const recovering = runtime.consecutiveFailures > 0
+  Object.assign(runtime, {
+    lastRunAt: formatLocalDateTime(startedAt),
+    lastFinishedAt: formatLocalDateTime(finishedAt),
+    lastDurationMs: durationMs,
+    lastStatus: status,
+    lastTrigger: trigger,
+    lastSummary: summary,
+    lastError: error,
+    consecutiveFailures: status === 'failed' ? runtime.consecutiveFailures + 1 : 0,
+  })
+
+  // 空转轮次只更新内存状态，避免高频任务每轮整库落盘；失败、手动触发与失败后的首次恢复总会写入历史
+  if (summary !== null || status === 'failed' || trigger === 'manual' || recovering) {
+    await recordJobRun({
+      key,
+      trigger,
+      status,
+      summary,
+      error,
+      durationMs,
+      startedAt: runtime.lastRunAt,
+      finishedAt: runtime.lastFinishedAt,
+    }).catch(recordError => {
+      console.warn(`${LABEL} record run failed`, { key, message: recordError?.message || String(recordError) })
+    })
+  }
+
+  return { status, summary, error, durationMs }
+}
+
+export async function setJobPaused(db, key, paused) {
+  const job = jobs.get(key)
+  if (!job) return false
+
+  await refreshPausedJobs(db)
+  const next = new Set(pausedKeys)
+  if (paused) next.add(key)
+  else next.delete(key)
+  upsertSystemConfigValue(db, PAUSED_CONFIG_KEY, JSON.stringify(Array.from(next).sort()))
+  pausedKeys = next
+
+  try {
+    if (paused) await job.pause?.()
+    else await job.resume?.()
+  } catch (error) {
+    console.warn(`${LABEL} ${key} ${paused ? 'pause' : 'resume'} hook failed`, { message: error?.message || String(error) })
+  }
+  return true
+}
+
+const mapJobRunRow = (row) => ({
+  id: Number(row[0]),
+  jobKey: row[1],
+  trigger: row[2],
+  status: row[3],
+  summary: parseSummary(row[4]),
+  error: row[5] || null,
+  durationMs: row[6] === null ? null : Number(row[6]),
+  startedAt: row[7] || null,
+  finishedAt: row[8] || null,
+})
+
+const JOB_RUN_COLUMNS = 'id, job_key, trigger, status, summary, error, duration_ms, started_at, finished_at'
+
+export function listJobRuns(db, key, { limit = 50 } = {}) {
+  const normalizedLimit = Math.min(200, Math.max(1, Number(limit) || 50))
+  const result = db.exec(
+    `SELECT ${JOB_RUN_COLUMNS} FROM job_runs WHERE job_key = ? ORDER BY id DESC LIMIT ?`,
+    [key, normalizedLimit]
+  )
+  return (result[0]?.values || []).map(mapJobRunRow)
+}
+
+const countTrailingFailures = (runs) => {
+  let count = 0
+  for (const run of runs) {
+    if (run.status !== 'failed') break
+    count += 1
+  }
+  return count
+}
+
+const describeSchedule = (job) => {
+  try {
+    return job.schedule?.() || null
+  } catch {
+    return null
+  }
+}
+
+const describeState = (job) => {
+  try {
+    return job.describe?.() || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 汇总所有已登记任务的状态。多副本部署时实际执行的可能是其他实例，
+ * 因此若历史表中有比本实例内存更新的记录，以历史记录为准。
+ */
+export async function listJobs(db) {
+  await refreshPausedJobs(db)
+
+  return Array.from(jobs.values()).map(job => {
+    const runtime = { ...job.runtime }
+    const recent = listJobRuns(db, job.key, { limit: 20 })
+    const latest = recent[0]
+    if (latest && (!runtime.lastRunAt || String(latest.startedAt || '') > runtime.lastRunAt)) {
+      Object.assign(runtime, {
+        lastRunAt: latest.startedAt,
+        lastFinishedAt: latest.finishedAt,
+        lastDurationMs: latest.durationMs,
+        lastStatus: latest.status,
+        lastTrigger: latest.trigger,
+        lastSummary: latest.summary,
+        lastError: latest.error,
+        consecutiveFailures: countTrailingFailures(recent),
+      })
+    }
+
+    return {
+      key: job.key,
+      label: job.label,
+      description: job.description || '',
+      kind: job.kind,
+      enabled: Boolean(job.enabled),
+      disabledReason: job.disabledReason || null,
+      schedule: describeSchedule(job),
+      paused: pausedKeys.has(job.key),
+      canTrigger: Boolean(job.enabled && typeof job.run === 'function'),
+      state: describeState(job),
+      ...runtime,
+    }
+  })
+}
@@ -175,7 +175,8 @@ export const releaseOpenAccountsOrderCode = (db, orderNo) => {
   return { released: 1 }
 }
 
-export const redeemOpenAccountsOrderCode = async (db, { orderNo, uid, email, accountEmail, capacityLimit = 5, orderType }) => {
+// 开放账号上车：新用户需为账号保留 1 个席位（默认 6 座时最多 5 人上车），已是成员/已被邀请的用户可传 reservedSeats: 0
+export const redeemOpenAccountsOrderCode = async (db, { orderNo, uid, email, accountEmail, reservedSeats = 1, orderType }) => {
   const codeInfo = ensureOpenAccountsOrderCode(db, { orderNo, accountEmail, email })
   if (!codeInfo?.code) {
     return { ok: false, error: 'no_code' }
@@ -188,7 +189,7 @@ export const redeemOpenAccountsOrderCode = async (db, { orderNo, uid, email, acc
       channel: codeInfo.channel || 'common',
       orderType,
       redeemerUid: uid,
-      capacityLimit
+      reservedSeats
     })
     return { ok: true, redemption, code: codeInfo }
   } catch (error) {
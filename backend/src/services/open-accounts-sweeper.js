@@ -1,13 +1,19 @@
 import { getDatabase, saveDatabase } from '../database/init.js'
-import { withLocks } from '../utils/locks.js'
+import { fencedWrite, withLocks } from '../utils/locks.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
 import { formatProxyForLog, loadProxyList, pickProxyByHash } from '../utils/proxy.js'
 import { AccountSyncError, deleteAccountUser, fetchAccountUsersList, syncAccountInviteCount, syncAccountUserCount } from './account-sync.js'
 import { sendOpenAccountsSweeperReportEmail } from './email-service.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { DEFAULT_SEAT_CAPACITY, resolveSeatCapacity } from '../utils/seat-capacity.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
 
-const DEFAULT_INTERVAL_HOURS = 1
-const DEFAULT_MAX_JOINED = 6
 const DEFAULT_CREATED_WITHIN_DAYS = 15
+const JOB = {
+  key: 'open-accounts-overcapacity-sweeper',
+  label: '开放账号超员清理',
+  description: '按整点扫描开放账号，移除超出席位上限的成员并发送报告邮件',
+}
 
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -27,9 +33,13 @@ const isEnabledFlag = (value, defaultValue = false) => {
 
 const runOnStartup = () => isEnabledFlag(process.env.OPEN_ACCOUNTS_SWEEPER_RUN_ON_STARTUP, false)
 
-// 间隔小时数，默认1小时
-const intervalHours = () => Math.max(1, toInt(process.env.OPEN_ACCOUNTS_SWEEPER_INTERVAL_HOURS, DEFAULT_INTERVAL_HOURS))
-const maxJoined = () => Math.max(0, toInt(process.env.OPEN_ACCOUNTS_MAX_JOINED, DEFAULT_MAX_JOINED))
+// 间隔小时数（运行时配置，默认1小时）
+const intervalHours = () => getRuntimeSettingValue('openAccountsSweeperIntervalHours')
+// 未配置时按各账号的 seat_capacity 判定超员；配置后作为统一阈值覆盖
+const maxJoined = () => {
+  const raw = String(process.env.OPEN_ACCOUNTS_MAX_JOINED ?? '').trim()
+  return raw ? Math.max(0, toInt(raw, DEFAULT_SEAT_CAPACITY)) : null
+}
 const concurrency = () => Math.max(1, toInt(process.env.OPEN_ACCOUNTS_SWEEPER_CONCURRENCY, 3))
 const createdWithinDays = () => Math.max(0, toInt(process.env.OPEN_ACCOUNTS_SWEEPER_CREATED_WITHIN_DAYS, DEFAULT_CREATED_WITHIN_DAYS))
 
@@ -83,7 +93,7 @@ const enforceAccountCapacity = async (accountId, { maxJoinedCount, proxy } = {})
       const email = String(user.email || '').trim().toLowerCase()
 	      if (email) {
 	        const db = await getDatabase()
-	        db.run(
+	        fencedWrite(() => db.run(
 	          `
 	            UPDATE linuxdo_users
 	            SET current_open_account_id = NULL,
@@ -93,7 +103,7 @@ const enforceAccountCapacity = async (accountId, { maxJoinedCount, proxy } = {})
 	              AND (lower(email) = ? OR lower(current_open_account_email) = ?)
 	          `,
 	          [accountId, email, email]
-	        )
+	        ))
 	        saveDatabase()
 	      }
       kicked += 1
@@ -113,38 +123,36 @@ const enforceAccountCapacity = async (accountId, { maxJoinedCount, proxy } = {})
 
 export const startOpenAccountsOvercapacitySweeper = () => {
   if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'OPEN_ACCOUNTS_SWEEPER_ENABLED=false' })
     console.log('[OpenAccountsSweeper] disabled')
     return () => {}
   }
 
-  let running = false
-  const runOnce = async () => {
-    if (running) return
-    running = true
+  // 返回本轮扫描统计；功能关闭或没有开放账号时返回 null（空转），所有账号都处理失败时抛错
+  const sweepOnce = async () => {
     const startedAt = new Date()
-    try {
-      const features = await getFeatureFlags()
-      if (!isFeatureEnabled(features, 'openAccounts')) return
+    const features = await getFeatureFlags()
+    if (!isFeatureEnabled(features, 'openAccounts')) return null
 
-      const db = await getDatabase()
+    const db = await getDatabase()
 	      const windowDays = createdWithinDays()
 	      const result = windowDays > 0
 	        ? db.exec(
-	            `SELECT id, email FROM gpt_accounts WHERE is_open = 1 AND COALESCE(is_banned, 0) = 0 AND created_at >= DATETIME('now', 'localtime', ?)`,
+	            `SELECT id, email, seat_capacity FROM gpt_accounts WHERE is_open = 1 AND COALESCE(is_banned, 0) = 0 AND created_at >= DATETIME('now', 'localtime', ?)`,
 	            [`-${windowDays} days`]
 	          )
-	        : db.exec('SELECT id, email FROM gpt_accounts WHERE is_open = 1 AND COALESCE(is_banned, 0) = 0')
-      const accountRows = (result[0]?.values || [])
-        .map(row => {
-          const id = Number(row[0])
-          const email = String(row[1] || '')
-          const emailPrefix = email.split('@')[0] || ''
-          return Number.isFinite(id) ? { id, emailPrefix } : null
-        })
-        .filter(Boolean)
-      if (accountRows.length === 0) return
-
-      const max = maxJoined()
+	        : db.exec('SELECT id, email, seat_capacity FROM gpt_accounts WHERE is_open = 1 AND COALESCE(is_banned, 0) = 0')
+    const accountRows = (result[0]?.values || [])
+      .map(row => {
+        const id = Number(row[0])
+        const email = String(row[1] || '')
+        const emailPrefix = email.split('@')[0] || ''
+        return Number.isFinite(id) ? { id, emailPrefix, seatCapacity: resolveSeatCapacity(row[2]) } : null
+      })
+      .filter(Boolean)
+    if (accountRows.length === 0) return null
+
+    const max = maxJoined()
 	      const workerCount = Math.min(concurrency(), accountRows.length)
 	      const queue = [...accountRows]
 	      const proxies = loadProxyList()
@@ -152,69 +160,79 @@ export const startOpenAccountsOvercapacitySweeper = () => {
 	      const failures = []
 	      let totalKicked = 0
 
-      const worker = async () => {
-        while (queue.length > 0) {
+    const worker = async () => {
+      while (queue.length > 0) {
 	          const item = queue.shift()
 	          if (!item) return
-	          const { id, emailPrefix } = item
+	          const { id, emailPrefix, seatCapacity } = item
 	          const proxyEntry = pickProxyByHash(proxies, id)
 	          const proxy = proxyEntry?.url || null
 	          const proxyLabel = proxyEntry ? formatProxyForLog(proxyEntry.url) : null
-          await withLocks([`acct:${id}`], async () => {
-            try {
-              const outcome = await enforceAccountCapacity(id, { maxJoinedCount: max, proxy })
-              const kicked = Number(outcome?.kicked || 0)
-              const joined = Number(outcome?.joined || 0)
-              const didKick = kicked > 0
-              totalKicked += kicked
-              results.push({
-                accountId: id,
-                emailPrefix,
-                joined,
-                didKick,
-                kicked,
-                note: outcome?.reason === 'no_standard_users' ? '无可踢用户' : (kicked ? '超员已处理' : '')
-              })
-              if (kicked) console.log('[OpenAccountsSweeper] kicked', { accountId: id, count: kicked })
-            } catch (error) {
-              console.error('[OpenAccountsSweeper] sweep error', {
-                accountId: id,
-                proxy: proxyLabel,
-                message: error?.message || String(error)
-              })
-              failures.push({ accountId: id, emailPrefix, error: error?.message || String(error) })
-            }
-          })
-        }
+        await withLocks([`acct:${id}`], async () => {
+          try {
+            const outcome = await enforceAccountCapacity(id, { maxJoinedCount: max ?? seatCapacity, proxy })
+            const kicked = Number(outcome?.kicked || 0)
+            const joined = Number(outcome?.joined || 0)
+            const didKick = kicked > 0
+            totalKicked += kicked
+            results.push({
+              accountId: id,
+              emailPrefix,
+              joined,
+              didKick,
+              kicked,
+              note: outcome?.reason === 'no_standard_users' ? '无可踢用户' : (kicked ? '超员已处理' : '')
+            })
+            if (kicked) console.log('[OpenAccountsSweeper] kicked', { accountId: id, count: kicked })
+          } catch (error) {
+            console.error('[OpenAccountsSweeper] sweep error', {
+              accountId: id,
+              proxy: proxyLabel,
+              message: error?.message || String(error)
+            })
+            failures.push({ accountId: id, emailPrefix, error: error?.message || String(error) })
+          }
+        })
       }
+    }
 
-      await Promise.all(Array.from({ length: workerCount }, worker))
+    await Promise.all(Array.from({ length: workerCount }, worker))
 
-      const finishedAt = new Date()
+    const finishedAt = new Date()
 
-      // 按邮箱名称排序
-      results.sort((a, b) => (a.emailPrefix || '').localeCompare(b.emailPrefix || ''))
-      failures.sort((a, b) => (a.emailPrefix || '').localeCompare(b.emailPrefix || ''))
+    // 按邮箱名称排序
+    results.sort((a, b) => (a.emailPrefix || '').localeCompare(b.emailPrefix || ''))
+    failures.sort((a, b) => (a.emailPrefix || '').localeCompare(b.emailPrefix || ''))
 
-      try {
-        await sendOpenAccountsSweeperReportEmail({
-          startedAt,
-          finishedAt,
-          maxJoined: max,
-          scanCreatedWithinDays: windowDays,
-          scannedCount: accountRows.length,
-          totalKicked,
-          results,
-          failures
-        })
-      } catch (error) {
-        console.warn('[OpenAccountsSweeper] send email failed', error?.message || error)
-      }
-    } finally {
-      running = false
+    try {
+      await sendOpenAccountsSweeperReportEmail({
+        startedAt,
+        finishedAt,
+        maxJoined: max ?? '各账号席位上限',
+        scanCreatedWithinDays: windowDays,
+        scannedCount: accountRows.length,
+        totalKicked,
+        results,
+        failures
+      })
+    } catch (error) {
+      console.warn('[OpenAccountsSweeper] send email failed', error?.message || error)
     }
+
+    if (failures.length === accountRows.length) {
+      throw new Error(`${failures.length} 个账号全部处理失败：${failures[0].error}`)
+    }
+    return { scanned: accountRows.length, kicked: totalKicked, failed: failures.length }
   }
 
+  // 多副本部署时同一整点只有持有 leader 租约的实例执行（租约在执行期间自动续期）
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalHours()} 小时整点`,
+    leaderTtlMs: () => 10 * 60 * 1000,
+    run: sweepOnce
+  })
+
   // 计算下一个整点执行时间
   const getNextScheduledTime = () => {
     const now = new Date()
@@ -239,24 +257,25 @@ export const startOpenAccountsOvercapacitySweeper = () => {
     const nextTime = getNextScheduledTime()
     const delay = nextTime.getTime() - Date.now()
     console.log('[OpenAccountsSweeper] next run scheduled at', nextTime.toISOString(), `(in ${Math.round(delay / 1000 / 60)} minutes)`)
+    setJobNextRunAt(JOB.key, nextTime)
     scheduledTimer = setTimeout(async () => {
-      await runOnce()
+      const { reason } = await runRegisteredJob(JOB.key)
+      if (reason === 'not_leader') console.log('[OpenAccountsSweeper] skipped: another instance holds the leader lease')
+      await refreshRuntimeSettings()
       scheduleNext()
     }, delay)
   }
 
-  // 直接开始整点调度，不在启动时执行
-  scheduleNext()
+  // 直接开始整点调度，不在启动时执行（先加载运行时配置中的间隔）
+  void refreshRuntimeSettings().then(scheduleNext)
 
   if (runOnStartup()) {
-    runOnce().catch(error => {
-      console.warn('[OpenAccountsSweeper] startup run failed', error?.message || error)
-    })
+    void runRegisteredJob(JOB.key, 'startup')
   }
 
   console.log('[OpenAccountsSweeper] started', {
     intervalHours: intervalHours(),
-    maxJoined: maxJoined(),
+    maxJoined: maxJoined() ?? 'seat_capacity',
     concurrency: concurrency(),
     runOnStartup: runOnStartup(),
     createdWithinDays: createdWithinDays()
@@ -264,5 +283,6 @@ export const startOpenAccountsOvercapacitySweeper = () => {
 
   return () => {
     if (scheduledTimer) clearTimeout(scheduledTimer)
+    setJobNextRunAt(JOB.key, null)
   }
 }
@@ -1,9 +1,16 @@
 import { getDatabase, saveDatabase } from '../database/init.js'
 import { releaseOpenAccountsOrderCode } from './open-accounts-redemption.js'
-import { withLocks } from '../utils/locks.js'
+import { fencedWrite, withLocks } from '../utils/locks.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
 
 const LABEL = '[OrderExpirationSweeper]'
+const JOB = {
+  key: 'order-expiration-sweeper',
+  label: '过期订单清理',
+  description: '将超时未支付的购买/积分订单标记为过期，并释放预留的兑换码',
+}
 
 const toInt = (value, fallback) => {
   const parsed = Number.parseInt(String(value ?? ''), 10)
@@ -15,10 +22,10 @@ const isEnabled = () => {
   return raw !== '0' && raw !== 'false' && raw !== 'off'
 }
 
-const intervalSeconds = () => Math.max(10, toInt(process.env.ORDER_EXPIRATION_SWEEPER_INTERVAL_SECONDS, 60))
+const intervalSeconds = () => getRuntimeSettingValue('orderExpirationSweeperIntervalSeconds')
 const initialDelayMs = () => Math.max(1000, toInt(process.env.ORDER_EXPIRATION_SWEEPER_INITIAL_DELAY_MS, 30_000))
 
-const purchaseExpireMinutes = () => Math.max(5, toInt(process.env.PURCHASE_ORDER_EXPIRE_MINUTES, 15))
+const purchaseExpireMinutes = () => getRuntimeSettingValue('purchaseOrderExpireMinutes')
 const creditExpireMinutes = () => Math.max(5, toInt(process.env.CREDIT_ORDER_EXPIRE_MINUTES, 15))
 
 const cleanupExpiredPurchaseOrders = (db, expireMinutes) => {
@@ -102,81 +109,92 @@ const cleanupExpiredCreditOrders = (db, expireMinutes) => {
 
 export const startOrderExpirationSweeper = () => {
   if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'ORDER_EXPIRATION_SWEEPER_ENABLED=false' })
     console.log(`${LABEL} disabled`)
     return () => {}
   }
 
-  let running = false
-  const runOnce = async () => {
-    if (running) return
-    running = true
+  // 返回本轮清理结果；无过期订单时返回 null（空转）。部分清理失败时在保存已完成部分后抛错
+  const sweepOnce = async () => {
+    const db = await getDatabase()
+    const features = await getFeatureFlags()
+    const paymentEnabled = isFeatureEnabled(features, 'payment')
+    const openAccountsEnabled = isFeatureEnabled(features, 'openAccounts')
+    const purchaseExpire = purchaseExpireMinutes()
+    const creditExpire = creditExpireMinutes()
 
-    try {
-      const db = await getDatabase()
-      const features = await getFeatureFlags()
-      const paymentEnabled = isFeatureEnabled(features, 'payment')
-      const openAccountsEnabled = isFeatureEnabled(features, 'openAccounts')
-      const purchaseExpire = purchaseExpireMinutes()
-      const creditExpire = creditExpireMinutes()
-
-      let purchaseOutcome = { expired: 0, released: 0 }
-      let creditOutcome = { expired: 0, released: 0 }
-
-      try {
-        if (paymentEnabled) {
-          await withLocks(['purchase'], async () => {
-            purchaseOutcome = cleanupExpiredPurchaseOrders(db, purchaseExpire)
-          })
-        }
-      } catch (error) {
-        console.warn(`${LABEL} cleanup purchase orders failed`, { message: error?.message || String(error) })
-      }
+    let purchaseOutcome = { expired: 0, released: 0 }
+    let creditOutcome = { expired: 0, released: 0 }
+    const errors = []
 
-      try {
-        if (openAccountsEnabled) {
-          creditOutcome = cleanupExpiredCreditOrders(db, creditExpire)
-        }
-      } catch (error) {
-        console.warn(`${LABEL} cleanup credit orders failed`, { message: error?.message || String(error) })
+    try {
+      if (paymentEnabled) {
+        await withLocks(['purchase'], async () => {
+          purchaseOutcome = fencedWrite(() => cleanupExpiredPurchaseOrders(db, purchaseExpire))
+        })
       }
+    } catch (error) {
+      console.warn(`${LABEL} cleanup purchase orders failed`, { message: error?.message || String(error) })
+      errors.push(`购买订单：${error?.message || String(error)}`)
+    }
 
-      const changed = purchaseOutcome.expired > 0 || purchaseOutcome.released > 0 || creditOutcome.expired > 0 || creditOutcome.released > 0
-      if (changed) {
-        await saveDatabase()
-        console.log(`${LABEL} expired orders cleaned`, {
-          purchaseExpired: purchaseOutcome.expired,
-          purchaseReleased: purchaseOutcome.released,
-          creditExpired: creditOutcome.expired,
-          creditReleased: creditOutcome.released
-        })
+    try {
+      if (openAccountsEnabled) {
+        creditOutcome = fencedWrite(() => cleanupExpiredCreditOrders(db, creditExpire))
       }
     } catch (error) {
-      console.error(`${LABEL} run failed`, { message: error?.message || String(error) })
-    } finally {
-      running = false
+      console.warn(`${LABEL} cleanup credit orders failed`, { message: error?.message || String(error) })
+      errors.push(`积分订单：${error?.message || String(error)}`)
+    }
+
+    const outcome = {
+      purchaseExpired: purchaseOutcome.expired,
+      purchaseReleased: purchaseOutcome.released,
+      creditExpired: creditOutcome.expired,
+      creditReleased: creditOutcome.released
+    }
+    const changed = Object.values(outcome).some(value => value > 0)
+    if (changed) {
+      await saveDatabase()
+      console.log(`${LABEL} expired orders cleaned`, outcome)
     }
+    if (errors.length) throw new Error(errors.join('；'))
+    return changed ? outcome : null
   }
 
-  const delay = initialDelayMs()
-  const interval = intervalSeconds()
+  // 多副本部署时只有持有 leader 租约的实例执行清理
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalSeconds()} 秒`,
+    leaderTtlMs: () => Math.max(60_000, intervalSeconds() * 2000),
+    run: sweepOnce
+  })
 
-  const initialTimer = setTimeout(() => {
-    void runOnce()
-  }, delay)
+  const delay = initialDelayMs()
 
-  const intervalTimer = setInterval(() => {
-    void runOnce()
-  }, interval * 1000)
+  // 每轮执行前刷新运行时配置，间隔与阈值在后台修改后下一轮即生效
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalSeconds() * 1000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
 
   console.log(`${LABEL} started`, {
-    intervalSeconds: interval,
+    intervalSeconds: intervalSeconds(),
     initialDelayMs: delay,
     purchaseExpireMinutes: purchaseExpireMinutes(),
     creditExpireMinutes: creditExpireMinutes()
   })
 
   return () => {
-    clearTimeout(initialTimer)
-    clearInterval(intervalTimer)
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
   }
 }
@@ -0,0 +1,293 @@
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { withLocks } from '../utils/locks.js'
+
+/**
+ * 支付回调通知台账：每次入站回调（ZPAY / 易支付 / Linux DO Credit）都先落库，记录验签结论、解析出的字段与处理结果，
+ * 再交给对应来源登记的处理函数。同一 (来源, 通道, 平台交易号) 只会成功处理一次，之后的重复通知记为 duplicate；
+ * 后台重放会跳过去重检查，用于兑换中途失败等需要再跑一遍的情况。
+ *
+ * 状态：
+ * - received：已验签、待处理
+ * - rejected：验签未通过（缺少配置 / pid 不匹配 / 签名错误），不会处理也不可重放
+ * - ignored：无需处理（交易未成功、缺少订单号、订单通道不匹配、订单已退款等）
+ * - processing / processed / failed：处理中 / 已完成 / 处理失败（可重放）
+ * - duplicate：同一交易号已处理过
+ */
+
+export const PAYMENT_NOTIFICATION_SOURCES = ['purchase', 'credit']
+export const PAYMENT_NOTIFICATION_STATUSES = ['received', 'rejected', 'ignored', 'processing', 'processed', 'failed', 'duplicate']
+export const PAYMENT_NOTIFICATION_VERIFY_STATUSES = ['verified', 'not_checked', 'missing_config', 'pid_mismatch', 'sign_mismatch']
+
+const RESULT_MAX_LENGTH = 500
+
+const handlers = new Map()
+
+/**
+ * 登记某个来源的通知处理函数，由对应路由模块在加载时调用。
+ * 处理函数返回 { status: 'processed' | 'failed' | 'ignored', result?: string, orderNo?: string }，抛出的异常记为 failed。
+ * @param {'purchase' | 'credit'} source
+ * @param {(db: object, notification: object) => Promise<{ status: string, result?: string, orderNo?: string }>} handler
+ */
+export function registerPaymentNotificationHandler(source, handler) {
+  handlers.set(source, handler)
+}
+
+const truncate = (value, limit = RESULT_MAX_LENGTH) => {
+  if (value == null) return null
+  const text = String(value)
+  return text.length > limit ? `${text.slice(0, limit)}…` : text
+}
+
+const parseJson = (raw) => {
+  if (raw == null || raw === '') return null
+  try {
+    return JSON.parse(String(raw))
+  } catch {
+    return null
+  }
+}
+
+export const PAYMENT_NOTIFICATION_COLUMNS = `
+  id, source, provider, order_no, trade_no, trade_status, paid, money, pay_type, method, ip,
+  payload, verify_status, verify_detail, status, result, duplicate_of, attempts, received_at, processed_at, updated_at
+`
+
+export const mapPaymentNotificationRow = (row) => ({
+  id: Number(row[0]),
+  source: row[1],
+  provider: row[2],
+  orderNo: row[3] || null,
+  tradeNo: row[4] || null,
+  tradeStatus: row[5] || null,
+  paid: Number(row[6] || 0) === 1,
+  money: row[7] || null,
+  payType: row[8] || null,
+  method: row[9] || null,
+  ip: row[10] || null,
+  payload: parseJson(row[11]) || {},
+  verifyStatus: row[12],
+  verifyDetail: parseJson(row[13]),
+  status: row[14],
+  result: row[15] || null,
+  duplicateOf: row[16] == null ? null : Number(row[16]),
+  attempts: Number(row[17] || 0),
+  receivedAt: row[18] || null,
+  processedAt: row[19] || null,
+  updatedAt: row[20] || null,
+})
+
+export function getPaymentNotification(db, id) {
+  const result = db.exec(`SELECT ${PAYMENT_NOTIFICATION_COLUMNS} FROM payment_notifications WHERE id = ? LIMIT 1`, [id])
+  const row = result[0]?.values?.[0]
+  return row ? mapPaymentNotificationRow(row) : null
+}
+
+/**
+ * 记录一条入站通知，返回新行 id。同步写库，调用方负责 saveDatabase。
+ */
+export function recordPaymentNotification(db, {
+  source,
+  provider,
+  orderNo = null,
+  tradeNo = null,
+  tradeStatus = null,
+  paid = false,
+  money = null,
+  payType = null,
+  method = null,
+  ip = null,
+  payload,
+  verifyStatus,
+  verifyDetail = null,
+  status,
+  result = null
+}) {
+  db.run(
+    `
+      INSERT INTO payment_notifications (
+        source, provider, order_no, trade_no, trade_status, paid, money, pay_type, method, ip,
+        payload, verify_status, verify_detail, status, result, received_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    [
+      source,
+      provider,
+      orderNo || null,
+      tradeNo || null,
+      tradeStatus || null,
+      paid ? 1 : 0,
+      money == null ? null : String(money),
+      payType || null,
+      method || null,
+      ip || null,
+      JSON.stringify(payload || {}),
+      verifyStatus,
+      verifyDetail ? JSON.stringify(verifyDetail) : null,
+      status,
+      truncate(result)
+    ]
+  )
+  const idResult = db.exec('SELECT last_insert_rowid()')
+  return Number(idResult[0]?.values?.[0]?.[0] || 0)
+}
+
+const findProcessedNotificationId = (db, { id, source, provider, tradeNo }) => {
+  const result = db.exec(
+    `
+      SELECT id
+      FROM payment_notifications
+      WHERE source = ? AND provider = ? AND trade_no = ? AND status = 'processed' AND id != ?
+      ORDER BY id ASC
+      LIMIT 1
+    `,
+    [source, provider, tradeNo, id]
+  )
+  const value = result[0]?.values?.[0]?.[0]
+  return value == null ? null : Number(value)
+}
+
+const updateNotification = (db, id, { status, result = null, orderNo = null, duplicateOf = null, processed = false, countAttempt = false }) => {
+  db.run(
+    `
+      UPDATE payment_notifications
+      SET status = ?,
+          result = ?,
+          order_no = COALESCE(?, order_no),
+          duplicate_of = ?,
+          attempts = attempts + ?,
+          processed_at = CASE WHEN ? THEN DATETIME('now', 'localtime') ELSE processed_at END,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+    `,
+    [status, truncate(result), orderNo || null, duplicateOf, countAttempt ? 1 : 0, processed ? 1 : 0, id]
+  )
+}
+
+/**
+ * 回调入口在通知落库之后出错（写库、验签异常等）时调用，把这条通知记为 failed 以便后台重放；id 为空时不做处理。
+ * 自身出错只记日志，不影响回调入口回复平台。
+ */
+export async function markPaymentNotificationFailed(id, result) {
+  if (!id) return
+  try {
+    const db = await getDatabase()
+    updateNotification(db, id, { status: 'failed', result })
+    await saveDatabase()
+  } catch (error) {
+    console.error('[PaymentNotify] mark failed error', { id, message: error?.message || String(error) })
+  }
+}
+
+/**
+ * 处理一条已落库的通知。replay=true 时跳过“同一交易号已处理”的去重检查。
+ * @returns {Promise<{ ok: true, notification: object } | { ok: false, error: 'not_found' | 'not_verified' | 'not_paid' | 'no_handler', notification?: object }>}
+ */
+export async function processPaymentNotification(id, { replay = false } = {}) {
+  const db = await getDatabase()
+  const notification = getPaymentNotification(db, id)
+  if (!notification) return { ok: false, error: 'not_found' }
+  if (notification.verifyStatus !== 'verified') return { ok: false, error: 'not_verified', notification }
+  if (!notification.paid) return { ok: false, error: 'not_paid', notification }
+
+  const handler = handlers.get(notification.source)
+  if (!handler) return { ok: false, error: 'no_handler', notification }
+
+  // 同一交易号的通知串行处理：后到的重复通知等前一条处理完，再按结果判断是否跳过
+  const lockKey = `payment-notification:${notification.source}:${notification.provider}:${notification.tradeNo || `#${id}`}`
+  await withLocks([lockKey], async () => {
+    if (!replay && notification.tradeNo) {
+      const duplicateOf = findProcessedNotificationId(db, notification)
+      if (duplicateOf) {
+        updateNotification(db, id, { status: 'duplicate', result: `交易号已由通知 #${duplicateOf} 处理`, duplicateOf })
+        saveDatabase()
+        return
+      }
+    }
+
+    updateNotification(db, id, { status: 'processing', countAttempt: true })
+    saveDatabase()
+
+    let outcome
+    try {
+      outcome = await handler(db, notification)
+    } catch (error) {
+      console.error('[PaymentNotify] handler error', { id, source: notification.source, message: error?.message || String(error) })
+      outcome = { status: 'failed', result: error?.message || String(error) }
+    }
+
+    const status = ['processed', 'failed', 'ignored'].includes(outcome?.status) ? outcome.status : 'failed'
+    updateNotification(db, id, { status, result: outcome?.result || null, orderNo: outcome?.orderNo || null, processed: true })
+    saveDatabase()
+  })
+
+  return { ok: true, notification: getPaymentNotification(db, id) }
+}
+
+/**
+ * 分页查询通知；search 匹配订单号 / 交易号。列表不带原始 payload。
+ */
+export function listPaymentNotifications(db, { page = 1, pageSize = 20, source = '', status = '', search = '' } = {}) {
+  const conditions = []
+  const params = []
+  if (source) {
+    conditions.push('source = ?')
+    params.push(source)
+  }
+  if (status) {
+    conditions.push('status = ?')
+    params.push(status)
+  }
+  if (search) {
+    conditions.push('(order_no LIKE ? OR trade_no LIKE ?)')
+    params.push(`%${search}%`, `%${search}%`)
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+  const countResult = db.exec(`SELECT COUNT(*) FROM payment_notifications ${whereClause}`, params)
+  const total = Number(countResult[0]?.values?.[0]?.[0] || 0)
+
+  const result = db.exec(
+    `
+      SELECT ${PAYMENT_NOTIFICATION_COLUMNS}
+      FROM payment_notifications
+      ${whereClause}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `,
+    [...params, pageSize, (page - 1) * pageSize]
+  )
+  const items = (result[0]?.values || []).map(row => {
+    const { payload, ...rest } = mapPaymentNotificationRow(row)
+    return rest
+  })
+  return { items, total }
+}
+
+// 与某条通知同一交易号（或同一订单号）的其它通知，详情页用来看重复推送与历史重放
+export function listRelatedPaymentNotifications(db, notification) {
+  if (!notification.tradeNo && !notification.orderNo) return []
+  const result = db.exec(
+    `
+      SELECT id, status, verify_status, received_at, processed_at
+      FROM payment_notifications
+      WHERE source = ? AND id != ? AND ((? IS NOT NULL AND trade_no = ?) OR (? IS NOT NULL AND order_no = ?))
+      ORDER BY id DESC
+      LIMIT 50
+    `,
+    [
+      notification.source,
+      notification.id,
+      notification.tradeNo,
+      notification.tradeNo,
+      notification.orderNo,
+      notification.orderNo
+    ]
+  )
+  return (result[0]?.values || []).map(row => ({
+    id: Number(row[0]),
+    status: row[1],
+    verifyStatus: row[2],
+    receivedAt: row[3] || null,
+    processedAt: row[4] || null,
+  }))
+}
@@ -0,0 +1,426 @@
+import crypto from 'crypto'
+import axios from 'axios'
+import { getZpaySettings } from '../utils/zpay-settings.js'
+import { getEpaySettings } from '../utils/epay-settings.js'
+import { getSystemConfigValue, upsertSystemConfigValue } from '../utils/system-config.js'
+import { normalizeProductKey } from './purchase-products.js'
+
+/**
+ * 支付通道统一接口，每个通道实现：
+ * - createPayment({ orderNo, payType, productName, amount, clientIp, notifyUrl, returnUrl, param })
+ *   → { ok: true, tradeNo, providerOrderId, payUrl, qrcode, img, raw } | { ok: false, error, message }；网络异常直接抛出
+ * - queryPayment({ orderNo, tradeNo }) → { ok: true, paid, tradeNo, money, payType, paidAt, raw } | { ok: false, error, ... }
+ * - verifyNotify(payload) → { ok: true, orderNo, tradeNo, paid, tradeStatus, money, payType } | { ok: false, error, ... }
+ * - refund({ orderNo, tradeNo, money }) → { ok: true, message, raw } | { ok: false, error, msg?, message? }
+ * 订单上只记录通道 key 与通用字段（provider_trade_no / pay_url / provider_payload 等），通道特有的返回内容原样存进 provider_payload。
+ */
+
+export const PAYMENT_PROVIDER_ZPAY = 'zpay'
+export const PAYMENT_PROVIDER_EPAY = 'epay'
+export const PAY_TYPES = ['alipay', 'wxpay']
+
+const ROUTING_CONFIG_KEY = 'payment_provider_routing'
+
+const safeSnippet = (value, limit = 420) => {
+  if (value == null) return ''
+  const raw = typeof value === 'string' ? value : (() => {
+    try {
+      return JSON.stringify(value)
+    } catch {
+      return String(value)
+    }
+  })()
+  const normalized = raw.replace(/\s+/g, ' ').trim()
+  if (normalized.length <= limit) return normalized
+  return `${normalized.slice(0, limit)}…`
+}
+
+const md5 = (value) => crypto.createHash('md5').update(String(value), 'utf8').digest('hex')
+
+export const normalizePaymentResponseData = (raw) => {
+  if (raw == null) return { data: null, rawText: '' }
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim()
+    if (!trimmed) return { data: null, rawText: '' }
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed)
+        return { data: parsed, rawText: trimmed }
+      } catch {
+        return { data: null, rawText: trimmed }
+      }
+    }
+    return { data: null, rawText: trimmed }
+  }
+  return { data: raw, rawText: '' }
+}
+
+export const buildEpaySign = (params, key) => {
+  const entries = Object.entries(params || {})
+    .filter(([k, v]) => {
+      if (!k) return false
+      if (k === 'sign' || k === 'sign_type') return false
+      if (v === undefined || v === null) return false
+      const str = String(v).trim()
+      return str.length > 0
+    })
+    .sort(([a], [b]) => (a === b ? 0 : a > b ? 1 : -1))
+    .map(([k, v]) => `${k}=${String(v).trim()}`)
+    .join('&')
+
+  return md5(`${entries}${key}`)
+}
+
+const formatMoney = (value) => {
+  const parsed = Number.parseFloat(String(value ?? ''))
+  if (!Number.isFinite(parsed)) return null
+  const rounded = Math.round(parsed * 100) / 100
+  if (rounded <= 0) return null
+  return rounded.toFixed(2)
+}
+
+const summarizeEpayNotifyPayload = (payload) => {
+  const data = payload && typeof payload === 'object' ? payload : {}
+  const keys = Object.keys(data).sort()
+  return {
+    outTradeNo: data.out_trade_no ? String(data.out_trade_no).trim() : '',
+    tradeStatus: data.trade_status ? String(data.trade_status).trim() : '',
+    money: data.money != null ? String(data.money).trim() : '',
+    type: data.type ? String(data.type).trim() : '',
+    tradeNo: data.trade_no ? String(data.trade_no).trim() : '',
+    param: data.param != null ? safeSnippet(String(data.param), 160) : '',
+    name: data.name != null ? safeSnippet(String(data.name), 160) : '',
+    pid: data.pid ? String(data.pid).trim() : '',
+    signType: data.sign_type ? String(data.sign_type).trim() : '',
+    hasSign: Boolean(String(data.sign || '').trim()),
+    keys
+  }
+}
+
+// 把 HTTP 状态与响应体统一整理成 { ok, data } 或带诊断信息的失败结果
+const parseApiResponse = (response, failureError) => {
+  const contentType = String(response?.headers?.['content-type'] || '')
+  const { data, rawText } = normalizePaymentResponseData(response?.data)
+
+  if (response.status !== 200) {
+    return { ok: false, error: `http_${response.status}`, contentType, bodySnippet: safeSnippet(rawText || response?.data) }
+  }
+  if (!data || typeof data !== 'object') {
+    return { ok: false, error: 'invalid_response', contentType, bodySnippet: safeSnippet(rawText || response?.data) }
+  }
+  const code = Number(data.code)
+  if (code !== 1) {
+    return { ok: false, error: failureError, code, msg: data.msg ? String(data.msg) : '', data }
+  }
+  return { ok: true, data }
+}
+
+/**
+ * 易支付协议（mapi.php 下单、api.php 查询/退款、MD5 签名的异步通知）的通用实现。
+ * ZPAY 与各家易支付平台都基于这套协议，差别只在配置来源和下单返回的字段。
+ */
+const createEpayCompatibleProvider = ({ key, label, notifyPath, loadConfig, mapCreateResponse }) => {
+  const getConfig = async () => {
+    const settings = await loadConfig()
+    return {
+      pid: String(settings.pid || '').trim(),
+      key: String(settings.key || '').trim(),
+      baseUrl: String(settings.baseUrl || '').trim().replace(/\/+$/, '')
+    }
+  }
+
+  return {
+    key,
+    label,
+    notifyPath,
+
+    async isConfigured() {
+      const config = await getConfig()
+      return Boolean(config.pid && config.key && config.baseUrl)
+    },
+
+    async createPayment({ orderNo, payType, productName, amount, clientIp, notifyUrl, returnUrl, param }) {
+      const config = await getConfig()
+      if (!config.pid || !config.key || !config.baseUrl) return { ok: false, error: 'missing_config', message: '支付未配置，请联系管理员' }
+
+      const payParams = {
+        pid: config.pid,
+        type: payType,
+        out_trade_no: orderNo,
+        notify_url: notifyUrl,
+        return_url: returnUrl,
+        name: productName,
+        money: amount,
+        clientip: clientIp,
+        device: 'pc',
+        param
+      }
+      const sign = buildEpaySign({ ...payParams, sign_type: 'MD5' }, config.key)
+      const form = new URLSearchParams()
+      Object.entries({ ...payParams, sign, sign_type: 'MD5' }).forEach(([k, v]) => form.append(k, String(v ?? '')))
+
+      const response = await axios.post(`${config.baseUrl}/mapi.php`, form, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000,
+        validateStatus: () => true
+      })
+
+      const parsed = parseApiResponse(response, 'create_failed')
+      if (!parsed.ok) {
+        const message = parsed.error.startsWith('http_')
+          ? `支付通道异常（HTTP ${parsed.error.slice(5)}）`
+          : parsed.msg
+            ? parsed.msg
+            : Number.isFinite(parsed.code)
+              ? `支付下单失败（code=${parsed.code}）`
+              : parsed.bodySnippet
+                ? '支付下单失败（响应格式异常）'
+                : '支付下单失败'
+        return { ...parsed, message }
+      }
+
+      return { ok: true, ...mapCreateResponse(parsed.data), raw: parsed.data }
+    },
+
+    async queryPayment({ orderNo, tradeNo }) {
+      const config = await getConfig()
+      if (!config.pid || !config.key || !config.baseUrl) return { ok: false, error: 'missing_config' }
+
+      const normalizedTradeNo = String(tradeNo || '').trim()
+      const normalizedOutTradeNo = String(orderNo || '').trim()
+      if (!normalizedTradeNo && !normalizedOutTradeNo) return { ok: false, error: 'missing_order_no' }
+
+      try {
+        const response = await axios.get(`${config.baseUrl}/api.php`, {
+          params: {
+            act: 'order',
+            pid: config.pid,
+            key: config.key,
+            ...(normalizedTradeNo ? { trade_no: normalizedTradeNo } : {}),
+            ...(normalizedOutTradeNo ? { out_trade_no: normalizedOutTradeNo } : {})
+          },
+          timeout: 15000,
+          validateStatus: () => true
+        })
+        const parsed = parseApiResponse(response, 'query_failed')
+        if (!parsed.ok) return parsed
+
+        const data = parsed.data
+        return {
+          ok: true,
+          paid: Number(data.status || 0) === 1,
+          status: Number.isFinite(Number(data.status)) ? Number(data.status) : null,
+          tradeNo: data.trade_no ? String(data.trade_no) : null,
+          outTradeNo: data.out_trade_no ? String(data.out_trade_no) : null,
+          money: data.money != null ? String(data.money) : null,
+          payType: data.type ? String(data.type) : null,
+          paidAt: String(data.endtime || '').trim() || null,
+          raw: data
+        }
+      } catch (error) {
+        return { ok: false, error: 'network_error', message: error?.message || String(error) }
+      }
+    },
+
+    async verifyNotify(payload) {
+      const config = await getConfig()
+      if (!config.pid || !config.key) return { ok: false, error: 'missing_config', hasPid: Boolean(config.pid), hasKey: Boolean(config.key) }
+
+      if (String(payload.pid || '').trim() !== config.pid) {
+        return { ok: false, error: 'pid_mismatch', providedPid: String(payload.pid || '').trim() }
+      }
+
+      const signature = String(payload.sign || '').trim().toLowerCase()
+      const expected = buildEpaySign(payload, config.key).toLowerCase()
+      if (!signature || signature !== expected) {
+        return {
+          ok: false,
+          error: 'sign_mismatch',
+          signType: String(payload.sign_type || '').trim() || null,
+          hasSignature: Boolean(signature),
+          signatureLength: signature.length || 0,
+          signaturePrefix: signature ? signature.slice(0, 8) : null,
+          expectedPrefix: expected ? expected.slice(0, 8) : null
+        }
+      }
+
+      const tradeStatus = String(payload.trade_status || '').trim()
+      return {
+        ok: true,
+        orderNo: String(payload.out_trade_no || '').trim() || String(payload.order_no || '').trim(),
+        tradeNo: String(payload.trade_no || '').trim() || null,
+        tradeStatus,
+        paid: tradeStatus === 'TRADE_SUCCESS',
+        money: payload.money != null ? String(payload.money) : null,
+        payType: payload.type ? String(payload.type) : null
+      }
+    },
+
+    summarizeNotify: summarizeEpayNotifyPayload,
+
+    async refund({ orderNo, tradeNo, money }) {
+      const config = await getConfig()
+      if (!config.pid || !config.key || !config.baseUrl) return { ok: false, error: 'missing_config' }
+
+      const form = new URLSearchParams()
+      form.append('pid', config.pid)
+      form.append('key', config.key)
+
+      const normalizedTradeNo = String(tradeNo || '').trim()
+      const normalizedOutTradeNo = String(orderNo || '').trim()
+      if (normalizedTradeNo) {
+        form.append('trade_no', normalizedTradeNo)
+      } else if (normalizedOutTradeNo) {
+        form.append('out_trade_no', normalizedOutTradeNo)
+      } else {
+        return { ok: false, error: 'missing_order_no' }
+      }
+
+      const refundMoney = formatMoney(money)
+      if (!refundMoney) return { ok: false, error: 'invalid_money' }
+      form.append('money', refundMoney)
+
+      try {
+        const response = await axios.post(`${config.baseUrl}/api.php?act=refund`, form, {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000,
+          validateStatus: () => true
+        })
+        const parsed = parseApiResponse(response, 'refund_failed')
+        if (!parsed.ok) return parsed
+        return { ok: true, message: parsed.data.msg ? String(parsed.data.msg) : '', raw: parsed.data }
+      } catch (error) {
+        return { ok: false, error: 'network_error', message: error?.message || String(error) }
+      }
+    }
+  }
+}
+
+// ZPAY 的异步通知沿用历史地址 /notify，已在商户后台登记过的回调不需要修改
+const zpayProvider = createEpayCompatibleProvider({
+  key: PAYMENT_PROVIDER_ZPAY,
+  label: 'ZPAY',
+  notifyPath: '/notify',
+  loadConfig: () => getZpaySettings(),
+  mapCreateResponse: (data) => ({
+    providerOrderId: data.O_id ? String(data.O_id) : null,
+    tradeNo: data.trade_no ? String(data.trade_no) : null,
+    payUrl: data.payurl || null,
+    qrcode: data.qrcode || null,
+    img: data.img || null
+  })
+})
+
+const epayProvider = createEpayCompatibleProvider({
+  key: PAYMENT_PROVIDER_EPAY,
+  label: '易支付（EPay 兼容）',
+  notifyPath: `/notify/${PAYMENT_PROVIDER_EPAY}`,
+  loadConfig: () => getEpaySettings(),
+  mapCreateResponse: (data) => ({
+    providerOrderId: null,
+    tradeNo: data.trade_no ? String(data.trade_no) : null,
+    payUrl: data.payurl || data.urlscheme || null,
+    qrcode: data.qrcode || null,
+    img: null
+  })
+})
+
+const PROVIDERS = new Map([zpayProvider, epayProvider].map(provider => [provider.key, provider]))
+
+// 未记录通道的历史订单都是 ZPAY 订单
+export const getPaymentProvider = (key) => PROVIDERS.get(String(key || '').trim() || PAYMENT_PROVIDER_ZPAY) || null
+
+export async function listPaymentProviders() {
+  return Promise.all(
+    [...PROVIDERS.values()].map(async provider => ({
+      key: provider.key,
+      label: provider.label,
+      configured: await provider.isConfigured()
+    }))
+  )
+}
+
+/**
+ * 下单过程抛出的异常（网络错误、非 2xx 抛错）转成给用户看的提示；无法识别时返回 null。
+ */
+export const describePaymentRequestError = (error) => {
+  const normalized = normalizePaymentResponseData(error?.response?.data)
+  if (normalized?.data?.msg) return String(normalized.data.msg)
+  if (error?.response?.status) return `支付通道异常（HTTP ${error.response.status}）`
+  if (error?.code) return `支付通道异常（${String(error.code)}）`
+  return null
+}
+
+const DEFAULT_ROUTING = Object.freeze({
+  defaults: Object.fromEntries(PAY_TYPES.map(payType => [payType, PAYMENT_PROVIDER_ZPAY])),
+  products: {}
+})
+
+const normalizeProviderKey = (value) => {
+  const key = String(value ?? '').trim()
+  return PROVIDERS.has(key) ? key : null
+}
+
+/**
+ * 校验并规范化通道路由：defaults 为每种支付方式的默认通道，products 按商品覆盖（未覆盖的支付方式跟随默认）。
+ * @returns {{ ok: true, routing: object } | { ok: false, error: string }}
+ */
+export function normalizePaymentRouting(input) {
+  const source = input && typeof input === 'object' ? input : {}
+  const defaults = {}
+  for (const payType of PAY_TYPES) {
+    const raw = source.defaults?.[payType]
+    if (raw === undefined || raw === null || raw === '') {
+      defaults[payType] = DEFAULT_ROUTING.defaults[payType]
+      continue
+    }
+    const provider = normalizeProviderKey(raw)
+    if (!provider) return { ok: false, error: `未知的支付通道：${raw}` }
+    defaults[payType] = provider
+  }
+
+  const products = {}
+  const productEntries = source.products && typeof source.products === 'object' ? Object.entries(source.products) : []
+  for (const [rawProductKey, overrides] of productEntries) {
+    const productKey = normalizeProductKey(rawProductKey)
+    if (!productKey) return { ok: false, error: `商品标识不合法：${rawProductKey}` }
+    const entry = {}
+    for (const payType of PAY_TYPES) {
+      const raw = overrides?.[payType]
+      if (raw === undefined || raw === null || raw === '') continue
+      const provider = normalizeProviderKey(raw)
+      if (!provider) return { ok: false, error: `未知的支付通道：${raw}` }
+      entry[payType] = provider
+    }
+    if (Object.keys(entry).length) products[productKey] = entry
+  }
+
+  return { ok: true, routing: { defaults, products } }
+}
+
+export function getPaymentRouting(db) {
+  const raw = getSystemConfigValue(db, ROUTING_CONFIG_KEY)
+  if (!raw) return { defaults: { ...DEFAULT_ROUTING.defaults }, products: {} }
+  try {
+    const normalized = normalizePaymentRouting(JSON.parse(raw))
+    if (normalized.ok) return normalized.routing
+  } catch {
+    // 配置损坏时回落到默认路由
+  }
+  console.warn('[Payment] invalid payment routing config, falling back to defaults')
+  return { defaults: { ...DEFAULT_ROUTING.defaults }, products: {} }
+}
+
+// 同步写库，调用方负责 saveDatabase
+export function savePaymentRouting(db, routing) {
+  upsertSystemConfigValue(db, ROUTING_CONFIG_KEY, JSON.stringify(routing))
+}
+
+/**
+ * 按商品与支付方式选出下单使用的通道：商品覆盖 > 默认通道 > ZPAY。
+ */
+export function resolvePaymentProvider(db, { productKey, payType }) {
+  const routing = getPaymentRouting(db)
+  const key = routing.products[productKey]?.[payType] || routing.defaults[payType] || PAYMENT_PROVIDER_ZPAY
+  return getPaymentProvider(key)
+}
@@ -0,0 +1,168 @@
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+import { sendPurchaseExpiryReminderEmail } from './email-service.js'
+import { RENEWAL_MODE_MIGRATE, formatLocalDateTime, getOrderServiceDeadlineMs } from './purchase-renewals.js'
+
+const LABEL = '[PurchaseExpiryReminder]'
+const JOB = {
+  key: 'purchase-expiry-reminder',
+  label: '订单到期提醒',
+  description: '在服务截止前按提前天数给下单邮箱发送续费提醒，续费顺延后按新的截止时间再次提醒',
+}
+const DAY_MS = 24 * 60 * 60 * 1000
+const BATCH_LIMIT = 200
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.PURCHASE_EXPIRY_REMINDER_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const reminderDays = () => getRuntimeSettingValue('purchaseExpiryReminderDays')
+const intervalMinutes = () => getRuntimeSettingValue('purchaseExpiryReminderIntervalMinutes')
+const initialDelayMs = () => Math.max(1000, toInt(process.env.PURCHASE_EXPIRY_REMINDER_INITIAL_DELAY_MS, 240_000))
+
+const buildRenewUrl = () => {
+  const publicBaseUrl = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '')
+  return publicBaseUrl ? `${publicBaseUrl}/admin/my-orders` : ''
+}
+
+// 先按 created_at + service_days + extended_days 在 SQL 里粗筛，再用 resolveOrderDeadlineMs 精确计算截止时间
+const listReminderCandidates = (db, days) => {
+  const result = db.exec(
+    `
+      SELECT po.order_no, po.email, po.product_name, po.code_id, po.code, po.redeemed_at, po.order_type,
+             COALESCE(po.redeem_account_email, po.code_account_email), po.expiry_reminded_deadline, po.locale
+      FROM purchase_orders po
+      WHERE po.status = 'paid'
+        AND po.refunded_at IS NULL
+        AND po.redeemed_at IS NOT NULL
+        AND po.code IS NOT NULL
+        AND trim(po.code) != ''
+        AND po.email IS NOT NULL
+        AND trim(po.email) != ''
+        AND DATETIME(po.created_at, '+' || (COALESCE(po.service_days, 30) + COALESCE(po.extended_days, 0)) || ' days')
+          BETWEEN DATETIME('now', 'localtime') AND DATETIME('now', 'localtime', ?)
+        AND NOT EXISTS (
+          SELECT 1 FROM purchase_orders r
+          WHERE r.renewal_of_order_no = po.order_no
+            AND r.renewal_mode = '${RENEWAL_MODE_MIGRATE}'
+            AND r.status = 'paid'
+        )
+      ORDER BY po.created_at ASC
+      LIMIT ?
+    `,
+    [`+${days + 1} days`, BATCH_LIMIT]
+  )
+  return (result[0]?.values || []).map(row => ({
+    orderNo: row[0],
+    email: row[1],
+    productName: row[2] || '',
+    codeId: row[3] ?? null,
+    code: row[4],
+    redeemedAt: row[5],
+    orderType: row[6],
+    accountEmail: row[7] || '',
+    remindedDeadline: row[8] || null,
+    locale: row[9] || null
+  }))
+}
+
+export const startPurchaseExpiryReminder = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'PURCHASE_EXPIRY_REMINDER_ENABLED=false' })
+    console.log(`${LABEL} disabled`)
+    return () => {}
+  }
+
+  // 返回本轮提醒结果；提醒关闭、支付功能关闭或没有临近到期的订单时返回 null（空转）
+  const remindOnce = async () => {
+    const days = reminderDays()
+    if (days <= 0) return null
+
+    const features = await getFeatureFlags()
+    if (!isFeatureEnabled(features, 'payment')) return null
+
+    const db = await getDatabase()
+    const nowMs = Date.now()
+    const windowEndMs = nowMs + days * DAY_MS
+    const renewUrl = buildRenewUrl()
+
+    let sent = 0
+    let failed = 0
+    for (const order of listReminderCandidates(db, days)) {
+      const deadlineMs = getOrderServiceDeadlineMs(db, order)
+      if (!Number.isFinite(deadlineMs) || deadlineMs <= nowMs || deadlineMs > windowEndMs) continue
+
+      const deadline = formatLocalDateTime(deadlineMs)
+      if (order.remindedDeadline === deadline) continue
+
+      const ok = await sendPurchaseExpiryReminderEmail(order, {
+        deadline,
+        daysLeft: Math.max(1, Math.ceil((deadlineMs - nowMs) / DAY_MS)),
+        renewUrl
+      })
+      if (!ok) {
+        failed += 1
+        continue
+      }
+      db.run(
+        `
+          UPDATE purchase_orders
+          SET expiry_reminded_at = DATETIME('now', 'localtime'),
+              expiry_reminded_deadline = ?
+          WHERE order_no = ?
+        `,
+        [deadline, order.orderNo]
+      )
+      sent += 1
+    }
+
+    if (sent > 0) {
+      await saveDatabase()
+      console.log(`${LABEL} reminders sent`, { sent, failed })
+    }
+    if (failed > 0 && sent === 0) throw new Error(`${failed} 封提醒邮件发送失败，请检查 SMTP 配置`)
+    return sent || failed ? { sent, failed } : null
+  }
+
+  // 多副本部署时只有持有 leader 租约的实例发送提醒，避免重复发信
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes()} 分钟`,
+    leaderTtlMs: () => intervalMinutes() * 2 * 60_000,
+    run: remindOnce
+  })
+
+  const delay = initialDelayMs()
+
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalMinutes() * 60_000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
+
+  console.log(`${LABEL} started`, {
+    intervalMinutes: intervalMinutes(),
+    reminderDays: reminderDays(),
+    initialDelayMs: delay
+  })
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
+  }
+}
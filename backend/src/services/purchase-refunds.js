@@ -0,0 +1,179 @@
+import {
+  AccountSyncError,
+  deleteAccountInvite,
+  deleteAccountUser,
+  fetchAccountInvites,
+  fetchAccountUsersList
+} from './account-sync.js'
+import { safeInsertPointsLedgerEntry } from '../utils/points-ledger.js'
+
+// keep：兑换码保持已使用（原有行为）；restock：退回库存重新售卖；void：作废，不再售卖
+export const REFUND_CODE_ACTIONS = ['keep', 'restock', 'void']
+
+const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
+
+const describeError = (error) => {
+  if (error instanceof AccountSyncError) return error.message
+  return error?.message || String(error)
+}
+
+const deductUserPoints = (db, { userId, points, action, orderNo, remark }) => {
+  const row = db.exec('SELECT COALESCE(points, 0) FROM users WHERE id = ? LIMIT 1', [userId])[0]?.values?.[0]
+  if (!row) return { deducted: 0, reason: 'user_not_found' }
+
+  // 积分可能已被消费或提现，只扣到 0 为止，差额记在报告里由人工处理
+  const pointsBefore = Number(row[0] || 0)
+  const deducted = Math.min(points, Math.max(0, pointsBefore))
+  if (deducted > 0) {
+    db.run('UPDATE users SET points = COALESCE(points, 0) - ? WHERE id = ?', [deducted, userId])
+    safeInsertPointsLedgerEntry(db, {
+      userId,
+      deltaPoints: -deducted,
+      pointsBefore,
+      pointsAfter: pointsBefore - deducted,
+      action,
+      refType: 'purchase_order',
+      refId: orderNo,
+      remark
+    })
+  }
+  return { deducted, shortfall: points - deducted }
+}
+
+/**
+ * 扣回订单发放的购买奖励与邀请奖励（同步写库，调用方负责 saveDatabase）。
+ * @returns {Array<{ kind: 'buyer' | 'inviter', userId: number, points: number, deducted: number, shortfall?: number, reason?: string }>}
+ */
+export function reverseOrderRewardPoints(db, order) {
+  const results = []
+
+  const buyerUserId = Number(order.userId || 0)
+  const buyerPoints = Number(order.buyerRewardPoints || 0)
+  if (order.buyerRewardedAt && buyerUserId > 0 && buyerPoints > 0) {
+    results.push({
+      kind: 'buyer',
+      userId: buyerUserId,
+      points: buyerPoints,
+      ...deductUserPoints(db, {
+        userId: buyerUserId,
+        points: buyerPoints,
+        action: 'purchase_buyer_reward_reverse',
+        orderNo: order.orderNo,
+        remark: '订单退款扣回购买奖励'
+      })
+    })
+  }
+
+  const inviterUserId = Number(order.inviteRewardToUserId || 0)
+  const inviterPoints = Number(order.inviteRewardPoints || 0)
+  if (order.inviteRewardedAt && inviterUserId > 0 && inviterPoints > 0) {
+    results.push({
+      kind: 'inviter',
+      userId: inviterUserId,
+      points: inviterPoints,
+      ...deductUserPoints(db, {
+        userId: inviterUserId,
+        points: inviterPoints,
+        action: 'purchase_invite_reward_reverse',
+        orderNo: order.orderNo,
+        remark: '被邀请人订单退款扣回邀请奖励'
+      })
+    })
+  }
+
+  return results
+}
+
+/**
+ * 把买家从兑换时加入的账号中移除：已入队的删除成员，未接受的撤回邀请。
+ * 失败不抛出，结果写入退款报告。
+ * @returns {Promise<{ status: 'removed_member' | 'removed_invite' | 'not_found' | 'skipped' | 'failed', accountEmail: string | null, reason?: string }>}
+ */
+export async function revokeOrderAccess(db, order) {
+  const accountEmail = order.redeemAccountEmail || order.codeAccountEmail || null
+  const email = normalizeEmail(order.email)
+
+  if (!order.redeemedAt) return { status: 'skipped', accountEmail, reason: '订单未完成兑换' }
+  if (!accountEmail || !email) return { status: 'skipped', accountEmail, reason: '缺少账号或邮箱信息' }
+
+  const accountRow = db.exec(
+    'SELECT id FROM gpt_accounts WHERE lower(trim(email)) = ? LIMIT 1',
+    [normalizeEmail(accountEmail)]
+  )[0]?.values?.[0]
+  if (!accountRow) return { status: 'skipped', accountEmail, reason: '账号已不存在' }
+  const accountId = Number(accountRow[0])
+
+  try {
+    const users = await fetchAccountUsersList(accountId, { userListParams: { offset: 0, limit: 25, query: email } })
+    const member = (users.items || []).find(item => normalizeEmail(item.email) === email)
+    if (member) {
+      await deleteAccountUser(accountId, String(member.id), { userListParams: { offset: 0, limit: 1, query: '' } })
+      return { status: 'removed_member', accountEmail }
+    }
+
+    const invites = await fetchAccountInvites(accountId, { inviteListParams: { offset: 0, limit: 25, query: email } })
+    const invited = (invites.items || []).some(item => normalizeEmail(item.email_address) === email)
+    if (invited) {
+      await deleteAccountInvite(accountId, email)
+      return { status: 'removed_invite', accountEmail }
+    }
+
+    return { status: 'not_found', accountEmail, reason: '账号中未找到该成员或邀请' }
+  } catch (error) {
+    console.warn('[PurchaseRefund] revoke access failed', { orderNo: order.orderNo, accountEmail, message: describeError(error) })
+    return { status: 'failed', accountEmail, reason: describeError(error) }
+  }
+}
+
+/**
+ * 按退款选项处理订单占用的兑换码（同步写库，调用方负责 saveDatabase）。
+ * 已兑换的兑换码只有在成员已确认移除（accessReleased）时才能退回库存，避免同一席位被重复售卖。
+ * @returns {{ action: string, status: 'done' | 'skipped', code: string | null, reason?: string }}
+ */
+export function applyRefundCodeAction(db, order, action, { accessReleased = false } = {}) {
+  const code = order.code || null
+  if (action === 'keep') return { action, status: 'skipped', code, reason: '保持已使用' }
+  if (!order.codeId) return { action, status: 'skipped', code, reason: '订单没有关联兑换码' }
+
+  if (action === 'restock') {
+    if (order.redeemedAt && !accessReleased) {
+      return { action, status: 'skipped', code, reason: '成员未能移除，兑换码保持已使用' }
+    }
+    db.run(
+      `
+        UPDATE redemption_codes
+        SET is_redeemed = 0,
+            redeemed_at = NULL,
+            redeemed_by = NULL,
+            reserved_for_order_no = NULL,
+            reserved_for_order_email = NULL,
+            reserved_at = NULL,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+          AND voided_at IS NULL
+      `,
+      [order.codeId]
+    )
+    const modified = typeof db.getRowsModified === 'function' ? db.getRowsModified() : 1
+    if (!modified) return { action, status: 'skipped', code, reason: '兑换码已作废或不存在' }
+    return { action, status: 'done', code }
+  }
+
+  db.run(
+    `
+      UPDATE redemption_codes
+      SET is_redeemed = 1,
+          voided_at = DATETIME('now', 'localtime'),
+          void_reason = ?,
+          reserved_for_order_no = NULL,
+          reserved_for_order_email = NULL,
+          reserved_at = NULL,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+    `,
+    [`订单 ${order.orderNo} 退款作废`, order.codeId]
+  )
+  const modified = typeof db.getRowsModified === 'function' ? db.getRowsModified() : 1
+  if (!modified) return { action, status: 'skipped', code, reason: '兑换码不存在' }
+  return { action, status: 'done', code }
+}
@@ -0,0 +1,244 @@
+import { parseExpireAtToMs, resolveOrderDeadlineMs, selectRecoveryCode } from './account-recovery.js'
+
+// extend：当前账号有效期足够，在原订单上顺延；migrate：当前账号撑不到新的截止时间，换发一张迁移兑换码
+export const RENEWAL_MODE_EXTEND = 'extend'
+export const RENEWAL_MODE_MIGRATE = 'migrate'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
+
+const toInt = (value, fallback = 0) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const pad2 = (value) => String(value).padStart(2, '0')
+
+// 与 DATETIME('now', 'localtime') 同格式，便于和库里其他时间字段比较
+export const formatLocalDateTime = (ms) => {
+  const date = new Date(ms)
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`
+}
+
+export const getOrderServiceDeadlineMs = (db, order) => resolveOrderDeadlineMs(db, {
+  originalCodeId: order.codeId,
+  originalCode: order.code,
+  redeemedAt: order.redeemedAt,
+  orderType: order.orderType
+})
+
+const findRenewalOrderNo = (db, orderNo, statusSql, extraSql = '') => {
+  const row = db.exec(
+    `
+      SELECT order_no
+      FROM purchase_orders
+      WHERE renewal_of_order_no = ?
+        AND status IN (${statusSql})
+        ${extraSql}
+      ORDER BY created_at DESC
+      LIMIT 1
+    `,
+    [orderNo]
+  )[0]?.values?.[0]
+  return row?.[0] ? String(row[0]) : null
+}
+
+// 已支付的迁移续费会把服务转到新订单（新兑换码）上，原订单不再可续费
+export const findSupersedingRenewalOrderNo = (db, orderNo) =>
+  findRenewalOrderNo(db, orderNo, `'paid'`, `AND renewal_mode = '${RENEWAL_MODE_MIGRATE}'`)
+
+export const findPendingRenewalOrderNo = (db, orderNo) =>
+  findRenewalOrderNo(db, orderNo, `'created', 'pending_payment'`)
+
+/**
+ * 判断订单能否续费：已支付、已兑换、未退款，且没有被迁移续费取代。
+ * @returns {{ ok: true } | { ok: false, error: string, supersededBy?: string }}
+ */
+export function checkOrderRenewable(db, order) {
+  if (!order || order.status !== 'paid' || order.refundedAt) {
+    return { ok: false, error: '仅已支付的订单可以续费' }
+  }
+  if (!order.code || !order.redeemedAt) {
+    return { ok: false, error: '订单尚未完成兑换，暂不能续费' }
+  }
+  const supersededBy = findSupersedingRenewalOrderNo(db, order.orderNo)
+  if (supersededBy) {
+    return { ok: false, error: `订单已迁移至 ${supersededBy}，请在新订单上续费`, supersededBy }
+  }
+  return { ok: true }
+}
+
+const getAccountLifetime = (db, accountEmail) => {
+  const email = normalizeEmail(accountEmail)
+  if (!email) return null
+  const row = db.exec(
+    'SELECT email, expire_at, COALESCE(is_banned, 0) FROM gpt_accounts WHERE lower(trim(email)) = ? LIMIT 1',
+    [email]
+  )[0]?.values?.[0]
+  if (!row) return null
+  return {
+    accountEmail: String(row[0] || ''),
+    expireAtMs: parseExpireAtToMs(row[1]),
+    isBanned: Number(row[2] || 0) === 1
+  }
+}
+
+/**
+ * 计算续费方案：新截止时间 = max(当前截止时间, 现在) + 续费天数。
+ * 当前账号未封禁且 expire_at 不早于新截止时间时原地续费，否则挑选一张到期足够晚的迁移兑换码（调用方负责预占）。
+ * @returns {{ ok: true, mode: 'extend' | 'migrate', currentDeadlineMs: number, newDeadlineMs: number, accountEmail: string | null, migration?: object }
+ *   | { ok: false, status: number, error: string }}
+ */
+export function planOrderRenewal(db, order, { serviceDays, nowMs = Date.now() } = {}) {
+  const currentDeadlineMs = getOrderServiceDeadlineMs(db, order)
+  if (!Number.isFinite(currentDeadlineMs)) {
+    return { ok: false, status: 400, error: '无法确定订单的服务截止时间，请联系管理员' }
+  }
+
+  const newDeadlineMs = Math.max(currentDeadlineMs, nowMs) + Math.max(1, toInt(serviceDays, 1)) * DAY_MS
+  const account = getAccountLifetime(db, order.redeemAccountEmail || order.codeAccountEmail)
+
+  if (account && !account.isBanned && account.expireAtMs != null && account.expireAtMs >= newDeadlineMs) {
+    return { ok: true, mode: RENEWAL_MODE_EXTEND, currentDeadlineMs, newDeadlineMs, accountEmail: account.accountEmail }
+  }
+
+  const migration = selectRecoveryCode(db, { minExpireMs: newDeadlineMs })
+  if (!migration) {
+    return { ok: false, status: 409, error: '当前账号剩余有效期不足，且暂无可迁移的账号，请稍后再试' }
+  }
+  return {
+    ok: true,
+    mode: RENEWAL_MODE_MIGRATE,
+    currentDeadlineMs,
+    newDeadlineMs,
+    accountEmail: account?.accountEmail || null,
+    migration
+  }
+}
+
+export function reserveMigrationCode(db, { codeId, orderNo, email }) {
+  db.run(
+    `
+      UPDATE redemption_codes
+      SET reserved_for_order_no = ?,
+          reserved_for_order_email = ?,
+          reserved_at = DATETIME('now', 'localtime'),
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+        AND is_redeemed = 0
+        AND (reserved_for_order_no IS NULL OR reserved_for_order_no = '')
+    `,
+    [orderNo, email, codeId]
+  )
+  const modified = typeof db.getRowsModified === 'function' ? db.getRowsModified() : 1
+  return modified > 0
+}
+
+const fetchRenewalTarget = (db, orderNo) => {
+  const row = db.exec(
+    `
+      SELECT order_no, code_id, code, redeemed_at, order_type, created_at, service_days, extended_days,
+             redeem_account_email, code_account_email
+      FROM purchase_orders
+      WHERE order_no = ?
+      LIMIT 1
+    `,
+    [orderNo]
+  )[0]?.values?.[0]
+  if (!row) return null
+  return {
+    orderNo: row[0],
+    codeId: row[1] ?? null,
+    code: row[2] || null,
+    redeemedAt: row[3] || null,
+    orderType: row[4] || null,
+    createdAt: row[5] || null,
+    serviceDays: Math.max(1, toInt(row[6], 30)),
+    extendedDays: Math.max(0, toInt(row[7], 0)),
+    accountEmail: row[8] || row[9] || null
+  }
+}
+
+/**
+ * 续费订单支付成功后生效（同步写库，调用方负责 saveDatabase）。截止时间按生效时刻重新计算，续费前已过期的从现在起算。
+ * - extend：顺延原订单的 extended_days，续费订单直接视为已兑换
+ * - migrate：把原订单剩余天数结转到续费订单，迁移码由调用方随后自动兑换
+ * @returns {{ ok: true, mode: string, renewedUntil: string } | { ok: false, error: string }}
+ */
+export function applyPaidRenewal(db, renewalOrder, { nowMs = Date.now() } = {}) {
+  const target = fetchRenewalTarget(db, renewalOrder.renewalOfOrderNo)
+  if (!target) return { ok: false, error: `被续费的订单 ${renewalOrder.renewalOfOrderNo} 不存在` }
+
+  const currentDeadlineMs = getOrderServiceDeadlineMs(db, target)
+  if (!Number.isFinite(currentDeadlineMs)) return { ok: false, error: '无法确定原订单的服务截止时间' }
+
+  const baseMs = Math.max(currentDeadlineMs, nowMs)
+  const termDays = Math.max(1, toInt(renewalOrder.serviceDays, 1))
+
+  if (renewalOrder.renewalMode === RENEWAL_MODE_EXTEND) {
+    const startMs = new Date(target.createdAt).getTime()
+    if (!Number.isFinite(startMs)) return { ok: false, error: '原订单缺少创建时间' }
+    const totalDays = Math.ceil((baseMs + termDays * DAY_MS - startMs) / DAY_MS)
+    const extendedDays = Math.max(0, totalDays - target.serviceDays)
+    const renewedUntil = formatLocalDateTime(startMs + (target.serviceDays + extendedDays) * DAY_MS)
+
+    db.run(
+      `UPDATE purchase_orders SET extended_days = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
+      [extendedDays, target.orderNo]
+    )
+    db.run(
+      `
+        UPDATE purchase_orders
+        SET redeemed_at = DATETIME('now', 'localtime'),
+            invite_status = ?,
+            redeem_account_email = ?,
+            redeem_error = NULL,
+            renewed_until = ?,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE order_no = ?
+      `,
+      [`已续费至 ${renewedUntil}`, target.accountEmail, renewedUntil, renewalOrder.orderNo]
+    )
+    return { ok: true, mode: RENEWAL_MODE_EXTEND, renewedUntil }
+  }
+
+  const renewalStartMs = new Date(renewalOrder.createdAt).getTime()
+  if (!Number.isFinite(renewalStartMs)) return { ok: false, error: '续费订单缺少创建时间' }
+  const carriedDays = Math.max(0, Math.ceil((baseMs - renewalStartMs) / DAY_MS))
+  const renewedUntil = formatLocalDateTime(renewalStartMs + (termDays + carriedDays) * DAY_MS)
+  db.run(
+    `
+      UPDATE purchase_orders
+      SET extended_days = ?,
+          renewed_until = ?,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE order_no = ?
+    `,
+    [carriedDays, renewedUntil, renewalOrder.orderNo]
+  )
+  return { ok: true, mode: RENEWAL_MODE_MIGRATE, renewedUntil }
+}
+
+/**
+ * 原地续费订单退款时撤回原订单上顺延的天数（同步写库，调用方负责 saveDatabase）。
+ * 迁移续费的服务挂在续费订单自己的兑换码上，随退款的兑换码处理一起失效，这里不处理。
+ * @returns {{ status: 'done' | 'skipped', orderNo: string | null, days?: number, reason?: string }}
+ */
+export function revertRenewalExtension(db, renewalOrder) {
+  const orderNo = renewalOrder.renewalOfOrderNo || null
+  if (!orderNo || renewalOrder.renewalMode !== RENEWAL_MODE_EXTEND) {
+    return { status: 'skipped', orderNo, reason: '非原地续费订单' }
+  }
+  if (!renewalOrder.redeemedAt) return { status: 'skipped', orderNo, reason: '续费尚未生效' }
+
+  const target = fetchRenewalTarget(db, orderNo)
+  if (!target) return { status: 'skipped', orderNo, reason: '原订单不存在' }
+
+  const days = Math.min(target.extendedDays, Math.max(1, toInt(renewalOrder.serviceDays, 1)))
+  db.run(
+    `UPDATE purchase_orders SET extended_days = ?, updated_at = DATETIME('now', 'localtime') WHERE order_no = ?`,
+    [target.extendedDays - days, orderNo]
+  )
+  return { status: 'done', orderNo, days }
+}
@@ -0,0 +1,375 @@
+import { normalizeChannelKey } from '../utils/channels.js'
+import { codeLifecycleStatusSql, normalizeCodeExpiresAt } from '../utils/code-lifecycle.js'
+
+/**
+ * 兑换码批量导入 / 导出（CSV、JSON），用于对接外部店铺：
+ * - 导出：按渠道 / 账号 / 状态筛选，列与导入格式一致，可直接再导入
+ * - 导入：逐行校验格式（CODE_REGEX）、文件内与库内重复、渠道 / 订单类型映射、账号与有效期；
+ *   dryRun 只返回预览，不写库
+ */
+
+export const CODE_REGEX = /^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/
+
+export const CODE_IMPORT_MAX_ROWS = 5000
+export const CODE_EXPORT_MAX_ROWS = 50000
+
+const ORDER_TYPES = ['warranty', 'no_warranty', 'anti_ban']
+const DEFAULT_ORDER_TYPE = 'warranty'
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// 导出列；导入时按表头识别同名列（兼容驼峰与中文表头）
+export const CODE_TRANSFER_COLUMNS = [
+  'code',
+  'channel',
+  'order_type',
+  'account_email',
+  'status',
+  'expires_at',
+  'created_at',
+  'redeemed_at',
+  'redeemed_by'
+]
+
+const HEADER_ALIASES = {
+  code: 'code',
+  兑换码: 'code',
+  channel: 'channel',
+  渠道: 'channel',
+  order_type: 'orderType',
+  ordertype: 'orderType',
+  订单类型: 'orderType',
+  account_email: 'accountEmail',
+  accountemail: 'accountEmail',
+  account: 'accountEmail',
+  所属账号: 'accountEmail',
+  expires_at: 'expiresAt',
+  expiresat: 'expiresAt',
+  有效期: 'expiresAt',
+}
+
+const normalizeMapKey = (value) => String(value ?? '').trim().toLowerCase()
+
+// 映射表：{ 外部值: 内部值 }，键忽略大小写与首尾空白
+const normalizeValueMap = (value) => {
+  const map = new Map()
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return map
+  for (const [from, to] of Object.entries(value)) {
+    const key = normalizeMapKey(from)
+    const target = String(to ?? '').trim()
+    if (key && target) map.set(key, target)
+  }
+  return map
+}
+
+// RFC 4180：双引号包裹的字段可包含逗号、换行，"" 表示一个双引号
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i += 1
+        } else {
+          quoted = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+    if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+const parseCsvContent = (text) => {
+  const rows = parseCsvRows(text)
+  const headerIndex = rows.findIndex(cells => cells.some(cell => String(cell).trim()))
+  if (headerIndex < 0) return { rows: [] }
+
+  const header = rows[headerIndex].map(cell => HEADER_ALIASES[normalizeMapKey(cell)] || null)
+  const hasHeader = header.includes('code')
+  // 没有表头时视为每行一个兑换码（兼容旧版 .txt 导出）
+  const fields = hasHeader ? header : ['code']
+  const dataRows = hasHeader ? rows.slice(headerIndex + 1) : rows.slice(headerIndex)
+  const lineOffset = hasHeader ? headerIndex + 2 : headerIndex + 1
+
+  const items = []
+  dataRows.forEach((cells, index) => {
+    if (!cells.some(cell => String(cell).trim())) return
+    const item = { line: lineOffset + index }
+    fields.forEach((field, column) => {
+      if (field && item[field] === undefined) item[field] = String(cells[column] ?? '').trim()
+    })
+    items.push(item)
+  })
+  return { rows: items }
+}
+
+const pickJsonField = (entry, ...keys) => {
+  for (const key of keys) {
+    if (entry[key] !== undefined && entry[key] !== null) return String(entry[key]).trim()
+  }
+  return ''
+}
+
+const parseJsonContent = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    return { error: 'JSON 解析失败，请检查文件内容' }
+  }
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.codes) ? parsed.codes : null
+  if (!list) return { error: 'JSON 需为兑换码数组，或包含 codes 数组的对象' }
+
+  return {
+    rows: list.map((entry, index) => {
+      if (typeof entry === 'string') return { line: index + 1, code: entry.trim() }
+      const value = entry && typeof entry === 'object' ? entry : {}
+      return {
+        line: index + 1,
+        code: pickJsonField(value, 'code'),
+        channel: pickJsonField(value, 'channel'),
+        orderType: pickJsonField(value, 'orderType', 'order_type'),
+        accountEmail: pickJsonField(value, 'accountEmail', 'account_email'),
+        expiresAt: pickJsonField(value, 'expiresAt', 'expires_at'),
+      }
+    })
+  }
+}
+
+/**
+ * 解析导入文件内容。
+ * @param {string} content
+ * @param {'csv' | 'json'} format
+ * @returns {{ rows?: Array<{ line: number, code: string, channel?: string, orderType?: string, accountEmail?: string, expiresAt?: string }>, error?: string }}
+ */
+export function parseCodeImportContent(content, format) {
+  const text = String(content ?? '').replace(/^\uFEFF/, '')
+  if (!text.trim()) return { error: '导入内容为空' }
+
+  const result = format === 'json' ? parseJsonContent(text) : parseCsvContent(text)
+  if (result.error) return result
+  if (!result.rows.length) return { error: '未解析到任何兑换码' }
+  if (result.rows.length > CODE_IMPORT_MAX_ROWS) {
+    return { error: `单次最多导入 ${CODE_IMPORT_MAX_ROWS} 个兑换码` }
+  }
+  return result
+}
+
+const loadExistingCodes = (db, codes) => {
+  const existing = new Set()
+  const list = [...new Set(codes.filter(Boolean))]
+  for (let i = 0; i < list.length; i += 500) {
+    const chunk = list.slice(i, i + 500)
+    const result = db.exec(
+      `SELECT code FROM redemption_codes WHERE code IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    )
+    for (const row of result[0]?.values || []) existing.add(String(row[0]))
+  }
+  return existing
+}
+
+const loadAccountEmails = (db) => {
+  const result = db.exec('SELECT email FROM gpt_accounts WHERE email IS NOT NULL')
+  const map = new Map()
+  for (const row of result[0]?.values || []) {
+    const email = String(row[0] || '').trim()
+    if (email) map.set(email.toLowerCase(), email)
+  }
+  return map
+}
+
+/**
+ * 校验解析后的导入行，返回每行结果与汇总；未能识别的渠道 / 订单类型原值放在 unmapped 中，供前端配置映射后重新预览。
+ * @param {object} db
+ * @param {Array<object>} rows parseCodeImportContent 的结果
+ * @param {{ channelsByKey: Map, channelMap?: object, orderTypeMap?: object, defaults?: { channel?: string, orderType?: string, accountEmail?: string, expiresAt?: string } }} options
+ */
+export function validateCodeImportRows(db, rows, { channelsByKey, channelMap, orderTypeMap, defaults = {} }) {
+  const channelMapping = normalizeValueMap(channelMap)
+  const orderTypeMapping = normalizeValueMap(orderTypeMap)
+  const accountEmails = loadAccountEmails(db)
+  const normalizedCodes = rows.map(row => String(row.code || '').trim().toUpperCase())
+  const existingCodes = loadExistingCodes(db, normalizedCodes)
+  const seen = new Set()
+  const unmappedChannels = new Set()
+  const unmappedOrderTypes = new Set()
+
+  const resolveChannel = (raw) => {
+    const value = String(raw || '').trim() || String(defaults.channel || '').trim() || 'common'
+    const key = normalizeChannelKey(channelMapping.get(normalizeMapKey(value)) || value, 'common')
+    const channel = channelsByKey.get(key)
+    if (channel?.isActive) return { key, name: String(channel.name || '').trim() || key }
+    unmappedChannels.add(value)
+    return { error: `渠道「${value}」不存在或已停用` }
+  }
+
+  const resolveOrderType = (raw) => {
+    const value = String(raw || '').trim() || String(defaults.orderType || '').trim() || DEFAULT_ORDER_TYPE
+    const mapped = normalizeMapKey(orderTypeMapping.get(normalizeMapKey(value)) || value)
+    if (ORDER_TYPES.includes(mapped)) return { value: mapped }
+    unmappedOrderTypes.add(value)
+    return { error: `订单类型「${value}」无法识别` }
+  }
+
+  const items = rows.map((row, index) => {
+    const code = normalizedCodes[index]
+    const errors = []
+
+    if (!code) {
+      errors.push('兑换码为空')
+    } else if (!CODE_REGEX.test(code)) {
+      errors.push('兑换码格式不正确（格式：XXXX-XXXX-XXXX）')
+    } else if (seen.has(code)) {
+      errors.push('文件内重复')
+    } else if (existingCodes.has(code)) {
+      errors.push('兑换码已存在')
+    }
+    if (code) seen.add(code)
+
+    const channel = resolveChannel(row.channel)
+    if (channel.error) errors.push(channel.error)
+    const orderType = resolveOrderType(row.orderType)
+    if (orderType.error) errors.push(orderType.error)
+
+    // 未指定账号的导入码作为号池兑换码，兑换时按分配策略挑选账号
+    let accountEmail = null
+    const rawEmail = String(row.accountEmail || '').trim() || String(defaults.accountEmail || '').trim()
+    if (rawEmail) {
+      if (!EMAIL_REGEX.test(rawEmail)) {
+        errors.push('所属账号邮箱格式不正确')
+      } else if (!accountEmails.has(rawEmail.toLowerCase())) {
+        errors.push(`账号 ${rawEmail} 不存在`)
+      } else {
+        accountEmail = accountEmails.get(rawEmail.toLowerCase())
+      }
+    }
+
+    const expires = normalizeCodeExpiresAt(String(row.expiresAt || '').trim() || defaults.expiresAt)
+    if (expires.error) errors.push(expires.error)
+
+    return {
+      line: row.line,
+      code,
+      channel: channel.key || null,
+      channelName: channel.name || null,
+      orderType: orderType.value || null,
+      accountEmail,
+      pooled: !accountEmail,
+      expiresAt: expires.value || null,
+      valid: errors.length === 0,
+      errors,
+    }
+  })
+
+  const valid = items.filter(item => item.valid).length
+  return {
+    items,
+    summary: {
+      total: items.length,
+      valid,
+      invalid: items.length - valid,
+      pooled: items.filter(item => item.valid && item.pooled).length,
+    },
+    unmapped: {
+      channels: [...unmappedChannels],
+      orderTypes: [...unmappedOrderTypes],
+    },
+  }
+}
+
+/**
+ * 写入已通过校验的导入行；并发导入导致的唯一键冲突计入 failed。
+ * @returns {{ created: string[], failed: Array<{ line: number, code: string, error: string }> }}
+ */
+export function insertImportedCodes(db, items) {
+  const created = []
+  const failed = []
+  for (const item of items) {
+    if (!item.valid) continue
+    try {
+      db.run(
+        `
+          INSERT INTO redemption_codes (
+            code, account_email, channel, channel_name, order_type, is_pooled, expires_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+        `,
+        [item.code, item.accountEmail, item.channel, item.channelName, item.orderType, item.pooled ? 1 : 0, item.expiresAt]
+      )
+      created.push(item.code)
+    } catch (error) {
+      if (!String(error?.message || '').includes('UNIQUE')) throw error
+      failed.push({ line: item.line, code: item.code, error: '兑换码已存在' })
+    }
+  }
+  return { created, failed }
+}
+
+/**
+ * 按筛选条件读取待导出的兑换码。
+ * @param {object} db
+ * @param {{ status?: string | null, channel?: string | null, accountEmail?: string | null, pooled?: boolean }} filters
+ * @returns {Array<Record<string, string | null>>} 键为 CODE_TRANSFER_COLUMNS
+ */
+export function loadCodesForExport(db, { status = null, channel = null, accountEmail = null, pooled = false } = {}) {
+  const conditions = []
+  const params = []
+  const statusSql = codeLifecycleStatusSql('rc')
+
+  if (status) {
+    conditions.push(`${statusSql} = ?`)
+    params.push(status)
+  }
+  if (channel) {
+    conditions.push('rc.channel = ?')
+    params.push(channel)
+  }
+  if (pooled) {
+    conditions.push("COALESCE(rc.is_pooled, 0) = 1 AND (rc.account_email IS NULL OR TRIM(rc.account_email) = '')")
+  } else if (accountEmail) {
+    conditions.push('LOWER(TRIM(rc.account_email)) = ?')
+    params.push(accountEmail.trim().toLowerCase())
+  }
+
+  const result = db.exec(
+    `
+      SELECT rc.code, rc.channel, rc.order_type, rc.account_email, ${statusSql} AS lifecycle_status,
+             rc.expires_at, rc.created_at, rc.redeemed_at, rc.redeemed_by
+      FROM redemption_codes rc
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY rc.id ASC
+      LIMIT ${CODE_EXPORT_MAX_ROWS}
+    `,
+    params
+  )
+
+  return (result[0]?.values || []).map(row => Object.fromEntries(
+    CODE_TRANSFER_COLUMNS.map((column, index) => [column, row[index] ?? null])
+  ))
+}
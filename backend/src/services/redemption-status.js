@@ -0,0 +1,167 @@
+import { codeLifecycleStatusSql } from '../utils/code-lifecycle.js'
+import { parseExpireAtToMs } from './account-health.js'
+
+/**
+ * 兑换状态自助查询：按「兑换码 + 邮箱」或「订单号 + 邮箱」找到兑换记录。
+ * 邮箱必须与兑换邮箱（订单号查询时为下单邮箱）一致；查不到与不匹配都返回 null，避免被用来枚举兑换码 / 订单。
+ */
+
+const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase()
+
+// redeemed_by 可能是纯邮箱，也可能是 "email:xxx|uid:xxx" 或 "UID:xxx | Email:xxx"；拆出其中的邮箱逐一精确比较
+const redeemedByMatchesEmail = (redeemedBy, email) => {
+  const value = normalizeEmail(redeemedBy)
+  if (!value) return false
+  if (value === email) return true
+  return value.split('|').some(part => {
+    const [key, ...rest] = part.split(':')
+    return key.trim() === 'email' && rest.join(':').trim() === email
+  })
+}
+
+// 订单号可能来自支付订单、小红书或闲鱼订单，依次查找并要求下单邮箱一致
+const findCodeIdByOrder = (db, orderNo, email) => {
+  const sources = [
+    'SELECT COALESCE(code_id, (SELECT id FROM redemption_codes WHERE code = purchase_orders.code)) FROM purchase_orders WHERE order_no = ? AND lower(trim(email)) = ? LIMIT 1',
+    'SELECT assigned_code_id FROM xhs_orders WHERE order_number = ? AND lower(trim(user_email)) = ? LIMIT 1',
+    'SELECT assigned_code_id FROM xianyu_orders WHERE order_id = ? AND lower(trim(user_email)) = ? LIMIT 1',
+  ]
+  for (const sql of sources) {
+    const codeId = db.exec(sql, [orderNo, email])[0]?.values?.[0]?.[0]
+    if (codeId) return Number(codeId)
+  }
+  return null
+}
+
+/**
+ * @param {object} db
+ * @param {{ code?: string, orderNo?: string, email: string }} params code 与 orderNo 二选一
+ * @returns {object | null}
+ */
+export function findRedemptionForLookup(db, { code, orderNo, email } = {}) {
+  const normalizedEmail = normalizeEmail(email)
+  if (!db || !normalizedEmail) return null
+
+  const sanitizedCode = String(code || '').trim().toUpperCase()
+  const sanitizedOrderNo = String(orderNo || '').trim()
+  let codeId = null
+  if (sanitizedCode) {
+    codeId = db.exec('SELECT id FROM redemption_codes WHERE code = ? LIMIT 1', [sanitizedCode])[0]?.values?.[0]?.[0] || null
+  } else if (sanitizedOrderNo) {
+    codeId = findCodeIdByOrder(db, sanitizedOrderNo, normalizedEmail)
+  }
+  if (!codeId) return null
+
+  const result = db.exec(
+    `
+      SELECT
+        rc.id,
+        rc.code,
+        rc.channel,
+        rc.redeemed_at,
+        rc.account_email,
+        ${codeLifecycleStatusSql('rc')} AS lifecycle_status,
+        COALESCE(NULLIF(po.order_type, ''), NULLIF(rc.order_type, ''), 'warranty') AS order_type,
+        po.order_no,
+        po.status,
+        po.refunded_at,
+        co.status,
+        co.refunded_at,
+        (
+          SELECT ar.recovery_account_email
+          FROM account_recovery_logs ar
+          WHERE ar.original_code_id = rc.id AND ar.status IN ('success', 'skipped')
+          ORDER BY ar.id DESC
+          LIMIT 1
+        ) AS recovery_account_email,
+        (
+          SELECT ar.recovery_code_id
+          FROM account_recovery_logs ar
+          WHERE ar.original_code_id = rc.id AND ar.status = 'success'
+          ORDER BY ar.id DESC
+          LIMIT 1
+        ) AS recovery_code_id,
+        rc.redeemed_by,
+        rc.reserved_for_order_email
+      FROM redemption_codes rc
+      LEFT JOIN purchase_orders po ON po.order_no = (
+        SELECT po2.order_no
+        FROM purchase_orders po2
+        WHERE po2.code_id = rc.id OR (po2.code_id IS NULL AND po2.code = rc.code)
+        ORDER BY po2.created_at DESC
+        LIMIT 1
+      )
+      LEFT JOIN credit_orders co
+        ON co.order_no = rc.reserved_for_order_no
+        AND co.scene = 'open_accounts_board'
+      WHERE rc.id = ?
+      LIMIT 1
+    `,
+    [codeId]
+  )
+  const row = result[0]?.values?.[0]
+  if (!row) return null
+
+  // 兑换码查询时校验兑换邮箱（与补录一致，兼容带 uid 的格式）；尚未兑换的订单码以预留邮箱为准
+  if (sanitizedCode) {
+    const emailMatched = redeemedByMatchesEmail(row[14], normalizedEmail)
+      || (!row[3] && normalizeEmail(row[15]) === normalizedEmail)
+    if (!emailMatched) return null
+  }
+
+  const recoveryAccountEmail = row[12] ? String(row[12]) : ''
+  const currentAccountEmail = normalizeEmail(recoveryAccountEmail || row[4])
+  const purchaseStatus = String(row[8] || '').trim().toLowerCase()
+  const creditStatus = String(row[10] || '').trim().toLowerCase()
+
+  let account = null
+  if (currentAccountEmail) {
+    const accountRow = db.exec(
+      `
+        SELECT id, email, COALESCE(is_banned, 0), expire_at, quarantined_at
+        FROM gpt_accounts
+        WHERE lower(trim(email)) = ?
+        LIMIT 1
+      `,
+      [currentAccountEmail]
+    )[0]?.values?.[0]
+    if (accountRow) {
+      account = {
+        id: Number(accountRow[0]),
+        email: accountRow[1],
+        isBanned: Number(accountRow[2] || 0) === 1,
+        expireAt: accountRow[3] || null,
+        expireAtMs: parseExpireAtToMs(accountRow[3]),
+        quarantined: Boolean(accountRow[4])
+      }
+    }
+  }
+
+  // 补号后邀请走的是补号兑换码，重试任务也以它为准
+  const jobCodeId = row[13] != null ? Number(row[13]) : Number(row[0])
+  const jobRow = db.exec(
+    `
+      SELECT status, next_attempt_at, last_error
+      FROM invite_jobs
+      WHERE code_id = ? AND lower(trim(email)) = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `,
+    [jobCodeId, normalizedEmail]
+  )[0]?.values?.[0]
+
+  return {
+    codeId: Number(row[0]),
+    code: row[1],
+    channel: row[2] || 'common',
+    redeemedAt: row[3] || null,
+    lifecycleStatus: row[5],
+    orderType: row[6],
+    orderNo: row[7] || sanitizedOrderNo || null,
+    refunded: Boolean(row[9] || row[11]) || purchaseStatus === 'refunded' || creditStatus === 'refunded',
+    recovered: Boolean(recoveryAccountEmail),
+    currentAccountEmail: currentAccountEmail || null,
+    account,
+    inviteJob: jobRow ? { status: jobRow[0], nextAttemptAt: jobRow[1] || null, lastError: jobRow[2] || null } : null
+  }
+}
@@ -0,0 +1,293 @@
+export const SALES_REPORT_GROUP_BY = ['day', 'week', 'month']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round2 = (value) => Math.round(value * 100) / 100
+const round4 = (value) => Math.round(value * 10000) / 10000
+
+const XHS_DATE_SQL = "DATE(REPLACE(COALESCE(NULLIF(TRIM(order_time), ''), created_at), '/', '-'))"
+
+// 各销售渠道的取数口径：订单按下单日期归入周期，退款跟随原订单所在周期，便于按月对账。
+// 小红书 / 闲鱼的退款在平台侧处理，本地只知道订单是否关闭，已关闭订单不计入收入，也不计退款。
+const SALES_SOURCES = [
+  {
+    channel: 'zpay',
+    label: 'ZPAY 支付',
+    table: 'purchase_orders',
+    // 引入多支付通道前的订单没有记录通道，均为 ZPAY 订单
+    whereSql: "COALESCE(NULLIF(TRIM(payment_provider), ''), 'zpay') = 'zpay'",
+    dateSql: 'DATE(created_at)',
+    productKeySql: "COALESCE(NULLIF(TRIM(product_key), ''), order_type, '')",
+    productNameSql: 'product_name',
+    paidSql: "status IN ('paid', 'refunded')",
+    amountSql: 'CAST(amount AS REAL)',
+    refundedSql: "status = 'refunded'",
+    refundAmountSql: 'CAST(COALESCE(refund_amount, amount) AS REAL)',
+    redeemedSql: 'redeemed_at IS NOT NULL'
+  },
+  {
+    channel: 'epay',
+    label: '易支付',
+    table: 'purchase_orders',
+    whereSql: "payment_provider = 'epay'",
+    dateSql: 'DATE(created_at)',
+    productKeySql: "COALESCE(NULLIF(TRIM(product_key), ''), order_type, '')",
+    productNameSql: 'product_name',
+    paidSql: "status IN ('paid', 'refunded')",
+    amountSql: 'CAST(amount AS REAL)',
+    refundedSql: "status = 'refunded'",
+    refundAmountSql: 'CAST(COALESCE(refund_amount, amount) AS REAL)',
+    redeemedSql: 'redeemed_at IS NOT NULL'
+  },
+  {
+    channel: 'linuxdo_credit',
+    label: 'Linux DO Credit',
+    table: 'credit_orders',
+    dateSql: 'DATE(created_at)',
+    productKeySql: "COALESCE(scene, '')",
+    productNameSql: 'title',
+    paidSql: "status IN ('paid', 'refunded')",
+    amountSql: 'CAST(amount AS REAL)',
+    refundedSql: "status = 'refunded'",
+    refundAmountSql: 'CAST(amount AS REAL)',
+    redeemedSql: "action_status = 'fulfilled'"
+  },
+  {
+    channel: 'xhs',
+    label: '小红书',
+    table: 'xhs_orders',
+    dateSql: XHS_DATE_SQL,
+    productKeySql: "''",
+    productNameSql: "'小红书订单'",
+    paidSql: "COALESCE(order_status, '') != '已关闭'",
+    amountSql: 'COALESCE(actual_paid, 0)',
+    refundedSql: '0',
+    refundAmountSql: '0',
+    redeemedSql: 'COALESCE(is_used, 0) = 1'
+  },
+  {
+    channel: 'xianyu',
+    label: '闲鱼',
+    table: 'xianyu_orders',
+    dateSql: 'DATE(created_at)',
+    productKeySql: "''",
+    productNameSql: "'闲鱼订单'",
+    paidSql: "COALESCE(order_status, '') NOT LIKE '%关闭%'",
+    amountSql: 'COALESCE(actual_paid, 0)',
+    refundedSql: '0',
+    refundAmountSql: '0',
+    redeemedSql: 'COALESCE(is_used, 0) = 1'
+  }
+]
+
+export const SALES_CHANNELS = SALES_SOURCES.map(source => ({ key: source.channel, label: source.label }))
+
+const CHANNEL_LABELS = new Map(SALES_CHANNELS.map(item => [item.key, item.label]))
+const CHANNEL_ORDER = new Map(SALES_CHANNELS.map((item, index) => [item.key, index]))
+
+// 周以周一为起点，周期键为该周周一的日期；月份周期键为 YYYY-MM
+const periodSql = (dateSql, groupBy) => {
+  if (groupBy === 'month') return `strftime('%Y-%m', ${dateSql})`
+  if (groupBy === 'week') return `DATE(${dateSql}, '-' || ((CAST(strftime('%w', ${dateSql}) AS INTEGER) + 6) % 7) || ' days')`
+  return dateSql
+}
+
+const formatDateOnly = (date) => {
+  const year = date.getUTCFullYear()
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+const periodKeyOf = (date, groupBy) => {
+  if (groupBy === 'month') return formatDateOnly(date).slice(0, 7)
+  if (groupBy === 'week') return formatDateOnly(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS))
+  return formatDateOnly(date)
+}
+
+// 区间内的全部周期（含没有订单的），图表横轴不会因为空档而断开
+const listPeriods = (from, to, groupBy) => {
+  const periods = []
+  const end = new Date(`${to}T00:00:00Z`).getTime()
+  for (let ms = new Date(`${from}T00:00:00Z`).getTime(); ms <= end; ms += DAY_MS) {
+    const key = periodKeyOf(new Date(ms), groupBy)
+    if (periods[periods.length - 1] !== key) periods.push(key)
+  }
+  return periods
+}
+
+const emptyMetrics = () => ({
+  orders: 0,
+  paidOrders: 0,
+  refundedOrders: 0,
+  redeemedOrders: 0,
+  gross: 0,
+  refunds: 0
+})
+
+const addMetrics = (target, source) => {
+  target.orders += source.orders
+  target.paidOrders += source.paidOrders
+  target.refundedOrders += source.refundedOrders
+  target.redeemedOrders += source.redeemedOrders
+  target.gross += source.gross
+  target.refunds += source.refunds
+  return target
+}
+
+const finalizeMetrics = (metrics) => ({
+  orders: metrics.orders,
+  paidOrders: metrics.paidOrders,
+  refundedOrders: metrics.refundedOrders,
+  redeemedOrders: metrics.redeemedOrders,
+  gross: round2(metrics.gross),
+  refunds: round2(metrics.refunds),
+  net: round2(metrics.gross - metrics.refunds),
+  refundRate: metrics.paidOrders > 0 ? round4(metrics.refundedOrders / metrics.paidOrders) : 0,
+  conversionRate: metrics.paidOrders > 0 ? round4(metrics.redeemedOrders / metrics.paidOrders) : 0
+})
+
+const querySource = (db, source, { from, to, groupBy }) => {
+  const result = db.exec(
+    `
+      SELECT
+        ${periodSql(source.dateSql, groupBy)} AS period,
+        ${source.productKeySql} AS product_key,
+        MAX(${source.productNameSql}) AS product_name,
+        COUNT(*),
+        SUM(CASE WHEN ${source.paidSql} THEN 1 ELSE 0 END),
+        SUM(CASE WHEN ${source.paidSql} AND ${source.refundedSql} THEN 1 ELSE 0 END),
+        SUM(CASE WHEN ${source.paidSql} AND ${source.redeemedSql} THEN 1 ELSE 0 END),
+        COALESCE(SUM(CASE WHEN ${source.paidSql} THEN ${source.amountSql} ELSE 0 END), 0),
+        COALESCE(SUM(CASE WHEN ${source.paidSql} AND ${source.refundedSql} THEN ${source.refundAmountSql} ELSE 0 END), 0)
+      FROM ${source.table}
+      WHERE ${source.dateSql} BETWEEN DATE(?) AND DATE(?)
+        ${source.whereSql ? `AND ${source.whereSql}` : ''}
+      GROUP BY 1, 2
+    `,
+    [from, to]
+  )
+  return (result[0]?.values || [])
+    .filter(row => row[0])
+    .map(row => ({
+      period: String(row[0]),
+      channel: source.channel,
+      productKey: String(row[1] || ''),
+      productName: String(row[2] || row[1] || ''),
+      orders: Number(row[3] || 0),
+      paidOrders: Number(row[4] || 0),
+      refundedOrders: Number(row[5] || 0),
+      redeemedOrders: Number(row[6] || 0),
+      gross: Number(row[7] || 0),
+      refunds: Number(row[8] || 0)
+    }))
+}
+
+const groupMetrics = (rows, keyOf, pick) => {
+  const map = new Map()
+  for (const row of rows) {
+    const key = keyOf(row)
+    if (!map.has(key)) map.set(key, { ...pick(row), metrics: emptyMetrics() })
+    addMetrics(map.get(key).metrics, row)
+  }
+  return [...map.values()].map(({ metrics, ...rest }) => ({ ...rest, ...finalizeMetrics(metrics) }))
+}
+
+const compareChannelProduct = (a, b) =>
+  (CHANNEL_ORDER.get(a.channel) ?? 99) - (CHANNEL_ORDER.get(b.channel) ?? 99) || a.productKey.localeCompare(b.productKey)
+
+/**
+ * 按周期 × 渠道 × 商品汇总销售额、退款与兑换转化。
+ * @param {object} db
+ * @param {{ from: string, to: string, groupBy: 'day' | 'week' | 'month', channel?: string | null }} options
+ */
+export function buildSalesReport(db, { from, to, groupBy, channel = null }) {
+  const sources = channel ? SALES_SOURCES.filter(source => source.channel === channel) : SALES_SOURCES
+  const rows = sources
+    .flatMap(source => querySource(db, source, { from, to, groupBy }))
+    .sort((a, b) => a.period.localeCompare(b.period) || compareChannelProduct(a, b))
+
+  const periodMetrics = new Map(listPeriods(from, to, groupBy).map(period => [period, { metrics: emptyMetrics(), netByChannel: {} }]))
+  for (const row of rows) {
+    if (!periodMetrics.has(row.period)) periodMetrics.set(row.period, { metrics: emptyMetrics(), netByChannel: {} })
+    const entry = periodMetrics.get(row.period)
+    addMetrics(entry.metrics, row)
+    entry.netByChannel[row.channel] = round2((entry.netByChannel[row.channel] || 0) + row.gross - row.refunds)
+  }
+
+  const totals = rows.reduce((acc, row) => addMetrics(acc, row), emptyMetrics())
+
+  return {
+    range: { from, to },
+    groupBy,
+    channel,
+    channels: SALES_CHANNELS.filter(item => sources.some(source => source.channel === item.key)),
+    periods: [...periodMetrics.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([period, entry]) => ({ period, ...finalizeMetrics(entry.metrics), netByChannel: entry.netByChannel })),
+    rows: rows.map(({ gross, refunds, orders, paidOrders, refundedOrders, redeemedOrders, ...rest }) => ({
+      ...rest,
+      ...finalizeMetrics({ gross, refunds, orders, paidOrders, refundedOrders, redeemedOrders })
+    })),
+    byChannel: groupMetrics(rows, row => row.channel, row => ({ channel: row.channel, label: CHANNEL_LABELS.get(row.channel) }))
+      .sort((a, b) => (CHANNEL_ORDER.get(a.channel) ?? 99) - (CHANNEL_ORDER.get(b.channel) ?? 99)),
+    byProduct: groupMetrics(
+      rows,
+      row => `${row.channel}\u0000${row.productKey}`,
+      row => ({ channel: row.channel, productKey: row.productKey, productName: row.productName })
+    ).sort(compareChannelProduct),
+    totals: finalizeMetrics(totals)
+  }
+}
+
+const GROUP_BY_LABELS = { day: '日', week: '周（周一起）', month: '月' }
+
+const METRIC_HEADERS = ['订单数', '已支付', '已退款', '已兑换', '收入', '退款', '净收入', '退款率', '兑换转化率']
+const metricCells = (item) => [
+  item.orders,
+  item.paidOrders,
+  item.refundedOrders,
+  item.redeemedOrders,
+  item.gross,
+  item.refunds,
+  item.net,
+  item.refundRate,
+  item.conversionRate
+]
+
+/**
+ * 导出用的表格数据：明细（周期 × 渠道 × 商品）、按渠道、按商品三张表，明细末尾带合计行。
+ * @returns {Array<{ name: string, rows: Array<Array<string | number>> }>}
+ */
+export function buildSalesReportSheets(report) {
+  const channelLabel = (key) => CHANNEL_LABELS.get(key) || key
+  const note = [`区间 ${report.range.from} ~ ${report.range.to}，按${GROUP_BY_LABELS[report.groupBy] || report.groupBy}汇总，订单按下单日期归属`]
+
+  return [
+    {
+      name: '明细',
+      rows: [
+        note,
+        ['周期', '渠道', '商品标识', '商品名称', ...METRIC_HEADERS],
+        ...report.rows.map(row => [row.period, channelLabel(row.channel), row.productKey, row.productName, ...metricCells(row)]),
+        ['合计', '', '', '', ...metricCells(report.totals)]
+      ]
+    },
+    {
+      name: '按渠道',
+      rows: [
+        note,
+        ['渠道', ...METRIC_HEADERS],
+        ...report.byChannel.map(item => [item.label, ...metricCells(item)])
+      ]
+    },
+    {
+      name: '按商品',
+      rows: [
+        note,
+        ['渠道', '商品标识', '商品名称', ...METRIC_HEADERS],
+        ...report.byProduct.map(item => [channelLabel(item.channel), item.productKey, item.productName, ...metricCells(item)])
+      ]
+    }
+  ]
+}
@@ -0,0 +1,403 @@
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { getChannels, normalizeChannelKey } from '../utils/channels.js'
+import { seatCapacitySql } from '../utils/seat-capacity.js'
+import { getSystemConfigValue, upsertSystemConfigValue } from '../utils/system-config.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+import { getPooledSeatAvailability, pooledCodeSql } from './code-allocation.js'
+import { listPurchaseProducts, normalizeCodeChannels, normalizeOrderType } from './purchase-products.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { sendAdminAlertEmail } from './email-service.js'
+import { sendTelegramBotNotification } from './telegram-notifier.js'
+
+const LABEL = '[StockForecast]'
+const JOB = {
+  key: 'stock-forecast-alert',
+  label: '库存预警',
+  description: '按各渠道历史核销速率预测兑换码售罄时间，预计在预警天数内售罄时发送告警',
+}
+const ALERT_STATE_CONFIG_KEY = 'stock_alert_state'
+const ORDER_TYPE_ANTI_BAN = 'anti_ban'
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.STOCK_FORECAST_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const intervalMinutes = () => getRuntimeSettingValue('stockForecastIntervalMinutes')
+const initialDelayMs = () => Math.max(1000, toInt(process.env.STOCK_FORECAST_INITIAL_DELAY_MS, 180_000))
+// 同一渠道持续低于预警线时，间隔这么久才重复告警
+const repeatAlertHours = () => Math.max(1, toInt(process.env.STOCK_ALERT_REPEAT_HOURS, 24))
+
+const formatLocalDateOnly = (date) => {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+const addDays = (date, days) => {
+  const next = new Date(date)
+  next.setDate(next.getDate() + days)
+  return next
+}
+
+const round1 = (value) => Math.round(value * 10) / 10
+const round2 = (value) => Math.round(value * 100) / 100
+
+const CHANNEL_SQL = "COALESCE(NULLIF(lower(trim(rc.channel)), ''), 'common')"
+const UNRESERVED_SQL = `
+  (rc.reserved_for_order_no IS NULL OR rc.reserved_for_order_no = '')
+  AND (rc.reserved_for_entry_id IS NULL OR rc.reserved_for_entry_id = 0)
+`
+
+const countByChannel = (db, sql, params = []) => {
+  const map = new Map()
+  for (const row of db.exec(sql, params)[0]?.values || []) {
+    map.set(normalizeChannelKey(row[0]), Number(row[1] || 0))
+  }
+  return map
+}
+
+const countByChannelAndDate = (db, sql, params = []) => {
+  const map = new Map()
+  for (const row of db.exec(sql, params)[0]?.values || []) {
+    const channel = normalizeChannelKey(row[0])
+    if (!map.has(channel)) map.set(channel, new Map())
+    map.get(channel).set(String(row[1]), Number(row[2] || 0))
+  }
+  return map
+}
+
+// 号池兑换码不绑定账号，按渠道计数后以全部开放账号的空余席位为上限计入库存
+const addPooledByChannel = (db, map) => {
+  const pooled = countByChannel(
+    db,
+    `
+      SELECT ${CHANNEL_SQL}, COUNT(*)
+      FROM redemption_codes rc
+      WHERE rc.is_redeemed = 0
+        AND ${pooledCodeSql('rc')}
+        AND ${UNRESERVED_SQL}
+      GROUP BY 1
+    `
+  )
+  if (!pooled.size) return map
+  const pooledSeats = getPooledSeatAvailability(db)
+  for (const [channel, count] of pooled) {
+    map.set(channel, (map.get(channel) || 0) + Math.min(count, pooledSeats))
+  }
+  return map
+}
+
+// 剩余库存：未核销、未被订单/候车预留，且所属账号未封禁、仍有空位的兑换码；号池兑换码另按空余席位计入
+const loadAvailableByChannel = (db) => addPooledByChannel(db, countByChannel(
+  db,
+  `
+    SELECT ${CHANNEL_SQL}, COUNT(*)
+    FROM redemption_codes rc
+    JOIN gpt_accounts ga ON lower(trim(ga.email)) = lower(trim(rc.account_email))
+    WHERE rc.is_redeemed = 0
+      AND COALESCE(ga.is_banned, 0) = 0
+      AND ga.user_count < ${seatCapacitySql('ga')}
+      AND ${UNRESERVED_SQL}
+    GROUP BY 1
+  `
+))
+
+// 与 /purchase/meta 口径一致：今日新建且开放的账号上可直接售卖的兑换码，加上可分配的号池兑换码
+const loadSellableTodayByChannel = (db) => addPooledByChannel(db, countByChannel(
+  db,
+  `
+    SELECT ${CHANNEL_SQL}, COUNT(*)
+    FROM redemption_codes rc
+    JOIN gpt_accounts ga ON lower(trim(ga.email)) = lower(trim(rc.account_email))
+    WHERE rc.is_redeemed = 0
+      AND ga.is_open = 1
+      AND ga.user_count < ${seatCapacitySql('ga')}
+      AND DATE(ga.created_at) = DATE('now', 'localtime')
+      AND ${UNRESERVED_SQL}
+    GROUP BY 1
+  `
+))
+
+const loadDailyRedeemedByChannel = (db, fromDate) => countByChannelAndDate(
+  db,
+  `
+    SELECT ${CHANNEL_SQL}, DATE(rc.redeemed_at), COUNT(*)
+    FROM redemption_codes rc
+    WHERE rc.is_redeemed = 1
+      AND rc.redeemed_at IS NOT NULL
+      AND DATE(rc.redeemed_at) >= ?
+    GROUP BY 1, 2
+  `,
+  [fromDate]
+)
+
+const loadDailyAddedByChannel = (db, fromDate) => countByChannelAndDate(
+  db,
+  `
+    SELECT ${CHANNEL_SQL}, DATE(rc.created_at), COUNT(*)
+    FROM redemption_codes rc
+    WHERE DATE(rc.created_at) >= ?
+    GROUP BY 1, 2
+  `,
+  [fromDate]
+)
+
+const loadPaidOrdersByProduct = (db, fromDate, toDate) => {
+  const map = new Map()
+  const result = db.exec(
+    `
+      SELECT COALESCE(NULLIF(trim(product_key), ''), order_type), COUNT(*)
+      FROM purchase_orders
+      WHERE paid_at IS NOT NULL
+        AND DATE(paid_at) >= ?
+        AND DATE(paid_at) < ?
+      GROUP BY 1
+    `,
+    [fromDate, toDate]
+  )
+  for (const row of result[0]?.values || []) {
+    map.set(String(row[0] || ''), Number(row[1] || 0))
+  }
+  return map
+}
+
+const sumMap = (map) => Array.from(map?.values() || []).reduce((sum, value) => sum + value, 0)
+
+const resolveRunOut = ({ available, dailyRate, horizonDays, today }) => {
+  if (dailyRate <= 0) {
+    return { daysLeft: null, runOutDate: null, belowHorizon: false }
+  }
+  const daysLeft = round1(available / dailyRate)
+  return {
+    daysLeft,
+    runOutDate: formatLocalDateOnly(addDays(today, Math.floor(daysLeft))),
+    belowHorizon: horizonDays > 0 && daysLeft < horizonDays,
+  }
+}
+
+/**
+ * 预测各渠道（及各商品）兑换码的售罄时间。
+ * 日均消耗取最近 lookbackDays 个完整自然日的核销量均值（支付订单发码也会核销兑换码，已包含在内）；
+ * history 为按每日核销/新增量倒推的历史剩余量（估算），projection 为按日均消耗线性外推的燃尽曲线。
+ */
+export async function computeStockForecast(db, { lookbackDays, horizonDays } = {}) {
+  const database = db || (await getDatabase())
+  const lookback = Math.max(1, toInt(lookbackDays, getRuntimeSettingValue('stockForecastLookbackDays')))
+  const horizon = Math.max(0, toInt(horizonDays, getRuntimeSettingValue('stockAlertHorizonDays')))
+  const projectionDays = Math.min(60, Math.max(14, horizon + 7))
+
+  const now = new Date()
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  const todayStr = formatLocalDateOnly(today)
+  const fromStr = formatLocalDateOnly(addDays(today, -lookback))
+  const historyDates = Array.from({ length: lookback + 1 }, (_, index) => formatLocalDateOnly(addDays(today, index - lookback)))
+
+  const { list: channelList } = await getChannels(database)
+  const available = loadAvailableByChannel(database)
+  const sellableToday = loadSellableTodayByChannel(database)
+  const redeemed = loadDailyRedeemedByChannel(database, fromStr)
+  const added = loadDailyAddedByChannel(database, fromStr)
+
+  const channelNames = new Map(channelList.map(channel => [channel.key, channel.name || channel.key]))
+  const channelKeys = [
+    ...channelList.filter(channel => channel.isActive).map(channel => channel.key),
+    ...[...available.keys(), ...redeemed.keys()].filter(key => !channelNames.has(key)),
+  ]
+  const seen = new Set()
+
+  const channels = []
+  for (const key of channelKeys) {
+    if (seen.has(key)) continue
+    seen.add(key)
+
+    const dailyRedeemed = redeemed.get(key) || new Map()
+    const dailyAdded = added.get(key) || new Map()
+    const current = available.get(key) || 0
+    const consumedToday = dailyRedeemed.get(todayStr) || 0
+    const consumedInWindow = sumMap(dailyRedeemed) - consumedToday
+    const dailyRate = round2(consumedInWindow / lookback)
+
+    // 从今天往回倒推每日日终剩余量：前一日剩余 = 当日剩余 + 当日核销 - 当日新增
+    const history = []
+    let remaining = current
+    for (let index = historyDates.length - 1; index >= 0; index -= 1) {
+      const date = historyDates[index]
+      const consumed = dailyRedeemed.get(date) || 0
+      const addedCount = dailyAdded.get(date) || 0
+      history.unshift({ date, remaining: Math.max(0, remaining), consumed, added: addedCount })
+      remaining = remaining + consumed - addedCount
+    }
+
+    const projection = Array.from({ length: projectionDays + 1 }, (_, index) => ({
+      date: formatLocalDateOnly(addDays(today, index)),
+      remaining: Math.max(0, round1(current - dailyRate * index)),
+    }))
+
+    channels.push({
+      channel: key,
+      name: channelNames.get(key) || key,
+      available: current,
+      sellableToday: sellableToday.get(key) || 0,
+      consumedToday,
+      dailyRate,
+      ...resolveRunOut({ available: current, dailyRate, horizonDays: horizon, today }),
+      history,
+      projection,
+    })
+  }
+
+  const channelsByKey = new Map(channels.map(item => [item.channel, item]))
+  const paidOrders = loadPaidOrdersByProduct(database, fromStr, todayStr)
+  const products = []
+  for (const product of await listPurchaseProducts(database, { activeOnly: true })) {
+    if (!product?.productKey) continue
+    if (normalizeOrderType(product.orderType) === ORDER_TYPE_ANTI_BAN) continue
+
+    const productChannels = normalizeCodeChannels(product.codeChannels).list
+      .map(token => normalizeChannelKey(token, ''))
+      .filter(key => key && channelsByKey.has(key))
+    const productAvailable = productChannels.reduce((sum, key) => sum + channelsByKey.get(key).available, 0)
+    // 商品共用渠道库存，售罄时间按所用渠道的总消耗计算
+    const productRate = round2(productChannels.reduce((sum, key) => sum + channelsByKey.get(key).dailyRate, 0))
+
+    products.push({
+      productKey: product.productKey,
+      productName: product.productName,
+      channels: productChannels,
+      available: productAvailable,
+      dailyOrders: round2((paidOrders.get(product.productKey) || 0) / lookback),
+      dailyRate: productRate,
+      ...resolveRunOut({ available: productAvailable, dailyRate: productRate, horizonDays: horizon, today }),
+    })
+  }
+
+  const byUrgency = (a, b) => {
+    if (a.belowHorizon !== b.belowHorizon) return a.belowHorizon ? -1 : 1
+    return (a.daysLeft ?? Number.POSITIVE_INFINITY) - (b.daysLeft ?? Number.POSITIVE_INFINITY)
+  }
+
+  return {
+    generatedAt: `${todayStr} ${now.toTimeString().slice(0, 8)}`,
+    lookbackDays: lookback,
+    horizonDays: horizon,
+    channels: channels.sort(byUrgency),
+    products: products.sort(byUrgency),
+  }
+}
+
+const loadAlertState = (db) => {
+  try {
+    const parsed = JSON.parse(getSystemConfigValue(db, ALERT_STATE_CONFIG_KEY) || '{}')
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+const formatDaysLeft = (daysLeft) => (daysLeft <= 0 ? '已售罄' : `约 ${daysLeft} 天`)
+
+const buildAlertText = (forecast, channels) => [
+  `⚠️ 兑换码库存预警（预警线 ${forecast.horizonDays} 天）`,
+  ...channels.map(item =>
+    `• ${item.name}：剩余 ${item.available} 个，日均消耗 ${item.dailyRate} 个，${formatDaysLeft(item.daysLeft)}（预计 ${item.runOutDate} 售罄）`
+  ),
+  `按最近 ${forecast.lookbackDays} 天核销量预测，生成于 ${forecast.generatedAt}`,
+].join('\n')
+
+/**
+ * 检查预测结果并对新进入预警线的渠道发送告警；持续低于预警线的渠道按 STOCK_ALERT_REPEAT_HOURS 重复提醒。
+ * 告警状态保存在 system_config，多副本共享。返回 null 表示本轮无需告警。
+ */
+export async function checkStockAlerts() {
+  const db = await getDatabase()
+  const forecast = await computeStockForecast(db)
+  const previous = loadAlertState(db)
+  const nowMs = Date.now()
+  const repeatMs = repeatAlertHours() * 60 * 60 * 1000
+
+  const nextState = {}
+  const toAlert = []
+  if (forecast.horizonDays > 0) {
+    for (const item of forecast.channels) {
+      if (!item.belowHorizon) continue
+      const lastAlertAt = Number(previous[item.channel]?.alertedAt || 0)
+      if (lastAlertAt && nowMs - lastAlertAt < repeatMs) {
+        nextState[item.channel] = previous[item.channel]
+        continue
+      }
+      toAlert.push(item)
+      nextState[item.channel] = { alertedAt: nowMs, daysLeft: item.daysLeft }
+    }
+  }
+
+  const stateChanged = JSON.stringify(nextState) !== JSON.stringify(previous)
+  if (stateChanged) {
+    upsertSystemConfigValue(db, ALERT_STATE_CONFIG_KEY, JSON.stringify(nextState))
+    await saveDatabase()
+  }
+  if (!toAlert.length) return null
+
+  const text = buildAlertText(forecast, toAlert)
+  const [telegram, email] = await Promise.all([
+    sendTelegramBotNotification(text, { db }).catch(error => ({ ok: false, error: error?.message || String(error) })),
+    sendAdminAlertEmail({ subject: `兑换码库存预警：${toAlert.map(item => item.name).join('、')}`, text }).catch(() => false),
+  ])
+
+  const summary = {
+    alerted: toAlert.length,
+    channels: toAlert.map(item => item.channel).join(','),
+    telegramSent: Boolean(telegram?.ok),
+    emailSent: Boolean(email),
+  }
+  console.log(`${LABEL} alert sent`, summary)
+  return summary
+}
+
+export const startStockForecastScheduler = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'STOCK_FORECAST_ENABLED=false' })
+    console.log(`${LABEL} scheduler disabled`)
+    return () => {}
+  }
+
+  // 多副本部署时只有持有 leader 租约的实例检查并发送告警
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes()} 分钟`,
+    leaderTtlMs: () => intervalMinutes() * 2 * 60_000,
+    run: checkStockAlerts
+  })
+
+  const delay = initialDelayMs()
+
+  let stopped = false
+  let timer = null
+  const scheduleNext = (delayMs) => {
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    timer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (!stopped) scheduleNext(intervalMinutes() * 60_000)
+    }, delayMs)
+  }
+  scheduleNext(delay)
+
+  console.log(`${LABEL} scheduler started`, {
+    intervalMinutes: intervalMinutes(),
+    initialDelayMs: delay,
+    repeatAlertHours: repeatAlertHours()
+  })
+
+  return () => {
+    stopped = true
+    clearTimeout(timer)
+    setJobNextRunAt(JOB.key, null)
+  }
+}
@@ -2,9 +2,12 @@ import TelegramBot from 'node-telegram-bot-api'
 import axios from 'axios'
 import { redeemCodeInternal, RedemptionError } from '../routes/redemption-codes.js'
 import { getDatabase, saveDatabase } from '../database/init.js'
-import { getExpectedApiKey } from '../middleware/api-key-auth.js'
+import { verifyApiKey } from './api-keys.js'
 import { userHasRoleKey } from './rbac.js'
 import { getTelegramSettings } from '../utils/telegram-settings.js'
+import { getRuntimeSetting } from '../utils/runtime-settings.js'
+import { isJobPaused, refreshPausedJobs, registerJob } from './job-registry.js'
+import { computeStockForecast } from './stock-forecast.js'
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 const CODE_REGEX = /^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/
@@ -215,21 +218,45 @@ const resolveSuperAdminUserByTelegramId = async telegramUserId => {
   return isSuperAdmin ? user : null
 }
 
+const TELEGRAM_BOT_JOB = {
+  key: 'telegram-bot',
+  label: 'Telegram 机器人',
+  description: '常驻轮询 Telegram 消息；手动触发即重启轮询，修改 Bot Token 后需重启服务',
+  kind: 'daemon',
+}
+
 export async function startTelegramBot() {
   const settings = await getTelegramSettings(null, { forceRefresh: true })
   const token = String(settings.token || '').trim()
 
   if (!token) {
+    registerJob({ ...TELEGRAM_BOT_JOB, enabled: false, disabledReason: '未配置 Bot Token' })
     console.log('[Telegram Bot] Bot Token 未配置，跳过启动')
     return null
   }
 
-  const bot = new TelegramBot(token, { polling: true })
+  // 后台暂停过的机器人重启后保持暂停，恢复时再开始轮询
+  await refreshPausedJobs()
+  const paused = isJobPaused(TELEGRAM_BOT_JOB.key)
+  const bot = new TelegramBot(token, { polling: !paused })
+  let lastPollingError = null
+  registerJob({
+    ...TELEGRAM_BOT_JOB,
+    schedule: () => '常驻轮询',
+    run: async () => {
+      await bot.stopPolling()
+      await bot.startPolling()
+      return { polling: bot.isPolling() }
+    },
+    pause: () => bot.stopPolling(),
+    resume: () => bot.startPolling(),
+    describe: () => ({ polling: bot.isPolling(), lastPollingError })
+  })
+  if (paused) console.log('[Telegram Bot] 已在后台暂停，暂不开始轮询')
   const internalApiBaseUrl = resolveInternalApiBaseUrl()
   const internalApiTimeoutMs = Math.max(1000, toInt(process.env.TELEGRAM_INTERNAL_API_TIMEOUT_MS, 12000))
   const buyPollIntervalMs = Math.max(1500, toInt(process.env.TELEGRAM_BUY_POLL_INTERVAL_MS, 5000))
   const buyPollTimeoutMs = Math.max(30_000, toInt(process.env.TELEGRAM_BUY_POLL_TIMEOUT_MS, 35 * 60 * 1000))
-  const purchaseExpireMinutes = Math.max(5, toInt(process.env.PURCHASE_ORDER_EXPIRE_MINUTES, 15))
   const derivedActivateUrl = (() => {
     const randomUrl = normalizeIdentifier(process.env.TELEGRAM_RANDOM_ACTIVATE_SSE_URL)
     if (!randomUrl) return ''
@@ -319,7 +346,7 @@ export async function startTelegramBot() {
   }
 
   const baseCommandLines = [
-    '• /stock - 查看今日剩余库存',
+    '• /stock - 查看今日剩余库存与售罄预测',
     '• /buy - 购买（默认支付宝）',
     '• /redeem - 开始兑换',
     '• /cancel - 取消当前兑换流程',
@@ -363,12 +390,16 @@ export async function startTelegramBot() {
     }
 
     try {
-      const expectedKey = normalizeIdentifier(await getExpectedApiKey())
-      if (!expectedKey || inputKey !== expectedKey) {
-        await bot.sendMessage(chatId, '❌ 认证失败：API key 不正确。')
+      const verification = await verifyApiKey(inputKey, 'telegram:bind')
+      if (!verification.ok) {
+        const reply = verification.reason === 'forbidden'
+          ? '❌ 认证失败：该 API key 没有 telegram:bind 权限。'
+          : '❌ 认证失败：API key 不正确或已失效。'
+        await bot.sendMessage(chatId, reply)
         console.warn('[Telegram Bot] Admin auth failed', {
           identifier,
-          telegramId: telegramUserId
+          telegramId: telegramUserId,
+          reason: verification.reason
         })
         return
       }
@@ -596,6 +627,7 @@ export async function startTelegramBot() {
     try {
       await bot.sendChatAction(chatId, 'typing')
       const meta = await fetchPurchaseMeta()
+      const purchaseExpireMinutes = await getRuntimeSetting('purchaseOrderExpireMinutes')
       const lines = [
         `📦 今日剩余库存：${meta.availableCount ?? '未知'} 个`,
         meta.productName ? `商品：${meta.productName}` : null,
@@ -603,6 +635,16 @@ export async function startTelegramBot() {
         meta.serviceDays ? `有效期：${meta.serviceDays} 天` : null,
         `订单有效期：${purchaseExpireMinutes} 分钟`
       ].filter(Boolean)
+      const forecast = await computeStockForecast(await getDatabase()).catch(() => null)
+      const forecastLines = (forecast?.channels || [])
+        .filter(item => item.available > 0 || item.dailyRate > 0)
+        .map(item => {
+          const runOut = item.daysLeft === null ? '暂无消耗' : `约 ${item.daysLeft} 天售罄`
+          return `• ${item.name}：剩余 ${item.available} 个，日均 ${item.dailyRate} 个，${runOut}${item.belowHorizon ? ' ⚠️' : ''}`
+        })
+      if (forecastLines.length) {
+        lines.push('', `📉 库存预测（近 ${forecast.lookbackDays} 天日均）`, ...forecastLines)
+      }
       await bot.sendMessage(chatId, lines.join('\n'))
     } catch (error) {
       await bot.sendMessage(chatId, `❌ 查询库存失败：${error?.message || String(error)}`)
@@ -630,6 +672,7 @@ export async function startTelegramBot() {
         return
       }
 
+      const purchaseExpireMinutes = await getRuntimeSetting('purchaseOrderExpireMinutes')
       const lines = [
         `📦 今日剩余库存：${meta.availableCount ?? '未知'} 个`,
         meta.productName ? `商品：${meta.productName}` : null,
@@ -1016,6 +1059,7 @@ export async function startTelegramBot() {
         session.stage = 'buyPending'
         session.orderNo = order.orderNo
 
+        const purchaseExpireMinutes = await getRuntimeSetting('purchaseOrderExpireMinutes')
         const lines = [
           '✅ 订单已创建，请使用支付宝扫码完成付款。',
           `订单号：${order.orderNo}`,
@@ -1082,6 +1126,7 @@ export async function startTelegramBot() {
   })
 
   bot.on('polling_error', error => {
+    lastPollingError = { message: error?.message || String(error), at: new Date().toISOString() }
     console.error('[Telegram Bot] Polling error:', error?.message || error)
   })
 
@@ -1,15 +1,23 @@
 import { getDatabase, saveDatabase } from '../database/init.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { seatCapacitySql } from '../utils/seat-capacity.js'
 import { syncAccountInviteCount, syncAccountUserCount } from './account-sync.js'
 import { inviteUserToChatGPTTeam } from './chatgpt-invite.js'
+import { emitWebhookEvent } from './webhooks.js'
+import { fencedWrite } from '../utils/locks.js'
+import { getRuntimeSettingValue, parseActiveHours, refreshRuntimeSettings } from '../utils/runtime-settings.js'
 
 const LABEL = '[WaitingRoomAutoBoarding]'
-const DEFAULT_ACTIVE_HOURS = [8, 9, 10, 11, 12, 13, 14]
 const MAX_LOOKAHEAD_HOURS = 48
 const RESERVED_BY = 'auto-scheduler'
+const JOB = {
+  key: 'waiting-room-auto-boarding',
+  label: '候车室自动上车',
+  description: '在设定整点为候车队首用户分配 Linux DO 兑换码并发送团队邀请',
+}
 
-const configuredHours = parseActiveHours(process.env.WAITING_ROOM_AUTO_BOARDING_HOURS)
-const activeHours = configuredHours.length ? configuredHours : DEFAULT_ACTIVE_HOURS
-const ACTIVE_HOUR_SET = new Set(activeHours)
+// 执行时段取自运行时配置（WAITING_ROOM_AUTO_BOARDING_HOURS 为环境变量回退），每次调度前刷新
+const getActiveHourSet = () => new Set(parseActiveHours(String(getRuntimeSettingValue('waitingRoomAutoBoardingHours') || '')))
 
 let schedulerTimer = null
 let jobInProgress = false
@@ -24,42 +32,13 @@ function parseBool(value, defaultValue = false) {
   return ['true', '1', 'yes', 'y', 'on'].includes(String(value).toLowerCase())
 }
 
-function parseActiveHours(value) {
-  if (!value || typeof value !== 'string') {
-    return []
-  }
-  const hours = new Set()
-  value.split(',').map(part => part.trim()).forEach(part => {
-    if (!part) {
-      return
-    }
-    if (part.includes('-')) {
-      const [startStr, endStr] = part.split('-')
-      const start = Number.parseInt(startStr, 10)
-      const end = Number.parseInt(endStr, 10)
-      if (Number.isFinite(start) && Number.isFinite(end)) {
-        const minHour = Math.max(0, Math.min(start, end))
-        const maxHour = Math.min(23, Math.max(start, end))
-        for (let hour = minHour; hour <= maxHour; hour++) {
-          hours.add(hour)
-        }
-      }
-      return
-    }
-    const hour = Number.parseInt(part, 10)
-    if (Number.isFinite(hour) && hour >= 0 && hour <= 23) {
-      hours.add(hour)
-    }
-  })
-  return Array.from(hours).sort((a, b) => a - b)
-}
-
 function formatLocalTime(date) {
   return date.toLocaleString('zh-CN', { hour12: false })
 }
 
 function getNextScheduledTime(from = new Date()) {
-  if (!ACTIVE_HOUR_SET.size) {
+  const activeHourSet = getActiveHourSet()
+  if (!activeHourSet.size) {
     return null
   }
 
@@ -71,7 +50,7 @@ function getNextScheduledTime(from = new Date()) {
   }
 
   for (let i = 0; i < MAX_LOOKAHEAD_HOURS; i++) {
-    if (ACTIVE_HOUR_SET.has(next.getHours()) && next.getTime() >= from.getTime()) {
+    if (activeHourSet.has(next.getHours()) && next.getTime() >= from.getTime()) {
       return next
     }
     next.setHours(next.getHours() + 1)
@@ -156,36 +135,38 @@ function fetchCodeById(db, codeId) {
 }
 
 function reserveCodeForEntry(db, entry, code) {
-  db.run(
-    `
-      UPDATE redemption_codes
-      SET reserved_for_uid = ?,
-          reserved_for_username = ?,
-          reserved_for_entry_id = ?,
-          reserved_at = DATETIME('now', 'localtime'),
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [
-      entry.linuxDoUid,
-      entry.linuxDoUsername || entry.linuxDoName || null,
-      entry.id,
-      code.id
-    ]
-  )
+  fencedWrite(() => {
+    db.run(
+      `
+        UPDATE redemption_codes
+        SET reserved_for_uid = ?,
+            reserved_for_username = ?,
+            reserved_for_entry_id = ?,
+            reserved_at = DATETIME('now', 'localtime'),
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [
+        entry.linuxDoUid,
+        entry.linuxDoUsername || entry.linuxDoName || null,
+        entry.id,
+        code.id
+      ]
+    )
 
-  db.run(
-    `
-      UPDATE waiting_room_entries
-      SET reserved_code_id = ?,
-          reserved_code = ?,
-          reserved_at = DATETIME('now', 'localtime'),
-          reserved_by = ?,
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [code.id, code.code, RESERVED_BY, entry.id]
-  )
+    db.run(
+      `
+        UPDATE waiting_room_entries
+        SET reserved_code_id = ?,
+            reserved_code = ?,
+            reserved_at = DATETIME('now', 'localtime'),
+            reserved_by = ?,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [code.id, code.code, RESERVED_BY, entry.id]
+    )
+  })
 }
 
 function releaseReservation(db, entryId, codeId) {
@@ -212,31 +193,33 @@ function releaseReservation(db, entryId, codeId) {
     return false
   }
 
-  db.run(
-    `
-      UPDATE waiting_room_entries
-      SET reserved_code_id = NULL,
-          reserved_code = NULL,
-          reserved_at = NULL,
-          reserved_by = NULL,
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [entryId]
-  )
+  fencedWrite(() => {
+    db.run(
+      `
+        UPDATE waiting_room_entries
+        SET reserved_code_id = NULL,
+            reserved_code = NULL,
+            reserved_at = NULL,
+            reserved_by = NULL,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [entryId]
+    )
 
-  db.run(
-    `
-      UPDATE redemption_codes
-      SET reserved_for_uid = NULL,
-          reserved_for_username = NULL,
-          reserved_for_entry_id = NULL,
-          reserved_at = NULL,
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [codeId]
-  )
+    db.run(
+      `
+        UPDATE redemption_codes
+        SET reserved_for_uid = NULL,
+            reserved_for_username = NULL,
+            reserved_for_entry_id = NULL,
+            reserved_at = NULL,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [codeId]
+    )
+  })
 
   return true
 }
@@ -248,7 +231,8 @@ function selectAccountForCode(db, accountEmail) {
       SELECT id, email, token, user_count, chatgpt_account_id, oai_device_id
       FROM gpt_accounts
       WHERE email = ?
-        AND COALESCE(user_count, 0) + COALESCE(invite_count, 0) < 6
+        AND COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ${seatCapacitySql()}
+        AND quarantined_at IS NULL
       LIMIT 1
       `,
       [accountEmail]
@@ -263,7 +247,8 @@ function selectAccountForCode(db, accountEmail) {
     `
       SELECT id, email, token, user_count, chatgpt_account_id, oai_device_id
       FROM gpt_accounts
-      WHERE COALESCE(user_count, 0) + COALESCE(invite_count, 0) < 6
+      WHERE COALESCE(user_count, 0) + COALESCE(invite_count, 0) < ${seatCapacitySql()}
+        AND quarantined_at IS NULL
       ORDER BY COALESCE(user_count, 0) + COALESCE(invite_count, 0) ASC, RANDOM()
       LIMIT 1
     `
@@ -321,28 +306,30 @@ async function redeemReservedCode(db, entry, code) {
 
   const redeemerIdentifier = `UID:${normalizedUid} | Email:${normalizedEmail}`
 
-  db.run(
-    `
-      UPDATE redemption_codes
-      SET is_redeemed = 1,
-          redeemed_at = DATETIME('now', 'localtime'),
-          redeemed_by = ?,
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [redeemerIdentifier, codeId]
-  )
+  fencedWrite(() => {
+    db.run(
+      `
+        UPDATE redemption_codes
+        SET is_redeemed = 1,
+            redeemed_at = DATETIME('now', 'localtime'),
+            redeemed_by = ?,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [redeemerIdentifier, codeId]
+    )
 
-  db.run(
-    `
-      UPDATE waiting_room_entries
-      SET status = 'boarded',
-          boarded_at = COALESCE(boarded_at, DATETIME('now', 'localtime')),
-          updated_at = DATETIME('now', 'localtime')
-      WHERE id = ?
-    `,
-    [entry.id]
-  )
+    db.run(
+      `
+        UPDATE waiting_room_entries
+        SET status = 'boarded',
+            boarded_at = COALESCE(boarded_at, DATETIME('now', 'localtime')),
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [entry.id]
+    )
+  })
 
   let inviteResult = { success: false, message: '邀请功能未启用' }
   let syncedAccount = null
@@ -391,6 +378,24 @@ async function redeemReservedCode(db, entry, code) {
       ? syncedUserCount
       : account.userCount || 0
 
+  await emitWebhookEvent('code.redeemed', {
+    codeId,
+    code: codeValue,
+    channel,
+    email: normalizedEmail,
+    redeemerUid: normalizedUid,
+    accountEmail: account.email,
+    inviteSent: Boolean(inviteResult.success)
+  }, { db })
+  await emitWebhookEvent('waiting_room.boarded', {
+    entryId: entry.id,
+    linuxDoUid: normalizedUid,
+    email: normalizedEmail,
+    code: codeValue,
+    accountEmail: account.email,
+    source: 'auto_boarding'
+  }, { db })
+
   return {
     accountEmail: account.email,
     userCount: resolvedUserCount,
@@ -404,16 +409,17 @@ async function redeemReservedCode(db, entry, code) {
   }
 }
 
+// 返回本轮结果摘要（跳过时为原因说明），失败时回滚绑定后抛错，由任务注册表记录
 async function runAutoBoardingJob(trigger = 'scheduler') {
   if (jobInProgress) {
     console.log(`${LABEL} 上一次任务尚未完成，跳过本次触发 (${trigger})`)
-    return
+    return null
   }
 
   const now = new Date()
-  if (!ACTIVE_HOUR_SET.has(now.getHours())) {
+  if (!getActiveHourSet().has(now.getHours())) {
     console.log(`${LABEL} 当前时间 ${formatLocalTime(now)} 不在设定时段，跳过执行`)
-    return
+    return '当前不在设定时段，已跳过'
   }
 
   jobInProgress = true
@@ -428,17 +434,17 @@ async function runAutoBoardingJob(trigger = 'scheduler') {
     entry = fetchNextWaitingEntry(db)
     if (!entry) {
       console.log(`${LABEL} 候车队列为空，本次无需处理`)
-      return
+      return '候车队列为空'
     }
 
     if (!entry.email) {
       console.warn(`${LABEL} 队首用户 UID:${entry.linuxDoUid} 缺少邮箱，跳过`)
-      return
+      return `队首用户 UID:${entry.linuxDoUid} 缺少邮箱，已跳过`
     }
 
     if (!entry.linuxDoUid) {
       console.warn(`${LABEL} 队首用户缺少 Linux DO UID，跳过`)
-      return
+      return '队首用户缺少 Linux DO UID，已跳过'
     }
 
     if (entry.reservedCodeId) {
@@ -459,7 +465,7 @@ async function runAutoBoardingJob(trigger = 'scheduler') {
       code = fetchAvailableLinuxDoCode(db)
       if (!code) {
         console.warn(`${LABEL} 当前没有可用的 Linux DO 渠道兑换码，跳过此次任务`)
-        return
+        return '没有可用的 Linux DO 渠道兑换码'
       }
       console.log(`${LABEL} 准备为 UID:${entry.linuxDoUid} (${entry.email}) 分配兑换码 ${code.code}`)
       reserveCodeForEntry(db, entry, code)
@@ -481,6 +487,14 @@ async function runAutoBoardingJob(trigger = 'scheduler') {
     } else {
       console.log(`${LABEL} 未发送邀请：${redemptionResult.inviteResult?.message || '邀请功能未启用'}`)
     }
+
+    return {
+      linuxDoUid: entry.linuxDoUid,
+      email: entry.email,
+      code: code.code,
+      accountEmail: redemptionResult.accountEmail,
+      invited: Boolean(redemptionResult.inviteResult?.success)
+    }
   } catch (error) {
     if (db && entry && code && createdReservation) {
       try {
@@ -494,6 +508,7 @@ async function runAutoBoardingJob(trigger = 'scheduler') {
       }
     }
     console.error(`${LABEL} 任务 (${trigger}) 执行失败:`, error)
+    throw error
   } finally {
     jobInProgress = false
   }
@@ -501,6 +516,7 @@ async function runAutoBoardingJob(trigger = 'scheduler') {
 
 function scheduleNextRun() {
   const nextRun = getNextScheduledTime()
+  setJobNextRunAt(JOB.key, nextRun)
   if (!nextRun) {
     console.warn(`${LABEL} 无法计算下次运行时间，自动任务已停止`)
     return
@@ -512,11 +528,10 @@ function scheduleNextRun() {
 
   schedulerTimer = setTimeout(async () => {
     schedulerTimer = null
-    try {
-      await runAutoBoardingJob('scheduler')
-    } finally {
-      scheduleNextRun()
-    }
+    const { reason } = await runRegisteredJob(JOB.key)
+    if (reason === 'not_leader') console.log(`${LABEL} 其他实例正在执行本时段任务，已跳过`)
+    await refreshRuntimeSettings()
+    scheduleNextRun()
   }, delay)
 
   schedulerTimer.unref?.()
@@ -524,26 +539,38 @@ function scheduleNextRun() {
 
 export function startWaitingRoomAutoBoardingScheduler() {
   if (!parseBool(process.env.WAITING_ROOM_AUTO_BOARDING_ENABLED, true)) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'WAITING_ROOM_AUTO_BOARDING_ENABLED=false' })
     console.log(`${LABEL} 自动上车任务已禁用 (WAITING_ROOM_AUTO_BOARDING_ENABLED=false)`)
     return
   }
 
-  if (!ACTIVE_HOUR_SET.size) {
-    console.warn(`${LABEL} 未配置有效的执行时段，任务不会启动`)
-    return
-  }
+  // 多副本部署时同一时段只有持有 leader 租约的实例执行
+  registerJob({
+    ...JOB,
+    schedule: () => {
+      const hours = Array.from(getActiveHourSet()).sort((a, b) => a - b)
+      return hours.length ? `每天 ${hours.join(', ')} 点整` : '未配置执行时段'
+    },
+    leaderTtlMs: () => 10 * 60 * 1000,
+    run: runAutoBoardingJob
+  })
 
   if (schedulerTimer) {
     clearTimeout(schedulerTimer)
     schedulerTimer = null
   }
 
-  console.log(
-    `${LABEL} 定时任务已启动，将在以下整点执行：${Array.from(ACTIVE_HOUR_SET).sort((a, b) => a - b).join(', ')}`
-  )
-  scheduleNextRun()
+  void refreshRuntimeSettings().then(() => {
+    const activeHourSet = getActiveHourSet()
+    if (!activeHourSet.size) {
+      console.warn(`${LABEL} 未配置有效的执行时段，任务不会启动`)
+      return
+    }
+    console.log(`${LABEL} 定时任务已启动，将在以下整点执行：${Array.from(activeHourSet).sort((a, b) => a - b).join(', ')}`)
+    scheduleNextRun()
+  })
 }
 
 export async function runWaitingRoomAutoBoardingNow() {
-  await runAutoBoardingJob('manual')
+  return runRegisteredJob(JOB.key, 'manual')
 }
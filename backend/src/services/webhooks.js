@@ -0,0 +1,464 @@
+import axios from 'axios'
+import crypto from 'crypto'
+import { getDatabase, saveDatabase } from '../database/init.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
+import { getRuntimeSettingValue, refreshRuntimeSettings } from '../utils/runtime-settings.js'
+
+const LABEL = '[Webhooks]'
+const JOB = {
+  key: 'webhook-dispatcher',
+  label: 'Webhook 投递',
+  description: '投递到期的 Webhook 事件，失败按退避策略重试',
+}
+const SIGNATURE_HEADER = 'X-Webhook-Signature'
+const RESPONSE_BODY_LIMIT = 2000
+const ERROR_MESSAGE_LIMIT = 500
+// 第 N 次失败后等待 RETRY_DELAYS_SECONDS[N-1] 秒再重试，超出部分沿用最后一档
+const RETRY_DELAYS_SECONDS = [60, 300, 900, 3600, 3 * 3600, 6 * 3600, 12 * 3600]
+// 投递中断（进程退出等）后，超过该时长仍处于 delivering 的记录会被放回队列
+const STALE_DELIVERING_MINUTES = 10
+
+export const WEBHOOK_EVENT_TYPES = [
+  { type: 'purchase.paid', label: '支付订单：支付成功' },
+  { type: 'purchase.refunded', label: '支付订单：已退款' },
+  { type: 'credit.paid', label: 'Credit 订单：支付成功' },
+  { type: 'code.redeemed', label: '兑换码：兑换成功' },
+  { type: 'account.banned', label: '账号：标记封号' },
+  { type: 'account.quarantined', label: '账号：健康检查连续失败已隔离' },
+  { type: 'waiting_room.boarded', label: '候车室：上车' },
+  { type: 'invite.dead_lettered', label: '邀请：重试耗尽转入死信' },
+]
+
+// 仅用于后台「发送测试」，不可订阅
+export const WEBHOOK_TEST_EVENT = 'webhook.test'
+
+const KNOWN_EVENT_TYPES = new Set(WEBHOOK_EVENT_TYPES.map(item => item.type))
+
+const toInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const isEnabled = () => {
+  const raw = String(process.env.WEBHOOK_DISPATCHER_ENABLED ?? 'true').trim().toLowerCase()
+  return raw !== '0' && raw !== 'false' && raw !== 'off'
+}
+
+const intervalSeconds = () => getRuntimeSettingValue('webhookDispatchIntervalSeconds')
+const timeoutMs = () => Math.max(1000, toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000))
+const batchSize = () => Math.max(1, toInt(process.env.WEBHOOK_DISPATCH_BATCH_SIZE, 20))
+export const getWebhookMaxAttempts = () => Math.max(1, toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8))
+const retentionDays = () => Math.max(0, toInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30))
+
+const truncate = (value, limit) => {
+  const text = value == null ? '' : String(value)
+  return text.length > limit ? `${text.slice(0, limit)}…` : text
+}
+
+export const normalizeWebhookEvents = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/)
+  const events = []
+  for (const item of list) {
+    const type = String(item || '').trim()
+    if (!type) continue
+    if (type !== '*' && !KNOWN_EVENT_TYPES.has(type)) {
+      throw new Error(`未知的事件类型: ${type}`)
+    }
+    if (!events.includes(type)) events.push(type)
+  }
+  return events
+}
+
+const parseEvents = (raw) => {
+  try {
+    const parsed = JSON.parse(String(raw || '[]'))
+    return Array.isArray(parsed) ? parsed.map(String) : []
+  } catch {
+    return []
+  }
+}
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+/**
+ * 签名格式：`t=<unix 秒>,v1=<hex>`，其中 hex = HMAC-SHA256(secret, `${t}.${rawBody}`)。
+ * 接收方应使用原始请求体校验，并拒绝时间戳偏差过大的请求以防重放。
+ */
+export const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${digest}`
+}
+
+export const WEBHOOK_ENDPOINT_COLUMNS = 'id, name, url, events, is_active, created_by, created_at, updated_at'
+
+export const mapWebhookEndpointRow = (row) => ({
+  id: Number(row[0]),
+  name: row[1],
+  url: row[2],
+  events: parseEvents(row[3]),
+  isActive: Number(row[4]) === 1,
+  createdBy: row[5] == null ? null : Number(row[5]),
+  createdAt: row[6] || null,
+  updatedAt: row[7] || null,
+})
+
+const endpointSubscribes = (events, eventType) => events.includes('*') || events.includes(eventType)
+
+const buildEventId = () => `evt_${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`
+
+const enqueueDeliveries = (db, endpoints, eventType, data) => {
+  const eventId = buildEventId()
+  const body = JSON.stringify({
+    id: eventId,
+    type: eventType,
+    createdAt: new Date().toISOString(),
+    data: data ?? null,
+  })
+  for (const endpoint of endpoints) {
+    db.run(
+      `
+        INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, status, next_attempt_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'pending', DATETIME('now', 'localtime'), DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+      `,
+      [endpoint.id, eventId, eventType, body]
+    )
+  }
+  return eventId
+}
+
+/**
+ * 记录一条业务事件并为所有订阅该事件的启用端点排队投递。
+ * 不会抛错：Webhook 失败不应影响下单、兑换等主流程。
+ */
+export async function emitWebhookEvent(eventType, data, { db = null } = {}) {
+  try {
+    const database = db || (await getDatabase())
+    const result = database.exec(`SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE is_active = 1`)
+    const endpoints = (result[0]?.values || [])
+      .map(mapWebhookEndpointRow)
+      .filter(endpoint => endpointSubscribes(endpoint.events, eventType))
+    if (!endpoints.length) return null
+
+    const eventId = enqueueDeliveries(database, endpoints, eventType, data)
+    await saveDatabase()
+    scheduleImmediateDispatch()
+    return eventId
+  } catch (error) {
+    console.warn(`${LABEL} enqueue failed`, { eventType, message: error?.message || String(error) })
+    return null
+  }
+}
+
+export async function sendTestWebhook(endpoint) {
+  const db = await getDatabase()
+  const eventId = enqueueDeliveries(db, [endpoint], WEBHOOK_TEST_EVENT, {
+    endpointId: endpoint.id,
+    message: '这是一条测试事件',
+  })
+  await saveDatabase()
+  scheduleImmediateDispatch()
+  return eventId
+}
+
+// 手动重试：立即投递（等待退避中的记录也可提前重试），已用次数保留，达到上限后仍可再次手动重试一次
+export async function retryWebhookDelivery(deliveryId) {
+  const db = await getDatabase()
+  db.run(
+    `
+      UPDATE webhook_deliveries
+      SET status = 'pending',
+          next_attempt_at = DATETIME('now', 'localtime'),
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+        AND status != 'delivering'
+    `,
+    [deliveryId]
+  )
+  const changed = typeof db.getRowsModified === 'function' ? db.getRowsModified() > 0 : true
+  if (changed) {
+    await saveDatabase()
+    scheduleImmediateDispatch()
+  }
+  return changed
+}
+
+const resolveRetryDelaySeconds = (attempts) =>
+  RETRY_DELAYS_SECONDS[Math.min(Math.max(attempts, 1), RETRY_DELAYS_SECONDS.length) - 1]
+
+const postDelivery = async ({ url, secret, eventId, eventType, payload }) => {
+  const startedAt = Date.now()
+  try {
+    const response = await axios.post(url, payload, {
+      timeout: timeoutMs(),
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformRequest: [(body) => body],
+      responseType: 'text',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'chatgpt-team-helper-webhooks',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Event': eventType,
+        [SIGNATURE_HEADER]: signWebhookPayload(secret, payload),
+      },
+    })
+    const ok = response.status >= 200 && response.status < 300
+    return {
+      ok,
+      status: response.status,
+      body: truncate(response.data, RESPONSE_BODY_LIMIT),
+      error: ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    }
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: truncate(error?.code ? `${error.code}: ${error.message}` : error?.message || String(error), ERROR_MESSAGE_LIMIT),
+      durationMs: Date.now() - startedAt,
+    }
+  }
+}
+
+const recoverStaleDeliveries = (db) => {
+  db.run(
+    `
+      UPDATE webhook_deliveries
+      SET status = 'pending',
+          updated_at = DATETIME('now', 'localtime')
+      WHERE status = 'delivering'
+        AND last_attempt_at <= DATETIME('now', 'localtime', ?)
+    `,
+    [`-${STALE_DELIVERING_MINUTES} minutes`]
+  )
+}
+
+const purgeOldDeliveries = (db) => {
+  const days = retentionDays()
+  if (!days) return
+  db.run(
+    `
+      DELETE FROM webhook_deliveries
+      WHERE status IN ('success', 'failed')
+        AND created_at <= DATETIME('now', 'localtime', ?)
+    `,
+    [`-${days} days`]
+  )
+}
+
+const claimDueDeliveries = (db) => {
+  const result = db.exec(
+    `
+      SELECT d.id, d.event_id, d.event_type, d.payload, d.attempts, e.url, e.secret, COALESCE(e.is_active, 0)
+      FROM webhook_deliveries d
+      LEFT JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE d.status = 'pending'
+        AND (d.next_attempt_at IS NULL OR d.next_attempt_at <= DATETIME('now', 'localtime'))
+      ORDER BY d.id ASC
+      LIMIT ?
+    `,
+    [batchSize()]
+  )
+  const rows = result[0]?.values || []
+  const claimed = []
+  for (const row of rows) {
+    const delivery = {
+      id: Number(row[0]),
+      eventId: row[1],
+      eventType: row[2],
+      payload: row[3],
+      attempts: Number(row[4] || 0),
+      url: row[5],
+      secret: row[6],
+      endpointActive: Number(row[7]) === 1,
+    }
+    if (!delivery.url || !delivery.endpointActive) {
+      db.run(
+        `
+          UPDATE webhook_deliveries
+          SET status = 'failed',
+              last_error = ?,
+              updated_at = DATETIME('now', 'localtime')
+          WHERE id = ?
+        `,
+        [delivery.url ? '端点已停用' : '端点已删除', delivery.id]
+      )
+      continue
+    }
+    db.run(
+      `
+        UPDATE webhook_deliveries
+        SET status = 'delivering',
+            last_attempt_at = DATETIME('now', 'localtime'),
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+          AND status = 'pending'
+      `,
+      [delivery.id]
+    )
+    claimed.push(delivery)
+  }
+  return claimed
+}
+
+const recordDeliveryOutcome = (db, delivery, outcome) => {
+  const attempts = delivery.attempts + 1
+  if (outcome.ok) {
+    db.run(
+      `
+        UPDATE webhook_deliveries
+        SET status = 'success',
+            attempts = ?,
+            response_status = ?,
+            response_body = ?,
+            last_error = NULL,
+            duration_ms = ?,
+            delivered_at = DATETIME('now', 'localtime'),
+            next_attempt_at = NULL,
+            updated_at = DATETIME('now', 'localtime')
+        WHERE id = ?
+      `,
+      [attempts, outcome.status, outcome.body, outcome.durationMs, delivery.id]
+    )
+    return
+  }
+
+  const exhausted = attempts >= getWebhookMaxAttempts()
+  db.run(
+    `
+      UPDATE webhook_deliveries
+      SET status = ?,
+          attempts = ?,
+          response_status = ?,
+          response_body = ?,
+          last_error = ?,
+          duration_ms = ?,
+          next_attempt_at = CASE WHEN ? THEN NULL ELSE DATETIME('now', 'localtime', ?) END,
+          updated_at = DATETIME('now', 'localtime')
+      WHERE id = ?
+    `,
+    [
+      exhausted ? 'failed' : 'pending',
+      attempts,
+      outcome.status,
+      outcome.body,
+      outcome.error,
+      outcome.durationMs,
+      exhausted ? 1 : 0,
+      `+${resolveRetryDelaySeconds(attempts)} seconds`,
+      delivery.id,
+    ]
+  )
+}
+
+let dispatching = false
+
+export async function dispatchWebhookDeliveries() {
+  if (dispatching) return { delivered: 0, failed: 0 }
+  dispatching = true
+
+  let delivered = 0
+  let failed = 0
+  let dispatchError = null
+  try {
+    const db = await getDatabase()
+    recoverStaleDeliveries(db)
+    purgeOldDeliveries(db)
+
+    // 每批投递完成后再取下一批，直到没有到期记录
+    for (;;) {
+      const claimed = claimDueDeliveries(db)
+      await saveDatabase()
+      if (!claimed.length) break
+
+      for (const delivery of claimed) {
+        const outcome = await postDelivery(delivery)
+        recordDeliveryOutcome(db, delivery, outcome)
+        if (outcome.ok) {
+          delivered += 1
+        } else {
+          failed += 1
+          console.warn(`${LABEL} delivery failed`, {
+            deliveryId: delivery.id,
+            eventType: delivery.eventType,
+            attempt: delivery.attempts + 1,
+            error: outcome.error,
+          })
+        }
+      }
+      await saveDatabase()
+    }
+  } catch (error) {
+    dispatchError = error?.message || String(error)
+    console.error(`${LABEL} dispatch failed`, { message: dispatchError })
+  } finally {
+    dispatching = false
+  }
+
+  return { delivered, failed, error: dispatchError }
+}
+
+let dispatcherStarted = false
+let immediateTimer = null
+
+// 返回本轮投递统计；没有到期投递时返回 null（空转）
+const runDispatchJob = async () => {
+  const outcome = await dispatchWebhookDeliveries()
+  if (outcome.error) throw new Error(outcome.error)
+  return outcome.delivered || outcome.failed ? { delivered: outcome.delivered, failed: outcome.failed } : null
+}
+
+// 新事件入队后尽快投递，而不是等到下一个轮询周期
+function scheduleImmediateDispatch() {
+  if (!dispatcherStarted || immediateTimer) return
+  immediateTimer = setTimeout(() => {
+    immediateTimer = null
+    void runRegisteredJob(JOB.key, 'event')
+  }, 200)
+  immediateTimer.unref?.()
+}
+
+export const startWebhookDispatcher = () => {
+  if (!isEnabled()) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'WEBHOOK_DISPATCHER_ENABLED=false' })
+    console.log(`${LABEL} dispatcher disabled`)
+    return () => {}
+  }
+
+  dispatcherStarted = true
+
+  // 多副本部署时只有持有 leader 租约的实例投递
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalSeconds()} 秒，新事件入队后立即投递`,
+    leaderTtlMs: () => Math.max(60_000, intervalSeconds() * 2000),
+    run: runDispatchJob
+  })
+
+  // 每轮执行前刷新运行时配置，间隔与阈值在后台修改后下一轮即生效
+  let pollTimer = null
+  const scheduleNextPoll = () => {
+    const delayMs = intervalSeconds() * 1000
+    setJobNextRunAt(JOB.key, Date.now() + delayMs)
+    pollTimer = setTimeout(async () => {
+      await refreshRuntimeSettings()
+      await runRegisteredJob(JOB.key)
+      if (dispatcherStarted) scheduleNextPoll()
+    }, delayMs)
+  }
+  scheduleNextPoll()
+  scheduleImmediateDispatch()
+
+  console.log(`${LABEL} dispatcher started`, { intervalSeconds: intervalSeconds(), maxAttempts: getWebhookMaxAttempts() })
+
+  return () => {
+    dispatcherStarted = false
+    clearTimeout(pollTimer)
+    setJobNextRunAt(JOB.key, null)
+    if (immediateTimer) {
+      clearTimeout(immediateTimer)
+      immediateTimer = null
+    }
+  }
+}
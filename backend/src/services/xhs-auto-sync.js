@@ -2,6 +2,7 @@ import { getXhsConfig, recordXhsSyncResult, syncOrdersFromApi } from './xhs-orde
 import { isXhsSyncing, setXhsSyncing } from './xhs-sync-runner.js'
 import { sendTelegramBotNotification } from './telegram-notifier.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
 
 const LABEL = '[XhsAutoSync]'
 const DEFAULT_CHECK_INTERVAL_SECONDS = 60
@@ -13,6 +14,11 @@ const MIN_SYNC_INTERVAL_HOURS = 1
 const MAX_SYNC_INTERVAL_HOURS = 48
 
 const SYNC_OVERLAP_MINUTES = 10
+const JOB = {
+  key: 'xhs-auto-sync',
+  label: '小红书订单自动同步',
+  description: '按配置的同步间隔拉取小红书订单，检查频率由 XHS_AUTO_SYNC_CHECK_INTERVAL_SECONDS 决定',
+}
 
 let schedulerTimer = null
 let jobInProgress = false
@@ -168,14 +174,23 @@ async function runAutoSyncJob(source = 'scheduler') {
   }
 }
 
+// 供任务注册表执行：同步失败记为失败；未配置凭证、未到同步时间等跳过情况视为空转
+async function runRegisteredSync(trigger) {
+  const result = await runAutoSyncJob(trigger)
+  if (result.skipped) return null
+  if (!result.success) throw new Error(result.error || '同步失败')
+  return result.result
+}
+
 function scheduleNextRun(intervalMs) {
   if (schedulerTimer) {
     clearTimeout(schedulerTimer)
     schedulerTimer = null
   }
 
+  setJobNextRunAt(JOB.key, Date.now() + intervalMs)
   schedulerTimer = setTimeout(async () => {
-    await runAutoSyncJob('scheduler')
+    await runRegisteredJob(JOB.key)
     scheduleNextRun(intervalMs)
   }, intervalMs)
 
@@ -184,6 +199,7 @@ function scheduleNextRun(intervalMs) {
 
 export function startXhsAutoSyncScheduler() {
   if (!parseBool(process.env.XHS_AUTO_SYNC_SCHEDULER_ENABLED, true)) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'XHS_AUTO_SYNC_SCHEDULER_ENABLED=false' })
     console.log(`${LABEL} disabled (XHS_AUTO_SYNC_SCHEDULER_ENABLED=false)`)
     return
   }
@@ -195,8 +211,16 @@ export function startXhsAutoSyncScheduler() {
   })
   const intervalMs = checkIntervalSeconds * 1000
 
+  // 定时触发的同步只在持有 leader 租约的实例上执行，避免多副本重复拉单
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${checkIntervalSeconds} 秒检查是否到同步时间`,
+    leaderTtlMs: () => Math.max(60_000, intervalMs * 2),
+    run: runRegisteredSync
+  })
+
   console.log(`${LABEL} started`, { checkIntervalSeconds })
-  runAutoSyncJob('startup').catch(() => {})
+  void runRegisteredJob(JOB.key, 'startup')
   scheduleNextRun(intervalMs)
 }
 
@@ -1,10 +1,16 @@
 import { getXianyuConfig, refreshXianyuLogin, updateXianyuConfig } from './xianyu-orders.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { registerJob, runRegisteredJob, setJobNextRunAt } from './job-registry.js'
 
 const LABEL = '[XianyuLoginRefresh]'
 const DEFAULT_INTERVAL_MINUTES = 30
 const MIN_INTERVAL_MINUTES = 5
 const MAX_INTERVAL_MINUTES = 24 * 60
+const JOB = {
+  key: 'xianyu-login-refresh',
+  label: '闲鱼登录续期',
+  description: '定时刷新闲鱼登录态，续期成功后保存新的 Cookie',
+}
 
 let schedulerTimer = null
 let jobInProgress = false
@@ -95,14 +101,23 @@ async function runRefreshJob(source = 'scheduler') {
   }
 }
 
+// 供任务注册表执行：续期失败记为失败；功能关闭、未配置 Cookie 或已有任务在执行时视为空转
+async function runRegisteredRefresh(trigger) {
+  const result = await runRefreshJob(trigger)
+  if (result.skipped) return null
+  if (!result.success) throw new Error(result.error || '刷新失败')
+  return { cookiesUpdated: result.cookiesUpdated, tokenRefreshed: result.tokenRefreshed }
+}
+
 function scheduleNextRun(intervalMs) {
   if (schedulerTimer) {
     clearTimeout(schedulerTimer)
     schedulerTimer = null
   }
 
+  setJobNextRunAt(JOB.key, Date.now() + intervalMs)
   schedulerTimer = setTimeout(async () => {
-    await runRefreshJob('scheduler')
+    await runRegisteredJob(JOB.key)
     scheduleNextRun(intervalMs)
   }, intervalMs)
 
@@ -111,6 +126,7 @@ function scheduleNextRun(intervalMs) {
 
 export function startXianyuLoginRefreshScheduler() {
   if (!parseBool(process.env.XIANYU_LOGIN_REFRESH_ENABLED, true)) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'XIANYU_LOGIN_REFRESH_ENABLED=false' })
     console.log(`${LABEL} 自动续期已禁用 (XIANYU_LOGIN_REFRESH_ENABLED=false)`)
     return
   }
@@ -118,8 +134,16 @@ export function startXianyuLoginRefreshScheduler() {
   const intervalMinutes = parseIntervalMinutes(process.env.XIANYU_LOGIN_REFRESH_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES)
   const intervalMs = intervalMinutes * 60 * 1000
 
+  // 定时续期只在持有 leader 租约的实例上执行，避免多副本同时刷新登录态
+  registerJob({
+    ...JOB,
+    schedule: () => `每 ${intervalMinutes} 分钟`,
+    leaderTtlMs: () => Math.max(60_000, intervalMs * 2),
+    run: runRegisteredRefresh
+  })
+
   console.log(`${LABEL} 自动续期任务已启动，间隔 ${intervalMinutes} 分钟`)
-  runRefreshJob('startup').catch(() => {})
+  void runRegisteredJob(JOB.key, 'startup')
   scheduleNextRun(intervalMs)
 }
 
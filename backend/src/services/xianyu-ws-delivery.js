@@ -15,8 +15,16 @@ import {
   markXianyuOrderImNotified,
 } from './xianyu-orders.js'
 import { getFeatureFlags, isFeatureEnabled } from '../utils/feature-flags.js'
+import { isJobPaused, refreshPausedJobs, registerJob } from './job-registry.js'
 
 const LABEL = '[XianyuWsDelivery]'
+const JOB = {
+  key: 'xianyu-ws-delivery',
+  label: '闲鱼消息自动发货',
+  description: '常驻 WebSocket 连接，收到闲鱼下单消息后自动发货；手动触发即重新连接',
+  kind: 'daemon',
+}
+const RECONNECT_CONFIRM_TIMEOUT_MS = 15 * 1000
 
 const WS_URL = 'wss://wss-goofish.dingtalk.com/'
 const WS_HEADERS = {
@@ -1046,6 +1054,7 @@ async function connectOnce() {
 
   return new Promise((resolve) => {
     ws = new wsCtor(WS_URL, { headers: WS_HEADERS })
+    const socket = ws
 
     const onOpen = async () => {
       connectionFailures = 0
@@ -1246,6 +1255,8 @@ async function connectOnce() {
     }
 
     const onClose = (event) => {
+      // 手动重连时旧连接的 close 事件可能晚于新连接建立，不能影响新连接
+      if (ws !== socket) return
       stopHeartbeat()
       stopSyncPoll()
       stopMessagesPoll()
@@ -1308,17 +1319,58 @@ async function ensureConnected() {
   }
 }
 
+function startConnection() {
+  if (running) return
+  running = true
+  connectionFailures = 0
+  console.log(`${LABEL} starting...`, { debug: isDebugEnabled(), dryRun: isDryRunEnabled() })
+  void ensureConnected().catch(() => {})
+}
+
+// 供任务注册表手动触发：重置重连计数并重新建立连接，等待一段时间确认是否连上
+async function reconnectNow() {
+  cleanupSocket()
+  running = true
+  connectionFailures = 0
+  await Promise.race([
+    ensureConnected(),
+    new Promise(resolve => setTimeout(resolve, RECONNECT_CONFIRM_TIMEOUT_MS))
+  ])
+  if (ws?.readyState === wsOpenState) {
+    return { connected: true, impl: webSocketImplSource }
+  }
+  throw new Error(lastResult?.error || lastResult?.reason || '连接未建立')
+}
+
 export function startXianyuWsDeliveryBot() {
   if (!parseBool(process.env.XIANYU_WS_DELIVERY_ENABLED, false)) {
+    registerJob({ ...JOB, enabled: false, disabledReason: 'XIANYU_WS_DELIVERY_ENABLED=false' })
     console.log(`${LABEL} disabled (XIANYU_WS_DELIVERY_ENABLED=false)`)
     return
   }
 
-  if (running) return
+  registerJob({
+    ...JOB,
+    schedule: () => '常驻连接',
+    run: reconnectNow,
+    pause: stopXianyuWsDeliveryBot,
+    resume: startConnection,
+    describe: () => ({
+      running,
+      connected: ws?.readyState === wsOpenState,
+      reconnectAttempts: connectionFailures,
+      lastReceivedAt,
+    })
+  })
 
-  running = true
-  console.log(`${LABEL} starting...`, { debug: isDebugEnabled(), dryRun: isDryRunEnabled() })
-  void ensureConnected().catch(() => {})
+  // 后台暂停过的常驻任务重启后保持暂停
+  void refreshPausedJobs().then(() => {
+    if (isJobPaused(JOB.key)) {
+      console.log(`${LABEL} paused in admin, not connecting`)
+      return
+    }
+    startConnection()
+  })
 }
 
 export function stopXianyuWsDeliveryBot() {
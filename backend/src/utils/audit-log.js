@@ -0,0 +1,258 @@
+const REDACTED = '[REDACTED]'
+const MAX_STRING_LENGTH = 2000
+const MAX_DEPTH = 4
+
+// 口令、令牌、支付密钥等不落审计日志，只记录“发生了变化”
+const SENSITIVE_KEY_PATTERN = /(password|passwd|secret|token|api[_-]?key|private[_-]?key|cookie|credential)/i
+const SENSITIVE_EXACT_KEYS = new Set(['key', 'pkey', 'pass', 'smtppass'])
+
+const toInt = (value, fallback = 0) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+const normalizeOptionalString = (value, maxLength = 255) => {
+  if (value === undefined || value === null) return null
+  const trimmed = String(value).trim()
+  if (!trimmed) return null
+  return trimmed.length > maxLength ? trimmed.slice(0, maxLength) : trimmed
+}
+
+const normalizeIp = (value) => {
+  const ip = String(value || '').trim()
+  if (!ip) return ip
+  if (ip === '::1') return '127.0.0.1'
+  const match = ip.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/)
+  if (match) return match[1]
+  return ip
+}
+
+// 按 app.js 中的 trust proxy 配置解析出的 req.ip 记录，不采信客户端自带的 CF-Connecting-IP / X-Forwarded-For
+export const getAuditClientIp = (req) => {
+  if (!req) return null
+  return normalizeIp(req.ip) || null
+}
+
+const isSensitiveKey = (key) => {
+  const text = String(key || '')
+  return SENSITIVE_EXACT_KEYS.has(text.toLowerCase()) || SENSITIVE_KEY_PATTERN.test(text)
+}
+
+export const redactAuditValue = (value, depth = 0) => {
+  if (value === undefined) return undefined
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') return value
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value
+  }
+  if (depth >= MAX_DEPTH) return '[…]'
+  if (Array.isArray(value)) {
+    return value.slice(0, 200).map(item => redactAuditValue(item, depth + 1))
+  }
+  if (typeof value === 'object') {
+    const output = {}
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue
+      output[key] = isSensitiveKey(key) ? REDACTED : redactAuditValue(item, depth + 1)
+    }
+    return output
+  }
+  return String(value)
+}
+
+/**
+ * 计算两个快照的浅层差异：{ 字段: { from, to } }。
+ * before 为空表示新建、after 为空表示删除；敏感字段变化时两侧均脱敏。
+ */
+export const diffAuditSnapshots = (before, after) => {
+  const from = before && typeof before === 'object' ? before : {}
+  const to = after && typeof after === 'object' ? after : {}
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+  const changes = {}
+  for (const key of keys) {
+    const previous = from[key] === undefined ? null : from[key]
+    const next = to[key] === undefined ? null : to[key]
+    if (JSON.stringify(previous) === JSON.stringify(next)) continue
+    changes[key] = isSensitiveKey(key)
+      ? { from: previous == null ? null : REDACTED, to: next == null ? null : REDACTED }
+      : { from: redactAuditValue(previous, 1), to: redactAuditValue(next, 1) }
+  }
+  return changes
+}
+
+export const resolveAuditActor = (req) => {
+  const userId = req?.user?.id
+  if (userId != null && userId !== '') {
+    return { type: 'user', id: String(userId), name: normalizeOptionalString(req.user.username) }
+  }
+  if (req?.apiKey?.id != null) {
+    return { type: 'api_key', id: String(req.apiKey.id), name: normalizeOptionalString(req.apiKey.name) }
+  }
+  return { type: 'system', id: null, name: null }
+}
+
+/**
+ * 写入一条审计日志，不会抛出异常（审计失败不应影响业务）。
+ * 由调用方负责 saveDatabase；写入后会标记 req.auditLogged，避免路由级兜底中间件重复记录。
+ */
+export const recordAuditLog = (
+  db,
+  req,
+  { action, targetType, targetId, before, after, changes, summary, metadata } = {}
+) => {
+  if (!db) return null
+
+  const normalizedAction = normalizeOptionalString(action, 120)
+  if (!normalizedAction) return null
+
+  const actor = resolveAuditActor(req)
+  const resolvedChanges = changes !== undefined
+    ? redactAuditValue(changes)
+    : (before !== undefined || after !== undefined ? diffAuditSnapshots(before, after) : null)
+  const resolvedMetadata = metadata !== undefined ? redactAuditValue(metadata) : null
+  const path = req ? normalizeOptionalString(String(req.originalUrl || req.url || '').split('?')[0], 500) : null
+
+  try {
+    db.run(
+      `
+        INSERT INTO audit_log (
+          actor_type, actor_id, actor_name, action, target_type, target_id, summary,
+          changes, metadata, ip, user_agent, request_id, method, path, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now', 'localtime'))
+      `,
+      [
+        actor.type,
+        actor.id,
+        actor.name,
+        normalizedAction,
+        normalizeOptionalString(targetType, 60),
+        normalizeOptionalString(targetId),
+        normalizeOptionalString(summary, 500),
+        resolvedChanges && Object.keys(resolvedChanges).length ? JSON.stringify(resolvedChanges) : null,
+        resolvedMetadata != null ? JSON.stringify(resolvedMetadata) : null,
+        getAuditClientIp(req),
+        normalizeOptionalString(req?.headers?.['user-agent'], 500),
+        normalizeOptionalString(req?.requestId, 100),
+        req ? normalizeOptionalString(req.method, 10) : null,
+        path
+      ]
+    )
+
+    if (req) req.auditLogged = true
+    const row = db.exec('SELECT last_insert_rowid()')[0]?.values?.[0]
+    const id = row ? Number(row[0]) : 0
+    return Number.isFinite(id) && id > 0 ? id : null
+  } catch (error) {
+    console.warn('[AuditLog] insert failed', error?.message || error)
+    return null
+  }
+}
+
+const parseJson = (raw) => {
+  if (!raw) return null
+  try {
+    return JSON.parse(String(raw))
+  } catch {
+    return null
+  }
+}
+
+export const listAuditLogs = (
+  db,
+  { page = 1, pageSize = 20, actor, action, targetType, targetId, requestId, from, to, search } = {}
+) => {
+  if (!db) return { items: [], total: 0 }
+
+  const normalizedPage = Math.max(1, toInt(page, 1))
+  const normalizedPageSize = Math.min(100, Math.max(1, toInt(pageSize, 20)))
+
+  const conditions = []
+  const params = []
+
+  const actorText = normalizeOptionalString(actor)
+  if (actorText) {
+    conditions.push('(actor_id = ? OR lower(actor_name) LIKE ?)')
+    params.push(actorText, `%${actorText.toLowerCase()}%`)
+  }
+  const actionText = normalizeOptionalString(action)
+  if (actionText) {
+    // 以 . 结尾时按前缀匹配，例如 gpt_account.
+    if (actionText.endsWith('.')) {
+      conditions.push('action LIKE ?')
+      params.push(`${actionText}%`)
+    } else {
+      conditions.push('action = ?')
+      params.push(actionText)
+    }
+  }
+  const targetTypeText = normalizeOptionalString(targetType)
+  if (targetTypeText) {
+    conditions.push('target_type = ?')
+    params.push(targetTypeText)
+  }
+  const targetIdText = normalizeOptionalString(targetId)
+  if (targetIdText) {
+    conditions.push('target_id = ?')
+    params.push(targetIdText)
+  }
+  const requestIdText = normalizeOptionalString(requestId)
+  if (requestIdText) {
+    conditions.push('request_id = ?')
+    params.push(requestIdText)
+  }
+  const fromText = normalizeOptionalString(from)
+  if (fromText) {
+    conditions.push('created_at >= ?')
+    params.push(fromText)
+  }
+  const toText = normalizeOptionalString(to)
+  if (toText) {
+    conditions.push('created_at <= ?')
+    params.push(/^\d{4}-\d{2}-\d{2}$/.test(toText) ? `${toText} 23:59:59` : toText)
+  }
+  const searchText = normalizeOptionalString(search)
+  if (searchText) {
+    const pattern = `%${searchText.toLowerCase()}%`
+    conditions.push('(lower(COALESCE(summary, \'\')) LIKE ? OR lower(COALESCE(changes, \'\')) LIKE ? OR lower(COALESCE(target_id, \'\')) LIKE ?)')
+    params.push(pattern, pattern, pattern)
+  }
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+  const total = Number(db.exec(`SELECT COUNT(*) FROM audit_log ${whereClause}`, params)[0]?.values?.[0]?.[0] || 0)
+
+  const result = db.exec(
+    `
+      SELECT id, actor_type, actor_id, actor_name, action, target_type, target_id, summary,
+             changes, metadata, ip, user_agent, request_id, method, path, created_at
+      FROM audit_log
+      ${whereClause}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `,
+    [...params, normalizedPageSize, (normalizedPage - 1) * normalizedPageSize]
+  )
+
+  const rows = result[0]?.values || []
+  return {
+    items: rows.map(row => ({
+      id: Number(row[0] || 0),
+      actorType: row[1] ? String(row[1]) : 'system',
+      actorId: row[2] != null ? String(row[2]) : null,
+      actorName: row[3] ? String(row[3]) : null,
+      action: row[4] ? String(row[4]) : '',
+      targetType: row[5] ? String(row[5]) : null,
+      targetId: row[6] != null ? String(row[6]) : null,
+      summary: row[7] ? String(row[7]) : null,
+      changes: parseJson(row[8]),
+      metadata: parseJson(row[9]),
+      ip: row[10] ? String(row[10]) : null,
+      userAgent: row[11] ? String(row[11]) : null,
+      requestId: row[12] ? String(row[12]) : null,
+      method: row[13] ? String(row[13]) : null,
+      path: row[14] ? String(row[14]) : null,
+      createdAt: row[15] ? String(row[15]) : null,
+    })),
+    total,
+    page: normalizedPage,
+    pageSize: normalizedPageSize,
+  }
+}
@@ -0,0 +1,8 @@
+const DEFAULT_CHATGPT_API_BASE_URL = 'https://chatgpt.com/backend-api'
+
+// 可通过 CHATGPT_API_BASE_URL 指向自建反代或本地替身服务（联调 / 演练时使用），默认直连官方
+export const getChatgptApiBaseUrl = () => {
+  const raw = String(process.env.CHATGPT_API_BASE_URL || '').trim()
+  const normalized = raw.replace(/\/+$/, '')
+  return normalized || DEFAULT_CHATGPT_API_BASE_URL
+}
@@ -0,0 +1,44 @@
+import { getDatabase } from '../database/init.js'
+import { getSystemConfigValue } from './system-config.js'
+
+const CONFIG_KEY = 'code_allocation_policy'
+
+// 号池兑换码（不绑定账号）在兑换时挑选账号的策略
+export const CODE_ALLOCATION_POLICIES = ['least_occupied', 'longest_remaining', 'spread']
+export const DEFAULT_CODE_ALLOCATION_POLICY = 'least_occupied'
+
+const CACHE_TTL_MS = 30 * 1000
+let cachedSettings = null
+let cachedAt = 0
+
+export const normalizeCodeAllocationPolicy = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase()
+  return CODE_ALLOCATION_POLICIES.includes(normalized) ? normalized : null
+}
+
+export const invalidateCodeAllocationSettingsCache = () => {
+  cachedSettings = null
+  cachedAt = 0
+}
+
+export async function getCodeAllocationSettings(db, { forceRefresh = false } = {}) {
+  const now = Date.now()
+  if (!forceRefresh && cachedSettings && now - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings
+  }
+
+  const database = db || (await getDatabase())
+  const stored = getSystemConfigValue(database, CONFIG_KEY)
+  const policy = normalizeCodeAllocationPolicy(stored) || DEFAULT_CODE_ALLOCATION_POLICY
+
+  cachedSettings = {
+    policy,
+    stored: {
+      policy: stored != null
+    }
+  }
+  cachedAt = now
+  return cachedSettings
+}
+
+export const CODE_ALLOCATION_POLICY_CONFIG_KEY = CONFIG_KEY
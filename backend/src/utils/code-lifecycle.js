@@ -0,0 +1,73 @@
+/**
+ * 兑换码生命周期状态，由现有字段推导（不单独存储），各处预留 / 兑换 / 退款流程无需额外维护：
+ * - active：可用
+ * - reserved：已预留给候车用户 / 订单，尚未兑换
+ * - redeemed：已兑换
+ * - recovered：已兑换，且该用户已通过补号迁移到其它账号
+ * - expired：超过 expires_at 仍未使用且未预留（由过期任务写入 expired_at）
+ * - voided：已作废（管理员作废或退款作废，保留历史记录）
+ *
+ * 过期与作废的兑换码保持 is_redeemed = 1，原有按 is_redeemed = 0 统计 / 挑选库存的查询无需改动。
+ */
+
+export const CODE_LIFECYCLE_STATUSES = ['active', 'reserved', 'redeemed', 'recovered', 'expired', 'voided']
+
+export const CODE_LIFECYCLE_STATUS_LABELS = {
+  active: '可用',
+  reserved: '已预留',
+  redeemed: '已使用',
+  recovered: '已补号',
+  expired: '已过期',
+  voided: '已作废',
+}
+
+// 已预留给候车用户 / 订单的兑换码不会过期，避免已付款订单拿不到码
+export const codeReservedSql = (alias = '') => {
+  const c = (column) => (alias ? `${alias}.${column}` : column)
+  return `(
+    COALESCE(TRIM(${c('reserved_for_uid')}), '') != ''
+    OR COALESCE(TRIM(${c('reserved_for_order_no')}), '') != ''
+    OR ${c('reserved_for_entry_id')} IS NOT NULL
+  )`
+}
+
+// SQL 片段：codeLifecycleStatusSql('rc') => CASE ... END
+export const codeLifecycleStatusSql = (alias = '') => {
+  const c = (column) => (alias ? `${alias}.${column}` : column)
+  return `
+    CASE
+      WHEN ${c('voided_at')} IS NOT NULL THEN 'voided'
+      WHEN ${c('expired_at')} IS NOT NULL THEN 'expired'
+      WHEN ${c('is_redeemed')} = 1 AND EXISTS (
+        SELECT 1 FROM account_recovery_logs arl
+        WHERE arl.original_code_id = ${c('id')} AND arl.status = 'success'
+      ) THEN 'recovered'
+      WHEN ${c('is_redeemed')} = 1 THEN 'redeemed'
+      WHEN ${codeReservedSql(alias)} THEN 'reserved'
+      WHEN ${c('expires_at')} IS NOT NULL AND ${c('expires_at')} <= DATETIME('now', 'localtime') THEN 'expired'
+      ELSE 'active'
+    END
+  `.trim()
+}
+
+export const normalizeCodeLifecycleStatus = (value) => {
+  const normalized = String(value ?? '').trim().toLowerCase()
+  return CODE_LIFECYCLE_STATUSES.includes(normalized) ? normalized : null
+}
+
+const CODE_EXPIRES_AT_REGEX = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/
+
+// 有效期为本地时间（与其它 DATETIME('now', 'localtime') 字段一致），统一存为 YYYY-MM-DD HH:MM:SS
+export const normalizeCodeExpiresAt = (value) => {
+  const raw = String(value ?? '').trim()
+  if (!raw) return { value: null }
+  const match = raw.match(CODE_EXPIRES_AT_REGEX)
+  if (!match) return { error: '有效期格式不正确（格式：YYYY-MM-DD HH:mm）' }
+  const [, year, month, day, hour, minute, second = '00'] = match
+  const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second))
+  if (Number.isNaN(date.getTime()) || date.getMonth() !== Number(month) - 1) {
+    return { error: '有效期格式不正确（格式：YYYY-MM-DD HH:mm）' }
+  }
+  if (date.getTime() <= Date.now()) return { error: '有效期必须晚于当前时间' }
+  return { value: `${year}-${month}-${day} ${hour}:${minute}:${second}` }
+}
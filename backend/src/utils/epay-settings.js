@@ -0,0 +1,73 @@
+import { getDatabase } from '../database/init.js'
+
+// 通用易支付（EPay 兼容）网关，没有默认地址，需要由管理员填写商户所在平台的接口地址
+const CONFIG_KEYS = ['epay_base_url', 'epay_pid', 'epay_key']
+
+const CACHE_TTL_MS = 60 * 1000
+let cachedSettings = null
+let cachedAt = 0
+
+const normalizeBaseUrl = (value) => String(value || '').trim().replace(/\/+$/, '')
+
+const loadSystemConfigMap = (database, keys) => {
+  if (!database) return new Map()
+  const list = Array.isArray(keys) && keys.length ? keys : CONFIG_KEYS
+  const placeholders = list.map(() => '?').join(',')
+  const result = database.exec(
+    `SELECT config_key, config_value FROM system_config WHERE config_key IN (${placeholders})`,
+    list
+  )
+  const map = new Map()
+  const rows = result[0]?.values || []
+  for (const row of rows) {
+    map.set(String(row?.[0] ?? ''), String(row?.[1] ?? ''))
+  }
+  return map
+}
+
+export const getEpaySettingsFromEnv = () => ({
+  baseUrl: normalizeBaseUrl(process.env.EPAY_BASE_URL),
+  pid: String(process.env.EPAY_PID || '').trim(),
+  key: String(process.env.EPAY_KEY || '').trim()
+})
+
+export const invalidateEpaySettingsCache = () => {
+  cachedSettings = null
+  cachedAt = 0
+}
+
+export async function getEpaySettings(db, { forceRefresh = false } = {}) {
+  const now = Date.now()
+  if (!forceRefresh && cachedSettings && now - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings
+  }
+
+  const database = db || (await getDatabase())
+  const stored = loadSystemConfigMap(database, CONFIG_KEYS)
+  const env = getEpaySettingsFromEnv()
+
+  const resolveString = (key, fallback) => {
+    if (!stored.has(key)) return fallback
+    return String(stored.get(key) ?? '')
+  }
+
+  const resolveTrimmedString = (key, fallback) => String(resolveString(key, fallback) ?? '').trim()
+
+  const baseUrlRaw = resolveTrimmedString('epay_base_url', env.baseUrl)
+  const pid = resolveTrimmedString('epay_pid', env.pid)
+  const key = String(resolveString('epay_key', env.key) ?? '').trim()
+
+  cachedSettings = {
+    baseUrl: normalizeBaseUrl(baseUrlRaw),
+    pid,
+    key,
+    stored: {
+      baseUrl: stored.has('epay_base_url'),
+      pid: stored.has('epay_pid'),
+      key: stored.has('epay_key') && Boolean(String(stored.get('epay_key') ?? '').trim())
+    }
+  }
+  cachedAt = now
+  return cachedSettings
+}
+
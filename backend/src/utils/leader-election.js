@@ -0,0 +1,26 @@
+// Leader election for periodic jobs: before each run an instance tries to take the lease
+// "leader:<job>". Only the holder runs the job; the lease is kept (not released) after the run so
+// the same instance stays leader while it keeps ticking, and fails over once the lease expires.
+
+import { getLockProvider, runWithLeases } from './locks.js'
+
+const DEFAULT_LEADER_TTL_MS = 60_000
+
+/**
+ * @param {string} jobName stable job identifier shared by all replicas
+ * @param {(lease) => Promise<any>} fn job body
+ * @param {{ ttlMs?: number }} options ttlMs should exceed the job interval so leadership is sticky
+ * @returns {Promise<{ skipped: boolean, result?: any }>}
+ */
+export async function runAsLeader(jobName, fn, { ttlMs = DEFAULT_LEADER_TTL_MS } = {}) {
+  const lease = await getLockProvider().tryAcquire(`leader:${jobName}`, { ttlMs })
+  if (!lease) {
+    return { skipped: true }
+  }
+
+  try {
+    return { skipped: false, result: await runWithLeases([lease], () => fn(lease)) }
+  } finally {
+    await lease.release({ retain: true }).catch(() => {})
+  }
+}
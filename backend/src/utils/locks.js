@@ -1,10 +1,62 @@
-// Simple in-memory keyed async lock.
-// NOTE: This protects against concurrent requests within a single Node.js process.
-// If you run multiple replicas, you need a distributed lock (e.g. Redis).
+// Keyed async locks behind a pluggable provider.
+// - memory (default): in-process promise queue; only safe with a single replica.
+// - sqlite: lease rows in the shared database file (requires DATABASE_ENGINE=sqlite), with TTL,
+//   fencing tokens and background lease renewal, so several replicas on the same volume can coordinate.
+// Leases taken by withLocks / runAsLeader are tracked for the duration of the callback; guarded
+// writes go through fencedWrite(), which rejects them once any of those leases has been lost.
 
+import { AsyncLocalStorage } from 'async_hooks'
+
+export const LOCK_PROVIDER_MEMORY = 'memory'
+export const LOCK_PROVIDER_SQLITE = 'sqlite'
+
+const DEFAULT_LOCK_TTL_MS = 30_000
+const DEFAULT_LOCK_WAIT_TIMEOUT_MS = 60_000
+
+export class LockTimeoutError extends Error {
+  constructor(key, waitedMs) {
+    super(`Timed out acquiring lock "${key}" after ${waitedMs}ms`)
+    this.name = 'LockTimeoutError'
+    this.code = 'LOCK_TIMEOUT'
+    this.key = key
+  }
+}
+
+export class LockLostError extends Error {
+  constructor(key, token) {
+    super(`Lock "${key}" (fencing token ${token}) is no longer held`)
+    this.name = 'LockLostError'
+    this.code = 'LOCK_LOST'
+    this.key = key
+    this.token = token
+  }
+}
+
+export class LockProviderError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'LockProviderError'
+    this.code = 'LOCK_PROVIDER_INVALID'
+  }
+}
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback
+}
+
+export const lockTtlMs = () => toPositiveInt(process.env.LOCK_TTL_MS, DEFAULT_LOCK_TTL_MS)
+export const lockWaitTimeoutMs = () => toPositiveInt(process.env.LOCK_WAIT_TIMEOUT_MS, DEFAULT_LOCK_WAIT_TIMEOUT_MS)
+
+// In-process FIFO queue per key. Also used by the sqlite provider so that concurrent requests
+// inside one process wait locally instead of polling the lease table.
 const queues = new Map()
 
-async function acquire(key) {
+export function isLocallyHeld(key) {
+  return queues.has(key)
+}
+
+export async function acquireLocal(key) {
   const previous = queues.get(key) || Promise.resolve()
   let release
   const current = new Promise(resolve => {
@@ -26,23 +78,127 @@ async function acquire(key) {
   }
 }
 
+const createMemoryLockProvider = () => {
+  // Fencing tokens only need to be monotonic within the process for the memory provider.
+  let fencingCounter = 0
+
+  const createLease = (key, releaseLocal) => {
+    let released = false
+    return {
+      key,
+      token: ++fencingCounter,
+      isLost: () => false,
+      release: async () => {
+        if (released) return
+        released = true
+        releaseLocal()
+      },
+    }
+  }
+
+  return {
+    name: LOCK_PROVIDER_MEMORY,
+    // Single process: a lease can only be lost if the holder released it.
+    fence(leases, fn) {
+      const lost = leases.find(lease => lease.isLost())
+      if (lost) throw new LockLostError(lost.key, lost.token)
+      return fn()
+    },
+    async acquire(key) {
+      return createLease(key, await acquireLocal(key))
+    },
+    async tryAcquire(key) {
+      if (isLocallyHeld(key)) return null
+      return createLease(key, await acquireLocal(key))
+    },
+  }
+}
+
+let provider = null
+
+const resolveProviderName = () => {
+  const normalized = String(process.env.LOCK_PROVIDER || '').trim().toLowerCase()
+  if (!normalized) return LOCK_PROVIDER_MEMORY
+  if (normalized === LOCK_PROVIDER_MEMORY || normalized === LOCK_PROVIDER_SQLITE) return normalized
+  throw new LockProviderError(`Unknown LOCK_PROVIDER: ${process.env.LOCK_PROVIDER}（可选值：memory, sqlite）`)
+}
+
+/**
+ * Resolve and validate the configured provider. Called once at boot (after the database is ready)
+ * so that a misconfiguration fails fast instead of on the first locked request.
+ */
+export async function initLockProvider() {
+  const name = resolveProviderName()
+  if (name === LOCK_PROVIDER_SQLITE) {
+    // Loaded lazily: the sqlite provider depends on the database module.
+    const { createSqliteLockProvider } = await import('./sqlite-lock-provider.js')
+    provider = await createSqliteLockProvider({ ttlMs: lockTtlMs(), waitTimeoutMs: lockWaitTimeoutMs() })
+  } else {
+    provider = createMemoryLockProvider()
+  }
+  console.log('[Locks] provider ready', { provider: provider.name, ttlMs: lockTtlMs(), waitTimeoutMs: lockWaitTimeoutMs() })
+  return provider
+}
+
+export function getLockProvider() {
+  if (!provider) {
+    // Scripts that never call initLockProvider() keep the historical in-process behaviour.
+    provider = createMemoryLockProvider()
+  }
+  return provider
+}
+
+const heldLeases = new AsyncLocalStorage()
+
+/**
+ * Run fn with leases registered as held by the current async context (nested calls accumulate),
+ * so fencedWrite() inside fn checks them without threading the leases through every call.
+ */
+export function runWithLeases(leases, fn) {
+  const outer = heldLeases.getStore() || []
+  return heldLeases.run([...outer, ...leases], fn)
+}
+
+export const getHeldLeases = () => heldLeases.getStore() || []
+
+/**
+ * Perform synchronous writes only while every lease held by the caller is still current.
+ * With the sqlite provider the fencing-token check and the writes run in one IMMEDIATE transaction,
+ * so a replica that took the lock over (and bumped the token) cannot interleave with a stale holder.
+ * Outside withLocks / runAsLeader it simply runs fn.
+ * @template T
+ * @param {() => T} fn must not await: the transaction is committed as soon as it returns
+ * @returns {T}
+ * @throws {LockLostError}
+ */
+export function fencedWrite(fn) {
+  const leases = getHeldLeases()
+  if (!leases.length) return fn()
+  return getLockProvider().fence(leases, fn)
+}
+
+/**
+ * Run fn while holding every key. fn receives the acquired leases ({ key, token, isLost });
+ * writes that must not land after a lease was lost should go through fencedWrite().
+ */
 export async function withLocks(keys, fn) {
   const uniqueKeys = Array.from(new Set((keys || []).filter(Boolean))).map(String)
   uniqueKeys.sort()
 
-  const releases = []
+  const activeProvider = getLockProvider()
+  const leases = []
   try {
     for (const key of uniqueKeys) {
       // Acquire sequentially in sorted order to avoid deadlocks
-      const release = await acquire(key)
-      releases.push(release)
+      const lease = await activeProvider.acquire(key)
+      leases.push(lease)
     }
-    return await fn()
+    return await runWithLeases(leases, () => fn(leases))
   } finally {
     // Release in reverse order
-    for (let i = releases.length - 1; i >= 0; i -= 1) {
+    for (let i = leases.length - 1; i >= 0; i -= 1) {
       try {
-        releases[i]()
+        await leases[i].release()
       } catch {
         // ignore
       }
@@ -0,0 +1,484 @@
+import { getDatabase } from '../database/init.js'
+
+/**
+ * 运行时业务参数注册表：原先只能通过环境变量配置、修改需重启的价格/限额/调度间隔。
+ * 取值优先级：system_config 中保存的值 > 环境变量 > 默认值；读取时统一按定义校验和夹取。
+ *
+ * type:
+ * - integer / decimal：数值，min / max 为闭区间
+ * - boolean
+ * - hours：整点列表，如 "8-14" 或 "8,9,20-22"，归一为逗号分隔的小时数
+ */
+export const RUNTIME_SETTING_GROUPS = [
+  { key: 'openAccounts', label: '开放账号' },
+  { key: 'waitingRoom', label: '候车室' },
+  { key: 'orders', label: '订单' },
+  { key: 'invites', label: '邀请' },
+  { key: 'stock', label: '库存预警' },
+  { key: 'schedulers', label: '定时任务' },
+]
+
+export const RUNTIME_SETTING_DEFINITIONS = [
+  {
+    key: 'openAccountsCreditCost',
+    configKey: 'open_accounts_credit_cost',
+    env: ['OPEN_ACCOUNTS_CREDIT_COST', 'LINUXDO_OPEN_ACCOUNTS_CREDIT_COST'],
+    group: 'openAccounts',
+    label: '上车所需 Credit',
+    description: '开放账号上车时创建的 Linux DO Credit 订单金额',
+    type: 'decimal',
+    min: 0.01,
+    max: 100000,
+    default: 10,
+  },
+  {
+    key: 'openAccountsDailyBoardLimit',
+    configKey: 'open_accounts_daily_board_limit',
+    env: ['OPEN_ACCOUNTS_DAILY_BOARD_LIMIT'],
+    group: 'openAccounts',
+    label: '每日上车总名额',
+    description: '全站每日上车人数上限，0 表示不限制',
+    type: 'integer',
+    min: 0,
+    max: 100000,
+    default: 0,
+  },
+  {
+    key: 'openAccountsUserDailyBoardLimitEnabled',
+    configKey: 'open_accounts_user_daily_board_limit_enabled',
+    env: ['OPEN_ACCOUNTS_USER_DAILY_BOARD_LIMIT_ENABLED'],
+    group: 'openAccounts',
+    label: '启用单用户每日上车限制',
+    description: '开启后按下方次数限制每个用户每日上车',
+    type: 'boolean',
+    default: false,
+  },
+  {
+    key: 'openAccountsUserDailyBoardLimit',
+    configKey: 'open_accounts_user_daily_board_limit',
+    env: ['OPEN_ACCOUNTS_USER_DAILY_BOARD_LIMIT'],
+    group: 'openAccounts',
+    label: '单用户每日上车次数',
+    description: '0 表示不限制',
+    type: 'integer',
+    min: 0,
+    max: 1000,
+    default: 0,
+  },
+  {
+    key: 'waitingRoomAutoBoardingHours',
+    configKey: 'waiting_room_auto_boarding_hours',
+    env: ['WAITING_ROOM_AUTO_BOARDING_HOURS'],
+    group: 'waitingRoom',
+    label: '自动上车执行时段',
+    description: '在这些整点执行候车室自动上车，如 8-14 或 8,9,20-22',
+    type: 'hours',
+    default: '8,9,10,11,12,13,14',
+  },
+  {
+    key: 'purchaseOrderExpireMinutes',
+    configKey: 'purchase_order_expire_minutes',
+    env: ['PURCHASE_ORDER_EXPIRE_MINUTES'],
+    group: 'orders',
+    label: '支付订单超时（分钟）',
+    description: '未支付订单超过该时长后自动过期并释放兑换码',
+    type: 'integer',
+    min: 5,
+    max: 1440,
+    default: 15,
+  },
+  {
+    key: 'purchaseExpiryReminderDays',
+    configKey: 'purchase_expiry_reminder_days',
+    env: ['PURCHASE_EXPIRY_REMINDER_DAYS'],
+    group: 'orders',
+    label: '到期提醒提前天数',
+    description: '服务截止前 N 天给下单邮箱发送续费提醒，0 表示不提醒',
+    type: 'integer',
+    min: 0,
+    max: 30,
+    default: 3,
+  },
+  {
+    key: 'inviteUnlockCostPoints',
+    configKey: 'invite_unlock_cost_points',
+    env: ['INVITE_UNLOCK_COST_POINTS'],
+    group: 'invites',
+    label: '解锁邀请资格所需积分',
+    type: 'integer',
+    min: 1,
+    max: 100000,
+    default: 15,
+  },
+  {
+    key: 'inviteRetryMaxAttempts',
+    configKey: 'invite_retry_max_attempts',
+    env: ['INVITE_RETRY_MAX_ATTEMPTS'],
+    group: 'invites',
+    label: '邀请失败最大重试次数',
+    description: '兑换后发送邀请失败会进入重试队列，超过次数后转入死信并通知购买者与管理员',
+    type: 'integer',
+    min: 1,
+    max: 20,
+    default: 6,
+  },
+  {
+    key: 'inviteRetryBaseDelayMinutes',
+    configKey: 'invite_retry_base_delay_minutes',
+    env: ['INVITE_RETRY_BASE_DELAY_MINUTES'],
+    group: 'invites',
+    label: '邀请重试初始间隔（分钟）',
+    description: '每次失败后间隔翻倍，最长 6 小时',
+    type: 'integer',
+    min: 1,
+    max: 720,
+    default: 2,
+  },
+  {
+    key: 'inviteRetryAccountFallbackAfter',
+    configKey: 'invite_retry_account_fallback_after',
+    env: ['INVITE_RETRY_ACCOUNT_FALLBACK_AFTER'],
+    group: 'invites',
+    label: '同一账号失败几次后换号重试',
+    description: '换到其它开放且有空位的账号，兑换码随之改绑；0 表示始终使用原账号',
+    type: 'integer',
+    min: 0,
+    max: 20,
+    default: 2,
+  },
+  {
+    key: 'redemptionStatusLookupsPerMinute',
+    configKey: 'redemption_status_lookups_per_minute',
+    env: ['REDEMPTION_STATUS_LOOKUPS_PER_MINUTE'],
+    group: 'invites',
+    label: '兑换状态查询限流（每 IP 每分钟）',
+    description: '公开的兑换状态查询页会实时查询账号成员，限制单个 IP 的查询频率',
+    type: 'integer',
+    min: 1,
+    max: 600,
+    default: 10,
+  },
+  {
+    key: 'stockForecastLookbackDays',
+    configKey: 'stock_forecast_lookback_days',
+    env: ['STOCK_FORECAST_LOOKBACK_DAYS'],
+    group: 'stock',
+    label: '消耗速率统计天数',
+    description: '按最近 N 个完整自然日的日均核销量预测兑换码售罄时间',
+    type: 'integer',
+    min: 3,
+    max: 90,
+    default: 14,
+  },
+  {
+    key: 'stockAlertHorizonDays',
+    configKey: 'stock_alert_horizon_days',
+    env: ['STOCK_ALERT_HORIZON_DAYS'],
+    group: 'stock',
+    label: '库存预警天数',
+    description: '渠道预计在该天数内售罄时发送 Telegram / 邮件告警，0 表示关闭告警',
+    type: 'integer',
+    min: 0,
+    max: 60,
+    default: 3,
+  },
+  {
+    key: 'openAccountsSweeperIntervalHours',
+    configKey: 'open_accounts_sweeper_interval_hours',
+    env: ['OPEN_ACCOUNTS_SWEEPER_INTERVAL_HOURS'],
+    group: 'schedulers',
+    label: '开放账号超员扫描间隔（小时）',
+    type: 'integer',
+    min: 1,
+    max: 24,
+    default: 1,
+  },
+  {
+    key: 'orderExpirationSweeperIntervalSeconds',
+    configKey: 'order_expiration_sweeper_interval_seconds',
+    env: ['ORDER_EXPIRATION_SWEEPER_INTERVAL_SECONDS'],
+    group: 'schedulers',
+    label: '过期订单清理间隔（秒）',
+    type: 'integer',
+    min: 10,
+    max: 3600,
+    default: 60,
+  },
+  {
+    key: 'creditOrderActionSweeperIntervalSeconds',
+    configKey: 'credit_order_action_sweeper_interval_seconds',
+    env: ['CREDIT_ORDER_ACTION_SWEEPER_INTERVAL_SECONDS'],
+    group: 'schedulers',
+    label: 'Credit 订单补偿间隔（秒）',
+    type: 'integer',
+    min: 10,
+    max: 3600,
+    default: 60,
+  },
+  {
+    key: 'webhookDispatchIntervalSeconds',
+    configKey: 'webhook_dispatch_interval_seconds',
+    env: ['WEBHOOK_DISPATCH_INTERVAL_SECONDS'],
+    group: 'schedulers',
+    label: 'Webhook 投递轮询间隔（秒）',
+    type: 'integer',
+    min: 5,
+    max: 3600,
+    default: 15,
+  },
+  {
+    key: 'stockForecastIntervalMinutes',
+    configKey: 'stock_forecast_interval_minutes',
+    env: ['STOCK_FORECAST_INTERVAL_MINUTES'],
+    group: 'schedulers',
+    label: '库存预警检查间隔（分钟）',
+    type: 'integer',
+    min: 10,
+    max: 1440,
+    default: 60,
+  },
+  {
+    key: 'accountHealthCheckIntervalMinutes',
+    configKey: 'account_health_check_interval_minutes',
+    env: ['ACCOUNT_HEALTH_CHECK_INTERVAL_MINUTES'],
+    group: 'schedulers',
+    label: '账号健康巡检间隔（分钟）',
+    type: 'integer',
+    min: 5,
+    max: 1440,
+    default: 60,
+  },
+  {
+    key: 'purchaseExpiryReminderIntervalMinutes',
+    configKey: 'purchase_expiry_reminder_interval_minutes',
+    env: ['PURCHASE_EXPIRY_REMINDER_INTERVAL_MINUTES'],
+    group: 'schedulers',
+    label: '到期提醒检查间隔（分钟）',
+    type: 'integer',
+    min: 10,
+    max: 1440,
+    default: 60,
+  },
+  {
+    key: 'codeExpirationSweeperIntervalMinutes',
+    configKey: 'code_expiration_sweeper_interval_minutes',
+    env: ['CODE_EXPIRATION_SWEEPER_INTERVAL_MINUTES'],
+    group: 'schedulers',
+    label: '兑换码过期检查间隔（分钟）',
+    type: 'integer',
+    min: 1,
+    max: 1440,
+    default: 10,
+  },
+  {
+    key: 'inviteRetryQueueIntervalMinutes',
+    configKey: 'invite_retry_queue_interval_minutes',
+    env: ['INVITE_RETRY_QUEUE_INTERVAL_MINUTES'],
+    group: 'schedulers',
+    label: '邀请重试队列检查间隔（分钟）',
+    type: 'integer',
+    min: 1,
+    max: 60,
+    default: 1,
+  },
+]
+
+const DEFINITIONS_BY_KEY = new Map(RUNTIME_SETTING_DEFINITIONS.map(def => [def.key, def]))
+const CONFIG_KEYS = RUNTIME_SETTING_DEFINITIONS.map(def => def.configKey)
+
+const CACHE_TTL_MS = 30 * 1000
+let cachedSettings = null
+let cachedAt = 0
+
+export const getRuntimeSettingDefinition = (key) => DEFINITIONS_BY_KEY.get(String(key || '')) || null
+
+export function parseActiveHours(value) {
+  if (!value || typeof value !== 'string') {
+    return []
+  }
+  const hours = new Set()
+  value.split(',').map(part => part.trim()).forEach(part => {
+    if (!part) {
+      return
+    }
+    if (part.includes('-')) {
+      const [startStr, endStr] = part.split('-')
+      const start = Number.parseInt(startStr, 10)
+      const end = Number.parseInt(endStr, 10)
+      if (Number.isFinite(start) && Number.isFinite(end)) {
+        const minHour = Math.max(0, Math.min(start, end))
+        const maxHour = Math.min(23, Math.max(start, end))
+        for (let hour = minHour; hour <= maxHour; hour++) {
+          hours.add(hour)
+        }
+      }
+      return
+    }
+    const hour = Number.parseInt(part, 10)
+    if (Number.isFinite(hour) && hour >= 0 && hour <= 23) {
+      hours.add(hour)
+    }
+  })
+  return Array.from(hours).sort((a, b) => a - b)
+}
+
+/**
+ * 按定义校验并归一化一个取值；无法解析时返回 { ok: false, error }。
+ * clamp 为 true 时超出范围的数值夹取到边界（用于读取环境变量和历史数据），否则视为错误（用于后台保存）。
+ */
+export function normalizeRuntimeSettingValue(definition, raw, { clamp = false } = {}) {
+  if (!definition) return { ok: false, error: '未知配置项' }
+
+  if (definition.type === 'boolean') {
+    if (typeof raw === 'boolean') return { ok: true, value: raw }
+    if (typeof raw === 'number') return { ok: true, value: raw !== 0 }
+    const normalized = String(raw ?? '').trim().toLowerCase()
+    if (['true', '1', 'yes', 'y', 'on'].includes(normalized)) return { ok: true, value: true }
+    if (['false', '0', 'no', 'n', 'off'].includes(normalized)) return { ok: true, value: false }
+    return { ok: false, error: `${definition.label}必须是开关值` }
+  }
+
+  if (definition.type === 'hours') {
+    const hours = parseActiveHours(String(raw ?? ''))
+    if (!hours.length) return { ok: false, error: `${definition.label}至少需要一个 0-23 之间的整点` }
+    return { ok: true, value: hours.join(',') }
+  }
+
+  const text = String(raw ?? '').trim()
+  const parsed = Number(text)
+  if (!text || !Number.isFinite(parsed)) {
+    return { ok: false, error: `${definition.label}必须是数字` }
+  }
+  if (definition.type === 'integer' && !Number.isInteger(parsed) && !clamp) {
+    return { ok: false, error: `${definition.label}必须是整数` }
+  }
+  let value = definition.type === 'integer' ? Math.trunc(parsed) : Math.round(parsed * 100) / 100
+  if (value < definition.min || value > definition.max) {
+    if (!clamp) {
+      return { ok: false, error: `${definition.label}必须在 ${definition.min} - ${definition.max} 之间` }
+    }
+    value = Math.min(definition.max, Math.max(definition.min, value))
+  }
+  return { ok: true, value }
+}
+
+export const serializeRuntimeSettingValue = (definition, value) => {
+  if (definition.type === 'boolean') return value ? 'true' : 'false'
+  return String(value)
+}
+
+const resolveEnvValue = (definition) => {
+  for (const name of definition.env) {
+    const raw = process.env[name]
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue
+    const normalized = normalizeRuntimeSettingValue(definition, raw, { clamp: true })
+    if (normalized.ok) return { value: normalized.value, envName: name }
+  }
+  return null
+}
+
+export const getRuntimeSettingsFromEnv = () => {
+  const values = {}
+  for (const definition of RUNTIME_SETTING_DEFINITIONS) {
+    values[definition.key] = resolveEnvValue(definition)?.value ?? definition.default
+  }
+  return values
+}
+
+const loadSystemConfigMap = (database) => {
+  if (!database) return new Map()
+  const placeholders = CONFIG_KEYS.map(() => '?').join(',')
+  const result = database.exec(
+    `SELECT config_key, config_value FROM system_config WHERE config_key IN (${placeholders})`,
+    CONFIG_KEYS
+  )
+  const map = new Map()
+  for (const row of result[0]?.values || []) {
+    map.set(String(row?.[0] ?? ''), String(row?.[1] ?? ''))
+  }
+  return map
+}
+
+const buildSettings = (stored) => {
+  const values = {}
+  const sources = {}
+  for (const definition of RUNTIME_SETTING_DEFINITIONS) {
+    if (stored.has(definition.configKey)) {
+      const normalized = normalizeRuntimeSettingValue(definition, stored.get(definition.configKey), { clamp: true })
+      if (normalized.ok) {
+        values[definition.key] = normalized.value
+        sources[definition.key] = 'stored'
+        continue
+      }
+    }
+    const envValue = resolveEnvValue(definition)
+    values[definition.key] = envValue ? envValue.value : definition.default
+    sources[definition.key] = envValue ? 'env' : 'default'
+  }
+  return { values, sources }
+}
+
+export const invalidateRuntimeSettingsCache = () => {
+  cachedSettings = null
+  cachedAt = 0
+}
+
+/**
+ * 返回 { values, sources }，sources[key] 为 stored / env / default。
+ */
+export async function getRuntimeSettings(db, { forceRefresh = false } = {}) {
+  const now = Date.now()
+  if (!forceRefresh && cachedSettings && now - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings
+  }
+
+  const database = db || (await getDatabase())
+  cachedSettings = buildSettings(loadSystemConfigMap(database))
+  cachedAt = now
+  return cachedSettings
+}
+
+/**
+ * 同步读取单个配置：使用最近一次加载的缓存（不检查过期），尚未加载时回退到环境变量/默认值。
+ * 供调度计算等同步代码使用；需要最新值的异步调用方请先 await getRuntimeSettings()。
+ */
+export const getRuntimeSettingValue = (key) => {
+  const definition = getRuntimeSettingDefinition(key)
+  if (!definition) return undefined
+  if (cachedSettings && key in cachedSettings.values) return cachedSettings.values[key]
+  return resolveEnvValue(definition)?.value ?? definition.default
+}
+
+/**
+ * 刷新缓存供 getRuntimeSettingValue 使用；失败时保留旧缓存，只记日志（用于定时任务每轮重新读取间隔）。
+ */
+export async function refreshRuntimeSettings() {
+  try {
+    await getRuntimeSettings()
+  } catch (error) {
+    console.warn('[RuntimeSettings] refresh failed', error?.message || error)
+  }
+}
+
+export async function getRuntimeSetting(key, db) {
+  const settings = await getRuntimeSettings(db)
+  return settings.values[key]
+}
+
+export const describeRuntimeSettings = (settings) => RUNTIME_SETTING_DEFINITIONS.map(definition => {
+  const envValue = resolveEnvValue(definition)
+  return {
+    key: definition.key,
+    group: definition.group,
+    label: definition.label,
+    description: definition.description || '',
+    type: definition.type,
+    min: definition.min ?? null,
+    max: definition.max ?? null,
+    value: settings.values[definition.key],
+    source: settings.sources[definition.key],
+    defaultValue: definition.default,
+    envName: envValue?.envName || definition.env[0],
+    envValue: envValue ? envValue.value : null,
+  }
+})
@@ -0,0 +1,15 @@
+// 每个 GPT 账号的席位上限（含已加入成员与待接受邀请），存于 gpt_accounts.seat_capacity
+export const DEFAULT_SEAT_CAPACITY = 6
+export const MAX_SEAT_CAPACITY = 150
+
+export const normalizeSeatCapacity = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_SEAT_CAPACITY) return null
+  return parsed
+}
+
+export const resolveSeatCapacity = (value) => normalizeSeatCapacity(value) ?? DEFAULT_SEAT_CAPACITY
+
+// SQL 片段：seatCapacitySql('ga') => COALESCE(ga.seat_capacity, 6)
+export const seatCapacitySql = (alias = '') => `COALESCE(${alias ? `${alias}.` : ''}seat_capacity, ${DEFAULT_SEAT_CAPACITY})`
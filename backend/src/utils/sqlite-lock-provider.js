@@ -0,0 +1,197 @@
+// Lease-table lock provider (LOCK_PROVIDER=sqlite).
+// Each lock is a row in distributed_locks. A holder owns the row until expires_at; while the
+// protected work runs the lease is renewed every ttl/3. fencing_token increases whenever the row
+// changes hands; fence() re-reads the row inside the write transaction, so a holder whose lease
+// expired mid-flight cannot write after another replica took the lock over.
+
+import os from 'os'
+import crypto from 'crypto'
+import { getDatabase, getStorageEngine } from '../database/init.js'
+import { STORAGE_ENGINE_SQLITE } from '../database/storage/index.js'
+import {
+  acquireLocal,
+  isLocallyHeld,
+  LockLostError,
+  LockProviderError,
+  LockTimeoutError,
+  LOCK_PROVIDER_SQLITE,
+} from './locks.js'
+
+const LABEL = '[Locks]'
+const POLL_BASE_MS = 50
+const POLL_MAX_MS = 1000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Unique per process start, so a restarted replica never inherits leases of its previous run.
+export const LOCK_OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+
+// Claim the row when it is free, expired, or already ours. The token is kept while the same owner
+// still holds a live lease (leader re-election) and bumped on every hand-over.
+const CLAIM_SQL = `
+  INSERT INTO distributed_locks (lock_key, owner_id, fencing_token, expires_at, acquired_at)
+  VALUES (?, ?, 1, ?, ?)
+  ON CONFLICT(lock_key) DO UPDATE SET
+    fencing_token = CASE
+      WHEN distributed_locks.owner_id = excluded.owner_id AND distributed_locks.expires_at > excluded.acquired_at
+        THEN distributed_locks.fencing_token
+      ELSE distributed_locks.fencing_token + 1
+    END,
+    owner_id = excluded.owner_id,
+    expires_at = excluded.expires_at,
+    acquired_at = excluded.acquired_at
+  WHERE distributed_locks.owner_id IS NULL
+    OR distributed_locks.expires_at <= excluded.acquired_at
+    OR distributed_locks.owner_id = excluded.owner_id
+`
+
+export async function createSqliteLockProvider({ ttlMs, waitTimeoutMs }) {
+  // 该实现依赖多个进程共享同一个数据库文件；sql.js 引擎每个进程各自持有内存副本，无法跨实例加锁
+  if (getStorageEngine() !== STORAGE_ENGINE_SQLITE) {
+    throw new LockProviderError('LOCK_PROVIDER=sqlite 需要同时设置 DATABASE_ENGINE=sqlite')
+  }
+
+  const db = await getDatabase()
+  const tableCheck = db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'distributed_locks'`)
+  if (!tableCheck.length) {
+    throw new LockProviderError('distributed_locks 表不存在，请先执行数据库迁移')
+  }
+
+  const tryClaim = (key, leaseTtlMs) => {
+    const now = Date.now()
+    db.run(CLAIM_SQL, [key, LOCK_OWNER_ID, now + leaseTtlMs, now])
+    if (db.getRowsModified() < 1) return null
+    const result = db.exec(
+      'SELECT fencing_token FROM distributed_locks WHERE lock_key = ? AND owner_id = ? LIMIT 1',
+      [key, LOCK_OWNER_ID]
+    )
+    const token = Number(result[0]?.values?.[0]?.[0])
+    return Number.isFinite(token) ? token : null
+  }
+
+  const createLease = (key, token, leaseTtlMs, releaseLocal) => {
+    let lost = false
+    let released = false
+
+    const renew = () => {
+      if (lost || released) return
+      try {
+        db.run(
+          'UPDATE distributed_locks SET expires_at = ? WHERE lock_key = ? AND owner_id = ? AND fencing_token = ?',
+          [Date.now() + leaseTtlMs, key, LOCK_OWNER_ID, token]
+        )
+        if (db.getRowsModified() < 1) {
+          lost = true
+          clearInterval(renewTimer)
+          console.warn(`${LABEL} lease lost`, { key, token })
+        }
+      } catch (error) {
+        console.warn(`${LABEL} lease renewal failed`, { key, message: error?.message || String(error) })
+      }
+    }
+
+    const renewTimer = setInterval(renew, Math.max(1000, Math.floor(leaseTtlMs / 3)))
+    renewTimer.unref?.()
+
+    return {
+      key,
+      token,
+      isLost: () => lost,
+      // retain: stop renewing but keep the row until it expires (used by leader election so the
+      // same instance stays leader across ticks and peers firing at the same moment skip the run).
+      release: async ({ retain = false } = {}) => {
+        if (released) return
+        released = true
+        clearInterval(renewTimer)
+        try {
+          if (!retain && !lost) {
+            db.run(
+              'UPDATE distributed_locks SET owner_id = NULL, expires_at = 0 WHERE lock_key = ? AND owner_id = ? AND fencing_token = ?',
+              [key, LOCK_OWNER_ID, token]
+            )
+          }
+        } finally {
+          releaseLocal()
+        }
+      },
+    }
+  }
+
+  const assertCurrent = (lease) => {
+    if (lease.isLost()) throw new LockLostError(lease.key, lease.token)
+    const row = db.exec(
+      'SELECT owner_id, fencing_token, expires_at FROM distributed_locks WHERE lock_key = ? LIMIT 1',
+      [lease.key]
+    )[0]?.values?.[0]
+    const current = row && row[0] === LOCK_OWNER_ID && Number(row[1]) === lease.token && Number(row[2]) > Date.now()
+    if (!current) throw new LockLostError(lease.key, lease.token)
+  }
+
+  // Nested fencedWrite calls (or callers that already opened a transaction) reuse the outer one.
+  let fenceDepth = 0
+
+  return {
+    name: LOCK_PROVIDER_SQLITE,
+    ownerId: LOCK_OWNER_ID,
+
+    fence(leases, fn) {
+      const ownsTransaction = fenceDepth === 0 && !db.native?.inTransaction
+      if (ownsTransaction) db.run('BEGIN IMMEDIATE')
+      fenceDepth += 1
+      try {
+        for (const lease of leases) assertCurrent(lease)
+        const result = fn()
+        if (ownsTransaction) db.run('COMMIT')
+        return result
+      } catch (error) {
+        if (ownsTransaction) {
+          try {
+            db.run('ROLLBACK')
+          } catch {
+            // ignore
+          }
+        }
+        throw error
+      } finally {
+        fenceDepth -= 1
+      }
+    },
+
+    async acquire(key, { ttlMs: leaseTtlMs = ttlMs, waitTimeoutMs: waitMs = waitTimeoutMs } = {}) {
+      const startedAt = Date.now()
+      const releaseLocal = await acquireLocal(key)
+      try {
+        let attempt = 0
+        for (;;) {
+          const token = tryClaim(key, leaseTtlMs)
+          if (token != null) return createLease(key, token, leaseTtlMs, releaseLocal)
+
+          const waited = Date.now() - startedAt
+          if (waited >= waitMs) throw new LockTimeoutError(key, waited)
+          const backoff = Math.min(POLL_MAX_MS, POLL_BASE_MS * 2 ** attempt)
+          attempt += 1
+          await sleep(backoff + Math.floor(Math.random() * POLL_BASE_MS))
+        }
+      } catch (error) {
+        releaseLocal()
+        throw error
+      }
+    },
+
+    async tryAcquire(key, { ttlMs: leaseTtlMs = ttlMs } = {}) {
+      if (isLocallyHeld(key)) return null
+      const releaseLocal = await acquireLocal(key)
+      try {
+        const token = tryClaim(key, leaseTtlMs)
+        if (token == null) {
+          releaseLocal()
+          return null
+        }
+        return createLease(key, token, leaseTtlMs, releaseLocal)
+      } catch (error) {
+        releaseLocal()
+        throw error
+      }
+    },
+  }
+}
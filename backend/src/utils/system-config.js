@@ -24,3 +24,9 @@ export const upsertSystemConfigValue = (database, key, value) => {
   return { created: true, updated: false }
 }
 
+
+export const deleteSystemConfigValue = (database, key) => {
+  if (!database || !key) return false
+  database.run('DELETE FROM system_config WHERE config_key = ?', [key])
+  return database.getRowsModified() > 0
+}
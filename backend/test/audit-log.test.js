@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, startTestApp, waitFor } from './helpers/test-app.js'
+
+let ctx
+
+before(async () => {
+  ctx = await startTestApp()
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+test('audit log records the proxy-resolved client IP, not client-supplied forwarding headers', async () => {
+  const { db, request } = ctx
+  const token = await ctx.loginAdmin()
+
+  // 模拟同机 nginx：客户端伪造的转发头原样透传，真实来源地址由 nginx 追加在 X-Forwarded-For 末尾
+  const created = await request('POST', '/api/admin/api-keys', {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'X-Forwarded-For': '203.0.113.7, 192.0.2.20',
+      'CF-Connecting-IP': '198.51.100.7'
+    },
+    body: { name: 'audit-ip', scopes: ['boarding:read'] }
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+
+  const entry = await waitFor(
+    () => queryRow(db, `SELECT ip FROM audit_log WHERE target_type = 'api_key' ORDER BY id DESC LIMIT 1`),
+    { message: 'audit log entry' }
+  )
+  assert.equal(entry.ip, '192.0.2.20')
+})
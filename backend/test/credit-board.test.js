@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, seedGptAccount, seedRedemptionCode, startTestApp, waitFor } from './helpers/test-app.js'
+
+let ctx
+let signLinuxDoSessionToken
+
+before(async () => {
+  ctx = await startTestApp()
+  ;({ signLinuxDoSessionToken } = await import('../src/middleware/linuxdo-session.js'))
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+test('open account board: Credit order → gateway notify → board with creditOrderNo', async () => {
+  const { db, request, upstreams } = ctx
+  const accountId = seedGptAccount(db, { email: 'open-a@example.com', chatgptAccountId: 'ws-open' })
+  seedRedemptionCode(db, { code: 'LDO1-BBBB-0001', accountEmail: 'open-a@example.com', channel: 'linux-do' })
+
+  const headers = { 'X-Linuxdo-Token': signLinuxDoSessionToken({ uid: '10001', username: 'rider', trustLevel: 2 }) }
+  const rider = 'rider@example.com'
+  const saved = await request('PUT', '/api/linuxdo/me/email', { headers, body: { email: rider } })
+  assert.equal(saved.status, 200, JSON.stringify(saved.body))
+
+  const first = await request('POST', `/api/open-accounts/${accountId}/board`, { headers, body: {} })
+  assert.equal(first.status, 200, JSON.stringify(first.body))
+  assert.equal(first.body.requiresCredit, true)
+  const { creditOrder } = first.body
+  assert.equal(creditOrder.amount, '10.00')
+  assert.equal(creditOrder.payRequest.fields.notify_url, `${ctx.baseUrl}/credit/notify`)
+
+  // 浏览器按返回的签名参数提交到 Credit 网关，网关校验签名后跳转到授权页
+  const location = await upstreams.credit.submit(creditOrder.payRequest)
+  assert.match(location, /^\/paying\?order_no=LDC/)
+
+  const reply = await upstreams.credit.pay(creditOrder.orderNo)
+  assert.equal(reply, 'success')
+
+  await waitFor(
+    () => queryRow(db, `SELECT status FROM credit_orders WHERE order_no = ? AND status = 'paid'`, [creditOrder.orderNo]),
+    { message: 'credit order to be paid' }
+  )
+
+  const boarded = await request('POST', `/api/open-accounts/${accountId}/board`, {
+    headers,
+    body: { creditOrderNo: creditOrder.orderNo }
+  })
+  assert.equal(boarded.status, 200, JSON.stringify(boarded.body))
+  assert.equal(boarded.body.message, '上车成功，邀请已发送')
+  assert.equal(boarded.body.currentOpenAccountId, accountId)
+  assert.deepEqual(upstreams.chatgpt.invitedEmails('ws-open'), [rider])
+
+  const order = queryRow(db, 'SELECT action_status, trade_no FROM credit_orders WHERE order_no = ?', [creditOrder.orderNo])
+  assert.equal(order.action_status, 'fulfilled')
+  assert.equal(order.trade_no, upstreams.credit.orders.get(creditOrder.orderNo).trade_no)
+
+  const code = queryRow(db, 'SELECT is_redeemed, redeemed_by FROM redemption_codes WHERE code = ?', ['LDO1-BBBB-0001'])
+  assert.equal(code.is_redeemed, 1)
+  assert.equal(code.redeemed_by, `UID:10001 | Email:${rider}`)
+
+  // 重复提交同一 Credit 订单直接返回已记录的结果，不会再发邀请
+  const replay = await request('POST', `/api/open-accounts/${accountId}/board`, {
+    headers,
+    body: { creditOrderNo: creditOrder.orderNo }
+  })
+  assert.equal(replay.status, 200)
+  assert.equal(upstreams.chatgpt.invitedEmails('ws-open').length, 1)
+})
+
+test('board with an unpaid Credit order is refused', async () => {
+  const { db, request } = ctx
+  const accountId = seedGptAccount(db, { email: 'open-b@example.com', chatgptAccountId: 'ws-open-b' })
+  seedRedemptionCode(db, { code: 'LDO1-BBBB-0002', accountEmail: 'open-b@example.com', channel: 'linux-do' })
+
+  const headers = { 'X-Linuxdo-Token': signLinuxDoSessionToken({ uid: '10002', username: 'skipper', trustLevel: 2 }) }
+  await request('PUT', '/api/linuxdo/me/email', { headers, body: { email: 'skipper@example.com' } })
+
+  const first = await request('POST', `/api/open-accounts/${accountId}/board`, { headers, body: {} })
+  assert.equal(first.body.requiresCredit, true)
+
+  const skipped = await request('POST', `/api/open-accounts/${accountId}/board`, {
+    headers,
+    body: { creditOrderNo: first.body.creditOrder.orderNo }
+  })
+  assert.equal(skipped.status, 400)
+  assert.equal(skipped.body.error, 'Credit 订单未完成授权')
+})
@@ -0,0 +1,282 @@
+import crypto from 'node:crypto'
+import http from 'node:http'
+
+// 测试用的上游替身：ChatGPT 团队接口、ZPAY（mapi.php / api.php）与 Linux DO Credit 网关。
+// 每个替身监听 127.0.0.1 的随机端口，记录收到的请求，并提供 pay() 模拟支付平台回调我方 notify 地址。
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+  req.on('error', reject)
+})
+
+const parseBody = (req, raw) => {
+  if (!raw) return {}
+  const contentType = String(req.headers['content-type'] || '')
+  if (contentType.includes('application/json')) return JSON.parse(raw)
+  return Object.fromEntries(new URLSearchParams(raw))
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const listen = (handler) => new Promise((resolve, reject) => {
+  const server = http.createServer((req, res) => {
+    Promise.resolve(handler(req, res)).catch(error => {
+      sendJson(res, 500, { error: error?.message || String(error) })
+    })
+  })
+  server.once('error', reject)
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address()
+    resolve({
+      url: `http://127.0.0.1:${port}`,
+      close: () => new Promise(done => {
+        server.closeAllConnections?.()
+        server.close(() => done())
+      })
+    })
+  })
+})
+
+// 与易支付 / Linux DO Credit 文档一致的 MD5 签名：去掉 sign、sign_type 与空值，按键名排序拼接后追加商户密钥
+export const signEpayParams = (params, key) => {
+  const query = Object.entries(params)
+    .filter(([k, v]) => k !== 'sign' && k !== 'sign_type' && v != null && String(v).trim() !== '')
+    .sort(([a], [b]) => (a > b ? 1 : a < b ? -1 : 0))
+    .map(([k, v]) => `${k}=${String(v).trim()}`)
+    .join('&')
+  return crypto.createHash('md5').update(`${query}${key}`, 'utf8').digest('hex')
+}
+
+const isSignValid = (params, key) => String(params.sign || '').toLowerCase() === signEpayParams(params, key)
+
+const sendNotify = async (notifyUrl, params, key) => {
+  const signed = { ...params, sign: signEpayParams(params, key), sign_type: 'MD5' }
+  const url = new URL(notifyUrl)
+  Object.entries(signed).forEach(([k, v]) => url.searchParams.set(k, String(v)))
+  const response = await fetch(url)
+  return response.text()
+}
+
+/**
+ * ChatGPT 团队后台接口替身：按 chatgpt_account_id 维护成员与邀请列表。
+ */
+export async function startFakeChatgpt() {
+  const workspaces = new Map()
+  const requests = []
+
+  const getWorkspace = (accountId) => {
+    if (!workspaces.has(accountId)) workspaces.set(accountId, { users: [], invites: [] })
+    return workspaces.get(accountId)
+  }
+
+  const paginate = (items, searchParams, field) => {
+    const offset = Number(searchParams.get('offset') || 0)
+    const limit = Number(searchParams.get('limit') || 25)
+    const query = String(searchParams.get('query') || '').toLowerCase()
+    const matched = query ? items.filter(item => String(item[field]).toLowerCase().includes(query)) : items
+    return { items: matched.slice(offset, offset + limit), total: matched.length, limit, offset }
+  }
+
+  const upstream = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const body = parseBody(req, await readBody(req))
+    requests.push({ method: req.method, path: url.pathname, body })
+
+    if (!String(req.headers.authorization || '').startsWith('Bearer ')) {
+      return sendJson(res, 401, { detail: 'Unauthorized' })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/accounts/check/v4-2023-04-27') {
+      return sendJson(res, 200, { accounts: {} })
+    }
+
+    const match = url.pathname.match(/^\/accounts\/([^/]+)\/(users|invites)(?:\/([^/]+))?$/)
+    if (!match) return sendJson(res, 404, { detail: 'Not Found' })
+
+    const [, accountId, resource, itemId] = match
+    const workspace = getWorkspace(accountId)
+
+    if (resource === 'users' && req.method === 'GET') {
+      return sendJson(res, 200, paginate(workspace.users, url.searchParams, 'email'))
+    }
+    if (resource === 'users' && req.method === 'DELETE' && itemId) {
+      workspace.users = workspace.users.filter(user => user.id !== itemId)
+      return sendJson(res, 200, { success: true })
+    }
+    if (resource === 'invites' && req.method === 'GET') {
+      return sendJson(res, 200, paginate(workspace.invites, url.searchParams, 'email_address'))
+    }
+    if (resource === 'invites' && req.method === 'POST') {
+      const created = (body.email_addresses || []).map(email => ({
+        id: `invite-${crypto.randomUUID()}`,
+        email_address: String(email).toLowerCase(),
+        role: body.role || 'standard-user',
+        created_time: new Date().toISOString()
+      }))
+      workspace.invites.push(...created)
+      return sendJson(res, 200, { account_invites: created, errored_emails: [] })
+    }
+    if (resource === 'invites' && req.method === 'DELETE') {
+      const email = String(body.email_address || '').toLowerCase()
+      workspace.invites = workspace.invites.filter(invite => invite.email_address !== email)
+      return sendJson(res, 200, { success: true })
+    }
+
+    return sendJson(res, 405, { detail: 'Method Not Allowed' })
+  })
+
+  return {
+    ...upstream,
+    requests,
+    invitedEmails: (accountId) => getWorkspace(accountId).invites.map(invite => invite.email_address),
+    addUser: (accountId, email) => {
+      getWorkspace(accountId).users.push({ id: `user-${crypto.randomUUID()}`, email: String(email).toLowerCase(), role: 'standard-user' })
+    }
+  }
+}
+
+/**
+ * ZPAY 替身：mapi.php 下单、api.php?act=order 查询，pay() 按易支付协议回调下单时传入的 notify_url。
+ */
+export async function startFakeZpay({ pid, key }) {
+  const orders = new Map()
+  let tradeSeq = 0
+
+  const upstream = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const body = parseBody(req, await readBody(req))
+
+    if (req.method === 'POST' && url.pathname === '/mapi.php') {
+      if (body.pid !== pid || !isSignValid(body, key)) return sendJson(res, 200, { code: -1, msg: '签名错误' })
+      tradeSeq += 1
+      const tradeNo = `ZP${String(tradeSeq).padStart(8, '0')}`
+      orders.set(body.out_trade_no, { ...body, trade_no: tradeNo, status: 0, endtime: null })
+      return sendJson(res, 200, {
+        code: 1,
+        msg: 'success',
+        trade_no: tradeNo,
+        O_id: `O${tradeSeq}`,
+        payurl: `${upstream.url}/pay/${tradeNo}`,
+        qrcode: `${upstream.url}/qrcode/${tradeNo}`,
+        img: `${upstream.url}/img/${tradeNo}.png`
+      })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api.php' && url.searchParams.get('act') === 'order') {
+      if (url.searchParams.get('pid') !== pid || url.searchParams.get('key') !== key) {
+        return sendJson(res, 200, { code: -1, msg: '商户信息错误' })
+      }
+      const order = orders.get(url.searchParams.get('out_trade_no'))
+      if (!order) return sendJson(res, 200, { code: -1, msg: '订单不存在' })
+      return sendJson(res, 200, {
+        code: 1,
+        trade_no: order.trade_no,
+        out_trade_no: order.out_trade_no,
+        type: order.type,
+        money: order.money,
+        status: order.status,
+        endtime: order.endtime
+      })
+    }
+
+    return sendJson(res, 404, { code: -1, msg: 'Not Found' })
+  })
+
+  return {
+    ...upstream,
+    orders,
+    async pay(outTradeNo) {
+      const order = orders.get(outTradeNo)
+      if (!order) throw new Error(`fake zpay: unknown order ${outTradeNo}`)
+      order.status = 1
+      order.endtime = new Date().toISOString().slice(0, 19).replace('T', ' ')
+      return sendNotify(order.notify_url, {
+        pid,
+        trade_no: order.trade_no,
+        out_trade_no: order.out_trade_no,
+        type: order.type,
+        name: order.name,
+        money: order.money,
+        trade_status: 'TRADE_SUCCESS'
+      }, key)
+    }
+  }
+}
+
+/**
+ * Linux DO Credit 网关替身：浏览器表单提交的 /pay/submit.php、api.php 查询与退款，pay() 回调 notify_url。
+ */
+export async function startFakeCredit({ pid, key }) {
+  const orders = new Map()
+  let tradeSeq = 0
+
+  const upstream = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const body = parseBody(req, await readBody(req))
+
+    if (req.method === 'POST' && url.pathname === '/pay/submit.php') {
+      if (body.pid !== pid || !isSignValid(body, key)) return sendJson(res, 200, { error_msg: '签名错误' })
+      tradeSeq += 1
+      const tradeNo = `LDC${String(tradeSeq).padStart(8, '0')}`
+      orders.set(body.out_trade_no, { ...body, trade_no: tradeNo, status: 0 })
+      res.writeHead(302, { Location: `/paying?order_no=${tradeNo}` })
+      return res.end()
+    }
+
+    if (url.pathname === '/api.php') {
+      const params = req.method === 'GET' ? Object.fromEntries(url.searchParams) : body
+      if (params.pid !== pid || params.key !== key) return sendJson(res, 200, { code: -1, msg: '商户信息错误' })
+      const order = [...orders.values()].find(item =>
+        item.out_trade_no === params.out_trade_no || item.trade_no === params.trade_no
+      )
+      if (!order) return sendJson(res, 404, { code: -1, msg: '订单不存在' })
+      if (req.method === 'POST') {
+        order.status = 2
+        return sendJson(res, 200, { code: 1, msg: '退款成功' })
+      }
+      return sendJson(res, 200, {
+        code: 1,
+        trade_no: order.trade_no,
+        out_trade_no: order.out_trade_no,
+        type: order.type,
+        money: order.money,
+        status: order.status
+      })
+    }
+
+    return sendJson(res, 404, { code: -1, msg: 'Not Found' })
+  })
+
+  return {
+    ...upstream,
+    orders,
+    // 模拟浏览器按 payRequest 提交表单，返回网关跳转的支付页地址
+    async submit(payRequest) {
+      const response = await fetch(payRequest.url, {
+        method: payRequest.method,
+        body: new URLSearchParams(payRequest.fields),
+        redirect: 'manual'
+      })
+      return response.headers.get('location')
+    },
+    async pay(outTradeNo) {
+      const order = orders.get(outTradeNo)
+      if (!order) throw new Error(`fake credit: unknown order ${outTradeNo}`)
+      order.status = 1
+      return sendNotify(order.notify_url, {
+        pid,
+        trade_no: order.trade_no,
+        out_trade_no: order.out_trade_no,
+        type: order.type,
+        name: order.name,
+        money: order.money,
+        trade_status: 'TRADE_SUCCESS'
+      }, key)
+    }
+  }
+}
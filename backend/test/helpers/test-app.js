@@ -0,0 +1,144 @@
+import { startFakeChatgpt, startFakeCredit, startFakeZpay } from './fake-upstreams.js'
+
+export const ZPAY_PID = '1001'
+export const ZPAY_KEY = 'zpay-test-key'
+export const CREDIT_PID = '2001'
+export const CREDIT_KEY = 'credit-test-key'
+export const ADMIN_PASSWORD = 'admin-test-password'
+
+const quietConsole = () => {
+  if (process.env.TEST_VERBOSE) return
+  for (const method of ['log', 'info', 'warn', 'debug']) {
+    console[method] = () => {}
+  }
+}
+
+// 开放账号每天 0-8 点暂停兑换，把进程时区固定到当地正午附近，测试结果不随运行时刻变化
+const middayTimezone = () => {
+  let offset = (12 - new Date().getUTCHours() + 24) % 24
+  if (offset > 14) offset -= 24
+  if (offset === 0) return 'Etc/GMT'
+  return offset > 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`
+}
+
+/**
+ * 启动上游替身，并在内存 sql.js 数据库上初始化后端（迁移、锁），返回已监听随机端口的应用。
+ * 路由模块在加载时会读取部分环境变量，所以必须先写好 process.env 再动态 import。
+ */
+export async function startTestApp(env = {}) {
+  quietConsole()
+
+  const chatgpt = await startFakeChatgpt()
+  const zpay = await startFakeZpay({ pid: ZPAY_PID, key: ZPAY_KEY })
+  const credit = await startFakeCredit({ pid: CREDIT_PID, key: CREDIT_KEY })
+
+  Object.assign(process.env, {
+    TZ: middayTimezone(),
+    NODE_ENV: 'test',
+    DATABASE_ENGINE: 'sqljs',
+    DATABASE_PATH: ':memory:',
+    DATABASE_AUTO_MIGRATE: 'true',
+    LOCK_PROVIDER: 'memory',
+    JWT_SECRET: 'test-jwt-secret',
+    INIT_ADMIN_PASSWORD: ADMIN_PASSWORD,
+    CHATGPT_API_BASE_URL: chatgpt.url,
+    CHATGPT_INVITE_RETRY_MAX_ATTEMPTS: '1',
+    ZPAY_BASE_URL: zpay.url,
+    ZPAY_PID,
+    ZPAY_KEY,
+    LINUXDO_CREDIT_BASE_URL: credit.url,
+    LINUXDO_CREDIT_PID: CREDIT_PID,
+    LINUXDO_CREDIT_KEY: CREDIT_KEY,
+    OPEN_ACCOUNTS_BOARD_SHORT_RETRY_ENABLED: 'false',
+    ...env
+  })
+
+  const { default: app } = await import('../../src/app.js')
+  const { initDatabase, getDatabase, closeDatabase } = await import('../../src/database/init.js')
+  const { initLockProvider } = await import('../../src/utils/locks.js')
+
+  await initDatabase()
+  await initLockProvider()
+  const db = await getDatabase()
+
+  const server = await new Promise((resolve, reject) => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance))
+    instance.once('error', reject)
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  // 支付 / Credit 回调地址按 PUBLIC_BASE_URL 生成，指回本测试实例
+  process.env.PUBLIC_BASE_URL = baseUrl
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const text = await response.text()
+    let data = text
+    try {
+      data = JSON.parse(text)
+    } catch {
+    }
+    return { status: response.status, body: data }
+  }
+
+  const loginAdmin = async () => {
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username: 'admin', password: ADMIN_PASSWORD } })
+    if (status !== 200) throw new Error(`admin login failed: ${status} ${JSON.stringify(body)}`)
+    return body.token
+  }
+
+  const close = async () => {
+    server.closeAllConnections?.()
+    await new Promise(resolve => server.close(() => resolve()))
+    await closeDatabase()
+    await Promise.all([chatgpt.close(), zpay.close(), credit.close()])
+  }
+
+  return { app, baseUrl, db, request, loginAdmin, close, upstreams: { chatgpt, zpay, credit } }
+}
+
+/**
+ * 轮询直到 check() 返回真值；回调异步处理（queueMicrotask）完成前订单状态会滞后于 notify 响应。
+ */
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const value = await check()
+    if (value) return value
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${message}`)
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+}
+
+/**
+ * 写入一个可用的 ChatGPT 团队账号（token 与 chatgpt_account_id 指向替身），返回账号 id。
+ */
+export function seedGptAccount(db, { email, chatgptAccountId, isOpen = true, userCount = 1, inviteCount = 0 }) {
+  db.run(
+    `
+      INSERT INTO gpt_accounts (email, token, chatgpt_account_id, oai_device_id, user_count, invite_count, expire_at, is_open, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, '2099-12-31 23:59:59', ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    [email, `token-${chatgptAccountId}`, chatgptAccountId, `device-${chatgptAccountId}`, userCount, inviteCount, isOpen ? 1 : 0]
+  )
+  return Number(db.exec('SELECT last_insert_rowid()')[0].values[0][0])
+}
+
+export function seedRedemptionCode(db, { code, accountEmail = null, channel = 'common', orderType = 'warranty' }) {
+  db.run(
+    `
+      INSERT INTO redemption_codes (code, account_email, channel, channel_name, order_type, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    [code, accountEmail, channel, channel, orderType]
+  )
+}
+
+export function queryRow(db, sql, params = []) {
+  const result = db.exec(sql, params)[0]
+  if (!result?.values?.length) return null
+  return Object.fromEntries(result.columns.map((column, index) => [column, result.values[0][index]]))
+}
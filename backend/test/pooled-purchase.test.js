@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, seedGptAccount, startTestApp, waitFor } from './helpers/test-app.js'
+
+let ctx
+
+before(async () => {
+  ctx = await startTestApp()
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+const seedPooledCode = (db, code) => {
+  db.run(
+    `
+      INSERT INTO redemption_codes (code, account_email, channel, channel_name, order_type, is_pooled, created_at, updated_at)
+      VALUES (?, NULL, 'common', 'common', 'no_warranty', 1, DATETIME('now', 'localtime'), DATETIME('now', 'localtime'))
+    `,
+    [code]
+  )
+}
+
+test('pooled code is sold through ZPAY notify and assigned an account on auto redeem', async () => {
+  const { db, request, upstreams } = ctx
+  seedGptAccount(db, { email: 'pool-a@example.com', chatgptAccountId: 'ws-pool' })
+  seedPooledCode(db, 'POOL-AAAA-0001')
+
+  const meta = await request('GET', '/api/purchase/meta')
+  assert.equal(meta.status, 200, JSON.stringify(meta.body))
+  const product = meta.body.plans.find(plan => plan.key === 'no_warranty')
+  assert.equal(product?.availableCount, 1, JSON.stringify(meta.body.plans))
+
+  const buyer = 'pooled-buyer@example.com'
+  const created = await request('POST', '/api/purchase/orders', {
+    body: { email: buyer, type: 'alipay', productKey: 'no_warranty' }
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  const { orderNo } = created.body
+
+  const reply = await upstreams.zpay.pay(orderNo)
+  assert.equal(reply, 'success')
+
+  const order = await waitFor(async () => {
+    const { body } = await request('GET', `/api/purchase/orders/${orderNo}?email=${encodeURIComponent(buyer)}`)
+    return body.order?.redeemedAt ? body.order : null
+  }, { message: 'pooled order to be redeemed' })
+
+  assert.equal(order.inviteStatus, '邀请已发送')
+  assert.equal(order.redeemError, null)
+  assert.deepEqual(upstreams.chatgpt.invitedEmails('ws-pool'), [buyer])
+
+  const code = queryRow(
+    db,
+    'SELECT is_redeemed, redeemed_by, account_email, is_pooled, allocation_policy FROM redemption_codes WHERE code = ?',
+    ['POOL-AAAA-0001']
+  )
+  assert.equal(code.is_redeemed, 1)
+  assert.equal(code.redeemed_by, buyer)
+  assert.equal(code.account_email, 'pool-a@example.com')
+  assert.equal(code.is_pooled, 1)
+  assert.ok(code.allocation_policy)
+})
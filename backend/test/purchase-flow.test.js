@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, seedGptAccount, seedRedemptionCode, startTestApp, waitFor } from './helpers/test-app.js'
+
+let ctx
+
+before(async () => {
+  ctx = await startTestApp()
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+test('purchase → ZPAY notify → auto redeem sends the team invite', async () => {
+  const { db, request, upstreams } = ctx
+  seedGptAccount(db, { email: 'team-a@example.com', chatgptAccountId: 'ws-purchase' })
+  seedRedemptionCode(db, { code: 'PAY1-AAAA-0001', accountEmail: 'team-a@example.com', channel: 'common', orderType: 'no_warranty' })
+
+  const buyer = 'buyer@example.com'
+  const created = await request('POST', '/api/purchase/orders', {
+    body: { email: buyer, type: 'alipay', productKey: 'no_warranty' }
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  const { orderNo } = created.body
+  assert.equal(created.body.paymentProvider, 'zpay')
+  assert.match(created.body.payUrl, /\/pay\/ZP/)
+
+  const gatewayOrder = upstreams.zpay.orders.get(orderNo)
+  assert.ok(gatewayOrder, 'ZPAY should have received the mapi.php order')
+  assert.equal(gatewayOrder.money, '5.00')
+  assert.equal(gatewayOrder.notify_url, `${ctx.baseUrl}/notify`)
+
+  const reply = await upstreams.zpay.pay(orderNo)
+  assert.equal(reply, 'success')
+
+  const order = await waitFor(async () => {
+    const { body } = await request('GET', `/api/purchase/orders/${orderNo}?email=${encodeURIComponent(buyer)}`)
+    return body.order?.redeemedAt ? body.order : null
+  }, { message: 'order to be redeemed' })
+
+  assert.equal(order.status, 'paid')
+  assert.equal(order.tradeNo, gatewayOrder.trade_no)
+  assert.equal(order.inviteStatus, '邀请已发送')
+  assert.equal(order.redeemError, null)
+  assert.deepEqual(upstreams.chatgpt.invitedEmails('ws-purchase'), [buyer])
+
+  const code = queryRow(db, 'SELECT is_redeemed, redeemed_by FROM redemption_codes WHERE code = ?', ['PAY1-AAAA-0001'])
+  assert.equal(code.is_redeemed, 1)
+  assert.equal(code.redeemed_by, buyer)
+
+  const notification = queryRow(db, 'SELECT status, verify_status FROM payment_notifications WHERE order_no = ?', [orderNo])
+  assert.equal(notification.verify_status, 'verified')
+  assert.equal(notification.status, 'processed')
+})
+
+test('notify with a bad signature is rejected and leaves the order unpaid', async () => {
+  const { db, request, upstreams } = ctx
+  seedRedemptionCode(db, { code: 'PAY1-AAAA-0002', accountEmail: 'team-a@example.com', channel: 'common', orderType: 'no_warranty' })
+
+  const buyer = 'forger@example.com'
+  const created = await request('POST', '/api/purchase/orders', {
+    body: { email: buyer, type: 'wxpay', productKey: 'no_warranty' }
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  const { orderNo } = created.body
+  const gatewayOrder = upstreams.zpay.orders.get(orderNo)
+
+  const forged = new URLSearchParams({
+    pid: '1001',
+    trade_no: gatewayOrder.trade_no,
+    out_trade_no: orderNo,
+    type: 'wxpay',
+    money: '5.00',
+    trade_status: 'TRADE_SUCCESS',
+    sign: '0'.repeat(32),
+    sign_type: 'MD5'
+  })
+  const reply = await request('GET', `/notify?${forged}`)
+  assert.equal(reply.body, 'fail')
+
+  const { body } = await request('GET', `/api/purchase/orders/${orderNo}?email=${encodeURIComponent(buyer)}`)
+  assert.notEqual(body.order.status, 'paid')
+  assert.equal(upstreams.chatgpt.invitedEmails('ws-purchase').includes(buyer), false)
+
+  const notification = queryRow(db, 'SELECT status, verify_status FROM payment_notifications WHERE order_no = ?', [orderNo])
+  assert.equal(notification.verify_status, 'sign_mismatch')
+  assert.equal(notification.status, 'rejected')
+})
+
+test('order status sync falls back to the ZPAY query API', async () => {
+  const { db, request, upstreams } = ctx
+  seedRedemptionCode(db, { code: 'PAY1-AAAA-0003', accountEmail: 'team-a@example.com', channel: 'common', orderType: 'no_warranty' })
+
+  const buyer = 'poller@example.com'
+  const created = await request('POST', '/api/purchase/orders', {
+    body: { email: buyer, type: 'alipay', productKey: 'no_warranty' }
+  })
+  assert.equal(created.status, 200, JSON.stringify(created.body))
+  const { orderNo } = created.body
+
+  // 网关侧已支付但回调丢失：sync=1 时通过 api.php?act=order 回查并完成兑换
+  const gatewayOrder = upstreams.zpay.orders.get(orderNo)
+  gatewayOrder.status = 1
+
+  const { body } = await request('GET', `/api/purchase/orders/${orderNo}?email=${encodeURIComponent(buyer)}&sync=1`)
+  assert.equal(body.order.status, 'paid')
+  assert.ok(body.order.redeemedAt)
+  assert.ok(upstreams.chatgpt.invitedEmails('ws-purchase').includes(buyer))
+})
+
+test('order records the buyer locale from Accept-Language, with an explicit body locale taking precedence', async () => {
+  const { db, request } = ctx
+  seedRedemptionCode(db, { code: 'PAY1-AAAA-0004', accountEmail: 'team-a@example.com', channel: 'common', orderType: 'no_warranty' })
+  seedRedemptionCode(db, { code: 'PAY1-AAAA-0005', accountEmail: 'team-a@example.com', channel: 'common', orderType: 'no_warranty' })
+
+  const fromHeader = await request('POST', '/api/purchase/orders', {
+    body: { email: 'locale-header@example.com', type: 'alipay', productKey: 'no_warranty' },
+    headers: { 'Accept-Language': 'en-GB,en;q=0.9,zh-CN;q=0.8' }
+  })
+  assert.equal(fromHeader.status, 200, JSON.stringify(fromHeader.body))
+  const headerOrder = queryRow(db, 'SELECT locale FROM purchase_orders WHERE order_no = ?', [fromHeader.body.orderNo])
+  assert.equal(headerOrder.locale, 'en-US')
+
+  const fromBody = await request('POST', '/api/purchase/orders', {
+    body: { email: 'locale-body@example.com', type: 'alipay', productKey: 'no_warranty', locale: 'ja' },
+    headers: { 'Accept-Language': 'en-US' }
+  })
+  assert.equal(fromBody.status, 200, JSON.stringify(fromBody.body))
+  const bodyOrder = queryRow(db, 'SELECT locale FROM purchase_orders WHERE order_no = ?', [fromBody.body.orderNo])
+  assert.equal(bodyOrder.locale, 'ja-JP')
+})
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { seedRedemptionCode, startTestApp } from './helpers/test-app.js'
+
+let ctx
+let findRedemptionForLookup
+
+before(async () => {
+  ctx = await startTestApp({ REDEMPTION_STATUS_LOOKUPS_PER_MINUTE: '2' })
+  ;({ findRedemptionForLookup } = await import('../src/services/redemption-status.js'))
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+const redeem = (code, redeemedBy) => {
+  seedRedemptionCode(ctx.db, { code, accountEmail: 'team-s@example.com' })
+  ctx.db.run(
+    `UPDATE redemption_codes SET is_redeemed = 1, redeemed_by = ?, redeemed_at = DATETIME('now', 'localtime') WHERE code = ?`,
+    [redeemedBy, code]
+  )
+}
+
+test('code lookup matches the redeemer email in every redeemed_by format', () => {
+  redeem('STS1-AAAA-0001', 'plain@example.com')
+  redeem('STS1-AAAA-0002', 'email:tagged@example.com|uid:42')
+  redeem('STS1-AAAA-0003', 'UID:43 | Email:Board@Example.com')
+
+  assert.equal(findRedemptionForLookup(ctx.db, { code: 'sts1-aaaa-0001', email: 'Plain@example.com' })?.code, 'STS1-AAAA-0001')
+  assert.equal(findRedemptionForLookup(ctx.db, { code: 'STS1-AAAA-0002', email: 'tagged@example.com' })?.code, 'STS1-AAAA-0002')
+  assert.equal(findRedemptionForLookup(ctx.db, { code: 'STS1-AAAA-0003', email: 'board@example.com' })?.code, 'STS1-AAAA-0003')
+  assert.equal(findRedemptionForLookup(ctx.db, { code: 'STS1-AAAA-0003', email: 'other@example.com' }), null)
+})
+
+test('LIKE wildcards in the email do not match other redeemers', () => {
+  redeem('STS1-AAAA-0004', 'email:victim@example.com|uid:44')
+
+  for (const email of ['%@%.%', '%', '_ictim@example.com', 'victim@example.com%']) {
+    assert.equal(findRedemptionForLookup(ctx.db, { code: 'STS1-AAAA-0004', email }), null, email)
+  }
+})
+
+test('status lookup rate limit ignores client-supplied forwarding headers', async () => {
+  // 模拟同机 nginx：客户端伪造的转发头原样透传，真实来源地址由 nginx 追加在 X-Forwarded-For 末尾
+  const lookup = (n) => ctx.request('POST', '/api/redemption-codes/status', {
+    headers: { 'X-Forwarded-For': `203.0.113.${n}, 192.0.2.10`, 'CF-Connecting-IP': `198.51.100.${n}` },
+    body: { code: 'STS1-AAAA-0001', email: 'plain@example.com' }
+  })
+
+  assert.notEqual((await lookup(1)).status, 429)
+  assert.notEqual((await lookup(2)).status, 429)
+  const limited = await lookup(3)
+  assert.equal(limited.status, 429, JSON.stringify(limited.body))
+  assert.equal(limited.body.code, 'RATE_LIMITED')
+})
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { startTestApp } from './helpers/test-app.js'
+
+let ctx
+let buildSalesReport
+
+before(async () => {
+  ctx = await startTestApp()
+  ;({ buildSalesReport } = await import('../src/services/sales-report.js'))
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+const seedOrder = (orderNo, provider, amount) => {
+  ctx.db.run(
+    `
+      INSERT INTO purchase_orders (order_no, email, product_name, product_key, amount, status, payment_provider, created_at, updated_at)
+      VALUES (?, 'buyer@example.com', '无质保', 'no_warranty', ?, 'paid', ?, '2026-03-02 10:00:00', '2026-03-02 10:00:00')
+    `,
+    [orderNo, amount, provider]
+  )
+}
+
+test('sales report breaks purchase orders down per payment provider', () => {
+  seedOrder('RPT-ZPAY-1', 'zpay', '5.00')
+  seedOrder('RPT-LEGACY-1', null, '5.00')
+  seedOrder('RPT-EPAY-1', 'epay', '8.00')
+
+  const report = buildSalesReport(ctx.db, { from: '2026-03-01', to: '2026-03-31', groupBy: 'month' })
+  const byChannel = Object.fromEntries(report.byChannel.map(item => [item.channel, item]))
+  assert.equal(byChannel.zpay.label, 'ZPAY 支付')
+  assert.equal(byChannel.zpay.gross, 10)
+  assert.equal(byChannel.epay.label, '易支付')
+  assert.equal(byChannel.epay.gross, 8)
+  assert.deepEqual(report.periods[0].netByChannel, { zpay: 10, epay: 8 })
+
+  const epayOnly = buildSalesReport(ctx.db, { from: '2026-03-01', to: '2026-03-31', groupBy: 'month', channel: 'epay' })
+  assert.equal(epayOnly.totals.paidOrders, 1)
+})
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, seedGptAccount, seedRedemptionCode, startTestApp } from './helpers/test-app.js'
+
+let ctx
+
+before(async () => {
+  ctx = await startTestApp()
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+test('a redeemed code voided by an admin is no longer eligible for recovery', async () => {
+  const { db, request } = ctx
+  const buyer = 'voided@example.com'
+  seedGptAccount(db, { email: 'banned-team@example.com', chatgptAccountId: 'ws-banned' })
+  db.run(`UPDATE gpt_accounts SET is_banned = 1 WHERE email = 'banned-team@example.com'`)
+  seedRedemptionCode(db, { code: 'VOID-AAAA-0001', accountEmail: 'banned-team@example.com' })
+  db.run(
+    `UPDATE redemption_codes SET is_redeemed = 1, redeemed_by = ?, redeemed_at = DATETIME('now', 'localtime') WHERE code = ?`,
+    [buyer, 'VOID-AAAA-0001']
+  )
+  const { id: codeId } = queryRow(db, 'SELECT id FROM redemption_codes WHERE code = ?', ['VOID-AAAA-0001'])
+
+  const lookup = () => request('POST', '/api/redemption-codes/status', { body: { code: 'VOID-AAAA-0001', email: buyer } })
+
+  // 作废前：所在账号已封禁，状态页提示可以补号
+  const beforeVoid = await lookup()
+  assert.equal(beforeVoid.status, 200, JSON.stringify(beforeVoid.body))
+  assert.deepEqual([beforeVoid.body.data.recovery.available, beforeVoid.body.data.recovery.reason], [true, 'account_unavailable'])
+
+  const voided = await request('DELETE', `/api/redemption-codes/${codeId}`, {
+    headers: { Authorization: `Bearer ${await ctx.loginAdmin()}` },
+    body: { reason: '测试作废' }
+  })
+  assert.equal(voided.status, 200, JSON.stringify(voided.body))
+
+  const afterVoid = await lookup()
+  assert.equal(afterVoid.body.data.codeStatus, 'voided')
+  assert.deepEqual([afterVoid.body.data.recovery.available, afterVoid.body.data.recovery.reason], [false, 'voided'])
+
+  const recovered = await request('POST', '/api/redemption-codes/recover', { body: { email: buyer } })
+  assert.equal(recovered.status, 404, JSON.stringify(recovered.body))
+  assert.equal(recovered.body.code, 'NO_RECENT_ORDER')
+  assert.equal(queryRow(db, 'SELECT COUNT(1) AS n FROM account_recovery_logs WHERE original_code_id = ?', [codeId]).n, 0)
+})
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+import { queryRow, seedGptAccount, seedRedemptionCode, startTestApp } from './helpers/test-app.js'
+
+const JOB_KEY = 'waiting-room-auto-boarding'
+
+let ctx
+let adminHeaders
+let signLinuxDoSessionToken
+
+before(async () => {
+  // 全天都是执行时段，手动触发不会因为当前整点被跳过
+  ctx = await startTestApp({ WAITING_ROOM_AUTO_BOARDING_HOURS: '0-23' })
+  ;({ signLinuxDoSessionToken } = await import('../src/middleware/linuxdo-session.js'))
+  const { startWaitingRoomAutoBoardingScheduler } = await import('../src/services/waiting-room-auto-boarding.js')
+  startWaitingRoomAutoBoardingScheduler()
+  adminHeaders = { Authorization: `Bearer ${await ctx.loginAdmin()}` }
+})
+
+after(async () => {
+  await ctx?.close()
+})
+
+const joinQueue = async (uid, email) => {
+  const headers = { 'X-Linuxdo-Token': signLinuxDoSessionToken({ uid, username: `user${uid}`, trustLevel: 2 }) }
+  const joined = await ctx.request('POST', '/api/waiting-room/join', { headers, body: { email } })
+  assert.equal(joined.status, 200, JSON.stringify(joined.body))
+}
+
+const triggerJob = () => ctx.request('POST', `/api/admin/jobs/${JOB_KEY}/trigger`, { headers: adminHeaders })
+
+test('auto-boarding assigns a Linux DO code to the head of the queue and invites them', async () => {
+  const { db, upstreams } = ctx
+  seedGptAccount(db, { email: 'room-a@example.com', chatgptAccountId: 'ws-room' })
+  seedRedemptionCode(db, { code: 'WRM1-CCCC-0001', accountEmail: 'room-a@example.com', channel: 'linux-do' })
+
+  await joinQueue('20001', 'first@example.com')
+  await joinQueue('20002', 'second@example.com')
+
+  const triggered = await triggerJob()
+  assert.equal(triggered.status, 200, JSON.stringify(triggered.body))
+
+  const entry = queryRow(db, `SELECT status, reserved_code FROM waiting_room_entries WHERE linuxdo_uid = '20001'`)
+  assert.equal(entry.status, 'boarded')
+  assert.equal(entry.reserved_code, 'WRM1-CCCC-0001')
+
+  const code = queryRow(db, 'SELECT is_redeemed, redeemed_by FROM redemption_codes WHERE code = ?', ['WRM1-CCCC-0001'])
+  assert.equal(code.is_redeemed, 1)
+  assert.equal(code.redeemed_by, 'UID:20001 | Email:first@example.com')
+  assert.deepEqual(upstreams.chatgpt.invitedEmails('ws-room'), ['first@example.com'])
+
+  const second = queryRow(db, `SELECT status, reserved_code FROM waiting_room_entries WHERE linuxdo_uid = '20002'`)
+  assert.equal(second.status, 'waiting')
+  assert.equal(second.reserved_code, null)
+})
+
+test('auto-boarding keeps the queue untouched when no Linux DO code is left', async () => {
+  const { db, upstreams } = ctx
+
+  const triggered = await triggerJob()
+  assert.equal(triggered.status, 200, JSON.stringify(triggered.body))
+
+  const second = queryRow(db, `SELECT status, reserved_code FROM waiting_room_entries WHERE linuxdo_uid = '20002'`)
+  assert.equal(second.status, 'waiting')
+  assert.equal(second.reserved_code, null)
+  assert.equal(upstreams.chatgpt.invitedEmails('ws-room').includes('second@example.com'), false)
+
+  const run = queryRow(db, 'SELECT status, summary FROM job_runs WHERE job_key = ? ORDER BY id DESC LIMIT 1', [JOB_KEY])
+  assert.equal(run.status, 'success')
+  assert.equal(run.summary, '没有可用的 Linux DO 渠道兑换码')
+})
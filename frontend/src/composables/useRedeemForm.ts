@@ -5,6 +5,7 @@ import { EMAIL_REGEX } from '@/lib/validation'
 export interface RedeemSuccessInfo {
   accountEmail: string
   userCount: number
+  seatCapacity?: number
   inviteStatus?: string
 }
 
@@ -118,6 +119,7 @@ export const useRedeemForm = (channel: MaybeRef<string> = 'common') => {
       successInfo.value = {
         accountEmail: response.data.data.accountEmail,
         userCount: response.data.data.userCount,
+        seatCapacity: response.data.data.seatCapacity,
         inviteStatus: response.data.data.inviteStatus,
       }
 
@@ -10,9 +10,17 @@ import {
   Shield,
   Menu,
   Ticket,
+  TicketPercent,
+  BellRing,
   Package,
   Train,
-  Settings
+  Settings,
+  Banknote,
+  KeyRound,
+  Webhook,
+  ScrollText,
+  Timer,
+  MailWarning
 } from 'lucide-vue-next'
 
 export interface AdminMenuNode {
@@ -51,13 +59,21 @@ const ICONS_BY_MENU_KEY: Record<string, any> = {
   xhs_orders: Package,
   xianyu_orders: Package,
   purchase_orders: CreditCard,
+  coupons: TicketPercent,
+  payment_notifications: BellRing,
+  invite_jobs: MailWarning,
   credit_orders: Coins,
+  points_withdrawals: Banknote,
   order_management: ShoppingCart,
   waiting_room: Train,
   settings: Settings,
   permission_management: Shield,
   role_management: Users,
   menu_management: Menu,
+  api_keys: KeyRound,
+  audit_log: ScrollText,
+  webhooks: Webhook,
+  jobs: Timer,
 }
 
 const FALLBACK_ADMIN_MENU_TREE: AdminMenuDraftNode[] = [
@@ -75,6 +91,10 @@ const FALLBACK_ADMIN_MENU_TREE: AdminMenuDraftNode[] = [
       { key: 'xianyu_orders', path: '/admin/xianyu-orders', label: '闲鱼订单' },
       { key: 'credit_orders', path: '/admin/credit-orders', label: 'Credit 订单' },
       { key: 'account_recovery', path: '/admin/account-recovery', label: '补号管理' },
+      { key: 'points_withdrawals', path: '/admin/points-withdrawals', label: '提现审核' },
+      { key: 'coupons', path: '/admin/coupons', label: '优惠券' },
+      { key: 'payment_notifications', path: '/admin/payment-notifications', label: '支付回调' },
+      { key: 'invite_jobs', path: '/admin/invite-jobs', label: '邀请重试' },
     ],
   },
   {
@@ -85,8 +105,12 @@ const FALLBACK_ADMIN_MENU_TREE: AdminMenuDraftNode[] = [
       { key: 'user_management', path: '/admin/users', label: '用户管理' },
       { key: 'role_management', path: '/admin/roles', label: '角色管理' },
       { key: 'menu_management', path: '/admin/menus', label: '菜单管理' },
+      { key: 'api_keys', path: '/admin/api-keys', label: 'API 密钥' },
+      { key: 'audit_log', path: '/admin/audit-log', label: '审计日志' },
     ],
   },
+  { key: 'webhooks', path: '/admin/webhooks', label: 'Webhook' },
+  { key: 'jobs', path: '/admin/jobs', label: '后台任务' },
   { key: 'settings', path: '/admin/settings', label: '系统设置' },
   { key: 'my_orders', path: '/admin/my-orders', label: '我的订单' },
   { key: 'points_exchange', path: '/admin/points-exchange', label: '积分兑换' },
@@ -154,6 +178,7 @@ export const filterAdminMenuTreeByFeatureFlags = (tree: AdminMenuNode[], feature
     xhs_orders: 'xhs',
     xianyu_orders: 'xianyu',
     purchase_orders: 'payment',
+    coupons: 'payment',
     credit_orders: 'openAccounts'
   }
 
@@ -4,6 +4,7 @@ import RegisterView from '../views/RegisterView.vue'
 import RedeemView from '../views/RedeemView.vue'
 import GenericRedeemView from '../views/GenericRedeemView.vue'
 import AccountRecoveryView from '../views/AccountRecoveryView.vue'
+import RedemptionStatusView from '../views/RedemptionStatusView.vue'
 import LinuxDoRedeemView from '../views/LinuxDoRedeemView.vue'
 import LinuxDoOpenAccountsView from '../views/LinuxDoOpenAccountsView.vue'
 import XhsRedeemView from '../views/XhsRedeemView.vue'
@@ -23,8 +24,16 @@ import WaitingRoomAdminView from '../views/WaitingRoomAdminView.vue'
 import XhsOrdersView from '../views/XhsOrdersView.vue'
 import XianyuOrdersView from '../views/XianyuOrdersView.vue'
 import PurchaseOrdersView from '../views/PurchaseOrdersView.vue'
+import CouponsView from '../views/CouponsView.vue'
+import PaymentNotificationsView from '../views/PaymentNotificationsView.vue'
+import InviteJobsView from '../views/InviteJobsView.vue'
 import CreditOrdersView from '../views/CreditOrdersView.vue'
 import AccountRecoveryAdminView from '../views/AccountRecoveryAdminView.vue'
+import PointsWithdrawalsView from '../views/PointsWithdrawalsView.vue'
+import ApiKeysView from '../views/ApiKeysView.vue'
+import WebhooksView from '../views/WebhooksView.vue'
+import JobsView from '../views/JobsView.vue'
+import AuditLogView from '../views/AuditLogView.vue'
 import StatsView from '../views/StatsView.vue'
 import MyOrdersView from '../views/MyOrdersView.vue'
 import UserInfoView from '../views/UserInfoView.vue'
@@ -92,6 +101,11 @@ const router = createRouter({
       name: 'account-recovery',
       component: AccountRecoveryView,
     },
+    {
+      path: '/redeem/status',
+      name: 'redemption-status',
+      component: RedemptionStatusView,
+    },
     {
       path: '/redeem/linux-do',
       name: 'linux-do-redeem',
@@ -210,12 +224,36 @@ const router = createRouter({
           component: PurchaseOrdersView,
           meta: { requiredMenuKey: 'purchase_orders', featureKey: 'payment' },
         },
+        {
+          path: 'coupons',
+          name: 'coupons',
+          component: CouponsView,
+          meta: { requiredMenuKey: 'coupons', featureKey: 'payment' },
+        },
+        {
+          path: 'payment-notifications',
+          name: 'payment-notifications',
+          component: PaymentNotificationsView,
+          meta: { requiredMenuKey: 'payment_notifications', superAdminOnly: true },
+        },
+        {
+          path: 'invite-jobs',
+          name: 'invite-jobs',
+          component: InviteJobsView,
+          meta: { requiredMenuKey: 'invite_jobs', superAdminOnly: true },
+        },
         {
           path: 'credit-orders',
           name: 'credit-orders',
           component: CreditOrdersView,
           meta: { requiredMenuKey: 'credit_orders', featureKey: 'openAccounts' },
         },
+        {
+          path: 'points-withdrawals',
+          name: 'points-withdrawals',
+          component: PointsWithdrawalsView,
+          meta: { requiredMenuKey: 'points_withdrawals', superAdminOnly: true },
+        },
         {
           path: 'waiting-room',
           name: 'waiting-room-admin',
@@ -240,6 +278,30 @@ const router = createRouter({
           component: MenuManagementView,
           meta: { requiredMenuKey: 'menu_management', superAdminOnly: true },
         },
+        {
+          path: 'api-keys',
+          name: 'api-keys',
+          component: ApiKeysView,
+          meta: { requiredMenuKey: 'api_keys', superAdminOnly: true },
+        },
+        {
+          path: 'audit-log',
+          name: 'audit-log',
+          component: AuditLogView,
+          meta: { requiredMenuKey: 'audit_log', superAdminOnly: true },
+        },
+        {
+          path: 'webhooks',
+          name: 'webhooks',
+          component: WebhooksView,
+          meta: { requiredMenuKey: 'webhooks', superAdminOnly: true },
+        },
+        {
+          path: 'jobs',
+          name: 'jobs',
+          component: JobsView,
+          meta: { requiredMenuKey: 'jobs', superAdminOnly: true },
+        },
         {
           path: 'feature-disabled/:feature',
           name: 'admin-feature-disabled',
@@ -130,18 +130,6 @@ export const userService = {
     return response.data
   },
 
-  async getApiKey() {
-    const response = await api.get('/user/api-key')
-    return response.data
-  },
-
-  async updateApiKey(apiKey: string) {
-    const response = await api.put('/user/api-key', {
-      apiKey
-    })
-    return response.data
-  },
-
   async getPointsMeta(): Promise<PointsMetaResponse> {
     const response = await api.get('/user/points/meta')
     return response.data
@@ -250,6 +238,9 @@ export type TeamSeatType = 'undemoted' | 'demoted'
 
 export interface PointsMetaResponse {
   points: number
+  invite?: {
+    costPoints: number
+  }
   seat: {
     costPoints: number
     remaining: number
@@ -282,6 +273,7 @@ export interface PointsWithdrawRecord {
   payoutAccount: string
   status: 'pending' | 'approved' | 'rejected' | 'paid' | string
   remark?: string | null
+  payoutRef?: string | null
   createdAt: string
   updatedAt: string
   processedAt?: string | null
@@ -348,6 +340,15 @@ export interface GptAccount {
   refreshToken?: string
   userCount: number
   inviteCount?: number
+  /** 席位上限（已加入成员 + 待接受邀请），默认 6 */
+  seatCapacity?: number
+  /** 最近一次健康检查结果（仅列表接口返回） */
+  healthStatus?: AccountStatus | null
+  healthCheckedAt?: string | null
+  healthFailStreak?: number
+  /** 连续健康检查失败被自动隔离的时间；重新设为开放即解除 */
+  quarantinedAt?: string | null
+  quarantineReason?: string | null
   isOpen?: boolean
   /** @deprecated 降级账号概念已移除；该字段仅保留用于兼容历史客户端。 */
   isDemoted?: boolean
@@ -364,6 +365,7 @@ export interface CreateGptAccountDto {
   token: string
   refreshToken?: string
   userCount?: number
+  seatCapacity?: number
   /** @deprecated 降级账号概念已移除；该字段仅保留用于兼容历史客户端（会被忽略）。 */
   isDemoted?: boolean
   isBanned?: boolean
@@ -448,6 +450,31 @@ export interface CheckAccountStatusItem {
   status: AccountStatus
   reason?: string | null
   refreshed?: boolean
+  quarantined?: boolean
+}
+
+export interface AccountHealthCheckItem {
+  id: number
+  status: AccountStatus
+  reason: string | null
+  refreshed: boolean
+  source: 'manual' | 'scheduled'
+  failStreak: number
+  quarantined: boolean
+  checkedAt: string | null
+}
+
+export interface AccountHealthChecksResponse {
+  account: {
+    id: number
+    email: string
+    healthStatus: AccountStatus | null
+    healthCheckedAt: string | null
+    healthFailStreak: number
+    quarantinedAt: string | null
+    quarantineReason: string | null
+  }
+  items: AccountHealthCheckItem[]
 }
 
 export interface CheckAccountStatusResponse {
@@ -511,16 +538,119 @@ export interface RedemptionCode {
   reservedForUsername?: string | null
   reservedForEntryId?: number | null
   reservedAt?: string | null
+  // 号池兑换码：创建时不绑定账号，兑换时按分配策略选择账号
+  isPooled?: boolean
+  allocationPolicy?: CodeAllocationPolicy | null
+  allocationReason?: string | null
+  allocatedAt?: string | null
+  // 生命周期状态（列表接口返回）；过期与作废的兑换码 isRedeemed 同样为 true
+  status?: RedemptionCodeStatus | null
+  expiresAt?: string | null
+  expiredAt?: string | null
+  voidedAt?: string | null
+  voidReason?: string | null
+}
+
+export type RedemptionCodeStatus = 'active' | 'reserved' | 'redeemed' | 'recovered' | 'expired' | 'voided'
+
+export type RedemptionCodeTransferFormat = 'csv' | 'json'
+
+export interface RedemptionCodeExportParams {
+  format: RedemptionCodeTransferFormat
+  status?: RedemptionCodeStatus | 'all'
+  channel?: string
+  accountEmail?: string
+  pooled?: boolean
+}
+
+export interface RedemptionCodeImportPayload {
+  format: RedemptionCodeTransferFormat
+  content: string
+  dryRun: boolean
+  // 文件中对应列为空时使用的默认值；accountEmail 为空则导入为号池兑换码
+  defaults?: {
+    channel?: string
+    orderType?: PurchaseOrderType
+    accountEmail?: string
+    expiresAt?: string
+  }
+  // 外部值 → 内部渠道 key / 订单类型
+  channelMap?: Record<string, string>
+  orderTypeMap?: Record<string, string>
+}
+
+export interface RedemptionCodeImportItem {
+  line: number
+  code: string
+  channel: string | null
+  channelName: string | null
+  orderType: PurchaseOrderType | null
+  accountEmail: string | null
+  pooled: boolean
+  expiresAt: string | null
+  valid: boolean
+  errors: string[]
+}
+
+export interface RedemptionCodeImportResponse {
+  dryRun: boolean
+  items: RedemptionCodeImportItem[]
+  summary: {
+    total: number
+    valid: number
+    invalid: number
+    pooled: number
+  }
+  unmapped: {
+    channels: string[]
+    orderTypes: string[]
+  }
+  message?: string
+  created?: number
+  failed?: Array<{ line: number; code: string; error: string }>
 }
 
 export interface AccountRecoveryData {
   accountEmail: string
   userCount?: number | null
+  seatCapacity?: number | null
   inviteStatus?: string
   recoveryMode?: 'original' | 'open-account' | 'not-needed'
   windowEndsAt?: string | null
 }
 
+export type RedemptionInviteStatus = 'pending' | 'joined' | 'removed' | 'failed' | 'unknown'
+export type RedemptionAccountStatus = 'active' | 'banned' | 'unavailable' | 'missing' | 'unknown'
+export type RedemptionRecoveryReason =
+  | 'account_unavailable'
+  | 'not_needed'
+  | 'removed'
+  | 'no_warranty'
+  | 'refunded'
+  | 'voided'
+  | 'window_expired'
+
+export interface RedemptionStatusData {
+  code: string
+  orderNo: string | null
+  channel: string
+  orderType: PurchaseOrderType
+  codeStatus: RedemptionCodeStatus
+  redeemedAt: string
+  recovered: boolean
+  accountEmail: string | null
+  accountStatus: RedemptionAccountStatus
+  accountExpireAt: string | null
+  inviteStatus: RedemptionInviteStatus
+  inviteRetry: { status: 'queued' | 'processing' | 'dead'; nextAttemptAt: string | null } | null
+  serviceEndsAt: string | null
+  recovery: {
+    available: boolean
+    reason: RedemptionRecoveryReason
+    windowEndsAt: string | null
+  }
+}
+
 export interface AppRuntimeConfig {
   timezone: string
   locale: string
@@ -573,10 +703,14 @@ export interface PurchaseProduct {
 export interface PurchaseCreateOrderResponse {
   orderNo: string
   amount: string
+  originalAmount?: string | null
+  discountAmount?: string | null
+  couponCode?: string | null
   productName: string
   productKey?: string
   orderType?: PurchaseOrderType
   payType: 'alipay' | 'wxpay'
+  paymentProvider?: PaymentProviderKey
   payUrl?: string | null
   qrcode?: string | null
   img?: string | null
@@ -588,11 +722,15 @@ export interface PurchaseOrder {
   email: string
   productName: string
   amount: string
+  originalAmount?: string | null
+  discountAmount?: string | null
+  couponCode?: string | null
   serviceDays: number
   productKey?: string | null
   codeChannel?: string | null
   orderType?: PurchaseOrderType
   payType?: 'alipay' | 'wxpay' | null
+  paymentProvider?: PaymentProviderKey | null
   payUrl?: string | null
   qrcode?: string | null
   img?: string | null
@@ -606,6 +744,97 @@ export interface PurchaseOrder {
   refundAmount?: string | null
   refundMessage?: string | null
   emailSentAt?: string | null
+  renewalOfOrderNo?: string | null
+  renewalMode?: PurchaseRenewalMode | null
+  renewedUntil?: string | null
+  serviceDeadline?: string | null
+  renewable?: boolean
+  supersededBy?: string | null
+  pendingRenewalOrderNo?: string | null
+}
+
+export type PurchaseRenewalMode = 'extend' | 'migrate'
+
+export interface PurchaseRenewResponse extends PurchaseCreateOrderResponse {
+  renewalOfOrderNo: string
+  renewalMode: PurchaseRenewalMode
+  currentDeadline: string
+  renewedUntil: string
+}
+
+export type PurchaseRefundMode = 'prorated' | 'full' | 'custom'
+export type PurchaseRefundCodeAction = 'keep' | 'restock' | 'void'
+
+export interface PurchaseRefundQuote {
+  refundable: boolean
+  refundAmount: string
+  reason?: string
+  remainingDays?: number
+  usedDays?: number
+  totalDays?: number
+}
+
+export interface PurchaseRefundOptions {
+  mode: PurchaseRefundMode
+  amount?: string
+  revokeAccess: boolean
+  codeAction: PurchaseRefundCodeAction
+}
+
+export interface PurchaseRefundReport {
+  mode: PurchaseRefundMode
+  refundAmount: string
+  orderAmount: string
+  message: string
+  revokeAccess: boolean
+  access: {
+    status: 'removed_member' | 'removed_invite' | 'not_found' | 'skipped' | 'failed'
+    accountEmail: string | null
+    reason?: string
+  }
+  points: Array<{
+    kind: 'buyer' | 'inviter'
+    userId: number
+    points: number
+    deducted: number
+    shortfall?: number
+    reason?: string
+  }>
+  code: {
+    action: PurchaseRefundCodeAction
+    status: 'done' | 'skipped'
+    code: string | null
+    reason?: string
+  }
+  renewal?: {
+    status: 'done' | 'skipped'
+    orderNo: string | null
+    days?: number
+    reason?: string
+  } | null
+  operator: string | null
+  createdAt: string
+}
+
+export interface PurchaseAdminOrderDetail extends PurchaseOrder {
+  code?: string | null
+  codeAccountEmail?: string | null
+  redeemAccountEmail?: string | null
+  userId?: number | null
+  buyerRewardPoints?: number | null
+  inviteRewardToUserId?: number | null
+  inviteRewardPoints?: number | null
+  refundReport?: PurchaseRefundReport | null
+}
+
+export interface PurchaseCouponQuote {
+  couponCode: string
+  couponName: string
+  discountType: CouponDiscountType
+  discountValue: string
+  originalAmount: string
+  discountAmount: string
+  amount: string
 }
 
 export interface PurchaseOrderQueryResponse {
@@ -915,12 +1144,48 @@ export interface BatchCreateResponse {
   message: string
   codes: RedemptionCode[]
   failed: number
+  pooled?: boolean
+  poolFreeSeats?: number
+  info?: string
+}
+
+export type CodeAllocationPolicy = 'least_occupied' | 'longest_remaining' | 'spread'
+
+export interface AdminCodeAllocationSettingsResponse {
+  settings: {
+    policy: CodeAllocationPolicy
+  }
+  policies: CodeAllocationPolicy[]
 }
 
 export interface AdminEmailDomainWhitelistResponse {
   domains: string[]
 }
 
+export type AdminRuntimeSettingValue = number | boolean | string
+export type AdminRuntimeSettingType = 'integer' | 'decimal' | 'boolean' | 'hours'
+
+export interface AdminRuntimeSettingItem {
+  key: string
+  group: string
+  label: string
+  description: string
+  type: AdminRuntimeSettingType
+  min: number | null
+  max: number | null
+  value: AdminRuntimeSettingValue
+  source: 'stored' | 'env' | 'default'
+  defaultValue: AdminRuntimeSettingValue
+  envName: string
+  envValue: AdminRuntimeSettingValue | null
+  lastChange: { actorName: string | null; changedAt: string | null } | null
+}
+
+export interface AdminRuntimeSettingsResponse {
+  groups: Array<{ key: string; label: string }>
+  items: AdminRuntimeSettingItem[]
+}
+
 export interface AdminFeatureFlagsResponse {
   features: {
     xhs: boolean
@@ -996,6 +1261,31 @@ export interface AdminZpaySettingsResponse {
   }
 }
 
+export interface AdminEpaySettingsResponse {
+  epay: {
+    baseUrl: string
+    pid: string
+    baseUrlStored?: boolean
+    pidStored?: boolean
+    keySet: boolean
+    keyStored?: boolean
+  }
+}
+
+export type PaymentProviderKey = 'zpay' | 'epay'
+export type PaymentPayType = 'alipay' | 'wxpay'
+
+export interface PaymentRouting {
+  defaults: Record<PaymentPayType, PaymentProviderKey>
+  products: Record<string, Partial<Record<PaymentPayType, PaymentProviderKey>>>
+}
+
+export interface AdminPaymentRoutingResponse {
+  providers: Array<{ key: PaymentProviderKey; label: string; configured: boolean }>
+  payTypes: PaymentPayType[]
+  routing: PaymentRouting
+}
+
 export interface AdminTurnstileSettingsResponse {
   turnstile: {
     siteKey: string
@@ -1110,6 +1400,400 @@ export interface AdminUserOrdersResponse {
   }
 }
 
+export type AdminPointsWithdrawalStatus = 'pending' | 'approved' | 'rejected' | 'paid'
+
+export interface AdminPointsWithdrawal extends PointsWithdrawRecord {
+  userId: number
+  username?: string | null
+  email?: string | null
+  status: AdminPointsWithdrawalStatus
+  processedBy?: number | null
+  processedByUsername?: string | null
+}
+
+export interface AdminPointsWithdrawalsParams {
+  page?: number
+  pageSize?: number
+  search?: string
+  status?: 'all' | AdminPointsWithdrawalStatus
+  method?: 'all' | 'alipay' | 'wechat'
+}
+
+export interface AdminPointsWithdrawalsResponse {
+  withdrawals: AdminPointsWithdrawal[]
+  pagination: {
+    page: number
+    pageSize: number
+    total: number
+  }
+}
+
+export interface AdminPointsWithdrawalsSummaryResponse {
+  summary: Record<AdminPointsWithdrawalStatus, { count: number; points: number; cashAmount: string }>
+}
+
+export type AdminApiKeyStatus = 'active' | 'expired' | 'revoked'
+
+export interface AdminApiKey {
+  id: number
+  name: string
+  keyPrefix: string
+  scopes: string[]
+  rateLimitPerMinute: number | null
+  expiresAt: string | null
+  lastUsedAt: string | null
+  lastUsedIp: string | null
+  usageCount: number
+  revokedAt: string | null
+  createdBy: number | null
+  createdAt: string | null
+  updatedAt: string | null
+  status: AdminApiKeyStatus
+}
+
+export interface AdminApiKeyScope {
+  scope: string
+  label: string
+}
+
+export interface AdminApiKeyPayload {
+  name?: string
+  scopes?: string[]
+  rateLimitPerMinute?: number | null
+  expiresAt?: string | null
+}
+
+export interface AdminWebhookEventType {
+  type: string
+  label: string
+}
+
+export interface AdminWebhookEndpoint {
+  id: number
+  name: string
+  url: string
+  events: string[]
+  isActive: boolean
+  createdBy: number | null
+  createdAt: string | null
+  updatedAt: string | null
+}
+
+export interface AdminWebhookEndpointPayload {
+  name?: string
+  url?: string
+  events?: string[]
+  isActive?: boolean
+}
+
+export type AdminWebhookDeliveryStatus = 'pending' | 'delivering' | 'success' | 'failed'
+
+export interface AdminWebhookDelivery {
+  id: number
+  endpointId: number
+  endpointName: string | null
+  eventId: string
+  eventType: string
+  status: AdminWebhookDeliveryStatus
+  attempts: number
+  nextAttemptAt: string | null
+  lastAttemptAt: string | null
+  responseStatus: number | null
+  lastError: string | null
+  durationMs: number | null
+  deliveredAt: string | null
+  createdAt: string | null
+}
+
+export interface AdminWebhookDeliveryDetail extends AdminWebhookDelivery {
+  payload: string
+  responseBody: string
+}
+
+export interface AdminWebhookDeliveriesParams {
+  page?: number
+  pageSize?: number
+  endpointId?: number
+  status?: AdminWebhookDeliveryStatus
+  eventType?: string
+}
+
+export interface AdminWebhookDeliveriesResponse {
+  deliveries: AdminWebhookDelivery[]
+  pagination: { page: number; pageSize: number; total: number }
+}
+
+export type AdminPaymentNotificationSource = 'purchase' | 'credit'
+export type AdminPaymentNotificationStatus =
+  | 'received'
+  | 'rejected'
+  | 'ignored'
+  | 'processing'
+  | 'processed'
+  | 'failed'
+  | 'duplicate'
+export type AdminPaymentNotificationVerifyStatus = 'verified' | 'not_checked' | 'missing_config' | 'pid_mismatch' | 'sign_mismatch'
+
+export interface AdminPaymentNotification {
+  id: number
+  source: AdminPaymentNotificationSource
+  provider: string
+  orderNo: string | null
+  tradeNo: string | null
+  tradeStatus: string | null
+  paid: boolean
+  money: string | null
+  payType: string | null
+  method: string | null
+  ip: string | null
+  verifyStatus: AdminPaymentNotificationVerifyStatus
+  verifyDetail: Record<string, unknown> | null
+  status: AdminPaymentNotificationStatus
+  result: string | null
+  duplicateOf: number | null
+  attempts: number
+  receivedAt: string | null
+  processedAt: string | null
+  updatedAt: string | null
+}
+
+export interface AdminPaymentNotificationDetail extends AdminPaymentNotification {
+  payload: Record<string, unknown>
+}
+
+export interface AdminPaymentNotificationRelated {
+  id: number
+  status: AdminPaymentNotificationStatus
+  verifyStatus: AdminPaymentNotificationVerifyStatus
+  receivedAt: string | null
+  processedAt: string | null
+}
+
+export interface AdminPaymentNotificationsParams {
+  page?: number
+  pageSize?: number
+  source?: AdminPaymentNotificationSource
+  status?: AdminPaymentNotificationStatus
+  search?: string
+}
+
+export interface AdminPaymentNotificationsResponse {
+  items: AdminPaymentNotification[]
+  pagination: { page: number; pageSize: number; total: number }
+}
+
+export interface AdminPaymentNotificationDetailResponse {
+  item: AdminPaymentNotificationDetail
+  related: AdminPaymentNotificationRelated[]
+}
+
+export type AdminInviteJobStatus = 'queued' | 'processing' | 'succeeded' | 'dead' | 'cancelled'
+export type AdminInviteJobResolution = 'auto' | 'manual' | 'reinvite'
+
+export interface AdminInviteJob {
+  id: number
+  email: string
+  codeId: number | null
+  code: string | null
+  orderNo: string | null
+  channel: string | null
+  status: AdminInviteJobStatus
+  accountId: number | null
+  accountEmail: string | null
+  originalAccountEmail: string | null
+  triedAccountIds: number[]
+  attempts: number
+  accountAttempts: number
+  nextAttemptAt: string | null
+  lastAttemptAt: string | null
+  lastError: string | null
+  resolution: AdminInviteJobResolution | null
+  completedAt: string | null
+  deadAt: string | null
+  notifiedAt: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface AdminInviteJobsParams {
+  page?: number
+  pageSize?: number
+  status?: AdminInviteJobStatus | 'open'
+  search?: string
+}
+
+export interface AdminInviteJobsResponse {
+  items: AdminInviteJob[]
+  counts: Record<AdminInviteJobStatus, number>
+  pagination: { page: number; pageSize: number; total: number }
+}
+
+export interface AdminEmailTemplatePlaceholder {
+  name: string
+  label: string
+  raw: boolean
+}
+
+export interface AdminEmailTemplateDefinition {
+  key: string
+  label: string
+  description: string
+  placeholders: AdminEmailTemplatePlaceholder[]
+  sample: Record<string, string | number>
+  defaultLocales: string[]
+}
+
+export interface AdminEmailTemplatesResponse {
+  definitions: AdminEmailTemplateDefinition[]
+  locales: Array<{ value: string; label: string }>
+  defaultLocale: string
+  customized: Array<{ key: string; locale: string; updatedBy: string | null; updatedAt: string | null }>
+}
+
+export interface AdminEmailTemplateContent {
+  subject: string
+  html: string
+  text: string
+}
+
+export interface AdminEmailTemplate extends AdminEmailTemplateContent {
+  key: string
+  locale: string
+  updatedBy: string | null
+  updatedAt: string | null
+}
+
+export type AdminEmailTemplateSource = 'custom' | 'default' | 'fallback'
+
+export interface AdminEmailTemplateResponse {
+  template: AdminEmailTemplate
+  source: AdminEmailTemplateSource
+  resolvedLocale: string
+}
+
+export type AdminJobTrigger = 'scheduler' | 'startup' | 'event' | 'manual'
+export type AdminJobRunStatus = 'success' | 'failed'
+
+export interface AdminJob {
+  key: string
+  label: string
+  description: string
+  kind: 'interval' | 'daemon'
+  enabled: boolean
+  disabledReason: string | null
+  schedule: string | null
+  paused: boolean
+  canTrigger: boolean
+  state: Record<string, unknown> | null
+  running: boolean
+  lastRunAt: string | null
+  lastFinishedAt: string | null
+  lastDurationMs: number | null
+  lastStatus: AdminJobRunStatus | null
+  lastTrigger: AdminJobTrigger | null
+  lastSummary: unknown
+  lastError: string | null
+  consecutiveFailures: number
+  nextRunAt: string | null
+}
+
+export interface AdminJobRun {
+  id: number
+  jobKey: string
+  trigger: AdminJobTrigger
+  status: AdminJobRunStatus
+  summary: unknown
+  error: string | null
+  durationMs: number | null
+  startedAt: string | null
+  finishedAt: string | null
+}
+
+export interface AdminJobTriggerResponse {
+  finished: boolean
+  result: { status: AdminJobRunStatus; summary: unknown; error: string | null; durationMs: number } | null
+  message: string
+  job: AdminJob | null
+}
+
+export type CouponDiscountType = 'fixed' | 'percent'
+
+export interface AdminCoupon {
+  id: number
+  code: string
+  name: string
+  discountType: CouponDiscountType
+  discountValue: string
+  productKeys: string[]
+  maxUses: number
+  maxUsesPerEmail: number
+  startsAt: string | null
+  endsAt: string | null
+  isActive: boolean
+  createdAt: string | null
+  updatedAt: string | null
+  usedCount: number
+  paidCount: number
+  paidDiscountTotal: string
+}
+
+export interface AdminCouponPayload {
+  code?: string
+  name?: string
+  discountType?: CouponDiscountType
+  discountValue?: string
+  productKeys?: string[]
+  maxUses?: number
+  maxUsesPerEmail?: number
+  startsAt?: string | null
+  endsAt?: string | null
+  isActive?: boolean
+}
+
+export type AdminAuditActorType = 'user' | 'api_key' | 'system'
+
+export interface AdminAuditChange {
+  from: unknown
+  to: unknown
+}
+
+export interface AdminAuditLogEntry {
+  id: number
+  actorType: AdminAuditActorType
+  actorId: string | null
+  actorName: string | null
+  action: string
+  targetType: string | null
+  targetId: string | null
+  summary: string | null
+  changes: Record<string, AdminAuditChange> | null
+  metadata: Record<string, unknown> | null
+  ip: string | null
+  userAgent: string | null
+  requestId: string | null
+  method: string | null
+  path: string | null
+  createdAt: string | null
+}
+
+export interface AdminAuditLogParams {
+  page?: number
+  pageSize?: number
+  actor?: string
+  action?: string
+  targetType?: string
+  targetId?: string
+  requestId?: string
+  from?: string
+  to?: string
+  search?: string
+}
+
+export interface AdminAuditLogResponse {
+  items: AdminAuditLogEntry[]
+  pagination: { page: number; pageSize: number; total: number }
+}
+
 export const adminService = {
   async getEmailDomainWhitelist(): Promise<AdminEmailDomainWhitelistResponse> {
     const response = await api.get('/admin/email-domain-whitelist')
@@ -1121,6 +1805,16 @@ export const adminService = {
     return response.data
   },
 
+  async getRuntimeSettings(): Promise<AdminRuntimeSettingsResponse> {
+    const response = await api.get('/admin/runtime-settings')
+    return response.data
+  },
+
+  async updateRuntimeSettings(values: Record<string, AdminRuntimeSettingValue | null>): Promise<AdminRuntimeSettingsResponse> {
+    const response = await api.put('/admin/runtime-settings', { values })
+    return response.data
+  },
+
   async getFeatureFlags(): Promise<AdminFeatureFlagsResponse> {
     const response = await api.get('/admin/feature-flags')
     return response.data
@@ -1154,6 +1848,16 @@ export const adminService = {
     return response.data
   },
 
+  async getCodeAllocationSettings(): Promise<AdminCodeAllocationSettingsResponse> {
+    const response = await api.get('/admin/code-allocation-settings')
+    return response.data
+  },
+
+  async updateCodeAllocationSettings(payload: { settings: { policy: CodeAllocationPolicy } }): Promise<AdminCodeAllocationSettingsResponse> {
+    const response = await api.put('/admin/code-allocation-settings', payload)
+    return response.data
+  },
+
   async getPointsWithdrawSettings(): Promise<AdminPointsWithdrawSettingsResponse> {
     const response = await api.get('/admin/points-withdraw-settings')
     return response.data
@@ -1210,6 +1914,26 @@ export const adminService = {
     return response.data
   },
 
+  async getEpaySettings(): Promise<AdminEpaySettingsResponse> {
+    const response = await api.get('/admin/epay-settings')
+    return response.data
+  },
+
+  async updateEpaySettings(payload: { epay: { baseUrl: string; pid: string; key?: string } }): Promise<AdminEpaySettingsResponse> {
+    const response = await api.put('/admin/epay-settings', payload)
+    return response.data
+  },
+
+  async getPaymentRouting(): Promise<AdminPaymentRoutingResponse> {
+    const response = await api.get('/admin/payment-routing')
+    return response.data
+  },
+
+  async updatePaymentRouting(routing: PaymentRouting): Promise<AdminPaymentRoutingResponse> {
+    const response = await api.put('/admin/payment-routing', { routing })
+    return response.data
+  },
+
   async getTurnstileSettings(): Promise<AdminTurnstileSettingsResponse> {
     const response = await api.get('/admin/turnstile-settings')
     return response.data
@@ -1337,6 +2061,221 @@ export const adminService = {
     return response.data
   },
 
+  async listPointsWithdrawals(params?: AdminPointsWithdrawalsParams): Promise<AdminPointsWithdrawalsResponse> {
+    const response = await api.get('/admin/points-withdrawals', { params })
+    return response.data
+  },
+
+  async getPointsWithdrawalsSummary(): Promise<AdminPointsWithdrawalsSummaryResponse> {
+    const response = await api.get('/admin/points-withdrawals/summary')
+    return response.data
+  },
+
+  async approvePointsWithdrawal(id: number, payload?: { remark?: string }): Promise<{ withdrawal: AdminPointsWithdrawal }> {
+    const response = await api.post(`/admin/points-withdrawals/${id}/approve`, payload || {})
+    return response.data
+  },
+
+  async rejectPointsWithdrawal(id: number, payload: { remark: string }): Promise<{ withdrawal: AdminPointsWithdrawal; refundedPoints: number }> {
+    const response = await api.post(`/admin/points-withdrawals/${id}/reject`, payload)
+    return response.data
+  },
+
+  async markPointsWithdrawalPaid(id: number, payload: { payoutRef: string; remark?: string }): Promise<{ withdrawal: AdminPointsWithdrawal }> {
+    const response = await api.post(`/admin/points-withdrawals/${id}/paid`, payload)
+    return response.data
+  },
+
+  async listApiKeys(): Promise<{ items: AdminApiKey[] }> {
+    const response = await api.get('/admin/api-keys')
+    return response.data
+  },
+
+  async getApiKeyScopes(): Promise<{ scopes: AdminApiKeyScope[] }> {
+    const response = await api.get('/admin/api-keys/scopes')
+    return response.data
+  },
+
+  async createApiKey(payload: AdminApiKeyPayload): Promise<{ item: AdminApiKey; apiKey: string }> {
+    const response = await api.post('/admin/api-keys', payload)
+    return response.data
+  },
+
+  async updateApiKey(id: number, payload: AdminApiKeyPayload): Promise<{ item: AdminApiKey }> {
+    const response = await api.patch(`/admin/api-keys/${id}`, payload)
+    return response.data
+  },
+
+  async rotateApiKey(id: number): Promise<{ item: AdminApiKey; apiKey: string }> {
+    const response = await api.post(`/admin/api-keys/${id}/rotate`)
+    return response.data
+  },
+
+  async revokeApiKey(id: number): Promise<{ item: AdminApiKey }> {
+    const response = await api.post(`/admin/api-keys/${id}/revoke`)
+    return response.data
+  },
+
+  async getWebhookEventTypes(): Promise<{ events: AdminWebhookEventType[]; maxAttempts: number }> {
+    const response = await api.get('/admin/webhooks/events')
+    return response.data
+  },
+
+  async listWebhookEndpoints(): Promise<{ items: AdminWebhookEndpoint[] }> {
+    const response = await api.get('/admin/webhooks/endpoints')
+    return response.data
+  },
+
+  async createWebhookEndpoint(payload: AdminWebhookEndpointPayload): Promise<{ item: AdminWebhookEndpoint; secret: string }> {
+    const response = await api.post('/admin/webhooks/endpoints', payload)
+    return response.data
+  },
+
+  async updateWebhookEndpoint(id: number, payload: AdminWebhookEndpointPayload): Promise<{ item: AdminWebhookEndpoint }> {
+    const response = await api.patch(`/admin/webhooks/endpoints/${id}`, payload)
+    return response.data
+  },
+
+  async rotateWebhookSecret(id: number): Promise<{ item: AdminWebhookEndpoint; secret: string }> {
+    const response = await api.post(`/admin/webhooks/endpoints/${id}/rotate-secret`)
+    return response.data
+  },
+
+  async testWebhookEndpoint(id: number): Promise<{ message: string; eventId: string }> {
+    const response = await api.post(`/admin/webhooks/endpoints/${id}/test`)
+    return response.data
+  },
+
+  async deleteWebhookEndpoint(id: number): Promise<{ message: string }> {
+    const response = await api.delete(`/admin/webhooks/endpoints/${id}`)
+    return response.data
+  },
+
+  async listWebhookDeliveries(params: AdminWebhookDeliveriesParams): Promise<AdminWebhookDeliveriesResponse> {
+    const response = await api.get('/admin/webhooks/deliveries', { params })
+    return response.data
+  },
+
+  async getWebhookDelivery(id: number): Promise<{ delivery: AdminWebhookDeliveryDetail }> {
+    const response = await api.get(`/admin/webhooks/deliveries/${id}`)
+    return response.data
+  },
+
+  async retryWebhookDelivery(id: number): Promise<{ message: string }> {
+    const response = await api.post(`/admin/webhooks/deliveries/${id}/retry`)
+    return response.data
+  },
+
+  async getEmailTemplates(): Promise<AdminEmailTemplatesResponse> {
+    const response = await api.get('/admin/email-templates')
+    return response.data
+  },
+
+  async getEmailTemplate(key: string, locale: string): Promise<AdminEmailTemplateResponse> {
+    const response = await api.get(`/admin/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(locale)}`)
+    return response.data
+  },
+
+  async updateEmailTemplate(key: string, locale: string, payload: AdminEmailTemplateContent): Promise<AdminEmailTemplateResponse> {
+    const response = await api.put(`/admin/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(locale)}`, payload)
+    return response.data
+  },
+
+  async resetEmailTemplate(key: string, locale: string): Promise<{ message: string }> {
+    const response = await api.delete(`/admin/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(locale)}`)
+    return response.data
+  },
+
+  async previewEmailTemplate(payload: AdminEmailTemplateContent & { key: string; data?: Record<string, string | number> }): Promise<{ preview: AdminEmailTemplateContent }> {
+    const response = await api.post('/admin/email-templates/preview', payload)
+    return response.data
+  },
+
+  async sendTestEmailTemplate(key: string, locale: string, payload: AdminEmailTemplateContent & { to: string }): Promise<{ message: string }> {
+    const response = await api.post(`/admin/email-templates/${encodeURIComponent(key)}/${encodeURIComponent(locale)}/test`, payload)
+    return response.data
+  },
+
+  async listJobs(): Promise<{ jobs: AdminJob[] }> {
+    const response = await api.get('/admin/jobs')
+    return response.data
+  },
+
+  async listJobRuns(key: string, limit = 50): Promise<{ runs: AdminJobRun[] }> {
+    const response = await api.get(`/admin/jobs/${encodeURIComponent(key)}/runs`, { params: { limit } })
+    return response.data
+  },
+
+  async pauseJob(key: string): Promise<{ job: AdminJob | null }> {
+    const response = await api.post(`/admin/jobs/${encodeURIComponent(key)}/pause`)
+    return response.data
+  },
+
+  async resumeJob(key: string): Promise<{ job: AdminJob | null }> {
+    const response = await api.post(`/admin/jobs/${encodeURIComponent(key)}/resume`)
+    return response.data
+  },
+
+  async triggerJob(key: string): Promise<AdminJobTriggerResponse> {
+    const response = await api.post(`/admin/jobs/${encodeURIComponent(key)}/trigger`)
+    return response.data
+  },
+
+  async listCoupons(): Promise<{ items: AdminCoupon[] }> {
+    const response = await api.get('/admin/coupons')
+    return response.data
+  },
+
+  async createCoupon(payload: AdminCouponPayload): Promise<{ item: AdminCoupon }> {
+    const response = await api.post('/admin/coupons', payload)
+    return response.data
+  },
+
+  async updateCoupon(id: number, payload: AdminCouponPayload): Promise<{ item: AdminCoupon }> {
+    const response = await api.patch(`/admin/coupons/${id}`, payload)
+    return response.data
+  },
+
+  async deleteCoupon(id: number): Promise<{ ok: boolean }> {
+    const response = await api.delete(`/admin/coupons/${id}`)
+    return response.data
+  },
+
+  async listPaymentNotifications(params: AdminPaymentNotificationsParams): Promise<AdminPaymentNotificationsResponse> {
+    const response = await api.get('/admin/payment-notifications', { params })
+    return response.data
+  },
+
+  async getPaymentNotification(id: number): Promise<AdminPaymentNotificationDetailResponse> {
+    const response = await api.get(`/admin/payment-notifications/${id}`)
+    return response.data
+  },
+
+  async replayPaymentNotification(id: number): Promise<AdminPaymentNotificationDetailResponse> {
+    const response = await api.post(`/admin/payment-notifications/${id}/replay`)
+    return response.data
+  },
+
+  async listInviteJobs(params: AdminInviteJobsParams): Promise<AdminInviteJobsResponse> {
+    const response = await api.get('/admin/invite-jobs', { params })
+    return response.data
+  },
+
+  async retryInviteJob(id: number): Promise<{ item: AdminInviteJob; invited: boolean }> {
+    const response = await api.post(`/admin/invite-jobs/${id}/retry`)
+    return response.data
+  },
+
+  async listAuditLog(params: AdminAuditLogParams): Promise<AdminAuditLogResponse> {
+    const response = await api.get('/admin/audit-log', { params })
+    return response.data
+  },
+
+  async getAuditLogFacets(): Promise<{ actions: string[]; targetTypes: string[] }> {
+    const response = await api.get('/admin/audit-log/facets')
+    return response.data
+  },
+
   async getChannels(): Promise<{ channels: Channel[] }> {
     const response = await api.get('/admin/channels')
     return response.data
@@ -1712,6 +2651,11 @@ export const gptAccountService = {
     return response.data
   },
 
+  async getHealthChecks(id: number, params?: { limit?: number }): Promise<AccountHealthChecksResponse> {
+    const response = await api.get(`/gpt-accounts/${id}/health-checks`, { params })
+    return response.data
+  },
+
   async getInvites(accountId: number, params?: { offset?: number; limit?: number; query?: string }): Promise<ChatgptAccountInvitesResponse> {
     const response = await api.get(`/gpt-accounts/${accountId}/invites`, { params })
     return response.data
@@ -1746,12 +2690,8 @@ export interface OpenAIOAuthExchangeResult {
 }
 
 export const openaiOAuthService = {
-  async generateAuthUrl(apiKey: string, payload?: { proxy?: string }): Promise<OpenAIOAuthSession> {
-    const response = await api.post('/openai-accounts/generate-auth-url', payload || {}, {
-      headers: {
-        'x-api-key': apiKey,
-      },
-    })
+  async generateAuthUrl(payload?: { proxy?: string }): Promise<OpenAIOAuthSession> {
+    const response = await api.post('/openai-accounts/generate-auth-url', payload || {})
 
     if (!response.data?.success) {
       throw new Error(response.data?.message || response.data?.error || '生成 OpenAI 授权链接失败')
@@ -1760,12 +2700,8 @@ export const openaiOAuthService = {
     return response.data.data as OpenAIOAuthSession
   },
 
-  async exchangeCode(apiKey: string, payload: { code: string; sessionId: string }): Promise<OpenAIOAuthExchangeResult> {
-    const response = await api.post('/openai-accounts/exchange-code', payload, {
-      headers: {
-        'x-api-key': apiKey,
-      },
-    })
+  async exchangeCode(payload: { code: string; sessionId: string }): Promise<OpenAIOAuthExchangeResult> {
+    const response = await api.post('/openai-accounts/exchange-code', payload)
 
     if (!response.data?.success) {
       throw new Error(response.data?.message || response.data?.error || '交换授权码失败')
@@ -2001,7 +2937,7 @@ export const redemptionCodeService = {
     page?: number
     pageSize?: number
     search?: string
-    status?: 'all' | 'redeemed' | 'unused'
+    status?: 'all' | 'unused' | 'pooled' | RedemptionCodeStatus
   }): Promise<{
     codes: RedemptionCode[]
     pagination: { page: number; pageSize: number; total: number }
@@ -2015,17 +2951,40 @@ export const redemptionCodeService = {
     return response.data
   },
 
-  async batchCreate(count: number, accountEmail: string, channel?: RedemptionChannel): Promise<BatchCreateResponse> {
-    const response = await api.post('/redemption-codes/batch', { count, accountEmail, ...(channel ? { channel } : {}) })
+  // accountEmail 为 null 时创建号池兑换码（兑换时再分配账号）
+  async batchCreate(
+    count: number,
+    accountEmail: string | null,
+    channel?: RedemptionChannel,
+    expiresAt?: string | null
+  ): Promise<BatchCreateResponse> {
+    const response = await api.post('/redemption-codes/batch', {
+      count,
+      ...(accountEmail ? { accountEmail } : { pooled: true }),
+      ...(channel ? { channel } : {}),
+      ...(expiresAt ? { expiresAt } : {})
+    })
     return response.data
   },
 
-  async delete(id: number): Promise<void> {
-    await api.delete(`/redemption-codes/${id}`)
+  async exportCodes(params: RedemptionCodeExportParams): Promise<Blob> {
+    const response = await api.get('/redemption-codes/export', { params, responseType: 'blob' })
+    return response.data
   },
 
-  async batchDelete(ids: number[]): Promise<void> {
-    await api.post('/redemption-codes/batch-delete', { ids })
+  async importCodes(payload: RedemptionCodeImportPayload): Promise<RedemptionCodeImportResponse> {
+    const response = await api.post('/redemption-codes/import', payload)
+    return response.data
+  },
+
+  // 删除即作废：兑换码保留在列表中（状态为已作废），不再计入库存
+  async delete(id: number, reason?: string): Promise<void> {
+    await api.delete(`/redemption-codes/${id}`, { data: reason ? { reason } : {} })
+  },
+
+  async batchDelete(ids: number[], reason?: string): Promise<{ message: string; voided: number; skipped: number }> {
+    const response = await api.post('/redemption-codes/batch-delete', { ids, ...(reason ? { reason } : {}) })
+    return response.data
   },
 
   async redeem(
@@ -2056,6 +3015,20 @@ export const redemptionCodeService = {
     return response
   },
 
+  async lookupStatus(data: {
+    email: string
+    code?: string
+    orderNo?: string
+    turnstileToken?: string
+  }): Promise<{ data: RedemptionStatusData }> {
+    const response = await axios.post(`${API_URL}/redemption-codes/status`, data, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    })
+    return response.data
+  },
+
   async recoverAccount(data: { email: string }): Promise<any> {
     const response = await axios.post(`${API_URL}/redemption-codes/recover`, data, {
       headers: {
@@ -2198,10 +3171,92 @@ export interface AdminStatsOverviewResponse {
   }
 }
 
+export interface AdminStockForecastRunOut {
+  dailyRate: number
+  daysLeft: number | null
+  runOutDate: string | null
+  belowHorizon: boolean
+}
+
+export interface AdminStockForecastChannel extends AdminStockForecastRunOut {
+  channel: string
+  name: string
+  available: number
+  sellableToday: number
+  consumedToday: number
+  history: Array<{ date: string; remaining: number; consumed: number; added: number }>
+  projection: Array<{ date: string; remaining: number }>
+}
+
+export interface AdminStockForecastProduct extends AdminStockForecastRunOut {
+  productKey: string
+  productName: string
+  channels: string[]
+  available: number
+  dailyOrders: number
+}
+
+export interface AdminStockForecastResponse {
+  generatedAt: string
+  lookbackDays: number
+  horizonDays: number
+  channels: AdminStockForecastChannel[]
+  products: AdminStockForecastProduct[]
+}
+
+export type AdminSalesReportGroupBy = 'day' | 'week' | 'month'
+export type AdminSalesChannel = 'zpay' | 'epay' | 'linuxdo_credit' | 'xhs' | 'xianyu'
+
+export interface AdminSalesMetrics {
+  orders: number
+  paidOrders: number
+  refundedOrders: number
+  redeemedOrders: number
+  gross: number
+  refunds: number
+  net: number
+  refundRate: number
+  conversionRate: number
+}
+
+export interface AdminSalesReportParams {
+  from?: string
+  to?: string
+  groupBy?: AdminSalesReportGroupBy
+  channel?: AdminSalesChannel | ''
+}
+
+export interface AdminSalesReportResponse {
+  range: { from: string; to: string }
+  groupBy: AdminSalesReportGroupBy
+  channel: AdminSalesChannel | null
+  channels: Array<{ key: AdminSalesChannel; label: string }>
+  periods: Array<AdminSalesMetrics & { period: string; netByChannel: Partial<Record<AdminSalesChannel, number>> }>
+  rows: Array<AdminSalesMetrics & { period: string; channel: AdminSalesChannel; productKey: string; productName: string }>
+  byChannel: Array<AdminSalesMetrics & { channel: AdminSalesChannel; label: string }>
+  byProduct: Array<AdminSalesMetrics & { channel: AdminSalesChannel; productKey: string; productName: string }>
+  totals: AdminSalesMetrics
+}
+
 export const adminStatsService = {
   async getOverview(params?: { from?: string; to?: string }): Promise<AdminStatsOverviewResponse> {
     const response = await api.get('/admin/stats/overview', { params })
     return response.data
+  },
+
+  async getStockForecast(): Promise<AdminStockForecastResponse> {
+    const response = await api.get('/admin/stats/stock-forecast')
+    return response.data
+  },
+
+  async getSalesReport(params?: AdminSalesReportParams): Promise<AdminSalesReportResponse> {
+    const response = await api.get('/admin/stats/sales', { params })
+    return response.data
+  },
+
+  async exportSalesReport(params: AdminSalesReportParams & { format: 'csv' | 'xlsx' }): Promise<Blob> {
+    const response = await api.get('/admin/stats/sales/export', { params, responseType: 'blob' })
+    return response.data
   }
 }
 
@@ -2258,11 +3313,16 @@ export const purchaseService = {
     return response.data
   },
 
-  async createOrder(payload: { email: string; type: 'alipay' | 'wxpay'; productKey?: string; orderType?: PurchaseOrderType }): Promise<PurchaseCreateOrderResponse> {
+  async createOrder(payload: { email: string; type: 'alipay' | 'wxpay'; productKey?: string; orderType?: PurchaseOrderType; couponCode?: string }): Promise<PurchaseCreateOrderResponse> {
     const response = await api.post('/purchase/orders', payload)
     return response.data
   },
 
+  async validateCoupon(payload: { code: string; productKey?: string; email?: string }): Promise<PurchaseCouponQuote> {
+    const response = await api.post('/purchase/coupons/validate', payload)
+    return response.data
+  },
+
   async getOrder(orderNo: string, email: string, options?: { sync?: boolean }): Promise<PurchaseOrderQueryResponse> {
     const response = await api.get(`/purchase/orders/${encodeURIComponent(orderNo)}`, {
       params: {
@@ -2278,13 +3338,16 @@ export const purchaseService = {
     return response.data
   },
 
-  async adminGetOrder(orderNo: string): Promise<{ order: any }> {
+  async adminGetOrder(orderNo: string): Promise<{ order: PurchaseAdminOrderDetail; refundQuote: PurchaseRefundQuote | null }> {
     const response = await api.get(`/purchase/admin/orders/${encodeURIComponent(orderNo)}`)
     return response.data
   },
 
-  async adminRefund(orderNo: string): Promise<{ message: string; refund: any }> {
-    const response = await api.post(`/purchase/admin/orders/${encodeURIComponent(orderNo)}/refund`)
+  async adminRefund(
+    orderNo: string,
+    options: PurchaseRefundOptions
+  ): Promise<{ message: string; refund: PurchaseRefundQuote; report: PurchaseRefundReport }> {
+    const response = await api.post(`/purchase/admin/orders/${encodeURIComponent(orderNo)}/refund`, options)
     return response.data
   },
 
@@ -2302,6 +3365,11 @@ export const purchaseService = {
     const response = await api.post('/purchase/my/orders/bind', { orderNo })
     return response.data
   },
+
+  async myRenewOrder(orderNo: string, payload: { type: 'alipay' | 'wxpay'; productKey?: string }): Promise<PurchaseRenewResponse> {
+    const response = await api.post(`/purchase/my/orders/${encodeURIComponent(orderNo)}/renew`, payload)
+    return response.data
+  },
 }
 
 export const xhsService = {